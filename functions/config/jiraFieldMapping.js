@@ -0,0 +1,164 @@
+/**
+ * Jira Field Mapping Configuration
+ *
+ * Maps task attributes to the Jira fields they are written to when an issue is created:
+ * - field: Jira field id (e.g. "customfield_10016"), or null to leave the attribute out
+ * - format: how the value is sent - "number", "string", "date" (YYYY-MM-DD), "id" (integer, e.g. a sprint id),
+ *   "name" ({ name }), "names" ([{ name }]), "value" ({ value }, select lists), "values" ([{ value }])
+ *   or "key" ({ key }, e.g. the parent epic)
+ * - default: value used when the task has none (optional)
+ *
+ * Story points, sprint and epic link are custom fields whose ids differ per Jira site and project. The mapping
+ * can be overridden per attribute with JIRA_FIELD_MAPPING (JSON object keyed by attribute), and teams from the
+ * team registry apply their own "jiraFieldMapping" on top. With JIRA_FIELD_DISCOVERY=true (or a team's
+ * "jiraFieldDiscovery": true) the field ids are discovered from the Jira createmeta API first, and configured
+ * entries still win over discovered ones.
+ */
+
+const JIRA_FIELD_FORMATS = ["number", "string", "date", "id", "name", "names", "value", "values", "key"];
+
+const DEFAULT_JIRA_FIELD_MAPPING = {
+  priority: { field: "priority", format: "name" },
+  storyPoints: { field: "customfield_10166", format: "number" },
+  sprint: { field: null, format: "id" },
+  components: { field: "components", format: "names" },
+  epic: { field: null, format: "key" },
+  fixVersion: { field: "fixVersions", format: "names" },
+  dueDate: { field: "duedate", format: "date" },
+};
+
+// Fields every issue gets outside the mapping (never reported as unmapped required fields)
+const BUILT_IN_JIRA_FIELDS = [
+  "project", "issuetype", "summary", "description", "reporter", "labels", "assignee", "timetracking",
+];
+
+// Jira custom field types (schema.custom in createmeta) used to recognise attributes during discovery
+const DISCOVERABLE_CUSTOM_FIELDS = {
+  "com.pyxis.greenhopper.jira:gh-sprint": { attribute: "sprint", format: "id" },
+  "com.pyxis.greenhopper.jira:gh-epic-link": { attribute: "epic", format: "string" },
+  "com.pyxis.greenhopper.jira:jsw-story-points": { attribute: "storyPoints", format: "number" },
+};
+
+/**
+ * Parse the JIRA_FIELD_MAPPING env var
+ * @returns {Object} Overrides keyed by attribute (empty if the env var is unset)
+ */
+function parseFieldMappingEnv() {
+  if (!process.env.JIRA_FIELD_MAPPING) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.JIRA_FIELD_MAPPING);
+  } catch (error) {
+    throw new Error(`JIRA_FIELD_MAPPING is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Apply per-attribute overrides to a mapping, throwing on unknown attributes or malformed entries
+ * @param {Object} mapping - Base mapping keyed by attribute
+ * @param {Object} overrides - Overrides keyed by attribute (each replaces the fields it sets)
+ * @param {string} source - Where the overrides came from (for error messages)
+ * @returns {Object} New mapping
+ */
+function applyFieldMappingOverrides(mapping, overrides, source) {
+  if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+    throw new Error(`${source} must be an object keyed by task attribute`);
+  }
+
+  const merged = { ...mapping };
+  for (const [attribute, override] of Object.entries(overrides)) {
+    if (!DEFAULT_JIRA_FIELD_MAPPING[attribute]) {
+      throw new Error(`${source} has unknown task attribute "${attribute}" ` +
+        `(expected one of: ${Object.keys(DEFAULT_JIRA_FIELD_MAPPING).join(", ")})`);
+    }
+    if (override.field !== undefined && override.field !== null && typeof override.field !== "string") {
+      throw new Error(`${source} "${attribute}".field must be a Jira field id or null`);
+    }
+    if (override.format !== undefined && !JIRA_FIELD_FORMATS.includes(override.format)) {
+      throw new Error(`${source} "${attribute}".format must be one of: ${JIRA_FIELD_FORMATS.join(", ")}`);
+    }
+    merged[attribute] = { ...merged[attribute], ...override };
+  }
+  return merged;
+}
+
+/**
+ * Get the Jira field mapping for a team
+ * @param {Object|null} team - Team config from the team registry (null = default team)
+ * @param {Object} discovered - Mapping entries discovered from createmeta (see discoverFieldMapping)
+ * @returns {Object} Mapping keyed by attribute
+ */
+function getJiraFieldMapping(team = null, discovered = {}) {
+  const mapping = applyFieldMappingOverrides(
+    applyFieldMappingOverrides(DEFAULT_JIRA_FIELD_MAPPING, discovered, "Discovered field mapping"),
+    parseFieldMappingEnv(),
+    "JIRA_FIELD_MAPPING"
+  );
+  if (!team || !team.jiraFieldMapping) {
+    return mapping;
+  }
+  return applyFieldMappingOverrides(mapping, team.jiraFieldMapping, `Team ${team.teamId} jiraFieldMapping`);
+}
+
+/**
+ * Check whether createmeta discovery is switched on for a team
+ * @param {Object|null} team - Team config from the team registry (null = default team)
+ * @returns {boolean} True if field ids should be discovered from createmeta
+ */
+function isFieldDiscoveryEnabled(team = null) {
+  if (team && team.jiraFieldDiscovery !== undefined) {
+    return team.jiraFieldDiscovery === true;
+  }
+  return process.env.JIRA_FIELD_DISCOVERY === "true";
+}
+
+/**
+ * Work out mapping entries from the fields of a Jira create screen
+ * Sprint, epic link and story points are recognised by their custom field type, then by name.
+ * Team-managed projects have no epic link field and take the epic as the issue's parent.
+ * @param {Array<Object>} metaFields - createmeta fields ({ fieldId, name, schema })
+ * @returns {Object} Mapping entries keyed by attribute (field null for attributes missing from the screen)
+ */
+function discoverFieldMapping(metaFields) {
+  const discovered = {};
+  const byName = name => metaFields.find(meta => String(meta.name || "").toLowerCase() === name);
+
+  for (const meta of metaFields) {
+    const known = DISCOVERABLE_CUSTOM_FIELDS[meta.schema?.custom];
+    if (known && !discovered[known.attribute]) {
+      discovered[known.attribute] = { field: meta.fieldId, format: known.format };
+    }
+  }
+
+  const storyPoints = byName("story points") || byName("story point estimate");
+  if (!discovered.storyPoints) {
+    discovered.storyPoints = storyPoints ? { field: storyPoints.fieldId, format: "number" } : { field: null };
+  }
+  const sprint = byName("sprint");
+  if (!discovered.sprint && sprint) {
+    discovered.sprint = { field: sprint.fieldId, format: "id" };
+  }
+  if (!discovered.epic && metaFields.some(meta => meta.fieldId === "parent")) {
+    discovered.epic = { field: "parent", format: "key" };
+  }
+
+  for (const [attribute, fieldId] of [["components", "components"], ["fixVersion", "fixVersions"],
+    ["dueDate", "duedate"], ["priority", "priority"]]) {
+    if (!metaFields.some(meta => meta.fieldId === fieldId)) {
+      // Not on this project's create screen - sending it would fail the whole issue
+      discovered[attribute] = { field: null };
+    }
+  }
+
+  return discovered;
+}
+
+module.exports = {
+  JIRA_FIELD_FORMATS,
+  DEFAULT_JIRA_FIELD_MAPPING,
+  BUILT_IN_JIRA_FIELDS,
+  getJiraFieldMapping,
+  isFieldDiscoveryEnabled,
+  discoverFieldMapping,
+};
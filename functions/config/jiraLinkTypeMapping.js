@@ -0,0 +1,99 @@
+/**
+ * Jira Issue Link Type Mapping Configuration
+ *
+ * Maps each task relationship (see ISSUE_LINK_TYPES in schemas/taskSchemas.js) to a Jira issue link type:
+ * - name: Jira link type name ("Blocks", "Relates", "Duplicate", ...)
+ * - direction: "outward" when the task reads the link type's outward description ("TDS-1 blocks TDS-2"),
+ *   "inward" when it reads the inward one ("TDS-2 is blocked by TDS-1")
+ *
+ * Jira has no follow-up link type out of the box, so "follow-up of" is a "Relates" link unless a site adds
+ * its own. The default mapping can be overridden per relationship with JIRA_LINK_TYPE_MAPPING (JSON object
+ * keyed by relationship). Teams from the team registry apply their own "jiraLinkTypeMapping" on top.
+ */
+
+const { ISSUE_LINK_TYPES } = require("../schemas/taskSchemas");
+
+const DEFAULT_JIRA_LINK_TYPE_MAPPING = {
+  "blocks": { name: "Blocks", direction: "outward" },
+  "is blocked by": { name: "Blocks", direction: "inward" },
+  "relates to": { name: "Relates", direction: "outward" },
+  "duplicates": { name: "Duplicate", direction: "outward" },
+  "follow-up of": { name: "Relates", direction: "outward" },
+};
+
+/**
+ * Parse the JIRA_LINK_TYPE_MAPPING env var
+ * @returns {Object} Overrides keyed by relationship (empty if the env var is unset)
+ */
+function parseLinkTypeMappingEnv() {
+  if (!process.env.JIRA_LINK_TYPE_MAPPING) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.JIRA_LINK_TYPE_MAPPING);
+  } catch (error) {
+    throw new Error(`JIRA_LINK_TYPE_MAPPING is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Apply per-relationship overrides to a mapping, throwing on unknown relationships or malformed entries
+ * @param {Object} mapping - Base mapping keyed by relationship
+ * @param {Object} overrides - Overrides keyed by relationship (each replaces the fields it sets)
+ * @param {string} source - Where the overrides came from (for error messages)
+ * @returns {Object} New mapping
+ */
+function applyLinkTypeMappingOverrides(mapping, overrides, source) {
+  if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+    throw new Error(`${source} must be an object keyed by relationship`);
+  }
+
+  const merged = { ...mapping };
+  for (const [linkType, override] of Object.entries(overrides)) {
+    if (!ISSUE_LINK_TYPES.includes(linkType)) {
+      throw new Error(`${source} has unknown relationship "${linkType}" ` +
+        `(expected one of: ${ISSUE_LINK_TYPES.join(", ")})`);
+    }
+    if (override.name !== undefined && (typeof override.name !== "string" || !override.name.trim())) {
+      throw new Error(`${source} "${linkType}".name must be a Jira link type name`);
+    }
+    if (override.direction !== undefined && !["outward", "inward"].includes(override.direction)) {
+      throw new Error(`${source} "${linkType}".direction must be "outward" or "inward"`);
+    }
+    merged[linkType] = { ...merged[linkType], ...override };
+  }
+  return merged;
+}
+
+/**
+ * Get the Jira issue link type mapping for a team
+ * @param {Object|null} team - Team config from the team registry (null = default team)
+ * @returns {Object} Mapping keyed by relationship
+ */
+function getJiraLinkTypeMapping(team = null) {
+  const mapping = applyLinkTypeMappingOverrides(DEFAULT_JIRA_LINK_TYPE_MAPPING, parseLinkTypeMappingEnv(),
+    "JIRA_LINK_TYPE_MAPPING");
+  if (!team || !team.jiraLinkTypeMapping) {
+    return mapping;
+  }
+  return applyLinkTypeMappingOverrides(mapping, team.jiraLinkTypeMapping, `Team ${team.teamId} jiraLinkTypeMapping`);
+}
+
+/**
+ * Work out the Jira link for a task relationship
+ * @param {Object} link - { taskId, linkType, targetTaskId }
+ * @param {Object} mapping - Link type mapping (see getJiraLinkTypeMapping)
+ * @returns {Object} { name, fromKey, toKey } - reads "<fromKey> <outward description> <toKey>"
+ */
+function resolveJiraIssueLink(link, mapping) {
+  const { name, direction } = mapping[link.linkType];
+  return direction === "inward" ?
+    { name, fromKey: link.targetTaskId, toKey: link.taskId } :
+    { name, fromKey: link.taskId, toKey: link.targetTaskId };
+}
+
+module.exports = {
+  DEFAULT_JIRA_LINK_TYPE_MAPPING,
+  getJiraLinkTypeMapping,
+  resolveJiraIssueLink,
+};
@@ -0,0 +1,161 @@
+/**
+ * Jira Status Mapping Configuration
+ *
+ * Maps each internal task status (see TASK_STATUSES in schemas/taskSchemas.js) to the Jira workflow:
+ * - statuses: Jira status names that mean this task status (first one is the usual target)
+ * - transitions: Jira transition names that move an issue into this task status
+ * - resolution: resolution set on the transition when its screen has the field (optional)
+ *
+ * Status and transition names are matched case-insensitively. The default mapping can be overridden
+ * per task status with JIRA_STATUS_MAPPING (JSON object keyed by task status). Teams from the team
+ * registry apply their own "jiraStatusMapping" overrides on top.
+ */
+
+const { TASK_STATUSES } = require("../schemas/taskSchemas");
+
+const DEFAULT_JIRA_STATUS_MAPPING = {
+  "To-do": {
+    statuses: ["To Do", "Open", "Selected for Development", "Backlog"],
+    transitions: ["To Do", "Stop Progress", "Reopen", "Reopen Issue"],
+  },
+  "In-progress": {
+    statuses: ["In Progress"],
+    transitions: ["Start Progress", "In Progress", "Begin Work"],
+  },
+  "In Review": {
+    statuses: ["In Review", "Code Review", "Review"],
+    transitions: ["In Review", "Submit for Review", "Ready for Review", "Review"],
+  },
+  "Blocked": {
+    statuses: ["Blocked", "On Hold"],
+    transitions: ["Blocked", "Block", "Mark as Blocked", "Put on Hold"],
+  },
+  "Completed": {
+    statuses: ["Done", "Closed", "Resolved"],
+    transitions: ["Done", "Complete", "Close Issue", "Resolve Issue"],
+    resolution: "Done",
+  },
+  "Won't Do": {
+    statuses: ["Won't Do", "Cancelled", "Canceled", "Rejected"],
+    transitions: ["Won't Do", "Cancel", "Reject"],
+    resolution: "Won't Do",
+  },
+};
+
+/**
+ * Parse the JIRA_STATUS_MAPPING env var
+ * @returns {Object} Overrides keyed by task status (empty if the env var is unset)
+ */
+function parseStatusMappingEnv() {
+  if (!process.env.JIRA_STATUS_MAPPING) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.JIRA_STATUS_MAPPING);
+  } catch (error) {
+    throw new Error(`JIRA_STATUS_MAPPING is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Apply per-status overrides to a mapping, throwing on unknown statuses or malformed entries
+ * @param {Object} mapping - Base mapping keyed by task status
+ * @param {Object} overrides - Overrides keyed by task status (each replaces the fields it sets)
+ * @param {string} source - Where the overrides came from (for error messages)
+ * @returns {Object} New mapping
+ */
+function applyStatusMappingOverrides(mapping, overrides, source) {
+  if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+    throw new Error(`${source} must be an object keyed by task status`);
+  }
+
+  const merged = { ...mapping };
+  for (const [status, override] of Object.entries(overrides)) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new Error(`${source} has unknown task status "${status}" (expected one of: ${TASK_STATUSES.join(", ")})`);
+    }
+    for (const field of ["statuses", "transitions"]) {
+      if (override[field] !== undefined &&
+          (!Array.isArray(override[field]) || !override[field].every(name => typeof name === "string"))) {
+        throw new Error(`${source} "${status}".${field} must be an array of Jira names`);
+      }
+    }
+    merged[status] = { ...merged[status], ...override };
+  }
+  return merged;
+}
+
+/**
+ * Get the Jira status mapping for a team
+ * @param {Object|null} team - Team config from the team registry (null = default team)
+ * @returns {Object} Mapping keyed by task status
+ */
+function getJiraStatusMapping(team = null) {
+  const mapping = applyStatusMappingOverrides(DEFAULT_JIRA_STATUS_MAPPING, parseStatusMappingEnv(),
+    "JIRA_STATUS_MAPPING");
+  if (!team || !team.jiraStatusMapping) {
+    return mapping;
+  }
+  return applyStatusMappingOverrides(mapping, team.jiraStatusMapping, `Team ${team.teamId} jiraStatusMapping`);
+}
+
+/**
+ * Check whether a name is in a list of Jira names (case-insensitive)
+ * @param {string} name - Jira status or transition name
+ * @param {Array<string>} names - Configured names
+ * @returns {boolean} True if listed
+ */
+function includesJiraName(name, names = []) {
+  const lowerName = String(name || "").trim().toLowerCase();
+  return Boolean(lowerName) && names.some(candidate => candidate.toLowerCase() === lowerName);
+}
+
+/**
+ * Pick the Jira transition that moves an issue into a task status
+ * Transitions into a mapped Jira status win over transitions matched by name.
+ * @param {string} taskStatus - Internal task status (e.g. "Blocked")
+ * @param {Array<Object>} transitions - Available transitions from the Jira transitions API
+ * @param {Object} mapping - Status mapping (see getJiraStatusMapping)
+ * @returns {Object|null} Transition or null if none fits
+ */
+function findTransitionForStatus(taskStatus, transitions, mapping) {
+  const entry = mapping[taskStatus];
+  if (!entry) {
+    return null;
+  }
+  return transitions.find(transition => includesJiraName(transition.to?.name, entry.statuses)) ||
+    transitions.find(transition => includesJiraName(transition.name, entry.transitions)) ||
+    null;
+}
+
+/**
+ * Find the task status a Jira status name is mapped to
+ * @param {string} jiraStatusName - Jira status name
+ * @param {Object} mapping - Status mapping (see getJiraStatusMapping)
+ * @returns {string|null} Task status or null if the name is not mapped
+ */
+function getTaskStatusForJiraStatus(jiraStatusName, mapping) {
+  const match = Object.entries(mapping).find(([, entry]) => includesJiraName(jiraStatusName, entry.statuses));
+  return match ? match[0] : null;
+}
+
+/**
+ * Find the task status a Jira resolution is mapped to (e.g. "Won't Do" on a "Done" issue)
+ * @param {string} resolutionName - Jira resolution name
+ * @param {Object} mapping - Status mapping (see getJiraStatusMapping)
+ * @returns {string|null} Task status or null if the resolution is not mapped
+ */
+function getTaskStatusForJiraResolution(resolutionName, mapping) {
+  const match = Object.entries(mapping).find(([, entry]) =>
+    entry.resolution && includesJiraName(resolutionName, [entry.resolution]));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  DEFAULT_JIRA_STATUS_MAPPING,
+  getJiraStatusMapping,
+  includesJiraName,
+  findTransitionForStatus,
+  getTaskStatusForJiraStatus,
+  getTaskStatusForJiraResolution,
+};
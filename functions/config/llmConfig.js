@@ -0,0 +1,122 @@
+/**
+ * LLM Provider Configuration
+ *
+ * One place that decides which provider and models the pipeline uses. Set with environment
+ * variables:
+ * - LLM_PROVIDER: "openai" (default), "azure", "local" (any OpenAI-compatible endpoint) or "fake"
+ * - LLM_CHAT_MODEL: chat model (default "gpt-5-nano")
+ * - LLM_EMBEDDING_MODEL: embedding model (default "text-embedding-3-small")
+ *
+ * azure:  AZURE_OPENAI_API_KEY, AZURE_OPENAI_ENDPOINT or AZURE_OPENAI_API_INSTANCE_NAME,
+ *         AZURE_OPENAI_API_DEPLOYMENT_NAME, AZURE_OPENAI_API_EMBEDDINGS_DEPLOYMENT_NAME,
+ *         AZURE_OPENAI_API_VERSION
+ * local:  LLM_BASE_URL (e.g. http://localhost:11434/v1), LLM_API_KEY (optional)
+ * fake:   LLM_FAKE_RESPONSES - JSON file of canned responses (see services/integrations/fakeLlmProvider.js)
+ *
+ * LLM_PRICING overrides or adds model prices used for cost reporting, as JSON in USD per 1M tokens:
+ * {"my-local-model": {"input": 0, "output": 0}}
+ */
+
+const LLM_PROVIDERS = ["openai", "azure", "local", "fake"];
+
+const DEFAULT_CHAT_MODEL = "gpt-5-nano";
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-3-small";
+const DEFAULT_AZURE_API_VERSION = "2024-10-21";
+
+// text-embedding-3-small size; the fake provider produces vectors of the same size
+const DEFAULT_EMBEDDING_DIMENSIONS = 1536;
+
+// Published OpenAI list prices in USD per 1M tokens (embedding models only bill input)
+const MODEL_PRICING = {
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "text-embedding-3-small": { input: 0.02, output: 0 },
+  "text-embedding-3-large": { input: 0.13, output: 0 },
+  "text-embedding-ada-002": { input: 0.1, output: 0 },
+};
+
+/**
+ * Read the LLM configuration from the environment
+ * @returns {Object} { provider, chatModel, embeddingModel, embeddingDimensions, openai, azure, local, fake }
+ */
+function getLLMConfig() {
+  const provider = (process.env.LLM_PROVIDER || "openai").toLowerCase().trim();
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}" - expected one of ${LLM_PROVIDERS.join(", ")}`);
+  }
+
+  const chatModel = process.env.LLM_CHAT_MODEL || DEFAULT_CHAT_MODEL;
+  const embeddingModel = process.env.LLM_EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL;
+
+  return {
+    provider,
+    chatModel,
+    embeddingModel,
+    embeddingDimensions: DEFAULT_EMBEDDING_DIMENSIONS,
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+    },
+    azure: {
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      instanceName: process.env.AZURE_OPENAI_API_INSTANCE_NAME,
+      chatDeployment: process.env.AZURE_OPENAI_API_DEPLOYMENT_NAME || chatModel,
+      embeddingDeployment: process.env.AZURE_OPENAI_API_EMBEDDINGS_DEPLOYMENT_NAME || embeddingModel,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION,
+    },
+    local: {
+      baseUrl: process.env.LLM_BASE_URL,
+      // Most local servers ignore the key, but the OpenAI client requires one
+      apiKey: process.env.LLM_API_KEY || "not-needed",
+    },
+    fake: {
+      responsesFile: process.env.LLM_FAKE_RESPONSES,
+    },
+  };
+}
+
+/**
+ * Get a model's price, from LLM_PRICING first, then the built-in list
+ * Dated snapshots (e.g. "gpt-4o-mini-2024-07-18") use the price of their base model.
+ * @param {string} model - Model name
+ * @returns {Object|null} { input, output } in USD per 1M tokens, or null if the model has no price
+ */
+function getModelPricing(model) {
+  if (!model) {
+    return null;
+  }
+
+  let overrides = {};
+  if (process.env.LLM_PRICING) {
+    try {
+      overrides = JSON.parse(process.env.LLM_PRICING);
+    } catch (error) {
+      throw new Error(`LLM_PRICING is not valid JSON: ${error.message}`);
+    }
+  }
+  const pricing = { ...MODEL_PRICING, ...overrides };
+
+  if (pricing[model]) {
+    return pricing[model];
+  }
+  // Longest matching base name, so "gpt-5-mini-..." does not pick up the "gpt-5" price
+  const baseModel = Object.keys(pricing)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return baseModel ? pricing[baseModel] : null;
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  DEFAULT_CHAT_MODEL,
+  DEFAULT_EMBEDDING_MODEL,
+  MODEL_PRICING,
+  getLLMConfig,
+  getModelPricing,
+};
@@ -3,8 +3,20 @@
  * 
  * This file maps transcript participant names to their corresponding
  * Jira accountIds (no API lookup needed).
+ *
+ * Names now resolve through the participant directory (MongoDB participants collection, see
+ * services/core/participantDirectoryService.js). The static map below is the fallback used until
+ * the directory is loaded, and the seed for scripts/migrateParticipantsToMongo.js.
  */
 
+/**
+ * Get the participant directory service (lazy to avoid loading MongoDB with the config)
+ * @returns {Object} participantDirectoryService module
+ */
+function getParticipantDirectory() {
+  return require("../services/core/participantDirectoryService");
+}
+
 /**
  * Map of participant names (as they appear in transcripts) to their Jira accountIds
  * 
@@ -37,8 +49,17 @@ const PARTICIPANT_TO_JIRA_MAPPING = {
  */
 const DEFAULT_ASSIGNEE = "557058:abc123def456"; // or null
 
+/**
+ * Lower-case spelling variations seen in transcripts, keyed by canonical name
+ * Used as a fallback until the participant directory is loaded; migrated into its aliases.
+ */
+const LEGACY_NAME_ALIASES = {
+  "Faiyaz Rahman": ["fayaz", "faiyaz", "fayaz rahman", "faiyaz rahman", "faiyazrahman1685"],
+};
+
 /**
  * Normalize assignee name to handle common variations
+ * Directory aliases resolve to the participant's canonical name.
  * @param {string} name - Name to normalize
  * @returns {string} Normalized name
  */
@@ -47,19 +68,19 @@ function normalizeAssigneeName(name) {
     return name;
   }
 
+  const directory = getParticipantDirectory();
+  if (directory.isParticipantDirectoryLoaded()) {
+    const participant = directory.findParticipant(name);
+    return participant ? participant.name : name;
+  }
+
   const lowerName = name.toLowerCase().trim();
   
-  // Handle Fayaz/Faiyaz variations - normalize to "Faiyaz Rahman"
-  const fayazVariations = [
-    "fayaz",
-    "faiyaz", 
-    "fayaz rahman",
-    "faiyaz rahman",
-    "faiyazrahman1685"
-  ];
-  
-  if (fayazVariations.includes(lowerName)) {
-    return "Faiyaz Rahman";
+  // Handle known variations (e.g. Fayaz/Faiyaz) - normalize to the canonical name
+  for (const [canonicalName, variations] of Object.entries(LEGACY_NAME_ALIASES)) {
+    if (variations.includes(lowerName)) {
+      return canonicalName;
+    }
   }
   
   // Return original name if no normalization needed
@@ -69,25 +90,38 @@ function normalizeAssigneeName(name) {
 /**
  * Get Jira assignee accountId for a participant
  * @param {string} participantName - Name as it appears in transcript
+ * @param {Object} mapping - Participant → accountId map (defaults to PARTICIPANT_TO_JIRA_MAPPING; per-team maps
+ *   come from the team registry)
+ * @param {string|null} defaultAssignee - accountId used when the participant is not mapped
  * @returns {string|null} Jira accountId or null if not found
  */
-function getJiraAssigneeForParticipant(participantName) {
+function getJiraAssigneeForParticipant(
+  participantName,
+  mapping = PARTICIPANT_TO_JIRA_MAPPING,
+  defaultAssignee = DEFAULT_ASSIGNEE
+) {
   if (!participantName) {
-    return DEFAULT_ASSIGNEE;
+    return defaultAssignee;
+  }
+  
+  // Directory participants with a Jira account win over the static / team maps
+  const directoryParticipant = getParticipantDirectory().findParticipant(participantName);
+  if (directoryParticipant && directoryParticipant.jiraAccountId) {
+    return directoryParticipant.jiraAccountId;
   }
   
   // First normalize the participant name
   const normalizedName = normalizeAssigneeName(participantName);
   
   // Direct lookup
-  let assignee = PARTICIPANT_TO_JIRA_MAPPING[normalizedName];
+  let assignee = mapping[normalizedName];
   if (assignee) {
     return assignee;
   }
   
   // Try case-insensitive lookup
   const lowerName = normalizedName.toLowerCase();
-  for (const [mappedName, accountId] of Object.entries(PARTICIPANT_TO_JIRA_MAPPING)) {
+  for (const [mappedName, accountId] of Object.entries(mapping)) {
     if (mappedName.toLowerCase() === lowerName) {
       return accountId;
     }
@@ -95,21 +129,50 @@ function getJiraAssigneeForParticipant(participantName) {
   
   // Try partial matching (first name)
   const firstName = normalizedName.split(" ")[0].toLowerCase();
-  for (const [mappedName, accountId] of Object.entries(PARTICIPANT_TO_JIRA_MAPPING)) {
+  for (const [mappedName, accountId] of Object.entries(mapping)) {
     if (mappedName.toLowerCase().includes(firstName)) {
       return accountId;
     }
   }
   
   // Return default assignee if no mapping found
-  return DEFAULT_ASSIGNEE;
+  return defaultAssignee;
+}
+
+/**
+ * Get the participant name for a Jira accountId (reverse of getJiraAssigneeForParticipant)
+ * @param {string} accountId - Jira accountId
+ * @param {Object} mapping - Participant → accountId map used when the directory has no match
+ * @returns {string|null} Canonical participant name or null if the account is not mapped
+ */
+function getParticipantForJiraAccountId(accountId, mapping = PARTICIPANT_TO_JIRA_MAPPING) {
+  if (!accountId) {
+    return null;
+  }
+
+  const directoryParticipant = getParticipantDirectory().findParticipantByJiraAccountId(accountId);
+  if (directoryParticipant) {
+    return directoryParticipant.name;
+  }
+
+  // The static map lists nicknames too - prefer the fullest name
+  const names = Object.keys(mapping).filter(name => mapping[name] === accountId);
+  if (names.length === 0) {
+    return null;
+  }
+  names.sort((a, b) => b.split(" ").length - a.split(" ").length || b.length - a.length);
+  return normalizeAssigneeName(names[0]);
 }
 
 /**
  * Get all configured participants
- * @returns {Array<string>} List of participant names
+ * @returns {Array<string>} Canonical directory names, or the static map's names until the directory is loaded
  */
 function getAllParticipants() {
+  const directory = getParticipantDirectory();
+  if (directory.isParticipantDirectoryLoaded()) {
+    return directory.getDirectoryParticipantNames();
+  }
   return Object.keys(PARTICIPANT_TO_JIRA_MAPPING);
 }
 
@@ -143,7 +206,9 @@ function validateParticipantMapping() {
 module.exports = {
   PARTICIPANT_TO_JIRA_MAPPING,
   DEFAULT_ASSIGNEE,
+  LEGACY_NAME_ALIASES,
   getJiraAssigneeForParticipant,
+  getParticipantForJiraAccountId,
   getAllParticipants,
   validateParticipantMapping,
   normalizeAssigneeName,
@@ -0,0 +1,88 @@
+/**
+ * Task Decomposition Configuration
+ *
+ * Large new tasks ("rebuild the billing export") can be split into sub-tasks by the Task Creator and
+ * attached to an existing epic found by similarity search. Settings:
+ * - enabled: whether large tasks are decomposed at all (off by default)
+ * - minEstimatedHours / minStoryPoints: a task is large when its estimate or story points reach either
+ * - maxSubTasks: most sub-tasks one task is split into
+ * - epicThreshold: least similarity for an existing epic to become the task's parent
+ *
+ * The defaults can be overridden with TASK_DECOMPOSITION (JSON object, e.g. {"enabled": true,
+ * "minEstimatedHours": 24}). Teams from the team registry apply their own "taskDecomposition" on top.
+ */
+
+const DEFAULT_TASK_DECOMPOSITION = {
+  enabled: false,
+  minEstimatedHours: 16,
+  minStoryPoints: 8,
+  maxSubTasks: 6,
+  epicThreshold: 0.8,
+};
+
+/**
+ * Parse the TASK_DECOMPOSITION env var
+ * @returns {Object} Overrides (empty if the env var is unset)
+ */
+function parseTaskDecompositionEnv() {
+  if (!process.env.TASK_DECOMPOSITION) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.TASK_DECOMPOSITION);
+  } catch (error) {
+    throw new Error(`TASK_DECOMPOSITION is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Apply overrides to the decomposition settings, throwing on unknown or malformed settings
+ * @param {Object} settings - Base settings
+ * @param {Object} overrides - Settings to replace
+ * @param {string} source - Where the overrides came from (for error messages)
+ * @returns {Object} New settings
+ */
+function applyTaskDecompositionOverrides(settings, overrides, source) {
+  if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+    throw new Error(`${source} must be an object`);
+  }
+
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!(name in DEFAULT_TASK_DECOMPOSITION)) {
+      throw new Error(`${source} has unknown setting "${name}" ` +
+        `(expected one of: ${Object.keys(DEFAULT_TASK_DECOMPOSITION).join(", ")})`);
+    }
+    if (name === "enabled" && typeof value !== "boolean") {
+      throw new Error(`${source} "enabled" must be true or false`);
+    }
+    if (name === "epicThreshold" && (typeof value !== "number" || value < 0 || value > 1)) {
+      throw new Error(`${source} "epicThreshold" must be a number between 0 and 1`);
+    }
+    if (name === "maxSubTasks" && (!Number.isInteger(value) || value < 2)) {
+      throw new Error(`${source} "maxSubTasks" must be an integer of at least 2`);
+    }
+    if (["minEstimatedHours", "minStoryPoints"].includes(name) && (typeof value !== "number" || value <= 0)) {
+      throw new Error(`${source} "${name}" must be a positive number`);
+    }
+  }
+  return { ...settings, ...overrides };
+}
+
+/**
+ * Get the task decomposition settings for a team
+ * @param {Object|null} team - Team config from the team registry (null = default team)
+ * @returns {Object} Settings (see DEFAULT_TASK_DECOMPOSITION)
+ */
+function getTaskDecompositionConfig(team = null) {
+  const settings = applyTaskDecompositionOverrides(DEFAULT_TASK_DECOMPOSITION, parseTaskDecompositionEnv(),
+    "TASK_DECOMPOSITION");
+  if (!team || !team.taskDecomposition) {
+    return settings;
+  }
+  return applyTaskDecompositionOverrides(settings, team.taskDecomposition, `Team ${team.teamId} taskDecomposition`);
+}
+
+module.exports = {
+  DEFAULT_TASK_DECOMPOSITION,
+  getTaskDecompositionConfig,
+};
@@ -0,0 +1,369 @@
+/**
+ * Team Calendar Configuration
+ *
+ * Describes when a team holds its standup so the scheduler, the manual /fetch-transcript
+ * endpoint and the fetch scripts agree on which meeting day to process:
+ * - timezone: IANA timezone the team's days are counted in
+ * - meetingDays: weekdays the standup happens on
+ * - holidays: local dates (YYYY-MM-DD) with no standup
+ * - cutoffHour: runs before this local hour process the previous day's meeting
+ * - fetchHour: local hour the daily scheduled fetch runs at
+ * - overdueCheckHour: local hour overdue open tasks are posted to the team's Teams channel (on meeting days)
+ * - meetingUrlEnvVars: env var holding the meeting URL for each meeting day (legacy URL-based fetch)
+ * - sprintStartDate: local date (YYYY-MM-DD) any sprint of the team started on, or null if sprints are unknown
+ * - sprintLengthDays: length of a sprint in days (resolves deadlines like "end of sprint")
+ *
+ * The default team can be overridden with TEAM_TIMEZONE, TEAM_MEETING_DAYS, TEAM_HOLIDAYS,
+ * TEAM_CUTOFF_HOUR, TEAM_FETCH_HOUR, TEAM_OVERDUE_CHECK_HOUR, TEAM_SPRINT_START and
+ * TEAM_SPRINT_LENGTH_DAYS. Teams from the team registry start from the default calendar and apply
+ * their own "calendar" overrides.
+ */
+
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/**
+ * Calendars keyed by team ID
+ * Holidays may be plain dates or { date, name } objects.
+ */
+const TEAM_CALENDARS = {
+  default: {
+    teamId: "default",
+    timezone: "Asia/Dhaka",
+    meetingDays: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday"],
+    holidays: [
+      // { date: "2025-12-16", name: "Victory Day" },
+    ],
+    cutoffHour: 6,
+    fetchHour: 2,
+    overdueCheckHour: 9,
+    meetingUrlEnvVars: {
+      Monday: "DAILY_STANDUP_URL_MWF",
+      Wednesday: "DAILY_STANDUP_URL_MWF",
+      Friday: "DAILY_STANDUP_URL_MWF",
+      Tuesday: "DAILY_STANDUP_URL_TT",
+      Thursday: "DAILY_STANDUP_URL_TT",
+    },
+    sprintStartDate: null,
+    sprintLengthDays: 14,
+  },
+};
+
+/**
+ * Parse a comma-separated env var into a trimmed list
+ * @param {string} value - Env var value
+ * @returns {Array<string>|null} List, or null if the env var is unset
+ */
+function parseListEnv(value) {
+  if (!value) {
+    return null;
+  }
+  return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse an hour (0-23) env var
+ * @param {string} value - Env var value
+ * @param {string} name - Env var name (for the error message)
+ * @returns {number|null} Hour, or null if the env var is unset
+ */
+function parseHourEnv(value, name) {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  const hour = parseInt(value, 10);
+  if (isNaN(hour) || hour < 0 || hour > 23) {
+    throw new Error(`${name} must be an hour between 0 and 23`);
+  }
+  return hour;
+}
+
+/**
+ * Validate a team calendar, throwing on the first problem
+ * @param {Object} calendar - Team calendar
+ * @returns {Object} The same calendar
+ */
+function validateTeamCalendar(calendar) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: calendar.timezone });
+  } catch {
+    throw new Error(`Invalid timezone for team ${calendar.teamId}: ${calendar.timezone}`);
+  }
+
+  for (const day of calendar.meetingDays) {
+    if (!DAY_NAMES.includes(day)) {
+      throw new Error(`Invalid meeting day for team ${calendar.teamId}: ${day}`);
+    }
+  }
+
+  for (const holiday of calendar.holidays) {
+    const date = typeof holiday === "string" ? holiday : holiday.date;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "")) {
+      throw new Error(`Invalid holiday date for team ${calendar.teamId}: ${date} (expected YYYY-MM-DD)`);
+    }
+  }
+
+  if (calendar.sprintStartDate && !/^\d{4}-\d{2}-\d{2}$/.test(calendar.sprintStartDate)) {
+    throw new Error(`Invalid sprint start date for team ${calendar.teamId}: ${calendar.sprintStartDate} ` +
+      "(expected YYYY-MM-DD)");
+  }
+  if (!Number.isInteger(calendar.sprintLengthDays) || calendar.sprintLengthDays < 1) {
+    throw new Error(`Invalid sprint length for team ${calendar.teamId}: ${calendar.sprintLengthDays} ` +
+      "(expected a whole number of days)");
+  }
+
+  return calendar;
+}
+
+/**
+ * Get the calendar for a team, with env overrides applied to the default team
+ * @param {string} teamId - Team ID (defaults to "default")
+ * @returns {Object} Team calendar
+ */
+function getTeamCalendar(teamId = "default") {
+  const baseCalendar = TEAM_CALENDARS[teamId];
+
+  if (!baseCalendar) {
+    // Teams from the registry (TEAMS_CONFIG) override the default team's calendar
+    const { getTeam } = require("./teamRegistry");
+    const team = getTeam(teamId);
+    return validateTeamCalendar({ ...TEAM_CALENDARS.default, ...team.calendar, teamId });
+  }
+
+  if (teamId !== "default") {
+    return validateTeamCalendar({ ...baseCalendar });
+  }
+
+  const cutoffHour = parseHourEnv(process.env.TEAM_CUTOFF_HOUR, "TEAM_CUTOFF_HOUR");
+  const fetchHour = parseHourEnv(process.env.TEAM_FETCH_HOUR, "TEAM_FETCH_HOUR");
+  const overdueCheckHour = parseHourEnv(process.env.TEAM_OVERDUE_CHECK_HOUR, "TEAM_OVERDUE_CHECK_HOUR");
+  const sprintLengthDays = process.env.TEAM_SPRINT_LENGTH_DAYS ?
+    Number(process.env.TEAM_SPRINT_LENGTH_DAYS) : baseCalendar.sprintLengthDays;
+
+  return validateTeamCalendar({
+    ...baseCalendar,
+    timezone: process.env.TEAM_TIMEZONE || baseCalendar.timezone,
+    meetingDays: parseListEnv(process.env.TEAM_MEETING_DAYS) || baseCalendar.meetingDays,
+    holidays: parseListEnv(process.env.TEAM_HOLIDAYS) || baseCalendar.holidays,
+    cutoffHour: cutoffHour !== null ? cutoffHour : baseCalendar.cutoffHour,
+    fetchHour: fetchHour !== null ? fetchHour : baseCalendar.fetchHour,
+    overdueCheckHour: overdueCheckHour !== null ? overdueCheckHour : baseCalendar.overdueCheckHour,
+    sprintStartDate: process.env.TEAM_SPRINT_START || baseCalendar.sprintStartDate,
+    sprintLengthDays,
+  });
+}
+
+/**
+ * Get local date/time components of a moment in a timezone
+ * @param {Date} date - Moment to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second, dayOfWeek, dateString }
+ */
+function getZonedTimeComponents(date, timezone) {
+  const formatter = new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false,
+  });
+
+  const parts = formatter.formatToParts(date);
+  const getPart = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  const year = getPart("year");
+  const month = getPart("month");
+  const day = getPart("day");
+  const dateString = `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+
+  return {
+    year,
+    month,
+    day,
+    // Some runtimes format midnight as hour 24
+    hour: getPart("hour") % 24,
+    minute: getPart("minute"),
+    second: getPart("second"),
+    dayOfWeek: getDayOfWeek(dateString),
+    dateString,
+  };
+}
+
+/**
+ * Get the weekday of a calendar date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {number} Day of week (0 = Sunday)
+ */
+function getDayOfWeek(dateString) {
+  return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Add days to a calendar date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+function shiftDateString(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the holiday entry for a date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {Object} calendar - Team calendar
+ * @returns {Object|null} { date, name } or null if not a holiday
+ */
+function getHoliday(dateString, calendar) {
+  for (const holiday of calendar.holidays) {
+    const holidayEntry = typeof holiday === "string" ? { date: holiday, name: null } : holiday;
+    if (holidayEntry.date === dateString) {
+      return holidayEntry;
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out which meeting day a run at the given moment should process
+ * Before cutoffHour (local time) the previous day's meeting is processed.
+ * @param {Date} currentDate - Moment of the run (defaults to now)
+ * @param {Object} calendar - Team calendar (defaults to the default team)
+ * @returns {Object} Target date info, including shouldFetch and skipReason
+ */
+function resolveTargetMeetingDate(currentDate = new Date(), calendar = getTeamCalendar()) {
+  const local = getZonedTimeComponents(currentDate, calendar.timezone);
+  const usedPreviousDay = local.hour < calendar.cutoffHour;
+  const dateString = usedPreviousDay ? shiftDateString(local.dateString, -1) : local.dateString;
+  const dayOfWeek = getDayOfWeek(dateString);
+  const dayName = DAY_NAMES[dayOfWeek];
+  const isMeetingDay = calendar.meetingDays.includes(dayName);
+  const holiday = getHoliday(dateString, calendar);
+
+  let skipReason = null;
+  if (holiday) {
+    skipReason = `${dateString} is a holiday${holiday.name ? ` (${holiday.name})` : ""}`;
+  } else if (!isMeetingDay) {
+    skipReason = `No standup on ${dayName}`;
+  }
+
+  return {
+    teamId: calendar.teamId,
+    timezone: calendar.timezone,
+    dateString,
+    dayOfWeek,
+    dayName,
+    usedPreviousDay,
+    isMeetingDay,
+    holiday,
+    shouldFetch: !skipReason,
+    skipReason,
+    local,
+  };
+}
+
+/**
+ * Get the UTC offset of a timezone at a moment (e.g. "+06:00")
+ * @param {Date} moment - Moment to get the offset at
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Offset in ±HH:MM format
+ */
+function getOffsetAt(moment, timezone) {
+  const offsetName = new Intl.DateTimeFormat("en-US", { timeZone: timezone, timeZoneName: "longOffset" })
+    .formatToParts(moment)
+    .find(part => part.type === "timeZoneName").value;
+  // "GMT" alone means UTC
+  return offsetName === "GMT" ? "+00:00" : offsetName.replace("GMT", "");
+}
+
+/**
+ * Get the UTC offset of a timezone on a date (e.g. "+06:00"), taken at midday
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Offset in ±HH:MM format
+ */
+function getTimezoneOffset(dateString, timezone) {
+  return getOffsetAt(new Date(`${dateString}T12:00:00Z`), timezone);
+}
+
+/**
+ * Convert a local wall-clock time in a timezone to a Date
+ * The offset is looked up twice (at the wall-clock time read as UTC, then at the first result) so
+ * times on a day when daylight saving time starts or ends use the offset in force at that time.
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} time - Local time in HH:MM:SS(.sss) format
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} The moment
+ */
+function localTimeToDate(dateString, time, timezone) {
+  const wallClock = `${dateString}T${time}`;
+  const firstGuess = new Date(`${wallClock}${getOffsetAt(new Date(`${wallClock}Z`), timezone)}`);
+  return new Date(`${wallClock}${getOffsetAt(firstGuess, timezone)}`);
+}
+
+/**
+ * Get the UTC bounds of a local calendar day for a team
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {Object} calendar - Team calendar (defaults to the default team)
+ * @returns {Object} { start, end } Date objects
+ */
+function getLocalDayRange(dateString, calendar = getTeamCalendar()) {
+  return {
+    start: localTimeToDate(dateString, "00:00:00", calendar.timezone),
+    end: localTimeToDate(dateString, "23:59:59.999", calendar.timezone),
+  };
+}
+
+/**
+ * Format sorted cron weekdays, writing runs of three or more days as a range (e.g. "2-6", "1,3,5")
+ * @param {Array<number>} days - Sorted day indexes (0 = Sunday)
+ * @returns {string} Day-of-week field
+ */
+function formatCronDays(days) {
+  const runs = [];
+  for (const day of days) {
+    const lastRun = runs[runs.length - 1];
+    if (lastRun && day === lastRun[lastRun.length - 1] + 1) {
+      lastRun.push(day);
+    } else {
+      runs.push([day]);
+    }
+  }
+  return runs
+    .map(run => (run.length >= 3 ? `${run[0]}-${run[run.length - 1]}` : run.join(",")))
+    .join(",");
+}
+
+/**
+ * Build the cron expression for the daily fetch from the team calendar
+ * When fetchHour is before cutoffHour the run processes the previous day, so it fires the day after each meeting.
+ * @param {Object} calendar - Team calendar (defaults to the default team)
+ * @returns {string} Cron expression, evaluated in calendar.timezone
+ */
+function getFetchSchedule(calendar = getTeamCalendar()) {
+  const runsNextDay = calendar.fetchHour < calendar.cutoffHour;
+  const runDays = [...new Set(calendar.meetingDays.map(day => {
+    const dayIndex = DAY_NAMES.indexOf(day);
+    return runsNextDay ? (dayIndex + 1) % 7 : dayIndex;
+  }))].sort((a, b) => a - b);
+
+  return `0 ${calendar.fetchHour} * * ${formatCronDays(runDays)}`;
+}
+
+module.exports = {
+  DAY_NAMES,
+  TEAM_CALENDARS,
+  getTeamCalendar,
+  validateTeamCalendar,
+  getZonedTimeComponents,
+  getDayOfWeek,
+  shiftDateString,
+  getHoliday,
+  resolveTargetMeetingDate,
+  getTimezoneOffset,
+  getLocalDayRange,
+  getFetchSchedule,
+};
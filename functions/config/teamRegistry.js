@@ -0,0 +1,169 @@
+/**
+ * Team Registry Configuration
+ *
+ * One deployment can serve several squads. Each team has its own:
+ * - targetUserId: Microsoft Graph user whose meetings are fetched
+ * - jiraProjectKey: Jira project new issues are created in
+ * - teamsWebhookUrl: Teams channel the standup summary and overdue tasks are posted to
+ * - participantMapping: transcript name → Jira accountId (see participantMapping.js)
+ * - ticketCounter: MongoDB counter and prefix for SP-style ticket IDs
+ * - calendar: overrides of the default team calendar, including sprint dates (see teamCalendar.js)
+ * - jiraStatusMapping: overrides of the task status → Jira workflow mapping (see jiraStatusMapping.js)
+ * - jiraFieldMapping / jiraFieldDiscovery: overrides of the task attribute → Jira field mapping and whether field
+ *   ids are discovered from createmeta (see jiraFieldMapping.js)
+ * - jiraLinkTypeMapping: overrides of the task relationship → Jira issue link type mapping
+ *   (see jiraLinkTypeMapping.js)
+ * - jiraSubTaskIssueType: issue type sub-tasks are created with (e.g. "Subtask" in team-managed projects)
+ * - taskDecomposition: overrides of when large tasks are split into sub-tasks and attached to epics
+ *   (see taskDecomposition.js)
+ *
+ * The "default" team is built from the existing single-team env vars (TARGET_USER_ID, JIRA_PROJECT_KEY,
+ * TEAMS_WEBHOOK_URL) and PARTICIPANT_TO_JIRA_MAPPING, so single-team deployments need no changes.
+ * Extra teams come from the TEAMS_CONFIG env var, a JSON array of team objects, e.g.
+ * [{"teamId": "payments", "name": "Payments", "targetUserId": "...", "jiraProjectKey": "PAY",
+ *   "teamsWebhookUrl": "https://...", "participantMapping": {"Jane Doe": "712020:..."},
+ *   "calendar": {"timezone": "Europe/London"}}]
+ */
+
+const { PARTICIPANT_TO_JIRA_MAPPING, DEFAULT_ASSIGNEE } = require("./participantMapping");
+
+const DEFAULT_TEAM_ID = "default";
+
+/**
+ * Build the default team from the single-team env vars
+ * @returns {Object} Default team config
+ */
+function buildDefaultTeam() {
+  return {
+    teamId: DEFAULT_TEAM_ID,
+    name: "Default team",
+    targetUserId: process.env.TARGET_USER_ID || null,
+    jiraProjectKey: (process.env.JIRA_PROJECT_KEY || "TDS").toUpperCase(),
+    teamsWebhookUrl: process.env.TEAMS_WEBHOOK_URL || null,
+    participantMapping: PARTICIPANT_TO_JIRA_MAPPING,
+    defaultAssignee: DEFAULT_ASSIGNEE,
+    ticketCounter: { counterId: "ticket_counter", prefix: "SP" },
+    calendar: {},
+  };
+}
+
+/**
+ * Parse extra teams from the TEAMS_CONFIG env var
+ * @returns {Array<Object>} Team configs with defaults applied
+ */
+function parseTeamsConfig() {
+  if (!process.env.TEAMS_CONFIG) {
+    return [];
+  }
+
+  let teams;
+  try {
+    teams = JSON.parse(process.env.TEAMS_CONFIG);
+  } catch (error) {
+    throw new Error(`TEAMS_CONFIG is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(teams)) {
+    throw new Error("TEAMS_CONFIG must be a JSON array of team objects");
+  }
+
+  return teams.map(team => ({
+    name: team.teamId,
+    teamsWebhookUrl: null,
+    participantMapping: {},
+    defaultAssignee: null,
+    calendar: {},
+    ...team,
+    jiraProjectKey: team.jiraProjectKey ? String(team.jiraProjectKey).toUpperCase() : team.jiraProjectKey,
+    // Separate counter per team so SP-style IDs never collide across squads
+    ticketCounter: {
+      counterId: `ticket_counter_${team.teamId}`,
+      prefix: "SP",
+      ...team.ticketCounter,
+    },
+  }));
+}
+
+/**
+ * Validate a team config, throwing on the first problem
+ * @param {Object} team - Team config
+ * @returns {Object} The same team
+ */
+function validateTeam(team) {
+  if (!team.teamId || !/^[a-z0-9_-]+$/i.test(team.teamId)) {
+    throw new Error(`Invalid teamId "${team.teamId}" (letters, digits, "-" and "_" only)`);
+  }
+  if (!team.jiraProjectKey || !/^[A-Z][A-Z0-9]+$/.test(team.jiraProjectKey)) {
+    throw new Error(`Team ${team.teamId} needs a valid jiraProjectKey (e.g. "TDS")`);
+  }
+  if (typeof team.participantMapping !== "object" || team.participantMapping === null) {
+    throw new Error(`Team ${team.teamId} participantMapping must be an object`);
+  }
+  return team;
+}
+
+/**
+ * Get every registered team (default team first)
+ * @returns {Array<Object>} Team configs
+ */
+function listTeams() {
+  const teams = [buildDefaultTeam(), ...parseTeamsConfig()].map(validateTeam);
+
+  const seenIds = new Set();
+  for (const team of teams) {
+    if (seenIds.has(team.teamId)) {
+      throw new Error(`Duplicate teamId in team registry: ${team.teamId}`);
+    }
+    seenIds.add(team.teamId);
+  }
+
+  return teams;
+}
+
+/**
+ * Get a team by ID
+ * @param {string} teamId - Team ID (defaults to the default team)
+ * @returns {Object} Team config
+ */
+function getTeam(teamId = DEFAULT_TEAM_ID) {
+  const team = listTeams().find(t => t.teamId === teamId);
+  if (!team) {
+    throw new Error(`Unknown team: ${teamId}`);
+  }
+  return team;
+}
+
+/**
+ * Get the teams the scheduled fetch should run for (those with a Graph target user)
+ * @returns {Array<Object>} Team configs with targetUserId set
+ */
+function getFetchableTeams() {
+  return listTeams().filter(team => Boolean(team.targetUserId));
+}
+
+/**
+ * Get the Jira project keys of all teams (used to recognise Jira issue keys)
+ * @returns {Array<string>} Upper-case project keys
+ */
+function getJiraProjectKeys() {
+  return [...new Set(listTeams().map(team => team.jiraProjectKey))];
+}
+
+/**
+ * Find the team that owns a Jira issue key
+ * @param {string} issueKey - Jira issue key (e.g. "PAY-12")
+ * @returns {Object|null} Team config or null if no team uses that project
+ */
+function getTeamForIssueKey(issueKey) {
+  const projectKey = String(issueKey || "").toUpperCase().split("-")[0];
+  return listTeams().find(team => team.jiraProjectKey === projectKey) || null;
+}
+
+module.exports = {
+  DEFAULT_TEAM_ID,
+  listTeams,
+  getTeam,
+  getFetchableTeams,
+  getJiraProjectKeys,
+  getTeamForIssueKey,
+  validateTeam,
+};
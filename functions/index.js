@@ -43,13 +43,61 @@ if (process.env.NODE_ENV === "production" && !process.env.OPENAI_API_KEY) {
   process.env.TEAMS_WEBHOOK_URL = functions.config().teams?.webhook_url;
   // NEW: All meetings support
   process.env.TARGET_USER_ID = functions.config().target?.user_id;
+  process.env.API_AUTH_TOKEN = functions.config().api?.auth_token;
+  process.env.JIRA_WEBHOOK_SECRET = functions.config().jira?.webhook_secret;
+
+  // LLM provider settings (config/llmConfig.js) - only mapped when set so the defaults apply otherwise
+  const llmSettings = {
+    LLM_PROVIDER: functions.config().llm?.provider,
+    LLM_CHAT_MODEL: functions.config().llm?.chat_model,
+    LLM_EMBEDDING_MODEL: functions.config().llm?.embedding_model,
+    LLM_BASE_URL: functions.config().llm?.base_url,
+    LLM_API_KEY: functions.config().llm?.api_key,
+    AZURE_OPENAI_API_KEY: functions.config().azure_openai?.api_key,
+    AZURE_OPENAI_ENDPOINT: functions.config().azure_openai?.endpoint,
+    AZURE_OPENAI_API_DEPLOYMENT_NAME: functions.config().azure_openai?.deployment,
+    AZURE_OPENAI_API_EMBEDDINGS_DEPLOYMENT_NAME: functions.config().azure_openai?.embeddings_deployment,
+    AZURE_OPENAI_API_VERSION: functions.config().azure_openai?.api_version,
+  };
+  for (const [name, value] of Object.entries(llmSettings)) {
+    if (value) {
+      process.env[name] = value;
+    }
+  }
 }
 
 // Import our services
-const {processTranscriptToTasksWithPipeline} = require("./services/core/taskProcessor");
-const {getBangladeshTimeComponents} = require("./services/utilities/meetingUrlService");
+const {processTranscriptToTasksWithPipeline, processUploadedTranscript} = require("./services/core/taskProcessor");
+const {
+  getTeamCalendar, resolveTargetMeetingDate, getLocalDayRange, getFetchSchedule, getZonedTimeComponents,
+} = require("./config/teamCalendar");
+const {listTeams, getTeam, getFetchableTeams} = require("./config/teamRegistry");
 // Main service: All meetings approach
 const {fetchAllMeetingsForUser} = require("./services/integrations/allMeetingsService");
+// Approval queue for new tasks (used when REQUIRE_TASK_APPROVAL=true)
+const {
+  getApprovalQueueItems, getApprovalQueueItem, findTasks, getTaskByTicketId, updateTaskByTicketId, buildTeamQuery,
+  getJiraSyncConflicts, getTranscriptByTranscriptId, findTasksWithTimeSpent,
+} = require("./services/storage/mongoService");
+const {verifyTranscriptLink, getLinkedEntries} = require("./services/utilities/transcriptSourceService");
+const {summarizeTimeSpent} = require("./services/utilities/timeSpentService");
+const {editQueuedTask, approveQueuedTasks, rejectQueuedTasks} = require("./services/core/approvalService");
+const {reprocessTranscript} = require("./services/core/reprocessService");
+const {syncJiraChanges, handleJiraWebhookEvent} = require("./services/core/jiraSyncService");
+const {
+  isOverdueCheckDue, getOverdueTaskReport, notifyOverdueTasks,
+} = require("./services/core/overdueTaskService");
+const {resolveJiraFieldMapping, getJiraOptionsForTeam} = require("./services/integrations/jiraService");
+const {
+  TaskUpdateRequestSchema, ParticipantCreateSchema, ParticipantUpdateSchema, ApprovalQuerySchema, TaskQuerySchema,
+  ApprovalTaskEditSchema,
+} = require("./schemas/taskSchemas");
+const {
+  getParticipants, getParticipant, createParticipant, editParticipant, removeParticipant, findParticipant,
+  refreshParticipantDirectory,
+} = require("./services/core/participantDirectoryService");
+const {requireApiAuth} = require("./middleware/apiAuth");
+const {requireJiraWebhookSecret} = require("./middleware/jiraWebhookAuth");
 
 // For cost control, set maximum container instances
 setGlobalOptions({maxInstances: 10});
@@ -57,169 +105,246 @@ setGlobalOptions({maxInstances: 10});
 // Create Express app for HTTP endpoints
 const app = express();
 app.use(cors({origin: true}));
-app.use(express.json());
+// Uploaded transcripts can be larger than the default 100kb body limit
+app.use(express.json({limit: "5mb"}));
 
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.json({
     message: "Standup Tickets SP Service is running - All Meetings Approach",
     timestamp: new Date().toISOString(),
-    timezone: "Asia/Dhaka",
+    timezone: getTeamCalendar().timezone,
     targetUserId: process.env.TARGET_USER_ID ? process.env.TARGET_USER_ID.substring(0, 20) + "..." : "Not configured",
+    teams: listTeams().map((team) => team.teamId),
     approach: "ALL_MEETINGS"
   });
 });
 
+/**
+ * Fetch one team's transcripts for its target meeting day and run them through the 3-Stage Pipeline
+ * @param {Object} team - Team config from the team registry
+ * @param {Date} currentTime - Moment of the run (the target day comes from the team's calendar)
+ * @param {Object} options - { force } fetches on holidays and non-meeting days too
+ * @returns {Promise<Object>} Team result with skip info, transcript counts and per-transcript task results
+ */
+async function fetchAndProcessTeamTranscripts(team, currentTime, options = {}) {
+  const target = resolveTargetMeetingDate(currentTime, getTeamCalendar(team.teamId));
+  const targetDateForFile = target.dateString;
+  const teamResult = {
+    teamId: team.teamId,
+    targetDate: targetDateForFile,
+    targetDay: target.dayName,
+    skipped: false,
+    skipReason: target.skipReason,
+    totalTranscripts: 0,
+    successfullyProcessed: 0,
+    failedProcessing: 0,
+    results: [],
+  };
+
+  logger.info("🆕 Fetching team transcripts using ALL MEETINGS approach", {
+    teamId: team.teamId,
+    targetUserId: team.targetUserId.substring(0, 20) + "...",
+    targetDate: targetDateForFile,
+    targetDay: target.dayName,
+    timezone: target.timezone,
+    usedPreviousDay: target.usedPreviousDay,
+    skipReason: target.skipReason,
+  });
+
+  // Holidays and non-meeting days have no standup
+  if (!target.shouldFetch && !options.force) {
+    logger.info("⏭️ Skipping team transcript fetch", {
+      teamId: team.teamId,
+      targetDate: targetDateForFile,
+      reason: target.skipReason,
+    });
+    return {...teamResult, skipped: true};
+  }
+
+  const allTranscriptsResults = await fetchAllMeetingsForUser(team.targetUserId, targetDateForFile);
+  teamResult.totalTranscripts = allTranscriptsResults.length;
+
+  if (allTranscriptsResults.length === 0) {
+    logger.warn("No transcripts found for target date", {
+      teamId: team.teamId,
+      date: targetDateForFile,
+      targetUserId: team.targetUserId.substring(0, 20) + "...",
+      possibleReasons: [
+        "No meetings occurred on the target date",
+        "No transcripts were generated",
+        "Transcription is still processing",
+        "User calendar access issues",
+      ],
+    });
+    return teamResult;
+  }
+
+  // 🚀 Processing context for multi-transcript 3-Stage Pipeline, scoped to this team's
+  // Jira project, webhook, participant map and existing tasks
+  const processingContext = {
+    isMultiTranscript: allTranscriptsResults.length > 1,
+    totalTranscripts: allTranscriptsResults.length,
+    sessionStartTime: new Date().toISOString(),
+    team,
+  };
+
+  for (let i = 0; i < allTranscriptsResults.length; i++) {
+    const transcriptData = allTranscriptsResults[i];
+
+    logger.info(`🚀 Pipeline processing transcript ${i + 1}/${allTranscriptsResults.length}`, {
+      teamId: team.teamId,
+      meetingSubject: transcriptData.metadata.meetingSubject,
+      entries: transcriptData.metadata.entryCount,
+      filename: transcriptData.metadata.filename,
+      pipelineVersion: "1.0"
+    });
+
+    try {
+      const taskResult = await processTranscriptToTasksWithPipeline(
+        transcriptData.transcript,
+        transcriptData.metadata,
+        {...processingContext, transcriptIndex: i + 1}
+      );
+
+      logger.info(`Transcript ${i + 1} processed successfully`, {
+        teamId: team.teamId,
+        meetingSubject: transcriptData.metadata.meetingSubject,
+        participantCount: taskResult.summary.participantCount,
+        extractedTasks: taskResult.summary.extractedTasks,
+        newTasksCreated: taskResult.summary.newTasksCreated,
+        existingTasksUpdated: taskResult.summary.existingTasksUpdated,
+        jiraIssuesCreated: taskResult.summary.jiraIssuesCreated,
+      });
+
+      teamResult.results.push({
+        transcript: transcriptData,
+        tasks: taskResult,
+        success: true,
+      });
+      teamResult.successfullyProcessed++;
+    } catch (taskError) {
+      logger.error(`Transcript ${i + 1} processing failed`, {
+        teamId: team.teamId,
+        meetingSubject: transcriptData.metadata.meetingSubject,
+        filename: transcriptData.metadata.filename,
+        error: taskError.message,
+        stack: taskError.stack,
+      });
+      teamResult.results.push({
+        transcript: transcriptData,
+        tasks: null,
+        success: false,
+        error: taskError.message,
+      });
+      teamResult.failedProcessing++;
+      // Continue processing other transcripts
+    }
+  }
+
+  return teamResult;
+}
+
 // Manual transcript fetch endpoint - All Meetings Approach
+// Body (optional): { "teamId": "payments" } fetches one team, { "force": true } fetches on holidays too
 app.post("/fetch-transcript", async (req, res) => {
   try {
-    // Validate TARGET_USER_ID is configured
-    if (!process.env.TARGET_USER_ID) {
+    let teams;
+    try {
+      teams = req.body?.teamId ? [getTeam(req.body.teamId)] : getFetchableTeams();
+    } catch (teamError) {
       return res.status(400).json({
-        error: "All Meetings approach requires configuration",
-        message: "TARGET_USER_ID environment variable must be set to use All Meetings approach",
-        approach: "ALL_MEETINGS",
+        error: teamError.message,
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Calculate target date for processing
-    const bdTimeForFile = getBangladeshTimeComponents(new Date());
-    let targetDateForFile = bdTimeForFile.dateString;
-    
-    if (bdTimeForFile.hour >= 0 && bdTimeForFile.hour < 6) {
-      // Early morning - use previous day for filename
-      // Fix: Use dateString directly to avoid timezone issues
-      const targetDateObj = new Date(bdTimeForFile.dateString);
-      targetDateObj.setDate(targetDateObj.getDate() - 1);
-      targetDateForFile = targetDateObj.toISOString().slice(0, 10);
+    // Validate a target user is configured (TARGET_USER_ID for the default team)
+    if (teams.length === 0 || !teams.every((team) => team.targetUserId)) {
+      return res.status(400).json({
+        error: "All Meetings approach requires configuration",
+        message: "TARGET_USER_ID environment variable (or the team's targetUserId) must be set " +
+          "to use All Meetings approach",
+        approach: "ALL_MEETINGS",
+        timestamp: new Date().toISOString(),
+      });
     }
 
-    // Enhanced logging for manual fetch
     const currentTime = new Date();
-    const bangladeshTime = new Date(currentTime.toLocaleString("en-US", {timeZone: "Asia/Dhaka"}));
-    const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
-    const currentDayName = dayNames[bangladeshTime.getDay()];
-
     logger.info("🆕 Manual fetch using ALL MEETINGS approach", {
-      targetUserId: process.env.TARGET_USER_ID.substring(0, 20) + "...",
-      targetDate: targetDateForFile,
+      teamIds: teams.map((team) => team.teamId),
       requestedAt: currentTime.toISOString(),
-      bangladeshTime: bangladeshTime.toISOString(),
-      currentDay: currentDayName,
-      isWeekend: bangladeshTime.getDay() === 0 || bangladeshTime.getDay() === 6
     });
-    
-    let allTranscriptsResults = [];
-    
-    try {
-      const allTranscripts = await fetchAllMeetingsForUser(process.env.TARGET_USER_ID, targetDateForFile);
-      
-      if (allTranscripts.length > 0) {
-        logger.info("Manual fetch: All meetings fetched successfully", {
-          transcriptCount: allTranscripts.length,
-          targetDate: targetDateForFile,
-        });
-        allTranscriptsResults = allTranscripts;
-      } else {
-        logger.info("Manual fetch: No transcripts found", {
-          targetDate: targetDateForFile,
-          userId: process.env.TARGET_USER_ID.substring(0, 20) + "...",
+
+    const teamResults = [];
+    for (const team of teams) {
+      try {
+        teamResults.push(await fetchAndProcessTeamTranscripts(team, currentTime, {force: req.body?.force === true}));
+      } catch (teamFetchError) {
+        logger.error("Manual fetch: All meetings approach failed", {
+          teamId: team.teamId,
+          error: teamFetchError.message,
         });
+        teamResults.push({teamId: team.teamId, success: false, error: teamFetchError.message});
       }
-    } catch (allMeetingsError) {
-      logger.error("Manual fetch: All meetings approach failed", {
-        error: allMeetingsError.message,
-        targetDate: targetDateForFile,
-      });
-      throw allMeetingsError;
     }
 
-    // Process all transcripts
-    if (allTranscriptsResults.length > 0) {
-      logger.info("🆕 Manual fetch processing ALL MEETINGS transcripts", {
-        transcriptCount: allTranscriptsResults.length,
-        targetDate: targetDateForFile,
-      });
+    // Single team: same response as before multi-team support
+    if (teamResults.length === 1) {
+      const [teamResult] = teamResults;
+      if (teamResult.error) {
+        throw new Error(teamResult.error);
+      }
 
-      const allTaskResults = [];
-      let totalSuccessfulProcessing = 0;
-      let totalFailedProcessing = 0;
-
-      // 🚀 NEW: Create processing context for multi-transcript 3-Stage Pipeline
-      const processingContext = {
-        isMultiTranscript: allTranscriptsResults.length > 1,
-        totalTranscripts: allTranscriptsResults.length,
-        sessionStartTime: new Date().toISOString()
-      };
-
-      for (let i = 0; i < allTranscriptsResults.length; i++) {
-        const transcriptData = allTranscriptsResults[i];
-        
-        logger.info(`🚀 Pipeline processing transcript ${i + 1}/${allTranscriptsResults.length}`, {
-          meetingSubject: transcriptData.metadata.meetingSubject,
-          entries: transcriptData.metadata.entryCount,
-          filename: transcriptData.metadata.filename,
-          pipelineVersion: "1.0"
+      if (teamResult.skipped) {
+        return res.json({
+          message: `Skipped - ${teamResult.skipReason}`,
+          skipped: true,
+          teamId: teamResult.teamId,
+          targetDate: teamResult.targetDate,
+          approach: "ALL_MEETINGS",
+          timestamp: new Date().toISOString(),
         });
-
-        // Set transcript-specific context
-        const transcriptContext = {
-          ...processingContext,
-          transcriptIndex: i + 1
-        };
-
-        try {
-          const taskResult = await processTranscriptToTasksWithPipeline(
-            transcriptData.transcript, 
-            transcriptData.metadata,
-            transcriptContext
-          );
-          
-          allTaskResults.push({
-            transcript: transcriptData,
-            tasks: taskResult,
-            success: true,
-          });
-          totalSuccessfulProcessing++;
-          
-        } catch (taskError) {
-          logger.error(`Manual fetch transcript ${i + 1} processing failed`, {
-            meetingSubject: transcriptData.metadata.meetingSubject,
-            filename: transcriptData.metadata.filename,
-            error: taskError.message,
-          });
-          allTaskResults.push({
-            transcript: transcriptData,
-            tasks: null,
-            success: false,
-            error: taskError.message,
-          });
-          totalFailedProcessing++;
-        }
       }
 
-      res.json({
-        message: `All meetings fetched and processed - ${totalSuccessfulProcessing} successful, ` +
-          `${totalFailedProcessing} failed`,
-        approach: "ALL_MEETINGS",
-        targetDate: targetDateForFile,
-        totalTranscripts: allTranscriptsResults.length,
-        successfullyProcessed: totalSuccessfulProcessing,
-        failedProcessing: totalFailedProcessing,
-        results: allTaskResults,
-        timestamp: new Date().toISOString(),
-      });
+      if (teamResult.totalTranscripts === 0) {
+        return res.status(404).json({
+          message: "No transcripts found for the target date",
+          teamId: teamResult.teamId,
+          targetDate: teamResult.targetDate,
+          approach: "ALL_MEETINGS",
+          targetUserId: teams[0].targetUserId.substring(0, 20) + "...",
+          timestamp: new Date().toISOString(),
+        });
+      }
 
-    } else {
-      return res.status(404).json({
-        message: "No transcripts found for the target date",
-        targetDate: targetDateForFile,
+      return res.json({
+        message: `All meetings fetched and processed - ${teamResult.successfullyProcessed} successful, ` +
+          `${teamResult.failedProcessing} failed`,
         approach: "ALL_MEETINGS",
-        targetUserId: process.env.TARGET_USER_ID.substring(0, 20) + "...",
+        teamId: teamResult.teamId,
+        targetDate: teamResult.targetDate,
+        totalTranscripts: teamResult.totalTranscripts,
+        successfullyProcessed: teamResult.successfullyProcessed,
+        failedProcessing: teamResult.failedProcessing,
+        results: teamResult.results,
         timestamp: new Date().toISOString(),
       });
     }
+
+    const successfullyProcessed = teamResults.reduce((sum, result) => sum + (result.successfullyProcessed || 0), 0);
+    const failedProcessing = teamResults.reduce((sum, result) => sum + (result.failedProcessing || 0), 0);
+    const failedTeams = teamResults.filter((result) => result.error).length;
+
+    res.status(failedTeams > 0 ? 207 : 200).json({
+      message: `${teamResults.length} teams fetched and processed - ${successfullyProcessed} successful, ` +
+        `${failedProcessing} failed, ${failedTeams} team fetches failed`,
+      approach: "ALL_MEETINGS",
+      successfullyProcessed,
+      failedProcessing,
+      teams: teamResults,
+      timestamp: new Date().toISOString(),
+    });
   } catch (error) {
     logger.error("Error in manual transcript fetch", {
       error: error.message,
@@ -234,205 +359,704 @@ app.post("/fetch-transcript", async (req, res) => {
   }
 });
 
+// Transcript entries behind a Jira/Teams "Source" link - the link is signed, so no API token is needed
+app.get("/transcript-sources/:transcriptId", async (req, res) => {
+  const {transcriptId} = req.params;
+  const from = parseInt(req.query.from, 10);
+  const to = parseInt(req.query.to, 10);
+  const expiresAt = Number(req.query.exp);
+  if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from) {
+    return res.status(400).json({error: "from and to must be entry indexes with from <= to"});
+  }
+  if (!verifyTranscriptLink(transcriptId, from, to, expiresAt, req.query.sig)) {
+    return res.status(403).json({error: "Invalid or expired transcript link"});
+  }
+
+  try {
+    const transcriptDoc = await getTranscriptByTranscriptId(transcriptId);
+    const transcript = transcriptDoc?.transcript_data || [];
+    if (from >= transcript.length) {
+      return res.status(404).json({error: "Transcript range not found", transcriptId, from, to});
+    }
+
+    res.json({
+      transcriptId,
+      meetingId: transcriptDoc.meeting_id || null,
+      date: transcriptDoc.date,
+      from,
+      to: Math.min(to, transcript.length - 1),
+      entries: getLinkedEntries(transcript, from, to),
+    });
+  } catch (error) {
+    logger.error("Error getting transcript source", {transcriptId, error: error.message});
+    res.status(500).json({error: "Failed to get transcript source", message: error.message});
+  }
+});
+
+// Management routes below require the API_AUTH_TOKEN bearer token
+app.use(["/tasks", "/approvals", "/transcripts", "/participants", "/jira"], requireApiAuth);
+
+/**
+ * Parse a date query parameter, returning null for missing and throwing for invalid values
+ * @param {string} value - Date string from the query
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {Date|null} Parsed date
+ */
+function parseDateParam(value, name) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+}
+
+// Tasks: list tasks with filters (team, assignee, status, type, projectCode, date / from / to)
+app.get("/tasks", async (req, res) => {
+  const validation = TaskQuerySchema.safeParse(req.query);
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid task query",
+      details: formatValidationErrors(validation.error),
+    });
+  }
+  const params = validation.data;
+
+  let from;
+  let to;
+  try {
+    from = parseDateParam(params.from, "from");
+    to = parseDateParam(params.to, "to");
+
+    // A single day in the team calendar's timezone
+    if (params.date) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(params.date)) {
+        throw new Error(`Invalid date date: ${params.date}`);
+      }
+      ({start: from, end: to} = getLocalDayRange(params.date, getTeamCalendar(params.team)));
+    }
+  } catch (dateError) {
+    return res.status(400).json({error: dateError.message});
+  }
+
+  try {
+    const result = await findTasks({
+      teamId: params.team,
+      assignee: params.assignee,
+      status: params.status,
+      type: params.type,
+      projectCode: params.projectCode,
+      from,
+      to,
+    }, {
+      limit: Math.min(parseInt(params.limit, 10) || 100, 500),
+      offset: Math.max(parseInt(params.offset, 10) || 0, 0),
+    });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error listing tasks", {error: error.message, query: req.query});
+    res.status(500).json({error: "Failed to list tasks", message: error.message});
+  }
+});
+
+// Tasks: estimated vs actual time for tasks with time spent said in meetings (from / to filter by work date)
+app.get("/tasks/time-report", async (req, res) => {
+  const validation = TaskQuerySchema.safeParse(req.query);
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid task query",
+      details: formatValidationErrors(validation.error),
+    });
+  }
+  const params = validation.data;
+
+  let from;
+  let to;
+  try {
+    from = parseDateParam(params.from, "from");
+    to = parseDateParam(params.to, "to");
+  } catch (dateError) {
+    return res.status(400).json({error: dateError.message});
+  }
+
+  try {
+    const tasks = await findTasksWithTimeSpent({teamId: params.team, assignee: params.assignee});
+    res.json({
+      ...summarizeTimeSpent(tasks, {from, to}),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error building time report", {error: error.message, query: req.query});
+    res.status(500).json({error: "Failed to build time report", message: error.message});
+  }
+});
+
+// Tasks: open tasks past their due date (?team=payments)
+app.get("/tasks/overdue", async (req, res) => {
+  const validation = TaskQuerySchema.safeParse(req.query);
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid task query",
+      details: formatValidationErrors(validation.error),
+    });
+  }
+
+  let team;
+  try {
+    team = getTeam(validation.data.team || undefined);
+  } catch (teamError) {
+    return res.status(400).json({error: teamError.message});
+  }
+
+  try {
+    const report = await getOverdueTaskReport(team);
+    res.json({...report, timestamp: new Date().toISOString()});
+  } catch (error) {
+    logger.error("Error listing overdue tasks", {error: error.message, team: team.teamId});
+    res.status(500).json({error: "Failed to list overdue tasks", message: error.message});
+  }
+});
+
+// Tasks: get a single task by ticket ID
+app.get("/tasks/:ticketId", async (req, res) => {
+  try {
+    const task = await getTaskByTicketId(req.params.ticketId);
+    if (!task) {
+      return res.status(404).json({error: "Task not found", ticketId: req.params.ticketId});
+    }
+    res.json(task);
+  } catch (error) {
+    logger.error("Error getting task", {ticketId: req.params.ticketId, error: error.message});
+    res.status(500).json({error: "Failed to get task", message: error.message});
+  }
+});
+
+// Tasks: update title, description, status or estimatedTime (Jira is updated for TDS tickets)
+app.patch("/tasks/:ticketId", async (req, res) => {
+  const validation = TaskUpdateRequestSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid task update",
+      details: validation.error.errors.map((e) => `${e.path.join(".") || "body"}: ${e.message}`),
+    });
+  }
+
+  try {
+    const existingTask = await getTaskByTicketId(req.params.ticketId);
+    if (!existingTask) {
+      return res.status(404).json({error: "Task not found", ticketId: req.params.ticketId});
+    }
+
+    const result = await updateTaskByTicketId(existingTask.ticketId, validation.data);
+    if (!result.success && result.error) {
+      return res.status(500).json({error: "Failed to update task", message: result.error});
+    }
+
+    const updatedTask = await getTaskByTicketId(existingTask.ticketId);
+    res.json({
+      task: updatedTask,
+      modified: result.modifiedCount > 0,
+      jiraUpdate: result.jiraUpdate || null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error updating task", {ticketId: req.params.ticketId, error: error.message});
+    res.status(500).json({error: "Failed to update task", message: error.message});
+  }
+});
+
+// Process an uploaded transcript - raw WebVTT (text/vtt or text/plain) or JSON
+// JSON body: an entry array, or { transcript: [...] | vtt: "...", metadata: {...}, dryRun, requireApproval }
+// For raw VTT, metadata and options come from the query string
+app.post("/transcripts", express.text({type: ["text/vtt", "text/plain"], limit: "5mb"}), async (req, res) => {
+  const body = req.body;
+  let transcriptInput;
+  let metadata;
+  let options;
+
+  if (typeof body === "string") {
+    transcriptInput = body;
+    metadata = req.query;
+    options = {dryRun: req.query.dryRun === "true"};
+  } else if (Array.isArray(body)) {
+    transcriptInput = body;
+    metadata = req.query;
+    options = {dryRun: req.query.dryRun === "true"};
+  } else if (body && (Array.isArray(body.transcript) || typeof body.vtt === "string")) {
+    transcriptInput = body.vtt || body.transcript;
+    metadata = body.metadata || {};
+    options = {dryRun: body.dryRun === true};
+    if (typeof body.requireApproval === "boolean") options.requireApproval = body.requireApproval;
+  } else {
+    return res.status(400).json({
+      error: "Send WebVTT as text/vtt, or JSON as an entry array or { transcript: [...] } / { vtt: \"...\" }",
+    });
+  }
+
+  try {
+    const result = await processUploadedTranscript(transcriptInput, {
+      transcriptId: metadata.transcriptId,
+      meetingId: metadata.meetingId,
+      meetingSubject: metadata.meetingSubject,
+      meetingStartTime: metadata.meetingStartTime,
+      targetDate: metadata.targetDate,
+      teamId: metadata.teamId,
+    }, options);
+
+    res.json({
+      message: result.dryRun ? "Transcript processed in dry-run mode" : "Transcript processed",
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error processing uploaded transcript", {
+      error: error.message,
+      contentType: req.get("content-type"),
+    });
+    res.status(error.statusCode || 500).json({
+      error: "Failed to process transcript",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Reprocess a stored transcript, reconciling against the tickets it created last time
+app.post("/transcripts/:transcriptId/reprocess", async (req, res) => {
+  const body = req.body || {};
+  const options = {
+    dryRun: body.dryRun === true || req.query.dryRun === "true",
+    force: body.force === true || req.query.force === "true",
+    applyUpdates: body.applyUpdates === true,
+  };
+  if (typeof body.requireApproval === "boolean") options.requireApproval = body.requireApproval;
+  if (typeof body.matchThreshold === "number") {
+    if (body.matchThreshold <= 0 || body.matchThreshold > 1) {
+      return res.status(400).json({error: "matchThreshold must be between 0 and 1"});
+    }
+    options.matchThreshold = body.matchThreshold;
+  }
+
+  try {
+    const result = await reprocessTranscript(req.params.transcriptId, options);
+
+    res.status(result.success ? 200 : 207).json({
+      message: result.dryRun ? "Transcript reconciled in dry-run mode" : "Transcript reprocessed",
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error reprocessing transcript", {
+      transcriptId: req.params.transcriptId,
+      error: error.message,
+    });
+    res.status(error.statusCode || 500).json({
+      error: "Failed to reprocess transcript",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Approval queue: list queued tasks (defaults to pending)
+app.get("/approvals", async (req, res) => {
+  const validation = ApprovalQuerySchema.safeParse(req.query);
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid approval query",
+      details: formatValidationErrors(validation.error),
+    });
+  }
+  const params = validation.data;
+
+  try {
+    const query = {status: params.status || "pending", ...buildTeamQuery(params.team)};
+    if (params.participant) query.participant = params.participant;
+    if (params.meetingId) query["source.meetingId"] = params.meetingId;
+
+    const limit = Math.min(parseInt(params.limit, 10) || 100, 500);
+    const items = await getApprovalQueueItems(query, {limit});
+
+    res.json({
+      count: items.length,
+      items,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error listing approval queue", {error: error.message});
+    res.status(500).json({
+      error: "Failed to list approval queue",
+      message: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+});
+
+// Approval queue: get a single queued task
+app.get("/approvals/:id", async (req, res) => {
+  try {
+    const item = await getApprovalQueueItem(req.params.id);
+    if (!item) {
+      return res.status(404).json({error: "Approval item not found", id: req.params.id});
+    }
+    res.json(item);
+  } catch (error) {
+    logger.error("Error getting approval item", {id: req.params.id, error: error.message});
+    res.status(500).json({error: "Failed to get approval item", message: error.message});
+  }
+});
+
+// Approval queue: edit a pending task before approving it
+app.patch("/approvals/:id", async (req, res) => {
+  const validation = ApprovalTaskEditSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid task edit",
+      details: formatValidationErrors(validation.error),
+    });
+  }
+
+  try {
+    const result = await editQueuedTask(req.params.id, validation.data);
+    if (!result.success) {
+      const status = result.error === "Approval item not found" ? 404 : 409;
+      return res.status(status).json({error: result.error, id: req.params.id});
+    }
+    res.json(result.item);
+  } catch (error) {
+    logger.error("Error editing approval item", {id: req.params.id, error: error.message});
+    res.status(500).json({error: "Failed to edit approval item", message: error.message});
+  }
+});
+
+/**
+ * Get approval IDs from either the :id route param or a { ids: [] } body
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Approval IDs
+ */
+function getApprovalIdsFromRequest(req) {
+  if (req.params.id) return [req.params.id];
+  return Array.isArray(req.body?.ids) ? req.body.ids : [];
+}
+
+// Approval queue: approve tasks - creates Jira issues and sends the Teams summary
+const handleApprove = async (req, res) => {
+  const ids = getApprovalIdsFromRequest(req);
+  if (ids.length === 0) {
+    return res.status(400).json({error: "Provide approval IDs as { \"ids\": [...] }"});
+  }
+
+  try {
+    const result = await approveQueuedTasks(ids, {reviewedBy: req.body?.reviewedBy});
+    res.status(result.failed.length > 0 ? 207 : 200).json({
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error approving tasks", {ids, error: error.message});
+    res.status(500).json({error: "Failed to approve tasks", message: error.message});
+  }
+};
+app.post("/approvals/approve", handleApprove);
+app.post("/approvals/:id/approve", handleApprove);
+
+// Approval queue: reject tasks - nothing is created in Jira
+const handleReject = async (req, res) => {
+  const ids = getApprovalIdsFromRequest(req);
+  if (ids.length === 0) {
+    return res.status(400).json({error: "Provide approval IDs as { \"ids\": [...] }"});
+  }
+
+  try {
+    const result = await rejectQueuedTasks(ids, {
+      reviewedBy: req.body?.reviewedBy,
+      reason: req.body?.reason,
+    });
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error rejecting tasks", {ids, error: error.message});
+    res.status(500).json({error: "Failed to reject tasks", message: error.message});
+  }
+};
+app.post("/approvals/reject", handleReject);
+app.post("/approvals/:id/reject", handleReject);
+
+/**
+ * Format zod validation errors for a 400 response
+ * @param {Object} zodError - ZodError from safeParse
+ * @returns {Array<string>} "path: message" strings
+ */
+function formatValidationErrors(zodError) {
+  return zodError.errors.map((e) => `${e.path.join(".") || "body"}: ${e.message}`);
+}
+
+// Participants: list the participant directory (active only unless ?includeInactive=true)
+app.get("/participants", async (req, res) => {
+  try {
+    const participants = await getParticipants(req.query.includeInactive === "true" ? {} : {active: true});
+    res.json({
+      count: participants.length,
+      participants,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error listing participants", {error: error.message});
+    res.status(500).json({error: "Failed to list participants", message: error.message});
+  }
+});
+
+// Participants: resolve a transcript name or alias to its directory entry
+app.get("/participants/resolve", async (req, res) => {
+  if (!req.query.name) {
+    return res.status(400).json({error: "name query parameter is required"});
+  }
+
+  try {
+    await refreshParticipantDirectory({force: true});
+    const participant = findParticipant(req.query.name);
+    if (!participant) {
+      return res.status(404).json({error: "No participant with that name or alias", name: req.query.name});
+    }
+    res.json(participant);
+  } catch (error) {
+    logger.error("Error resolving participant", {name: req.query.name, error: error.message});
+    res.status(500).json({error: "Failed to resolve participant", message: error.message});
+  }
+});
+
+// Participants: get one participant
+app.get("/participants/:id", async (req, res) => {
+  try {
+    const participant = await getParticipant(req.params.id);
+    if (!participant) {
+      return res.status(404).json({error: "Participant not found", id: req.params.id});
+    }
+    res.json(participant);
+  } catch (error) {
+    logger.error("Error getting participant", {id: req.params.id, error: error.message});
+    res.status(500).json({error: "Failed to get participant", message: error.message});
+  }
+});
+
+// Participants: add a participant {"name", "aliases", "email", "jiraAccountId", "teamsAadId", "active"}
+app.post("/participants", async (req, res) => {
+  const validation = ParticipantCreateSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid participant",
+      details: formatValidationErrors(validation.error),
+    });
+  }
+
+  try {
+    const participant = await createParticipant(validation.data);
+    res.status(201).json(participant);
+  } catch (error) {
+    logger.error("Error creating participant", {name: validation.data.name, error: error.message});
+    res.status(error.statusCode || 500).json({error: "Failed to create participant", message: error.message});
+  }
+});
+
+// Participants: edit a participant (set {"active": false} to retire someone without losing the entry)
+app.patch("/participants/:id", async (req, res) => {
+  const validation = ParticipantUpdateSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Invalid participant update",
+      details: formatValidationErrors(validation.error),
+    });
+  }
+
+  try {
+    const participant = await editParticipant(req.params.id, validation.data);
+    if (!participant) {
+      return res.status(404).json({error: "Participant not found", id: req.params.id});
+    }
+    res.json(participant);
+  } catch (error) {
+    logger.error("Error updating participant", {id: req.params.id, error: error.message});
+    res.status(error.statusCode || 500).json({error: "Failed to update participant", message: error.message});
+  }
+});
+
+// Participants: delete a participant
+app.delete("/participants/:id", async (req, res) => {
+  try {
+    const deleted = await removeParticipant(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({error: "Participant not found", id: req.params.id});
+    }
+    res.status(204).end();
+  } catch (error) {
+    logger.error("Error deleting participant", {id: req.params.id, error: error.message});
+    res.status(500).json({error: "Failed to delete participant", message: error.message});
+  }
+});
+
+// Jira sync: pull changes from Jira now {"dryRun": true, "sinceMinutes": 60} (both optional)
+app.post("/jira/sync", async (req, res) => {
+  const {dryRun = false, sinceMinutes} = req.body || {};
+  if (sinceMinutes !== undefined && !(Number.isInteger(sinceMinutes) && sinceMinutes > 0)) {
+    return res.status(400).json({error: "sinceMinutes must be a positive integer"});
+  }
+
+  try {
+    const summary = await syncJiraChanges({dryRun: dryRun === true, sinceMinutes});
+    res.json({...summary, timestamp: new Date().toISOString()});
+  } catch (error) {
+    logger.error("Error running Jira sync", {error: error.message});
+    res.status(500).json({error: "Jira sync failed", message: error.message});
+  }
+});
+
+// Jira sync: list logged conflicts, newest first (?ticketId=TDS-12&limit=50)
+app.get("/jira/sync/conflicts", async (req, res) => {
+  try {
+    const query = req.query.ticketId ? {ticketId: req.query.ticketId} : {};
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const conflicts = await getJiraSyncConflicts(query, {limit});
+    res.json({
+      count: conflicts.length,
+      conflicts,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error listing Jira sync conflicts", {error: error.message});
+    res.status(500).json({error: "Failed to list Jira sync conflicts", message: error.message});
+  }
+});
+
+// Jira fields: the field mapping a team's issues are created with (?team=payments&issueType=Task&discover=true)
+app.get("/jira/fields", async (req, res) => {
+  let team;
+  try {
+    team = getTeam(req.query.team || undefined);
+  } catch (teamError) {
+    return res.status(400).json({error: teamError.message});
+  }
+
+  try {
+    const issueType = req.query.issueType || "Task";
+    const {mapping, discovered, metaFields} = await resolveJiraFieldMapping(
+      team.jiraProjectKey, issueType, getJiraOptionsForTeam(team), {discover: req.query.discover === "true"});
+    res.json({
+      teamId: team.teamId,
+      projectKey: team.jiraProjectKey,
+      issueType,
+      mapping,
+      discovered,
+      createScreenFields: metaFields ? metaFields.map(({fieldId, name, required, schema}) => ({
+        fieldId, name, required, type: schema.custom || schema.type || null,
+      })) : null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    logger.error("Error resolving Jira field mapping", {error: error.message, team: team.teamId});
+    res.status(500).json({error: "Failed to resolve Jira field mapping", message: error.message});
+  }
+});
+
+// Jira webhook: issue created/updated/deleted events (authenticated with JIRA_WEBHOOK_SECRET, not API_AUTH_TOKEN)
+app.post("/webhooks/jira", requireJiraWebhookSecret, async (req, res) => {
+  try {
+    const result = await handleJiraWebhookEvent(req.body);
+    logger.info("Jira webhook handled", {
+      event: result.event,
+      issueKey: result.issueKey,
+      action: result.action,
+    });
+    res.json(result);
+  } catch (error) {
+    logger.error("Error handling Jira webhook", {
+      event: req.body?.webhookEvent,
+      issueKey: req.body?.issue?.key,
+      error: error.message,
+    });
+    res.status(error.statusCode || 500).json({error: "Failed to handle Jira webhook", message: error.message});
+  }
+});
+
 // Export HTTP function
 exports.transcriptApi = onRequest(app);
 
 // Scheduled function with ALL MEETINGS approach only
-// Runs daily at 2 AM Bangladesh time (GMT+6)
-// Cron: "0 2 * * 2-6" - runs Tuesday through Saturday only (skips weekends)
 // This fetches the previous day's meeting transcript(s) for all meetings
+// Schedule and timezone come from the team calendar (config/teamCalendar.js) at deploy time:
+// by default 2 AM Asia/Dhaka, the day after each Monday-Friday standup ("0 2 * * 2,3,4,5,6").
+// With several teams registered (TEAMS_CONFIG) it runs hourly and fetches each team at its own local fetchHour.
+const scheduleCalendar = getTeamCalendar();
+const isMultiTeamSchedule = listTeams().length > 1;
+
 exports.dailyTranscriptFetch = onSchedule({
-  schedule: "0 2 * * 2-6", // Tuesday through Saturday only at 2 AM Bangladesh time
-  timeZone: "Asia/Dhaka",
+  schedule: isMultiTeamSchedule ? "0 * * * *" : getFetchSchedule(scheduleCalendar),
+  timeZone: isMultiTeamSchedule ? "UTC" : scheduleCalendar.timezone,
   memory: "256MiB",
   timeoutSeconds: 300,
 }, async (event) => {
   const startTime = Date.now();
   const currentTime = new Date();
-  
-  // Enhanced day and meeting URL logging
-  const bangladeshTime = new Date(currentTime.toLocaleString("en-US", {timeZone: "Asia/Dhaka"}));
-  const hour = bangladeshTime.getHours();
-  const dayOfWeek = bangladeshTime.getDay();
-  const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
-  const currentDayName = dayNames[dayOfWeek];
-  
-  // Determine target day (if early morning, use previous day)
-  let targetDate = new Date(bangladeshTime);
-  let targetDayName = currentDayName;
-  if (hour >= 0 && hour < 6) {
-    targetDate.setDate(targetDate.getDate() - 1);
-    targetDayName = dayNames[targetDate.getDay()];
-  }
-  
+
   logger.info("🗓️ DAILY TRANSCRIPT FETCH - ALL MEETINGS APPROACH", {
     scheduledTime: event.scheduleTime,
     timestamp: currentTime.toISOString(),
-    timezone: "Asia/Dhaka",
-    currentHour: hour,
-    currentDay: currentDayName,
-    targetDay: targetDayName,
-    isEarlyMorning: hour >= 0 && hour < 6,
-    usingPreviousDay: hour >= 0 && hour < 6,
+    multiTeam: isMultiTeamSchedule,
     approach: "ALL_MEETINGS"
   });
 
-  logger.info("🆕 Starting daily transcript fetch - All Meetings approach", {
-    scheduledTime: event.scheduleTime,
-    timestamp: currentTime.toISOString(),
-    timezone: "Asia/Dhaka",
-    dayOfWeek: currentTime.toLocaleDateString("en-US", { weekday: "long", timeZone: "Asia/Dhaka" }),
-  });
-
   try {
-    // Validate TARGET_USER_ID is configured
-    if (!process.env.TARGET_USER_ID) {
+    const teams = getFetchableTeams();
+
+    // Validate TARGET_USER_ID (or a team's targetUserId) is configured
+    if (teams.length === 0) {
       logger.error("TARGET_USER_ID not configured for All Meetings approach", {
-        message: "Set TARGET_USER_ID environment variable to enable All Meetings approach",
-        currentDay: currentDayName,
-        date: currentTime.toISOString().split("T")[0],
+        message: "Set TARGET_USER_ID environment variable (or targetUserId in TEAMS_CONFIG) " +
+          "to enable All Meetings approach",
       });
       throw new Error("TARGET_USER_ID environment variable must be set for All Meetings approach");
     }
 
-    // Calculate target date for filename and processing
-    const bdTimeForFile = getBangladeshTimeComponents(new Date());
-    let targetDateForFile = bdTimeForFile.dateString;
-    if (bdTimeForFile.hour >= 0 && bdTimeForFile.hour < 6) {
-      // Early morning - use previous day for filename
-      // Fix: Use dateString directly to avoid timezone issues
-      const targetDateObj = new Date(bdTimeForFile.dateString);
-      targetDateObj.setDate(targetDateObj.getDate() - 1);
-      targetDateForFile = targetDateObj.toISOString().slice(0, 10);
-    }
+    const failedTeams = [];
+    for (const team of teams) {
+      const calendar = getTeamCalendar(team.teamId);
 
-    // ALL MEETINGS APPROACH: Fetch all meetings for the user
-    logger.info("🆕 Using ALL MEETINGS approach", {
-      targetUserId: process.env.TARGET_USER_ID.substring(0, 20) + "...",
-      targetDate: targetDateForFile,
-      explanation: "Fetching all meetings for user"
-    });
-    
-    let allTranscriptsResults = [];
-    
-    try {
-      const allTranscripts = await fetchAllMeetingsForUser(process.env.TARGET_USER_ID, targetDateForFile);
-      
-      if (allTranscripts.length > 0) {
-        logger.info("All meetings fetched successfully", {
-          transcriptCount: allTranscripts.length,
-          targetDate: targetDateForFile,
-        });
-        allTranscriptsResults = allTranscripts;
-      } else {
-        logger.info("No transcripts found for target date", {
-          targetDate: targetDateForFile,
-          userId: process.env.TARGET_USER_ID.substring(0, 20) + "...",
-          possibleReasons: [
-            "No meetings occurred on the target date",
-            "No transcripts were generated", 
-            "Transcription is still processing",
-            "User calendar access issues"
-          ]
-        });
+      // Hourly multi-team runs only fetch a team at its local fetch hour
+      if (isMultiTeamSchedule && getZonedTimeComponents(currentTime, calendar.timezone).hour !== calendar.fetchHour) {
+        continue;
       }
-    } catch (allMeetingsError) {
-      logger.error("All meetings approach failed", {
-        error: allMeetingsError.message,
-        targetDate: targetDateForFile,
-        stack: allMeetingsError.stack,
-      });
-      throw allMeetingsError;
-    }
 
-    // Process all transcripts found
-    if (allTranscriptsResults.length > 0) {
-      // Process each transcript from all meetings
-      const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-      
-      logger.info("🆕 Processing ALL MEETINGS transcripts", {
-        transcriptCount: allTranscriptsResults.length,
-        targetDate: targetDateForFile,
-        duration: `${duration}s`,
-      });
+      try {
+        // Holidays (and meeting days removed from the calendar since deploy) are skipped, not failed
+        const teamResult = await fetchAndProcessTeamTranscripts(team, currentTime);
 
-      let totalSuccessfulProcessing = 0;
-      let totalFailedProcessing = 0;
-
-      // 🚀 NEW: Create processing context for multi-transcript 3-Stage Pipeline
-      const processingContext = {
-        isMultiTranscript: allTranscriptsResults.length > 1,
-        totalTranscripts: allTranscriptsResults.length,
-        sessionStartTime: new Date().toISOString()
-      };
-
-      for (let i = 0; i < allTranscriptsResults.length; i++) {
-        const transcriptData = allTranscriptsResults[i];
-        
-        logger.info(`🚀 Pipeline processing transcript ${i + 1}/${allTranscriptsResults.length}`, {
-          meetingSubject: transcriptData.metadata.meetingSubject,
-          entries: transcriptData.metadata.entryCount,
-          filename: transcriptData.metadata.filename,
-          pipelineVersion: "1.0"
+        logger.info("🆕 ALL MEETINGS processing completed", {
+          teamId: team.teamId,
+          skipped: teamResult.skipped,
+          totalTranscripts: teamResult.totalTranscripts,
+          successfullyProcessed: teamResult.successfullyProcessed,
+          failedProcessing: teamResult.failedProcessing,
+          targetDate: teamResult.targetDate,
+          duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
         });
-
-        // Set transcript-specific context
-        const transcriptContext = {
-          ...processingContext,
-          transcriptIndex: i + 1
-        };
-
-        try {
-          const taskResult = await processTranscriptToTasksWithPipeline(
-            transcriptData.transcript, 
-            transcriptData.metadata,
-            transcriptContext
-          );
-          
-          logger.info(`Transcript ${i + 1} processed successfully`, {
-            meetingSubject: transcriptData.metadata.meetingSubject,
-            participantCount: taskResult.summary.participantCount,
-            extractedTasks: taskResult.summary.extractedTasks,
-            newTasksCreated: taskResult.summary.newTasksCreated,
-            existingTasksUpdated: taskResult.summary.existingTasksUpdated,
-            jiraIssuesCreated: taskResult.summary.jiraIssuesCreated,
-            mongoDocumentId: taskResult.storage?.documentId,
-          });
-          
-          totalSuccessfulProcessing++;
-          
-        } catch (taskError) {
-          logger.error(`Transcript ${i + 1} processing failed`, {
-            meetingSubject: transcriptData.metadata.meetingSubject,
-            filename: transcriptData.metadata.filename,
-            error: taskError.message,
-            stack: taskError.stack,
-          });
-          totalFailedProcessing++;
-          // Continue processing other transcripts
-        }
+      } catch (teamError) {
+        // One team's Graph failure must not stop the other teams
+        logger.error("All meetings approach failed", {
+          teamId: team.teamId,
+          error: teamError.message,
+          stack: teamError.stack,
+        });
+        failedTeams.push(team.teamId);
       }
+    }
 
-      logger.info("🆕 ALL MEETINGS processing completed", {
-        totalTranscripts: allTranscriptsResults.length,
-        successfullyProcessed: totalSuccessfulProcessing,
-        failedProcessing: totalFailedProcessing,
-        targetDate: targetDateForFile,
-        duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
-      });
-
-    } else {
-      logger.warn("No transcripts found for target date", {
-        date: targetDateForFile,
-        targetUserId: process.env.TARGET_USER_ID.substring(0, 20) + "...",
-        approach: "ALL_MEETINGS",
-        possibleReasons: [
-          "No meetings occurred on the target date",
-          "No transcripts were generated", 
-          "Transcription is still processing",
-          "User calendar access issues",
-        ],
-      });
+    if (failedTeams.length > 0) {
+      throw new Error(`Transcript fetch failed for team(s): ${failedTeams.join(", ")}`);
     }
 
     return null;
@@ -451,4 +1075,69 @@ exports.dailyTranscriptFetch = onSchedule({
 
     throw error; // Re-throw to mark the function as failed
   }
-});
\ No newline at end of file
+});
+
+// Scheduled two-way Jira sync: pulls status, assignee, title, priority and due date edits made in Jira into MongoDB
+exports.jiraSyncJob = onSchedule({
+  schedule: "*/15 * * * *",
+  timeZone: "UTC",
+  memory: "256MiB",
+  timeoutSeconds: 300,
+}, async (event) => {
+  if (!process.env.JIRA_URL || !process.env.JIRA_EMAIL || !process.env.JIRA_API_TOKEN) {
+    logger.warn("Jira sync skipped - Jira credentials not configured");
+    return null;
+  }
+
+  try {
+    const summary = await syncJiraChanges();
+    logger.info("Scheduled Jira sync finished", {
+      scheduledTime: event.scheduleTime,
+      issuesFetched: summary.issuesFetched,
+      updated: summary.updated,
+      conflicts: summary.conflicts,
+      failed: summary.failed,
+    });
+    return null;
+  } catch (error) {
+    logger.error("Scheduled Jira sync failed", {error: error.message, stack: error.stack});
+    throw error;
+  }
+});
+
+// Daily overdue check: posts each team's open tasks past their due date to its Teams channel
+// Runs hourly and checks each team at its calendar's local overdueCheckHour on meeting days (9 AM by default).
+exports.overdueTasksJob = onSchedule({
+  schedule: "0 * * * *",
+  timeZone: "UTC",
+  memory: "256MiB",
+  timeoutSeconds: 300,
+}, async (event) => {
+  const currentTime = new Date();
+  const failedTeams = [];
+
+  for (const team of listTeams()) {
+    if (!isOverdueCheckDue(getTeamCalendar(team.teamId), currentTime)) {
+      continue;
+    }
+
+    try {
+      const report = await notifyOverdueTasks(team, currentTime);
+      logger.info("Scheduled overdue check finished", {
+        scheduledTime: event.scheduleTime,
+        teamId: team.teamId,
+        today: report.today,
+        overdueTasks: report.overdueTasks.length,
+      });
+    } catch (error) {
+      // One team's failure must not stop the other teams
+      logger.error("Scheduled overdue check failed", {teamId: team.teamId, error: error.message});
+      failedTeams.push(team.teamId);
+    }
+  }
+
+  if (failedTeams.length > 0) {
+    throw new Error(`Overdue check failed for team(s): ${failedTeams.join(", ")}`);
+  }
+  return null;
+});
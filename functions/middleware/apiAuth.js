@@ -0,0 +1,79 @@
+/**
+ * API Authentication Middleware
+ *
+ * Protects the management routes on the transcriptApi Express app (tasks, approvals, ...)
+ * with a shared bearer token from the API_AUTH_TOKEN environment variable.
+ *
+ * Clients send either:
+ * - Authorization: Bearer <token>
+ * - x-api-key: <token>
+ */
+
+const crypto = require("crypto");
+const {logger} = require("firebase-functions");
+
+/**
+ * Compare two strings in constant time
+ * @param {string} provided - Token sent by the client
+ * @param {string} expected - Configured token
+ * @returns {boolean} True if the tokens match
+ */
+function tokensMatch(provided, expected) {
+  const providedHash = crypto.createHash("sha256").update(provided).digest();
+  const expectedHash = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+}
+
+/**
+ * Extract the API token from request headers
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null if not provided
+ */
+function getRequestToken(req) {
+  const authHeader = req.get("authorization") || "";
+  if (authHeader.toLowerCase().startsWith("bearer ")) {
+    return authHeader.slice(7).trim();
+  }
+  return req.get("x-api-key") || null;
+}
+
+/**
+ * Express middleware requiring a valid API token
+ * Fails closed: if API_AUTH_TOKEN is not configured, every request is rejected.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireApiAuth(req, res, next) {
+  const expectedToken = process.env.API_AUTH_TOKEN;
+
+  if (!expectedToken) {
+    logger.error("API_AUTH_TOKEN not configured - rejecting authenticated route", {
+      path: req.path,
+      method: req.method,
+    });
+    return res.status(503).json({
+      error: "API authentication is not configured",
+      message: "Set the API_AUTH_TOKEN environment variable to enable this route",
+    });
+  }
+
+  const providedToken = getRequestToken(req);
+
+  if (!providedToken || !tokensMatch(providedToken, expectedToken)) {
+    logger.warn("Unauthorized API request", {
+      path: req.path,
+      method: req.method,
+      hasToken: !!providedToken,
+    });
+    return res.status(401).json({error: "Unauthorized"});
+  }
+
+  next();
+}
+
+module.exports = {
+  requireApiAuth,
+  getRequestToken,
+  tokensMatch,
+};
@@ -0,0 +1,70 @@
+/**
+ * Jira Webhook Authentication Middleware
+ *
+ * Verifies that POST /webhooks/jira requests come from our Jira site using the shared secret in
+ * the JIRA_WEBHOOK_SECRET environment variable. Jira sends it in one of two ways:
+ * - X-Hub-Signature: sha256=<HMAC-SHA256 of the raw body> (webhooks registered with a secret)
+ * - ?secret=<secret> in the webhook URL, or an x-webhook-secret header (automation rules, older webhooks)
+ */
+
+const crypto = require("crypto");
+const {logger} = require("firebase-functions");
+const {tokensMatch} = require("./apiAuth");
+
+/**
+ * Check an X-Hub-Signature header against the raw request body
+ * @param {string} signatureHeader - Header value ("sha256=<hex>")
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True if the signature matches
+ */
+function signatureMatches(signatureHeader, rawBody, secret) {
+  const [algorithm, signature] = signatureHeader.split("=");
+  if (algorithm !== "sha256" || !signature || rawBody === undefined) {
+    return false;
+  }
+  const expectedSignature = crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+  return tokensMatch(signature, expectedSignature);
+}
+
+/**
+ * Express middleware requiring a valid Jira webhook secret or signature
+ * Fails closed: if JIRA_WEBHOOK_SECRET is not configured, every request is rejected.
+ * @param {Object} req - Express request (req.rawBody is set by Cloud Functions)
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireJiraWebhookSecret(req, res, next) {
+  const secret = process.env.JIRA_WEBHOOK_SECRET;
+
+  if (!secret) {
+    logger.error("JIRA_WEBHOOK_SECRET not configured - rejecting Jira webhook", {path: req.path});
+    return res.status(503).json({
+      error: "Jira webhook is not configured",
+      message: "Set the JIRA_WEBHOOK_SECRET environment variable to enable this route",
+    });
+  }
+
+  const signatureHeader = req.get("x-hub-signature");
+  const providedSecret = req.query.secret || req.get("x-webhook-secret");
+
+  const verified = signatureHeader ?
+    signatureMatches(signatureHeader, req.rawBody, secret) :
+    Boolean(providedSecret) && tokensMatch(String(providedSecret), secret);
+
+  if (!verified) {
+    logger.warn("Rejected Jira webhook with invalid secret", {
+      path: req.path,
+      hasSignature: !!signatureHeader,
+      hasSecret: !!providedSecret,
+    });
+    return res.status(401).json({error: "Unauthorized"});
+  }
+
+  next();
+}
+
+module.exports = {
+  requireJiraWebhookSecret,
+  signatureMatches,
+};
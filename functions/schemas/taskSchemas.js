@@ -7,6 +7,13 @@
 
 const { z } = require("zod");
 
+// Internal task states, in workflow order (mapped to Jira workflow states by config/jiraStatusMapping.js)
+const TASK_STATUSES = ["To-do", "In-progress", "In Review", "Blocked", "Completed", "Won't Do"];
+
+// Relationships between tasks, read as "<task> <relationship> <target>" (mapped to Jira issue link types by
+// config/jiraLinkTypeMapping.js)
+const ISSUE_LINK_TYPES = ["blocks", "is blocked by", "relates to", "duplicates", "follow-up of"];
+
 // Schema for individual task from LLM response
 const TaskSchema = z.object({
   description: z.string().min(1, "Task description cannot be empty"),
@@ -16,7 +23,7 @@ const TaskSchema = z.object({
   taskType: z.enum(["NEW TASK", "EXISTING TASK UPDATE", "STATUS CHANGE", "FUTURE PLAN"]),
   existingTaskId: z.string().regex(/^SP-\d+$/).nullable().optional(),
   estimatedTime: z.number().min(0).default(0),
-  status: z.enum(["To-do", "In-progress", "Completed"]).default("To-do"),
+  status: z.enum(TASK_STATUSES).default("To-do"),
   isFuturePlan: z.boolean(),
   assignee: z.string().min(1, "Assignee cannot be empty"),
   priority: z.enum(["Highest", "High", "Medium", "Low", "Lowest"]).nullable().optional(),
@@ -52,12 +59,32 @@ const AssigneeDetectionSchema = z.object({
 // Schema for status change detection
 const StatusChangeSchema = z.object({
   taskId: z.string().regex(/^(SP-\d+|[A-Z]{2,}-\d+)$/), // Accepts both SP-XXX and Jira formats like TDS-XXX
-  newStatus: z.enum(["To-do", "In-progress", "Completed"]),
+  newStatus: z.enum(TASK_STATUSES),
+  confidence: z.number().min(0).max(1),
+  evidence: z.string(),
+  speaker: z.string()
+});
+
+// Schema for time spent on a ticket, detected from transcript text ("I spent three hours on TDS-210")
+const TimeSpentSchema = z.object({
+  taskId: z.string().regex(/^(SP-\d+|[A-Z]{2,}-\d+)$/),
+  hours: z.number().positive().max(24),
+  dayOffset: z.number().int().max(0).default(0),
   confidence: z.number().min(0).max(1),
   evidence: z.string(),
   speaker: z.string()
 });
 
+// Schema for a relationship between two tasks ("TDS-201 is blocked by TDS-198"), taskId is null for a new task
+const IssueLinkSchema = z.object({
+  taskId: z.string().regex(/^(SP-\d+|[A-Z]{2,}-\d+)$/).nullable(),
+  linkType: z.enum(ISSUE_LINK_TYPES),
+  targetTaskId: z.string().regex(/^(SP-\d+|[A-Z]{2,}-\d+)$/),
+  confidence: z.number().min(0).max(1),
+  evidence: z.string(),
+  speaker: z.string()
+}).refine(link => link.taskId !== link.targetTaskId, { message: "A task cannot be linked to itself" });
+
 // Schema for future plan detection
 const FuturePlanSchema = z.object({
   description: z.string().min(1),
@@ -93,6 +120,101 @@ const ProcessingResultSchema = z.object({
   assigneeDetections: z.array(AssigneeDetectionSchema).default([])
 });
 
+// Schema for task updates coming from the REST API (PATCH /tasks/:ticketId)
+const TaskUpdateRequestSchema = z.object({
+  title: z.string().min(1, "Title cannot be empty").optional(),
+  description: z.string().min(1, "Description cannot be empty").optional(),
+  status: z.enum(TASK_STATUSES).optional(),
+  estimatedTime: z.number().min(0).optional()
+}).strict().refine(data => Object.keys(data).length > 0, {
+  message: "At least one of title, description, status or estimatedTime is required"
+});
+
+// Sub-task of a queued task (see parseDecomposition in taskDecompositionService.js)
+const ApprovalSubTaskSchema = z.object({
+  proposedTicketId: z.string().nullable().optional(),
+  title: z.string().trim().min(1, "Title cannot be empty"),
+  description: z.string().optional(),
+  estimatedTime: z.number().min(0).optional(),
+  storyPoints: z.number().min(0).nullable().optional()
+}).strict();
+
+// Reviewer edits to a queued task (PATCH /approvals/:id) - the task fields plus who it is for
+const ApprovalTaskEditSchema = z.object({
+  title: z.string().trim().min(1, "Title cannot be empty").optional(),
+  description: z.string().trim().min(1, "Description cannot be empty").optional(),
+  status: z.enum(TASK_STATUSES).optional(),
+  workType: z.enum(["Task", "Bug"]).optional(),
+  estimatedTime: z.number().min(0).optional(),
+  priority: z.enum(["Highest", "High", "Medium", "Low", "Lowest"]).nullable().optional(),
+  storyPoints: z.number().min(0).nullable().optional(),
+  projectCode: z.string().trim().min(1, "Project code cannot be empty").nullable().optional(),
+  isFuturePlan: z.boolean().optional(),
+  epic: z.string().regex(/^[A-Z][A-Z0-9]+-\d+$/, "Must be a Jira issue key").nullable().optional(),
+  subTasks: z.array(ApprovalSubTaskSchema).optional(),
+  dueDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Must be a date in YYYY-MM-DD format").nullable().optional(),
+  participant: z.string().trim().min(1, "Participant cannot be empty").optional(),
+  type: z.enum(["Coding", "Non-Coding"]).optional()
+}).strict().refine(data => Object.keys(data).length > 0, {
+  message: "At least one task field, participant or type is required"
+});
+
+// A single query string value. Repeated (?status=a&status=b) and bracketed (?status[$ne]=x) parameters are
+// parsed by Express into arrays and objects; rejecting them keeps MongoDB operators out of the filters.
+const QueryValueSchema = z.string({ invalid_type_error: "Must be a single value" });
+
+// Approval queue filters (GET /approvals)
+const ApprovalQuerySchema = z.object({
+  status: QueryValueSchema.optional(),
+  team: QueryValueSchema.optional(),
+  participant: QueryValueSchema.optional(),
+  meetingId: QueryValueSchema.optional(),
+  limit: QueryValueSchema.optional()
+});
+
+// Task filters and pagination (GET /tasks, /tasks/time-report, /tasks/overdue)
+const TaskQuerySchema = z.object({
+  team: QueryValueSchema.optional(),
+  assignee: QueryValueSchema.optional(),
+  status: QueryValueSchema.optional(),
+  type: QueryValueSchema.optional(),
+  projectCode: QueryValueSchema.optional(),
+  date: QueryValueSchema.optional(),
+  from: QueryValueSchema.optional(),
+  to: QueryValueSchema.optional(),
+  limit: QueryValueSchema.optional(),
+  offset: QueryValueSchema.optional()
+});
+
+// Meeting info sent with an uploaded transcript (POST /transcripts query string or "metadata"). The IDs end up
+// in MongoDB filters, so only plain strings are accepted.
+const TranscriptUploadValueSchema = z.string({ invalid_type_error: "Must be a string" }).trim()
+  .min(1, "Cannot be empty");
+const TranscriptUploadMetadataSchema = z.object({
+  transcriptId: TranscriptUploadValueSchema.optional(),
+  meetingId: TranscriptUploadValueSchema.optional(),
+  meetingSubject: TranscriptUploadValueSchema.optional(),
+  meetingStartTime: TranscriptUploadValueSchema.optional(),
+  targetDate: TranscriptUploadValueSchema.optional(),
+  teamId: TranscriptUploadValueSchema.optional()
+});
+
+// Participant directory entries (POST /participants)
+const ParticipantCreateSchema = z.object({
+  name: z.string().trim().min(1, "Name cannot be empty"),
+  aliases: z.array(z.string().trim().min(1, "Alias cannot be empty")).default([]),
+  email: z.string().email().nullable().optional(),
+  jiraAccountId: z.string().min(1).nullable().optional(),
+  teamsAadId: z.string().min(1).nullable().optional(),
+  active: z.boolean().default(true)
+}).strict();
+
+// Participant directory edits (PATCH /participants/:id)
+const ParticipantUpdateSchema = ParticipantCreateSchema.partial().strict().refine(
+  data => Object.keys(data).length > 0,
+  { message: "At least one participant field is required" }
+);
+
 /**
  * Validate LLM response against schema
  * @param {any} data - Raw LLM response data
@@ -217,7 +339,7 @@ function sanitizeTask(task, assignee) {
     existingTaskId: task.existingTaskId && /^SP-\d+$/i.test(task.existingTaskId) ? 
                     task.existingTaskId.toUpperCase() : null,
     estimatedTime: Math.max(0, Number(task.estimatedTime) || 0),
-    status: ["To-do", "In-progress", "Completed"].includes(task.status) ? task.status : "To-do",
+    status: TASK_STATUSES.includes(task.status) ? task.status : "To-do",
     isFuturePlan: Boolean(task.isFuturePlan),
     assignee: String(task.assignee || assignee || "TBD").trim(),
     priority: task.priority || null,
@@ -226,15 +348,27 @@ function sanitizeTask(task, assignee) {
 }
 
 module.exports = {
+  TASK_STATUSES,
+  ISSUE_LINK_TYPES,
   TaskSchema,
   ParticipantTasksSchema,
   LLMResponseSchema,
   TaskMetadataSchema,
   AssigneeDetectionSchema,
   StatusChangeSchema,
+  TimeSpentSchema,
+  IssueLinkSchema,
   FuturePlanSchema,
   SimilarityResultSchema,
   ProcessingResultSchema,
+  TaskUpdateRequestSchema,
+  ApprovalTaskEditSchema,
+  QueryValueSchema,
+  ApprovalQuerySchema,
+  TaskQuerySchema,
+  TranscriptUploadMetadataSchema,
+  ParticipantCreateSchema,
+  ParticipantUpdateSchema,
   validateLLMResponse,
   validateTask,
   sanitizeLLMResponse,
@@ -0,0 +1,174 @@
+/**
+ * Benchmark: task vector search backends
+ *
+ * Compares the bruteforce and HNSW backends on synthetic embeddings, offline (no MongoDB or
+ * OpenAI). Tasks are generated in topic clusters and each query is a perturbed copy of a stored
+ * task, like a task mentioned again in a later standup. Reports build time, query latency and
+ * HNSW recall against the exact bruteforce results.
+ *
+ * The Atlas backend runs server-side and can't be benchmarked offline.
+ *
+ * Usage: TASK_COUNT=5000 QUERY_COUNT=200 node scripts/benchmarkVectorSearch.js
+ *   TASK_COUNT   tasks to index (default 2000)
+ *   QUERY_COUNT  queries to run (default 100)
+ *   DIMENSIONS   embedding size (default 1536, as text-embedding-3-small)
+ *   TOP_K        results per query (default 5)
+ *   EF_SEARCH    HNSW search breadth (default 64)
+ */
+
+const { rankTasksBySimilarity, buildTaskHnswIndex } = require("../services/storage/taskVectorSearch");
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so runs are comparable
+ * @param {number} seed - Seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Normally distributed random number (Box-Muller)
+ * @param {Function} random - Uniform generator
+ * @returns {number} Sample with mean 0 and standard deviation 1
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Add noise to a vector
+ * @param {Array<number>} vector - Vector
+ * @param {number} noise - Noise standard deviation per dimension
+ * @param {Function} random - Uniform generator
+ * @returns {Array<number>} Perturbed copy
+ */
+function perturb(vector, noise, random) {
+  return vector.map(value => value + gaussian(random) * noise);
+}
+
+/**
+ * Generate synthetic task documents with clustered embeddings
+ * @param {Object} options - { taskCount, dimensions, clusterCount, seed }
+ * @returns {Array<Object>} Task documents ({ ticketId, title, status, embedding })
+ */
+function generateSyntheticTasks({ taskCount = 2000, dimensions = 1536, clusterCount = 50, seed = 42 } = {}) {
+  const random = createRandom(seed);
+  const centers = Array.from({ length: clusterCount }, () =>
+    Array.from({ length: dimensions }, () => gaussian(random))
+  );
+
+  return Array.from({ length: taskCount }, (_, index) => ({
+    ticketId: `SYN-${index + 1}`,
+    title: `Synthetic task ${index + 1}`,
+    status: "To-do",
+    embedding: perturb(centers[index % clusterCount], 0.6, random),
+  }));
+}
+
+/**
+ * Generate queries near stored tasks
+ * @param {Array<Object>} tasks - Synthetic tasks
+ * @param {Object} options - { queryCount, seed }
+ * @returns {Array<Array<number>>} Query embeddings
+ */
+function generateSyntheticQueries(tasks, { queryCount = 100, seed = 7 } = {}) {
+  const random = createRandom(seed);
+  return Array.from({ length: queryCount }, () => {
+    const task = tasks[Math.floor(random() * tasks.length)];
+    return perturb(task.embedding, 0.3, random);
+  });
+}
+
+/**
+ * Share of the exact top results that the approximate search also returned
+ * @param {Array<Array<Object>>} exactResults - Bruteforce results per query
+ * @param {Array<Array<Object>>} approximateResults - Results per query from the backend under test
+ * @returns {number} Recall between 0 and 1
+ */
+function measureRecall(exactResults, approximateResults) {
+  let expected = 0;
+  let found = 0;
+  exactResults.forEach((exact, queryIndex) => {
+    const returned = new Set(approximateResults[queryIndex].map(task => task.ticketId));
+    expected += exact.length;
+    found += exact.filter(task => returned.has(task.ticketId)).length;
+  });
+  return expected > 0 ? found / expected : 1;
+}
+
+/**
+ * Milliseconds elapsed since a high-resolution start time
+ * @param {bigint} start - process.hrtime.bigint() value
+ * @returns {number} Milliseconds
+ */
+function elapsedMs(start) {
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+/**
+ * Run the benchmark
+ * @returns {Object} Timings and recall
+ */
+function runBenchmark() {
+  const taskCount = parseInt(process.env.TASK_COUNT || "2000", 10);
+  const queryCount = parseInt(process.env.QUERY_COUNT || "100", 10);
+  const dimensions = parseInt(process.env.DIMENSIONS || "1536", 10);
+  const topK = parseInt(process.env.TOP_K || "5", 10);
+  const efSearch = parseInt(process.env.EF_SEARCH || "64", 10);
+
+  console.log(`🚀 Vector search benchmark: ${taskCount} tasks, ${queryCount} queries, ${dimensions} dimensions`);
+
+  const tasks = generateSyntheticTasks({ taskCount, dimensions });
+  const queries = generateSyntheticQueries(tasks, { queryCount });
+  const searchOptions = { topK, threshold: 0 };
+
+  let start = process.hrtime.bigint();
+  const exactResults = queries.map(query => rankTasksBySimilarity(query, tasks, searchOptions));
+  const bruteForceMs = elapsedMs(start);
+
+  start = process.hrtime.bigint();
+  const index = buildTaskHnswIndex(tasks, { efSearch, random: createRandom(1) });
+  const hnswBuildMs = elapsedMs(start);
+
+  start = process.hrtime.bigint();
+  const hnswResults = queries.map(query =>
+    index.search(query, topK, searchOptions).map(match => ({ ticketId: match.data.ticketId }))
+  );
+  const hnswMs = elapsedMs(start);
+
+  const summary = {
+    bruteForceQueryMs: bruteForceMs / queryCount,
+    hnswBuildMs,
+    hnswQueryMs: hnswMs / queryCount,
+    hnswRecall: measureRecall(exactResults, hnswResults),
+  };
+
+  console.log(`   bruteforce  ${summary.bruteForceQueryMs.toFixed(2)} ms/query`);
+  console.log(`   hnsw        ${summary.hnswQueryMs.toFixed(2)} ms/query ` +
+    `(built in ${(hnswBuildMs / 1000).toFixed(1)} s, recall@${topK} ${(summary.hnswRecall * 100).toFixed(1)}%)`);
+  console.log(`   speed-up    ${(summary.bruteForceQueryMs / summary.hnswQueryMs).toFixed(1)}x`);
+  return summary;
+}
+
+// Run the script
+if (require.main === module) {
+  runBenchmark();
+}
+
+module.exports = {
+  runBenchmark,
+  createRandom,
+  generateSyntheticTasks,
+  generateSyntheticQueries,
+  measureRecall,
+};
@@ -0,0 +1,176 @@
+/**
+ * Prompt A/B Comparison
+ *
+ * Runs the 3-stage pipeline twice on the same input - once per prompt variant - and prints the
+ * scores, the LLM cost and the predictions that only one variant made. A variant is a comma
+ * separated list of prompt=version pins (see prompts/registry.json); "active" uses the active
+ * versions.
+ *
+ * Without TRANSCRIPT the golden cases are used (EVAL_CASES / EVAL_CASE as in evaluatePipeline.js).
+ * With TRANSCRIPT a single transcript file is run against the existing tasks in EXISTING_TASKS, or
+ * against the active tasks in MongoDB. Nothing is written to Jira, MongoDB or Teams.
+ *
+ * Usage: node scripts/comparePromptVersions.js <variantA> <variantB>
+ *   e.g. node scripts/comparePromptVersions.js active task_finder=v2,task_creator=v2
+ *   TRANSCRIPT      transcript JSON file to compare on instead of the golden cases
+ *   EXISTING_TASKS  existing tasks JSON file for TRANSCRIPT (default: active tasks from MongoDB)
+ *   EVAL_OUTPUT     write both reports and the comparison to this file
+ *
+ * Run without arguments to list the registered prompts and versions.
+ */
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const {
+  runPipelineEvaluation,
+  compareEvalReports,
+  diffEvalPredictions,
+} = require("../services/core/pipelineEvalService");
+const { listPrompts } = require("../services/utilities/promptRegistry");
+const { printEvaluationReport } = require("./evaluatePipeline");
+
+/**
+ * Parse a variant argument
+ * @param {string} spec - "active" or "prompt=version,prompt=version"
+ * @returns {Object} Prompt name → version
+ */
+function parseVariant(spec) {
+  if (!spec || spec === "active") return {};
+
+  return Object.fromEntries(spec.split(",").map(pin => {
+    const [name, version] = pin.split("=").map(value => (value || "").trim());
+    if (!name || !version) {
+      throw new Error(`Invalid prompt pin "${pin}" - expected prompt=version`);
+    }
+    return [name, version];
+  }));
+}
+
+/**
+ * Print the registered prompts and their versions
+ */
+function printPromptList() {
+  console.log("\n📝 REGISTERED PROMPTS");
+  console.log("=".repeat(60));
+  for (const prompt of listPrompts()) {
+    console.log(`\n${prompt.name} - ${prompt.description}`);
+    prompt.versions.forEach(entry => {
+      const marker = entry.version === prompt.active ? "*" : " ";
+      console.log(`  ${marker} ${entry.version.padEnd(6)} ${entry.note} (${entry.parts.join(", ")})`);
+    });
+  }
+  console.log("\n* active version");
+}
+
+/**
+ * Build the case to compare on from TRANSCRIPT / EXISTING_TASKS
+ * Nothing is expected of it, so only the predictions are compared.
+ * @returns {Promise<Object>} Eval case
+ */
+async function loadTranscriptCase() {
+  const transcriptFile = process.env.TRANSCRIPT;
+  let existingTasks;
+
+  if (process.env.EXISTING_TASKS) {
+    existingTasks = JSON.parse(fs.readFileSync(process.env.EXISTING_TASKS, "utf8"));
+  } else {
+    const { getActiveTasks } = require("../services/storage/mongoService");
+    existingTasks = await getActiveTasks();
+  }
+
+  return {
+    name: path.basename(transcriptFile, path.extname(transcriptFile)),
+    description: transcriptFile,
+    transcript: JSON.parse(fs.readFileSync(transcriptFile, "utf8")),
+    expected: {},
+    existingTasks,
+  };
+}
+
+/**
+ * Print the differences between the two variants
+ * @param {Object} reportA - Report of variant A
+ * @param {Object} reportB - Report of variant B
+ */
+function printComparison(reportA, reportB) {
+  console.log("\n🆚 A vs B");
+  console.log("=".repeat(60));
+  console.log(`A: ${JSON.stringify(reportA.promptVersions)}`);
+  console.log(`B: ${JSON.stringify(reportB.promptVersions)}`);
+  console.log(`Cost: A $${reportA.llmUsage.costUsd} (${reportA.llmUsage.totalTokens} tokens), ` +
+    `B $${reportB.llmUsage.costUsd} (${reportB.llmUsage.totalTokens} tokens)`);
+
+  const changedScores = compareEvalReports(reportA, reportB, 0).deltas.filter(entry => entry.delta !== 0);
+  if (changedScores.length > 0) {
+    console.log("\nScores (A → B):");
+    changedScores.forEach(entry => {
+      const sign = entry.delta > 0 ? "+" : "";
+      console.log(`   ${entry.category} ${entry.metric}: ${entry.baseline} → ${entry.current} (${sign}${entry.delta})`);
+    });
+  }
+
+  const differences = diffEvalPredictions(reportA, reportB);
+  if (differences.length === 0) {
+    console.log("\nBoth variants made the same predictions");
+    return;
+  }
+
+  console.log("\nPredictions:");
+  differences.forEach(difference => {
+    console.log(`\n   ${difference.name} - ${difference.category}`);
+    difference.onlyInA.forEach(label => console.log(`     A only: ${label}`));
+    difference.onlyInB.forEach(label => console.log(`     B only: ${label}`));
+  });
+}
+
+/**
+ * Run the comparison from the command line
+ */
+async function main() {
+  const [specA, specB] = process.argv.slice(2);
+  if (!specA || !specB) {
+    console.log("Usage: node scripts/comparePromptVersions.js <variantA> <variantB>");
+    printPromptList();
+    process.exit(specA ? 1 : 0);
+  }
+
+  const options = process.env.TRANSCRIPT ?
+    { cases: [await loadTranscriptCase()] } :
+    { casesDir: process.env.EVAL_CASES, only: process.env.EVAL_CASE };
+
+  // Run one after the other so both variants see the same (uncontended) provider
+  const reportA = await runPipelineEvaluation({ ...options, promptVersions: parseVariant(specA) });
+  const reportB = await runPipelineEvaluation({ ...options, promptVersions: parseVariant(specB) });
+
+  if (!process.env.TRANSCRIPT) {
+    console.log("\n──────── Variant A ────────");
+    printEvaluationReport(reportA);
+    console.log("\n──────── Variant B ────────");
+    printEvaluationReport(reportB);
+  }
+  printComparison(reportA, reportB);
+
+  if (process.env.EVAL_OUTPUT) {
+    const comparison = {
+      a: reportA,
+      b: reportB,
+      deltas: compareEvalReports(reportA, reportB, 0).deltas,
+      differences: diffEvalPredictions(reportA, reportB),
+    };
+    fs.writeFileSync(process.env.EVAL_OUTPUT, JSON.stringify(comparison, null, 2) + "\n");
+    console.log(`\n💾 Comparison written to ${process.env.EVAL_OUTPUT}`);
+  }
+
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("💥 Prompt comparison failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseVariant };
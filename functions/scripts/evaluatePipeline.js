@@ -0,0 +1,125 @@
+/**
+ * Golden-Transcript Evaluation
+ *
+ * Runs the 3-stage pipeline on every golden case and prints precision/recall per category
+ * (tasks, future plans, updates, status changes, cancelled tasks) plus assignee and field
+ * accuracy. Writes a JSON report that can be committed and diffed between prompt changes.
+ * See services/core/pipelineEvalService.js for the case format.
+ *
+ * Uses the configured LLM provider (LLM_PROVIDER) - run it against the real model after changing
+ * a prompt. Nothing is written to Jira, MongoDB or Teams.
+ *
+ * Usage: node scripts/evaluatePipeline.js
+ *   EVAL_CASES      cases folder (default tests/golden)
+ *   EVAL_CASE       run a single case by name
+ *   EVAL_OUTPUT     write the JSON report to this file
+ *   EVAL_BASELINE   compare with an earlier report and exit 1 on a regression
+ *   EVAL_TOLERANCE  allowed score drop before it counts as a regression (default 0.02)
+ */
+
+require("dotenv").config();
+
+const fs = require("fs");
+const {
+  runPipelineEvaluation,
+  compareEvalReports,
+} = require("../services/core/pipelineEvalService");
+
+/**
+ * Format a ratio as a percentage
+ * @param {number} value - Ratio between 0 and 1
+ * @returns {string} Percentage
+ */
+function formatPercent(value) {
+  return `${(value * 100).toFixed(1)}%`.padStart(7);
+}
+
+/**
+ * Print the overall and per-case scores
+ * @param {Object} report - Evaluation report
+ */
+function printEvaluationReport(report) {
+  console.log(`\n📊 PIPELINE EVALUATION (${report.provider} / ${report.chatModel}, ${report.caseCount} cases)`);
+  console.log("=".repeat(60));
+  console.log(`${"Category".padEnd(16)}${"Precision".padStart(10)}${"Recall".padStart(10)}${"F1".padStart(10)}`);
+
+  for (const [category, score] of Object.entries(report.overall)) {
+    if (score.accuracy !== undefined) {
+      console.log(`${category.padEnd(16)}${"accuracy".padStart(10)}${formatPercent(score.accuracy).padStart(10)}` +
+        `   (${score.correct}/${score.total})`);
+    } else {
+      console.log(`${category.padEnd(16)}${formatPercent(score.precision).padStart(10)}` +
+        `${formatPercent(score.recall).padStart(10)}${formatPercent(score.f1).padStart(10)}`);
+    }
+  }
+
+  for (const result of report.cases) {
+    const problems = [];
+    for (const [category, detail] of Object.entries(result.details)) {
+      if (category === "fieldMismatches") {
+        detail.forEach(mismatch => problems.push(
+          `${mismatch.field} of "${mismatch.item}": expected ${mismatch.expected}, got ${mismatch.actual}`
+        ));
+        continue;
+      }
+      (detail.missed || []).forEach(item => problems.push(`missed ${category}: ${item}`));
+      (detail.unexpected || []).forEach(item => problems.push(`unexpected ${category}: ${item}`));
+      (detail.leaked || []).forEach(item => problems.push(`cancelled task was created: ${item}`));
+    }
+
+    const status = result.error ? "💥" : problems.length === 0 ? "✅" : "⚠️";
+    console.log(`\n${status} ${result.name}${result.description ? ` - ${result.description}` : ""}`);
+    if (result.error) {
+      console.log(`   Error: ${result.error}`);
+    }
+    problems.forEach(problem => console.log(`   - ${problem}`));
+  }
+}
+
+/**
+ * Run the evaluation from the command line
+ */
+async function main() {
+  const report = await runPipelineEvaluation({
+    casesDir: process.env.EVAL_CASES,
+    only: process.env.EVAL_CASE,
+  });
+
+  printEvaluationReport(report);
+
+  if (process.env.EVAL_OUTPUT) {
+    fs.writeFileSync(process.env.EVAL_OUTPUT, JSON.stringify(report, null, 2) + "\n");
+    console.log(`\n💾 Report written to ${process.env.EVAL_OUTPUT}`);
+  }
+
+  if (process.env.EVAL_BASELINE) {
+    const baseline = JSON.parse(fs.readFileSync(process.env.EVAL_BASELINE, "utf8"));
+    const tolerance = parseFloat(process.env.EVAL_TOLERANCE || "0.02");
+    const { deltas, regressions } = compareEvalReports(baseline, report, tolerance);
+
+    console.log(`\n📈 Compared with ${process.env.EVAL_BASELINE}:`);
+    deltas.filter(entry => entry.delta !== 0).forEach(entry => {
+      const sign = entry.delta > 0 ? "+" : "";
+      console.log(`   ${entry.category} ${entry.metric}: ${entry.baseline} → ${entry.current} (${sign}${entry.delta})`);
+    });
+    if (deltas.every(entry => entry.delta === 0)) {
+      console.log("   No score changes");
+    }
+
+    if (regressions.length > 0) {
+      console.error(`\n❌ ${regressions.length} score(s) dropped by more than ${tolerance}`);
+      process.exit(1);
+    }
+  }
+
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("💥 Evaluation failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { printEvaluationReport };
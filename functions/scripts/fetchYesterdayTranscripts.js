@@ -5,36 +5,38 @@
  * to the MongoDB transcripts collection exactly as done in testrealflow/testfakeflow.
  * 
  * Features:
- * - Fetches all meetings for TARGET_USER_ID from yesterday
+ * - Fetches all meetings for TARGET_USER_ID (or a registered team's targetUserId) from yesterday
  * - Saves transcripts to MongoDB transcripts collection 
  * - Uses existing services for consistency
  * - No additional processing - just fetch and save
  * 
- * Usage: node scripts/fetchYesterdayTranscripts.js
+ * Usage: node scripts/fetchYesterdayTranscripts.js [--team=<teamId>]
  */
 
 require("dotenv").config();
 
-const { fetchAllMeetingsForUser, validateAllMeetingsEnvironment } = require("../services/allMeetingsService");
-const { storeTranscript, testMongoConnection, initializeMongoDB } = require("../services/mongoService");
-const { getBangladeshTimeComponents } = require("../services/meetingUrlService");
-const { logger } = require("firebase-functions");
+const { fetchAllMeetingsForUser, validateAllMeetingsEnvironment } = require("../services/integrations/allMeetingsService");
+const { storeTranscript, testMongoConnection } = require("../services/storage/mongoService");
+const {
+  getTeamCalendar, getZonedTimeComponents, shiftDateString, getDayOfWeek, getHoliday, DAY_NAMES
+} = require("../config/teamCalendar");
+const { getTeam, DEFAULT_TEAM_ID } = require("../config/teamRegistry");
 
 /**
- * Calculate yesterday's date in YYYY-MM-DD format
+ * Calculate yesterday's date in the team calendar's timezone
+ * @param {Object} calendar - Team calendar (defaults to the default team)
  * @returns {string} Yesterday's date in YYYY-MM-DD format
  */
-function getYesterdayDate() {
-  const today = new Date();
-  const yesterday = new Date(today);
-  yesterday.setDate(today.getDate() - 1);
-  return yesterday.toISOString().slice(0, 10);
+function getYesterdayDate(calendar = getTeamCalendar()) {
+  const today = getZonedTimeComponents(new Date(), calendar.timezone);
+  return shiftDateString(today.dateString, -1);
 }
 
 /**
  * Main function to fetch yesterday's transcripts and save to MongoDB
+ * @param {string} teamId - Team from the team registry (defaults to the default team)
  */
-async function fetchAndSaveYesterdayTranscripts() {
+async function fetchAndSaveYesterdayTranscripts(teamId = DEFAULT_TEAM_ID) {
   console.log("=".repeat(80));
   console.log("🚀 FETCHING YESTERDAY'S TEAMS MEETING TRANSCRIPTS");
   console.log("=".repeat(80));
@@ -45,13 +47,20 @@ async function fetchAndSaveYesterdayTranscripts() {
     // Step 1: Validate environment variables
     console.log("\n1. Checking environment variables...");
     
+    const team = getTeam(teamId);
     const requiredEnvVars = [
       "AZURE_CLIENT_ID",
       "AZURE_CLIENT_SECRET", 
       "AZURE_AUTHORITY",
-      "TARGET_USER_ID",
       "MONGODB_URI"
     ];
+    // Other teams take their target user from TEAMS_CONFIG
+    if (team.teamId === DEFAULT_TEAM_ID) {
+      requiredEnvVars.splice(3, 0, "TARGET_USER_ID");
+    } else if (!team.targetUserId) {
+      console.error(`   ❌ Team ${team.teamId} has no targetUserId in TEAMS_CONFIG`);
+      process.exit(1);
+    }
     
     const missingVars = [];
     for (const envVar of requiredEnvVars) {
@@ -104,9 +113,20 @@ async function fetchAndSaveYesterdayTranscripts() {
     
     // Step 4: Calculate yesterday's date
     console.log("\n4. Calculating target date...");
-    const yesterdayDate = getYesterdayDate();
-    console.log(`   📅 Target date (yesterday): ${yesterdayDate}`);
-    console.log(`   👤 Target user: ${process.env.TARGET_USER_ID.substring(0, 20)}...`);
+    const calendar = getTeamCalendar(team.teamId);
+    const yesterdayDate = getYesterdayDate(calendar);
+    const yesterdayDayName = DAY_NAMES[getDayOfWeek(yesterdayDate)];
+    console.log(`   📅 Target date (yesterday, ${calendar.timezone}): ${yesterdayDate} (${yesterdayDayName})`);
+    console.log(`   👥 Team: ${team.teamId}`);
+    console.log(`   👤 Target user: ${team.targetUserId.substring(0, 20)}...`);
+    
+    const holiday = getHoliday(yesterdayDate, calendar);
+    if (holiday || !calendar.meetingDays.includes(yesterdayDayName)) {
+      console.log(`   ⏭️  No standup yesterday (${holiday ? `holiday${holiday.name ? `: ${holiday.name}` : ""}` :
+        `${yesterdayDayName} is not a meeting day`})`);
+      console.log("\n   ✅ Script completed - nothing to fetch");
+      return;
+    }
     
     // Step 5: Fetch all meetings and transcripts for yesterday
     console.log("\n5. 🔄 Fetching all meetings and transcripts for yesterday...");
@@ -117,7 +137,7 @@ async function fetchAndSaveYesterdayTranscripts() {
       console.log("   🔄 Starting All Meetings fetch...");
       const fetchStartTime = Date.now();
       
-      allTranscriptsResults = await fetchAllMeetingsForUser(process.env.TARGET_USER_ID, yesterdayDate);
+      allTranscriptsResults = await fetchAllMeetingsForUser(team.targetUserId, yesterdayDate);
       
       const fetchDuration = ((Date.now() - fetchStartTime) / 1000).toFixed(2);
     
@@ -176,6 +196,7 @@ async function fetchAndSaveYesterdayTranscripts() {
           {
             ...transcriptData.metadata,
             targetDate: yesterdayDate,
+            teamId: team.teamId,
             scriptExecutedAt: new Date().toISOString(),
             source: "fetchYesterdayTranscripts.js"
           }
@@ -214,7 +235,8 @@ async function fetchAndSaveYesterdayTranscripts() {
     
     console.log("\n📊 FINAL SUMMARY:");
     console.log(`   - 📅 Target date: ${yesterdayDate}`);
-    console.log(`   - 👤 Target user: ${process.env.TARGET_USER_ID.substring(0, 20)}...`);
+    console.log(`   - 👥 Team: ${team.teamId}`);
+    console.log(`   - 👤 Target user: ${team.targetUserId.substring(0, 20)}...`);
     console.log(`   - 📋 Total meetings found: ${allTranscriptsResults.length}`);
     console.log(`   - ✅ Successfully saved: ${savedCount}`);
     console.log(`   - ❌ Failed to save: ${failedCount}`);
@@ -279,7 +301,8 @@ process.on("uncaughtException", (error) => {
 // Run the script
 if (require.main === module) {
   console.log("🚀 Starting yesterday's transcript fetch script...\n");
-  fetchAndSaveYesterdayTranscripts().catch(error => {
+  const teamArg = process.argv.find(arg => arg.startsWith("--team="));
+  fetchAndSaveYesterdayTranscripts(teamArg ? teamArg.slice("--team=".length) : DEFAULT_TEAM_ID).catch(error => {
     console.error("Script failed:", error);
     process.exit(1);
   });
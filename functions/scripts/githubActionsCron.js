@@ -231,6 +231,7 @@ async function runTranscriptProcessor() {
         const processingResult = await processTranscriptToTasksWithPipeline(
           transcript.transcript,
           {
+            transcriptId: transcript.metadata?.transcriptId,
             meetingId: transcript.meetingId,
             meetingSubject: transcript.meetingSubject,
             startTime: transcript.startTime,
@@ -0,0 +1,153 @@
+/**
+ * Migration Script: participantMapping.js → participants collection
+ *
+ * Seeds the MongoDB participant directory from the static PARTICIPANT_TO_JIRA_MAPPING,
+ * the known spelling variations (LEGACY_NAME_ALIASES) and the participant maps of teams
+ * in TEAMS_CONFIG. Names sharing a Jira accountId become one participant: the fullest
+ * name is the canonical name and the others become aliases.
+ *
+ * Existing participants (matched by name or alias) get the missing aliases and accountId
+ * merged in, so the script can be re-run safely.
+ *
+ * SAFETY FEATURES:
+ * - Dry-run mode by default (set DRY_RUN=false to actually migrate)
+ *
+ * Usage: DRY_RUN=false node scripts/migrateParticipantsToMongo.js
+ */
+
+require("dotenv").config();
+
+const { PARTICIPANT_TO_JIRA_MAPPING, LEGACY_NAME_ALIASES } = require("../config/participantMapping");
+const { listTeams } = require("../config/teamRegistry");
+const {
+  getParticipants, insertParticipant, updateParticipant, closeMongoDB
+} = require("../services/storage/mongoService");
+
+const DRY_RUN = process.env.DRY_RUN !== "false"; // Set to 'false' to actually migrate
+
+/**
+ * Pick the canonical name from names sharing an accountId (most words, then longest)
+ * @param {Array<string>} names - Names mapped to the same accountId
+ * @returns {string} Canonical name
+ */
+function pickCanonicalName(names) {
+  return [...names].sort((a, b) =>
+    b.split(" ").length - a.split(" ").length || b.length - a.length
+  )[0];
+}
+
+/**
+ * Build participant entries from name → accountId maps
+ * @param {Array<Object>} mappings - Participant → Jira accountId maps
+ * @param {Object} legacyAliases - Extra aliases keyed by canonical name
+ * @returns {Array<Object>} Participants ({ name, aliases, jiraAccountId })
+ */
+function buildParticipantsFromMappings(mappings, legacyAliases = {}) {
+  const namesByAccountId = new Map();
+  for (const mapping of mappings) {
+    for (const [name, accountId] of Object.entries(mapping || {})) {
+      if (!namesByAccountId.has(accountId)) {
+        namesByAccountId.set(accountId, new Set());
+      }
+      namesByAccountId.get(accountId).add(name.trim());
+    }
+  }
+
+  return [...namesByAccountId.entries()].map(([accountId, nameSet]) => {
+    const names = [...nameSet];
+    const name = pickCanonicalName(names);
+    const seenKeys = new Set([name.toLowerCase()]);
+    const aliases = [];
+    for (const alias of [...names, ...(legacyAliases[name] || [])]) {
+      if (!seenKeys.has(alias.toLowerCase())) {
+        seenKeys.add(alias.toLowerCase());
+        aliases.push(alias);
+      }
+    }
+    return { name, aliases, jiraAccountId: accountId };
+  });
+}
+
+/**
+ * Find the existing directory participant for a name or any of its aliases
+ * @param {Array<Object>} existingParticipants - Participants already in MongoDB
+ * @param {Object} participant - Participant to migrate
+ * @returns {Object|null} Existing participant or null
+ */
+function findExistingParticipant(existingParticipants, participant) {
+  const keys = [participant.name, ...participant.aliases].map(key => key.toLowerCase());
+  return existingParticipants.find(existing =>
+    (existing.lookupKeys || []).some(key => keys.includes(key))
+  ) || null;
+}
+
+/**
+ * Run the migration
+ * @returns {Promise<Object>} Counts of created, updated and unchanged participants
+ */
+async function migrateParticipants() {
+  console.log(`🚀 Migrating participant mapping to MongoDB ${DRY_RUN ? "(DRY RUN - nothing is written)" : ""}`);
+
+  const mappings = [PARTICIPANT_TO_JIRA_MAPPING, ...listTeams().map(team => team.participantMapping)];
+  const participants = buildParticipantsFromMappings(mappings, LEGACY_NAME_ALIASES);
+  const existingParticipants = await getParticipants();
+  const summary = { created: 0, updated: 0, unchanged: 0 };
+
+  for (const participant of participants) {
+    const existing = findExistingParticipant(existingParticipants, participant);
+
+    if (!existing) {
+      console.log(`   ➕ ${participant.name} (aliases: ${participant.aliases.join(", ") || "none"})`);
+      if (!DRY_RUN) {
+        await insertParticipant(participant);
+      }
+      summary.created++;
+      continue;
+    }
+
+    const existingKeys = new Set(existing.lookupKeys || []);
+    const newAliases = [participant.name, ...participant.aliases]
+      .filter(alias => !existingKeys.has(alias.toLowerCase()));
+    const updateData = {};
+    if (newAliases.length > 0) {
+      updateData.aliases = [...(existing.aliases || []), ...newAliases];
+    }
+    if (!existing.jiraAccountId) {
+      updateData.jiraAccountId = participant.jiraAccountId;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      console.log(`   ✓ ${existing.name} already up to date`);
+      summary.unchanged++;
+      continue;
+    }
+
+    console.log(`   🔄 ${existing.name}: ${JSON.stringify(updateData)}`);
+    if (!DRY_RUN) {
+      await updateParticipant(existing._id.toString(), updateData);
+    }
+    summary.updated++;
+  }
+
+  console.log(`\n📊 Created: ${summary.created}, updated: ${summary.updated}, unchanged: ${summary.unchanged}`);
+  if (DRY_RUN) {
+    console.log("   Run with DRY_RUN=false to write these changes");
+  }
+  return summary;
+}
+
+// Run the script
+if (require.main === module) {
+  migrateParticipants()
+    .catch(error => {
+      console.error("Migration failed:", error);
+      process.exitCode = 1;
+    })
+    .finally(() => closeMongoDB());
+}
+
+module.exports = {
+  migrateParticipants,
+  buildParticipantsFromMappings,
+  pickCanonicalName,
+};
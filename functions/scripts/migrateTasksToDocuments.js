@@ -0,0 +1,165 @@
+/**
+ * Migration Script: sptasks (one document per run) → tasks (one document per task)
+ *
+ * The old layout stored each pipeline run as one document keyed by participant name with nested
+ * Coding / Non-Coding arrays. Every task becomes its own document in the tasks collection:
+ * - assignee / type come from the participant key and array it was in
+ * - runId is the old run document's _id, createdAt its timestamp
+ * - legacyPath ("Name.Coding.0") records where it came from
+ *
+ * A ticketId stored in more than one run keeps the newest copy (the one the old lookups returned).
+ * Tasks whose ticketId is already in the tasks collection are skipped and the rest are upserted on
+ * runId + legacyPath, so the script can be re-run safely. The sptasks collection is left untouched.
+ *
+ * SAFETY FEATURES:
+ * - Dry-run mode by default (set DRY_RUN=false to actually migrate)
+ *
+ * Usage: DRY_RUN=false node scripts/migrateTasksToDocuments.js
+ */
+
+require("dotenv").config();
+
+const {
+  initializeMongoDB, getDatabase, closeMongoDB, buildTaskDocument, ensureTaskIndexes,
+  TASKS_COLLECTION, LEGACY_TASKS_COLLECTION, TASK_COLLATION
+} = require("../services/storage/mongoService");
+
+const DRY_RUN = process.env.DRY_RUN !== "false"; // Set to 'false' to actually migrate
+const BATCH_SIZE = 500;
+
+/**
+ * Convert one legacy run document into task documents
+ * @param {Object} doc - sptasks document ({ _id, timestamp, teamId, [participant]: { Coding, "Non-Coding" } })
+ * @returns {Array<Object>} Task documents (see buildTaskDocument) with legacyPath set
+ */
+function convertLegacyTaskDocument(doc) {
+  const taskDocuments = [];
+
+  for (const [participantName, participantData] of Object.entries(doc)) {
+    if (participantName === "_id" || participantName === "timestamp" || participantName === "teamId") continue;
+    if (!participantData || typeof participantData !== "object") continue;
+
+    for (const type of ["Coding", "Non-Coding"]) {
+      (participantData[type] || []).forEach((task, index) => {
+        // The earliest runs stored bare description strings
+        const taskFields = typeof task === "string" ? { description: task, status: "To-do" } : task;
+        taskDocuments.push({
+          ...buildTaskDocument(taskFields, {
+            assignee: participantName,
+            type,
+            teamId: doc.teamId || "default",
+            runId: doc._id,
+            createdAt: doc.timestamp || new Date(0),
+          }),
+          legacyPath: `${participantName}.${type}.${index}`,
+        });
+      });
+    }
+  }
+
+  return taskDocuments;
+}
+
+/**
+ * Convert legacy run documents, keeping the newest copy of each ticketId
+ * @param {Array<Object>} documents - sptasks documents
+ * @returns {Object} { taskDocuments, duplicates } where duplicates lists the skipped older copies
+ */
+function convertLegacyTaskDocuments(documents) {
+  const newestFirst = [...documents].sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+  const seenTicketIds = new Set();
+  const taskDocuments = [];
+  const duplicates = [];
+
+  for (const doc of newestFirst) {
+    for (const taskDocument of convertLegacyTaskDocument(doc)) {
+      const ticketKey = taskDocument.ticketId ? String(taskDocument.ticketId).toUpperCase() : null;
+      if (ticketKey && seenTicketIds.has(ticketKey)) {
+        duplicates.push({ ticketId: taskDocument.ticketId, runId: doc._id, legacyPath: taskDocument.legacyPath });
+        continue;
+      }
+      if (ticketKey) {
+        seenTicketIds.add(ticketKey);
+      }
+      taskDocuments.push(taskDocument);
+    }
+  }
+
+  return { taskDocuments, duplicates };
+}
+
+/**
+ * Run the migration
+ * @returns {Promise<Object>} Counts of legacy documents, tasks written and duplicates skipped
+ */
+async function migrateTasks() {
+  const dryRunNote = DRY_RUN ? "(DRY RUN - nothing is written)" : "";
+  console.log(`🚀 Migrating ${LEGACY_TASKS_COLLECTION} to ${TASKS_COLLECTION} ${dryRunNote}`);
+
+  await initializeMongoDB();
+  const db = getDatabase();
+
+  const documents = await db.collection(LEGACY_TASKS_COLLECTION).find({}).toArray();
+  const { taskDocuments, duplicates } = convertLegacyTaskDocuments(documents);
+
+  console.log(`   📄 ${documents.length} run documents → ${taskDocuments.length} tasks`);
+  for (const duplicate of duplicates) {
+    console.log(`   ⚠️  ${duplicate.ticketId} also at ${duplicate.legacyPath} in run ${duplicate.runId} ` +
+      "- older copy skipped");
+  }
+
+  const collection = db.collection(TASKS_COLLECTION);
+  const existingTicketIds = new Set((await collection.distinct("ticketId")).map(id => String(id).toUpperCase()));
+  const tasksToWrite = taskDocuments.filter(taskDocument =>
+    !taskDocument.ticketId || !existingTicketIds.has(String(taskDocument.ticketId).toUpperCase())
+  );
+
+  const summary = {
+    runDocuments: documents.length,
+    tasks: taskDocuments.length,
+    duplicates: duplicates.length,
+    alreadyPresent: taskDocuments.length - tasksToWrite.length,
+    upserted: 0,
+  };
+
+  if (!DRY_RUN) {
+    await ensureTaskIndexes();
+
+    for (let start = 0; start < tasksToWrite.length; start += BATCH_SIZE) {
+      const batch = tasksToWrite.slice(start, start + BATCH_SIZE);
+      const result = await collection.bulkWrite(batch.map(taskDocument => ({
+        updateOne: {
+          filter: { runId: taskDocument.runId, legacyPath: taskDocument.legacyPath },
+          update: { $setOnInsert: taskDocument },
+          upsert: true,
+          collation: TASK_COLLATION,
+        },
+      })));
+      summary.upserted += result.upsertedCount;
+      console.log(`   💾 ${Math.min(start + BATCH_SIZE, tasksToWrite.length)}/${tasksToWrite.length} tasks processed`);
+    }
+  }
+
+  console.log(`\n📊 Tasks: ${summary.tasks}, already in ${TASKS_COLLECTION}: ${summary.alreadyPresent}, ` +
+    `newly written: ${summary.upserted}, duplicates skipped: ${summary.duplicates}`);
+  if (DRY_RUN) {
+    console.log("   Run with DRY_RUN=false to write these changes");
+  }
+  return summary;
+}
+
+// Run the script
+if (require.main === module) {
+  migrateTasks()
+    .catch(error => {
+      console.error("Migration failed:", error);
+      process.exitCode = 1;
+    })
+    .finally(() => closeMongoDB());
+}
+
+module.exports = {
+  migrateTasks,
+  convertLegacyTaskDocument,
+  convertLegacyTaskDocuments,
+};
@@ -2,7 +2,7 @@
  * Migration Script: TRADES to TDS
  * 
  * This script migrates all ticket IDs from TRADES-XXX to TDS-XXX format in:
- * 1. MongoDB (sptasks collection - ticketId and jiraTicketId fields)
+ * 1. MongoDB (tasks collection - ticketId, and the epic links of other tasks)
  * 2. Jira (moves issues from TRADES project to TDS project)
  * 
  * SAFETY FEATURES:
@@ -15,6 +15,7 @@
 const { MongoClient } = require("mongodb");
 const axios = require("axios");
 require("dotenv").config();
+const { TASKS_COLLECTION, TASK_COLLATION } = require("../services/storage/mongoService");
 
 // Configuration
 const DRY_RUN = process.env.DRY_RUN !== "false"; // Set to 'false' to actually migrate
@@ -33,7 +34,6 @@ const DATABASE_NAME = (() => {
   }
   return "standuptickets";
 })();
-const COLLECTION_NAME = "sptasks";
 
 let migrationLog = [];
 
@@ -54,82 +54,20 @@ async function getTradesTasksFromMongo(db) {
     log("Fetching tasks with TRADES ticket IDs from MongoDB...");
     log("Database configuration", {
       database: DATABASE_NAME,
-      collection: COLLECTION_NAME
+      collection: TASKS_COLLECTION
     });
     
-    const collection = db.collection(COLLECTION_NAME);
+    const collection = db.collection(TASKS_COLLECTION);
     
     // First, check total count in collection
     const totalCount = await collection.countDocuments();
-    log(`Total documents in ${COLLECTION_NAME}: ${totalCount}`);
+    log(`Total documents in ${TASKS_COLLECTION}: ${totalCount}`);
     
-    // Get a sample document to see structure
-    const sample = await collection.findOne();
-    if (sample) {
-      log("Sample document structure", {
-        allFields: Object.keys(sample).slice(0, 10)
-      });
-      
-      // The structure is: { "Participant Name": { Coding: [...], Non-Coding: [...] } }
-      // Find a participant field to inspect
-      const participantFields = Object.keys(sample).filter(k => k !== '_id' && k !== 'timestamp');
-      if (participantFields.length > 0) {
-        const sampleParticipant = sample[participantFields[0]];
-        if (sampleParticipant && sampleParticipant.Coding && sampleParticipant.Coding.length > 0) {
-          log("Sample task structure", {
-            participant: participantFields[0],
-            sampleTask: sampleParticipant.Coding[0]
-          });
-        }
-      }
-    }
-    
-    // Find all documents and extract tasks with TRADES tickets
-    // The structure is nested: { "Participant": { "Coding": [{ticketId: "TRADES-XXX"}], "Non-Coding": [...] } }
-    const allDocs = await collection.find({}).toArray();
-    
-    const tasksWithTrades = [];
-    
-    for (const doc of allDocs) {
-      // Skip _id and timestamp fields, process participant fields
-      const participantNames = Object.keys(doc).filter(k => k !== '_id' && k !== 'timestamp');
-      
-      for (const participantName of participantNames) {
-        const participantData = doc[participantName];
-        
-        if (participantData && typeof participantData === 'object') {
-          // Check Coding tasks
-          if (Array.isArray(participantData.Coding)) {
-            for (const task of participantData.Coding) {
-              if (task.ticketId && task.ticketId.match(/^TRADES-/i)) {
-                tasksWithTrades.push({
-                  _id: doc._id,
-                  participant: participantName,
-                  taskType: 'Coding',
-                  task: task,
-                  ticketId: task.ticketId
-                });
-              }
-            }
-          }
-          
-          // Check Non-Coding tasks
-          if (Array.isArray(participantData['Non-Coding'])) {
-            for (const task of participantData['Non-Coding']) {
-              if (task.ticketId && task.ticketId.match(/^TRADES-/i)) {
-                tasksWithTrades.push({
-                  _id: doc._id,
-                  participant: participantName,
-                  taskType: 'Non-Coding',
-                  task: task,
-                  ticketId: task.ticketId
-                });
-              }
-            }
-          }
-        }
-      }
-    }
+    // One document per task, so the ticket ID is a top-level field
+    const tasksWithTrades = await collection.find(
+      { ticketId: { $regex: /^TRADES-/i } },
+      { projection: { ticketId: 1, assignee: 1, type: 1 } }
+    ).toArray();
     
     log(`Found ${tasksWithTrades.length} tasks with TRADES ticket IDs`, {
       sampleTicketIds: tasksWithTrades.slice(0, 10).map(t => t.ticketId)
@@ -144,78 +82,52 @@ async function getTradesTasksFromMongo(db) {
 
 /**
  * Update MongoDB task ticket IDs from TRADES to TDS
+ * Epic links (epicTicketId, childTicketIds) pointing at a migrated task are renamed with it.
  */
 async function updateMongoTicketIds(db, tasks) {
   const results = { success: 0, failed: 0, skipped: 0 };
+  const collection = db.collection(TASKS_COLLECTION);
   
   log(`${DRY_RUN ? "[DRY RUN] " : ""}Starting MongoDB ticket ID migration...`);
   log(`Processing ${tasks.length} tasks with TRADES ticket IDs`);
   
-  // Group tasks by document ID to minimize database operations
-  const tasksByDoc = {};
-  for (const taskInfo of tasks) {
-    const docId = taskInfo._id.toString();
-    if (!tasksByDoc[docId]) {
-      tasksByDoc[docId] = [];
-    }
-    tasksByDoc[docId].push(taskInfo);
-  }
-  
-  for (const [docId, docTasks] of Object.entries(tasksByDoc)) {
+  for (const task of tasks) {
+    const oldTicketId = task.ticketId;
+    const newTicketId = oldTicketId.replace(/^TRADES-/i, `${NEW_PROJECT_KEY}-`);
+    
     try {
-      // Fetch the full document
-      const doc = await db.collection(COLLECTION_NAME).findOne({ _id: docTasks[0]._id });
-      
-      if (!doc) {
-        log(`Document ${docId} not found, skipping`);
-        results.skipped += docTasks.length;
+      // The Jira webhook may already have stored the moved issue under its new key
+      const existing = await collection.findOne(
+        { ticketId: newTicketId },
+        { collation: TASK_COLLATION, projection: { _id: 1 } }
+      );
+      if (existing) {
+        log(`${newTicketId} already exists, skipping ${oldTicketId}`);
+        results.skipped++;
         continue;
       }
       
-      // Update ticket IDs in the document
-      let updated = false;
-      
-      for (const taskInfo of docTasks) {
-        const { participant, taskType, task, ticketId } = taskInfo;
-        const oldTicketId = ticketId;
-        const newTicketId = oldTicketId.replace(/^TRADES-/i, "TDS-");
-        
-        log(`${DRY_RUN ? "[DRY RUN] " : ""}Updating ticket`, {
-          docId: docId.substring(0, 8),
-          participant,
-          taskType,
-          oldTicketId,
-          newTicketId
-        });
-        
-        // Update the ticketId in the nested structure
-        const participantData = doc[participant];
-        if (participantData && Array.isArray(participantData[taskType])) {
-          const taskArray = participantData[taskType];
-          const taskIndex = taskArray.findIndex(t => t.ticketId === oldTicketId);
-          
-          if (taskIndex !== -1) {
-            taskArray[taskIndex].ticketId = newTicketId;
-            updated = true;
-          }
-        }
-      }
+      log(`${DRY_RUN ? "[DRY RUN] " : ""}Updating ticket`, {
+        participant: task.assignee,
+        taskType: task.type,
+        oldTicketId,
+        newTicketId
+      });
       
-      if (updated) {
-        if (!DRY_RUN) {
-          // Update the entire document
-          await db.collection(COLLECTION_NAME).replaceOne(
-            { _id: doc._id },
-            doc
-          );
+      if (!DRY_RUN) {
+        await collection.updateOne({ _id: task._id }, { $set: { ticketId: newTicketId, updatedAt: new Date() } });
+        await collection.updateMany({ epicTicketId: oldTicketId }, { $set: { epicTicketId: newTicketId } });
+        const epics = await collection.find({ childTicketIds: oldTicketId }, { projection: { childTicketIds: 1 } })
+          .toArray();
+        for (const epic of epics) {
+          const childTicketIds = epic.childTicketIds.map(id => (id === oldTicketId ? newTicketId : id));
+          await collection.updateOne({ _id: epic._id }, { $set: { childTicketIds } });
         }
-        results.success += docTasks.length;
-      } else {
-        results.skipped += docTasks.length;
       }
+      results.success++;
     } catch (error) {
-      log(`Error updating document ${docId}`, { error: error.message });
-      results.failed += docTasks.length;
+      log(`Error updating ticket ${oldTicketId}`, { error: error.message });
+      results.failed++;
     }
   }
   
@@ -2,7 +2,7 @@
  * Transcript Processing Utilities
  * 
  * This script provides utilities for testing and monitoring the enhanced transcript processing system
- * with duplicate prevention and extended calendar windows.
+ * with duplicate prevention and extended calendar windows, and an LLM cost report.
  */
 
 require("dotenv").config();
@@ -11,8 +11,10 @@ const {
   getProcessedTranscriptStats, 
   cleanupOldProcessedTranscripts,
   getCronJobStats,
-  calculateDynamicTimeWindow 
+  calculateDynamicTimeWindow,
+  getProcessedTranscriptUsage
 } = require("../services/storage/mongoService");
+const { buildLLMCostReport } = require("../services/integrations/llmUsageService");
 
 /**
  * Show statistics about processed transcripts
@@ -83,6 +85,64 @@ async function showCronJobStats() {
   }
 }
 
+/**
+ * Format a cost in USD for the report
+ * @param {number} costUsd - Cost in USD
+ * @returns {string} Formatted cost
+ */
+function formatCost(costUsd) {
+  return `$${costUsd.toFixed(4)}`;
+}
+
+/**
+ * Show LLM token usage and cost per day, per meeting and per pipeline stage
+ * @param {number} days - Number of days to look back
+ */
+async function showLLMCostReport(days = 30) {
+  try {
+    console.log(`💰 LLM COST REPORT (last ${days} days)`);
+    console.log("=".repeat(50));
+    
+    const records = await getProcessedTranscriptUsage(days);
+    const report = buildLLMCostReport(records);
+    
+    if (report.totals.transcripts === 0) {
+      console.log("No processed transcripts with LLM usage recorded");
+      return;
+    }
+    
+    console.log(`Transcripts: ${report.totals.transcripts}`);
+    console.log(`LLM Calls: ${report.totals.calls} (${report.totals.failedCalls} failed)`);
+    console.log(`Tokens: ${report.totals.promptTokens} prompt + ${report.totals.completionTokens} completion`);
+    console.log(`Total Cost: ${formatCost(report.totals.costUsd)}`);
+    if (report.totals.estimatedCalls > 0) {
+      console.log(`Estimated: ${report.totals.estimatedCalls} calls had no reported usage, tokens were estimated`);
+    }
+    
+    console.log("\n📅 Per Day:");
+    report.byDay.forEach(day => {
+      console.log(`  ${day.day}  ${formatCost(day.costUsd).padStart(10)}  ` +
+        `${day.transcripts} transcript(s), ${day.totalTokens} tokens`);
+    });
+    
+    console.log("\n🗓️ Per Meeting:");
+    report.byMeeting.forEach(meeting => {
+      console.log(`  ${formatCost(meeting.costUsd).padStart(10)}  ${meeting.meetingSubject} ` +
+        `(${meeting.transcripts} transcript(s), ${meeting.totalTokens} tokens)`);
+    });
+    
+    console.log("\n🔧 Per Stage:");
+    report.byStage.forEach(stage => {
+      const averageLatency = stage.calls > 0 ? Math.round(stage.latencyMs / stage.calls) : 0;
+      console.log(`  ${stage.stage.padEnd(22)} ${formatCost(stage.costUsd).padStart(10)}  ` +
+        `${stage.calls} calls, ${stage.totalTokens} tokens, ${averageLatency}ms avg`);
+    });
+    
+  } catch (error) {
+    console.error("❌ Error building LLM cost report:", error.message);
+  }
+}
+
 /**
  * Clean up old processed transcript records
  */
@@ -171,49 +231,55 @@ async function main() {
   const command = process.argv[2];
   
   switch (command) {
-    case 'stats':
-      await showProcessedTranscriptStats();
-      break;
-      
-    case 'cron':
-      await showCronJobStats();
-      break;
-      
-    case 'cleanup':
-      const days = parseInt(process.argv[3]) || 90;
-      await cleanupOldRecords(days);
-      break;
-      
-    case 'test':
-      await testSystemConfiguration();
-      break;
-      
-    case 'all':
-      await testSystemConfiguration();
-      console.log("\n");
-      await showCronJobStats();
-      console.log("\n");
-      await showProcessedTranscriptStats();
-      break;
-      
-    default:
-      console.log("📋 TRANSCRIPT PROCESSING UTILITIES");
-      console.log("=".repeat(40));
-      console.log("Usage: node transcriptProcessingUtils.js <command>");
-      console.log("");
-      console.log("Commands:");
-      console.log("  stats     - Show processed transcript statistics");
-      console.log("  cron      - Show cron job statistics and next window");
-      console.log("  cleanup   - Clean up old processed transcript records");
-      console.log("  test      - Test system configuration");
-      console.log("  all       - Run all commands");
-      console.log("");
-      console.log("Examples:");
-      console.log("  node transcriptProcessingUtils.js stats");
-      console.log("  node transcriptProcessingUtils.js cron");
-      console.log("  node transcriptProcessingUtils.js cleanup 60");
-      console.log("  node transcriptProcessingUtils.js test");
-      break;
+  case 'stats':
+    await showProcessedTranscriptStats();
+    break;
+    
+  case 'cron':
+    await showCronJobStats();
+    break;
+    
+  case 'cleanup':
+    const days = parseInt(process.argv[3]) || 90;
+    await cleanupOldRecords(days);
+    break;
+    
+  case 'test':
+    await testSystemConfiguration();
+    break;
+    
+  case "costs":
+    await showLLMCostReport(parseInt(process.argv[3]) || 30);
+    break;
+    
+  case 'all':
+    await testSystemConfiguration();
+    console.log("\n");
+    await showCronJobStats();
+    console.log("\n");
+    await showProcessedTranscriptStats();
+    break;
+    
+  default:
+    console.log("📋 TRANSCRIPT PROCESSING UTILITIES");
+    console.log("=".repeat(40));
+    console.log("Usage: node transcriptProcessingUtils.js <command>");
+    console.log("");
+    console.log("Commands:");
+    console.log("  stats     - Show processed transcript statistics");
+    console.log("  cron      - Show cron job statistics and next window");
+    console.log("  cleanup   - Clean up old processed transcript records");
+    console.log("  test      - Test system configuration");
+    console.log("  costs     - Show LLM cost per day, meeting and stage");
+    console.log("  all       - Run all commands");
+    console.log("");
+    console.log("Examples:");
+    console.log("  node transcriptProcessingUtils.js stats");
+    console.log("  node transcriptProcessingUtils.js cron");
+    console.log("  node transcriptProcessingUtils.js cleanup 60");
+    console.log("  node transcriptProcessingUtils.js test");
+    console.log("  node transcriptProcessingUtils.js costs 7");
+    break;
   }
   
   process.exit(0);
@@ -231,5 +297,6 @@ module.exports = {
   showProcessedTranscriptStats,
   showCronJobStats,
   cleanupOldRecords,
-  testSystemConfiguration
+  testSystemConfiguration,
+  showLLMCostReport
 };
@@ -0,0 +1,313 @@
+/**
+ * Task Approval Service - Human-in-the-loop review of newly extracted tasks
+ *
+ * When approval is required, new tasks from Stage 2 (Task Creator) are parked in the
+ * approval queue instead of going straight to Jira. This service handles:
+ * 1. Editing queued tasks before they are approved
+ * 2. Approving tasks - creates Jira issues and sends the Teams summary (same path as the pipeline)
+ * 3. Rejecting tasks - nothing is created
+ */
+
+const {
+  getApprovalQueueItem,
+  updateApprovalQueueItem,
+  claimApprovalQueueItem,
+  appendTranscriptTaskLedger
+} = require("../storage/mongoService");
+const { createJiraIssuesForCodingTasks, getJiraOptionsForTeam } = require("../integrations/jiraService");
+const { sendStandupSummaryToTeams } = require("../integrations/teamsService");
+const { generatePipelineSummaryData, storeCreatedTaskSafely } = require("./taskProcessor");
+const { getTeam } = require("../../config/teamRegistry");
+const { buildTaskSource } = require("../utilities/transcriptSourceService");
+const { logger } = require("firebase-functions");
+
+// Task fields a reviewer is allowed to change before approving
+const EDITABLE_TASK_FIELDS = [
+  "title", "description", "status", "workType", "estimatedTime",
+  "priority", "storyPoints", "projectCode", "isFuturePlan", "epic", "subTasks", "dueDate"
+];
+
+/**
+ * Check whether new tasks should go through the approval queue
+ * @param {Object} processingOptions - Processing options (requireApproval overrides the env setting)
+ * @returns {boolean} True if new tasks need approval before Jira creation
+ */
+function isApprovalRequired(processingOptions = {}) {
+  if (typeof processingOptions.requireApproval === "boolean") {
+    return processingOptions.requireApproval;
+  }
+  return process.env.REQUIRE_TASK_APPROVAL === "true";
+}
+
+/**
+ * Edit a pending task in the approval queue
+ * @param {string} approvalId - Approval queue item ID
+ * @param {Object} edits - Task fields to change, plus optional participant/type, validated with
+ *   ApprovalTaskEditSchema (PATCH /approvals/:id returns 400 for edits that fail it)
+ * @returns {Promise<Object>} Result with the updated item
+ */
+async function editQueuedTask(approvalId, edits = {}) {
+  const updateData = {};
+
+  for (const field of EDITABLE_TASK_FIELDS) {
+    if (edits[field] !== undefined) {
+      updateData[`task.${field}`] = edits[field];
+    }
+  }
+  if (edits.participant) {
+    updateData.participant = edits.participant;
+  }
+  if (edits.type) {
+    updateData.type = edits.type;
+  }
+
+  if (Object.keys(updateData).length === 0) {
+    return { success: false, error: "No editable fields provided" };
+  }
+
+  const updatedItem = await updateApprovalQueueItem(approvalId, updateData, ["pending"]);
+
+  if (!updatedItem) {
+    const existingItem = await getApprovalQueueItem(approvalId);
+    return {
+      success: false,
+      error: existingItem ? `Task is already ${existingItem.status}` : "Approval item not found"
+    };
+  }
+
+  return { success: true, item: updatedItem };
+}
+
+/**
+ * Reject queued tasks - they will never be created in Jira
+ * @param {Array<string>} approvalIds - Approval queue item IDs
+ * @param {Object} reviewInfo - Reviewer details ({ reviewedBy, reason })
+ * @returns {Promise<Object>} Result with rejected and skipped items
+ */
+async function rejectQueuedTasks(approvalIds, reviewInfo = {}) {
+  const rejected = [];
+  const skipped = [];
+
+  for (const approvalId of approvalIds) {
+    const item = await updateApprovalQueueItem(approvalId, {
+      status: "rejected",
+      reviewedBy: reviewInfo.reviewedBy || null,
+      reviewedAt: new Date(),
+      rejectionReason: reviewInfo.reason || null
+    }, ["pending", "failed"]);
+
+    if (item) {
+      rejected.push({ approvalId, title: item.task.title, participant: item.participant });
+    } else {
+      skipped.push({ approvalId, reason: "Not found or already reviewed" });
+    }
+  }
+
+  logger.info("Queued tasks rejected", {
+    rejected: rejected.length,
+    skipped: skipped.length,
+    reviewedBy: reviewInfo.reviewedBy
+  });
+
+  return { success: true, rejected, skipped };
+}
+
+/**
+ * Approve queued tasks - creates Jira issues and sends the Teams summary for them
+ * Each item is created in its own team's Jira project and summarised to that team's Teams channel.
+ * @param {Array<string>} approvalIds - Approval queue item IDs
+ * @param {Object} reviewInfo - Reviewer details ({ reviewedBy })
+ * @returns {Promise<Object>} Result with approved, failed and skipped items plus the Teams results by team
+ */
+async function approveQueuedTasks(approvalIds, reviewInfo = {}) {
+  const startTime = Date.now();
+  const approved = [];
+  const failed = [];
+  const skipped = [];
+  const approvedTasksByTeam = {};
+
+  try {
+    logger.info("Approving queued tasks", {
+      count: approvalIds.length,
+      reviewedBy: reviewInfo.reviewedBy
+    });
+
+    for (const approvalId of approvalIds) {
+      // Claim the item first so two reviewers can't create the same Jira issue
+      const item = await claimApprovalQueueItem(approvalId, {
+        reviewedBy: reviewInfo.reviewedBy || null,
+        reviewedAt: new Date()
+      });
+
+      if (!item) {
+        skipped.push({ approvalId, reason: "Not found or already reviewed" });
+        continue;
+      }
+
+      const teamId = item.teamId || "default";
+      // A retry of an item whose issue was created before the earlier attempt failed reuses that issue
+      let issue = item.jiraIssueKey ? { issueKey: item.jiraIssueKey } : null;
+      try {
+        let jiraResult = null;
+        if (!issue) {
+          // One task per call keeps the Jira result unambiguous for this item
+          try {
+            const transcriptSource = buildTaskSource("created", item.source || {}, item.source?.sourceRanges);
+            jiraResult = await createJiraIssuesForCodingTasks({
+              [item.participant]: { [item.type]: [{ ...item.task, transcriptSource }] }
+            }, getJiraOptionsForTeam(getTeam(teamId)));
+          } catch (teamError) {
+            // Unknown team (removed from TEAMS_CONFIG) - leave the item retryable
+            jiraResult = { success: false, error: teamError.message };
+          }
+          issue = jiraResult.createdIssues?.[0]?.issueKey ? jiraResult.createdIssues[0] : null;
+        }
+
+        if (issue) {
+          await updateApprovalQueueItem(approvalId, {
+            status: "approved",
+            jiraIssueKey: issue.issueKey,
+            error: null,
+            validationErrors: issue.validationErrors || []
+          }, ["processing"]);
+
+          // Record the ticket on the source transcript so reprocessing recognises it
+          if (item.source?.transcriptDocumentId) {
+            try {
+              await appendTranscriptTaskLedger(item.source.transcriptDocumentId, [{
+                ticketId: issue.issueKey,
+                participant: item.participant,
+                type: item.type,
+                title: item.task.title,
+                description: item.task.description,
+                promptVersions: item.promptVersions || {},
+                sourceRanges: item.source.sourceRanges || [],
+                dueDate: item.task.dueDate || null,
+                meetingSubject: item.source.meetingSubject || null,
+                createdAt: new Date()
+              }]);
+            } catch (ledgerError) {
+              logger.error("Failed to record approved task in transcript ledger", {
+                approvalId,
+                jiraIssueKey: issue.issueKey,
+                error: ledgerError.message
+              });
+            }
+          }
+          await storeCreatedTaskSafely(item.participant, item.type,
+            { ...item.task, promptVersions: item.promptVersions, ticketId: issue.issueKey },
+            { teamId, runId: item.source?.transcriptDocumentId || null });
+
+          if (!approvedTasksByTeam[teamId]) {
+            approvedTasksByTeam[teamId] = {};
+          }
+          const approvedTasks = approvedTasksByTeam[teamId];
+          if (!approvedTasks[item.participant]) {
+            approvedTasks[item.participant] = { "Coding": [], "Non-Coding": [] };
+          }
+          approvedTasks[item.participant][item.type].push({
+            ...item.task,
+            ticketId: issue.issueKey,
+            sourceRanges: item.source?.sourceRanges || []
+          });
+
+          approved.push({
+            approvalId,
+            teamId,
+            jiraIssueKey: issue.issueKey,
+            issueUrl: issue.issueUrl,
+            participant: item.participant,
+            title: item.task.title
+          });
+        } else {
+          const error = jiraResult.failedIssues?.[0]?.error || jiraResult.error || "Jira issue creation failed";
+          const validationErrors = jiraResult.failedIssues?.[0]?.validationErrors || [];
+          await updateApprovalQueueItem(approvalId, { status: "failed", error, validationErrors }, ["processing"]);
+          failed.push({ approvalId, participant: item.participant, title: item.task.title, error, validationErrors });
+        }
+      } catch (itemError) {
+        // Never leave the claim behind: a "processing" item could not be approved or rejected again
+        logger.error("Approving queued task failed", { approvalId, error: itemError.message });
+        try {
+          await updateApprovalQueueItem(approvalId, {
+            status: "failed",
+            error: itemError.message,
+            jiraIssueKey: issue?.issueKey || null
+          }, ["processing"]);
+        } catch (releaseError) {
+          // The claim goes stale and can be taken over (see claimApprovalQueueItem)
+          logger.error("Failed to release approval claim", { approvalId, error: releaseError.message });
+        }
+        failed.push({ approvalId, participant: item.participant, title: item.task.title, error: itemError.message,
+          validationErrors: [] });
+      }
+    }
+
+    // Send each team's Teams summary for its approved tasks through the regular pipeline summary
+    const teamsResults = {};
+    for (const [teamId, approvedTasks] of Object.entries(approvedTasksByTeam)) {
+      try {
+        const assignedTicketIds = [];
+        for (const participantTasks of Object.values(approvedTasks)) {
+          for (const taskType of ["Coding", "Non-Coding"]) {
+            for (const task of participantTasks[taskType]) {
+              assignedTicketIds.push(task.ticketId);
+            }
+          }
+        }
+
+        const summaryData = generatePipelineSummaryData(
+          { tasks: approvedTasks, pipelineResults: {} },
+          { assignedTicketIds },
+          [],
+          []
+        );
+
+        teamsResults[teamId] = await sendStandupSummaryToTeams(summaryData, {
+          standupDate: new Date().toLocaleDateString("en-GB"),
+          processingDuration: (Date.now() - startTime) / 1000,
+          pipelineVersion: "1.0",
+          testRun: false,
+          webhookUrl: getTeam(teamId).teamsWebhookUrl,
+        });
+      } catch (teamsError) {
+        logger.error("Teams summary for approved tasks failed", {
+          teamId,
+          error: teamsError.message
+        });
+        teamsResults[teamId] = { success: false, error: teamsError.message };
+      }
+    }
+
+    logger.info("Queued task approval completed", {
+      approved: approved.length,
+      failed: failed.length,
+      skipped: skipped.length,
+      duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`
+    });
+
+    return {
+      success: failed.length === 0,
+      approved,
+      failed,
+      skipped,
+      teams: teamsResults
+    };
+
+  } catch (error) {
+    logger.error("Queued task approval failed", {
+      error: error.message,
+      stack: error.stack,
+      approvedSoFar: approved.length
+    });
+    throw new Error(`Task approval failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  isApprovalRequired,
+  editQueuedTask,
+  approveQueuedTasks,
+  rejectQueuedTasks,
+  EDITABLE_TASK_FIELDS,
+};
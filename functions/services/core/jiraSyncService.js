@@ -0,0 +1,380 @@
+/**
+ * Jira Sync Service - Pull status, assignee, title, priority and due date changes from Jira back into the tasks
+ * collection
+ *
+ * Jira issues created by the pipeline are edited by people in Jira, so stored tasks drift unless the
+ * changes are pulled back. Every synced task keeps a jiraSync snapshot of the Jira values it last
+ * saw, which lets each field be reconciled:
+ * 1. Jira and MongoDB agree - nothing to do
+ * 2. Only Jira changed since the last sync - the Jira value is applied
+ * 3. Only MongoDB changed - the MongoDB value is kept and a "local_ahead" conflict is logged
+ * 4. Both changed - Jira wins and a "both_changed" conflict is logged
+ *
+ * Applied changes are written with applyJiraSyncToTask, which never writes back to Jira.
+ *
+ * Changes arrive by polling (syncJiraChanges, every 15 minutes) or by the Jira webhook
+ * (handleJiraWebhookEvent), which also picks up issues with no stored task yet (created directly in Jira,
+ * or by the pipeline before it stored the task) so the pipeline's similarity search sees them and does
+ * not create duplicates.
+ */
+
+const {
+  getTaskByTicketId,
+  updateTaskByTicketId,
+  insertJiraCreatedTask,
+  markTaskDeletedInJira,
+  applyJiraSyncToTask,
+  recordJiraSyncConflicts,
+  getLastCronRunTimestamp,
+  updateCronRunTimestamp
+} = require("../storage/mongoService");
+const { searchRecentlyUpdatedIssues, normalizeJiraIssue } = require("../integrations/jiraService");
+const { refreshParticipantDirectory } = require("./participantDirectoryService");
+const { getParticipantForJiraAccountId, PARTICIPANT_TO_JIRA_MAPPING } = require("../../config/participantMapping");
+const { getTeamForIssueKey } = require("../../config/teamRegistry");
+const { logger } = require("firebase-functions");
+
+const JIRA_SYNC_CRON_NAME = "jira_sync";
+
+// First run (no cron record) looks back this far
+const DEFAULT_LOOKBACK_MINUTES = 24 * 60;
+
+// Overlap between polling windows so issues updated during the previous run are not missed
+const POLL_OVERLAP_MINUTES = 5;
+
+const SYNCED_FIELDS = ["title", "status", "priority", "dueDate", "assignee"];
+
+// Bucket for Jira-created issues whose assignee is not a known participant
+const UNASSIGNED_PARTICIPANT = "Unassigned";
+
+/**
+ * Resolve the participant for a Jira issue's assignee
+ * @param {Object} issue - Normalized Jira issue (see normalizeJiraIssue)
+ * @returns {string|null} Canonical participant name or null if unassigned or unmapped
+ */
+function resolveJiraAssignee(issue) {
+  const team = getTeamForIssueKey(issue.issueKey);
+  const mapping = { ...PARTICIPANT_TO_JIRA_MAPPING, ...(team?.participantMapping || {}) };
+  return getParticipantForJiraAccountId(issue.assigneeAccountId, mapping);
+}
+
+/**
+ * Decide what to do with one field
+ * @param {*} jiraValue - Current value in Jira
+ * @param {*} mongoValue - Current value in MongoDB
+ * @param {Object} lastSynced - jiraSync snapshot stored on the task ({} if never synced)
+ * @param {string} field - Field name
+ * @returns {string} "unchanged", "apply", "local_ahead" or "both_changed"
+ */
+function reconcileField(jiraValue, mongoValue, lastSynced, field) {
+  if (jiraValue === mongoValue) {
+    return "unchanged";
+  }
+
+  // Never synced before: Jira is the source of truth once the issue exists
+  if (!(field in lastSynced)) {
+    return "apply";
+  }
+
+  const jiraChanged = jiraValue !== lastSynced[field];
+  const mongoChanged = mongoValue !== lastSynced[field];
+
+  if (!jiraChanged) {
+    return "local_ahead";
+  }
+  return mongoChanged ? "both_changed" : "apply";
+}
+
+/**
+ * Reconcile one Jira issue into its stored task
+ * @param {Object} issue - Normalized Jira issue (see normalizeJiraIssue)
+ * @param {Object} options - { dryRun } reports what would change without writing
+ * @returns {Promise<Object>} { issueKey, action, updates, conflicts }
+ */
+async function syncJiraIssue(issue, options = {}) {
+  const { dryRun = false } = options;
+
+  const task = await getTaskByTicketId(issue.issueKey);
+  if (!task) {
+    return { issueKey: issue.issueKey, action: "not_tracked", updates: {}, conflicts: [] };
+  }
+
+  const lastSynced = task.jiraSync || {};
+
+  // Webhooks can arrive out of order - ignore anything older than what was already applied
+  if (issue.updated && lastSynced.jiraUpdated && new Date(issue.updated) < new Date(lastSynced.jiraUpdated)) {
+    return { issueKey: issue.issueKey, action: "stale", updates: {}, conflicts: [] };
+  }
+
+  const jiraAssignee = resolveJiraAssignee(issue);
+  const jiraValues = {
+    title: issue.title,
+    status: issue.status,
+    priority: issue.priority,
+    dueDate: issue.dueDate || null,
+    assignee: jiraAssignee,
+  };
+  const mongoValues = {
+    title: task.title,
+    status: task.status,
+    priority: task.priority || null,
+    dueDate: task.dueDate || null,
+    assignee: task.participantName,
+  };
+
+  const updates = {};
+  const conflicts = [];
+  const conflictBase = {
+    ticketId: issue.issueKey,
+    documentId: task.documentId,
+    teamId: task.teamId,
+    jiraUpdated: issue.updated,
+  };
+
+  for (const field of SYNCED_FIELDS) {
+    // A task always belongs to a participant, so unassigned or unknown Jira users are not applied
+    if (field === "assignee" && !jiraAssignee) {
+      if (issue.assigneeAccountId) {
+        conflicts.push({
+          ...conflictBase,
+          field,
+          type: "unmapped_assignee",
+          jiraValue: issue.assigneeName || issue.assigneeAccountId,
+          mongoValue: mongoValues.assignee,
+          resolution: "kept_mongo",
+        });
+      }
+      continue;
+    }
+
+    const decision = reconcileField(jiraValues[field], mongoValues[field], lastSynced, field);
+    if (decision === "unchanged") {
+      continue;
+    }
+
+    if (decision !== "apply") {
+      conflicts.push({
+        ...conflictBase,
+        field,
+        type: decision,
+        jiraValue: jiraValues[field],
+        mongoValue: mongoValues[field],
+        lastSyncedValue: lastSynced[field],
+        resolution: decision === "both_changed" ? "applied_jira" : "kept_mongo",
+      });
+    }
+
+    if (decision === "apply" || decision === "both_changed") {
+      updates[field === "assignee" ? "participantName" : field] = jiraValues[field];
+    }
+  }
+
+  // Skipped assignees keep the previous baseline so a later real assignment is not seen as a conflict
+  const snapshot = {
+    ...jiraValues,
+    assignee: jiraAssignee || lastSynced.assignee || null,
+    jiraStatus: issue.jiraStatus,
+    jiraUpdated: issue.updated,
+  };
+  const snapshotChanged = SYNCED_FIELDS.some(field => lastSynced[field] !== snapshot[field]);
+  const hasUpdates = Object.keys(updates).length > 0;
+
+  if (conflicts.length > 0) {
+    logger.warn("Jira sync conflicts", {
+      ticketId: issue.issueKey,
+      conflicts: conflicts.map(conflict => `${conflict.field}:${conflict.type}`)
+    });
+  }
+
+  if (dryRun) {
+    return { issueKey: issue.issueKey, action: hasUpdates ? "would_update" : "unchanged", updates, conflicts };
+  }
+
+  if (hasUpdates || snapshotChanged) {
+    await applyJiraSyncToTask(issue.issueKey, updates, snapshot);
+  }
+  if (conflicts.length > 0) {
+    await recordJiraSyncConflicts(conflicts);
+  }
+
+  return { issueKey: issue.issueKey, action: hasUpdates ? "updated" : "unchanged", updates, conflicts };
+}
+
+/**
+ * Pull issues updated in Jira since the last sync and reconcile them into MongoDB
+ * @param {Object} options - { sinceMinutes } overrides the window, { dryRun } reports without writing
+ * @returns {Promise<Object>} Sync summary with per-issue results
+ */
+async function syncJiraChanges(options = {}) {
+  const { dryRun = false } = options;
+  const startedAt = new Date();
+
+  let sinceMinutes = options.sinceMinutes;
+  if (!sinceMinutes) {
+    const lastRun = await getLastCronRunTimestamp(JIRA_SYNC_CRON_NAME);
+    sinceMinutes = lastRun
+      ? Math.ceil((startedAt - lastRun) / 60000) + POLL_OVERLAP_MINUTES
+      : DEFAULT_LOOKBACK_MINUTES;
+  }
+
+  try {
+    await refreshParticipantDirectory();
+    const issues = await searchRecentlyUpdatedIssues(sinceMinutes);
+
+    const results = [];
+    for (const issue of issues) {
+      try {
+        results.push(await syncJiraIssue(issue, { dryRun }));
+      } catch (error) {
+        logger.error("Failed to sync Jira issue", { issueKey: issue.issueKey, error: error.message });
+        results.push({ issueKey: issue.issueKey, action: "failed", error: error.message });
+      }
+    }
+
+    const summary = {
+      sinceMinutes,
+      dryRun,
+      issuesFetched: issues.length,
+      updated: results.filter(result => ["updated", "would_update"].includes(result.action)).length,
+      conflicts: results.reduce((count, result) => count + (result.conflicts?.length || 0), 0),
+      failed: results.filter(result => result.action === "failed").length,
+      results,
+    };
+
+    if (!dryRun) {
+      await updateCronRunTimestamp(JIRA_SYNC_CRON_NAME, startedAt, "success", {
+        issuesFetched: summary.issuesFetched,
+        updated: summary.updated,
+        conflicts: summary.conflicts,
+        failed: summary.failed
+      });
+    }
+
+    logger.info("Jira sync completed", {
+      sinceMinutes,
+      dryRun,
+      issuesFetched: summary.issuesFetched,
+      updated: summary.updated,
+      conflicts: summary.conflicts,
+      failed: summary.failed
+    });
+
+    return summary;
+
+  } catch (error) {
+    logger.error("Jira sync failed", { sinceMinutes, error: error.message });
+    if (!dryRun) {
+      await updateCronRunTimestamp(JIRA_SYNC_CRON_NAME, startedAt, "failed", { error: error.message })
+        .catch(() => {});
+    }
+    throw new Error(`Jira sync failed: ${error.message}`);
+  }
+}
+
+/**
+ * Store a task for an issue with no stored task and embed it for the similarity search
+ * @param {Object} issue - Normalized Jira issue (see normalizeJiraIssue)
+ * @param {Object} team - Team that owns the issue's project
+ * @returns {Promise<Object>} { issueKey, action }
+ */
+async function importJiraCreatedIssue(issue, team) {
+  const participantName = resolveJiraAssignee(issue) || UNASSIGNED_PARTICIPANT;
+  const type = issue.labels.includes("non-coding") ? "Non-Coding" : "Coding";
+  const task = {
+    ticketId: issue.issueKey,
+    title: issue.title,
+    description: issue.description || "",
+    status: issue.status,
+    priority: issue.priority,
+    dueDate: issue.dueDate || null,
+    // Epics are kept as such so large pipeline tasks can be attached to them (see taskDecompositionService.js)
+    workType: ["Bug", "Epic"].includes(issue.issueType) ? issue.issueType : "Task",
+    estimatedTime: 0,
+    isFuturePlan: false,
+    source: "jira",
+    jiraSync: {
+      title: issue.title,
+      status: issue.status,
+      priority: issue.priority,
+      dueDate: issue.dueDate || null,
+      assignee: participantName,
+      jiraStatus: issue.jiraStatus,
+      jiraUpdated: issue.updated,
+      syncedAt: new Date(),
+    },
+  };
+
+  await insertJiraCreatedTask({ participantName, type, task, teamId: team.teamId });
+
+  // Embedding failures only cost duplicate detection, so they do not fail the webhook
+  try {
+    const { addOrUpdateTaskEmbedding } = require("../storage/mongoEmbeddingService");
+    await addOrUpdateTaskEmbedding(issue.issueKey, { ...task, participantName, type });
+  } catch (error) {
+    logger.warn("Failed to embed Jira-created task", { issueKey: issue.issueKey, error: error.message });
+  }
+
+  return { issueKey: issue.issueKey, action: "imported", participantName, type };
+}
+
+/**
+ * Handle a Jira webhook event (jira:issue_created, jira:issue_updated or jira:issue_deleted)
+ * @param {Object} payload - Webhook request body
+ * @returns {Promise<Object>} { event, issueKey, action, ... }
+ */
+async function handleJiraWebhookEvent(payload) {
+  const event = payload?.webhookEvent;
+  const rawIssue = payload?.issue;
+
+  if (!rawIssue?.key) {
+    const error = new Error("Webhook payload has no issue");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const issueKey = rawIssue.key;
+  const team = getTeamForIssueKey(issueKey);
+  if (!team) {
+    return { event, issueKey, action: "ignored", reason: "Project not in the team registry" };
+  }
+
+  if (event === "jira:issue_deleted") {
+    const marked = await markTaskDeletedInJira(issueKey);
+    return { event, issueKey, action: marked ? "deleted" : "not_tracked" };
+  }
+
+  if (event !== "jira:issue_created" && event !== "jira:issue_updated") {
+    return { event, issueKey, action: "ignored", reason: "Unsupported event" };
+  }
+
+  await refreshParticipantDirectory();
+  const issue = normalizeJiraIssue(rawIssue);
+  const task = await getTaskByTicketId(issueKey);
+
+  if (!task) {
+    // Issues the pipeline created usually arrive here before it stores their task (or if storing failed);
+    // importing them is safe because the pipeline upserts its task and only adds the fields Jira lacks
+    return { event, ...(await importJiraCreatedIssue(issue, team)) };
+  }
+
+  const syncResult = await syncJiraIssue(issue);
+
+  // Description edits are taken as-is (no conflict tracking); updateTaskByTicketId refreshes the embedding
+  let descriptionUpdated = false;
+  if (syncResult.action !== "stale" && issue.description !== null && issue.description !== task.description) {
+    const updateResult = await updateTaskByTicketId(
+      issueKey, { description: issue.description }, { updateJira: false }
+    );
+    descriptionUpdated = updateResult.success === true;
+  }
+
+  return { event, ...syncResult, descriptionUpdated };
+}
+
+module.exports = {
+  JIRA_SYNC_CRON_NAME,
+  syncJiraIssue,
+  syncJiraChanges,
+  handleJiraWebhookEvent,
+  reconcileField,
+};
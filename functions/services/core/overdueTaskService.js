@@ -0,0 +1,88 @@
+/**
+ * Overdue Task Service - Flag open tasks past their due date in the team's Teams channel
+ *
+ * Due dates come from deadlines said in standups ("by Thursday", resolved by dueDateService) or from
+ * Jira's due date field (pulled in by the Jira sync). Once a day, at the team calendar's overdueCheckHour
+ * on meeting days, each team's open tasks whose due date is before the team's local today are posted to
+ * the team's Teams channel. Teams without overdue tasks get no message.
+ */
+
+const { getTasksDueBefore } = require("../storage/mongoService");
+const { sendOverdueTasksToTeams } = require("../integrations/teamsService");
+const { findOverdueTasks } = require("../utilities/dueDateService");
+const {
+  DAY_NAMES,
+  getTeamCalendar,
+  getZonedTimeComponents,
+  getHoliday,
+} = require("../../config/teamCalendar");
+const { logger } = require("firebase-functions");
+
+/**
+ * Check whether a team's overdue check is due at the given moment
+ * @param {Object} calendar - Team calendar (timezone, overdueCheckHour, meetingDays, holidays)
+ * @param {Date} currentDate - Moment of the run
+ * @returns {boolean} True at the team's local overdueCheckHour on meeting days that are not holidays
+ */
+function isOverdueCheckDue(calendar, currentDate = new Date()) {
+  const local = getZonedTimeComponents(currentDate, calendar.timezone);
+  return local.hour === calendar.overdueCheckHour &&
+    calendar.meetingDays.includes(DAY_NAMES[local.dayOfWeek]) &&
+    !getHoliday(local.dateString, calendar);
+}
+
+/**
+ * Find a team's open tasks past their due date
+ * @param {Object} team - Team config from the team registry
+ * @param {Date} currentDate - Moment of the check (the team's local date is "today")
+ * @returns {Promise<Object>} { teamId, today, overdueTasks } - overdueTasks most overdue first
+ */
+async function getOverdueTaskReport(team, currentDate = new Date()) {
+  const calendar = getTeamCalendar(team.teamId);
+  const today = getZonedTimeComponents(currentDate, calendar.timezone).dateString;
+  const tasks = await getTasksDueBefore(today, { teamId: team.teamId });
+
+  return {
+    teamId: team.teamId,
+    today,
+    overdueTasks: findOverdueTasks(tasks, today),
+  };
+}
+
+/**
+ * Post a team's overdue open tasks to its Teams channel
+ * @param {Object} team - Team config from the team registry
+ * @param {Date} currentDate - Moment of the check
+ * @param {Object} options - { dryRun } builds the report without posting it
+ * @returns {Promise<Object>} Report plus the Teams result (null when nothing was posted)
+ */
+async function notifyOverdueTasks(team, currentDate = new Date(), options = {}) {
+  try {
+    const report = await getOverdueTaskReport(team, currentDate);
+
+    let teams = null;
+    if (report.overdueTasks.length > 0 && !options.dryRun) {
+      teams = await sendOverdueTasksToTeams(report, { webhookUrl: team.teamsWebhookUrl });
+    }
+
+    logger.info("Overdue task check completed", {
+      teamId: team.teamId,
+      today: report.today,
+      overdueTasks: report.overdueTasks.length,
+      posted: Boolean(teams?.success),
+      dryRun: Boolean(options.dryRun),
+    });
+
+    return { ...report, teams };
+
+  } catch (error) {
+    logger.error("Overdue task check failed", { teamId: team.teamId, error: error.message });
+    throw new Error(`Overdue task check failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  isOverdueCheckDue,
+  getOverdueTaskReport,
+  notifyOverdueTasks,
+};
@@ -0,0 +1,182 @@
+/**
+ * Participant Directory Service
+ *
+ * Resolves names from transcripts (canonical names and aliases like "Fayaz" → "Faiyaz Rahman")
+ * to the people in the MongoDB participants collection, with their email, Jira accountId and
+ * Teams AAD id.
+ *
+ * Active participants are cached in memory and refreshed every few minutes, so the synchronous
+ * name helpers in config/participantMapping.js can resolve through the directory. Until it has
+ * been loaded (or while it is empty) those helpers fall back to the static mapping.
+ */
+
+const { logger } = require("firebase-functions");
+const {
+  getParticipants, getParticipant, insertParticipant, updateParticipant, deleteParticipant
+} = require("../storage/mongoService");
+
+// How long a loaded directory is used before it is read from MongoDB again
+const DIRECTORY_TTL_MS = 5 * 60 * 1000;
+
+let directoryCache = { participants: [], byLookupKey: new Map(), loadedAt: 0 };
+let refreshPromise = null;
+
+/**
+ * Normalize a name into a directory lookup key
+ * @param {string} name - Name or alias
+ * @returns {string} Lower-cased, trimmed key with collapsed whitespace
+ */
+function toLookupKey(name) {
+  return String(name).toLowerCase().trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Replace the cached directory (inactive participants are ignored)
+ * @param {Array<Object>} participants - Participant documents
+ */
+function setParticipantDirectory(participants) {
+  const activeParticipants = participants.filter(participant => participant.active !== false);
+  const byLookupKey = new Map();
+
+  for (const participant of activeParticipants) {
+    for (const name of [participant.name, ...(participant.aliases || [])]) {
+      if (name) {
+        byLookupKey.set(toLookupKey(name), participant);
+      }
+    }
+  }
+
+  directoryCache = { participants: activeParticipants, byLookupKey, loadedAt: Date.now() };
+}
+
+/**
+ * Mark the cached directory as stale so the next refresh reads MongoDB
+ */
+function invalidateParticipantDirectory() {
+  directoryCache = { ...directoryCache, loadedAt: 0 };
+}
+
+/**
+ * Load the directory from MongoDB unless the cached copy is still fresh
+ * Failures are logged and the previous cache (or the static mapping fallback) stays in use.
+ * @param {Object} options - { force } reloads even if the cache is fresh
+ * @returns {Promise<Array<Object>>} Active participants
+ */
+async function refreshParticipantDirectory(options = {}) {
+  const isFresh = directoryCache.loadedAt > 0 && Date.now() - directoryCache.loadedAt < DIRECTORY_TTL_MS;
+  if (isFresh && !options.force) {
+    return directoryCache.participants;
+  }
+
+  // Concurrent callers share one MongoDB read
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      try {
+        setParticipantDirectory(await getParticipants({ active: true }));
+        logger.info("Participant directory loaded", {
+          participantCount: directoryCache.participants.length,
+          lookupKeys: directoryCache.byLookupKey.size
+        });
+      } catch (error) {
+        logger.warn("Failed to load participant directory - using cached or static mapping", {
+          error: error.message
+        });
+      } finally {
+        refreshPromise = null;
+      }
+    })();
+  }
+
+  await refreshPromise;
+  return directoryCache.participants;
+}
+
+/**
+ * Whether the directory has participants to resolve names with
+ * @returns {boolean} True once a non-empty directory has been loaded
+ */
+function isParticipantDirectoryLoaded() {
+  return directoryCache.participants.length > 0;
+}
+
+/**
+ * Find the directory participant for a name or alias
+ * @param {string} name - Name as it appears in a transcript
+ * @returns {Object|null} Participant or null if not in the directory
+ */
+function findParticipant(name) {
+  if (!name || typeof name !== "string") {
+    return null;
+  }
+  return directoryCache.byLookupKey.get(toLookupKey(name)) || null;
+}
+
+/**
+ * Find the directory participant with a Jira accountId
+ * @param {string} accountId - Jira accountId
+ * @returns {Object|null} Participant or null if no active participant has that account
+ */
+function findParticipantByJiraAccountId(accountId) {
+  if (!accountId) {
+    return null;
+  }
+  return directoryCache.participants.find(participant => participant.jiraAccountId === accountId) || null;
+}
+
+/**
+ * Get the canonical names of all active directory participants
+ * @returns {Array<string>} Canonical names
+ */
+function getDirectoryParticipantNames() {
+  return directoryCache.participants.map(participant => participant.name);
+}
+
+/**
+ * Add a participant to the directory
+ * @param {Object} participantData - Validated participant fields
+ * @returns {Promise<Object>} Created participant
+ */
+async function createParticipant(participantData) {
+  const participant = await insertParticipant(participantData);
+  invalidateParticipantDirectory();
+  return participant;
+}
+
+/**
+ * Edit a participant in the directory
+ * @param {string} participantId - Participant ID
+ * @param {Object} updateData - Validated fields to change
+ * @returns {Promise<Object|null>} Updated participant, or null if not found
+ */
+async function editParticipant(participantId, updateData) {
+  const participant = await updateParticipant(participantId, updateData);
+  invalidateParticipantDirectory();
+  return participant;
+}
+
+/**
+ * Remove a participant from the directory (set active=false instead to keep the history)
+ * @param {string} participantId - Participant ID
+ * @returns {Promise<boolean>} True if the participant was deleted
+ */
+async function removeParticipant(participantId) {
+  const deleted = await deleteParticipant(participantId);
+  invalidateParticipantDirectory();
+  return deleted;
+}
+
+module.exports = {
+  DIRECTORY_TTL_MS,
+  refreshParticipantDirectory,
+  invalidateParticipantDirectory,
+  setParticipantDirectory,
+  isParticipantDirectoryLoaded,
+  findParticipant,
+  findParticipantByJiraAccountId,
+  getDirectoryParticipantNames,
+  getParticipant,
+  getParticipants,
+  createParticipant,
+  editParticipant,
+  removeParticipant,
+};
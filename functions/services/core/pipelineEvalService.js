@@ -0,0 +1,477 @@
+/**
+ * Pipeline Evaluation Service
+ *
+ * Scores the 3-stage pipeline (Task Finder → Task Creator → Task Updater) against golden
+ * transcripts with known expected output, so prompt changes come with precision/recall numbers.
+ * Nothing is written to Jira, MongoDB or Teams; RAG context comes from the case transcript only.
+ *
+ * Cases live in a folder (tests/golden by default):
+ *   existingTasks.json             existing-task snapshot shared by all cases (optional)
+ *   <case>/transcript.json         transcript entries ({ speaker, text, startTime, endTime })
+ *   <case>/expected.json           expected output (below)
+ *   <case>/existingTasks.json      snapshot for this case instead of the shared one (optional)
+ *
+ * expected.json - each list is optional; a missing list is not scored, an empty list expects nothing:
+ * {
+ *   "description": "What the case covers",
+ *   "tasks":          [{ "keywords": ["search"], "assignee": "John Doe", "type": "Coding", "estimatedTime": 5 }],
+ *   "futurePlans":    [{ "keywords": ["mobile app"] }],
+ *   "updates":        [{ "ticketId": "SP-45", "keywords": ["retry"] }],
+ *   "statusChanges":  [{ "ticketId": "SP-45", "newStatus": "Completed" }],
+ *   "cancelledTasks": [{ "keywords": ["dark mode"] }]
+ * }
+ * An item matches a prediction when all its keywords appear (case-insensitive) in the task's
+ * title, description or evidence, and its ticketId matches if given. Other fields on matched
+ * tasks (assignee, type, workType, priority, estimatedTime) are scored separately.
+ * Cancelled tasks must not be created: their recall is the share kept out of the new tasks.
+ *
+ * Runs can pin prompt versions (promptVersions option) to A/B a prompt change on the same cases; the
+ * report records the versions used and the LLM cost.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("firebase-functions");
+const { normalizeTicketId } = require("../pipeline/taskMatcher");
+
+const DEFAULT_CASES_DIR = path.join(__dirname, "..", "..", "tests", "golden");
+
+const EVAL_CATEGORIES = ["tasks", "futurePlans", "updates", "statusChanges", "cancelledTasks"];
+
+// Fields compared on matched tasks besides the assignee
+const SCORED_TASK_FIELDS = ["type", "workType", "priority", "estimatedTime"];
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @returns {*} Parsed JSON
+ */
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load the golden cases from a folder
+ * @param {string} casesDir - Cases folder
+ * @param {Object} options - { only } - case name to load on its own
+ * @returns {Array<Object>} { name, description, transcript, expected, existingTasks } sorted by name
+ */
+function loadEvalCases(casesDir = DEFAULT_CASES_DIR, options = {}) {
+  if (!fs.existsSync(casesDir)) {
+    throw new Error(`Eval cases folder not found: ${casesDir}`);
+  }
+
+  const sharedTasksFile = path.join(casesDir, "existingTasks.json");
+  const sharedTasks = fs.existsSync(sharedTasksFile) ? readJsonFile(sharedTasksFile) : [];
+
+  const cases = fs.readdirSync(casesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && (!options.only || entry.name === options.only))
+    .map(entry => entry.name)
+    .sort()
+    .map(name => {
+      const caseDir = path.join(casesDir, name);
+      const caseTasksFile = path.join(caseDir, "existingTasks.json");
+      const expected = readJsonFile(path.join(caseDir, "expected.json"));
+      return {
+        name,
+        description: expected.description || "",
+        transcript: readJsonFile(path.join(caseDir, "transcript.json")),
+        expected,
+        existingTasks: fs.existsSync(caseTasksFile) ? readJsonFile(caseTasksFile) : sharedTasks,
+      };
+    });
+
+  if (options.only && cases.length === 0) {
+    throw new Error(`Eval case "${options.only}" not found in ${casesDir}`);
+  }
+  return cases;
+}
+
+/**
+ * Turn a pipeline result into the predictions that get scored
+ * @param {Object} pipelineResult - Result of processTranscriptForTasksWithPipeline
+ * @returns {Object} { tasks, futurePlans, updates, statusChanges, newTasks }
+ */
+function extractPredictions(pipelineResult) {
+  const stages = pipelineResult.pipelineResults || {};
+  const newTasks = ((stages.stage2 && stages.stage2.newTasks) || []).map(task => ({
+    label: task.title || (task.description || "").substring(0, 80),
+    text: [task.title, task.description, task.evidence].filter(Boolean).join(" "),
+    assignee: task.assignee,
+    type: task.type,
+    workType: task.workType,
+    priority: task.priority,
+    estimatedTime: task.estimatedTime,
+    isFuturePlan: Boolean(task.isFuturePlan),
+  }));
+
+  const stage3 = stages.stage3 || {};
+  return {
+    tasks: newTasks.filter(task => !task.isFuturePlan),
+    futurePlans: newTasks.filter(task => task.isFuturePlan),
+    updates: (stage3.taskUpdates || []).map(update => ({
+      label: update.taskId,
+      ticketId: update.taskId,
+      text: [update.newInformation, update.evidence].filter(Boolean).join(" "),
+    })),
+    statusChanges: (stage3.statusChanges || []).map(change => ({
+      label: `${change.taskId} → ${change.newStatus}`,
+      ticketId: change.taskId,
+      newStatus: change.newStatus,
+    })),
+    newTasks,
+  };
+}
+
+/**
+ * Label an expected item for the report
+ * @param {Object} item - Expected item
+ * @returns {string} Short label
+ */
+function describeExpectedItem(item) {
+  const parts = [];
+  if (item.ticketId) parts.push(item.ticketId);
+  if (item.keywords) parts.push(item.keywords.join(" + "));
+  if (item.newStatus) parts.push(`→ ${item.newStatus}`);
+  return parts.join(" ");
+}
+
+/**
+ * Whether a prediction matches an expected item
+ * @param {Object} item - Expected item ({ keywords, ticketId, newStatus })
+ * @param {Object} prediction - Prediction
+ * @returns {boolean} True on a match
+ */
+function matchesExpectedItem(item, prediction) {
+  if (item.ticketId && normalizeTicketId(item.ticketId) !== normalizeTicketId(prediction.ticketId || "")) {
+    return false;
+  }
+  if (item.newStatus && String(item.newStatus).toLowerCase() !== String(prediction.newStatus || "").toLowerCase()) {
+    return false;
+  }
+  const text = (prediction.text || "").toLowerCase();
+  return (item.keywords || []).every(keyword => text.includes(String(keyword).toLowerCase()));
+}
+
+/**
+ * Pair expected items with predictions, one to one, in order
+ * @param {Array<Object>} expectedItems - Expected items
+ * @param {Array<Object>} predictions - Predictions
+ * @returns {Object} { pairs, missed, unexpected }
+ */
+function matchPredictions(expectedItems, predictions) {
+  const unmatched = [...predictions];
+  const pairs = [];
+  const missed = [];
+
+  for (const item of expectedItems) {
+    const index = unmatched.findIndex(prediction => matchesExpectedItem(item, prediction));
+    if (index === -1) {
+      missed.push(item);
+    } else {
+      pairs.push({ expected: item, prediction: unmatched[index] });
+      unmatched.splice(index, 1);
+    }
+  }
+  return { pairs, missed, unexpected: unmatched };
+}
+
+/**
+ * Precision, recall and F1 from match counts
+ * @param {number} truePositives - Matched items
+ * @param {number} falsePositives - Predictions with no expected item
+ * @param {number} falseNegatives - Expected items with no prediction
+ * @returns {Object} { truePositives, falsePositives, falseNegatives, precision, recall, f1 }
+ */
+function calculatePrecisionRecall(truePositives, falsePositives, falseNegatives) {
+  const round = value => Math.round(value * 10000) / 10000;
+  const precision = truePositives + falsePositives === 0 ? 1 : truePositives / (truePositives + falsePositives);
+  const recall = truePositives + falseNegatives === 0 ? 1 : truePositives / (truePositives + falseNegatives);
+  const f1 = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+  return {
+    truePositives,
+    falsePositives,
+    falseNegatives,
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(f1),
+  };
+}
+
+/**
+ * Compare two field values (strings case-insensitively, numbers exactly)
+ * @param {*} expectedValue - Expected value
+ * @param {*} actualValue - Predicted value
+ * @returns {boolean} True if equal
+ */
+function fieldValuesMatch(expectedValue, actualValue) {
+  if (typeof expectedValue === "string") {
+    return expectedValue.trim().toLowerCase() === String(actualValue || "").trim().toLowerCase();
+  }
+  return expectedValue === actualValue;
+}
+
+/**
+ * Score one case's predictions against its expected output
+ * @param {Object} expected - Expected output (expected.json)
+ * @param {Object} predictions - Predictions from extractPredictions
+ * @returns {Object} { scores, details } - scores per category plus assignees and fields
+ */
+function scoreEvalCase(expected, predictions) {
+  const scores = {};
+  const details = {};
+  const assignees = { correct: 0, total: 0 };
+  const fields = { correct: 0, total: 0 };
+  const mismatches = [];
+
+  for (const category of EVAL_CATEGORIES) {
+    if (!Array.isArray(expected[category])) continue;
+
+    if (category === "cancelledTasks") {
+      // Every created task (future plans included) counts against a cancelled one
+      const { pairs } = matchPredictions(expected.cancelledTasks, predictions.newTasks || []);
+      const leaked = pairs.map(pair => pair.expected);
+      const suppressed = expected.cancelledTasks.length - leaked.length;
+      scores.cancelledTasks = calculatePrecisionRecall(suppressed, 0, leaked.length);
+      details.cancelledTasks = { leaked: leaked.map(describeExpectedItem) };
+      continue;
+    }
+
+    const { pairs, missed, unexpected } = matchPredictions(expected[category], predictions[category] || []);
+    scores[category] = calculatePrecisionRecall(pairs.length, unexpected.length, missed.length);
+    details[category] = {
+      missed: missed.map(describeExpectedItem),
+      unexpected: unexpected.map(prediction => prediction.label),
+    };
+
+    for (const { expected: item, prediction } of pairs) {
+      if (item.assignee !== undefined) {
+        assignees.total++;
+        if (fieldValuesMatch(item.assignee, prediction.assignee)) {
+          assignees.correct++;
+        } else {
+          mismatches.push({ item: describeExpectedItem(item), field: "assignee", expected: item.assignee,
+            actual: prediction.assignee === undefined ? null : prediction.assignee });
+        }
+      }
+      for (const field of SCORED_TASK_FIELDS) {
+        if (item[field] === undefined) continue;
+        fields.total++;
+        if (fieldValuesMatch(item[field], prediction[field])) {
+          fields.correct++;
+        } else {
+          mismatches.push({ item: describeExpectedItem(item), field, expected: item[field],
+            actual: prediction[field] === undefined ? null : prediction[field] });
+        }
+      }
+    }
+  }
+
+  scores.assignees = withAccuracy(assignees);
+  scores.fields = withAccuracy(fields);
+  details.fieldMismatches = mismatches;
+  return { scores, details };
+}
+
+/**
+ * Add an accuracy ratio to correct/total counts
+ * @param {Object} counts - { correct, total }
+ * @returns {Object} { correct, total, accuracy }
+ */
+function withAccuracy(counts) {
+  const accuracy = counts.total === 0 ? 1 : counts.correct / counts.total;
+  return { ...counts, accuracy: Math.round(accuracy * 10000) / 10000 };
+}
+
+/**
+ * Total the case scores (micro-averaged: counts are summed before the ratios are taken)
+ * @param {Array<Object>} caseResults - Case results with scores
+ * @returns {Object} Overall scores per category, plus assignees and fields
+ */
+function summarizeEvalScores(caseResults) {
+  const overall = {};
+
+  for (const category of EVAL_CATEGORIES) {
+    const scored = caseResults.map(result => result.scores[category]).filter(Boolean);
+    if (scored.length === 0) continue;
+    const sum = key => scored.reduce((total, score) => total + score[key], 0);
+    overall[category] = calculatePrecisionRecall(sum("truePositives"), sum("falsePositives"), sum("falseNegatives"));
+  }
+
+  for (const key of ["assignees", "fields"]) {
+    overall[key] = withAccuracy({
+      correct: caseResults.reduce((total, result) => total + result.scores[key].correct, 0),
+      total: caseResults.reduce((total, result) => total + result.scores[key].total, 0),
+    });
+  }
+  return overall;
+}
+
+/**
+ * Run the pipeline stages on one case, without writing anything
+ * @param {Object} evalCase - Case from loadEvalCases
+ * @returns {Promise<Object>} Pipeline result
+ */
+async function runPipelineOnEvalCase(evalCase) {
+  const { processTranscriptForTasksWithPipeline } = require("../integrations/openaiService");
+  const { storeTranscriptEmbeddingsLocally } = require("../storage/transcriptEmbeddingService");
+  const { clearLocalEmbeddings } = require("../storage/localEmbeddingCache");
+  const evalTranscriptId = `eval-${evalCase.name}`;
+
+  // RAG context comes from this transcript only, as in a dry run
+  await storeTranscriptEmbeddingsLocally(evalTranscriptId, evalCase.transcript, { meetingId: evalTranscriptId });
+  try {
+    return await processTranscriptForTasksWithPipeline(evalCase.transcript, evalCase.existingTasks, {
+      isMultiTranscript: false,
+      transcriptIndex: 1,
+    });
+  } finally {
+    clearLocalEmbeddings(evalTranscriptId);
+  }
+}
+
+/**
+ * List the labels of a case's predictions, for the report
+ * @param {Object} predictions - Predictions from extractPredictions
+ * @returns {Object} Category → labels
+ */
+function labelPredictions(predictions) {
+  return Object.fromEntries(["tasks", "futurePlans", "updates", "statusChanges"].map(category =>
+    [category, (predictions[category] || []).map(prediction => prediction.label)]
+  ));
+}
+
+/**
+ * Run and score every golden case
+ * @param {Object} options - { casesDir, only, cases, promptVersions } - cases replaces the cases folder,
+ *   promptVersions pins prompt versions (prompt name → version) for the run
+ * @returns {Promise<Object>} Report: { provider, chatModel, promptVersions, llmUsage, caseCount, failedCases,
+ *   overall, cases }
+ */
+async function runPipelineEvaluation(options = {}) {
+  const { runWithLLMUsageTracking } = require("../integrations/llmUsageService");
+  const { withPromptVersions, runWithPromptTracking } = require("../utilities/promptRegistry");
+
+  const { result, usage } = await runWithLLMUsageTracking(() =>
+    withPromptVersions(options.promptVersions || {}, () =>
+      runWithPromptTracking(() => scoreEvalCases(options))
+    )
+  );
+
+  return {
+    ...result.result,
+    promptVersions: result.promptVersions,
+    llmUsage: { calls: usage.calls, totalTokens: usage.totalTokens, costUsd: usage.costUsd },
+  };
+}
+
+/**
+ * Run and score the cases of an evaluation (see runPipelineEvaluation)
+ * @param {Object} options - { casesDir, only, cases }
+ * @returns {Promise<Object>} Report without prompt versions and LLM usage
+ */
+async function scoreEvalCases(options) {
+  const { getLLMProviderName, getChatModelName } = require("../integrations/llmProvider");
+  const cases = options.cases || loadEvalCases(options.casesDir || DEFAULT_CASES_DIR, { only: options.only });
+  const caseResults = [];
+
+  for (const evalCase of cases) {
+    logger.info("Evaluating pipeline on golden case", { name: evalCase.name, entries: evalCase.transcript.length });
+
+    let predictions;
+    let error = null;
+    try {
+      predictions = extractPredictions(await runPipelineOnEvalCase(evalCase));
+    } catch (runError) {
+      // A failed run scores as predicting nothing, so it shows up as a recall drop
+      logger.error("Pipeline failed on golden case", { name: evalCase.name, error: runError.message });
+      predictions = extractPredictions({});
+      error = runError.message;
+    }
+
+    const { scores, details } = scoreEvalCase(evalCase.expected, predictions);
+    caseResults.push({
+      name: evalCase.name,
+      description: evalCase.description,
+      ...(error ? { error } : {}),
+      scores,
+      details,
+      predictions: labelPredictions(predictions),
+    });
+  }
+
+  return {
+    provider: getLLMProviderName(),
+    chatModel: getChatModelName(),
+    caseCount: caseResults.length,
+    failedCases: caseResults.filter(result => result.error).map(result => result.name),
+    overall: summarizeEvalScores(caseResults),
+    cases: caseResults,
+  };
+}
+
+/**
+ * Compare a report with a baseline report
+ * @param {Object} baseline - Earlier report
+ * @param {Object} current - New report
+ * @param {number} tolerance - Allowed drop before a score counts as a regression
+ * @returns {Object} { deltas, regressions } - one entry per overall score present in both reports
+ */
+function compareEvalReports(baseline, current, tolerance = 0.02) {
+  const deltas = [];
+
+  for (const [category, score] of Object.entries(current.overall)) {
+    const baselineScore = baseline.overall && baseline.overall[category];
+    if (!baselineScore) continue;
+
+    const metrics = score.accuracy === undefined ? ["precision", "recall", "f1"] : ["accuracy"];
+    for (const metric of metrics) {
+      const delta = Math.round((score[metric] - baselineScore[metric]) * 10000) / 10000;
+      deltas.push({ category, metric, baseline: baselineScore[metric], current: score[metric], delta });
+    }
+  }
+
+  return { deltas, regressions: deltas.filter(entry => entry.delta < -tolerance) };
+}
+
+/**
+ * List the predictions that differ between two reports of the same cases (an A/B run)
+ * @param {Object} reportA - Report of variant A
+ * @param {Object} reportB - Report of variant B
+ * @returns {Array<Object>} { name, category, onlyInA, onlyInB } for each case and category that differs
+ */
+function diffEvalPredictions(reportA, reportB) {
+  const differences = [];
+
+  for (const caseA of reportA.cases) {
+    const caseB = reportB.cases.find(result => result.name === caseA.name);
+    if (!caseB) continue;
+
+    for (const [category, labelsA] of Object.entries(caseA.predictions || {})) {
+      const labelsB = (caseB.predictions || {})[category] || [];
+      const onlyInA = labelsA.filter(label => !labelsB.includes(label));
+      const onlyInB = labelsB.filter(label => !labelsA.includes(label));
+      if (onlyInA.length > 0 || onlyInB.length > 0) {
+        differences.push({ name: caseA.name, category, onlyInA, onlyInB });
+      }
+    }
+  }
+  return differences;
+}
+
+module.exports = {
+  DEFAULT_CASES_DIR,
+  EVAL_CATEGORIES,
+  loadEvalCases,
+  extractPredictions,
+  scoreEvalCase,
+  summarizeEvalScores,
+  calculatePrecisionRecall,
+  runPipelineEvaluation,
+  compareEvalReports,
+  diffEvalPredictions,
+};
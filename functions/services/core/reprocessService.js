@@ -0,0 +1,426 @@
+/**
+ * Transcript Reprocessing Service - Re-run an already processed transcript without duplicating tickets
+ *
+ * Every processed transcript keeps a task ledger (created_tasks on its transcript document) listing
+ * the Jira tickets it created. Reprocessing replays the stored transcript through the pipeline in
+ * dry-run mode and reconciles the proposed tasks against that ledger:
+ * 1. Matched tasks whose description changed are updated in Jira
+ * 2. Proposed tasks with no match are created (or queued when approval is required)
+ * 3. Ledger tasks the new run no longer finds are reported as removed - nothing is deleted
+ */
+
+const {
+  getTranscriptByTranscriptId,
+  replaceTranscriptTaskLedger,
+  acquireTranscriptReprocessLock,
+  releaseTranscriptReprocessLock,
+  getApprovalQueueItems,
+  updateApprovalQueueItem,
+  addTasksToApprovalQueue
+} = require("../storage/mongoService");
+const {
+  createJiraIssuesForCodingTasks, updateJiraIssue, isJiraTicket, getJiraOptionsForTeam, addJiraEvidenceComment
+} = require("../integrations/jiraService");
+const { generateTaskEmbedding, calculateCosineSimilarity } = require("../storage/mongoEmbeddingService");
+const { buildTaskSource } = require("../utilities/transcriptSourceService");
+const { processTranscriptToTasksWithPipeline, storeCreatedTaskSafely } = require("./taskProcessor");
+const { isApprovalRequired } = require("./approvalService");
+const { getTeam } = require("../../config/teamRegistry");
+const { logger } = require("firebase-functions");
+
+// Minimum similarity for a proposed task to count as the same task as a ledger entry
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Build an Error carrying an HTTP status code for the API layer
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with statusCode set
+ */
+function createReprocessError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normalize a description for change detection (whitespace and case insensitive)
+ * @param {string} text - Description text
+ * @returns {string} Normalized text
+ */
+function normalizeDescription(text) {
+  return (text || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Pair proposed tasks with previously created tasks by embedding similarity
+ * Pairs are assigned greedily from the most similar down, so each task is used at most once.
+ * @param {Array<Object>} proposedTasks - Tasks proposed by the new pipeline run
+ * @param {Array<Object>} previousTasks - Ledger entries and pending approval items for the transcript
+ * @param {number} threshold - Minimum cosine similarity to treat two tasks as the same
+ * @returns {Promise<Object>} { matched, toCreate, removed }
+ */
+async function reconcileTasks(proposedTasks, previousTasks, threshold = DEFAULT_MATCH_THRESHOLD) {
+  const embedTask = (task) => generateTaskEmbedding(`${task.title || ""}\n${task.description || ""}`.trim());
+
+  const proposedEmbeddings = await Promise.all(proposedTasks.map(embedTask));
+  const previousEmbeddings = await Promise.all(previousTasks.map(embedTask));
+
+  const candidatePairs = [];
+  proposedEmbeddings.forEach((proposedEmbedding, proposedIndex) => {
+    previousEmbeddings.forEach((previousEmbedding, previousIndex) => {
+      const similarity = calculateCosineSimilarity(proposedEmbedding, previousEmbedding);
+      if (similarity >= threshold) {
+        candidatePairs.push({ proposedIndex, previousIndex, similarity });
+      }
+    });
+  });
+  candidatePairs.sort((a, b) => b.similarity - a.similarity);
+
+  const usedProposed = new Set();
+  const usedPrevious = new Set();
+  const matched = [];
+
+  for (const pair of candidatePairs) {
+    if (usedProposed.has(pair.proposedIndex) || usedPrevious.has(pair.previousIndex)) {
+      continue;
+    }
+    usedProposed.add(pair.proposedIndex);
+    usedPrevious.add(pair.previousIndex);
+
+    const proposed = proposedTasks[pair.proposedIndex];
+    const previous = previousTasks[pair.previousIndex];
+    matched.push({
+      previous,
+      proposed,
+      similarity: Number(pair.similarity.toFixed(4)),
+      descriptionChanged: normalizeDescription(previous.description) !== normalizeDescription(proposed.description),
+      participantChanged: (previous.participant || "").toLowerCase() !== (proposed.participant || "").toLowerCase()
+    });
+  }
+
+  return {
+    matched,
+    toCreate: proposedTasks.filter((_, index) => !usedProposed.has(index)),
+    removed: previousTasks.filter((_, index) => !usedPrevious.has(index))
+  };
+}
+
+/**
+ * Strip pipeline-only fields from a change-plan task so it can be sent to Jira or the approval queue
+ * @param {Object} planTask - Task from changePlan.tasksToCreate
+ * @returns {Object} Task in pipeline task format
+ */
+function toPipelineTask(planTask) {
+  return {
+    title: planTask.title,
+    description: planTask.description,
+    status: planTask.status,
+    workType: planTask.workType,
+    estimatedTime: planTask.estimatedTime,
+    priority: planTask.priority,
+    storyPoints: planTask.storyPoints,
+    projectCode: planTask.projectCode,
+    isFuturePlan: planTask.isFuturePlan,
+    promptVersions: planTask.promptVersions,
+    sourceRanges: planTask.sourceRanges || []
+  };
+}
+
+/**
+ * Reprocess a stored transcript and reconcile the result with the tasks it created before
+ * @param {string} transcriptId - Transcript ID the transcript was processed with (transcript_id)
+ * @param {Object} options - { dryRun, force, applyUpdates, requireApproval, matchThreshold }
+ * @returns {Promise<Object>} Reconciliation result (what was, or would be, updated, created and removed)
+ */
+async function reprocessTranscript(transcriptId, options = {}) {
+  const startTime = Date.now();
+  const isDryRun = Boolean(options.dryRun);
+  const matchThreshold = options.matchThreshold || DEFAULT_MATCH_THRESHOLD;
+
+  const transcriptDoc = await getTranscriptByTranscriptId(transcriptId);
+  if (!transcriptDoc) {
+    throw createReprocessError(`No stored transcript found for transcriptId ${transcriptId}`, 404);
+  }
+
+  const transcriptDocumentId = transcriptDoc._id.toString();
+  const hasLedger = Array.isArray(transcriptDoc.created_tasks);
+
+  // Transcripts stored before multi-team support belong to the default team
+  let team;
+  try {
+    team = getTeam(transcriptDoc.team_id || "default");
+  } catch (teamError) {
+    throw createReprocessError(`Transcript belongs to an unregistered team: ${teamError.message}`, 409);
+  }
+
+  // Transcripts processed before the ledger existed can't be reconciled - every task would look new
+  if (!hasLedger && !options.force) {
+    throw createReprocessError(
+      "Transcript has no task ledger (processed before reprocessing support), " +
+      "so previously created tickets can't be recognised. Pass force=true to reprocess anyway.",
+      409
+    );
+  }
+
+  if (!isDryRun && !(await acquireTranscriptReprocessLock(transcriptDocumentId))) {
+    throw createReprocessError("Transcript is already being reprocessed", 409);
+  }
+
+  try {
+    logger.info("Reprocessing transcript", {
+      transcriptId,
+      transcriptDocumentId,
+      teamId: team.teamId,
+      hasLedger,
+      ledgerSize: hasLedger ? transcriptDoc.created_tasks.length : 0,
+      isDryRun
+    });
+
+    // Replay through the pipeline in dry-run mode: reconciliation decides what actually gets written
+    const planResult = await processTranscriptToTasksWithPipeline(transcriptDoc.transcript_data, {
+      transcriptId,
+      meetingId: transcriptDoc.meeting_id,
+      meetingStartTime: transcriptDoc.date
+    }, {
+      isMultiTranscript: false,
+      totalTranscripts: 1,
+      transcriptIndex: 1,
+      sessionStartTime: new Date().toISOString(),
+      team
+    }, { dryRun: true });
+
+    const changePlan = planResult.changePlan;
+    const proposedTasks = changePlan.tasksToCreate.map(task => {
+      const { proposedTicketId: _proposedTicketId, ...rest } = task;
+      return rest;
+    });
+
+    // Previous tasks: tickets created from this transcript, plus new tasks still waiting for approval
+    const ledger = (transcriptDoc.created_tasks || []).map(entry => ({ ...entry, source: "jira" }));
+    const pendingApprovals = await getApprovalQueueItems(
+      { "source.transcriptDocumentId": transcriptDocumentId, status: { $in: ["pending", "failed"] } },
+      { limit: 500 }
+    );
+    const previousTasks = [
+      ...ledger,
+      ...pendingApprovals.map(item => ({
+        source: "approval",
+        approvalId: item._id.toString(),
+        participant: item.participant,
+        type: item.type,
+        title: item.task.title,
+        description: item.task.description
+      }))
+    ];
+
+    const reconciliation = await reconcileTasks(proposedTasks, previousTasks, matchThreshold);
+
+    // Stage 3 updates for tickets owned by this transcript are covered by the reconciliation above
+    const ledgerTicketIds = new Set(ledger.map(entry => entry.ticketId));
+    const otherTaskUpdates = changePlan.taskUpdates.filter(update => !ledgerTicketIds.has(update.ticketId));
+    const otherStatusTransitions = changePlan.statusTransitions.filter(
+      transition => !ledgerTicketIds.has(transition.ticketId)
+    );
+
+    const result = {
+      success: true,
+      dryRun: isDryRun,
+      transcriptId,
+      transcriptDocumentId,
+      teamId: team.teamId,
+      hadLedger: hasLedger,
+      updated: reconciliation.matched
+        .filter(match => match.descriptionChanged)
+        .map(match => ({
+          ticketId: match.previous.ticketId || null,
+          approvalId: match.previous.approvalId || null,
+          participant: match.previous.participant,
+          similarity: match.similarity,
+          previousDescription: match.previous.description,
+          newDescription: match.proposed.description,
+          participantChanged: match.participantChanged,
+          applied: false
+        })),
+      unchanged: reconciliation.matched
+        .filter(match => !match.descriptionChanged)
+        .map(match => ({
+          ticketId: match.previous.ticketId || null,
+          approvalId: match.previous.approvalId || null,
+          participant: match.previous.participant,
+          similarity: match.similarity
+        })),
+      created: reconciliation.toCreate.map(task => ({ ...task, ticketId: null, approvalId: null })),
+      removed: reconciliation.removed.map(task => ({
+        ticketId: task.ticketId || null,
+        approvalId: task.approvalId || null,
+        participant: task.participant,
+        title: task.title
+      })),
+      otherTaskUpdates: otherTaskUpdates.map(update => ({ ...update, applied: false })),
+      otherStatusTransitions: otherStatusTransitions.map(transition => ({ ...transition, applied: false }))
+    };
+
+    if (isDryRun) {
+      result.processing = { duration: (Date.now() - startTime) / 1000 };
+      return result;
+    }
+
+    const now = new Date();
+
+    // 1. Update changed descriptions on the existing tickets / queued items
+    for (const [index, match] of reconciliation.matched.filter(m => m.descriptionChanged).entries()) {
+      let applied = false;
+      if (match.previous.source === "approval") {
+        applied = Boolean(await updateApprovalQueueItem(match.previous.approvalId, {
+          "task.title": match.proposed.title,
+          "task.description": match.proposed.description
+        }, ["pending", "failed"]));
+      } else if (isJiraTicket(match.previous.ticketId)) {
+        const updateResult = await updateJiraIssue(match.previous.ticketId, {
+          description: match.proposed.description
+        });
+        applied = updateResult.descriptionUpdated;
+        if (applied) {
+          match.previous.title = match.proposed.title;
+          match.previous.description = match.proposed.description;
+          match.previous.updatedAt = now;
+        }
+      }
+      result.updated[index].applied = applied;
+    }
+
+    // 2. Create the genuinely missing tasks
+    const newLedgerEntries = [];
+    if (reconciliation.toCreate.length > 0 && isApprovalRequired(options)) {
+      const tasksData = {};
+      const createdByPosition = {};
+      for (const created of result.created) {
+        if (!tasksData[created.participant]) {
+          tasksData[created.participant] = { "Coding": [], "Non-Coding": [] };
+          createdByPosition[created.participant] = { "Coding": [], "Non-Coding": [] };
+        }
+        tasksData[created.participant][created.type].push(toPipelineTask(created));
+        createdByPosition[created.participant][created.type].push(created);
+      }
+      const approvalResult = await addTasksToApprovalQueue(tasksData, {
+        transcriptDocumentId,
+        transcriptId,
+        meetingId: transcriptDoc.meeting_id,
+        targetDate: transcriptDoc.date,
+        teamId: team.teamId
+      });
+      // addTasksToApprovalQueue inserts in participant → Coding → Non-Coding order
+      Object.values(createdByPosition)
+        .flatMap(participantTasks => [...participantTasks.Coding, ...participantTasks["Non-Coding"]])
+        .forEach((created, index) => {
+          created.approvalId = approvalResult.approvalIds[index] || null;
+        });
+    } else {
+      for (const created of result.created) {
+        // One task per call keeps the Jira result unambiguous for this task
+        const transcriptSource = buildTaskSource("created", { transcriptId, targetDate: transcriptDoc.date },
+          created.sourceRanges);
+        const jiraResult = await createJiraIssuesForCodingTasks({
+          [created.participant]: { [created.type]: [{ ...toPipelineTask(created), transcriptSource }] }
+        }, getJiraOptionsForTeam(team));
+        const issue = jiraResult.createdIssues?.[0];
+        const validationErrors = (issue || jiraResult.failedIssues?.[0])?.validationErrors || [];
+        if (validationErrors.length > 0) {
+          created.validationErrors = validationErrors;
+        }
+
+        if (issue && issue.issueKey) {
+          created.ticketId = issue.issueKey;
+          await storeCreatedTaskSafely(created.participant, created.type,
+            { ...toPipelineTask(created), ticketId: issue.issueKey },
+            { teamId: team.teamId, runId: transcriptDocumentId });
+          newLedgerEntries.push({
+            ticketId: issue.issueKey,
+            participant: created.participant,
+            type: created.type,
+            title: created.title,
+            description: created.description,
+            promptVersions: created.promptVersions || {},
+            sourceRanges: created.sourceRanges || [],
+            createdAt: now
+          });
+        } else {
+          created.error = jiraResult.failedIssues?.[0]?.error || jiraResult.error || "Jira issue creation failed";
+          result.success = false;
+        }
+      }
+    }
+
+    // 3. Optionally apply Stage 3 updates to tickets outside this transcript's ledger
+    // Evidence comments are marked per transcript, so ones posted by the original run are not repeated
+    if (options.applyUpdates) {
+      const commentMetadata = { transcriptId, targetDate: transcriptDoc.date };
+      for (const update of result.otherTaskUpdates.filter(u => u.wouldApply)) {
+        const updateResult = await updateJiraIssue(update.ticketId, { description: update.proposedDescription });
+        update.applied = updateResult.descriptionUpdated;
+        if (update.applied) {
+          const comment = await addJiraEvidenceComment(update.ticketId, { ...update, kind: "updated" },
+            commentMetadata);
+          update.commentAdded = Boolean(comment?.added);
+        }
+      }
+      for (const transition of result.otherStatusTransitions.filter(t => t.wouldApply)) {
+        const updateResult = await updateJiraIssue(transition.ticketId, { status: transition.toStatus });
+        transition.applied = updateResult.statusUpdated;
+        if (transition.applied) {
+          const comment = await addJiraEvidenceComment(transition.ticketId,
+            { ...transition, kind: "status", newStatus: transition.toStatus }, commentMetadata);
+          transition.commentAdded = Boolean(comment?.added);
+        }
+      }
+    }
+
+    // Removed tasks stay in the ledger (flagged) so a later run that finds them again matches instead of duplicating
+    const removedTicketIds = new Set(result.removed.map(task => task.ticketId).filter(Boolean));
+    const reconciledLedger = [
+      ...ledger.map(({ source: _source, ...entry }) => {
+        if (removedTicketIds.has(entry.ticketId)) {
+          return { ...entry, missingSince: entry.missingSince || now };
+        }
+        const { missingSince: _missingSince, ...seenEntry } = entry;
+        return seenEntry;
+      }),
+      ...newLedgerEntries
+    ];
+    await replaceTranscriptTaskLedger(transcriptDocumentId, reconciledLedger);
+
+    result.processing = { duration: (Date.now() - startTime) / 1000 };
+
+    logger.info("Transcript reprocessing completed", {
+      transcriptId,
+      updated: result.updated.filter(u => u.applied).length,
+      created: result.created.filter(c => c.ticketId || c.approvalId).length,
+      removed: result.removed.length,
+      duration: `${result.processing.duration.toFixed(2)}s`
+    });
+
+    return result;
+
+  } catch (error) {
+    logger.error("Transcript reprocessing failed", {
+      transcriptId,
+      error: error.message,
+      stack: error.stack
+    });
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new Error(`Transcript reprocessing failed: ${error.message}`);
+  } finally {
+    if (!isDryRun) {
+      await releaseTranscriptReprocessLock(transcriptDocumentId);
+    }
+  }
+}
+
+module.exports = {
+  reprocessTranscript,
+  reconcileTasks,
+  DEFAULT_MATCH_THRESHOLD,
+};
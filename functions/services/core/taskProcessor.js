@@ -12,12 +12,28 @@
  */
 
 const { processTranscriptForTasks, processTranscriptForTasksWithPipeline } = require("../integrations/openaiService");
-const { storeTasks, storeTranscript, updateTask, updateTaskByTicketId, getActiveTasks } = require("../storage/mongoService");
-const { createJiraIssuesForCodingTasks, isJiraTicket, updateJiraIssue } = require("../integrations/jiraService");
+const {
+  storeTasks, storeTranscript, updateTask, updateTaskByTicketId, getActiveTasks, addTasksToApprovalQueue,
+  appendTranscriptTaskLedger, markTranscriptAsProcessed, recordTaskUpdatePromptVersions, recordTaskTranscriptSource,
+  recordTaskTimeSpent, recordTaskIssueLink, recordTaskHierarchy, recordTaskDueDate, storePipelineTask
+} = require("../storage/mongoService");
+const {
+  createJiraIssuesForCodingTasks, isJiraTicket, updateJiraIssue, previewNextIssueKeys, getJiraOptionsForTeam,
+  addJiraEvidenceComment, addJiraTimeSpentWorklog, linkJiraIssues
+} = require("../integrations/jiraService");
+const { getTeam } = require("../../config/teamRegistry");
+const { getTeamCalendar } = require("../../config/teamCalendar");
+const { refreshParticipantDirectory } = require("./participantDirectoryService");
 const { matchTasksWithDatabase, normalizeTicketId } = require("../pipeline/taskMatcher");
 const { sendStandupSummaryToTeams, generateSummaryDataFromTaskResult } = require("../integrations/teamsService");
 const { detectStatusChangesFromTranscript, getStatusChangeSummary } = require("../utilities/statusChangeDetectionService");
-const { validateLLMResponse } = require("../../schemas/taskSchemas");
+const { validateLLMResponse, TranscriptUploadMetadataSchema } = require("../../schemas/taskSchemas");
+const { runWithLLMUsageTracking } = require("../integrations/llmUsageService");
+const { runWithPromptTracking } = require("../utilities/promptRegistry");
+const { buildTaskSource, appendJiraSourceSection } = require("../utilities/transcriptSourceService");
+const { getTimeSpentKey, getTimeSpentStarted } = require("../utilities/timeSpentService");
+const { getIssueLinkKey } = require("../utilities/issueLinkService");
+const { getMeetingLocalDate, applyDueDates } = require("../utilities/dueDateService");
 const { logger } = require("firebase-functions");
 
 /**
@@ -299,7 +315,7 @@ async function processTranscriptToTasks(transcript, transcriptMetadata = {}, pro
         
         updateResults.push({
           success: jiraUpdateSuccess || !ticketId || !isJiraTicket(ticketId), // Success if Jira updated or not a Jira ticket
-          taskPath: taskUpdate.originalTask.taskPath,
+          documentId: taskUpdate.originalTask.documentId,
           updates: taskUpdate.updates,
           similarityScore: taskUpdate.originalTask.similarityScore,
           reasoning: taskUpdate.originalTask.reasoning,
@@ -308,19 +324,19 @@ async function processTranscriptToTasks(transcript, transcriptMetadata = {}, pro
         });
         
         logger.info("Task update processed (MongoDB skipped, Jira updated)", {
-          taskPath: taskUpdate.originalTask.taskPath,
+          documentId: taskUpdate.originalTask.documentId,
           ticketId,
           updates: taskUpdate.updates,
           jiraUpdated: jiraUpdateSuccess
         });
       } catch (error) {
         logger.error("Error processing task update (MongoDB skipped)", {
-          taskPath: taskUpdate.originalTask.taskPath,
+          documentId: taskUpdate.originalTask.documentId,
           error: error.message,
         });
         updateResults.push({
           success: false,
-          taskPath: taskUpdate.originalTask.taskPath,
+          documentId: taskUpdate.originalTask.documentId,
           error: error.message
         });
       }
@@ -591,6 +607,102 @@ async function processTranscriptFromFile(transcriptFilePath) {
   }
 }
 
+/**
+ * Process a transcript uploaded over HTTP (raw WebVTT or the JSON entry array) through the 3-stage pipeline
+ * @param {string|Array} transcriptInput - WebVTT content or array of transcript entries
+ * @param {Object} uploadMetadata - Optional meeting info (transcriptId, meetingId, meetingSubject, meetingStartTime,
+ *   targetDate) and the teamId to process it for, all strings
+ * @param {Object} processingOptions - Processing options passed to the pipeline (dryRun, requireApproval)
+ * @returns {Promise<Object>} Pipeline result plus the parsed entry count and input format
+ */
+async function processUploadedTranscript(transcriptInput, uploadMetadata = {}, processingOptions = {}) {
+  const { parseVttToJson } = require("../integrations/allMeetingsService");
+  const { isTranscriptAlreadyProcessed } = require("../storage/mongoService");
+  
+  // The IDs are used in MongoDB filters - an object like { "$gt": "" } would match any transcript
+  const metadataValidation = TranscriptUploadMetadataSchema.safeParse(uploadMetadata);
+  if (!metadataValidation.success) {
+    const error = new Error(`Invalid transcript metadata: ${metadataValidation.error.errors
+      .map(issue => `${issue.path.join(".")}: ${issue.message}`).join(", ")}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const metadata = metadataValidation.data;
+  
+  // The team's Jira project, participants and existing tasks are used (default team without a teamId)
+  let team;
+  try {
+    team = getTeam(metadata.teamId || undefined);
+  } catch (teamError) {
+    teamError.statusCode = 400;
+    throw teamError;
+  }
+  
+  const inputFormat = typeof transcriptInput === "string" ? "vtt" : "json";
+  const parsedTranscript = inputFormat === "vtt" ? parseVttToJson(transcriptInput) : transcriptInput;
+  const transcript = Array.isArray(parsedTranscript) ?
+    parsedTranscript.filter(entry => entry && typeof entry.text === "string" && entry.text.trim().length > 0) :
+    parsedTranscript;
+  
+  if (!validateTranscript(transcript)) {
+    const error = new Error(inputFormat === "vtt" ?
+      "No speaker entries found in VTT content (expected cues with <v Speaker> text)" :
+      "Transcript must be a non-empty array of entries with speaker and text");
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  // A Graph transcript ID lets us share duplicate tracking with the scheduled fetch
+  if (metadata.transcriptId && !processingOptions.dryRun &&
+      await isTranscriptAlreadyProcessed(metadata.transcriptId)) {
+    const error = new Error(`Transcript ${metadata.transcriptId} was already processed`);
+    error.statusCode = 409;
+    throw error;
+  }
+  
+  // Uploads without an ID get a synthetic one. It is marked processed like any other transcript: the record is
+  // where the run's LLM usage and prompt versions are kept (cost report), and no scheduled fetch will ever match it.
+  const transcriptMetadata = {
+    transcriptId: metadata.transcriptId || `upload-${Date.now()}`,
+    meetingId: metadata.meetingId || null,
+    meetingSubject: metadata.meetingSubject || "Uploaded transcript",
+    meetingStartTime: metadata.meetingStartTime || null,
+    targetDate: metadata.targetDate || metadata.meetingStartTime || null,
+    fetchedAt: new Date().toISOString(),
+    source: "upload",
+    inputFormat,
+    entryCount: transcript.length,
+  };
+  
+  logger.info("Processing uploaded transcript", {
+    inputFormat,
+    entryCount: transcript.length,
+    transcriptId: transcriptMetadata.transcriptId,
+    meetingSubject: transcriptMetadata.meetingSubject,
+    teamId: team.teamId,
+    dryRun: Boolean(processingOptions.dryRun)
+  });
+  
+  // The pipeline marks the transcript as processed, so a retried upload is caught above
+  const result = await processTranscriptToTasksWithPipeline(transcript, transcriptMetadata, {
+    isMultiTranscript: false,
+    totalTranscripts: 1,
+    transcriptIndex: 1,
+    sessionStartTime: new Date().toISOString(),
+    team
+  }, processingOptions);
+  
+  return {
+    ...result,
+    upload: {
+      inputFormat,
+      entryCount: transcript.length,
+      transcriptId: transcriptMetadata.transcriptId,
+      teamId: team.teamId
+    }
+  };
+}
+
 /**
  * Validate that a transcript has the required structure
  * @param {Array} transcript - Transcript array to validate
@@ -731,7 +843,8 @@ function generatePipelineSummaryData(pipelineResult, mongoResult, statusChangeRe
               title: task.title || task.description,
               description: task.description,
               type: taskType,
-              status: task.status || "To-do"
+              status: task.status || "To-do",
+              sourceRanges: task.sourceRanges || []
             });
             summaryData.summary.totalFuturePlans++;
           }
@@ -758,7 +871,9 @@ function generatePipelineSummaryData(pipelineResult, mongoResult, statusChangeRe
               description: task.description,
               type: taskType,
               workType: task.workType || "Task",
-              status: task.status || "To-do"
+              status: task.status || "To-do",
+              dueDate: task.dueDate || null,
+              sourceRanges: task.sourceRanges || []
             });
             summaryData.summary.totalNewTasks++;
           }
@@ -784,7 +899,8 @@ function generatePipelineSummaryData(pipelineResult, mongoResult, statusChangeRe
       title: "Task update",
       description: `Status changed from ${statusChange.oldStatus} to ${statusChange.newStatus}`,
       type: "Coding",
-      status: statusChange.newStatus
+      status: statusChange.newStatus,
+      sourceRanges: statusChange.sourceRanges || []
     });
     summaryData.summary.totalUpdatedTasks++;
   }
@@ -813,7 +929,8 @@ function generatePipelineSummaryData(pipelineResult, mongoResult, statusChangeRe
         title: "Task description update",
         description: "Task description updated",
         type: "Coding",
-        status: "To-do"
+        status: "To-do",
+        sourceRanges: taskUpdate.sourceRanges || []
       });
       summaryData.summary.totalUpdatedTasks++;
     }
@@ -833,12 +950,261 @@ function generatePipelineSummaryData(pipelineResult, mongoResult, statusChangeRe
   return summaryData;
 }
 
+/**
+ * Record a transcript source on a task, logging instead of failing the run
+ * @param {string} ticketId - Ticket ID
+ * @param {Object|null} source - Source from buildTaskSource (nothing is recorded when null)
+ * @returns {Promise<void>}
+ */
+async function recordTranscriptSourceSafely(ticketId, source) {
+  if (!source) return;
+
+  try {
+    await recordTaskTranscriptSource(ticketId, source);
+  } catch (error) {
+    logger.warn("Failed to record transcript source of task", {
+      ticketId,
+      kind: source.kind,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Store the task of an issue the pipeline created in Jira and embed it for the similarity search
+ * Failures are logged, not thrown: the Jira issue exists either way and the webhook can still import it.
+ * @param {string} participantName - Participant the task belongs to
+ * @param {string} type - "Coding" or "Non-Coding"
+ * @param {Object} task - Pipeline task with ticketId set
+ * @param {Object} placement - { teamId, runId }
+ * @returns {Promise<boolean>} True if the task is stored
+ */
+async function storeCreatedTaskSafely(participantName, type, task, { teamId, runId = null }) {
+  try {
+    const stored = await storePipelineTask({ participantName, type, task, teamId, runId });
+    // A task the webhook imported first already has an embedding
+    if (stored.inserted) {
+      try {
+        const { addOrUpdateTaskEmbedding } = require("../storage/mongoEmbeddingService");
+        await addOrUpdateTaskEmbedding(task.ticketId, { ...task, participantName, type });
+      } catch (embeddingError) {
+        logger.warn("Failed to embed pipeline-created task", {
+          ticketId: task.ticketId,
+          error: embeddingError.message
+        });
+      }
+    }
+    return true;
+  } catch (error) {
+    logger.error("Failed to store pipeline-created task", {
+      ticketId: task.ticketId,
+      participantName,
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Collect the relationships to link from pipeline results: those between existing tickets and those of new tasks
+ * @param {Object} pipelineResult - Result from the 3-stage pipeline
+ * @param {Function} getNewTaskTicketId - (participantName, taskType, taskIndex) → ticket ID of the new task, or null
+ * @returns {Array<Object>} Relationships with taskId set, once each (new tasks without a ticket ID are left out)
+ */
+function collectPipelineIssueLinks(pipelineResult, getNewTaskTicketId) {
+  const links = (pipelineResult.issueLinks || []).map(link => ({ source: "spoken", ...link }));
+
+  for (const [participantName, participantTasks] of Object.entries(pipelineResult.tasks || {})) {
+    for (const taskType of ["Coding", "Non-Coding"]) {
+      (participantTasks[taskType] || []).forEach((task, taskIndex) => {
+        const ticketId = getNewTaskTicketId(participantName, taskType, taskIndex);
+        if (!ticketId) return;
+        for (const link of task.issueLinks || []) {
+          if (link.targetTaskId !== ticketId) {
+            links.push({ ...link, taskId: ticketId, sourceRanges: link.sourceRanges || task.sourceRanges || [] });
+          }
+        }
+      });
+    }
+  }
+
+  const byKey = new Map();
+  for (const link of links) {
+    if (!byKey.has(getIssueLinkKey(link))) {
+      byKey.set(getIssueLinkKey(link), link);
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Build a reviewable change plan from pipeline results without touching Jira, MongoDB or Teams
+ * @param {Object} pipelineResult - Result from the 3-stage pipeline
+ * @param {Array} existingTasks - Existing tasks used as pipeline context
+ * @param {Object} team - Team config from the team registry (optional, predicts keys in its Jira project)
+ * @returns {Promise<Object>} Change plan with tasks to create, updates, status transitions, worklogs, issue links
+ *   and ticket IDs
+ */
+async function buildPipelineChangePlan(pipelineResult, existingTasks, team = null) {
+  const findExistingTask = (taskId) => existingTasks.find(
+    task => normalizeTicketId(task.ticketId) === normalizeTicketId(taskId)
+  );
+
+  // Tasks are listed in the same order createJiraIssuesForCodingTasks creates them,
+  // so the predicted keys line up with what a real run would allocate
+  const tasksToCreate = [];
+  const taskKeys = [];
+  for (const [participantName, participantTasks] of Object.entries(pipelineResult.tasks || {})) {
+    for (const taskType of ["Coding", "Non-Coding"]) {
+      for (const [taskIndex, task] of (participantTasks[taskType] || []).entries()) {
+        taskKeys.push(`${participantName}:${taskType}:${taskIndex}`);
+        tasksToCreate.push({
+          proposedTicketId: null,
+          participant: participantName,
+          type: taskType,
+          title: task.title || task.description?.substring(0, 50) || "Untitled Task",
+          description: task.description,
+          status: task.status || "To-do",
+          workType: task.workType || "Task",
+          estimatedTime: task.estimatedTime || 0,
+          priority: task.priority || null,
+          storyPoints: task.storyPoints || null,
+          projectCode: task.projectCode || null,
+          isFuturePlan: Boolean(task.isFuturePlan),
+          promptVersions: task.promptVersions || {},
+          sourceRanges: task.sourceRanges || [],
+          issueLinks: task.issueLinks || [],
+          epic: task.epic || null,
+          subTasks: (task.subTasks || []).map(subTask => ({ proposedTicketId: null, ...subTask })),
+          deadline: task.deadline || null,
+          dueDate: task.dueDate || null
+        });
+      }
+    }
+  }
+
+  // Sub-tasks are created right after their parent, so they take the keys that follow it
+  const issueCount = tasksToCreate.reduce((total, task) => total + 1 + task.subTasks.length, 0);
+  const ticketAllocation = await previewNextIssueKeys(issueCount, team?.jiraProjectKey || null);
+  let keyIndex = 0;
+  for (const task of tasksToCreate) {
+    task.proposedTicketId = ticketAllocation.issueKeys[keyIndex++] || null;
+    for (const subTask of task.subTasks) {
+      subTask.proposedTicketId = ticketAllocation.issueKeys[keyIndex++] || null;
+    }
+  }
+
+  const taskUpdates = (pipelineResult.pipelineResults?.stage3?.taskUpdates || [])
+    .filter(update => update.updateType && update.updateType !== "none" && update.newInformation)
+    .map(update => {
+      const existingTask = findExistingTask(update.taskId);
+      return {
+        ticketId: update.taskId,
+        updateType: update.updateType,
+        confidence: update.confidence,
+        currentDescription: existingTask?.description || update.originalDescription || "",
+        proposedDescription: update.newInformation,
+        evidence: update.evidence || null,
+        speaker: update.speaker || null,
+        promptVersions: update.promptVersions || {},
+        sourceRanges: update.sourceRanges || [],
+        wouldApply: isJiraTicket(update.taskId)
+      };
+    });
+
+  const statusTransitions = (pipelineResult.statusChanges || []).map(statusChange => {
+    const existingTask = findExistingTask(statusChange.taskId);
+    return {
+      ticketId: statusChange.taskId,
+      fromStatus: existingTask?.status || null,
+      toStatus: statusChange.newStatus,
+      confidence: statusChange.confidence,
+      speaker: statusChange.speaker,
+      evidence: statusChange.evidence || null,
+      sourceRanges: statusChange.sourceRanges || [],
+      taskFound: Boolean(existingTask),
+      wouldApply: Boolean(existingTask) && isJiraTicket(statusChange.taskId)
+    };
+  });
+
+  const worklogs = (pipelineResult.timeSpent || []).map(entry => ({
+    ticketId: entry.taskId,
+    hours: entry.hours,
+    dayOffset: entry.dayOffset || 0,
+    speaker: entry.speaker,
+    evidence: entry.evidence,
+    sourceRanges: entry.sourceRanges || [],
+    taskFound: Boolean(findExistingTask(entry.taskId)),
+    wouldApply: isJiraTicket(entry.taskId)
+  }));
+
+  const proposedTicketIds = Object.fromEntries(
+    taskKeys.map((key, index) => [key, tasksToCreate[index].proposedTicketId])
+  );
+  const issueLinks = collectPipelineIssueLinks(pipelineResult,
+    (participantName, taskType, taskIndex) => proposedTicketIds[`${participantName}:${taskType}:${taskIndex}`]
+  ).map(link => ({
+    ticketId: link.taskId,
+    linkType: link.linkType,
+    targetTicketId: link.targetTaskId,
+    confidence: link.confidence,
+    source: link.source,
+    speaker: link.speaker,
+    evidence: link.evidence,
+    sourceRanges: link.sourceRanges || [],
+    newTask: !findExistingTask(link.taskId),
+    wouldApply: isJiraTicket(link.taskId) && isJiraTicket(link.targetTaskId)
+  }));
+
+  return {
+    tasksToCreate,
+    taskUpdates,
+    statusTransitions,
+    worklogs,
+    issueLinks,
+    ticketAllocation: {
+      system: "jira",
+      projectKey: ticketAllocation.projectKey,
+      predicted: ticketAllocation.predicted,
+      latestIssueKey: ticketAllocation.latestIssueKey,
+      ticketIds: ticketAllocation.issueKeys
+    },
+    skippedWrites: [
+      "storeTranscript",
+      "createJiraIssuesForCodingTasks",
+      "storePipelineTask",
+      "updateJiraIssue",
+      "addJiraTimeSpentWorklog",
+      "linkJiraIssues",
+      "recordTaskHierarchy",
+      "recordTaskDueDate",
+      "updateTranscriptWithNotesAndAttendees",
+      "sendStandupSummaryToTeams"
+    ],
+    summary: {
+      tasksToCreate: tasksToCreate.length,
+      subTasksToCreate: tasksToCreate.reduce((total, task) => total + task.subTasks.length, 0),
+      tasksWithDueDate: tasksToCreate.filter(task => task.dueDate).length,
+      taskUpdates: taskUpdates.length,
+      statusTransitions: statusTransitions.length,
+      applicableStatusTransitions: statusTransitions.filter(t => t.wouldApply).length,
+      worklogs: worklogs.length,
+      issueLinks: issueLinks.length,
+      attendees: pipelineResult.attendees || ""
+    }
+  };
+}
+
 /**
  * NEW: 3-Stage Pipeline - Process transcript end-to-end using Task Finder, Creator, and Updater
+ * The LLM usage of the run (tokens, latency and cost per stage) and the prompt versions used are
+ * returned as llmUsage and promptVersions and, unless dryRun is set, saved on the transcript's
+ * processed-transcript record.
  * @param {Array} transcript - Array of transcript entries
  * @param {Object} transcriptMetadata - Metadata from transcript fetch (optional)
- * @param {Object} processingContext - Context for multi-transcript processing
- * @returns {Promise<Object>} Complete processing result with enhanced task data and storage info
+ * @param {Object} processingContext - Context for multi-transcript processing (team or teamId selects the team)
+ * @param {Object} processingOptions - Processing options (testMode, dryRun)
+ * @returns {Promise<Object>} Complete processing result, or a change plan when dryRun is set
  */
 async function processTranscriptToTasksWithPipeline(
   transcript, 
@@ -846,6 +1212,48 @@ async function processTranscriptToTasksWithPipeline(
   processingContext = {}, 
   processingOptions = {}
 ) {
+  const { result: trackedRun, usage } = await runWithLLMUsageTracking(() =>
+    runWithPromptTracking(() =>
+      runTranscriptPipeline(transcript, transcriptMetadata, processingContext, processingOptions)
+    )
+  );
+  const { result, promptVersions } = trackedRun;
+  
+  result.llmUsage = usage;
+  result.promptVersions = promptVersions;
+  result.processing.tokensUsed = usage.totalTokens;
+  result.processing.costUsd = usage.costUsd;
+  
+  logger.info("3-Stage Pipeline LLM usage", {
+    transcriptId: transcriptMetadata.transcriptId,
+    calls: usage.calls,
+    totalTokens: usage.totalTokens,
+    costUsd: usage.costUsd,
+    byStage: usage.byStage
+  });
+  
+  if (!result.dryRun && transcriptMetadata.transcriptId) {
+    await markTranscriptAsProcessed(
+      transcriptMetadata.transcriptId,
+      transcriptMetadata.meetingId,
+      transcriptMetadata.meetingSubject,
+      new Date(),
+      { llmUsage: usage, promptVersions, teamId: result.teamId }
+    );
+  }
+  
+  return result;
+}
+
+/**
+ * Run the pipeline steps for one transcript (see processTranscriptToTasksWithPipeline)
+ * @param {Array} transcript - Array of transcript entries
+ * @param {Object} transcriptMetadata - Metadata from transcript fetch
+ * @param {Object} processingContext - Context for multi-transcript processing
+ * @param {Object} processingOptions - Processing options (testMode, dryRun)
+ * @returns {Promise<Object>} Complete processing result, or a change plan when dryRun is set
+ */
+async function runTranscriptPipeline(transcript, transcriptMetadata, processingContext, processingOptions) {
   const startTime = Date.now();
   
   try {
@@ -853,23 +1261,54 @@ async function processTranscriptToTasksWithPipeline(
     const isTestMode = processingOptions.testMode || 
                       transcriptMetadata.isTestRun || 
                       transcriptMetadata.sourceFile === "test_transcript.json";
+    // Dry run: nothing is written to Jira, MongoDB or Teams, a change plan is returned instead
+    const isDryRun = Boolean(processingOptions.dryRun);
+    // Team whose Jira project, webhook, participant map and existing tasks this run uses
+    const team = processingContext.team || getTeam(processingContext.teamId);
+    const teamTranscriptMetadata = { ...transcriptMetadata, teamId: team.teamId };
+    // Names and aliases in the transcript resolve through the participant directory
+    await refreshParticipantDirectory();
     
     logger.info("Starting 3-Stage Pipeline task processing flow", {
+      teamId: team.teamId,
       transcriptEntries: transcript.length,
       hasMetadata: Object.keys(transcriptMetadata).length > 0,
       isMultiTranscript: Boolean(processingContext.isMultiTranscript),
       transcriptIndex: processingContext.transcriptIndex || 1,
       isTestMode: isTestMode,
+      isDryRun: isDryRun,
       timestamp: new Date().toISOString(),
     });
 
     // Step 1: Store the raw transcript in MongoDB (including test mode with test markers)
     let transcriptStorageResult;
-    if (isTestMode) {
+    if (isDryRun) {
+      logger.info("👀 Step 1: Skipping transcript storage (DRY RUN), preparing local RAG context only");
+      const dryRunTranscriptId = `dry-run-${Date.now()}`;
+      const { storeTranscriptEmbeddingsLocally } = require("../storage/transcriptEmbeddingService");
+      
+      try {
+        await storeTranscriptEmbeddingsLocally(dryRunTranscriptId, transcript, {
+          meetingId: transcriptMetadata.meetingId,
+          date: transcriptMetadata.meetingStartTime
+        });
+      } catch (embeddingError) {
+        logger.warn("Failed to prepare local RAG context for dry run", {
+          error: embeddingError.message
+        });
+      }
+      
+      transcriptStorageResult = {
+        success: true,
+        dryRun: true,
+        documentId: dryRunTranscriptId,
+        entryCount: transcript.length
+      };
+    } else if (isTestMode) {
       logger.info("🧪 Step 1: Storing test transcript in MongoDB (TEST MODE)");
       // Store transcript even in test mode, but mark it as a test
       const testMetadata = {
-        ...transcriptMetadata,
+        ...teamTranscriptMetadata,
         isTestRun: true,
         testDescription: "🧪 TEST RUN - " + (transcriptMetadata.testDescription || "Test transcript"),
         sourceFile: transcriptMetadata.sourceFile || "test_transcript.json"
@@ -877,7 +1316,7 @@ async function processTranscriptToTasksWithPipeline(
       transcriptStorageResult = await storeTranscript(transcript, testMetadata);
     } else {
       logger.info("📁 Step 1: Storing raw transcript in MongoDB");
-      transcriptStorageResult = await storeTranscript(transcript, transcriptMetadata);
+      transcriptStorageResult = await storeTranscript(transcript, teamTranscriptMetadata);
     }
 
     // Step 2: REMOVED - No longer need to sync vector database
@@ -895,10 +1334,12 @@ async function processTranscriptToTasksWithPipeline(
         transcriptIndex: processingContext.transcriptIndex
       });
     } else {
-      existingTasks = await getActiveTasks();
+      // Only this team's tasks, so squads never match or update each other's tickets
+      existingTasks = await getActiveTasks({ teamId: team.teamId });
     }
     
     logger.info("Retrieved existing tasks", {
+      teamId: team.teamId,
       count: existingTasks.length,
       participants: [...new Set(existingTasks.map(t => t.participantName))].length,
       contextIsolation: processingContext.isMultiTranscript ? "enabled" : "disabled"
@@ -906,12 +1347,71 @@ async function processTranscriptToTasksWithPipeline(
 
     // Step 3: 3-Stage Pipeline Processing (replaces old OpenAI processing)
     logger.info("🚀 Step 3: 3-Stage Pipeline Processing (Task Finder → Creator → Updater)");
-    const pipelineResult = await processTranscriptForTasksWithPipeline(transcript, existingTasks, processingContext);
+    let pipelineResult = await processTranscriptForTasksWithPipeline(transcript, existingTasks, processingContext);
     
     if (!pipelineResult.success) {
       throw new Error("3-Stage Pipeline processing failed");
     }
 
+    // Resolve the deadlines said about new tasks ("by Thursday") against the meeting's local date
+    const teamCalendar = getTeamCalendar(team.teamId);
+    const meetingDate = getMeetingLocalDate(transcriptMetadata, teamCalendar);
+    pipelineResult = { ...pipelineResult, tasks: applyDueDates(pipelineResult.tasks, meetingDate, teamCalendar) };
+
+    if (isDryRun) {
+      logger.info("👀 Building change plan (DRY RUN - no Jira, MongoDB or Teams writes)");
+      const changePlan = await buildPipelineChangePlan(pipelineResult, existingTasks, team);
+      
+      const { clearLocalEmbeddings } = require("../storage/localEmbeddingCache");
+      clearLocalEmbeddings(transcriptStorageResult.documentId);
+      
+      const dryRunDuration = (Date.now() - startTime) / 1000;
+      
+      logger.info("3-Stage Pipeline dry run completed", {
+        tasksToCreate: changePlan.summary.tasksToCreate,
+        taskUpdates: changePlan.summary.taskUpdates,
+        statusTransitions: changePlan.summary.statusTransitions,
+        duration: `${dryRunDuration.toFixed(2)}s`
+      });
+      
+      return {
+        success: true,
+        dryRun: true,
+        changePlan,
+        tasks: pipelineResult.tasks,
+        pipelineResults: pipelineResult.pipelineResults,
+        processing: {
+          duration: dryRunDuration,
+          existingTasksCount: existingTasks.length
+        }
+      };
+    }
+
+    // Step 3.5: Park new tasks in the approval queue instead of creating Jira issues right away
+    // Reviewers approve them later via the /approvals routes, which run the same Jira + Teams path
+    let approvalResult = null;
+    const { isApprovalRequired } = require("./approvalService");
+    
+    if (isApprovalRequired(processingOptions) && Object.keys(pipelineResult.tasks).length > 0) {
+      logger.info("✋ Step 3.5: Queuing new tasks for approval (Jira creation deferred)");
+      approvalResult = await addTasksToApprovalQueue(pipelineResult.tasks, {
+        transcriptDocumentId: transcriptStorageResult.documentId ? transcriptStorageResult.documentId.toString() : null,
+        transcriptId: transcriptMetadata.transcriptId,
+        meetingId: transcriptMetadata.meetingId,
+        meetingSubject: transcriptMetadata.meetingSubject,
+        targetDate: transcriptMetadata.targetDate || transcriptMetadata.meetingStartTime,
+        teamId: team.teamId
+      });
+      
+      logger.info("New tasks queued for approval", {
+        queuedCount: approvalResult.insertedCount,
+        approvalIds: approvalResult.approvalIds
+      });
+      
+      // Status changes and description updates still apply; only new tickets wait for review
+      pipelineResult = { ...pipelineResult, tasks: {} };
+    }
+
     // Step 9: Create Jira issues for all tasks (Coding and Non-Coding) before MongoDB storage
     logger.info("🎫 Step 9: Creating Jira issues for all tasks", {
       newTasksCount: Object.keys(pipelineResult.tasks).length > 0 ? 
@@ -921,6 +1421,7 @@ async function processTranscriptToTasksWithPipeline(
     
     let jiraResult = null;
     let jiraTicketIdMap = {}; // Maps task identifier to Jira ticketId
+    const jiraSubTaskMap = {}; // Maps task identifier to its created Jira sub-tasks
     
     if (Object.keys(pipelineResult.tasks).length > 0) {
       // Prepare tasks for Jira (tasks are already in the correct format from pipeline)
@@ -941,7 +1442,11 @@ async function processTranscriptToTasksWithPipeline(
                 priority: task.priority || null,
                 storyPoints: task.storyPoints || null,
                 projectCode: task.projectCode || null,
-                isFuturePlan: Boolean(task.isFuturePlan)
+                isFuturePlan: Boolean(task.isFuturePlan),
+                epic: task.epic || null,
+                subTasks: task.subTasks || [],
+                dueDate: task.dueDate || null,
+                transcriptSource: buildTaskSource("created", transcriptMetadata, task.sourceRanges)
               };
               
               logger.info("Mapping task for Jira (Coding)", {
@@ -952,6 +1457,7 @@ async function processTranscriptToTasksWithPipeline(
                 estimatedTime: mappedTask.estimatedTime,
                 storyPoints: mappedTask.storyPoints,
                 projectCode: mappedTask.projectCode,
+                dueDate: mappedTask.dueDate,
                 hasPriority: task.priority !== undefined && task.priority !== null,
                 hasEstimatedTime: task.estimatedTime !== undefined && task.estimatedTime !== null && task.estimatedTime > 0,
                 hasStoryPoints: task.storyPoints !== undefined && task.storyPoints !== null && task.storyPoints > 0,
@@ -970,7 +1476,11 @@ async function processTranscriptToTasksWithPipeline(
                 priority: task.priority || null,
                 storyPoints: task.storyPoints || null,
                 projectCode: task.projectCode || null,
-                isFuturePlan: Boolean(task.isFuturePlan)
+                isFuturePlan: Boolean(task.isFuturePlan),
+                epic: task.epic || null,
+                subTasks: task.subTasks || [],
+                dueDate: task.dueDate || null,
+                transcriptSource: buildTaskSource("created", transcriptMetadata, task.sourceRanges)
               };
               
               logger.info("Mapping task for Jira (Non-Coding)", {
@@ -981,6 +1491,7 @@ async function processTranscriptToTasksWithPipeline(
                 estimatedTime: mappedTask.estimatedTime,
                 storyPoints: mappedTask.storyPoints,
                 projectCode: mappedTask.projectCode,
+                dueDate: mappedTask.dueDate,
                 hasPriority: task.priority !== undefined && task.priority !== null,
                 hasEstimatedTime: task.estimatedTime !== undefined && task.estimatedTime !== null && task.estimatedTime > 0,
                 hasStoryPoints: task.storyPoints !== undefined && task.storyPoints !== null && task.storyPoints > 0,
@@ -1001,7 +1512,7 @@ async function processTranscriptToTasksWithPipeline(
           );
       
       if (hasTasks) {
-        jiraResult = await createJiraIssuesForCodingTasks(tasksForJira);
+        jiraResult = await createJiraIssuesForCodingTasks(tasksForJira, getJiraOptionsForTeam(team));
         
         // Map Jira results back to tasks by participant and order
         for (const participantResult of jiraResult.participants || []) {
@@ -1023,6 +1534,7 @@ async function processTranscriptToTasksWithPipeline(
             }
             
             jiraTicketIdMap[taskKey] = issue.issueKey;
+            jiraSubTaskMap[taskKey] = (issue.subTasks || []).filter(subTask => subTask.success);
             logger.info("Mapped Jira issue to task", {
               taskKey,
               jiraIssueKey: issue.issueKey,
@@ -1055,60 +1567,83 @@ async function processTranscriptToTasksWithPipeline(
       };
     }
 
-    // Step 4: Store new tasks and apply updates (with Jira ticketId mapping)
-    // SKIPPED: Database storage and embeddings will be handled elsewhere
-    logger.info("⏭️ Step 4: Skipping MongoDB storage and embeddings (handled elsewhere)");
-    let mongoResult = null;
-    
-    if (Object.keys(pipelineResult.tasks).length > 0) {
-      // Build assignedTicketIds array from jiraTicketIdMap in the same order as tasks
-      const assignedTicketIds = [];
-      for (const [participantName, participantTasks] of Object.entries(pipelineResult.tasks)) {
-        // Process Coding tasks
-        if (participantTasks.Coding && Array.isArray(participantTasks.Coding)) {
-          for (let codingIndex = 0; codingIndex < participantTasks.Coding.length; codingIndex++) {
-            const taskKey = `${participantName}:Coding:${codingIndex}`;
-            const ticketId = jiraTicketIdMap[taskKey] || null;
-            if (ticketId) {
-              assignedTicketIds.push(ticketId);
-            }
+    // Step 4: Store the tasks of the new Jira issues, so later runs, the API and the Jira sync find them
+    logger.info("💾 Step 4: Storing new tasks in MongoDB");
+    const assignedTicketIds = [];
+    let storedTaskCount = 0;
+    const runId = transcriptStorageResult.documentId ? transcriptStorageResult.documentId.toString() : null;
+    for (const [participantName, participantTasks] of Object.entries(pipelineResult.tasks)) {
+      for (const taskType of ["Coding", "Non-Coding"]) {
+        for (const [taskIndex, task] of (participantTasks[taskType] || []).entries()) {
+          const ticketId = jiraTicketIdMap[`${participantName}:${taskType}:${taskIndex}`];
+          if (!ticketId) {
+            continue;
+          }
+          assignedTicketIds.push(ticketId);
+          if (await storeCreatedTaskSafely(participantName, taskType, { ...task, ticketId },
+            { teamId: team.teamId, runId })) {
+            storedTaskCount++;
           }
         }
-        // Process Non-Coding tasks
-        if (participantTasks["Non-Coding"] && Array.isArray(participantTasks["Non-Coding"])) {
-          for (let nonCodingIndex = 0; nonCodingIndex < participantTasks["Non-Coding"].length; nonCodingIndex++) {
-            const taskKey = `${participantName}:Non-Coding:${nonCodingIndex}`;
-            const ticketId = jiraTicketIdMap[taskKey] || null;
+      }
+    }
+    
+    const mongoResult = {
+      success: storedTaskCount === assignedTicketIds.length,
+      documentId: runId,
+      timestamp: new Date(),
+      participantCount: Object.keys(pipelineResult.tasks).length,
+      totalTasksWithIds: assignedTicketIds.length,
+      storedTaskCount,
+      assignedTicketIds,
+      message: assignedTicketIds.length > 0 ?
+        `Stored ${storedTaskCount} of ${assignedTicketIds.length} new tasks` :
+        "No new tasks to store from pipeline"
+    };
+    
+    logger.info("New tasks stored", {
+      totalTicketIds: assignedTicketIds.length,
+      storedTaskCount,
+      ticketIds: assignedTicketIds
+    });
+
+    // Step 4.05: Record the created tickets on the transcript (task ledger used when reprocessing)
+    try {
+      const ledgerEntries = [];
+      for (const [participantName, participantTasks] of Object.entries(pipelineResult.tasks)) {
+        for (const taskType of ["Coding", "Non-Coding"]) {
+          (participantTasks[taskType] || []).forEach((task, taskIndex) => {
+            const ticketId = jiraTicketIdMap[`${participantName}:${taskType}:${taskIndex}`];
             if (ticketId) {
-              assignedTicketIds.push(ticketId);
+              ledgerEntries.push({
+                ticketId,
+                participant: participantName,
+                type: taskType,
+                title: task.title || task.description?.substring(0, 50) || "Untitled Task",
+                description: task.description || "",
+                promptVersions: task.promptVersions || {},
+                sourceRanges: task.sourceRanges || [],
+                dueDate: task.dueDate || null,
+                meetingSubject: transcriptMetadata.meetingSubject || null,
+                createdAt: new Date()
+              });
             }
-          }
+          });
         }
       }
+      await appendTranscriptTaskLedger(transcriptStorageResult.documentId.toString(), ledgerEntries);
       
-      mongoResult = {
-        success: true,
-        documentId: null,
-        timestamp: new Date(),
-        participantCount: Object.keys(pipelineResult.tasks).length,
-        totalTasksWithIds: assignedTicketIds.length,
-        assignedTicketIds: assignedTicketIds,
-        message: "MongoDB storage skipped - handled elsewhere"
-      };
-      
-      logger.info("Built ticket IDs from Jira without storing to database", {
-        totalTicketIds: assignedTicketIds.length,
-        ticketIds: assignedTicketIds
+      // The tasks stored in Step 4 get their creation source too
+      for (const entry of ledgerEntries) {
+        await recordTranscriptSourceSafely(entry.ticketId,
+          buildTaskSource("created", transcriptMetadata, entry.sourceRanges));
+      }
+    } catch (ledgerError) {
+      // Not fatal for this run, but reprocessing this transcript will need force=true
+      logger.error("Failed to record transcript task ledger", {
+        transcriptDocumentId: transcriptStorageResult.documentId,
+        error: ledgerError.message
       });
-    } else {
-      mongoResult = {
-        success: true,
-        documentId: null,
-        timestamp: new Date(),
-        participantCount: 0,
-        assignedTicketIds: [],
-        message: "No new tasks to store from pipeline"
-      };
     }
 
     // Step 4.1: Apply status changes to existing tasks
@@ -1133,6 +1668,7 @@ async function processTranscriptToTasksWithPipeline(
         if (taskToUpdate) {
           let jiraUpdateSuccess = false;
           let jiraUpdateError = null;
+          let evidenceComment = null;
           
           // Update Jira if this is a Jira ticket (skip MongoDB)
           if (isJiraTicket(statusChange.taskId)) {
@@ -1144,6 +1680,10 @@ async function processTranscriptToTasksWithPipeline(
               jiraUpdateSuccess = jiraUpdateResult.success;
               
               if (jiraUpdateResult.success) {
+                await recordTranscriptSourceSafely(statusChange.taskId,
+                  buildTaskSource("status", transcriptMetadata, statusChange.sourceRanges));
+                evidenceComment = await addJiraEvidenceComment(statusChange.taskId,
+                  { ...statusChange, kind: "status" }, transcriptMetadata);
                 logger.info("Jira status updated successfully", {
                   taskId: statusChange.taskId,
                   oldStatus: taskToUpdate.status,
@@ -1178,7 +1718,9 @@ async function processTranscriptToTasksWithPipeline(
             newStatus: statusChange.newStatus,
             confidence: statusChange.confidence,
             speaker: statusChange.speaker,
+            sourceRanges: statusChange.sourceRanges || [],
             jiraUpdated: jiraUpdateSuccess,
+            commentAdded: Boolean(evidenceComment?.added),
             error: jiraUpdateError
           });
           
@@ -1232,10 +1774,13 @@ async function processTranscriptToTasksWithPipeline(
           const _existingTask = existingTasks.find(task => normalizeTicketId(task.ticketId) === normalizedUpdateTaskId);
           
           // RAG-enhanced description is the complete updated description (not just new info)
-          const updatedDescription = update.newInformation;
+          // The Source section keeps the meetings that created and updated the task
+          const updateSource = buildTaskSource("updated", transcriptMetadata, update.sourceRanges);
+          const updatedDescription = appendJiraSourceSection(update.newInformation, updateSource);
           
           let jiraUpdateSuccess = false;
           let jiraUpdateError = null;
+          let evidenceComment = null;
           
           // Update Jira if this is a Jira ticket (skip MongoDB)
           if (isJiraTicket(update.taskId)) {
@@ -1247,6 +1792,9 @@ async function processTranscriptToTasksWithPipeline(
               jiraUpdateSuccess = jiraUpdateResult.success;
               
               if (jiraUpdateResult.success) {
+                // The description is replaced, so the comment keeps the history of what was said
+                evidenceComment = await addJiraEvidenceComment(update.taskId, { ...update, kind: "updated" },
+                  transcriptMetadata);
                 logger.info("Jira description updated successfully", {
                   taskId: update.taskId,
                   updateType: update.updateType,
@@ -1273,12 +1821,29 @@ async function processTranscriptToTasksWithPipeline(
             });
           }
           
+          if (jiraUpdateSuccess && updateSource) {
+            await recordTranscriptSourceSafely(update.taskId, updateSource);
+          }
+          
+          if (jiraUpdateSuccess && update.promptVersions) {
+            try {
+              await recordTaskUpdatePromptVersions(update.taskId, update.promptVersions);
+            } catch (promptVersionError) {
+              logger.warn("Failed to record prompt versions of task update", {
+                taskId: update.taskId,
+                error: promptVersionError.message
+              });
+            }
+          }
+          
           taskUpdateResults.push({
             success: jiraUpdateSuccess || !isJiraTicket(update.taskId), // Success if Jira updated or not a Jira ticket
             taskId: update.taskId,
             updateType: update.updateType,
             confidence: update.confidence,
+            sourceRanges: update.sourceRanges || [],
             jiraUpdated: jiraUpdateSuccess,
+            commentAdded: Boolean(evidenceComment?.added),
             error: jiraUpdateError
           });
           
@@ -1303,6 +1868,190 @@ async function processTranscriptToTasksWithPipeline(
       }
     }
 
+    // Step 4.3: Log time spent statements as Jira worklogs and store them on the task
+    logger.info("⏱️ Step 4.3: Logging time spent to Jira worklogs");
+    const timeSpentResults = [];
+    
+    for (const entry of pipelineResult.timeSpent || []) {
+      const key = getTimeSpentKey(entry, transcriptMetadata);
+      let worklog = null;
+      let recorded = false;
+      let error = null;
+      
+      try {
+        if (isJiraTicket(entry.taskId)) {
+          worklog = await addJiraTimeSpentWorklog(entry.taskId, entry, transcriptMetadata, getJiraOptionsForTeam(team));
+          error = worklog.error;
+        }
+        
+        if (!error) {
+          recorded = await recordTaskTimeSpent(entry.taskId, {
+            key,
+            hours: entry.hours,
+            started: getTimeSpentStarted(entry, transcriptMetadata),
+            speaker: entry.speaker,
+            accountId: worklog?.accountId || null,
+            evidence: entry.evidence,
+            transcriptId: transcriptMetadata.transcriptId || null,
+            worklogId: worklog?.worklogId || null,
+            sourceRanges: entry.sourceRanges || []
+          });
+        }
+      } catch (timeSpentError) {
+        error = timeSpentError.message;
+        logger.warn("Failed to log time spent", {
+          taskId: entry.taskId,
+          hours: entry.hours,
+          error: timeSpentError.message
+        });
+      }
+      
+      timeSpentResults.push({
+        success: !error,
+        taskId: entry.taskId,
+        hours: entry.hours,
+        speaker: entry.speaker,
+        worklogAdded: Boolean(worklog?.added),
+        worklogSkipped: Boolean(worklog?.skipped),
+        recorded,
+        error
+      });
+    }
+
+    // Step 4.4: Link related tickets in Jira and store the relationships on the tasks
+    logger.info("🔗 Step 4.4: Linking related Jira issues");
+    const issueLinks = collectPipelineIssueLinks(pipelineResult,
+      (participantName, taskType, taskIndex) => jiraTicketIdMap[`${participantName}:${taskType}:${taskIndex}`] || null
+    );
+    const issueLinkResults = [];
+    
+    for (const link of issueLinks) {
+      let jiraLink = null;
+      let recorded = false;
+      let error = null;
+      
+      try {
+        if (isJiraTicket(link.taskId) && isJiraTicket(link.targetTaskId)) {
+          jiraLink = await linkJiraIssues(link, getJiraOptionsForTeam(team));
+          error = jiraLink.error;
+        }
+        
+        if (!error) {
+          recorded = await recordTaskIssueLink(link.taskId, {
+            key: getIssueLinkKey(link),
+            linkType: link.linkType,
+            targetTaskId: link.targetTaskId,
+            confidence: link.confidence,
+            evidence: link.evidence,
+            speaker: link.speaker,
+            source: link.source,
+            transcriptId: transcriptMetadata.transcriptId || null,
+            jiraLinkType: jiraLink?.linkTypeName || null,
+            sourceRanges: link.sourceRanges || []
+          });
+        }
+      } catch (issueLinkError) {
+        error = issueLinkError.message;
+        logger.warn("Failed to link related tickets", {
+          taskId: link.taskId,
+          linkType: link.linkType,
+          targetTaskId: link.targetTaskId,
+          error: issueLinkError.message
+        });
+      }
+      
+      issueLinkResults.push({
+        success: !error,
+        taskId: link.taskId,
+        linkType: link.linkType,
+        targetTaskId: link.targetTaskId,
+        source: link.source,
+        linkCreated: Boolean(jiraLink?.created),
+        linkSkipped: Boolean(jiraLink?.skipped),
+        recorded,
+        error
+      });
+    }
+
+    // Step 4.5: Store the epic, sub-tasks and rolled-up estimates of decomposed tasks
+    logger.info("🧩 Step 4.5: Recording task hierarchy");
+    const hierarchyResults = [];
+    
+    for (const [participantName, participantTasks] of Object.entries(pipelineResult.tasks)) {
+      for (const taskType of ["Coding", "Non-Coding"]) {
+        for (const [taskIndex, task] of (participantTasks[taskType] || []).entries()) {
+          const taskKey = `${participantName}:${taskType}:${taskIndex}`;
+          const ticketId = jiraTicketIdMap[taskKey];
+          const subTasks = jiraSubTaskMap[taskKey] || [];
+          if (!ticketId || (!task.epic && subTasks.length === 0)) continue;
+          
+          let recorded = false;
+          let error = null;
+          try {
+            recorded = await recordTaskHierarchy(ticketId, {
+              epicTicketId: task.epic || null,
+              subTasks: subTasks.map(subTask => ({
+                ticketId: subTask.issueKey,
+                title: subTask.title,
+                estimatedTime: subTask.estimatedTimeHours || 0,
+                storyPoints: subTask.storyPoints || null
+              })),
+              rollup: { estimatedTime: task.estimatedTime || 0, storyPoints: task.storyPoints || null }
+            });
+          } catch (hierarchyError) {
+            error = hierarchyError.message;
+            logger.warn("Failed to record task hierarchy", { ticketId, epic: task.epic, error });
+          }
+          
+          hierarchyResults.push({
+            success: !error,
+            ticketId,
+            epic: task.epic || null,
+            subTaskIds: subTasks.map(subTask => subTask.issueKey),
+            subTasksFailed: (task.subTasks || []).length - subTasks.length,
+            recorded,
+            error
+          });
+        }
+      }
+    }
+
+    // Step 4.6: Store the due dates resolved from the deadlines said about new tasks
+    logger.info("📅 Step 4.6: Recording task due dates", { meetingDate });
+    const dueDateResults = [];
+    
+    for (const [participantName, participantTasks] of Object.entries(pipelineResult.tasks)) {
+      for (const taskType of ["Coding", "Non-Coding"]) {
+        for (const [taskIndex, task] of (participantTasks[taskType] || []).entries()) {
+          const ticketId = jiraTicketIdMap[`${participantName}:${taskType}:${taskIndex}`];
+          if (!ticketId || !task.dueDate) continue;
+          
+          let recorded = false;
+          let error = null;
+          try {
+            recorded = await recordTaskDueDate(ticketId, {
+              dueDate: task.dueDate,
+              deadline: task.deadline || null,
+              meetingDate,
+              transcriptId: transcriptMetadata.transcriptId || null
+            });
+          } catch (dueDateError) {
+            error = dueDateError.message;
+            logger.warn("Failed to record task due date", { ticketId, dueDate: task.dueDate, error });
+          }
+          
+          dueDateResults.push({
+            success: !error,
+            ticketId,
+            dueDate: task.dueDate,
+            deadline: task.deadline || null,
+            recorded,
+            error
+          });
+        }
+      }
+    }
+
     // Step 5: Generate meeting notes and store them with attendees
     logger.info("📝 Step 5: Generating meeting notes");
     let meetingNotesResult = null;
@@ -1401,6 +2150,8 @@ async function processTranscriptToTasksWithPipeline(
         processingDuration: (Date.now() - startTime) / 1000,
         pipelineVersion: "1.0",
         testRun: processingOptions.testMode || false,
+        webhookUrl: team.teamsWebhookUrl,
+        transcriptId: transcriptMetadata?.transcriptId || null,
       });
     } catch (teamsError) {
       logger.error("Teams webhook processing failed", {
@@ -1440,6 +2191,7 @@ async function processTranscriptToTasksWithPipeline(
     
     const result = {
       success: true,
+      teamId: team.teamId,
       tasks: pipelineResult.tasks,
       storage: mongoResult,
       transcriptStorage: transcriptStorageResult,
@@ -1452,8 +2204,19 @@ async function processTranscriptToTasksWithPipeline(
           applied: statusChangeResults.filter(r => r.success).length
         }
       },
+      timeSpent: {
+        detected: pipelineResult.timeSpent || [],
+        applied: timeSpentResults
+      },
+      issueLinks: {
+        detected: issueLinks,
+        applied: issueLinkResults
+      },
+      hierarchy: hierarchyResults,
+      dueDates: dueDateResults,
       jira: jiraResult,
       teams: teamsResult,
+      approval: approvalResult,
       processing: {
         duration: completeDuration,
         pipelineSteps: {
@@ -1465,10 +2228,15 @@ async function processTranscriptToTasksWithPipeline(
       summary: {
         participantCount: Object.keys(pipelineResult.tasks).length,
         extractedTasks: pipelineResult.metadata.totalTasks,
-        newTasksCreated: pipelineResult.metadata.newTasks,
+        newTasksCreated: approvalResult ? 0 : pipelineResult.metadata.newTasks,
+        tasksPendingApproval: approvalResult ? approvalResult.insertedCount : 0,
         existingTasksUpdated: pipelineResult.pipelineResults.stage3.taskUpdates.length,
         statusChangesDetected: pipelineResult.statusChanges.length,
         statusChangesApplied: statusChangeResults.filter(r => r.success).length,
+        hoursLogged: timeSpentResults.filter(r => r.worklogAdded).reduce((total, r) => total + r.hours, 0),
+        issueLinksCreated: issueLinkResults.filter(r => r.linkCreated).length,
+        subTasksCreated: hierarchyResults.reduce((total, r) => total + r.subTaskIds.length, 0),
+        dueDatesSet: dueDateResults.length,
         processedAt: new Date().toISOString(),
         pipelineUsed: "3-stage-pipeline-v1.0",
         qualityMetrics: {
@@ -1507,6 +2275,9 @@ module.exports = {
   // NEW: 3-Stage Pipeline Functions
   processTranscriptToTasksWithPipeline,
   generatePipelineSummaryData,
+  buildPipelineChangePlan,
+  storeCreatedTaskSafely,
+  processUploadedTranscript,
   
   // LEGACY: Original Functions (maintained for backward compatibility)
   processTranscriptToTasks,
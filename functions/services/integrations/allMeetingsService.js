@@ -39,7 +39,7 @@ const scopes = ["https://graph.microsoft.com/.default"];
 function parseVttToJson(vttContent) {
   const jsonOutput = [];
   const lines = vttContent.split("\n");
-  let currentTimestamp = null;
+  let currentCue = null;
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
@@ -49,17 +49,20 @@ function parseVttToJson(vttContent) {
       continue;
     }
 
-    // Check if line contains timestamp
+    // Check if line contains timestamp, e.g. "00:00:05.000 --> 00:00:12.000"
     if (line.includes("-->")) {
-      currentTimestamp = line.split(" ")[0]; // Get the start timestamp
-    } else if (currentTimestamp && line.startsWith("<v ")) {
+      const [start, end] = line.split("-->").map(part => part.trim().split(" ")[0]);
+      currentCue = { start, end };
+    } else if (currentCue && line.startsWith("<v ")) {
       // This is a text line with speaker info, create entry with the format that matches existing system
+      // (speaker keeps the start timestamp for older consumers)
       jsonOutput.push({
-        speaker: currentTimestamp,
-        startTime: "-->", 
+        speaker: currentCue.start,
+        startTime: currentCue.start,
+        endTime: currentCue.end,
         text: line
       });
-      currentTimestamp = null; // Reset for next entry
+      currentCue = null; // Reset for next entry
     }
   }
 
@@ -0,0 +1,203 @@
+/**
+ * Fake LLM Provider
+ *
+ * Deterministic stand-ins for the chat and embedding models so the pipeline can run offline
+ * (tests, CI) with no API keys. Selected with LLM_PROVIDER=fake.
+ *
+ * Chat responses come from a script - a JSON file named by LLM_FAKE_RESPONSES, or an object
+ * passed to setFakeResponses():
+ * {
+ *   "responses": { "<prompt fingerprint>": "response text" },
+ *   "rules": [{ "contains": ["Scrum Task Finder"], "response": "response text" }],
+ *   "default": "response text"
+ * }
+ * A prompt is answered by its exact fingerprint first, then by the first rule whose strings all
+ * appear in the prompt, then by "default". Unscripted prompts fail with the fingerprint in the
+ * error so it can be added to the script.
+ *
+ * Embeddings hash each word into a fixed-size vector, so texts sharing words are similar.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { SimpleChatModel } = require("@langchain/core/language_models/chat_models");
+const { Embeddings } = require("@langchain/core/embeddings");
+const { logger } = require("firebase-functions");
+
+let scriptOverride = null;
+let loadedScript = { file: null, script: null };
+
+// LangChain message types → chat roles, so LangChain messages and { role } objects fingerprint alike
+const MESSAGE_ROLES = { human: "user", ai: "assistant" };
+
+/**
+ * Get a message's role ("system", "user", "assistant", ...)
+ * @param {Object} message - LangChain message or { role, content }
+ * @returns {string} Role
+ */
+function getMessageRole(message) {
+  const role = typeof message.getType === "function" ? message.getType() : message.role || "user";
+  return MESSAGE_ROLES[role] || role;
+}
+
+/**
+ * Get a message's text
+ * @param {Object} message - LangChain message or { role, content }
+ * @returns {string} Text content
+ */
+function getMessageText(message) {
+  if (typeof message.content === "string") {
+    return message.content;
+  }
+  // Multi-part content: keep the text parts
+  return (message.content || []).map(part => part.text || "").join("");
+}
+
+/**
+ * Fingerprint a prompt - stable across runs and whitespace changes
+ * @param {Array<Object>} messages - Prompt messages
+ * @returns {string} 16-character hex fingerprint
+ */
+function computePromptFingerprint(messages) {
+  const normalized = messages
+    .map(message => `${getMessageRole(message)}\n${getMessageText(message).replace(/\s+/g, " ").trim()}`)
+    .join("\n\n");
+  return crypto.createHash("sha256").update(normalized).digest("hex").substring(0, 16);
+}
+
+/**
+ * Use a response script instead of the LLM_FAKE_RESPONSES file
+ * @param {Object|null} script - Response script, or null to go back to the file
+ */
+function setFakeResponses(script) {
+  scriptOverride = script;
+}
+
+/**
+ * Get the active response script
+ * @param {string} responsesFile - Script file from the LLM config
+ * @returns {Object} Response script
+ */
+function getFakeResponses(responsesFile) {
+  if (scriptOverride) {
+    return scriptOverride;
+  }
+  if (!responsesFile) {
+    return {};
+  }
+
+  const file = path.resolve(responsesFile);
+  if (loadedScript.file !== file) {
+    loadedScript = { file, script: JSON.parse(fs.readFileSync(file, "utf8")) };
+  }
+  return loadedScript.script;
+}
+
+/**
+ * Pick the scripted response for a prompt
+ * @param {Object} script - Response script
+ * @param {string} fingerprint - Prompt fingerprint
+ * @param {string} promptText - All message text
+ * @returns {Object|null} { response, matchedBy } or null if nothing matches
+ */
+function findFakeResponse(script, fingerprint, promptText) {
+  if (script.responses && script.responses[fingerprint] !== undefined) {
+    return { response: script.responses[fingerprint], matchedBy: "fingerprint" };
+  }
+
+  for (const [index, rule] of (script.rules || []).entries()) {
+    const needles = Array.isArray(rule.contains) ? rule.contains : [rule.contains];
+    if (needles.every(needle => promptText.includes(needle))) {
+      return { response: rule.response, matchedBy: `rule ${index}` };
+    }
+  }
+
+  if (script.default !== undefined) {
+    return { response: script.default, matchedBy: "default" };
+  }
+  return null;
+}
+
+class FakeChatModel extends SimpleChatModel {
+  /**
+   * @param {Object} fields - { responsesFile, model }
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.responsesFile = fields.responsesFile;
+    this.model = fields.model || "fake";
+  }
+
+  /**
+   * LangChain model type
+   * @returns {string} Type name
+   */
+  _llmType() {
+    return "fake";
+  }
+
+  /**
+   * Answer a prompt from the response script
+   * @param {Array<Object>} messages - Prompt messages
+   * @returns {Promise<string>} Scripted response
+   */
+  async _call(messages) {
+    const fingerprint = computePromptFingerprint(messages);
+    const promptText = messages.map(getMessageText).join("\n");
+    const match = findFakeResponse(getFakeResponses(this.responsesFile), fingerprint, promptText);
+
+    if (!match) {
+      throw new Error(`No fake LLM response scripted for prompt ${fingerprint}`);
+    }
+
+    logger.info("Fake LLM response", { fingerprint, matchedBy: match.matchedBy });
+    return typeof match.response === "string" ? match.response : JSON.stringify(match.response);
+  }
+}
+
+class FakeEmbeddings extends Embeddings {
+  /**
+   * @param {Object} fields - { dimensions }
+   */
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions || 1536;
+  }
+
+  /**
+   * Embed one text
+   * @param {string} text - Text
+   * @returns {Promise<Array<number>>} Unit-length vector
+   */
+  async embedQuery(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+
+    for (const word of words) {
+      const hash = crypto.createHash("md5").update(word).digest();
+      const slot = hash.readUInt32BE(0) % this.dimensions;
+      vector[slot] += hash[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * Embed several texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} Vectors
+   */
+  async embedDocuments(texts) {
+    return Promise.all(texts.map(text => this.embedQuery(text)));
+  }
+}
+
+module.exports = {
+  FakeChatModel,
+  FakeEmbeddings,
+  computePromptFingerprint,
+  setFakeResponses,
+  findFakeResponse,
+};
@@ -10,10 +10,32 @@
 const axios = require("axios");
 const {logger} = require("firebase-functions");
 const { getJiraAssigneeForParticipant } = require("../../config/participantMapping");
+const { getJiraProjectKeys, getTeamForIssueKey } = require("../../config/teamRegistry");
+const {
+  getJiraStatusMapping,
+  includesJiraName,
+  findTransitionForStatus,
+  getTaskStatusForJiraStatus,
+  getTaskStatusForJiraResolution,
+} = require("../../config/jiraStatusMapping");
+const {
+  BUILT_IN_JIRA_FIELDS,
+  getJiraFieldMapping,
+  isFieldDiscoveryEnabled,
+  discoverFieldMapping,
+} = require("../../config/jiraFieldMapping");
+const { getJiraLinkTypeMapping, resolveJiraIssueLink } = require("../../config/jiraLinkTypeMapping");
+const { TASK_STATUSES } = require("../../schemas/taskSchemas");
+const { appendJiraSourceSection, buildJiraEvidenceComment } = require("../utilities/transcriptSourceService");
+const { getTimeSpentKey, getTimeSpentStarted } = require("../utilities/timeSpentService");
 
 // Load environment variables
 require("dotenv").config();
 
+// createmeta responses per project and issue type (create screens rarely change)
+const CREATE_META_CACHE_MS = 60 * 60 * 1000;
+const createMetaCache = new Map();
+
 /**
  * Test Jira API connection
  * @returns {Promise<boolean>} True if connection successful
@@ -112,7 +134,7 @@ async function getProjectInfo(projectKey) {
 }
 
 /**
- * Check if a ticketId is a Jira issue key (TDS-XXX format)
+ * Check if a ticketId is a Jira issue key (TDS-XXX, or any registered team's project key)
  * Note: SP-XXX are MongoDB ticket IDs, not Jira issue keys
  * @param {string} ticketId - The ticket ID to check (e.g., "TDS-123")
  * @returns {boolean} True if the ticketId is a Jira issue key
@@ -120,9 +142,9 @@ async function getProjectInfo(projectKey) {
 function isJiraTicket(ticketId) {
   if (!ticketId) return false;
   
-  // Only TDS-XXX format are direct Jira issue keys
   const normalizedTicketId = ticketId.toString().toUpperCase();
-  return normalizedTicketId.startsWith("TDS-");
+  const projectKeys = new Set(["TDS", ...getJiraProjectKeys()]);
+  return projectKeys.has(normalizedTicketId.split("-")[0]) && normalizedTicketId.includes("-");
 }
 
 /**
@@ -193,14 +215,16 @@ async function updateJiraIssueDescription(issueKey, description) {
 }
 
 /**
- * Transition a Jira issue to move it from backlog to board
- * This function attempts to move the issue to the board's active "To Do" column
- * Enhanced to support "in-progress" and "done" statuses
+ * Transition a Jira issue to a status
+ * Task statuses ("In-progress", "Blocked", "Won't Do", ...) go through the team's Jira status mapping
+ * (config/jiraStatusMapping.js). Any other name (e.g. "To Do" for new issues) moves the issue from the
+ * backlog to the board's active column by matching common transition names.
  * @param {string} issueKey - The issue key (e.g., "PROJ-123")
- * @param {string} targetStatusName - The target status name (default: "To Do")
- * @returns {Promise<boolean>} True if transition successful
+ * @param {string} targetStatusName - Task status or Jira status name (default: "To Do")
+ * @param {Object} options - Options: statusMapping overrides the mapping of the issue's team
+ * @returns {Promise<boolean>} True if transition successful (or the issue is already in a mapped status)
  */
-async function transitionIssueToStatus(issueKey, targetStatusName = "To Do") {
+async function transitionIssueToStatus(issueKey, targetStatusName = "To Do", options = {}) {
   try {
     const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
     const trimmedJiraUrl = JIRA_URL.trim();
@@ -220,9 +244,9 @@ async function transitionIssueToStatus(issueKey, targetStatusName = "To Do") {
     
     const currentStatus = issueResponse.data.fields.status.name;
     
-    // Get available transitions for the issue
+    // Get available transitions for the issue (with their screen fields, to know if resolution can be set)
     const transitionsResponse = await axios.get(
-      `${trimmedJiraUrl}/rest/api/2/issue/${issueKey}/transitions`,
+      `${trimmedJiraUrl}/rest/api/2/issue/${issueKey}/transitions?expand=transitions.fields`,
       {
         headers: {
           "Authorization": `Basic ${auth}`,
@@ -234,62 +258,53 @@ async function transitionIssueToStatus(issueKey, targetStatusName = "To Do") {
     
     const availableTransitions = transitionsResponse.data.transitions || [];
     
-    // Priority order for transitions to move to board:
-    // 1. Look for transitions that explicitly go to "To Do" status
-    // 2. Look for "Start Progress" or "Move to Board" type transitions
-    // 3. Look for any transition that moves to the target status
-    
     let targetTransition = null;
+    let resolution = null;
     
-    // First, try to find exact match to target status
-    targetTransition = availableTransitions.find(transition => {
-      const transitionToStatus = transition.to?.name?.toLowerCase();
-      return transitionToStatus === targetStatusName.toLowerCase();
-    });
-    
-    // If not found, look for common board transition names
-    if (!targetTransition) {
-      const commonBoardTransitions = ["start progress", "move to board", "begin work", "move to sprint"];
-      targetTransition = availableTransitions.find(transition => {
-        const transitionName = transition.name?.toLowerCase();
-        return commonBoardTransitions.some(commonName => transitionName.includes(commonName));
-      });
-    }
-    
-    // If target is "in-progress", look for specific in-progress transitions
-    if (!targetTransition && targetStatusName.toLowerCase() === "in-progress") {
-      const inProgressTransitions = ["start progress", "in progress", "begin work", "work in progress"];
-      targetTransition = availableTransitions.find(transition => {
-        const transitionName = transition.name?.toLowerCase();
-        const toStatus = transition.to?.name?.toLowerCase();
-        return inProgressTransitions.some(progressName => 
-          transitionName.includes(progressName) || toStatus.includes("progress")
-        );
-      });
-    }
-    
-    // If target is "done", look for specific done/complete transitions
-    if (!targetTransition && targetStatusName.toLowerCase() === "done") {
-      const doneTransitions = ["done", "complete", "close", "resolve"];
-      targetTransition = availableTransitions.find(transition => {
-        const transitionName = transition.name?.toLowerCase();
-        const toStatus = transition.to?.name?.toLowerCase();
-        return doneTransitions.some(doneName => 
-          transitionName.includes(doneName) || toStatus.includes(doneName)
-        );
-      });
-    }
-    
-    // If still not found, try to find any transition that's not "Backlog" or "Closed"
-    if (!targetTransition) {
+    if (TASK_STATUSES.includes(targetStatusName)) {
+      const statusMapping = options.statusMapping || getJiraStatusMapping(getTeamForIssueKey(issueKey));
+      const mappedStatus = statusMapping[targetStatusName];
+      
+      if (includesJiraName(currentStatus, mappedStatus.statuses)) {
+        logger.info("Issue already in the mapped Jira status", { issueKey, currentStatus, targetStatusName });
+        return true;
+      }
+      
+      // No fallback to other transitions - a wrong guess would e.g. move a blocked issue to In Progress
+      targetTransition = findTransitionForStatus(targetStatusName, availableTransitions, statusMapping);
+      resolution = mappedStatus.resolution || null;
+    } else {
+      // Priority order for transitions to move to board:
+      // 1. Look for transitions that explicitly go to "To Do" status
+      // 2. Look for "Start Progress" or "Move to Board" type transitions
+      // 3. Look for any transition that moves to the target status
+      
+      // First, try to find exact match to target status
       targetTransition = availableTransitions.find(transition => {
-        const toStatus = transition.to?.name?.toLowerCase();
-        return toStatus !== "backlog" && toStatus !== "closed" && toStatus !== "done";
+        const transitionToStatus = transition.to?.name?.toLowerCase();
+        return transitionToStatus === targetStatusName.toLowerCase();
       });
+      
+      // If not found, look for common board transition names
+      if (!targetTransition) {
+        const commonBoardTransitions = ["start progress", "move to board", "begin work", "move to sprint"];
+        targetTransition = availableTransitions.find(transition => {
+          const transitionName = transition.name?.toLowerCase();
+          return commonBoardTransitions.some(commonName => transitionName.includes(commonName));
+        });
+      }
+      
+      // If still not found, try to find any transition that's not "Backlog" or "Closed"
+      if (!targetTransition) {
+        targetTransition = availableTransitions.find(transition => {
+          const toStatus = transition.to?.name?.toLowerCase();
+          return toStatus !== "backlog" && toStatus !== "closed" && toStatus !== "done";
+        });
+      }
     }
     
     if (!targetTransition) {
-      logger.warn("Could not find suitable transition to move issue to board", {
+      logger.warn("Could not find a Jira transition to the target status", {
         issueKey,
         currentStatus,
         targetStatusName,
@@ -302,14 +317,18 @@ async function transitionIssueToStatus(issueKey, targetStatusName = "To Do") {
       return false;
     }
     
-    // Execute the transition
+    // Execute the transition (setting the mapped resolution only where the transition screen has the field)
+    const transitionBody = {
+      transition: {
+        id: targetTransition.id,
+      },
+    };
+    if (resolution && targetTransition.fields?.resolution) {
+      transitionBody.fields = { resolution: { name: resolution } };
+    }
     await axios.post(
       `${trimmedJiraUrl}/rest/api/2/issue/${issueKey}/transitions`,
-      {
-        transition: {
-          id: targetTransition.id,
-        },
-      },
+      transitionBody,
       {
         headers: {
           "Authorization": `Basic ${auth}`,
@@ -326,6 +345,7 @@ async function transitionIssueToStatus(issueKey, targetStatusName = "To Do") {
       transitionName: targetTransition.name,
       transitionToStatus: targetTransition.to?.name,
       transitionId: targetTransition.id,
+      resolution: transitionBody.fields ? resolution : null,
     });
     
     return true;
@@ -343,6 +363,252 @@ async function transitionIssueToStatus(issueKey, targetStatusName = "To Do") {
   }
 }
 
+/**
+ * Get the fields of a project's create screen for an issue type from the Jira createmeta API
+ * Results are cached per project and issue type for CREATE_META_CACHE_MS.
+ * @param {string} projectKey - Jira project key
+ * @param {string} issueTypeName - Issue type name (e.g. "Task")
+ * @returns {Promise<Array<Object>|null>} Fields ({ fieldId, name, required, hasDefaultValue, schema, allowedValues }),
+ *   or null if the project has no such issue type
+ */
+async function getJiraCreateMeta(projectKey, issueTypeName) {
+  const cacheKey = `${projectKey}:${issueTypeName}`.toLowerCase();
+  const cached = createMetaCache.get(cacheKey);
+  if (cached && Date.now() - cached.fetchedAt < CREATE_META_CACHE_MS) {
+    return cached.fields;
+  }
+
+  const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+  if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+    throw new Error("Missing required Jira environment variables");
+  }
+
+  const trimmedJiraUrl = JIRA_URL.trim();
+  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+  const requestConfig = {
+    headers: {
+      "Authorization": `Basic ${auth}`,
+      "Accept": "application/json",
+    },
+    params: { maxResults: 200 },
+    timeout: 15000,
+  };
+
+  try {
+    const issueTypesResponse = await axios.get(
+      `${trimmedJiraUrl}/rest/api/2/issue/createmeta/${projectKey}/issuetypes`, requestConfig);
+    const issueTypes = issueTypesResponse.data.issueTypes || issueTypesResponse.data.values || [];
+    const issueType = issueTypes.find(type => String(type.name).toLowerCase() === issueTypeName.toLowerCase());
+
+    let fields = null;
+    if (issueType) {
+      const fieldsResponse = await axios.get(
+        `${trimmedJiraUrl}/rest/api/2/issue/createmeta/${projectKey}/issuetypes/${issueType.id}`, requestConfig);
+      fields = (fieldsResponse.data.fields || fieldsResponse.data.values || []).map(meta => ({
+        fieldId: meta.fieldId || meta.key,
+        name: meta.name,
+        required: Boolean(meta.required),
+        hasDefaultValue: Boolean(meta.hasDefaultValue),
+        schema: meta.schema || {},
+        allowedValues: meta.allowedValues || null,
+      }));
+    }
+
+    createMetaCache.set(cacheKey, { fields, fetchedAt: Date.now() });
+    logger.info("Fetched Jira create metadata", {
+      projectKey,
+      issueTypeName,
+      found: Boolean(issueType),
+      fieldCount: fields ? fields.length : 0,
+    });
+    return fields;
+
+  } catch (error) {
+    logger.error("Failed to fetch Jira create metadata", {
+      projectKey,
+      issueTypeName,
+      error: error.message,
+      status: error.response?.status,
+    });
+    throw new Error(`Jira createmeta failed: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve the field mapping for a project and issue type
+ * With discovery switched on, field ids come from createmeta first and the create screen is used to validate
+ * values. A failed createmeta request falls back to the configured mapping without validation.
+ * @param {string} projectKey - Jira project key
+ * @param {string} issueTypeName - Issue type name (e.g. "Task")
+ * @param {Object} jiraOptions - Per-team options (see getJiraOptionsForTeam)
+ * @param {Object} options - Options: discover forces createmeta discovery
+ * @returns {Promise<Object>} { mapping, discovered, metaFields } - metaFields is null without discovery
+ */
+async function resolveJiraFieldMapping(projectKey, issueTypeName, jiraOptions = {}, options = {}) {
+  const team = jiraOptions.teamId ? jiraOptions : null;
+  let metaFields = null;
+  let discovered = {};
+
+  if (options.discover || isFieldDiscoveryEnabled(team)) {
+    try {
+      metaFields = await getJiraCreateMeta(projectKey, issueTypeName);
+      discovered = metaFields ? discoverFieldMapping(metaFields) : {};
+    } catch (error) {
+      logger.warn("Jira field discovery failed, using the configured field mapping", {
+        projectKey,
+        issueTypeName,
+        error: error.message,
+      });
+    }
+  }
+
+  return { mapping: getJiraFieldMapping(team, discovered), discovered, metaFields };
+}
+
+/**
+ * Convert one attribute value to the format of its Jira field
+ * @param {*} value - Task attribute value
+ * @param {string} format - Field format (see config/jiraFieldMapping.js)
+ * @returns {*} Jira field value
+ */
+function formatJiraFieldValue(value, format) {
+  const list = Array.isArray(value) ? value : [value];
+  switch (format) {
+  case "number": {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`expected a non-negative number, got "${value}"`);
+    }
+    return number;
+  }
+  case "id": {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new Error(`expected a numeric id, got "${value}"`);
+    }
+    return id;
+  }
+  case "date": {
+    const date = value instanceof Date ? value.toISOString().slice(0, 10) : String(value).trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(`${date}T00:00:00Z`).getTime())) {
+      throw new Error(`expected a YYYY-MM-DD date, got "${value}"`);
+    }
+    return date;
+  }
+  case "key": {
+    const key = String(value).trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9]+-\d+$/.test(key)) {
+      throw new Error(`expected an issue key, got "${value}"`);
+    }
+    return { key };
+  }
+  case "name":
+    return { name: String(value).trim() };
+  case "names":
+    return list.map(item => ({ name: String(item).trim() }));
+  case "value":
+    return { value: String(value).trim() };
+  case "values":
+    return list.map(item => ({ value: String(item).trim() }));
+  default:
+    return String(value).trim();
+  }
+}
+
+/**
+ * Check named values against a create screen's allowed values, using Jira's spelling for the matches
+ * @param {*} formatted - Formatted field value ({ name } / { value } or a list of them)
+ * @param {Array<Object>} allowedValues - Allowed values from createmeta
+ * @returns {Object} { value, rejected } - value without the rejected entries (null if nothing is left)
+ */
+function matchAllowedValues(formatted, allowedValues) {
+  const entries = Array.isArray(formatted) ? formatted : [formatted];
+  const matched = [];
+  const rejected = [];
+
+  for (const entry of entries) {
+    const property = entry.name !== undefined ? "name" : "value";
+    const wanted = String(entry[property]).toLowerCase();
+    const allowed = allowedValues.find(option =>
+      String(option.name ?? option.value ?? "").toLowerCase() === wanted);
+    if (allowed) {
+      matched.push({ [property]: allowed.name ?? allowed.value });
+    } else {
+      rejected.push(entry[property]);
+    }
+  }
+
+  if (Array.isArray(formatted)) {
+    return { value: matched.length > 0 ? matched : null, rejected };
+  }
+  return { value: matched[0] || null, rejected };
+}
+
+/**
+ * Build the mapped Jira fields of an issue from task attributes, validating each one
+ * Invalid values are left out and reported instead of failing the whole issue.
+ * @param {Object} values - Task attribute values keyed by attribute (priority, storyPoints, sprint, ...)
+ * @param {Object} mapping - Field mapping (see config/jiraFieldMapping.js)
+ * @param {Array<Object>|null} metaFields - Create screen fields from createmeta (null = no screen validation)
+ * @returns {Object} { fields, validationErrors } - errors are { attribute, field, message }
+ */
+function buildMappedJiraFields(values, mapping, metaFields = null) {
+  const fields = {};
+  const validationErrors = [];
+
+  for (const [attribute, entry] of Object.entries(mapping)) {
+    let value = values[attribute];
+    if (value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0)) {
+      value = entry.default;
+    }
+    if (value === undefined || value === null || value === "" || !entry.field) {
+      continue;
+    }
+
+    const meta = metaFields ? metaFields.find(field => field.fieldId === entry.field) : null;
+    if (metaFields && !meta) {
+      validationErrors.push({ attribute, field: entry.field, message: "field is not on the project's create screen" });
+      continue;
+    }
+
+    try {
+      let formatted = formatJiraFieldValue(value, entry.format);
+      if (meta && Array.isArray(meta.allowedValues) && ["name", "names", "value", "values"].includes(entry.format)) {
+        const { value: allowedValue, rejected } = matchAllowedValues(formatted, meta.allowedValues);
+        if (rejected.length > 0) {
+          const message = `not allowed in Jira: ${rejected.join(", ")}`;
+          validationErrors.push({ attribute, field: entry.field, message });
+        }
+        formatted = allowedValue;
+      }
+      if (formatted !== null) {
+        fields[entry.field] = formatted;
+      }
+    } catch (error) {
+      validationErrors.push({ attribute, field: entry.field, message: error.message });
+    }
+  }
+
+  return { fields, validationErrors };
+}
+
+/**
+ * Find required create screen fields an issue does not set (and Jira has no default for)
+ * @param {Object} issueFields - Fields of the issue about to be created
+ * @param {Array<Object>} metaFields - Create screen fields from createmeta
+ * @returns {Array<Object>} Validation errors ({ attribute, field, message })
+ */
+function findMissingRequiredFields(issueFields, metaFields) {
+  return metaFields
+    .filter(meta => meta.required && !meta.hasDefaultValue && issueFields[meta.fieldId] === undefined &&
+      !BUILT_IN_JIRA_FIELDS.includes(meta.fieldId))
+    .map(meta => ({
+      attribute: null,
+      field: meta.fieldId,
+      message: `required field "${meta.name}" is not mapped to a task attribute`,
+    }));
+}
+
 /**
  * Create a Jira issue for a task (Coding or Non-Coding) or bug
  * @param {Object} taskData - Task data containing title, description, assignee, type, and labels
@@ -351,18 +617,31 @@ async function transitionIssueToStatus(issueKey, targetStatusName = "To Do") {
  * @param {string} taskData.assignee - Assignee name/email (null/undefined for future tasks)
  * @param {string} taskData.participant - Original participant name from transcript
  * @param {string} taskData.type - Task type: "Coding" or "Non-Coding"
- * @param {string} taskData.workType - Work type: "Task" or "Bug" (defaults to "Task")
+ * @param {string} taskData.workType - Work type: "Task", "Bug" or "Sub-task" (defaults to "Task")
+ * @param {string} taskData.parentKey - Parent issue key (sub-tasks only)
  * @param {boolean} taskData.isFuturePlan - Whether this is a future plan task (no assignee)
  * @param {Array<string>} taskData.labels - Optional labels to add to the issue
  * @param {string} taskData.priority - Priority value (Highest/High/Medium/Low/Lowest), defaults to Medium if not provided
  * @param {number} taskData.estimatedTime - Estimated time in hours, will be converted to seconds for Jira
  * @param {number} taskData.storyPoints - Optional story points value, only added if provided and > 0
  * @param {string} taskData.projectCode - Optional project code (e.g., "PROJ", "ABC"), will be added as a label if provided
- * @returns {Promise<Object>} Jira issue creation result
+ * @param {Object} taskData.transcriptSource - Optional transcript source, added as a "Source" section
+ * @param {number} taskData.sprint - Optional sprint id
+ * @param {Array<string>} taskData.components - Optional component names
+ * @param {string} taskData.epic - Optional epic issue key
+ * @param {string|Array<string>} taskData.fixVersion - Optional fix version name(s)
+ * @param {string} taskData.dueDate - Optional due date (YYYY-MM-DD)
+ * @param {Object} jiraOptions - Per-team options ({ projectKey, jiraFieldMapping, jiraFieldDiscovery,
+ *   subTaskIssueType }) - defaults to JIRA_PROJECT_KEY and the env field mapping
+ * @returns {Promise<Object>} Jira issue creation result, with validationErrors for mapped fields that were left out
  */
-async function createJiraIssue(taskData) {
+async function createJiraIssue(taskData, jiraOptions = {}) {
+  // Mapped fields that were left out of the issue ({ attribute, field, message })
+  let validationErrors = [];
+
   try {
-    const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN, JIRA_PROJECT_KEY } = process.env;
+    const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+    const JIRA_PROJECT_KEY = jiraOptions.projectKey || process.env.JIRA_PROJECT_KEY;
     
     if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN || !JIRA_PROJECT_KEY) {
       throw new Error("Missing required Jira environment variables");
@@ -415,8 +694,12 @@ async function createJiraIssue(taskData) {
       labels.push(...taskData.labels);
     }
     
-    // Determine work type (Task or Bug)
-    const workType = taskData.workType === "Bug" ? "Bug" : "Task";
+    // Determine work type (Task, Bug or a sub-task of taskData.parentKey)
+    const isSubTask = taskData.workType === "Sub-task";
+    if (isSubTask && !taskData.parentKey) {
+      throw new Error("Sub-tasks need a parentKey");
+    }
+    const workType = isSubTask ? getJiraSubTaskIssueType(jiraOptions) : (taskData.workType === "Bug" ? "Bug" : "Task");
     
     // Prepare the issue data
     const issueData = {
@@ -425,9 +708,9 @@ async function createJiraIssue(taskData) {
           key: JIRA_PROJECT_KEY,
         },
         summary: taskData.title,
-        description: taskData.description,
+        description: appendJiraSourceSection(taskData.description, taskData.transcriptSource),
         issuetype: {
-          name: workType, // Task or Bug based on workType
+          name: workType, // Task, Bug or the sub-task issue type based on workType
         },
       },
     };
@@ -476,10 +759,6 @@ async function createJiraIssue(taskData) {
       priority = "Medium";
     }
     
-    // Set priority in issue data
-    issueData.fields.priority = {
-      name: priority,
-    };
 
     // Add estimated time (timetracking) if provided
     // Jira expects time in format like "1h" or "3600s"
@@ -508,15 +787,40 @@ async function createJiraIssue(taskData) {
       });
     }
 
-    // Add story points to custom field 10166 if provided
+    // Add priority, story points, sprint, components, epic, fix version and due date through the field mapping
     const storyPoints = taskData.storyPoints;
-    if (storyPoints !== undefined && storyPoints !== null && storyPoints > 0) {
-      issueData.fields.customfield_10166 = storyPoints;
-      
-      logger.info("Added story points to Jira issue", {
-        storyPoints: storyPoints,
-        participant: taskData.participant,
+    const { mapping: fieldMapping, metaFields } =
+      await resolveJiraFieldMapping(JIRA_PROJECT_KEY, workType, jiraOptions);
+    const mappedResult = buildMappedJiraFields({
+      priority,
+      storyPoints: storyPoints > 0 ? storyPoints : null,
+      sprint: taskData.sprint,
+      components: taskData.components,
+      epic: taskData.epic,
+      fixVersion: taskData.fixVersion,
+      dueDate: taskData.dueDate,
+    }, fieldMapping, metaFields);
+    const mappedFields = mappedResult.fields;
+    validationErrors = mappedResult.validationErrors;
+    Object.assign(issueData.fields, mappedFields);
+    if (isSubTask) {
+      issueData.fields.parent = { key: taskData.parentKey };
+    }
+
+    if (metaFields) {
+      const missingFields = findMissingRequiredFields(issueData.fields, metaFields);
+      if (missingFields.length > 0) {
+        validationErrors.push(...missingFields);
+        throw new Error(`Missing required Jira fields: ${missingFields.map(error => error.field).join(", ")}`);
+      }
+    }
+
+    if (validationErrors.length > 0) {
+      logger.warn("Left invalid mapped fields out of the Jira issue", {
         title: taskData.title,
+        participant: taskData.participant,
+        projectKey: JIRA_PROJECT_KEY,
+        validationErrors,
       });
     }
 
@@ -536,7 +840,7 @@ async function createJiraIssue(taskData) {
     }
 
     // Create the issue
-    const response = await axios.post(`${trimmedJiraUrl}/rest/api/2/issue`, issueData, {
+    const postIssue = () => axios.post(`${trimmedJiraUrl}/rest/api/2/issue`, issueData, {
       headers: {
         "Authorization": `Basic ${auth}`,
         "Accept": "application/json",
@@ -545,6 +849,30 @@ async function createJiraIssue(taskData) {
       timeout: 15000,
     });
 
+    let response;
+    try {
+      response = await postIssue();
+    } catch (createError) {
+      // Jira rejected some mapped fields (e.g. a custom field id from another project) - retry once without them
+      const fieldErrors = createError.response?.status === 400 ? createError.response.data?.errors || {} : {};
+      const rejectedFields = Object.keys(fieldErrors).filter(field => mappedFields[field] !== undefined);
+      if (rejectedFields.length === 0) {
+        throw createError;
+      }
+      for (const field of rejectedFields) {
+        delete issueData.fields[field];
+        const attribute = Object.keys(fieldMapping).find(name => fieldMapping[name].field === field) || null;
+        validationErrors.push({ attribute, field, message: fieldErrors[field] });
+      }
+      logger.warn("Jira rejected mapped fields, retrying issue creation without them", {
+        title: taskData.title,
+        projectKey: JIRA_PROJECT_KEY,
+        rejectedFields,
+        fieldErrors,
+      });
+      response = await postIssue();
+    }
+
     const createdIssue = response.data;
     
     // Transition non-future tasks to board's "To Do" column
@@ -571,6 +899,7 @@ async function createJiraIssue(taskData) {
       issueKey: createdIssue.key,
       issueId: createdIssue.id,
       workType: workType,
+      parentKey: taskData.parentKey || null,
       title: taskData.title,
       participant: taskData.participant,
       assignee: taskData.assignee || "Unassigned",
@@ -583,6 +912,7 @@ async function createJiraIssue(taskData) {
       projectCode: taskData.projectCode || null,
       labels: labels,
       transitionedToBoard: transitioned,
+      validationErrors,
     });
 
     return {
@@ -594,6 +924,7 @@ async function createJiraIssue(taskData) {
       participant: taskData.participant,
       assignee: taskData.assignee,
       type: taskData.type,
+      parentKey: taskData.parentKey || null,
       isFuturePlan: taskData.isFuturePlan,
       priority: priority,
       estimatedTimeHours: estimatedTimeHours,
@@ -601,6 +932,7 @@ async function createJiraIssue(taskData) {
       projectCode: taskData.projectCode || null,
       labels: labels,
       transitionedToBoard: transitioned,
+      validationErrors,
     };
 
   } catch (error) {
@@ -611,6 +943,7 @@ async function createJiraIssue(taskData) {
       status: error.response?.status,
       statusText: error.response?.statusText,
       responseData: error.response?.data,
+      validationErrors,
     });
 
     return {
@@ -618,16 +951,84 @@ async function createJiraIssue(taskData) {
       error: error.message,
       title: taskData.title,
       participant: taskData.participant,
+      validationErrors,
     };
   }
 }
 
+/**
+ * Get the issue type sub-tasks are created with
+ * Company-managed projects call it "Sub-task", team-managed ones "Subtask".
+ * @param {Object} jiraOptions - Per-team options (subTaskIssueType)
+ * @returns {string} Jira issue type name (team setting, then JIRA_SUBTASK_ISSUE_TYPE, then "Sub-task")
+ */
+function getJiraSubTaskIssueType(jiraOptions = {}) {
+  return jiraOptions.subTaskIssueType || process.env.JIRA_SUBTASK_ISSUE_TYPE || "Sub-task";
+}
+
+/**
+ * Create the sub-tasks of a newly created issue
+ * Sub-tasks share the parent's assignee, type, priority and project code; each carries its own estimate
+ * and story points.
+ * @param {Object} parentIssue - Successful createJiraIssue result of the parent
+ * @param {Array<Object>} subTasks - Sub-tasks ({ title, description, estimatedTime, storyPoints })
+ * @param {Object} jiraOptions - Per-team options (see createJiraIssue)
+ * @returns {Promise<Array<Object>>} createJiraIssue result per sub-task, in order
+ */
+async function createJiraSubTasks(parentIssue, subTasks, jiraOptions = {}) {
+  const results = [];
+  for (const subTask of subTasks) {
+    results.push(await createJiraIssue({
+      title: subTask.title,
+      description: subTask.description || subTask.title,
+      participant: parentIssue.participant,
+      assignee: parentIssue.assignee,
+      type: parentIssue.type,
+      workType: "Sub-task",
+      parentKey: parentIssue.issueKey,
+      isFuturePlan: parentIssue.isFuturePlan,
+      priority: parentIssue.priority,
+      estimatedTime: subTask.estimatedTime || 0,
+      storyPoints: subTask.storyPoints || null,
+      projectCode: parentIssue.projectCode,
+    }, jiraOptions));
+  }
+
+  logger.info("Created Jira sub-tasks", {
+    parentKey: parentIssue.issueKey,
+    created: results.filter(result => result.success).map(result => result.issueKey),
+    failed: results.filter(result => !result.success).length,
+  });
+
+  return results;
+}
+
+/**
+ * Pick the task attributes that reach Jira only through the field mapping
+ * @param {Object|string} task - Task object (or legacy description string)
+ * @returns {Object} { sprint, components, epic, fixVersion, dueDate } (null when the task has none)
+ */
+function pickFieldMappingAttributes(task) {
+  if (typeof task !== "object" || task === null) {
+    return {};
+  }
+  return {
+    sprint: task.sprint ?? null,
+    components: task.components || null,
+    epic: task.epic || null,
+    fixVersion: task.fixVersion || null,
+    dueDate: task.dueDate || null,
+  };
+}
+
 /**
  * Create multiple Jira issues for tasks (both Coding and Non-Coding) from all participants
  * @param {Object} tasksData - Structured task data organized by participant
+ * @param {Object} jiraOptions - Per-team options ({ projectKey, participantMapping, defaultAssignee, jiraFieldMapping,
+ *   jiraFieldDiscovery }), usually built with getJiraOptionsForTeam - defaults to the single-team env config
  * @returns {Promise<Object>} Results of issue creation for all tasks
  */
-async function createJiraIssuesForCodingTasks(tasksData) {
+async function createJiraIssuesForCodingTasks(tasksData, jiraOptions = {}) {
   const startTime = Date.now();
   
   try {
@@ -636,6 +1037,10 @@ async function createJiraIssuesForCodingTasks(tasksData) {
       timestamp: new Date().toISOString(),
     });
 
+    // Assignees resolve through the participant directory (non-fatal, falls back to the static mapping)
+    const { refreshParticipantDirectory } = require("../core/participantDirectoryService");
+    await refreshParticipantDirectory();
+
     const results = {
       success: true,
       totalTasks: 0,
@@ -681,6 +1086,7 @@ async function createJiraIssuesForCodingTasks(tasksData) {
         const storyPoints = typeof task === "object" ? (task.storyPoints || null) : null;
         const projectCode = typeof task === "object" ? (task.projectCode || null) : null;
         const workType = typeof task === "object" ? (task.workType || "Task") : "Task";
+        const subTasks = typeof task === "object" ? (task.subTasks || []) : [];
         
         logger.info("Extracting task data for Jira issue creation (Coding)", {
           participant,
@@ -699,7 +1105,11 @@ async function createJiraIssuesForCodingTasks(tasksData) {
           const taskTitle = task.title || taskDescription.substring(0, 50).replace(/[^\w\s]/g, "").trim() || "Untitled Task";
           
           // Get the appropriate Jira assignee for this participant (null for future plans)
-          const jiraAssignee = isFuturePlan ? null : getJiraAssigneeForParticipant(participant);
+          const jiraAssignee = isFuturePlan ? null : getJiraAssigneeForParticipant(
+            participant,
+            jiraOptions.participantMapping,
+            jiraOptions.defaultAssignee
+          );
           
           // Create the Jira issue
           const issueResult = await createJiraIssue({
@@ -711,10 +1121,17 @@ async function createJiraIssuesForCodingTasks(tasksData) {
             workType: workType,
             isFuturePlan: isFuturePlan,
             priority: priority,
-            estimatedTime: estimatedTime,
+            // Jira adds sub-task estimates up into the parent's, so a split task keeps none of its own
+            estimatedTime: subTasks.some(subTask => subTask.estimatedTime > 0) ? 0 : estimatedTime,
             storyPoints: storyPoints,
             projectCode: projectCode,
-          });
+            transcriptSource: task.transcriptSource || null,
+            ...pickFieldMappingAttributes(task),
+          }, jiraOptions);
+
+          if (issueResult.success && subTasks.length > 0) {
+            issueResult.subTasks = await createJiraSubTasks(issueResult, subTasks, jiraOptions);
+          }
 
           if (issueResult.success) {
             participantResults.createdIssues.push(issueResult);
@@ -760,6 +1177,7 @@ async function createJiraIssuesForCodingTasks(tasksData) {
         const storyPoints = typeof task === "object" ? (task.storyPoints || null) : null;
         const projectCode = typeof task === "object" ? (task.projectCode || null) : null;
         const workType = typeof task === "object" ? (task.workType || "Task") : "Task";
+        const subTasks = typeof task === "object" ? (task.subTasks || []) : [];
         
         logger.info("Extracting task data for Jira issue creation (Non-Coding)", {
           participant,
@@ -778,7 +1196,11 @@ async function createJiraIssuesForCodingTasks(tasksData) {
           const taskTitle = task.title || taskDescription.substring(0, 50).replace(/[^\w\s]/g, "").trim() || "Untitled Task";
           
           // Get the appropriate Jira assignee for this participant (null for future plans)
-          const jiraAssignee = isFuturePlan ? null : getJiraAssigneeForParticipant(participant);
+          const jiraAssignee = isFuturePlan ? null : getJiraAssigneeForParticipant(
+            participant,
+            jiraOptions.participantMapping,
+            jiraOptions.defaultAssignee
+          );
           
           // Create the Jira issue
           const issueResult = await createJiraIssue({
@@ -790,10 +1212,17 @@ async function createJiraIssuesForCodingTasks(tasksData) {
             workType: workType,
             isFuturePlan: isFuturePlan,
             priority: priority,
-            estimatedTime: estimatedTime,
+            // Jira adds sub-task estimates up into the parent's, so a split task keeps none of its own
+            estimatedTime: subTasks.some(subTask => subTask.estimatedTime > 0) ? 0 : estimatedTime,
             storyPoints: storyPoints,
             projectCode: projectCode,
-          });
+            transcriptSource: task.transcriptSource || null,
+            ...pickFieldMappingAttributes(task),
+          }, jiraOptions);
+
+          if (issueResult.success && subTasks.length > 0) {
+            issueResult.subTasks = await createJiraSubTasks(issueResult, subTasks, jiraOptions);
+          }
 
           if (issueResult.success) {
             participantResults.createdIssues.push(issueResult);
@@ -843,7 +1272,11 @@ async function createJiraIssuesForCodingTasks(tasksData) {
       totalNonCodingTasks: results.totalNonCodingTasks,
       successfulIssues: results.createdIssues.length,
       failedIssues: results.failedIssues.length,
+      subTasksCreated: results.createdIssues
+        .reduce((total, issue) => total + (issue.subTasks || []).filter(subTask => subTask.success).length, 0),
       participantCount: results.participants.length,
+      issuesWithValidationErrors: [...results.createdIssues, ...results.failedIssues]
+        .filter(issue => issue.validationErrors && issue.validationErrors.length > 0).length,
     };
 
     logger.info("Jira issue creation completed", {
@@ -886,7 +1319,7 @@ async function createJiraIssuesForCodingTasks(tasksData) {
  * Update a Jira issue (both status and description)
  * @param {string} issueKey - The issue key (e.g., "TDS-123")
  * @param {Object} updateData - Update data containing status and/or description
- * @param {string} updateData.status - New status (optional, will be mapped: "In-progress" → "in-progress", "Completed" → "done")
+ * @param {string} updateData.status - New task status (optional, mapped through config/jiraStatusMapping.js)
  * @param {string} updateData.description - New description (optional, complete replacement)
  * @returns {Promise<Object>} Update result with success status for each operation
  */
@@ -900,21 +1333,14 @@ async function updateJiraIssue(issueKey, updateData) {
   };
   
   try {
-    // Map MongoDB status to Jira status
-    const statusMapping = {
-      "In-progress": "in-progress",
-      "Completed": "done",
-    };
-    
-    // Update status if provided
+    // Update status if provided (task statuses are mapped to the team's Jira workflow by transitionIssueToStatus)
     if (updateData.status !== undefined) {
-      const jiraStatus = statusMapping[updateData.status] || updateData.status;
-      const statusSuccess = await transitionIssueToStatus(issueKey, jiraStatus);
+      const statusSuccess = await transitionIssueToStatus(issueKey, updateData.status);
       result.statusUpdated = statusSuccess;
       
       if (!statusSuccess) {
         result.success = false;
-        result.errors.push(`Failed to update status to ${jiraStatus}`);
+        result.errors.push(`Failed to update status to ${updateData.status}`);
       }
     }
     
@@ -952,6 +1378,360 @@ async function updateJiraIssue(issueKey, updateData) {
   }
 }
 
+/**
+ * Get the comments on a Jira issue
+ * @param {string} issueKey - The issue key (e.g., "TDS-123")
+ * @returns {Promise<Array<Object>>} Comments ({ id, body, author, created }), oldest first
+ */
+async function getJiraIssueComments(issueKey) {
+  const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+  if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+    throw new Error("Missing required Jira environment variables for comments");
+  }
+
+  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+  const comments = [];
+  let startAt = 0;
+  let total = Infinity;
+
+  while (startAt < total) {
+    const response = await axios.get(
+      `${JIRA_URL.trim()}/rest/api/2/issue/${issueKey}/comment?startAt=${startAt}&maxResults=100`,
+      {
+        headers: {
+          "Authorization": `Basic ${auth}`,
+          "Accept": "application/json",
+        },
+        timeout: 10000,
+      }
+    );
+    const page = response.data.comments || [];
+    comments.push(...page);
+    total = response.data.total ?? comments.length;
+    if (page.length === 0) break;
+    startAt += page.length;
+  }
+
+  return comments;
+}
+
+/**
+ * Add a comment to a Jira issue
+ * With a dedupe marker the comment is only posted if no existing comment contains the marker,
+ * so the same transcript evidence isn't posted again when a transcript is reprocessed.
+ * @param {string} issueKey - The issue key (e.g., "TDS-123")
+ * @param {string} body - Comment body (Jira wiki markup)
+ * @param {Object} options - Options: dedupeMarker (text identifying the comment, included in the body)
+ * @returns {Promise<Object>} { success, added, skipped, commentId, error }
+ */
+async function addJiraComment(issueKey, body, options = {}) {
+  try {
+    const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+    if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+      logger.error("Missing required Jira environment variables for comment");
+      return { success: false, added: false, skipped: false, commentId: null, error: "Jira is not configured" };
+    }
+
+    if (options.dedupeMarker) {
+      const comments = await getJiraIssueComments(issueKey);
+      const existing = comments.find(comment => String(comment.body || "").includes(options.dedupeMarker));
+      if (existing) {
+        logger.info("Jira comment already posted, skipping", {
+          issueKey,
+          dedupeMarker: options.dedupeMarker,
+          commentId: existing.id,
+        });
+        return { success: true, added: false, skipped: true, commentId: existing.id, error: null };
+      }
+    }
+
+    const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+    const response = await axios.post(
+      `${JIRA_URL.trim()}/rest/api/2/issue/${issueKey}/comment`,
+      { body },
+      {
+        headers: {
+          "Authorization": `Basic ${auth}`,
+          "Accept": "application/json",
+          "Content-Type": "application/json",
+        },
+        timeout: 10000,
+      }
+    );
+
+    logger.info("Jira comment added", { issueKey, commentId: response.data?.id });
+    return { success: true, added: true, skipped: false, commentId: response.data?.id || null, error: null };
+
+  } catch (error) {
+    logger.error("Failed to add Jira comment", {
+      issueKey,
+      error: error.message,
+      status: error.response?.status,
+      responseData: error.response?.data,
+    });
+    return { success: false, added: false, skipped: false, commentId: null, error: error.message };
+  }
+}
+
+/**
+ * Comment the transcript evidence behind a status change or description update on a Jira issue
+ * Posted once per issue, transcript and kind (see buildJiraEvidenceComment).
+ * @param {string} issueKey - The issue key (e.g., "TDS-123")
+ * @param {Object} change - { kind: "status" | "updated", speaker, evidence, newStatus, sourceRanges }
+ * @param {Object} transcriptMetadata - { transcriptId, meetingSubject, targetDate, meetingStartTime }
+ * @returns {Promise<Object|null>} Result of addJiraComment, or null when there is no evidence to quote
+ */
+async function addJiraEvidenceComment(issueKey, change, transcriptMetadata = {}) {
+  const comment = buildJiraEvidenceComment(change, transcriptMetadata);
+  if (!comment) return null;
+
+  return addJiraComment(issueKey, comment.body, { dedupeMarker: comment.marker });
+}
+
+/**
+ * Get the worklogs on a Jira issue
+ * @param {string} issueKey - The issue key (e.g., "TDS-123")
+ * @returns {Promise<Array<Object>>} Worklogs ({ id, comment, timeSpentSeconds, started, author })
+ */
+async function getJiraIssueWorklogs(issueKey) {
+  const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+  if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+    throw new Error("Missing required Jira environment variables for worklogs");
+  }
+
+  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+  const worklogs = [];
+  let startAt = 0;
+  let total = Infinity;
+
+  while (startAt < total) {
+    const response = await axios.get(
+      `${JIRA_URL.trim()}/rest/api/2/issue/${issueKey}/worklog?startAt=${startAt}&maxResults=1000`,
+      {
+        headers: {
+          "Authorization": `Basic ${auth}`,
+          "Accept": "application/json",
+        },
+        timeout: 10000,
+      }
+    );
+    const page = response.data.worklogs || [];
+    worklogs.push(...page);
+    total = response.data.total ?? worklogs.length;
+    if (page.length === 0) break;
+    startAt += page.length;
+  }
+
+  return worklogs;
+}
+
+/**
+ * Format a date as a Jira worklog start time ("2026-10-19T09:30:00.000+0000")
+ * @param {Date} date - Start of the work
+ * @returns {string} Jira date-time
+ */
+function formatJiraWorklogStarted(date) {
+  return date.toISOString().replace("Z", "+0000");
+}
+
+/**
+ * Log time on a Jira issue
+ * With a dedupe marker the worklog is only added if no existing worklog comment contains the marker.
+ * @param {string} issueKey - The issue key (e.g., "TDS-123")
+ * @param {Object} worklog - { timeSpentSeconds, started (Date), comment }
+ * @param {Object} options - Options: dedupeMarker (text identifying the worklog, included in the comment)
+ * @returns {Promise<Object>} { success, added, skipped, worklogId, error }
+ */
+async function addJiraWorklog(issueKey, worklog, options = {}) {
+  try {
+    const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+    if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+      logger.error("Missing required Jira environment variables for worklog");
+      return { success: false, added: false, skipped: false, worklogId: null, error: "Jira is not configured" };
+    }
+
+    if (options.dedupeMarker) {
+      const worklogs = await getJiraIssueWorklogs(issueKey);
+      const existing = worklogs.find(entry => String(entry.comment || "").includes(options.dedupeMarker));
+      if (existing) {
+        logger.info("Jira worklog already logged, skipping", {
+          issueKey,
+          dedupeMarker: options.dedupeMarker,
+          worklogId: existing.id,
+        });
+        return { success: true, added: false, skipped: true, worklogId: existing.id, error: null };
+      }
+    }
+
+    const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+    // adjustEstimate=auto reduces the remaining estimate by the time logged
+    const response = await axios.post(
+      `${JIRA_URL.trim()}/rest/api/2/issue/${issueKey}/worklog?adjustEstimate=auto&notifyUsers=false`,
+      {
+        timeSpentSeconds: worklog.timeSpentSeconds,
+        started: formatJiraWorklogStarted(worklog.started),
+        comment: worklog.comment,
+      },
+      {
+        headers: {
+          "Authorization": `Basic ${auth}`,
+          "Accept": "application/json",
+          "Content-Type": "application/json",
+        },
+        timeout: 10000,
+      }
+    );
+
+    logger.info("Jira worklog added", {
+      issueKey,
+      worklogId: response.data?.id,
+      timeSpentSeconds: worklog.timeSpentSeconds,
+    });
+    return { success: true, added: true, skipped: false, worklogId: response.data?.id || null, error: null };
+
+  } catch (error) {
+    logger.error("Failed to add Jira worklog", {
+      issueKey,
+      error: error.message,
+      status: error.response?.status,
+      responseData: error.response?.data,
+    });
+    return { success: false, added: false, skipped: false, worklogId: null, error: error.message };
+  }
+}
+
+/**
+ * Log time spent said in a meeting on a Jira issue, on behalf of the speaker
+ * Jira records the API user as the worklog author, so the comment mentions the speaker's mapped Jira
+ * account. Logged once per issue and time spent statement (see getTimeSpentKey).
+ * @param {string} issueKey - The issue key (e.g., "TDS-123")
+ * @param {Object} entry - Time spent entry ({ hours, dayOffset, speaker, evidence, entryIndex })
+ * @param {Object} transcriptMetadata - { transcriptId, meetingSubject, targetDate, meetingStartTime }
+ * @param {Object} jiraOptions - Team options (see getJiraOptionsForTeam): participantMapping
+ * @returns {Promise<Object>} addJiraWorklog result plus { key, accountId, started }
+ */
+async function addJiraTimeSpentWorklog(issueKey, entry, transcriptMetadata = {}, jiraOptions = {}) {
+  const key = getTimeSpentKey(entry, transcriptMetadata);
+  const started = getTimeSpentStarted(entry, transcriptMetadata);
+  const accountId = getJiraAssigneeForParticipant(entry.speaker, jiraOptions.participantMapping, null);
+  const marker = `standup-worklog ${key}`;
+
+  const meeting = transcriptMetadata.meetingSubject || "standup";
+  const comment = [
+    `${accountId ? `[~accountid:${accountId}]` : entry.speaker} in ${meeting}: "${entry.evidence}"`,
+    `{color:#97a0af}${marker}{color}`,
+  ].join("\n");
+
+  const result = await addJiraWorklog(issueKey, {
+    timeSpentSeconds: Math.round(entry.hours * 3600),
+    started,
+    comment,
+  }, { dedupeMarker: marker });
+
+  return { ...result, key, accountId, started };
+}
+
+/**
+ * Get the issue links on a Jira issue
+ * @param {string} issueKey - The issue key (e.g., "TDS-123")
+ * @returns {Promise<Array<Object>>} Issue links ({ id, type, inwardIssue | outwardIssue })
+ */
+async function getJiraIssueLinks(issueKey) {
+  const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+  if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+    throw new Error("Missing required Jira environment variables for issue links");
+  }
+
+  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+  const response = await axios.get(
+    `${JIRA_URL.trim()}/rest/api/2/issue/${issueKey}?fields=issuelinks`,
+    {
+      headers: {
+        "Authorization": `Basic ${auth}`,
+        "Accept": "application/json",
+      },
+      timeout: 10000,
+    }
+  );
+
+  return response.data.fields?.issuelinks || [];
+}
+
+/**
+ * Link two Jira issues, reading "<fromKey> <outward description> <toKey>" (e.g. "TDS-198 blocks TDS-201")
+ * Nothing is created when the issues are already linked with this link type, in either direction.
+ * @param {string} fromKey - Issue the link type's outward description reads from
+ * @param {string} toKey - Issue the link type's inward description reads from
+ * @param {string} linkTypeName - Jira link type name ("Blocks", "Relates", "Duplicate", ...)
+ * @returns {Promise<Object>} { success, created, skipped, linkId, error }
+ */
+async function createJiraIssueLink(fromKey, toKey, linkTypeName) {
+  try {
+    const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+    if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+      logger.error("Missing required Jira environment variables for issue link");
+      return { success: false, created: false, skipped: false, linkId: null, error: "Jira is not configured" };
+    }
+
+    const links = await getJiraIssueLinks(fromKey);
+    const existing = links.find(link => includesJiraName(link.type?.name, [linkTypeName]) &&
+      [link.inwardIssue?.key, link.outwardIssue?.key].includes(toKey));
+    if (existing) {
+      logger.info("Jira issues already linked, skipping", { fromKey, toKey, linkTypeName, linkId: existing.id });
+      return { success: true, created: false, skipped: true, linkId: existing.id || null, error: null };
+    }
+
+    const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+    // The issueLink API reads the other way round: the link type's outward description
+    // ("blocks") applies to inwardIssue, so fromKey goes in inwardIssue
+    const response = await axios.post(
+      `${JIRA_URL.trim()}/rest/api/2/issueLink`,
+      {
+        type: { name: linkTypeName },
+        inwardIssue: { key: fromKey },
+        outwardIssue: { key: toKey },
+      },
+      {
+        headers: {
+          "Authorization": `Basic ${auth}`,
+          "Accept": "application/json",
+          "Content-Type": "application/json",
+        },
+        timeout: 10000,
+      }
+    );
+
+    // Jira answers 201 with no body; the link id is the last part of the Location header
+    const location = response.headers?.location || "";
+    const linkId = location ? location.split("/").pop() : null;
+    logger.info("Jira issue link created", { fromKey, toKey, linkTypeName, linkId });
+    return { success: true, created: true, skipped: false, linkId, error: null };
+
+  } catch (error) {
+    logger.error("Failed to create Jira issue link", {
+      fromKey,
+      toKey,
+      linkTypeName,
+      error: error.message,
+      status: error.response?.status,
+      responseData: error.response?.data,
+    });
+    return { success: false, created: false, skipped: false, linkId: null, error: error.message };
+  }
+}
+
+/**
+ * Create the Jira issue link for a task relationship, using the team's link type mapping
+ * @param {Object} link - { taskId, linkType, targetTaskId } (see ISSUE_LINK_TYPES)
+ * @param {Object} jiraOptions - Team options (see getJiraOptionsForTeam): teamId, jiraLinkTypeMapping
+ * @returns {Promise<Object>} createJiraIssueLink result plus { linkTypeName, fromKey, toKey }
+ */
+async function linkJiraIssues(link, jiraOptions = {}) {
+  const { name, fromKey, toKey } = resolveJiraIssueLink(link, getJiraLinkTypeMapping(jiraOptions));
+  const result = await createJiraIssueLink(fromKey, toKey, name);
+  return { ...result, linkTypeName: name, fromKey, toKey };
+}
+
 /**
  * Search Jira issues by title/summary to find tickets containing a specific ticket ID
  * @param {string} ticketId - The ticket ID to search for (e.g., "SP-456")
@@ -1019,15 +1799,262 @@ async function findJiraIssueByTitle(ticketId) {
   }
 }
 
+/**
+ * Predict the issue keys Jira would allocate for the next N issues (read-only)
+ * Jira assigns keys sequentially per project, so the latest created issue tells us where we are.
+ * The prediction can drift if someone else creates issues in between, so it is only meant for previews.
+ * @param {number} count - Number of keys to predict
+ * @param {string} projectKeyOverride - Team's Jira project key (optional, defaults to JIRA_PROJECT_KEY)
+ * @returns {Promise<Object>} Result with predicted keys and the latest existing key
+ */
+async function previewNextIssueKeys(count, projectKeyOverride = null) {
+  const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN, JIRA_PROJECT_KEY } = process.env;
+  const projectKey = projectKeyOverride || JIRA_PROJECT_KEY || "TDS";
+
+  if (count <= 0) {
+    return { success: true, predicted: true, projectKey, latestIssueKey: null, issueKeys: [] };
+  }
+
+  try {
+    if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+      throw new Error("Missing Jira credentials");
+    }
+
+    const trimmedJiraUrl = JIRA_URL.trim();
+    const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+
+    const response = await axios.get(`${trimmedJiraUrl}/rest/api/2/search`, {
+      headers: {
+        "Authorization": `Basic ${auth}`,
+        "Accept": "application/json",
+      },
+      params: {
+        jql: `project = ${projectKey} ORDER BY created DESC`,
+        maxResults: 1,
+        fields: "key"
+      },
+      timeout: 10000,
+    });
+
+    const latestIssueKey = response.data.issues?.[0]?.key || null;
+    const latestNumber = latestIssueKey ? parseInt(latestIssueKey.split("-").pop(), 10) || 0 : 0;
+    const issueKeys = [];
+
+    for (let i = 1; i <= count; i++) {
+      issueKeys.push(`${projectKey}-${latestNumber + i}`);
+    }
+
+    logger.info("Predicted next Jira issue keys", {
+      projectKey,
+      latestIssueKey,
+      count,
+      firstKey: issueKeys[0],
+      lastKey: issueKeys[issueKeys.length - 1]
+    });
+
+    return { success: true, predicted: true, projectKey, latestIssueKey, issueKeys };
+
+  } catch (error) {
+    logger.warn("Could not predict Jira issue keys, using placeholders", {
+      error: error.message,
+      status: error.response?.status
+    });
+
+    // Placeholders keep the plan readable even without Jira access
+    const issueKeys = [];
+    for (let i = 1; i <= count; i++) {
+      issueKeys.push(`${projectKey}-NEW-${i}`);
+    }
+
+    return { success: false, predicted: false, projectKey, latestIssueKey: null, issueKeys, error: error.message };
+  }
+}
+
+/**
+ * Map a Jira status back to a task status (reverse of the Jira status mapping)
+ * Mapped status names win, except that a mapped resolution refines generic done statuses (e.g. "Closed"
+ * resolved as "Won't Do").
+ * Otherwise the status category decides, so renamed or custom workflow statuses still map.
+ * @param {string} statusName - Jira status name (e.g. "In Review")
+ * @param {string} statusCategoryKey - Jira status category key ("new", "indeterminate" or "done")
+ * @param {Object} options - Options: statusMapping (defaults to the default team's), resolutionName
+ * @returns {string} Task status (one of TASK_STATUSES)
+ */
+function mapJiraStatusToTaskStatus(statusName, statusCategoryKey, options = {}) {
+  const statusMapping = options.statusMapping || getJiraStatusMapping();
+  const mappedStatus = getTaskStatusForJiraStatus(statusName, statusMapping);
+  const resolvedStatus = getTaskStatusForJiraResolution(options.resolutionName, statusMapping);
+  if (statusCategoryKey === "done" && resolvedStatus && (!mappedStatus || mappedStatus === "Completed")) {
+    return resolvedStatus;
+  }
+  if (mappedStatus) {
+    return mappedStatus;
+  }
+
+  if (statusCategoryKey === "done") {
+    return "Completed";
+  }
+  if (statusCategoryKey === "indeterminate") {
+    return "In-progress";
+  }
+  if (statusCategoryKey === "new") {
+    return "To-do";
+  }
+
+  // No category (unusual payloads) - fall back to the name
+  const lowerName = String(statusName || "").toLowerCase();
+  if (["done", "closed", "resolved", "complete", "completed"].includes(lowerName)) {
+    return "Completed";
+  }
+  if (lowerName.includes("review")) {
+    return "In Review";
+  }
+  if (lowerName.includes("progress")) {
+    return "In-progress";
+  }
+  return "To-do";
+}
+
+/**
+ * Reduce a Jira issue (REST search result or webhook payload) to the fields synced into the tasks collection
+ * @param {Object} issue - Jira issue with key and fields
+ * @returns {Object} { issueKey, title, description, status, jiraStatus, assigneeAccountId, assigneeName, priority,
+ *   dueDate, issueType, labels, updated }
+ */
+function normalizeJiraIssue(issue) {
+  const fields = issue.fields || {};
+  return {
+    issueKey: issue.key,
+    title: fields.summary || null,
+    description: typeof fields.description === "string" ? fields.description : null,
+    status: mapJiraStatusToTaskStatus(fields.status?.name, fields.status?.statusCategory?.key, {
+      statusMapping: getJiraStatusMapping(getTeamForIssueKey(issue.key)),
+      resolutionName: fields.resolution?.name,
+    }),
+    jiraStatus: fields.status?.name || null,
+    assigneeAccountId: fields.assignee?.accountId || null,
+    assigneeName: fields.assignee?.displayName || null,
+    priority: fields.priority?.name || null,
+    dueDate: fields.duedate || null,
+    issueType: fields.issuetype?.name || null,
+    labels: fields.labels || [],
+    updated: fields.updated || null,
+  };
+}
+
+/**
+ * Search for issues updated in the last N minutes
+ * Relative JQL ("-30m") avoids depending on the Jira user's timezone.
+ * @param {number} sinceMinutes - Look-back window in minutes
+ * @param {Array<string>} projectKeys - Jira projects to search (defaults to all registered teams' projects)
+ * @returns {Promise<Array<Object>>} Normalized issues (see normalizeJiraIssue), oldest update first
+ */
+async function searchRecentlyUpdatedIssues(sinceMinutes, projectKeys = getJiraProjectKeys()) {
+  const { JIRA_URL, JIRA_EMAIL, JIRA_API_TOKEN } = process.env;
+
+  if (!JIRA_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
+    throw new Error("Missing required Jira environment variables");
+  }
+
+  const trimmedJiraUrl = JIRA_URL.trim();
+  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString("base64");
+  const jql = `project in (${projectKeys.join(", ")}) AND updated >= -${Math.ceil(sinceMinutes)}m ORDER BY updated ASC`;
+  const pageSize = 100;
+  const issues = [];
+
+  try {
+    let startAt = 0;
+    let total = 0;
+    do {
+      const response = await axios.get(`${trimmedJiraUrl}/rest/api/2/search`, {
+        headers: {
+          "Authorization": `Basic ${auth}`,
+          "Accept": "application/json",
+        },
+        params: {
+          jql,
+          startAt,
+          maxResults: pageSize,
+          fields: "summary,status,resolution,assignee,priority,duedate,updated"
+        },
+        timeout: 15000,
+      });
+
+      const pageIssues = response.data.issues || [];
+      issues.push(...pageIssues.map(normalizeJiraIssue));
+      total = response.data.total || 0;
+      startAt += pageIssues.length;
+
+      if (pageIssues.length === 0) {
+        break;
+      }
+    } while (startAt < total);
+
+    logger.info("Fetched recently updated Jira issues", {
+      jql,
+      issueCount: issues.length
+    });
+
+    return issues;
+
+  } catch (error) {
+    logger.error("Failed to search recently updated Jira issues", {
+      jql,
+      error: error.message,
+      status: error.response?.status
+    });
+    throw new Error(`Jira search failed: ${error.message}`);
+  }
+}
+
+/**
+ * Build the Jira options for a team from the team registry
+ * @param {Object|null} team - Team config (null/undefined = single-team env config)
+ * @returns {Object} Options for createJiraIssuesForCodingTasks / createJiraIssue
+ */
+function getJiraOptionsForTeam(team) {
+  if (!team) {
+    return {};
+  }
+  return {
+    teamId: team.teamId,
+    projectKey: team.jiraProjectKey,
+    participantMapping: team.participantMapping,
+    defaultAssignee: team.defaultAssignee,
+    jiraFieldMapping: team.jiraFieldMapping,
+    jiraFieldDiscovery: team.jiraFieldDiscovery,
+    jiraLinkTypeMapping: team.jiraLinkTypeMapping,
+    subTaskIssueType: team.jiraSubTaskIssueType,
+  };
+}
+
 module.exports = {
   testJiraConnection,
   getProjectInfo,
   transitionIssueToStatus,
   createJiraIssue,
   createJiraIssuesForCodingTasks,
+  createJiraSubTasks,
   isJiraTicket,
   isMongoTicket,
   findJiraIssueByTitle,
   updateJiraIssueDescription,
   updateJiraIssue,
+  getJiraIssueComments,
+  addJiraComment,
+  addJiraEvidenceComment,
+  getJiraIssueWorklogs,
+  addJiraWorklog,
+  addJiraTimeSpentWorklog,
+  getJiraIssueLinks,
+  createJiraIssueLink,
+  linkJiraIssues,
+  previewNextIssueKeys,
+  getJiraOptionsForTeam,
+  getJiraCreateMeta,
+  resolveJiraFieldMapping,
+  buildMappedJiraFields,
+  mapJiraStatusToTaskStatus,
+  normalizeJiraIssue,
+  searchRecentlyUpdatedIssues,
 };
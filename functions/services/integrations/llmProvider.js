@@ -0,0 +1,177 @@
+/**
+ * LLM Provider Service
+ *
+ * Builds the LangChain chat and embedding models every pipeline service uses, for the provider
+ * configured in config/llmConfig.js (OpenAI, Azure OpenAI, an OpenAI-compatible local endpoint,
+ * or the offline fake). Services ask for a model here instead of constructing clients themselves,
+ * so switching provider or model is an environment change.
+ *
+ * Every model returned here records its token usage, latency and cost (see llmUsageService.js).
+ */
+
+const { ChatOpenAI, AzureChatOpenAI, OpenAIEmbeddings, AzureOpenAIEmbeddings } = require("@langchain/openai");
+const { getLLMConfig } = require("../../config/llmConfig");
+const { FakeChatModel, FakeEmbeddings } = require("./fakeLlmProvider");
+const { LLMUsageCallbackHandler, UsageTrackingEmbeddings } = require("./llmUsageService");
+
+// Load environment variables
+require("dotenv").config();
+
+/**
+ * Get the configured provider name
+ * @returns {string} "openai", "azure", "local" or "fake"
+ */
+function getLLMProviderName() {
+  return getLLMConfig().provider;
+}
+
+/**
+ * Get the configured chat model name (the deployment name on Azure)
+ * @returns {string} Model name
+ */
+function getChatModelName() {
+  const config = getLLMConfig();
+  return config.provider === "azure" ? config.azure.chatDeployment : config.chatModel;
+}
+
+/**
+ * Get the configured embedding model name
+ * @returns {string} Model name
+ */
+function getEmbeddingModelName() {
+  return getLLMConfig().embeddingModel;
+}
+
+/**
+ * Create a chat model
+ * @param {Object} options - { maxOutputTokens, reasoningEffort, verbosity, temperature, stage }
+ *   stage names the pipeline stage its calls are billed to when not inside withLLMStage()
+ * @returns {Object} LangChain chat model (supports invoke() and use in runnable sequences)
+ */
+function getChatModel(options = {}) {
+  const config = getLLMConfig();
+  const chatModel = createChatModel(config, options);
+
+  // Usage is priced by model name, which on Azure is LLM_CHAT_MODEL rather than the deployment
+  chatModel.callbacks = [new LLMUsageCallbackHandler({
+    provider: config.provider,
+    model: config.chatModel,
+    stage: options.stage,
+  })];
+  return chatModel;
+}
+
+/**
+ * Construct the chat model for the configured provider
+ * @param {Object} config - LLM configuration
+ * @param {Object} options - { maxOutputTokens, reasoningEffort, verbosity, temperature }
+ * @returns {Object} LangChain chat model
+ */
+function createChatModel(config, options) {
+  const { maxOutputTokens = 1000, reasoningEffort = "medium", verbosity = "medium", temperature } = options;
+
+  // Settings for OpenAI reasoning models; other endpoints may not accept them
+  const reasoningFields = {
+    max_output_tokens: maxOutputTokens,
+    reasoning: { effort: reasoningEffort },
+    verbosity,
+  };
+  const temperatureField = temperature === undefined ? {} : { temperature };
+
+  switch (config.provider) {
+  case "fake":
+    return new FakeChatModel({ responsesFile: config.fake.responsesFile, model: config.chatModel });
+
+  case "azure":
+    return new AzureChatOpenAI({
+      azureOpenAIApiKey: config.azure.apiKey,
+      azureOpenAIEndpoint: config.azure.endpoint,
+      azureOpenAIApiInstanceName: config.azure.instanceName,
+      azureOpenAIApiDeploymentName: config.azure.chatDeployment,
+      azureOpenAIApiVersion: config.azure.apiVersion,
+      ...reasoningFields,
+      ...temperatureField,
+    });
+
+  case "local":
+    if (!config.local.baseUrl) {
+      throw new Error("LLM_BASE_URL is required when LLM_PROVIDER=local");
+    }
+    return new ChatOpenAI({
+      modelName: config.chatModel,
+      apiKey: config.local.apiKey,
+      configuration: { baseURL: config.local.baseUrl },
+      maxTokens: maxOutputTokens,
+      ...temperatureField,
+    });
+
+  default:
+    return new ChatOpenAI({
+      modelName: config.chatModel,
+      apiKey: config.openai.apiKey,
+      ...reasoningFields,
+      ...temperatureField,
+    });
+  }
+}
+
+/**
+ * Create an embeddings model
+ * @param {Object} options - { stage } - pipeline stage its calls are billed to when not inside withLLMStage()
+ * @returns {Object} LangChain embeddings (embedQuery / embedDocuments)
+ */
+function getEmbeddings(options = {}) {
+  const config = getLLMConfig();
+
+  return new UsageTrackingEmbeddings({
+    embeddings: createEmbeddings(config),
+    provider: config.provider,
+    model: config.embeddingModel,
+    stage: options.stage,
+  });
+}
+
+/**
+ * Construct the embeddings model for the configured provider
+ * @param {Object} config - LLM configuration
+ * @returns {Object} LangChain embeddings
+ */
+function createEmbeddings(config) {
+  switch (config.provider) {
+  case "fake":
+    return new FakeEmbeddings({ dimensions: config.embeddingDimensions });
+
+  case "azure":
+    return new AzureOpenAIEmbeddings({
+      azureOpenAIApiKey: config.azure.apiKey,
+      azureOpenAIEndpoint: config.azure.endpoint,
+      azureOpenAIApiInstanceName: config.azure.instanceName,
+      azureOpenAIApiDeploymentName: config.azure.embeddingDeployment,
+      azureOpenAIApiVersion: config.azure.apiVersion,
+    });
+
+  case "local":
+    if (!config.local.baseUrl) {
+      throw new Error("LLM_BASE_URL is required when LLM_PROVIDER=local");
+    }
+    return new OpenAIEmbeddings({
+      model: config.embeddingModel,
+      apiKey: config.local.apiKey,
+      configuration: { baseURL: config.local.baseUrl },
+    });
+
+  default:
+    return new OpenAIEmbeddings({
+      model: config.embeddingModel,
+      apiKey: config.openai.apiKey,
+    });
+  }
+}
+
+module.exports = {
+  getLLMProviderName,
+  getChatModelName,
+  getEmbeddingModelName,
+  getChatModel,
+  getEmbeddings,
+};
@@ -0,0 +1,440 @@
+/**
+ * LLM Usage Service
+ *
+ * Records prompt and completion tokens, model, latency and cost for every chat and embedding call
+ * made through llmProvider.js, and totals them per pipeline run:
+ *
+ *   const { result, usage } = await runWithLLMUsageTracking(() => processTranscript(...));
+ *
+ * Calls are attributed to a stage ("task_finder", "task_creator", "meeting_notes", ...) - the
+ * innermost withLLMStage() around the call, else the stage the model was created for.
+ * Providers that report no usage (the fake provider, embeddings) get token counts estimated
+ * from text length, flagged with estimated: true. Costs come from getModelPricing().
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { BaseCallbackHandler } = require("@langchain/core/callbacks/base");
+const { Embeddings } = require("@langchain/core/embeddings");
+const { logger } = require("firebase-functions");
+const { getModelPricing } = require("../../config/llmConfig");
+
+const usageContext = new AsyncLocalStorage();
+
+// Rough tokens-per-character ratio for English text, used when a provider reports no usage
+const CHARS_PER_TOKEN = 4;
+
+const UNATTRIBUTED_STAGE = "unattributed";
+
+/**
+ * Create empty usage totals
+ * @returns {Object} Totals with zero counts
+ */
+function createUsageTotals() {
+  return {
+    calls: 0,
+    failedCalls: 0,
+    estimatedCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    latencyMs: 0,
+    costUsd: 0,
+  };
+}
+
+/**
+ * Create an empty usage summary
+ * @returns {Object} { ...totals, byStage, byModel, unpricedModels }
+ */
+function createUsageSummary() {
+  return { ...createUsageTotals(), byStage: {}, byModel: [], unpricedModels: [] };
+}
+
+/**
+ * Add one call (or another set of totals) to a set of totals
+ * @param {Object} totals - Totals to add to
+ * @param {Object} call - Call record or totals
+ */
+function addToTotals(totals, call) {
+  totals.calls += call.calls === undefined ? 1 : call.calls;
+  totals.failedCalls += call.calls === undefined ? (call.failed ? 1 : 0) : call.failedCalls;
+  totals.estimatedCalls += call.calls === undefined ? (call.estimated ? 1 : 0) : call.estimatedCalls;
+  totals.promptTokens += call.promptTokens || 0;
+  totals.completionTokens += call.completionTokens || 0;
+  totals.totalTokens += call.totalTokens || 0;
+  totals.latencyMs += call.latencyMs || 0;
+  totals.costUsd += call.costUsd || 0;
+}
+
+/**
+ * Add a call record to a usage summary
+ * @param {Object} summary - Usage summary
+ * @param {Object} call - Call record from recordLLMCall
+ */
+function addCallToSummary(summary, call) {
+  addToTotals(summary, call);
+
+  summary.byStage[call.stage] = summary.byStage[call.stage] || createUsageTotals();
+  addToTotals(summary.byStage[call.stage], call);
+
+  // Model names contain dots ("gpt-4.1"), so they are kept in a list rather than as keys
+  let modelTotals = summary.byModel.find(entry => entry.model === call.model && entry.kind === call.kind);
+  if (!modelTotals) {
+    modelTotals = { model: call.model, kind: call.kind, ...createUsageTotals() };
+    summary.byModel.push(modelTotals);
+  }
+  addToTotals(modelTotals, call);
+
+  if (call.costUsd === null && !summary.unpricedModels.includes(call.model)) {
+    summary.unpricedModels.push(call.model);
+  }
+}
+
+/**
+ * Round the costs in a usage summary for storage and display
+ * @param {Object} summary - Usage summary
+ * @returns {Object} Copy with costs rounded to 6 decimal places
+ */
+function roundUsageSummary(summary) {
+  const round = totals => ({ ...totals, costUsd: Math.round(totals.costUsd * 1e6) / 1e6 });
+  return {
+    ...round(summary),
+    byStage: Object.fromEntries(Object.entries(summary.byStage).map(([stage, totals]) => [stage, round(totals)])),
+    byModel: summary.byModel.map(round),
+    unpricedModels: [...summary.unpricedModels],
+  };
+}
+
+/**
+ * Estimate the token count of some text
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Work out the cost of a call
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+function calculateLLMCost(model, promptTokens, completionTokens) {
+  const pricing = getModelPricing(model);
+  if (!pricing) {
+    return null;
+  }
+  return (promptTokens * pricing.input + completionTokens * (pricing.output || 0)) / 1e6;
+}
+
+/**
+ * Record an LLM or embedding call against the active tracking runs
+ * @param {Object} call - { kind, provider, model, stage, promptTokens, completionTokens, latencyMs, estimated, failed }
+ * @returns {Object} Completed call record (totalTokens, costUsd and stage filled in)
+ */
+function recordLLMCall(call) {
+  const context = usageContext.getStore();
+  const promptTokens = call.promptTokens || 0;
+  const completionTokens = call.completionTokens || 0;
+
+  const record = {
+    kind: call.kind || "chat",
+    provider: call.provider,
+    model: call.model,
+    stage: (context && context.stage) || call.stage || UNATTRIBUTED_STAGE,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    latencyMs: Math.round(call.latencyMs || 0),
+    costUsd: calculateLLMCost(call.model, promptTokens, completionTokens),
+    estimated: Boolean(call.estimated),
+    failed: Boolean(call.failed),
+  };
+
+  logger.info("LLM call", record);
+
+  for (const summary of (context && context.summaries) || []) {
+    addCallToSummary(summary, record);
+  }
+  return record;
+}
+
+/**
+ * Run a function and total the LLM usage of every call it makes
+ * Runs can nest; calls count towards every enclosing run.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<Object>} { result, usage } - on failure the error gets error.llmUsage
+ */
+async function runWithLLMUsageTracking(fn) {
+  const parent = usageContext.getStore();
+  const summary = createUsageSummary();
+  const context = {
+    stage: parent ? parent.stage : null,
+    summaries: [...(parent ? parent.summaries : []), summary],
+  };
+
+  try {
+    const result = await usageContext.run(context, fn);
+    return { result, usage: roundUsageSummary(summary) };
+  } catch (error) {
+    error.llmUsage = roundUsageSummary(summary);
+    throw error;
+  }
+}
+
+/**
+ * Attribute the LLM calls a function makes to a pipeline stage
+ * @param {string} stage - Stage name
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} The function's result
+ */
+async function withLLMStage(stage, fn) {
+  const parent = usageContext.getStore();
+  return usageContext.run({ summaries: parent ? parent.summaries : [], stage }, fn);
+}
+
+/**
+ * Read the token counts from a chat model result
+ * @param {Object} output - LangChain LLMResult
+ * @returns {Object|null} { promptTokens, completionTokens } or null if the provider reported none
+ */
+function getReportedTokenUsage(output) {
+  const generations = (output && output.generations) || [];
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let reported = false;
+
+  for (const generation of generations.flat()) {
+    const usage = generation.message && generation.message.usage_metadata;
+    if (usage) {
+      promptTokens += usage.input_tokens || 0;
+      completionTokens += usage.output_tokens || 0;
+      reported = true;
+    }
+  }
+  if (reported) {
+    return { promptTokens, completionTokens };
+  }
+
+  const llmOutput = (output && output.llmOutput) || {};
+  const tokenUsage = llmOutput.tokenUsage || llmOutput.estimatedTokenUsage;
+  if (tokenUsage) {
+    return { promptTokens: tokenUsage.promptTokens || 0, completionTokens: tokenUsage.completionTokens || 0 };
+  }
+  return null;
+}
+
+/**
+ * Get the text of a prompt message
+ * @param {Object} message - LangChain message
+ * @returns {string} Text content
+ */
+function getMessageText(message) {
+  if (typeof message.content === "string") {
+    return message.content;
+  }
+  return (message.content || []).map(part => part.text || "").join("");
+}
+
+/**
+ * LangChain callback that records each chat model call
+ * Runs inline (awaited), so the call is attributed to the stage it was made in.
+ */
+class LLMUsageCallbackHandler extends BaseCallbackHandler {
+  /**
+   * @param {Object} fields - { provider, model, stage }
+   */
+  constructor(fields = {}) {
+    super({ _awaitHandler: true });
+    this.name = "llm_usage";
+    this.provider = fields.provider;
+    this.model = fields.model;
+    this.stage = fields.stage;
+    this.runs = new Map();
+  }
+
+  /**
+   * Note the start time and prompt size of a call
+   * @param {Object} llm - Serialized model
+   * @param {Array<Array<Object>>} messages - Prompt messages per generation
+   * @param {string} runId - LangChain run ID
+   */
+  async handleChatModelStart(llm, messages, runId) {
+    const promptText = messages.flat().map(getMessageText).join("\n");
+    this.runs.set(runId, { startedAt: Date.now(), promptText });
+  }
+
+  /**
+   * Record a completed call
+   * @param {Object} output - LangChain LLMResult
+   * @param {string} runId - LangChain run ID
+   */
+  async handleLLMEnd(output, runId) {
+    const run = this.runs.get(runId) || { startedAt: Date.now(), promptText: "" };
+    this.runs.delete(runId);
+
+    const reported = getReportedTokenUsage(output);
+    const generations = ((output && output.generations) || []).flat();
+    const completionText = generations.map(generation => generation.text || "").join("");
+
+    recordLLMCall({
+      kind: "chat",
+      provider: this.provider,
+      model: this.model,
+      stage: this.stage,
+      promptTokens: reported ? reported.promptTokens : estimateTokens(run.promptText),
+      completionTokens: reported ? reported.completionTokens : estimateTokens(completionText),
+      latencyMs: Date.now() - run.startedAt,
+      estimated: !reported,
+    });
+  }
+
+  /**
+   * Record a failed call (its prompt is usually still billed)
+   * @param {Error} error - Error
+   * @param {string} runId - LangChain run ID
+   */
+  async handleLLMError(error, runId) {
+    const run = this.runs.get(runId) || { startedAt: Date.now(), promptText: "" };
+    this.runs.delete(runId);
+
+    recordLLMCall({
+      kind: "chat",
+      provider: this.provider,
+      model: this.model,
+      stage: this.stage,
+      promptTokens: estimateTokens(run.promptText),
+      completionTokens: 0,
+      latencyMs: Date.now() - run.startedAt,
+      estimated: true,
+      failed: true,
+    });
+  }
+}
+
+/**
+ * Embeddings wrapper that records each embedding call
+ * OpenAI's embeddings client does not return usage, so tokens are always estimated.
+ */
+class UsageTrackingEmbeddings extends Embeddings {
+  /**
+   * @param {Object} fields - { embeddings, provider, model, stage }
+   */
+  constructor(fields = {}) {
+    super({});
+    this.embeddings = fields.embeddings;
+    this.provider = fields.provider;
+    this.model = fields.model;
+    this.stage = fields.stage;
+  }
+
+  /**
+   * Run an embedding call and record it
+   * @param {Array<string>} texts - Texts being embedded
+   * @param {Function} call - Function making the call
+   * @returns {Promise<*>} The call's result
+   */
+  async trackCall(texts, call) {
+    const startedAt = Date.now();
+    let failed = false;
+
+    try {
+      return await call();
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      recordLLMCall({
+        kind: "embedding",
+        provider: this.provider,
+        model: this.model,
+        stage: this.stage,
+        promptTokens: texts.reduce((sum, text) => sum + estimateTokens(text), 0),
+        latencyMs: Date.now() - startedAt,
+        estimated: true,
+        failed,
+      });
+    }
+  }
+
+  /**
+   * Embed one text
+   * @param {string} text - Text
+   * @returns {Promise<Array<number>>} Vector
+   */
+  async embedQuery(text) {
+    return this.trackCall([text], () => this.embeddings.embedQuery(text));
+  }
+
+  /**
+   * Embed several texts
+   * @param {Array<string>} texts - Texts
+   * @returns {Promise<Array<Array<number>>>} Vectors
+   */
+  async embedDocuments(texts) {
+    return this.trackCall(texts, () => this.embeddings.embedDocuments(texts));
+  }
+}
+
+/**
+ * Total the LLM usage of processed transcripts into a cost report
+ * @param {Array<Object>} records - Processed transcript records
+ *   ({ transcriptId, meetingId, meetingSubject, processedAt, llmUsage })
+ * @returns {Object} { totals, byDay, byMeeting, byStage } - byDay and byMeeting sorted, byStage by cost
+ */
+function buildLLMCostReport(records) {
+  const totals = createUsageTotals();
+  const byDay = {};
+  const byMeeting = {};
+  const byStage = {};
+  let transcripts = 0;
+
+  for (const record of records) {
+    const usage = record.llmUsage;
+    if (!usage) continue;
+    transcripts++;
+
+    addToTotals(totals, usage);
+
+    const day = new Date(record.processedAt).toISOString().split("T")[0];
+    byDay[day] = byDay[day] || { day, transcripts: 0, ...createUsageTotals() };
+    byDay[day].transcripts++;
+    addToTotals(byDay[day], usage);
+
+    const meetingKey = record.meetingId || record.transcriptId;
+    byMeeting[meetingKey] = byMeeting[meetingKey] || {
+      meetingId: record.meetingId || null,
+      meetingSubject: record.meetingSubject || "Unknown meeting",
+      transcripts: 0,
+      ...createUsageTotals(),
+    };
+    byMeeting[meetingKey].transcripts++;
+    addToTotals(byMeeting[meetingKey], usage);
+
+    for (const [stage, stageTotals] of Object.entries(usage.byStage || {})) {
+      byStage[stage] = byStage[stage] || { stage, ...createUsageTotals() };
+      addToTotals(byStage[stage], stageTotals);
+    }
+  }
+
+  const round = entry => ({ ...entry, costUsd: Math.round(entry.costUsd * 1e6) / 1e6 });
+  return {
+    totals: round({ transcripts, ...totals }),
+    byDay: Object.values(byDay).sort((a, b) => a.day.localeCompare(b.day)).map(round),
+    byMeeting: Object.values(byMeeting).sort((a, b) => b.costUsd - a.costUsd).map(round),
+    byStage: Object.values(byStage).sort((a, b) => b.costUsd - a.costUsd).map(round),
+  };
+}
+
+module.exports = {
+  LLMUsageCallbackHandler,
+  UsageTrackingEmbeddings,
+  runWithLLMUsageTracking,
+  withLLMStage,
+  recordLLMCall,
+  calculateLLMCost,
+  estimateTokens,
+  buildLLMCostReport,
+};
@@ -10,7 +10,6 @@
  * 6. Return structured task data with Zod validation
  */
 
-const OpenAI = require("openai");
 const {logger} = require("firebase-functions");
 const { validateLLMResponse, sanitizeLLMResponse } = require("../../schemas/taskSchemas");
 const { detectStatusChangesFromTranscript } = require("../utilities/statusChangeDetectionService");
@@ -18,17 +17,23 @@ const { detectAssignee, extractParticipantsFromDatabase } = require("../utilitie
 const { findTasksFromTranscript } = require("../pipeline/taskFinderService");
 const { identifyNewTasks } = require("../pipeline/taskCreatorService");
 const { updateExistingTasks } = require("../pipeline/taskUpdaterService");
+const { getChatModel, getChatModelName } = require("./llmProvider");
+const { runWithLLMUsageTracking, withLLMStage } = require("./llmUsageService");
+const {
+  runWithPromptTracking, getTrackedPromptVersions, pickPromptVersions
+} = require("../utilities/promptRegistry");
+const { locateTaskSources } = require("../utilities/transcriptSourceService");
 
 // Load environment variables
 require("dotenv").config();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Chat model from the configured LLM provider (lower temperature for more consistent results)
+const llm = getChatModel({ maxOutputTokens: 1000, temperature: 0.2, stage: "legacy_extraction" });
 
 /**
  * NEW: 3-Stage Pipeline - Process transcript using Task Finder, Creator, and Updater
+ * The prompt versions used are returned as promptVersions, and set on each new task and task update.
+ * Each new task and task update also gets the transcript ranges it was derived from (sourceRanges).
  * @param {Array} transcript - Array of transcript entries with speaker, startTime, endTime, text
  * @param {Array} existingTasks - Array of existing tasks for context (optional)
  * @param {Object} processingContext - Context for multi-transcript processing
@@ -36,128 +41,14 @@ const openai = new OpenAI({
  */
 async function processTranscriptForTasksWithPipeline(transcript, existingTasks = [], processingContext = {}) {
   try {
-    logger.info("Starting 3-Stage Pipeline Processing", {
-      entryCount: transcript.length,
-      existingTasksCount: existingTasks.length,
-      isMultiTranscript: Boolean(processingContext.isMultiTranscript),
-      transcriptIndex: processingContext.transcriptIndex || 1,
-      timestamp: new Date().toISOString(),
-    });
-
-    // STAGE 1: TASK FINDER - Extract all actionable tasks with detailed descriptions
-    logger.info("🔍 Stage 1: Task Finder - Extracting actionable tasks");
-    const taskFinderResult = await findTasksFromTranscript(transcript, processingContext);
-    
-    if (!taskFinderResult.success) {
-      throw new Error("Stage 1 (Task Finder) failed");
-    }
-    
-    const foundTasks = taskFinderResult.foundTasks;
-    logger.info("Stage 1 completed", {
-      tasksFound: foundTasks.length,
-      averageDescriptionLength: taskFinderResult.metadata.averageDescriptionLength
-    });
-
-    // STAGE 2: TASK CREATOR - Identify which tasks are genuinely new
-    logger.info("📝 Stage 2: Task Creator - Identifying new tasks with RAG");
-    console.log("[DEBUG openaiService] tasksToBeCreated:", taskFinderResult.tasksToBeCreated.map(t => ({
-      description: t.description.substring(0, 50),
-      workType: t.workType,
-      assignee: t.assignee
-    })));
-    const taskCreatorResult = await identifyNewTasks(
-      foundTasks, 
-      existingTasks, 
-      taskFinderResult.tasksToBeCreated, 
-      processingContext
-    );
-    
-    if (!taskCreatorResult.success) {
-      throw new Error("Stage 2 (Task Creator) failed");
-    }
-    
-    const newTasks = taskCreatorResult.newTasks;
-    const skippedTasks = foundTasks.filter(task => 
-      !newTasks.some(newTask => newTask.description === task.description)
-    );
-    
-    logger.info("Stage 2 completed", {
-      newTasksToCreate: newTasks.length,
-      ragEnhanced: newTasks.filter(t => t.ragEnhanced).length,
-      skippedTasks: skippedTasks.length
-    });
-
-    // STAGE 3: TASK UPDATER - Update existing tasks with new information
-    logger.info("🔄 Stage 3: Task Updater - Updating existing tasks with RAG");
-    const taskUpdaterResult = await updateExistingTasks(
-      foundTasks, 
-      skippedTasks, 
-      existingTasks, 
-      taskFinderResult.tasksToBeUpdated,
-      transcript, 
-      processingContext
+    const { result: trackedRun, usage } = await runWithLLMUsageTracking(() =>
+      runWithPromptTracking(() => runTaskPipelineStages(transcript, existingTasks, processingContext))
     );
-    
-    if (!taskUpdaterResult.success) {
-      throw new Error("Stage 3 (Task Updater) failed");
-    }
-    
-    logger.info("Stage 3 completed", {
-      taskUpdates: taskUpdaterResult.taskUpdates.length,
-      ragEnhancedUpdates: taskUpdaterResult.taskUpdates.filter(u => u.ragEnhanced).length,
-      statusChanges: taskUpdaterResult.statusChanges.length
-    });
-
-    // Convert pipeline results to legacy format for backward compatibility
-    const structuredTasks = convertPipelineResultsToLegacyFormat(
-      newTasks, 
-      taskUpdaterResult.taskUpdates
-    );
-
-    // Calculate pipeline statistics
-    const totalTasks = Object.values(structuredTasks).reduce((total, participant) => 
-      total + (participant.Coding?.length || 0) + (participant["Non-Coding"]?.length || 0), 0
-    );
-
-    const averageDescriptionLength = calculatePipelineAverageDescriptionLength(newTasks);
-    
-    logger.info("3-Stage Pipeline completed successfully", {
-      participantCount: Object.keys(structuredTasks).length,
-      totalTasks,
-      newTasks: newTasks.length,
-      taskUpdates: taskUpdaterResult.taskUpdates.length,
-      statusChanges: taskUpdaterResult.statusChanges.length,
-      averageDescriptionLength,
-      transcriptIndex: processingContext.transcriptIndex || 1,
-      qualityImprovement: averageDescriptionLength > 150 ? "high" : averageDescriptionLength > 100 ? "medium" : "low"
-    });
-
+    const { result, promptVersions } = trackedRun;
     return {
-      success: true,
-      tasks: structuredTasks,
-      attendees: taskFinderResult.attendees, // Add attendees from stage 1
-      statusChanges: taskUpdaterResult.statusChanges,
-      pipelineResults: {
-        stage1: taskFinderResult,
-        stage2: taskCreatorResult,
-        stage3: taskUpdaterResult
-      },
-      metadata: {
-        model: "3-stage-pipeline-rag",
-        stage1TokensUsed: taskFinderResult.metadata.tokensUsed,
-        processedAt: new Date().toISOString(),
-        participantCount: Object.keys(structuredTasks).length,
-        totalTasks,
-        newTasks: newTasks.length,
-        ragEnhancedNewTasks: newTasks.filter(t => t.ragEnhanced).length,
-        taskUpdates: taskUpdaterResult.taskUpdates.length,
-        ragEnhancedUpdates: taskUpdaterResult.taskUpdates.filter(u => u.ragEnhanced).length,
-        statusChanges: taskUpdaterResult.statusChanges.length,
-        averageDescriptionLength,
-        enhancementsApplied: true,
-        ragEnabled: true,
-        pipelineVersion: "1.0"
-      }
+      ...result,
+      promptVersions,
+      metadata: { ...result.metadata, tokensUsed: usage.totalTokens, llmUsage: usage, promptVersions }
     };
 
   } catch (error) {
@@ -165,13 +56,172 @@ async function processTranscriptForTasksWithPipeline(transcript, existingTasks =
       error: error.message,
       stack: error.stack,
       transcriptEntries: transcript.length,
-      processingContext
+      processingContext,
+      llmUsage: error.llmUsage
     });
     
     throw new Error(`3-Stage Pipeline processing failed: ${error.message}`);
   }
 }
 
+/**
+ * Run the Task Finder, Creator and Updater stages, billing each stage's LLM calls to it
+ * @param {Array} transcript - Array of transcript entries
+ * @param {Array} existingTasks - Array of existing tasks for context
+ * @param {Object} processingContext - Context for multi-transcript processing
+ * @returns {Promise<Object>} Pipeline result (see processTranscriptForTasksWithPipeline)
+ */
+async function runTaskPipelineStages(transcript, existingTasks, processingContext) {
+  logger.info("Starting 3-Stage Pipeline Processing", {
+    entryCount: transcript.length,
+    existingTasksCount: existingTasks.length,
+    isMultiTranscript: Boolean(processingContext.isMultiTranscript),
+    transcriptIndex: processingContext.transcriptIndex || 1,
+    timestamp: new Date().toISOString(),
+  });
+
+  // STAGE 1: TASK FINDER - Extract all actionable tasks with detailed descriptions
+  logger.info("🔍 Stage 1: Task Finder - Extracting actionable tasks");
+  const taskFinderResult = await withLLMStage("task_finder", () =>
+    findTasksFromTranscript(transcript, processingContext)
+  );
+  
+  if (!taskFinderResult.success) {
+    throw new Error("Stage 1 (Task Finder) failed");
+  }
+  
+  const foundTasks = taskFinderResult.foundTasks;
+  logger.info("Stage 1 completed", {
+    tasksFound: foundTasks.length,
+    averageDescriptionLength: taskFinderResult.metadata.averageDescriptionLength
+  });
+
+  // STAGE 2: TASK CREATOR - Identify which tasks are genuinely new
+  logger.info("📝 Stage 2: Task Creator - Identifying new tasks with RAG");
+  console.log("[DEBUG openaiService] tasksToBeCreated:", taskFinderResult.tasksToBeCreated.map(t => ({
+    description: t.description.substring(0, 50),
+    workType: t.workType,
+    assignee: t.assignee
+  })));
+  const taskCreatorResult = await withLLMStage("task_creator", () => identifyNewTasks(
+    foundTasks, 
+    existingTasks, 
+    taskFinderResult.tasksToBeCreated, 
+    processingContext
+  ));
+  
+  if (!taskCreatorResult.success) {
+    throw new Error("Stage 2 (Task Creator) failed");
+  }
+  
+  const newTasks = taskCreatorResult.newTasks;
+  const skippedTasks = foundTasks.filter(task => 
+    !newTasks.some(newTask => newTask.description === task.description)
+  );
+  
+  logger.info("Stage 2 completed", {
+    newTasksToCreate: newTasks.length,
+    ragEnhanced: newTasks.filter(t => t.ragEnhanced).length,
+    skippedTasks: skippedTasks.length
+  });
+
+  // STAGE 3: TASK UPDATER - Update existing tasks with new information
+  logger.info("🔄 Stage 3: Task Updater - Updating existing tasks with RAG");
+  const taskUpdaterResult = await withLLMStage("task_updater", () => updateExistingTasks(
+    foundTasks, 
+    skippedTasks, 
+    existingTasks, 
+    taskFinderResult.tasksToBeUpdated,
+    transcript, 
+    processingContext
+  ));
+  
+  if (!taskUpdaterResult.success) {
+    throw new Error("Stage 3 (Task Updater) failed");
+  }
+  
+  logger.info("Stage 3 completed", {
+    taskUpdates: taskUpdaterResult.taskUpdates.length,
+    ragEnhancedUpdates: taskUpdaterResult.taskUpdates.filter(u => u.ragEnhanced).length,
+    statusChanges: taskUpdaterResult.statusChanges.length
+  });
+
+  // Record which prompt versions produced each new task and task update
+  const stagePromptVersions = getTrackedPromptVersions();
+  newTasks.forEach(task => {
+    task.promptVersions = pickPromptVersions(stagePromptVersions, ["task_finder", "task_creator", "task_decomposer"]);
+  });
+  taskUpdaterResult.taskUpdates.forEach(update => {
+    update.promptVersions = pickPromptVersions(stagePromptVersions, ["task_finder", "task_updater"]);
+  });
+
+  // Record the transcript entries each new task and task update was derived from
+  newTasks.forEach(task => {
+    task.sourceRanges = locateTaskSources(task, transcript);
+  });
+  taskUpdaterResult.taskUpdates.forEach(update => {
+    update.sourceRanges = locateTaskSources(update, transcript);
+  });
+
+  // Convert pipeline results to legacy format for backward compatibility
+  const structuredTasks = convertPipelineResultsToLegacyFormat(
+    newTasks, 
+    taskUpdaterResult.taskUpdates
+  );
+
+  // Calculate pipeline statistics
+  const totalTasks = Object.values(structuredTasks).reduce((total, participant) => 
+    total + (participant.Coding?.length || 0) + (participant["Non-Coding"]?.length || 0), 0
+  );
+
+  const averageDescriptionLength = calculatePipelineAverageDescriptionLength(newTasks);
+  
+  logger.info("3-Stage Pipeline completed successfully", {
+    participantCount: Object.keys(structuredTasks).length,
+    totalTasks,
+    newTasks: newTasks.length,
+    taskUpdates: taskUpdaterResult.taskUpdates.length,
+    statusChanges: taskUpdaterResult.statusChanges.length,
+    averageDescriptionLength,
+    transcriptIndex: processingContext.transcriptIndex || 1,
+    qualityImprovement: averageDescriptionLength > 150 ? "high" : averageDescriptionLength > 100 ? "medium" : "low"
+  });
+
+  return {
+    success: true,
+    tasks: structuredTasks,
+    attendees: taskFinderResult.attendees, // Add attendees from stage 1
+    statusChanges: taskUpdaterResult.statusChanges,
+    timeSpent: taskUpdaterResult.timeSpent || [],
+    issueLinks: taskUpdaterResult.issueLinks || [],
+    pipelineResults: {
+      stage1: taskFinderResult,
+      stage2: taskCreatorResult,
+      stage3: taskUpdaterResult
+    },
+    metadata: {
+      model: "3-stage-pipeline-rag",
+      stage1TokensUsed: taskFinderResult.metadata.tokensUsed,
+      processedAt: new Date().toISOString(),
+      participantCount: Object.keys(structuredTasks).length,
+      totalTasks,
+      newTasks: newTasks.length,
+      ragEnhancedNewTasks: newTasks.filter(t => t.ragEnhanced).length,
+      taskUpdates: taskUpdaterResult.taskUpdates.length,
+      ragEnhancedUpdates: taskUpdaterResult.taskUpdates.filter(u => u.ragEnhanced).length,
+      statusChanges: taskUpdaterResult.statusChanges.length,
+      timeSpent: (taskUpdaterResult.timeSpent || []).length,
+      issueLinks: (taskUpdaterResult.issueLinks || []).length,
+      decomposedTasks: newTasks.filter(t => t.subTasks?.length > 0).length,
+      tasksWithDeadline: newTasks.filter(t => t.deadline).length,
+      averageDescriptionLength,
+      enhancementsApplied: true,
+      ragEnabled: true,
+      pipelineVersion: "1.0"
+    }
+  };
+}
+
 /**
  * LEGACY: Enhanced process transcript and extract tasks for each participant
  * @param {Array} transcript - Array of transcript entries with speaker, startTime, endTime, text
@@ -198,29 +248,23 @@ async function processTranscriptForTasks(transcript, existingTasks = []) {
     // Create the enhanced prompt for GPT
     const prompt = createEnhancedTaskExtractionPrompt(transcriptText, existingTasks, statusChanges);
     
-    // Call OpenAI GPT API with enhanced settings
-    const response = await openai.chat.completions.create({
-      model: "gpt-5-nano", 
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert meeting analyst who extracts actionable tasks from meeting transcripts. You have deep understanding of project context, task relationships, and can identify subtle references to existing work. You excel at extracting complete descriptions and detecting future plans."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.2, // Lower temperature for more consistent results
-      max_output_tokens: 1000, 
-      reasoning: { effort: 'medium' },
-      verbosity: "medium", 
-    });
+    // Call the LLM with enhanced settings
+    const response = await llm.invoke([
+      {
+        role: "system",
+        content: "You are an expert meeting analyst who extracts actionable tasks from meeting transcripts. You have deep understanding of project context, task relationships, and can identify subtle references to existing work. You excel at extracting complete descriptions and detecting future plans."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ]);
 
-    const gptResponse = response.choices[0].message.content;
+    const gptResponse = response.content;
+    const tokensUsed = response.usage_metadata?.total_tokens || 0;
     logger.info("Enhanced OpenAI response received", {
       responseLength: gptResponse.length,
-      tokensUsed: response.usage.total_tokens,
+      tokensUsed,
       statusChangesDetected: statusChanges.length,
     });
 
@@ -262,8 +306,8 @@ async function processTranscriptForTasks(transcript, existingTasks = []) {
       statusChanges,
       validationResult,
       metadata: {
-        model: "gpt-5-nano",
-        tokensUsed: response.usage.total_tokens,
+        model: getChatModelName(),
+        tokensUsed,
         processedAt: new Date().toISOString(),
         participantCount: Object.keys(enhancedTasks).length,
         totalTasks,
@@ -389,7 +433,7 @@ When found:
 - NEVER assign tasks for specific named people to TBD
 - TBD is ONLY for future plans, NOT for people who aren't present
 - If unclear assignee, assign to speaker of the task
-- Check against existing team members: ${Object.keys(require("../../config/participantMapping").PARTICIPANT_TO_JIRA_MAPPING || {}).join(", ")}
+- Check against existing team members: ${require("../../config/participantMapping").getAllParticipants().join(", ")}
 
 **4. STATUS CHANGE DETECTION (ENHANCED):**
 Pay attention to these patterns and use EXACT status values:
@@ -399,7 +443,10 @@ Pay attention to these patterns and use EXACT status values:
 - "I've been working on SP-XX" / "working on SP-XX" = STATUS: In-progress
 - "started SP-XX" / "begun SP-XX" = STATUS: In-progress
 - "SP-XX is now in progress" = STATUS: In-progress
-- CRITICAL: Status values must be EXACTLY: "To-do", "In-progress", "Completed" (case-sensitive)
+- "SP-XX is blocked on design" / "SP-XX is on hold" = STATUS: Blocked
+- "SP-XX is in review" / "opened a PR for SP-XX" = STATUS: In Review
+- "we won't do SP-XX" / "SP-XX was dropped/cancelled" = STATUS: Won't Do
+- CRITICAL: Status values must be EXACTLY: "To-do", "In-progress", "In Review", "Blocked", "Completed", "Won't Do" (case-sensitive)
 
 **5. DESCRIPTION UPDATE DETECTION (CRITICAL):**
 Look for these patterns to detect task description updates:
@@ -1112,6 +1159,12 @@ function convertPipelineResultsToLegacyFormat(newTasks, taskUpdates) {
       storyPoints: task.storyPoints || null,
       projectCode: task.projectCode || null,  // Preserve projectCode from Task Finder
       isFuturePlan: task.isFuturePlan || false,
+      promptVersions: task.promptVersions || {},
+      sourceRanges: task.sourceRanges || [],
+      issueLinks: task.issueLinks || [],
+      epic: task.epic || null,
+      subTasks: task.subTasks || [],
+      deadline: task.deadline || null,
       taskType: "NEW TASK",
       source: "pipeline_stage_1_2"
     });
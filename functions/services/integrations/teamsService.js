@@ -5,10 +5,13 @@
  * 1. Formatting standup summary with new and updated tasks per participant
  * 2. Sending formatted summary to Teams webhook
  * 3. Including task details (ticket ID, title, coding/non-coding classification)
+ *    and the transcript times each task came from
+ * 4. Flagging open tasks past their due date (daily overdue check)
  */
 
 const axios = require("axios");
 const {logger} = require("firebase-functions");
+const { formatTeamsSourceTimes } = require("../utilities/transcriptSourceService");
 
 // Load environment variables
 require("dotenv").config();
@@ -16,12 +19,13 @@ require("dotenv").config();
 /**
  * Send standup summary to Teams channel via webhook
  * @param {Object} summaryData - Summary data containing new and updated tasks per participant
- * @param {Object} metadata - Additional metadata (date, processing time, etc.)
+ * @param {Object} metadata - Additional metadata (date, processing time, etc.; webhookUrl overrides TEAMS_WEBHOOK_URL
+ *   for per-team channels)
  * @returns {Promise<Object>} Teams webhook result
  */
 async function sendStandupSummaryToTeams(summaryData, metadata = {}) {
   try {
-    const webhookUrl = process.env.TEAMS_WEBHOOK_URL;
+    const webhookUrl = metadata.webhookUrl || process.env.TEAMS_WEBHOOK_URL;
     
     if (!webhookUrl) {
       logger.warn("TEAMS_WEBHOOK_URL environment variable not set, skipping Teams notification");
@@ -113,6 +117,17 @@ async function sendStandupSummaryToTeams(summaryData, metadata = {}) {
   }
 }
 
+/**
+ * Format the transcript times a summary task came from
+ * @param {Object} task - Summary task with sourceRanges
+ * @param {Object} metadata - Summary metadata (transcriptId links the times)
+ * @returns {string} " - 🕒 01:02-01:45", or "" when the task has no transcript ranges
+ */
+function formatSourceSuffix(task, metadata) {
+  const times = formatTeamsSourceTimes(task.sourceRanges, metadata.transcriptId);
+  return times ? ` - ${times}` : "";
+}
+
 /**
  * Format standup summary according to the specified template
  * @param {Object} summaryData - Summary data with participant tasks
@@ -158,7 +173,9 @@ function formatStandupSummary(summaryData, metadata = {}) {
             const ticketId = task.ticketId || "SP-??";
             const title = task.title || task.description;
             const emoji = workType === "Bug" ? "🐛 " : "";
-            message += `${index + 1}. ${emoji}${ticketId}: ${title} (${taskType})\n`;
+            const due = task.dueDate ? ` - due ${task.dueDate}` : "";
+            const source = formatSourceSuffix(task, metadata);
+            message += `${index + 1}. ${emoji}${ticketId}: ${title} (${taskType})${due}${source}\n`;
           });
         }
         
@@ -169,7 +186,8 @@ function formatStandupSummary(summaryData, metadata = {}) {
             const taskType = task.type === "Coding" ? "Coding" : "Non-Coding";
             const ticketId = task.ticketId || "SP-XX";
             const title = task.title || task.description;
-            message += `${index + 1}. ${ticketId}: ${title} (${taskType})\n`;
+            const source = formatSourceSuffix(task, metadata);
+            message += `${index + 1}. ${ticketId}: ${title} (${taskType})${source}\n`;
           });
         }
         message += "\n";
@@ -184,7 +202,8 @@ function formatStandupSummary(summaryData, metadata = {}) {
       const planType = plan.type === "Coding" ? "Coding" : "Non-Coding";
       const ticketId = plan.ticketId || "SP-??";
       const title = plan.title || plan.description;
-      message += `${index + 1}. ${ticketId}: ${title} (${planType})\n`;
+      const source = formatSourceSuffix(plan, metadata);
+      message += `${index + 1}. ${ticketId}: ${title} (${planType})${source}\n`;
     });
     message += "\n";
   }
@@ -349,6 +368,106 @@ function generateSummaryDataFromTaskResult(taskResult, mongoResult = null) {
   }
 }
 
+/**
+ * Format overdue open tasks, grouped by assignee
+ * @param {Array<Object>} overdueTasks - Tasks with ticketId, title, participantName, status, dueDate, daysOverdue
+ * @returns {string} Formatted message for Teams
+ */
+function formatOverdueTasks(overdueTasks) {
+  const byParticipant = {};
+  for (const task of overdueTasks) {
+    const participantName = task.participantName || "Unassigned";
+    (byParticipant[participantName] = byParticipant[participantName] || []).push(task);
+  }
+
+  let message = "";
+  for (const [participantName, tasks] of Object.entries(byParticipant)) {
+    message += `**${participantName}:**\n`;
+    tasks.forEach((task, index) => {
+      const days = task.daysOverdue === 1 ? "1 day" : `${task.daysOverdue} days`;
+      const title = task.title || task.description;
+      message += `${index + 1}. ⏰ ${task.ticketId || "SP-??"}: ${title} - due ${task.dueDate}, ${days} overdue ` +
+        `(${task.status})\n`;
+    });
+    message += "\n";
+  }
+
+  message += "**Please update the due dates or statuses of these tasks in Jira.**";
+  return message;
+}
+
+/**
+ * Send the overdue open tasks of a team to its Teams channel
+ * @param {Object} report - { teamId, today, overdueTasks } (see overdueTaskService)
+ * @param {Object} metadata - { webhookUrl } overrides TEAMS_WEBHOOK_URL for per-team channels
+ * @returns {Promise<Object>} Teams webhook result
+ */
+async function sendOverdueTasksToTeams(report, metadata = {}) {
+  try {
+    const webhookUrl = metadata.webhookUrl || process.env.TEAMS_WEBHOOK_URL;
+
+    if (!webhookUrl) {
+      logger.warn("TEAMS_WEBHOOK_URL environment variable not set, skipping overdue task notification");
+      return {
+        success: false,
+        message: "Teams webhook URL not configured",
+        skipped: true
+      };
+    }
+
+    const formattedMessage = formatOverdueTasks(report.overdueTasks);
+    const teamsPayload = {
+      "@type": "MessageCard",
+      "@context": "https://schema.org/extensions",
+      "themeColor": "D83B01",
+      "summary": "Overdue Tasks",
+      "sections": [
+        {
+          "activityTitle": `⏰ Overdue Tasks (${report.overdueTasks.length})`,
+          "activitySubtitle": `Open tasks past their due date as of ${report.today}`,
+          "text": formattedMessage,
+          "markdown": true
+        }
+      ]
+    };
+
+    const response = await axios.post(webhookUrl, teamsPayload, {
+      headers: {
+        "Content-Type": "application/json",
+      },
+      timeout: 15000,
+    });
+
+    logger.info("Overdue tasks sent to Teams successfully", {
+      teamId: report.teamId,
+      overdueTasks: report.overdueTasks.length,
+      status: response.status,
+    });
+
+    return {
+      success: true,
+      status: response.status,
+      statusText: response.statusText,
+      messageLength: formattedMessage.length,
+      timestamp: new Date().toISOString(),
+    };
+
+  } catch (error) {
+    logger.error("Failed to send overdue tasks to Teams", {
+      teamId: report.teamId,
+      error: error.message,
+      status: error.response?.status,
+    });
+
+    return {
+      success: false,
+      error: error.message,
+      status: error.response?.status,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
 /**
  * Test Teams webhook connection
  * @returns {Promise<boolean>} True if webhook is reachable
@@ -407,5 +526,7 @@ module.exports = {
   sendStandupSummaryToTeams,
   formatStandupSummary,
   generateSummaryDataFromTaskResult,
+  formatOverdueTasks,
+  sendOverdueTasksToTeams,
   testTeamsWebhook,
 };
@@ -5,19 +5,15 @@
  * after task creation and updating is complete. 
  */
 
-const { ChatOpenAI } = require("@langchain/openai");
+const { getChatModel } = require("../integrations/llmProvider");
+const { renderPrompt } = require("../utilities/promptRegistry");
 const { logger } = require("firebase-functions");
 
 // Load environment variables
 require("dotenv").config();
 
-// Initialize OpenAI client using LangChain (same as other services)
-const llm = new ChatOpenAI({
-  modelName: "gpt-5-nano",
-  max_output_tokens: 2000,
-  reasoning: { effort: "medium" },
-  verbosity: "medium",
-});
+// Chat model from the configured LLM provider
+const llm = getChatModel({ maxOutputTokens: 2000, stage: "meeting_notes" });
 
 /**
  * Generate meeting notes from transcript and task processing results
@@ -90,18 +86,7 @@ async function generateMeetingNotes(transcript, createdTasks = [], updatedTasks
  * @returns {string} System prompt
  */
 function createMeetingNotesSystemPrompt() {
-  return "You are a professional meeting notes generator. Your role is to create comprehensive, " +
-    "well-structured meeting notes that capture the essence of the discussion and outcomes.\n\n" +
-    "**Your Expertise**:\n" +
-    "- Meeting documentation and summarization\n" +
-    "- Professional communication\n" +
-    "- Task and decision tracking\n" +
-    "- Clear, actionable writing\n\n" +
-    "**Your Approach**:\n" +
-    "- Analytical and thorough\n" +
-    "- Structured and organized\n" +
-    "- Professional tone\n" +
-    "- Focus on outcomes and decisions";
+  return renderPrompt("meeting_notes", "system");
 }
 
 /**
@@ -127,52 +112,12 @@ function createMeetingNotesPrompt(transcriptText, createdTasks, updatedTasks, at
       return (index + 1) + ". " + ticketId;
     }).join("\n") : "No existing tasks were updated.";
 
-  return "**OBJECTIVE**: Generate comprehensive meeting notes from this transcript and task processing results.\n\n" +
-    "**MEETING NOTES REQUIREMENTS**:\n\n" +
-    "**1. STRUCTURE**: Create well-organized meeting notes with clear sections:\n" +
-    "   - Meeting Summary\n" +
-    "   - Key Discussion Points\n" +
-    "   - Decisions Made\n" +
-    "   - Tasks Created\n" +
-    "   - Tasks Updated\n" +
-    "   - Next Steps/Action Items\n\n" +
-    "**2. MEETING SUMMARY**:\n" +
-    "   - Provide a concise 2-3 sentence overview of the meeting's main purpose and outcomes\n" +
-    "   - Capture the overall theme and key achievements\n\n" +
-    "**3. KEY DISCUSSION POINTS**:\n" +
-    "   - Summarize the main topics discussed during the meeting\n" +
-    "   - Include important technical details, requirements, or concerns raised\n" +
-    "   - Organize by topic or theme where appropriate\n" +
-    "   - Focus on substantive discussions, not casual conversation\n\n" +
-    "**4. DECISIONS MADE**:\n" +
-    "   - List any explicit decisions, approvals, or conclusions reached\n" +
-    "   - Include context for why decisions were made\n" +
-    "   - Note any alternatives that were considered and rejected\n\n" +
-    "**5. TASKS CREATED**:\n" +
-    "   - List all new tasks that were created with their ticket IDs and titles\n" +
-    "   - Include brief context about why each task was needed\n" +
-    "   - Format: \"SP-XXX: Task Title - Brief context\"\n\n" +
-    "**6. TASKS UPDATED**:\n" +
-    "   - List all existing tasks that were updated with their ticket IDs\n" +
-    "   - Note what type of updates were made (progress, completion, modifications)\n" +
-    "   - Format: \"SP-XXX - Update type/status\"\n\n" +
-    "**7. NEXT STEPS/ACTION ITEMS**:\n" +
-    "   - Identify any follow-up actions or future plans discussed\n" +
-    "   - Include timelines or deadlines if mentioned\n" +
-    "   - Note any dependencies or blockers\n\n" +
-    "**WRITING GUIDELINES**:\n" +
-    "- Use professional, clear language\n" +
-    "- Write in past tense (this meeting already happened)\n" +
-    "- Be concise but comprehensive\n" +
-    "- Use bullet points and numbered lists for clarity\n" +
-    "- Avoid verbatim quotes unless they capture important decisions\n" +
-    "- Focus on outcomes and actionable information\n\n" +
-    "**MEETING TRANSCRIPT**:\n" + transcriptText + "\n\n" +
-    "**TASKS CREATED DURING PROCESSING**:\n" + createdTasksText + "\n\n" +
-    "**TASKS UPDATED DURING PROCESSING**:\n" + updatedTasksText + "\n\n" +
-    "**MEETING ATTENDEES**: " + (attendees || "Not specified") + "\n\n" +
-    "**YOUR RESPONSE**: Generate comprehensive meeting notes following the structure and requirements above. " +
-    "Make the notes professional, actionable, and valuable for future reference.";
+  return renderPrompt("meeting_notes", "user", {
+    transcript: transcriptText,
+    createdTasks: createdTasksText,
+    updatedTasks: updatedTasksText,
+    attendees: attendees || "Not specified"
+  });
 }
 
 /**
@@ -11,19 +11,31 @@
  * - Domain: Scrum
  */
 
-const { ChatOpenAI } = require("@langchain/openai");
 const { logger } = require("firebase-functions");
+const { getChatModel } = require("../integrations/llmProvider");
+const { renderPrompt } = require("../utilities/promptRegistry");
+const { detectIssueLinksForTask } = require("../utilities/issueLinkService");
+const { findDeadlineExpression } = require("../utilities/dueDateService");
+const { decomposeTask } = require("./taskDecompositionService");
+const { normalizeTaskId } = require("../utilities/statusChangeDetectionService");
 
 // Load environment variables
 require("dotenv").config();
 
-// Initialize OpenAI client using LangChain (same as transcript-chat)
-const llm = new ChatOpenAI({
-  modelName: 'gpt-5-nano',
-  max_output_tokens: 1000,
-  reasoning: { effort: 'medium' },
-  verbosity: "medium",
-});
+// Chat model from the configured LLM provider (similarity decisions)
+const llm = getChatModel({ maxOutputTokens: 500, stage: "task_creator" });
+
+// Existing tasks at least this similar to a new task are checked for a relationship (see findTaskIssueLinks)
+const RELATED_TASK_THRESHOLD = 0.8;
+
+// RELATIONSHIP answers of the creation decision prompt → task relationship (see ISSUE_LINK_TYPES)
+const DECISION_RELATIONSHIPS = {
+  DUPLICATES: "duplicates",
+  FOLLOW_UP_OF: "follow-up of",
+  DEPENDS_ON: "is blocked by",
+  BLOCKS: "blocks",
+  RELATES_TO: "relates to",
+};
 
 /**
  * Stage 2: Identify which found tasks are genuinely new and enrich them with RAG
@@ -77,6 +89,13 @@ async function identifyNewTasks(foundTasks, existingTasks, tasksToBeCreated, con
         type: taskToCreate.type
       });
 
+      // Relationships to existing tickets, said in the evidence or judged from similar tasks
+      const issueLinks = await findTaskIssueLinks(taskToCreate, context);
+      // Large tasks: parent epic, sub-tasks and the estimates rolled up from them
+      const decomposition = await decomposeTask(taskToCreate, context);
+      // Deadline as said ("by Thursday"); resolved to a dueDate against the meeting date by the task processor
+      const deadline = findDeadlineExpression(taskToCreate.urgency) || findDeadlineExpression(taskToCreate.evidence);
+
       try {
         // Use RAG to create rich task description with full context
         const ragResult = await taskRAG.createRichTaskDescription({
@@ -101,12 +120,17 @@ async function identifyNewTasks(foundTasks, existingTasks, tasksToBeCreated, con
             workType: taskToCreate.workType || 'Task',
             isFuturePlan: taskToCreate.isFuturePlan || false,
             evidence: taskToCreate.evidence,
+            sourceWindow: taskToCreate.sourceWindow || null,
             context: taskToCreate.context,
             urgency: taskToCreate.urgency,
             priority: taskToCreate.priority || null,
-            estimatedTime: taskToCreate.estimatedTime || 0,
-            storyPoints: taskToCreate.storyPoints || null,
+            estimatedTime: decomposition.estimatedTime,
+            storyPoints: decomposition.storyPoints,
             projectCode: taskToCreate.projectCode || null,
+            issueLinks,
+            epic: decomposition.epic,
+            subTasks: decomposition.subTasks,
+            deadline,
             ragEnhanced: true,
             ragConfidence: ragResult.confidence,
             ragSources: ragResult.ragSources || [],
@@ -164,13 +188,18 @@ async function identifyNewTasks(foundTasks, existingTasks, tasksToBeCreated, con
             workType: taskToCreate.workType || 'Task',
             isFuturePlan: taskToCreate.isFuturePlan || false,
             evidence: taskToCreate.evidence,
+            sourceWindow: taskToCreate.sourceWindow || null,
             context: taskToCreate.context,
             urgency: taskToCreate.urgency,
             priority: taskToCreate.priority || null,
-            estimatedTime: taskToCreate.estimatedTime || 0,
-            storyPoints: taskToCreate.storyPoints || null,
+            estimatedTime: decomposition.estimatedTime,
+            storyPoints: decomposition.storyPoints,
             projectCode: taskToCreate.projectCode || null,
             timeSpent: taskToCreate.timeSpent || 0,
+            issueLinks,
+            epic: decomposition.epic,
+            subTasks: decomposition.subTasks,
+            deadline,
             ragEnhanced: false,
             ragError: ragResult.error,
             creationConfidence: 0.7,
@@ -211,12 +240,17 @@ async function identifyNewTasks(foundTasks, existingTasks, tasksToBeCreated, con
           workType: taskToCreate.workType || 'Task',
           isFuturePlan: taskToCreate.isFuturePlan || false,
           evidence: taskToCreate.evidence,
+          sourceWindow: taskToCreate.sourceWindow || null,
           context: taskToCreate.context,
           urgency: taskToCreate.urgency,
           priority: taskToCreate.priority || null,
-          estimatedTime: taskToCreate.estimatedTime || 0,
-          storyPoints: taskToCreate.storyPoints || null,
+          estimatedTime: decomposition.estimatedTime,
+          storyPoints: decomposition.storyPoints,
           projectCode: taskToCreate.projectCode || null,
+          issueLinks,
+          epic: decomposition.epic,
+          subTasks: decomposition.subTasks,
+          deadline,
           ragEnhanced: false,
           ragError: error.message,
           creationConfidence: 0.5,
@@ -283,32 +317,13 @@ async function identifyNewTasks(foundTasks, existingTasks, tasksToBeCreated, con
  * @returns {string} System prompt
  */
 function createTaskCreatorSystemPrompt(context) {
-  const roleDescription = `You are a Task Creator with the following identity:
-
-**Role Identity**: Task Creator
-- **Epistemic stance**: Systematic
-- **Communication style**: Clear, concise, structured, neutral
-- **Values and priorities**: Clarity, efficiency
-- **Domain orientation**: Scrum
-
-**Constraints**:
-- Avoid prescriptive solutions and speculative or vague language
-- Focus on structured and transparent framing of work items
-- Maintain neutrality in all decisions
-
-**Core Purpose**: Systematically define and frame work items with clarity and neutrality. Ensure tasks are understandable, efficient, and aligned without prescribing solutions or introducing ambiguity.`;
+  const multiTranscriptContext = context.isMultiTranscript ?
+    renderPrompt("task_creator", "multi_transcript", {
+      transcriptIndex: context.transcriptIndex,
+      totalTranscripts: context.totalTranscripts
+    }) : "";
 
-  let contextualAddition = "";
-  if (context.isMultiTranscript) {
-    contextualAddition = `
-
-**Multi-Transcript Context**:
-- This is transcript ${context.transcriptIndex} of ${context.totalTranscripts}
-- Make decisions based solely on the evidence provided
-- Focus on systematic analysis without speculation`;
-  }
-
-  return roleDescription + contextualAddition;
+  return renderPrompt("task_creator", "system", { multiTranscriptContext });
 }
 
 /**
@@ -319,54 +334,27 @@ function createTaskCreatorSystemPrompt(context) {
  * @returns {string} Decision prompt
  */
 function createTaskCreationDecisionPrompt(foundTask, similarTasks, context) {
-  const similarTasksList = similarTasks.map((task, index) => 
-    `${index + 1}. "${task.metadata.text}" (Similarity: ${(task.similarity * 100).toFixed(1)}%)`
-  ).join('\n');
-
-  return `
-**OBJECTIVE**: Determine if this found task should be created as a NEW task or if it's similar enough to existing tasks that it should NOT be created.
-
-**FOUND TASK TO ANALYZE**:
-- Description: "${foundTask.description}"
-- Assignee: ${foundTask.assignee}
-- Type: ${foundTask.type}
-- Evidence: "${foundTask.evidence}"
-
-**SIMILAR EXISTING TASKS**:
-${similarTasksList}
-
-**DECISION CRITERIA**:
-
-**CREATE NEW TASK if**:
-- The found task represents genuinely different work
-- The scope or requirements are substantially different
-- It's a new feature or component not covered by existing tasks
-- The approach or implementation differs significantly
-
-**DO NOT CREATE if**:
-- The task is essentially the same as an existing task
-- It's a minor variation that could be handled as an update
-- The work is already covered by an existing task's scope
-- It would create unnecessary duplication
-
-**ANALYSIS REQUIREMENTS**:
-1. Compare the SCOPE of work between found task and existing tasks
-2. Evaluate if the DELIVERABLES would be different
-3. Consider if this represents NEW work or refinement of existing work
-4. Assess if creating a separate task would improve or hinder project clarity
-
-**RESPONSE FORMAT**:
-DECISION: [CREATE_NEW/DO_NOT_CREATE]
-CONFIDENCE: [0.0-1.0]
-REASONING: [Clear explanation of decision based on analysis]
-
-**YOUR ANALYSIS**:`;
+  const similarTasksList = similarTasks.map((task, index) => {
+    const text = task.metadata ? task.metadata.text : `${task.title || ""}: ${task.description || ""}`;
+    const ticketId = task.ticketId || task.metadata?.taskId;
+    const similarity = `${(task.similarity * 100).toFixed(1)}%`;
+    return `${index + 1}. ${ticketId ? `${ticketId} ` : ""}"${text}" (Similarity: ${similarity})`;
+  }).join("\n");
+
+  return renderPrompt("task_creator", "decision", {
+    description: foundTask.description,
+    assignee: foundTask.assignee,
+    type: foundTask.type,
+    evidence: foundTask.evidence,
+    similarTasks: similarTasksList
+  });
 }
 
 /**
  * Parse GPT creation decision response
  * @param {string} response - GPT response
- * @returns {Object} Parsed decision
+ * @returns {Object} Parsed decision: { shouldCreate, confidence, reasoning, linkType, relatedTaskId }
+ *   (linkType and relatedTaskId are null without a relationship)
  */
 function parseCreationDecision(response) {
   try {
@@ -375,6 +363,8 @@ function parseCreationDecision(response) {
     let shouldCreate = true;
     let confidence = 0.5;
     let reasoning = "Unable to parse decision";
+    let linkType = null;
+    let relatedTaskId = null;
     
     for (const line of lines) {
       if (line.startsWith('DECISION:')) {
@@ -386,12 +376,23 @@ function parseCreationDecision(response) {
         if (confMatch) {
           confidence = Math.max(0, Math.min(1, parseFloat(confMatch[1])));
         }
+      } else if (line.startsWith("RELATIONSHIP:")) {
+        const relationship = line.replace("RELATIONSHIP:", "").trim().toUpperCase().replace(/[\s-]+/g, "_");
+        linkType = DECISION_RELATIONSHIPS[relationship.replace(/[^A-Z_]/g, "")] || null;
+      } else if (line.startsWith("RELATED_TASK:")) {
+        relatedTaskId = normalizeTaskId(line.replace("RELATED_TASK:", "").trim());
       } else if (line.startsWith('REASONING:')) {
         reasoning = line.replace('REASONING:', '').trim();
       }
     }
     
-    return { shouldCreate, confidence, reasoning };
+    return {
+      shouldCreate,
+      confidence,
+      reasoning,
+      linkType: relatedTaskId ? linkType : null,
+      relatedTaskId: linkType ? relatedTaskId : null
+    };
     
   } catch (error) {
     logger.error("Error parsing creation decision", {
@@ -402,11 +403,66 @@ function parseCreationDecision(response) {
     return {
       shouldCreate: true,
       confidence: 0.5,
-      reasoning: "Failed to parse decision, defaulting to create"
+      reasoning: "Failed to parse decision, defaulting to create",
+      linkType: null,
+      relatedTaskId: null
     };
   }
 }
 
+/**
+ * Find the relationships of a new task to existing tickets
+ * Relationships said in the task's evidence ("this depends on TDS-198") come first. Existing tasks similar
+ * to the new one are then run through the creation decision prompt, which names the closest one's
+ * relationship (a duplicate, a follow-up, ...). Only the run's team's tasks are searched, so tickets are never
+ * linked across teams. Similarity failures only lose the similarity links.
+ * @param {Object} taskToCreate - Task from the Task Finder
+ * @param {Object} context - Processing context (team or teamId selects the team, default team otherwise)
+ * @returns {Promise<Array<Object>>} Relationships with a null taskId (filled in once the task is created)
+ */
+async function findTaskIssueLinks(taskToCreate, context = {}) {
+  const issueLinks = detectIssueLinksForTask(taskToCreate);
+
+  try {
+    const { findSimilarTasksInMongoDB } = require("../storage/mongoEmbeddingService");
+    const teamId = context.team?.teamId || context.teamId || "default";
+    const similarTasks = (await findSimilarTasksInMongoDB(taskToCreate.description, {
+      assignee: taskToCreate.assignee,
+      type: taskToCreate.type
+    }, 3, RELATED_TASK_THRESHOLD, { teamId })).filter(task => task.ticketId);
+    if (similarTasks.length === 0) {
+      return issueLinks;
+    }
+
+    const response = await llm.invoke([
+      { role: "system", content: createTaskCreatorSystemPrompt(context) },
+      { role: "user", content: createTaskCreationDecisionPrompt(taskToCreate, similarTasks, context) }
+    ]);
+    const decision = parseCreationDecision(String(response.content || ""));
+    const relatedTask = similarTasks.find(task => normalizeTaskId(task.ticketId) === decision.relatedTaskId);
+
+    if (decision.linkType && relatedTask && !issueLinks.some(link => link.targetTaskId === decision.relatedTaskId)) {
+      issueLinks.push({
+        taskId: null,
+        linkType: decision.linkType,
+        targetTaskId: decision.relatedTaskId,
+        confidence: decision.confidence,
+        evidence: decision.reasoning,
+        speaker: taskToCreate.assignee || "Unknown",
+        similarity: relatedTask.similarity,
+        source: "similarity"
+      });
+    }
+  } catch (error) {
+    logger.warn("Related task check failed, keeping spoken issue links only", {
+      error: error.message,
+      taskDesc: (taskToCreate.description || "").substring(0, 100)
+    });
+  }
+
+  return issueLinks;
+}
+
 /**
  * Check if task description contains explicit task ID references
  * @param {string} description - Task description
@@ -549,6 +605,7 @@ module.exports = {
   parseCreationDecision,
   createTaskCreatorSystemPrompt,
   createTaskCreationDecisionPrompt,
+  findTaskIssueLinks,
   generateDetailedTaskDescription,
   generateEmbeddingsForNewTasks
 };
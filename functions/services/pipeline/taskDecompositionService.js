@@ -0,0 +1,189 @@
+/**
+ * Task Decomposition Service - part of Stage 2 (Task Creator)
+ *
+ * Large items mentioned in standups ("rebuild the billing export") would otherwise become one Jira task.
+ * When task decomposition is enabled (see config/taskDecomposition.js), a new task whose estimate or
+ * story points reach the configured size is:
+ * 1. Attached to the most similar existing epic (similarity search over tasks stored with workType "Epic")
+ * 2. Split into sub-tasks by the task_decomposer prompt, when the prompt finds separate deliverables
+ *
+ * Story points and estimates roll up: a split task's own values become the sums of its sub-tasks' values
+ * (its own values are kept when the sub-tasks carry none). Failures only lose the decomposition - the task
+ * is still created as a single issue.
+ */
+
+const { logger } = require("firebase-functions");
+const { getChatModel } = require("../integrations/llmProvider");
+const { renderPrompt } = require("../utilities/promptRegistry");
+const { normalizeTaskId } = require("../utilities/statusChangeDetectionService");
+const { getTaskDecompositionConfig } = require("../../config/taskDecomposition");
+const { getTeam } = require("../../config/teamRegistry");
+
+// Chat model from the configured LLM provider (sub-task splits)
+const llm = getChatModel({ maxOutputTokens: 800, stage: "task_creator" });
+
+/**
+ * Check whether a task is large enough to decompose
+ * @param {Object} task - Task from the Task Finder (estimatedTime in hours, storyPoints)
+ * @param {Object} settings - Decomposition settings (see getTaskDecompositionConfig)
+ * @returns {boolean} True if the estimate or story points reach the configured size
+ */
+function isLargeTask(task, settings) {
+  return (Number(task.estimatedTime) || 0) >= settings.minEstimatedHours ||
+    (Number(task.storyPoints) || 0) >= settings.minStoryPoints;
+}
+
+/**
+ * Parse the task_decomposer response
+ * @param {string} response - LLM response
+ * @param {number} maxSubTasks - Most sub-tasks kept
+ * @returns {Object} { decompose, subTasks: [{ title, description, estimatedTime, storyPoints }], reasoning }
+ */
+function parseDecomposition(response, maxSubTasks) {
+  let decompose = false;
+  let reasoning = "";
+  const subTasks = [];
+
+  for (const line of String(response || "").split("\n").map(text => text.trim())) {
+    if (line.startsWith("DECOMPOSE:")) {
+      decompose = /^YES\b/i.test(line.replace("DECOMPOSE:", "").trim());
+    } else if (line.startsWith("SUBTASK:")) {
+      const [title, hours, points, ...description] = line.replace("SUBTASK:", "").split("|").map(part => part.trim());
+      if (!title) continue;
+      const estimatedTime = parseFloat(hours);
+      const storyPoints = parseFloat(points);
+      subTasks.push({
+        title: title.replace(/^\[|\]$/g, ""),
+        description: description.join(" | ") || title,
+        estimatedTime: estimatedTime > 0 ? estimatedTime : 0,
+        storyPoints: storyPoints > 0 ? storyPoints : null
+      });
+    } else if (line.startsWith("REASONING:")) {
+      reasoning = line.replace("REASONING:", "").trim();
+    }
+  }
+
+  // A single sub-task is the task itself
+  const kept = decompose && subTasks.length >= 2 ? subTasks.slice(0, maxSubTasks) : [];
+  return { decompose: kept.length > 0, subTasks: kept, reasoning };
+}
+
+/**
+ * Roll sub-task story points and estimates up to their parent
+ * @param {Object} task - Parent task (estimatedTime, storyPoints)
+ * @param {Array<Object>} subTasks - Sub-tasks (estimatedTime, storyPoints)
+ * @returns {Object} { estimatedTime, storyPoints } - sums of the sub-tasks' values, or the parent's own
+ */
+function rollUpEstimates(task, subTasks) {
+  const hours = subTasks.reduce((total, subTask) => total + (subTask.estimatedTime || 0), 0);
+  const points = subTasks.reduce((total, subTask) => total + (subTask.storyPoints || 0), 0);
+  return {
+    estimatedTime: hours > 0 ? Math.round(hours * 100) / 100 : (task.estimatedTime || 0),
+    storyPoints: points > 0 ? points : (task.storyPoints || null)
+  };
+}
+
+/**
+ * Find the existing epic a task belongs to
+ * @param {Object} task - Task from the Task Finder
+ * Only the team's open epics are searched, so epics ranked below many ordinary tasks are still found.
+ * @param {Object} settings - Decomposition settings (epicThreshold)
+ * @param {string} teamId - Team whose epics are searched
+ * @returns {Promise<Object|null>} { ticketId, title, similarity } of the most similar epic, or null
+ */
+async function findParentEpic(task, settings, teamId) {
+  const { findSimilarTasksInMongoDB } = require("../storage/mongoEmbeddingService");
+  const { ACTIVE_TASK_STATUSES } = require("../storage/mongoService");
+  const [epic] = await findSimilarTasksInMongoDB(task.description, {
+    assignee: task.assignee,
+    type: task.type
+  }, 1, settings.epicThreshold, { teamId, workType: "Epic", statuses: ACTIVE_TASK_STATUSES });
+
+  return epic?.ticketId ?
+    { ticketId: normalizeTaskId(epic.ticketId), title: epic.title, similarity: epic.similarity } :
+    null;
+}
+
+/**
+ * Ask the task_decomposer prompt to split a task into sub-tasks
+ * @param {Object} task - Task from the Task Finder
+ * @param {Object} settings - Decomposition settings (maxSubTasks)
+ * @returns {Promise<Object>} Parsed decomposition (see parseDecomposition)
+ */
+async function splitTask(task, settings) {
+  const response = await llm.invoke([
+    { role: "system", content: renderPrompt("task_decomposer", "system") },
+    {
+      role: "user",
+      content: renderPrompt("task_decomposer", "user", {
+        description: task.description,
+        assignee: task.assignee,
+        type: task.type,
+        estimatedTime: task.estimatedTime || 0,
+        storyPoints: task.storyPoints || "unknown",
+        evidence: task.evidence || "",
+        maxSubTasks: settings.maxSubTasks
+      })
+    }
+  ]);
+  return parseDecomposition(String(response.content || ""), settings.maxSubTasks);
+}
+
+/**
+ * Decompose a large new task: attach it to an existing epic and split it into sub-tasks
+ * @param {Object} taskToCreate - Task from the Task Finder
+ * @param {Object} context - Processing context (team or teamId selects the team's settings)
+ * @returns {Promise<Object>} { epic, epicSimilarity, subTasks, estimatedTime, storyPoints } - epic is the
+ *   epic's ticket ID (or null), estimatedTime and storyPoints are rolled up from the sub-tasks
+ */
+async function decomposeTask(taskToCreate, context = {}) {
+  const undecomposed = {
+    epic: null,
+    epicSimilarity: null,
+    subTasks: [],
+    estimatedTime: taskToCreate.estimatedTime || 0,
+    storyPoints: taskToCreate.storyPoints || null
+  };
+
+  try {
+    const team = context.team || (context.teamId ? getTeam(context.teamId) : null);
+    const settings = getTaskDecompositionConfig(team);
+    if (!settings.enabled || !isLargeTask(taskToCreate, settings)) {
+      return undecomposed;
+    }
+
+    const epic = await findParentEpic(taskToCreate, settings, team?.teamId || "default");
+    const { subTasks, reasoning } = await splitTask(taskToCreate, settings);
+
+    logger.info("Decomposed large task", {
+      taskDesc: taskToCreate.description.substring(0, 100),
+      estimatedTime: taskToCreate.estimatedTime || 0,
+      storyPoints: taskToCreate.storyPoints || null,
+      epic: epic?.ticketId || null,
+      subTasks: subTasks.length,
+      reasoning
+    });
+
+    return {
+      epic: epic?.ticketId || null,
+      epicSimilarity: epic?.similarity || null,
+      subTasks,
+      ...rollUpEstimates(taskToCreate, subTasks)
+    };
+
+  } catch (error) {
+    logger.warn("Task decomposition failed, creating the task as a single issue", {
+      error: error.message,
+      taskDesc: (taskToCreate.description || "").substring(0, 100)
+    });
+    return undecomposed;
+  }
+}
+
+module.exports = {
+  isLargeTask,
+  parseDecomposition,
+  rollUpEstimates,
+  findParentEpic,
+  decomposeTask,
+};
@@ -11,22 +11,26 @@
  * - Domain: Task Recognition, Knowledge Structuring, Information Extraction
  */
 
-const { ChatOpenAI } = require("@langchain/openai");
+const { getChatModel } = require("../integrations/llmProvider");
+const { renderPrompt } = require("../utilities/promptRegistry");
+const {
+  getChunkingConfig,
+  chunkTranscript,
+  mapWithConcurrency,
+  mergeChunkResults,
+} = require("./transcriptChunker");
 const { logger } = require("firebase-functions");
 
 // Load environment variables
 require("dotenv").config();
 
-// Initialize OpenAI client using LangChain (same as transcript-chat)
-const llm = new ChatOpenAI({
-  modelName: 'gpt-5-nano',
-  max_output_tokens: 2000,
-  reasoning: { effort: 'medium' },
-  verbosity: "medium",
-});
+// Chat model from the configured LLM provider
+const llm = getChatModel({ maxOutputTokens: 2000, stage: "task_finder" });
 
 /**
  * Stage 1: Find all actionable tasks from transcript (Pure Extraction)
+ * Long transcripts are split into overlapping windows that are processed in parallel and merged
+ * (see transcriptChunker.js); their tasks carry the window they were found in as sourceWindow.
  * @param {Array} transcript - Array of transcript entries
  * @param {Object} context - Optional context for multi-transcript processing
  * @returns {Promise<Object>} Found tasks with detailed descriptions
@@ -51,55 +55,51 @@ async function findTasksFromTranscript(transcript, context = {}) {
 
     // Convert transcript to readable format
     const transcriptText = formatTranscriptForTaskFinding(transcript);
-    
-    // Create the task finding prompt with participant context
-    const prompt = createTaskFindingPrompt(transcriptText, context, participantsInMeeting);
-
-    logger.info("Stage 1: Task Finder prompt created", {
-      transcriptChars: transcriptText.length,
-      promptChars: prompt.length,
-      promptPreview: prompt.substring(0, 500)
-    });
-    console.log("[Finder] Prompt created", {
-      transcriptChars: transcriptText.length,
-      promptChars: prompt.length,
-      promptPreview: prompt.substring(0, 500)
-    });
-    
-    // Call OpenAI using LangChain (same as transcript-chat)
-    const systemMessage = createTaskFinderSystemPrompt(context);
-    const messages = [
-      { role: "system", content: systemMessage },
-      { role: "user", content: prompt }
-    ];
-    
-    const response = await llm.invoke(messages);
-    const gptResponse = response.content;
+    const windows = chunkTranscript(transcript);
+
+    let windowResults;
+    let merged;
+    if (windows.length === 1) {
+      windowResults = [{
+        window: windows[0],
+        ...(await findTasksInWindow(transcriptText, context, participantsInMeeting)),
+      }];
+      merged = { foundTasks: windowResults[0].foundTasks, attendees: windowResults[0].attendees, duplicatesMerged: 0 };
+    } else {
+      const { concurrency } = getChunkingConfig();
+      logger.info("Stage 1: Long transcript split into windows", {
+        windows: windows.length,
+        transcriptChars: transcriptText.length,
+        concurrency,
+        transcriptIndex: context.transcriptIndex || 1
+      });
 
-    logger.info("Stage 1: Task Finder raw response (preview)", {
-      responseChars: gptResponse ? gptResponse.length : 0,
-      responsePreview: gptResponse ? gptResponse.substring(0, 500) : undefined
-    });
-    console.log("[Finder] Raw response (preview)", {
-      responseChars: gptResponse ? gptResponse.length : 0,
-      responsePreview: gptResponse ? gptResponse.substring(0, 500) : undefined
-    });
-    logger.info("Stage 1: Task Finder response received", {
-      responseLength: gptResponse.length,
-      tokensUsed: response.usage_metadata?.total_tokens || 'unknown',
-      transcriptIndex: context.transcriptIndex || 1
-    });
-    console.log("[Finder] Response received", {
-      responseLength: gptResponse.length,
-      tokensUsed: response.usage_metadata?.total_tokens || 'unknown',
-      transcriptIndex: context.transcriptIndex || 1
-    });
+      windowResults = await mapWithConcurrency(windows, concurrency, async window => ({
+        window,
+        ...(await findTasksInWindow(formatTranscriptForTaskFinding(window.entries), {
+          ...context,
+          chunk: {
+            number: window.index + 1,
+            total: windows.length,
+            startTime: window.startTime || "start",
+            endTime: window.endTime || "end",
+          },
+        }, participantsInMeeting)),
+      }));
+
+      merged = mergeChunkResults(windowResults);
+      logger.info("Stage 1: Window results merged", {
+        windows: windows.length,
+        tasksFound: windowResults.reduce((sum, result) => sum + result.foundTasks.length, 0),
+        tasksAfterMerge: merged.foundTasks.length,
+        duplicatesMerged: merged.duplicatesMerged
+      });
+    }
 
-    // Parse the response into structured tasks with participant matching
-    const foundTasks = parseTaskFinderResponse(gptResponse, participantsInMeeting);
-    
-    // Extract attendees from the GPT response
-    const attendees = extractAttendeesFromResponse(gptResponse);
+    const { foundTasks, attendees } = merged;
+    const gptResponse = windowResults.map(result => result.gptResponse).join("\n\n");
+    const tokensUsed = windowResults.every(result => typeof result.tokensUsed === "number") ?
+      windowResults.reduce((sum, result) => sum + result.tokensUsed, 0) : "unknown";
     
     // Debug: Log the end of the GPT response to see if MEETING ATTENDEES section exists
     // console.log("[DEBUG] GPT Response ending (last 500 chars):", gptResponse.slice(-500));
@@ -142,7 +142,8 @@ async function findTasksFromTranscript(transcript, context = {}) {
       estimatedTime: task.estimatedTime || 0,
       storyPoints: task.storyPoints || null,
       projectCode: task.projectCode || null,
-      isFuturePlan: task.isFuturePlan
+      isFuturePlan: task.isFuturePlan,
+      sourceWindow: task.sourceWindow || null
     }));
 
     const tasksToBeUpdated = finalTasks.filter(task => task.category === 'UPDATE_TASK' && task.ticketId !== 'NONE').map(task => ({
@@ -155,6 +156,7 @@ async function findTasksFromTranscript(transcript, context = {}) {
       priority: task.priority,
       estimatedTime: task.estimatedTime || 0,
       storyPoints: task.storyPoints || null,
+      sourceWindow: task.sourceWindow || null
     }));
 
     // console.log("[DEBUG] Task Finder returning attendees:", attendees);
@@ -171,7 +173,9 @@ async function findTasksFromTranscript(transcript, context = {}) {
         tasksToBeCreated: tasksToBeCreated.length,
         tasksToBeUpdated: tasksToBeUpdated.length,
         averageDescriptionLength,
-        tokensUsed: response.usage_metadata?.total_tokens || 'unknown',
+        tokensUsed,
+        windows: windows.length,
+        duplicatesMerged: merged.duplicatesMerged,
         processedAt: new Date().toISOString(),
         transcriptIndex: context.transcriptIndex || 1
       },
@@ -190,69 +194,94 @@ async function findTasksFromTranscript(transcript, context = {}) {
   }
 }
 
+/**
+ * Run the Task Finder prompt on one transcript window (the whole transcript when it is short)
+ * @param {string} transcriptText - Formatted transcript text of the window
+ * @param {Object} context - Processing context (context.chunk describes the window of a long meeting)
+ * @param {Array<string>} participantsInMeeting - Participants of the whole meeting
+ * @returns {Promise<Object>} { foundTasks, attendees, gptResponse, tokensUsed }
+ */
+async function findTasksInWindow(transcriptText, context, participantsInMeeting) {
+  // Create the task finding prompt with participant context
+  const prompt = createTaskFindingPrompt(transcriptText, context, participantsInMeeting);
+
+  logger.info("Stage 1: Task Finder prompt created", {
+    transcriptChars: transcriptText.length,
+    promptChars: prompt.length,
+    promptPreview: prompt.substring(0, 500)
+  });
+  console.log("[Finder] Prompt created", {
+    transcriptChars: transcriptText.length,
+    promptChars: prompt.length,
+    promptPreview: prompt.substring(0, 500)
+  });
+  
+  // Call OpenAI using LangChain (same as transcript-chat)
+  const systemMessage = createTaskFinderSystemPrompt(context);
+  const messages = [
+    { role: "system", content: systemMessage },
+    { role: "user", content: prompt }
+  ];
+  
+  const response = await llm.invoke(messages);
+  const gptResponse = response.content;
+
+  logger.info("Stage 1: Task Finder raw response (preview)", {
+    responseChars: gptResponse ? gptResponse.length : 0,
+    responsePreview: gptResponse ? gptResponse.substring(0, 500) : undefined
+  });
+  console.log("[Finder] Raw response (preview)", {
+    responseChars: gptResponse ? gptResponse.length : 0,
+    responsePreview: gptResponse ? gptResponse.substring(0, 500) : undefined
+  });
+  logger.info("Stage 1: Task Finder response received", {
+    responseLength: gptResponse.length,
+    tokensUsed: response.usage_metadata?.total_tokens || 'unknown',
+    transcriptIndex: context.transcriptIndex || 1,
+    window: context.chunk ? context.chunk.number : 1
+  });
+  console.log("[Finder] Response received", {
+    responseLength: gptResponse.length,
+    tokensUsed: response.usage_metadata?.total_tokens || 'unknown',
+    transcriptIndex: context.transcriptIndex || 1,
+    window: context.chunk ? context.chunk.number : 1
+  });
+
+  // Parse the response into structured tasks with participant matching
+  const foundTasks = parseTaskFinderResponse(gptResponse, participantsInMeeting);
+  
+  // Extract attendees from the GPT response
+  const attendees = extractAttendeesFromResponse(gptResponse);
+
+  return {
+    foundTasks,
+    attendees,
+    gptResponse,
+    tokensUsed: response.usage_metadata?.total_tokens || 'unknown'
+  };
+}
+
 /**
  * Create system prompt for Task Finder role
  * @param {Object} context - Processing context
  * @returns {string} System prompt
  */
 function createTaskFinderSystemPrompt(context) {
-  const roleDescription = `You are a Scrum Task Finder with the following identity:
-
-**Role Identity**: Scrum Task Finder
-- **Epistemic stance**: Analytical, Evidence-oriented, Context-aware
-- **Communication style**: Structured, Traceable, Concise  
-- **Values and priorities**: Clarity, Accuracy
-- **Domain orientation**: Task Recognition, Knowledge Structuring, Information Extraction
-
-**Constraints**:
-- Maintain neutrality - avoid speculative interpretation or over-formatting
-- Focus strictly on clarity and grounded accuracy
-- Do not assume advisory, prioritization, or coaching functions
-
-**Core Purpose**: Detect and surface actionable tasks from meeting transcripts in a way that aligns with Scrum practices. Focus on recognizing explicit work items, structuring them clearly, and ensuring they are both accurate and contextually grounded.
-
-**CRITICAL - TICKET ID FORMATS**:
-We use TWO types of ticket IDs to identify existing tasks:
-1. SP-XXX = MongoDB internal ticket IDs (e.g., SP-123, SP-456)
-2. TDS-XXX = Jira issue keys (e.g., TDS-220, TDS-222, TDS-223)
-
-When you see EITHER format mentioned in the transcript, it indicates an EXISTING task that needs an UPDATE.
-Extract the ticket ID exactly as mentioned and classify as UPDATE_TASK.
-
-**CRITICAL - FUZZY MATCHING FOR TRANSCRIPTION ERRORS**:
-Transcription services often mishear "TDS" as phonetically similar words. If you see ANY of these patterns followed by a dash and number, treat them as TDS-XXX tickets:
-
-Common misspellings of "TDS":
-- "tds XXX" or "tds-XXX" → TDS-XXX (e.g., "tds 226" = TDS-226)
-- "teas XXX" or "teas-XXX" → TDS-XXX (e.g., "teas 223" = TDS-223)
-- "tdes XXX" or "tdes-XXX" → TDS-XXX (e.g., "tdes 220" = TDS-220)
-- "tids XXX" or "tids-XXX" → TDS-XXX
-- "tees XXX" or "tees-XXX" → TDS-XXX
-- "tdis XXX" or "tdis-XXX" → TDS-XXX
-- "tads XXX" or "tads-XXX" → TDS-XXX
-
-**FUZZY MATCHING RULES**:
-1. If you see a word that sounds like "TDS" followed by a number, treat it as a TDS ticket
-2. Always normalize to the correct format: TDS-XXX (with dash)
-3. Examples:
-   - "tds 226" → Extract as TDS-226
-   - "teas two twenty three" → Extract as TDS-223
-   - "I worked on tdes 150" → Extract as TDS-150
-
-**CRITICAL**: Always output the CORRECTED ticket ID (TDS-XXX) in the TICKET_ID field, not the misspelled version.`;
-
-  let contextualAddition = "";
-  if (context.isMultiTranscript) {
-    contextualAddition = `
-
-**Multi-Transcript Context**:
-- This is transcript ${context.transcriptIndex} of ${context.totalTranscripts}
-- Extract tasks specific to THIS meeting only
-- Provide maximum detail and context for each task
-- Focus on evidence-based extraction without interpretation`;
-  }
-
-  return roleDescription + contextualAddition;
+  const multiTranscriptContext = context.isMultiTranscript ?
+    renderPrompt("task_finder", "multi_transcript", {
+      transcriptIndex: context.transcriptIndex,
+      totalTranscripts: context.totalTranscripts
+    }) : "";
+  // One window of a long meeting (see transcriptChunker.js)
+  const chunkContext = context.chunk ?
+    renderPrompt("task_finder", "chunk", {
+      chunkNumber: context.chunk.number,
+      totalChunks: context.chunk.total,
+      startTime: context.chunk.startTime,
+      endTime: context.chunk.endTime
+    }) : "";
+
+  return renderPrompt("task_finder", "system", { multiTranscriptContext: multiTranscriptContext + chunkContext });
 }
 
 /**
@@ -262,449 +291,10 @@ Common misspellings of "TDS":
  * @returns {string} Task finding prompt
  */
 function createTaskFindingPrompt(transcriptText, context, participantsInMeeting = []) {
-  const participantsList = participantsInMeeting.length > 0 ? 
-    `\n\n**PARTICIPANTS IN THIS MEETING**: ${participantsInMeeting.join(', ')}\n` : '';
-  
-  return `
-**OBJECTIVE**: Extract ALL actionable work items from this meeting transcript with maximum detail and context.
-
-**TASK FINDING REQUIREMENTS**:
-
-**1. EVIDENCE-BASED EXTRACTION**:
-- Identify explicit work items mentioned in the conversation
-- Extract COMPLETE context for each task (not just isolated sentences)
-- Include relevant details from surrounding conversation
-- Capture the full scope of what needs to be done
-
-**2. COMPREHENSIVE DESCRIPTION GATHERING**:
-- For each task, gather ALL related information from the ENTIRE transcript
-- Include background context, technical details, and requirements from ALL mentions
-- Connect scattered information that relates to the same work item across different timestamps
-- Preserve conversation flow and reasoning from multiple discussion points
-- For NEW_TASK: 
-  * Capture initial requirements from first mention
-  * Include ANY additional details, features, or context mentioned later in the conversation
-  * Combine all related discussions about the same task into comprehensive description
-  * Include technical specifications, UI/UX requirements, integration needs mentioned anywhere
-- For UPDATE_TASK: 
-  * Extract ALL update contexts from every mention of the ticket number
-  * Include progress reports, new requirements, technical additions mentioned throughout
-  * Capture any clarifications, scope changes, or additional features discussed
-  * Combine multiple update mentions into comprehensive update description
-
-**3. WORK ITEM CLASSIFICATION (CRITICAL - EXTREMELY STRICT)**:
-
-**⚠️ CRITICAL ENFORCEMENT: ONLY CREATE TASKS/BUGS WITH EXPLICIT LANGUAGE ⚠️**
-
-**🐛 NEW BUG PATTERNS** (HIGH PRIORITY - CHECK THESE FIRST):
-If you see ANY of these phrases, CREATE A BUG immediately:
-- "new bug" → CREATE BUG, assign to speaker ✅
-- "new bug for me" → CREATE BUG, assign to speaker ✅
-- "new bug for [person]" → CREATE BUG, assign to that person ✅
-- "create a bug" / "create a new bug" → CREATE BUG, assign to speaker ✅
-- "add a bug" / "add a new bug" → CREATE BUG, assign to speaker ✅
-
-**CRITICAL**: "new bug" by itself (without "for") should CREATE A BUG assigned to the SPEAKER!
-
-**✅ NEW TASK PATTERNS** (MUST USE EXACT PHRASES):
-The participant MUST explicitly say one of these EXACT phrases:
-- "new task for me"
-- "new task for [person's name]"
-- "create a new task for me"
-- "create a new task for [person's name]"
-- "add a new task for me"
-- "add a new task for [person's name]"
-- "make a new task for me"
-- "make a new task for [person's name]"
-
-**WORK TYPE DETECTION**:
-- If "new bug" / "create a bug" / "add a bug" → workType = "**Bug**" ⚠️
-- If "new task" / "create a task" → workType = "Task"
-
-**FUTURE PLAN/TASK PATTERNS** (MUST USE EXACT PHRASES):
-The participant MUST explicitly say:
-- "future plan"
-- "as a future plan"
-- "this is a future plan"
-- "future task"
-- "as a future task"
-
-**🚫 ABSOLUTELY DO NOT CREATE TASKS FOR**:
-- ❌ "I need to..." → NO TASK
-- ❌ "I will..." → NO TASK
-- ❌ "I should..." → NO TASK
-- ❌ "[Name] should..." → NO TASK
-- ❌ "[Name] will..." → NO TASK
-- ❌ "We need to..." → NO TASK
-- ❌ "We should..." → NO TASK
-- ❌ "Let's..." → NO TASK
-- ❌ "Maybe we could..." → NO TASK
-- ❌ "We could..." → NO TASK
-- ❌ "I'm going to..." → NO TASK
-- ❌ "I'm planning to..." → NO TASK
-- ❌ "I want to..." → NO TASK
-- ❌ "[Name] needs to..." → NO TASK
-- ❌ "There's an issue with..." → NO TASK
-- ❌ "We need to fix..." → NO TASK
-- ❌ "We should implement..." → NO TASK
-- ❌ "We should consider..." → NO TASK
-- ❌ "What if we..." → NO TASK
-- ❌ "It would be nice to..." → NO TASK
-- ❌ "Eventually we should..." → NO TASK
-- ❌ "In the future..." → NO TASK
-- ❌ "Down the line..." → NO TASK
-- ❌ "Someday we should..." → NO TASK
-- ❌ ANY brainstorming or casual discussion → NO TASK
-- ❌ ANY general work discussion → NO TASK
-- ❌ ANY suggestions or possibilities → NO TASK
-
-**CRITICAL RULE**: 
-IF the exact phrase "new task for [me/person]" is NOT present → DO NOT CREATE A TASK
-IF the exact phrase "future plan" or "future task" is NOT present → DO NOT CREATE A FUTURE TASK
-
-**ONLY EXCEPTION**: If someone says "new task for [person]" without the words exactly in that order but the intent is crystal clear (e.g., "create a new task for John"), you may create the task. But be EXTREMELY conservative.
-
-**TASK CANCELLATION DETECTION**: If someone mentions a potential new task but later in the conversation says:
-- "actually, let's not do that", "never mind", "scratch that", "forget about that"
-- "we decided not to", "on second thought", "let's hold off on that"
-- "maybe later", "not right now", "let's table that"
-Then DO NOT create that task.
-
-**⚠️ STRICT ENFORCEMENT EXAMPLES**:
-
-**EXAMPLE 1 - DO NOT CREATE (Missing "new task" phrase):**
-Transcript: "I need to update the user dashboard this week."
-Action: NO TASK CREATED (just a general statement)
-
-**EXAMPLE 2 - CREATE TASK (Explicit "new task for" phrase):**
-Transcript: "New task for me - update the user dashboard."
-Action: CREATE TASK ✅
-
-**EXAMPLE 3 - DO NOT CREATE (Discussing possible work):**
-Transcript: "We should probably add email notifications to the system."
-Action: NO TASK CREATED (just discussion/suggestion)
-
-**EXAMPLE 4 - CREATE TASK (Explicit "new task for" phrase):**
-Transcript: "Create a new task for Sarah - add email notifications."
-Action: CREATE TASK ✅
-
-**EXAMPLE 5 - DO NOT CREATE (Future discussion without exact phrase):**
-Transcript: "In the future, we could implement a mobile app."
-Action: NO TASK CREATED (vague future discussion)
-
-**EXAMPLE 6 - CREATE FUTURE TASK (Explicit "future plan" phrase):**
-Transcript: "As a future plan - implement a mobile app."
-Action: CREATE TASK with isFuturePlan=true ✅
-
-**EXAMPLE 7 - DO NOT CREATE (Assignment without "new task"):**
-Transcript: "John will work on the API integration next week."
-Action: NO TASK CREATED (just informational)
-
-**EXAMPLE 8 - CREATE TASK (Explicit "new task for" phrase):**
-Transcript: "New task for John - work on the API integration."
-Action: CREATE TASK ✅
-
-**EXAMPLE 9 - CREATE BUG (Just "new bug", no "for"):**
-Transcript: "John Smith: New bug - login page crashes on mobile devices."
-Action: CREATE BUG ✅ (workType=Bug, assignee=John Smith - the speaker)
-
-**EXAMPLE 10 - CREATE BUG (Explicit "new bug for me"):**
-Transcript: "Sarah: New bug for me - API returns 500 error on user creation."
-Action: CREATE BUG ✅ (workType=Bug, assignee=Sarah)
-
-**EXAMPLE 11 - CREATE BUG (Explicit "new bug for" someone else):**
-Transcript: "Mike: New bug for John - dashboard shows stale data after refresh."
-Action: CREATE BUG ✅ (workType=Bug, assignee=John)
-
-**EXAMPLE 12 - DO NOT CREATE (Bug mention without "new bug"):**
-Transcript: "There's a bug in the login system that needs fixing."
-Action: NO BUG CREATED ❌ (just discussion)
-
-**TASK UPDATE PATTERNS** (ticket number explicitly mentioned):
-IMPORTANT: We use TWO ticket ID formats:
-  1. SP-XXX = MongoDB internal ticket IDs (e.g., SP-123, SP-456)
-  2. TDS-XXX = Jira issue keys (e.g., TDS-220, TDS-222, TDS-223)
-  
-Both formats indicate EXISTING tasks that need updates!
-
-**STANDUP-STYLE REPORTING PATTERNS** (CRITICAL - MOST COMMON):
-- Past tense work reports: "I worked on TDS-XXX", "I finished TDS-XXX", "I completed SP-XXX"
-- Ticket transitions: "The next ticket I worked on was TDS-XXX", "After that I worked on SP-XXX"
-- Contextual references: "that was TDS-226", "this is for SP-123", "the ticket was TDS-XXX"
-- Status completions: "TDS-XXX is complete", "TDS-XXX is done", "SP-XXX is finished"
-- Keeping open: "I'm keeping TDS-XXX open", "keeping that open", "still working on it"
-- Work descriptions: "The ticket I worked on was TDS-XXX which is...", "TDS-XXX which is the..."
-
-**APPLY FUZZY MATCHING**: Remember that transcription errors are common! 
-- "that was tds 226" → TDS-226
-- "I worked on teas 223" → TDS-223  
-- "tdes 150 is complete" → TDS-150
-Always extract these as UPDATE_TASK with the corrected ticket ID.
-
-**OTHER UPDATE PATTERNS**:
-- Explicit update mentions: "task update SP-XXX", "task update TDS-XXX", "update SP-XXX", "update TDS-XXX"
-- Status updates: "SP-XXX is in progress", "TDS-XXX is blocked"
-- Progress reports: "I'm working on SP-XXX and...", "TDS-XXX needs...", "working on TDS-XXX"
-- Task modifications: "For SP-XXX, we should also add...", "For TDS-XXX, change the description"
-- Task discussions: "talking about SP-XXX", "regarding TDS-XXX", "for SP-XXX", "for TDS-XXX"
-- Specific ticket references: Any mention of "SP-" or "TDS-" followed by numbers
-
-**CLASSIFICATION RULE**: 
-- If a ticket number (SP-XXX or TDS-XXX) is mentioned in ANY context, it's an UPDATE to existing task
-- If someone says "task update SP-XXX" or "task update TDS-XXX", it's DEFINITELY an UPDATE
-- If EXPLICIT task creation language is used (without ticket number), it's a NEW TASK
-- If neither condition is met, DO NOT create any task entry
-
-**CRITICAL**: Even casual mentions like "task update tds 223" or "TDS-223, we're changing X to Y" should be captured as UPDATE_TASK with the full context of what's being changed.
-
-**4. CONTEXT PRESERVATION**:
-- Include WHO mentioned the task
-- Capture WHY the task is needed (if mentioned)
-- Note any dependencies or requirements discussed
-- Preserve timeline information ("by Friday", "next week")
-
-**5. FUTURE PLAN DETECTION** (EXTREMELY STRICT - EXACT PHRASES ONLY):
-
-**ONLY CREATE FUTURE TASKS IF EXACT PHRASES ARE USED**:
-- ✅ "future plan"
-- ✅ "as a future plan"
-- ✅ "this is a future plan"
-- ✅ "future task"
-- ✅ "as a future task"
-- ✅ "new future task"
-
-**DO NOT CREATE FUTURE TASKS FOR ANYTHING ELSE**:
-- ❌ "for the future" → NO TASK
-- ❌ "something for later" → NO TASK
-- ❌ "down the line" → NO TASK
-- ❌ "in the future" → NO TASK
-- ❌ "future enhancement" → NO TASK
-- ❌ "future consideration" → NO TASK
-- ❌ "on our roadmap" → NO TASK
-- ❌ "eventually we'll" → NO TASK
-- ❌ "someday" → NO TASK
-- ❌ "we should consider" → NO TASK (even with details)
-- ❌ "we should definitely consider" → NO TASK
-- ❌ ANY vague future discussion → NO TASK
-- ❌ ANY brainstorming → NO TASK
-
-**CRITICAL RULE FOR FUTURE PLANS**:
-IF the participant does NOT say the exact words "future plan" or "future task" → DO NOT CREATE ANY FUTURE TASK
-
-When EXACT future plan phrase is found:
-- Extract the COMPLETE description of what the future plan entails
-- Assign to "TBD" participant (unless specifically assigned like "new future task for John")
-- Mark as NEW_TASK category
-- Include [IS_FUTURE_PLAN: true] in CONTEXT field
-
-**6. TIME INFORMATION EXTRACTION**:
-
-**ESTIMATED TIME** - Look for these patterns:
-- "this will take [X] hours/days" 
-- "estimated [X] hours/days"
-- "should be about [X] hours/days"
-- "roughly [X] hours/days"
-- "approximately [X] hours"
-- "I think [X] hours"
-- "probably [X] days to complete"
-- "needs about [X] hours"
-
-**TIME CONVERSION RULES**:
-- Only extract time when explicitly mentioned in hours or minutes
-- Convert minutes to hours: "30 minutes" = 0.5 hours, "90 minutes" = 1.5 hours
-- Accept word numbers: "two hours" = 2, "three hours" = 3
-- Do NOT convert days, weeks, or other time units to hours
-
-**CRITICAL RULES**:
-- Only extract ESTIMATED_TIME for new tasks
-- If no time mentioned, use 0
-- Be conservative - only extract when clearly mentioned
-
-**7. PRIORITY EXTRACTION**:
-
-**PRIORITY PATTERNS** - Look for these patterns to extract task priority:
-- "high priority" / "high-priority" / "highly prioritized" → Highest or High
-- "urgent" / "urgently" / "asap" / "as soon as possible" → Highest or High
-- "critical" / "critically important" / "critical priority" → Highest
-- "low priority" / "low-priority" / "not urgent" / "not a priority" → Low or Lowest
-- "medium priority" / "normal priority" / "standard priority" → Medium
-- "highest priority" / "top priority" / "maximum priority" → Highest
-- "lowest priority" / "minimal priority" / "nice to have" → Lowest
-- Context clues: "blocking", "blocker", "must have" → High or Highest
-- Context clues: "can wait", "whenever", "backlog" → Low or Lowest
-
-**PRIORITY VALUES** (Jira standard):
-- Highest: For critical, blocking, or urgent tasks that must be done immediately
-- High: For important tasks that need attention soon
-- Medium: Default priority for most tasks (use if not mentioned)
-- Low: For tasks that can be deferred
-- Lowest: For nice-to-have or optional tasks
-
-**PRIORITY EXTRACTION RULES**:
-- Extract priority from explicit mentions in the conversation
-- Consider urgency context and timeline information
-- If priority is not mentioned, leave PRIORITY field blank (will default to Medium later)
-- Use context to infer priority when explicit language is used
-- Be conservative - only extract when clearly indicated
-
-**8. STORY POINTS EXTRACTION**:
-
-**STORY POINTS PATTERNS** - Look for these patterns to extract story points:
-- "X story points" / "X points" / "X SP" / "X sp"
-- "estimated X story points" / "about X points"
-- "this is a X point story" / "X point task"
-- "should be X points" / "probably X points"
-- Context clues: "small task" (1-2 points), "medium task" (3-5 points), "large task" (8+ points)
-
-**STORY POINTS EXTRACTION RULES**:
-- Extract story points from explicit mentions in the conversation
-- Story points are typically whole numbers (1, 2, 3, 5, 8, 13, etc.)
-- If story points are not mentioned, leave STORY_POINTS field blank (do not add to Jira issue)
-- Be conservative - only extract when clearly indicated
-- Do not infer story points from estimated time or other metrics
-
-**9. PROJECT CODE EXTRACTION**:
-
-**PROJECT CODE PATTERNS** - Look for these patterns to extract project codes:
-- "for project PROJ", "PROJ project", "PROJ code"
-- "project PROJ", "PROJ task", "PROJ work"
-- Standalone project codes mentioned near task descriptions (typically 2-5 uppercase letters)
-- Project codes in task context or evidence sections
-- Examples: "PROJ", "ABC", "XYZ", "TDS", "SP"
-
-**PROJECT CODE EXTRACTION RULES**:
-- Extract project code from the same transcript context where the task is mentioned
-- Project codes are typically simple format (2-5 uppercase letters, e.g., "PROJ", "ABC", "XYZ")
-- Look for project codes mentioned in relation to each specific task
-- If a project code is mentioned in the task's evidence or context, extract it
-- If no project code is mentioned for a task, leave PROJECT_CODE field blank
-- Be conservative - only extract when clearly mentioned in relation to the task
-- Normalize to uppercase and remove whitespace
-
-**10. TASK CANCELLATION DETECTION**:
-Scan the ENTIRE transcript for task cancellation patterns:
-- If someone mentions a potential task early in the conversation
-- But later says cancellation phrases like: "actually, let's not", "never mind", "scratch that", "forget about that", "we decided not to", "on second thought", "let's hold off", "maybe later", "not right now", "let's table that"
-- Then DO NOT include that task in the final output
-- Always check the full conversation context before finalizing any task
-
-**11. CONTEXT GATHERING STRATEGY**:
-- Scan the ENTIRE transcript for ALL mentions of each identified task
-- For SP-XXX tickets: Find EVERY mention of that ticket number throughout the meeting
-- For TDS-XXX tickets: Find EVERY mention of that ticket number throughout the meeting
-- For new tasks: Find the initial mention AND any subsequent elaborations or additions
-- Combine information from multiple speakers if they discuss the same task
-- Include all technical details, requirements, and context mentioned anywhere in the transcript
-- Capture task evolution - how requirements or scope might change during discussion
-
-**12. ASSIGNEE DETECTION WITH PARTICIPANT MATCHING**:
-- "for me" / "my task" / "I will" = assign to speaker
-- "for [Name]" / "[Name] will" / "[Name] should" = assign to that person
-- "task for [Name] who isn't here" = assign to that person (not TBD)
-- Future plans without specific assignee = assign to "TBD"
-
-**SMART PARTICIPANT NAME MATCHING**:
-- If assignee name is mentioned (e.g., "faiyaz", "john", "jane"), check if any participant in the meeting has a similar name
-- Use fuzzy matching to handle spelling variations and transcript errors
-- Match first names to full participant names from the meeting
-- Examples:
-  * "faiyaz" → find participant "Faiyaz Rahman" in meeting
-  * "john" → find participant "John Doe" in meeting
-  * "jane" → find participant "Jane Smith" in meeting
-- Always use the FULL NAME from the participant timestamp for the assignee field
-- This ensures proper task assignment even with transcript spelling errors
-
-**OUTPUT FORMAT**:
-For each task found, provide EXACTLY this format (DO NOT use bullet points or dashes):
-
-TASK: [CLEAN, short task summary - NO prefixes like "NEW_TASK", "Purpose:", "Create a task" - just the core deliverable like "Email notification system" or "Mobile expense tracker"]
-ASSIGNEE: [Person assigned or TBD]
-TYPE: [Coding/Non-Coding]
-WORK_TYPE: [Task or Bug - ⚠️ CRITICAL: If "new bug" was said, this MUST be "Bug", otherwise "Task"]
-CATEGORY: [NEW_TASK or UPDATE_TASK]
-TICKET_ID: [SP-XXX or TDS-XXX if mentioned for updates, or "NONE" for new tasks]
-ESTIMATED_TIME: [Number in hours - e.g., "3", "16" (2 days), "0" if not mentioned]
-PRIORITY: [Highest/High/Medium/Low/Lowest - extract from transcript context, or leave blank if not mentioned]
-STORY_POINTS: [Number - e.g., "3", "5", "8", or leave blank if not mentioned]
-PROJECT_CODE: [Project code mentioned in relation to this task - e.g., "PROJ", "ABC", "XYZ", or leave blank if not mentioned]
-EVIDENCE: [ALL specific quotes from transcript related to this task - include quotes from every mention throughout the meeting]
-CONTEXT: [Comprehensive context combining ALL discussions about this task - include initial mention, elaborations, technical details, and any additional requirements. Include [IS_FUTURE_PLAN: true] if this is a future plan]
-URGENCY: [Any timeline mentioned]
-
-**CRITICAL FORMATTING RULES**:
-1. Start each field with the field name followed by a colon (no bullet points, no dashes)
-2. Each field should be on its own line
-3. For the TASK field, write ONLY the core deliverable/system/feature name
-4. Examples of GOOD TASK names: "Email notification system", "Mobile expense tracker", "Blue navigation menu"
-5. Examples of BAD TASK names: "NEW_TASK - Email notification system", "Purpose: Implement an email notification", "Create a task for email notifications"
-
-**EXTRACTION EXAMPLES FOR STANDUP-STYLE UPDATES**:
-
-Example 1 - Status Update with Description Change:
-Transcript: "I worked on TDS-223. We're not using MailChimp anymore, we're using Outlook email now. TDS-223 is complete."
-Extract as:
-TASK: Outlook email integration (or extract the original task name if known)
-CATEGORY: UPDATE_TASK
-TICKET_ID: TDS-223
-EVIDENCE: "I worked on TDS-223. We're not using MailChimp anymore, we're using Outlook email now. TDS-223 is complete."
-CONTEXT: Status changed to complete. Description updated to reflect using Outlook email instead of MailChimp.
-
-Example 2 - Work Report with Status:
-Transcript: "So that was TDS-226. I'm keeping that open."
-Extract as:
-TASK: [Extract task name from context or use ticket ID]
-CATEGORY: UPDATE_TASK
-TICKET_ID: TDS-226
-EVIDENCE: "So that was TDS-226. I'm keeping that open."
-CONTEXT: Status update indicating work is ongoing, ticket remains open/in progress.
-
-Example 3 - Multiple Ticket Updates in Standup:
-Transcript: "The next ticket I worked on was TDS-223 which is the email integration. I finished that yesterday."
-Extract as:
-TASK: Email integration
-CATEGORY: UPDATE_TASK
-TICKET_ID: TDS-223
-EVIDENCE: "The next ticket I worked on was TDS-223 which is the email integration. I finished that yesterday."
-CONTEXT: Work completed on email integration task.
-
-Example 4 - TRANSCRIPTION ERROR - Misspelled "TDS" as "tds":
-Transcript: "So that was tds 226. I'm keeping that open."
-Extract as:
-TASK: [Extract task name from context]
-CATEGORY: UPDATE_TASK
-TICKET_ID: TDS-226  ← CORRECTED from "tds 226"
-EVIDENCE: "So that was tds 226. I'm keeping that open."
-CONTEXT: Status update indicating work is ongoing. Note: transcription error "tds" corrected to "TDS".
-
-Example 5 - TRANSCRIPTION ERROR - Misspelled "TDS" as "teas":
-Transcript: "The next ticket I worked on was teas 223 which is the Outlook graph mail. We're not using MailChimp anymore. So tds 223 is complete."
-Extract as:
-TASK: Outlook email integration
-CATEGORY: UPDATE_TASK
-TICKET_ID: TDS-223  ← CORRECTED from "teas 223" and "tds 223"
-EVIDENCE: "The next ticket I worked on was teas 223 which is the Outlook graph mail. We're not using MailChimp anymore. So tds 223 is complete."
-CONTEXT: Status changed to complete. Description: Outlook email integration replacing MailChimp. Note: transcription errors corrected.
-
-**CRITICAL**: Properly classify each item as NEW_TASK or UPDATE_TASK based on whether a ticket number is mentioned.
-
-**MEETING TRANSCRIPT**:${participantsList}
-${transcriptText}
-
-**⚠️ FINAL REMINDER - CRITICAL ENFORCEMENT ⚠️**:
-Before you extract any tasks, remember:
-1. 🐛 **BUGS**: If someone says "new bug" (even without "for me") → CREATE BUG with WORK_TYPE: Bug, assign to speaker
-2. ✅ **TASKS**: ONLY create tasks if someone says "new task for [me/person]" or "create a new task for [me/person]"
-3. 🔮 **FUTURE**: ONLY create future tasks if someone says "future plan" or "future task" (exact phrases)
-4. ❌ **DO NOT** create tasks for: "I need to...", "I will...", "we should...", "let's...", "[name] will...", or ANY general discussion
-5. When in doubt about tasks → DO NOT CREATE. But if you see "new bug" → ALWAYS CREATE with WORK_TYPE: Bug
-6. Be conservative with tasks, but ALWAYS create bugs when "new bug" is mentioned
-
-**YOUR RESPONSE**: Extract ONLY tasks with EXPLICIT task creation language ("new task for..." or "future plan/task"). Remember to use EXACT participant names from the meeting participant list above when assigning tasks.
-
-**AFTER EXTRACTING ALL TASKS**: At the very end of your response, provide a section titled "MEETING ATTENDEES" that lists ONLY the initials of all meeting participants who spoke during this meeting. Extract initials from the participant names found in the transcript timestamps.
+  const participantsSection = participantsInMeeting.length > 0 ?
+    renderPrompt("task_finder", "participants", { participants: participantsInMeeting.join(', ') }) : '';
 
-Format:
-MEETING ATTENDEES: [comma-separated list of initials, e.g., "JD, AS, MR"]`;
+  return renderPrompt("task_finder", "user", { participantsSection, transcript: transcriptText });
 }
 
 /**
@@ -818,7 +408,8 @@ function parseTaskFinderResponse(response, participantsInMeeting = []) {
         }
       } else if (trimmed.startsWith('TYPE:') || trimmed.startsWith('  TYPE:')) {
         const type = trimmed.replace(/^\s*TYPE:\s*/, '').trim();
-        currentTask.type = type.includes('Coding') ? 'Coding' : 'Non-Coding';
+        // "Non-Coding" contains "Coding", so check for it first
+        currentTask.type = /non[-\s]?coding/i.test(type) || !type.includes('Coding') ? 'Non-Coding' : 'Coding';
       } else if (trimmed.startsWith('WORK_TYPE:') || trimmed.startsWith('  WORK_TYPE:')) {
         const workType = trimmed.replace(/^\s*WORK_TYPE:\s*/, '').trim();
         const detectedWorkType = workType.includes('Bug') ? 'Bug' : 'Task';
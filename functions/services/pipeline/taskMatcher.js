@@ -55,7 +55,7 @@ function normalizeTicketId(ticketId) {
 /**
  * Parse status updates from task description or updates
  * @param {string} text - Text that might contain status information
- * @returns {string|null} Status ('To-do', 'In-progress', 'Completed') or null if not found
+ * @returns {string|null} Status ('In-progress', 'In Review', 'Blocked', 'Completed', "Won't Do") or null if not found
  */
 function parseStatusUpdate(text) {
   if (!text) return null;
@@ -71,6 +71,29 @@ function parseStatusUpdate(text) {
     return "Completed";
   }
   
+  // Check for won't do indicators
+  if (lowerText.includes("won't do") ||
+      lowerText.includes("cancelled") ||
+      lowerText.includes("dropped") ||
+      lowerText.includes("descoped")) {
+    return "Won't Do";
+  }
+  
+  // Check for blocked indicators
+  if (lowerText.includes("blocked") ||
+      lowerText.includes("on hold") ||
+      lowerText.includes("waiting on")) {
+    return "Blocked";
+  }
+  
+  // Check for in-review indicators
+  if (lowerText.includes("in review") ||
+      lowerText.includes("up for review") ||
+      lowerText.includes("ready for review") ||
+      lowerText.includes("pull request")) {
+    return "In Review";
+  }
+  
   // Check for in-progress indicators
   if (lowerText.includes("started") || 
       lowerText.includes("working on") || 
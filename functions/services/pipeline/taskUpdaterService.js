@@ -11,23 +11,16 @@
  * - Domain: Scrum
  */
 
-const { ChatOpenAI } = require("@langchain/openai");
 const { logger } = require("firebase-functions");
 const { detectStatusChangesFromTranscript } = require("../utilities/statusChangeDetectionService");
+const { detectTimeSpentFromTranscript } = require("../utilities/timeSpentService");
+const { detectIssueLinksFromTranscript } = require("../utilities/issueLinkService");
 const { normalizeTicketId } = require("./taskMatcher");
+const { renderPrompt } = require("../utilities/promptRegistry");
 
 // Load environment variables
 require("dotenv").config();
 
-// Initialize OpenAI client using LangChain (same as transcript-chat)
-const llm = new ChatOpenAI({
-  modelName: 'gpt-5-nano',
-  max_output_tokens: 1000,
-  reasoning: { effort: 'medium' },
-  verbosity: "medium",
-});
-
-
 /**
  * Stage 3: Update existing tasks with new information using RAG
  * @param {Array} foundTasks - Tasks from Stage 1 (Task Finder)
@@ -88,7 +81,8 @@ async function updateExistingTasks(foundTasks, skippedTasks, existingTasks, task
         newStatus: statusChange.newStatus,
         confidence: statusChange.confidence,
         speaker: statusChange.speaker,
-        evidence: statusChange.evidence
+        evidence: statusChange.evidence,
+        sourceRanges: statusChange.sourceRanges || []
       });
       
       if (existingTask) {
@@ -106,6 +100,12 @@ async function updateExistingTasks(foundTasks, skippedTasks, existingTasks, task
       }
     }
 
+    // Time spent statements ("I spent three hours on TDS-210") are logged as worklogs by the taskProcessor
+    const timeSpent = detectTimeSpentFromTranscript(transcript);
+
+    // Relationships between existing tickets ("TDS-201 depends on TDS-198") are linked in Jira by the taskProcessor
+    const issueLinks = detectIssueLinksFromTranscript(transcript);
+
     // Process task updates using RAG for each individual task
     for (let i = 0; i < tasksToBeUpdated.length; i++) {
       const taskToUpdate = tasksToBeUpdated[i];
@@ -157,6 +157,7 @@ async function updateExistingTasks(foundTasks, skippedTasks, existingTasks, task
             updateSource: "TASK_UPDATER_RAG",
             confidence: ragResult.confidence === 'high' ? 1.0 : ragResult.confidence === 'medium' ? 0.8 : 0.6,
             evidence: taskToUpdate.evidence,
+            sourceWindow: taskToUpdate.sourceWindow || null,
             speaker: taskToUpdate.assignee,
             context: taskToUpdate.context,
             timestamp: new Date().toISOString(),
@@ -200,6 +201,7 @@ async function updateExistingTasks(foundTasks, skippedTasks, existingTasks, task
             updateSource: "TASK_UPDATER_BASIC",
             confidence: 0.7,
             evidence: taskToUpdate.evidence,
+            sourceWindow: taskToUpdate.sourceWindow || null,
             speaker: taskToUpdate.assignee,
             context: taskToUpdate.context,
             timestamp: new Date().toISOString(),
@@ -241,6 +243,7 @@ async function updateExistingTasks(foundTasks, skippedTasks, existingTasks, task
           updateSource: "TASK_UPDATER_FALLBACK",
           confidence: 0.5,
           evidence: taskToUpdate.evidence,
+          sourceWindow: taskToUpdate.sourceWindow || null,
           speaker: taskToUpdate.assignee,
           context: taskToUpdate.context,
           timestamp: new Date().toISOString(),
@@ -272,6 +275,8 @@ async function updateExistingTasks(foundTasks, skippedTasks, existingTasks, task
       ragEnhanced: taskUpdates.filter(u => u.ragEnhanced).length,
       basicUpdates: taskUpdates.filter(u => !u.ragEnhanced).length,
       statusChangesCount: statusChanges.length,
+      timeSpentCount: timeSpent.length,
+      issueLinksCount: issueLinks.length,
       transcriptIndex: context.transcriptIndex || 1
     });
 
@@ -280,12 +285,16 @@ async function updateExistingTasks(foundTasks, skippedTasks, existingTasks, task
       stage: 3,
       taskUpdates,
       statusChanges,
+      timeSpent,
+      issueLinks,
       metadata: {
         tasksProcessed: tasksToBeUpdated.length,
         taskUpdatesCount: taskUpdates.length,
         ragEnhanced: taskUpdates.filter(u => u.ragEnhanced).length,
         basicUpdates: taskUpdates.filter(u => !u.ragEnhanced).length,
         statusChangesCount: statusChanges.length,
+        timeSpentCount: timeSpent.length,
+        issueLinksCount: issueLinks.length,
         processedAt: new Date().toISOString(),
         transcriptIndex: context.transcriptIndex || 1,
         ragUsed: true
@@ -312,32 +321,13 @@ async function updateExistingTasks(foundTasks, skippedTasks, existingTasks, task
  * @returns {string} System prompt
  */
 function createTaskUpdaterSystemPrompt(context) {
-  const roleDescription = `You are a Task Updater with the following identity:
-
-**Role Identity**: Task Updater
-- **Epistemic stance**: Systematic
-- **Communication style**: Clear, concise, structured, neutral
-- **Values and priorities**: Clarity, efficiency
-- **Domain orientation**: Scrum
-
-**Constraints**:
-- Avoid prescriptive solutions and speculative or vague language
-- Focus on structured and transparent framing of work items
-- Maintain neutrality in all decisions
-
-**Core Purpose**: Systematically enhance existing tasks with new information while maintaining clarity and efficiency. Ensure updates are understandable and aligned without introducing ambiguity.`;
-
-  let contextualAddition = "";
-  if (context.isMultiTranscript) {
-    contextualAddition = `
-
-**Multi-Transcript Context**:
-- This is transcript ${context.transcriptIndex} of ${context.totalTranscripts}
-- Focus on factual updates based on new evidence
-- Maintain systematic approach to task enhancement`;
-  }
+  const multiTranscriptContext = context.isMultiTranscript ?
+    renderPrompt("task_updater", "multi_transcript", {
+      transcriptIndex: context.transcriptIndex,
+      totalTranscripts: context.totalTranscripts
+    }) : "";
 
-  return roleDescription + contextualAddition;
+  return renderPrompt("task_updater", "system", { multiTranscriptContext });
 }
 
 /**
@@ -348,50 +338,16 @@ function createTaskUpdaterSystemPrompt(context) {
  * @returns {string} Update decision prompt
  */
 function createTaskUpdateDecisionPrompt(skippedTask, similarTask, context) {
-  return `
-**OBJECTIVE**: Determine if and how an existing task should be updated with new information from a meeting discussion.
-
-**NEW INFORMATION FROM MEETING**:
-- Description: "${skippedTask.description}"
-- Context: "${skippedTask.context}"
-- Evidence: "${skippedTask.evidence}"
-- Assignee: ${skippedTask.assignee}
-
-**EXISTING TASK**:
-- Description: "${similarTask.metadata.text}"
-- Status: ${similarTask.metadata.status}
-- Current Assignee: ${similarTask.metadata.assignee}
-- Ticket ID: ${similarTask.metadata.taskId}
-
-**UPDATE DECISION CRITERIA**:
-
-**UPDATE TYPES**:
-1. **DESCRIPTION_ENHANCEMENT** - Add new details, requirements, or context
-2. **SCOPE_CLARIFICATION** - Clarify or refine the task scope
-3. **PROGRESS_UPDATE** - Add progress information or current status
-4. **REQUIREMENT_ADDITION** - Add new requirements or constraints
-5. **NONE** - No update needed
-
-**SHOULD UPDATE if**:
-- The new information adds valuable context or details
-- Requirements or scope have been clarified or expanded
-- Progress or status information is provided
-- Technical details or constraints are mentioned
-
-**SHOULD NOT UPDATE if**:
-- The information is already covered in the existing description
-- The new information contradicts the existing task purpose
-- The information is too vague or speculative
-- It would make the task description unclear
-
-**RESPONSE FORMAT**:
-SHOULD_UPDATE: [YES/NO]
-UPDATE_TYPE: [DESCRIPTION_ENHANCEMENT/SCOPE_CLARIFICATION/PROGRESS_UPDATE/REQUIREMENT_ADDITION/NONE]
-NEW_INFORMATION: [Specific information to add to the task]
-CONFIDENCE: [0.0-1.0]
-REASONING: [Clear explanation of decision]
-
-**YOUR ANALYSIS**:`;
+  return renderPrompt("task_updater", "decision", {
+    description: skippedTask.description,
+    context: skippedTask.context,
+    evidence: skippedTask.evidence,
+    assignee: skippedTask.assignee,
+    existingDescription: similarTask.metadata.text,
+    existingStatus: similarTask.metadata.status,
+    existingAssignee: similarTask.metadata.assignee,
+    ticketId: similarTask.metadata.taskId
+  });
 }
 
 /**
@@ -402,37 +358,14 @@ REASONING: [Clear explanation of decision]
  * @returns {string} Explicit update decision prompt
  */
 function createExplicitUpdateDecisionPrompt(foundTask, existingTask, context) {
-  return `
-**OBJECTIVE**: Determine how to update an existing task that was explicitly referenced in the meeting.
-
-**EXPLICIT REFERENCE FROM MEETING**:
-- Description: "${foundTask.description}"
-- Context: "${foundTask.context}"
-- Evidence: "${foundTask.evidence}"
-
-**EXISTING TASK BEING REFERENCED**:
-- Description: "${existingTask.text}"
-- Status: ${existingTask.status}
-- Ticket ID: ${existingTask.taskId}
-
-**EXPLICIT UPDATE ANALYSIS**:
-Since this task was explicitly mentioned, determine what new information should be added.
-
-**UPDATE TYPES**:
-1. **DESCRIPTION_ENHANCEMENT** - Add new details or context
-2. **SCOPE_CLARIFICATION** - Clarify the actual scope
-3. **PROGRESS_UPDATE** - Add progress or status information
-4. **REQUIREMENT_ADDITION** - Add new requirements
-5. **STATUS_CHANGE** - Status change is handled separately
-
-**RESPONSE FORMAT**:
-SHOULD_UPDATE: [YES/NO]
-UPDATE_TYPE: [DESCRIPTION_ENHANCEMENT/SCOPE_CLARIFICATION/PROGRESS_UPDATE/REQUIREMENT_ADDITION/NONE]
-NEW_INFORMATION: [Information to add to the existing task description]
-CONFIDENCE: [0.0-1.0]
-REASONING: [Explanation of what should be updated and why]
-
-**YOUR ANALYSIS**:`;
+  return renderPrompt("task_updater", "explicit_decision", {
+    description: foundTask.description,
+    context: foundTask.context,
+    evidence: foundTask.evidence,
+    existingDescription: existingTask.text,
+    existingStatus: existingTask.status,
+    ticketId: existingTask.taskId
+  });
 }
 
 /**
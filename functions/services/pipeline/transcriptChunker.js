@@ -0,0 +1,338 @@
+/**
+ * Transcript Chunker - long meetings for the Task Finder (Stage 1)
+ *
+ * Splits a long transcript into overlapping, speaker-aware windows that the Task Finder processes
+ * in parallel, then merges the tasks found in each window into one list:
+ * - Windows hold whole transcript entries (with their startTime/endTime) and end where the speaker
+ *   changes when possible, so a turn is not cut in half
+ * - Consecutive windows overlap, so a task discussed across a boundary is seen whole by one window
+ * - A task found by several windows is kept once: updates match on ticket ID, new tasks on assignee
+ *   plus a similar description or the same evidence
+ *
+ * Configured with environment variables:
+ * - TASK_FINDER_CHUNK_CHARS: window size in transcript characters (default 12000, 0 = never chunk)
+ * - TASK_FINDER_CHUNK_OVERLAP: characters repeated from the end of the previous window (default 1500)
+ * - TASK_FINDER_CHUNK_CONCURRENCY: windows sent to the model at the same time (default 3)
+ */
+
+const { logger } = require("firebase-functions");
+
+const DEFAULT_CHUNK_CHARS = 12000;
+const DEFAULT_CHUNK_OVERLAP = 1500;
+const DEFAULT_CHUNK_CONCURRENCY = 3;
+
+// Descriptions sharing this share of their words count as the same task
+const DUPLICATE_DESCRIPTION_SIMILARITY = 0.6;
+// Evidence shorter than this is too generic to identify a task
+const MIN_MATCHING_EVIDENCE_CHARS = 20;
+
+const TIMESTAMP_PATTERN = /^\d{1,2}:\d{2}(:\d{2})?(\.\d+)?$/;
+
+/**
+ * Read a non-negative integer environment variable
+ * @param {string} name - Variable name
+ * @param {number} defaultValue - Value when unset or invalid
+ * @returns {number} Value
+ */
+function readIntegerEnv(name, defaultValue) {
+  if (process.env[name] === undefined || process.env[name] === "") return defaultValue;
+
+  const value = parseInt(process.env[name], 10);
+  if (isNaN(value) || value < 0) {
+    logger.warn(`Ignoring invalid ${name}`, { value: process.env[name] });
+    return defaultValue;
+  }
+  return value;
+}
+
+/**
+ * Get the chunking settings
+ * @returns {Object} { maxChars, overlapChars, concurrency }
+ */
+function getChunkingConfig() {
+  return {
+    maxChars: readIntegerEnv("TASK_FINDER_CHUNK_CHARS", DEFAULT_CHUNK_CHARS),
+    overlapChars: readIntegerEnv("TASK_FINDER_CHUNK_OVERLAP", DEFAULT_CHUNK_OVERLAP),
+    concurrency: Math.max(1, readIntegerEnv("TASK_FINDER_CHUNK_CONCURRENCY", DEFAULT_CHUNK_CONCURRENCY)),
+  };
+}
+
+/**
+ * Get the speaker of a transcript entry
+ * @param {Object} entry - Transcript entry
+ * @returns {string} Speaker name ("" when unknown)
+ */
+function getEntrySpeaker(entry) {
+  const speakerMatch = (entry.text || "").match(/<v\s*([^>]+)>/);
+  if (speakerMatch) return speakerMatch[1].trim();
+  return TIMESTAMP_PATTERN.test(entry.speaker || "") ? "" : (entry.speaker || "").replace(/<[^>]*>/g, "").trim();
+}
+
+/**
+ * Get the start and end time of a transcript entry
+ * VTT entries keep the start time in `speaker`; newer entries have startTime/endTime.
+ * @param {Object} entry - Transcript entry
+ * @returns {Object} { startTime, endTime } - null when the entry has no timestamp
+ */
+function getEntryTimes(entry) {
+  const startTime = [entry.startTime, entry.speaker].find(value => TIMESTAMP_PATTERN.test(value || "")) || null;
+  const endTime = TIMESTAMP_PATTERN.test(entry.endTime || "") ? entry.endTime : startTime;
+  return { startTime, endTime };
+}
+
+/**
+ * Build a window over transcript entries
+ * @param {Array} transcript - Transcript entries
+ * @param {number} start - First entry (inclusive)
+ * @param {number} end - Last entry (exclusive)
+ * @param {number} chars - Formatted size of the window
+ * @returns {Object} Window: { index, entries, firstEntry, lastEntry, startTime, endTime, chars }
+ */
+function createWindow(transcript, start, end, chars) {
+  const entries = transcript.slice(start, end);
+  const times = entries.map(getEntryTimes);
+  const first = times.find(time => time.startTime);
+  const last = [...times].reverse().find(time => time.endTime);
+
+  return {
+    index: 0,
+    entries,
+    firstEntry: start,
+    lastEntry: end - 1,
+    startTime: first ? first.startTime : null,
+    endTime: last ? last.endTime : null,
+    chars,
+  };
+}
+
+/**
+ * Split a transcript into overlapping, speaker-aware windows
+ * @param {Array} transcript - Transcript entries
+ * @param {Object} options - { maxChars, overlapChars } (defaults from getChunkingConfig)
+ * @returns {Array<Object>} Windows in meeting order - a single window when the transcript fits
+ */
+function chunkTranscript(transcript, options = {}) {
+  const { formatTranscriptForTaskFinding } = require("./taskFinderService");
+  const config = { ...getChunkingConfig(), ...options };
+
+  // Size of each entry as the Task Finder sees it (plus its line break)
+  const sizes = transcript.map(entry => {
+    const line = formatTranscriptForTaskFinding([entry]);
+    return line.length > 0 ? line.length + 1 : 0;
+  });
+  const speakers = transcript.map(getEntrySpeaker);
+  const totalChars = sizes.reduce((sum, size) => sum + size, 0);
+  const sizeOf = (start, end) => sizes.slice(start, end).reduce((sum, size) => sum + size, 0);
+
+  if (config.maxChars <= 0 || totalChars <= config.maxChars) {
+    return [createWindow(transcript, 0, transcript.length, totalChars)];
+  }
+
+  const windows = [];
+  let start = 0;
+
+  while (start < transcript.length) {
+    // Fill the window with whole entries
+    let end = start + 1;
+    let chars = sizes[start];
+    while (end < transcript.length && chars + sizes[end] <= config.maxChars) {
+      chars += sizes[end];
+      end++;
+    }
+
+    // End at the last change of speaker, unless that leaves the window less than half full
+    if (end < transcript.length) {
+      for (let boundary = end; boundary > start + 1; boundary--) {
+        if (sizeOf(start, boundary) < config.maxChars / 2) break;
+        if (speakers[boundary] !== speakers[boundary - 1]) {
+          end = boundary;
+          break;
+        }
+      }
+    }
+
+    windows.push(createWindow(transcript, start, end, sizeOf(start, end)));
+    if (end >= transcript.length) break;
+
+    // Start the next window overlapChars back, at the start of a speaker's turn
+    let next = end;
+    while (next > start + 1 && sizeOf(next - 1, end) <= config.overlapChars) next--;
+    while (next > start + 1 && next < end && speakers[next] === speakers[next - 1] &&
+      sizeOf(next - 1, end) <= config.maxChars / 2) {
+      next--;
+    }
+    start = next;
+  }
+
+  windows.forEach((window, index) => {
+    window.index = index;
+  });
+  return windows;
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function (item, index)
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Split text into a set of lowercase words for comparison
+ * @param {string} text - Text
+ * @returns {Set<string>} Words of 3+ characters
+ */
+function toWordSet(text) {
+  return new Set((text || "").toLowerCase().replace(/[^a-z0-9\s]/g, " ").split(/\s+/).filter(word => word.length > 2));
+}
+
+/**
+ * Share of words two texts have in common (Jaccard similarity)
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 and 1
+ */
+function calculateWordSimilarity(a, b) {
+  const wordsA = toWordSet(a);
+  const wordsB = toWordSet(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Normalize evidence for comparison
+ * @param {string} evidence - Evidence quote
+ * @returns {string} Lowercase words only
+ */
+function normalizeEvidence(evidence) {
+  return (evidence || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * Check whether two tasks found in different windows are the same task
+ * @param {Object} a - Task
+ * @param {Object} b - Task
+ * @returns {boolean} True when they are duplicates
+ */
+function isSameFoundTask(a, b) {
+  if (a.category !== b.category) return false;
+
+  if (a.category === "UPDATE_TASK") {
+    const ticketKey = ticketId => (ticketId || "").replace(/[\s-]/g, "").toUpperCase();
+    return ticketKey(a.ticketId) === ticketKey(b.ticketId);
+  }
+
+  if ((a.assignee || "").toLowerCase() !== (b.assignee || "").toLowerCase()) return false;
+
+  const evidenceA = normalizeEvidence(a.evidence);
+  const evidenceB = normalizeEvidence(b.evidence);
+  const shorterEvidence = evidenceA.length < evidenceB.length ? evidenceA : evidenceB;
+  const sameEvidence = evidenceA.includes(evidenceB) || evidenceB.includes(evidenceA);
+  if (sameEvidence && shorterEvidence.length >= MIN_MATCHING_EVIDENCE_CHARS) {
+    return true;
+  }
+
+  return calculateWordSimilarity(a.description, b.description) >= DUPLICATE_DESCRIPTION_SIMILARITY;
+}
+
+/**
+ * Combine two finds of the same task
+ * The more detailed one is kept; fields it left empty are filled from the other.
+ * @param {Object} kept - Task found first
+ * @param {Object} duplicate - Same task found in another window
+ * @returns {Object} Merged task
+ */
+function mergeFoundTasks(kept, duplicate) {
+  const [base, other] = (duplicate.description || "").length > (kept.description || "").length ?
+    [duplicate, kept] : [kept, duplicate];
+  const merged = { ...base };
+
+  for (const field of ["context", "urgency", "priority", "storyPoints", "projectCode"]) {
+    if (!merged[field] && other[field]) merged[field] = other[field];
+  }
+  if (!merged.estimatedTime && other.estimatedTime) merged.estimatedTime = other.estimatedTime;
+
+  const evidenceBase = normalizeEvidence(base.evidence);
+  const evidenceOther = normalizeEvidence(other.evidence);
+  if (evidenceOther && !evidenceBase.includes(evidenceOther)) {
+    merged.evidence = evidenceBase.length > 0 && !evidenceOther.includes(evidenceBase) ?
+      `${base.evidence} / ${other.evidence}` : other.evidence;
+  }
+
+  merged.chunkIndexes = [...new Set([...kept.chunkIndexes, ...duplicate.chunkIndexes])].sort((a, b) => a - b);
+  merged.sourceWindow = {
+    startTime: kept.sourceWindow.startTime || duplicate.sourceWindow.startTime,
+    endTime: duplicate.sourceWindow.endTime || kept.sourceWindow.endTime,
+    firstEntry: Math.min(kept.sourceWindow.firstEntry, duplicate.sourceWindow.firstEntry),
+    lastEntry: Math.max(kept.sourceWindow.lastEntry, duplicate.sourceWindow.lastEntry),
+  };
+  return merged;
+}
+
+/**
+ * Merge the Task Finder results of each window into one result
+ * @param {Array<Object>} windowResults - { window, foundTasks, attendees } in meeting order
+ * @returns {Object} { foundTasks, attendees, duplicatesMerged } - tasks in the order they were first found
+ */
+function mergeChunkResults(windowResults) {
+  const foundTasks = [];
+  let duplicatesMerged = 0;
+
+  for (const { window, foundTasks: windowTasks } of windowResults) {
+    for (const task of windowTasks) {
+      const located = {
+        ...task,
+        chunkIndexes: [window.index],
+        sourceWindow: {
+          startTime: window.startTime,
+          endTime: window.endTime,
+          firstEntry: window.firstEntry,
+          lastEntry: window.lastEntry,
+        },
+      };
+
+      const duplicateIndex = foundTasks.findIndex(existing => isSameFoundTask(existing, located));
+      if (duplicateIndex === -1) {
+        foundTasks.push(located);
+      } else {
+        foundTasks[duplicateIndex] = mergeFoundTasks(foundTasks[duplicateIndex], located);
+        duplicatesMerged++;
+      }
+    }
+  }
+
+  // Attendee initials from every window, in order of first appearance
+  const attendees = [...new Set(windowResults.flatMap(result =>
+    (result.attendees || "").split(",").map(initials => initials.trim()).filter(Boolean)
+  ))].join(", ");
+
+  return { foundTasks, attendees, duplicatesMerged };
+}
+
+module.exports = {
+  getChunkingConfig,
+  chunkTranscript,
+  mapWithConcurrency,
+  mergeChunkResults,
+  isSameFoundTask,
+  calculateWordSimilarity,
+  getEntryTimes,
+  getEntrySpeaker,
+};
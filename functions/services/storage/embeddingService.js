@@ -13,7 +13,7 @@
  */
 
 const { MongoClient } = require('mongodb');
-const { OpenAIEmbeddings } = require('@langchain/openai');
+const { getEmbeddings, getEmbeddingModelName } = require('../integrations/llmProvider');
 const { RecursiveCharacterTextSplitter } = require('@langchain/textsplitters');
 const { MongoDBAtlasVectorSearch } = require('@langchain/mongodb');
 const crypto = require('crypto');
@@ -25,11 +25,8 @@ const DATABASE_NAME = "standuptickets";
 const EMBEDDINGS_COLLECTION = "task_embeddings";
 const VECTOR_INDEX_NAME = "task_vector_index";
 
-// Initialize OpenAI embeddings
-const embeddings = new OpenAIEmbeddings({
-  model: "text-embedding-3-small",
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Embeddings from the configured LLM provider
+const embeddings = getEmbeddings({ stage: "task_embeddings" });
 
 // Text splitter for large descriptions
 const textSplitter = new RecursiveCharacterTextSplitter({
@@ -151,7 +148,7 @@ async function addTaskEmbedding(taskData) {
       chunksStored: chunks.length,
       textLength: text.length,
       contentHash: contentHash,
-      model: "text-embedding-3-small"
+      model: getEmbeddingModelName()
     };
     
   } catch (error) {
@@ -0,0 +1,355 @@
+/**
+ * In-Memory HNSW Index
+ *
+ * Approximate nearest-neighbour index (Hierarchical Navigable Small World graph) over cosine
+ * similarity, used to search task embeddings without comparing the query against every task.
+ * Plain JavaScript, no native dependencies.
+ *
+ * Vectors are normalized on insert, so similarity is a dot product. Removed entries are only
+ * marked deleted (still traversed, never returned) - rebuild the index to drop them.
+ */
+
+/**
+ * Normalize a vector to unit length
+ * @param {Array<number>|Float32Array} vector - Vector
+ * @returns {Float32Array|null} Unit vector, or null for a zero vector
+ */
+function normalizeVector(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  if (norm === 0) {
+    return null;
+  }
+
+  norm = Math.sqrt(norm);
+  const unitVector = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) {
+    unitVector[i] = vector[i] / norm;
+  }
+  return unitVector;
+}
+
+/**
+ * Dot product of two vectors of the same length
+ * @param {Float32Array} vectorA - First vector
+ * @param {Float32Array} vectorB - Second vector
+ * @returns {number} Dot product
+ */
+function dotProduct(vectorA, vectorB) {
+  let sum = 0;
+  for (let i = 0; i < vectorA.length; i++) {
+    sum += vectorA[i] * vectorB[i];
+  }
+  return sum;
+}
+
+/**
+ * Insert into an array kept sorted by similarity, highest first
+ * @param {Array<Object>} list - Sorted { node, similarity } entries
+ * @param {Object} entry - Entry to insert
+ */
+function insertSorted(list, entry) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (list[middle].similarity > entry.similarity) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  list.splice(low, 0, entry);
+}
+
+class HnswIndex {
+  /**
+   * @param {Object} options - { dimensions, m, efConstruction, efSearch, random }
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || null;
+    this.m = options.m || 16;
+    this.maxNeighborsLayer0 = this.m * 2;
+    this.efConstruction = options.efConstruction || 100;
+    this.efSearch = options.efSearch || 64;
+    this.levelMultiplier = 1 / Math.log(this.m);
+    this.random = options.random || Math.random;
+
+    this.nodes = [];
+    this.nodeById = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  /**
+   * Number of entries that can be returned (deleted entries excluded)
+   * @returns {number} Live entry count
+   */
+  get size() {
+    return this.nodes.length - this.deletedCount;
+  }
+
+  /**
+   * Add an entry, replacing any existing entry with the same id
+   * @param {string} id - Entry id (e.g. ticketId)
+   * @param {Array<number>} vector - Embedding
+   * @param {Object} data - Payload returned with search results
+   * @returns {boolean} False if the vector was rejected (wrong dimensions or zero vector)
+   */
+  add(id, vector, data = {}) {
+    if (!vector || !vector.length) {
+      return false;
+    }
+    if (this.dimensions === null) {
+      this.dimensions = vector.length;
+    }
+    if (vector.length !== this.dimensions) {
+      return false;
+    }
+
+    const unitVector = normalizeVector(vector);
+    if (!unitVector) {
+      return false;
+    }
+
+    this.remove(id);
+
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+    const node = {
+      id,
+      vector: unitVector,
+      data,
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      deleted: false,
+    };
+    this.nodes.push(node);
+    this.nodeById.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return true;
+    }
+
+    // Greedy descent through the layers above the new node's top layer
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      current = this.greedyClosest(unitVector, current, layer);
+    }
+
+    // Connect the node on each of its layers
+    let entryPoints = [current];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(unitVector, entryPoints, this.efConstruction, layer);
+      const maxNeighbors = layer === 0 ? this.maxNeighborsLayer0 : this.m;
+      const neighbors = this.selectNeighbors(candidates, this.m);
+
+      node.neighbors[layer] = neighbors.map(candidate => candidate.node);
+      for (const { node: neighbor } of neighbors) {
+        neighbor.neighbors[layer].push(node);
+        if (neighbor.neighbors[layer].length > maxNeighbors) {
+          this.pruneNeighbors(neighbor, layer, maxNeighbors);
+        }
+      }
+      entryPoints = candidates.map(candidate => candidate.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+    return true;
+  }
+
+  /**
+   * Mark an entry deleted so it is no longer returned
+   * @param {string} id - Entry id
+   * @returns {boolean} True if a live entry was removed
+   */
+  remove(id) {
+    const node = this.nodeById.get(id);
+    if (!node) {
+      return false;
+    }
+    node.deleted = true;
+    this.nodeById.delete(id);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Whether an entry is in the index
+   * @param {string} id - Entry id
+   * @returns {boolean} True for live entries
+   */
+  has(id) {
+    return this.nodeById.has(id);
+  }
+
+  /**
+   * Find the entries most similar to a query vector
+   * @param {Array<number>} vector - Query embedding
+   * @param {number} topK - Number of results
+   * @param {Object} options - { efSearch, threshold, filter } - filter(data) picks the entries that may be returned;
+   *   the others are still traversed, so a selective filter does not starve the results
+   * @returns {Array<Object>} { id, data, similarity } sorted by similarity, highest first
+   */
+  search(vector, topK = 5, options = {}) {
+    if (this.entryPoint === null || !vector || vector.length !== this.dimensions) {
+      return [];
+    }
+    const queryVector = normalizeVector(vector);
+    if (!queryVector) {
+      return [];
+    }
+
+    const threshold = options.threshold === undefined ? -1 : options.threshold;
+    const ef = Math.max(options.efSearch || this.efSearch, topK);
+
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      current = this.greedyClosest(queryVector, current, layer);
+    }
+
+    // Widen the search by the number of deleted entries it may have to step over
+    const deletedShare = this.nodes.length > 0 ? this.deletedCount / this.nodes.length : 0;
+    const layerEf = Math.ceil(ef / Math.max(1 - deletedShare, 0.1));
+
+    const accept = options.filter ? node => options.filter(node.data) : null;
+    return this.searchLayer(queryVector, [current], layerEf, 0, accept)
+      .filter(candidate => !candidate.node.deleted && candidate.similarity >= threshold)
+      .slice(0, topK)
+      .map(candidate => ({ id: candidate.node.id, data: candidate.node.data, similarity: candidate.similarity }));
+  }
+
+  /**
+   * Walk a layer towards the node closest to the query
+   * @param {Float32Array} queryVector - Unit query vector
+   * @param {Object} startNode - Node to start from
+   * @param {number} layer - Layer to walk
+   * @returns {Object} Closest node found
+   */
+  greedyClosest(queryVector, startNode, layer) {
+    let current = startNode;
+    let currentSimilarity = dotProduct(queryVector, current.vector);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbor of current.neighbors[layer] || []) {
+        const similarity = dotProduct(queryVector, neighbor.vector);
+        if (similarity > currentSimilarity) {
+          current = neighbor;
+          currentSimilarity = similarity;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Best-first search of one layer
+   * @param {Float32Array} queryVector - Unit query vector
+   * @param {Array<Object>} entryNodes - Nodes to start from
+   * @param {number} ef - Size of the result list
+   * @param {number} layer - Layer to search
+   * @param {Function} accept - Optional accept(node); rejected nodes are walked through but not returned
+   * @returns {Array<Object>} Up to ef { node, similarity } entries, highest first
+   */
+  searchLayer(queryVector, entryNodes, ef, layer, accept = null) {
+    const visited = new Set(entryNodes);
+    const candidates = [];
+    const results = [];
+
+    for (const node of entryNodes) {
+      const entry = { node, similarity: dotProduct(queryVector, node.vector) };
+      insertSorted(candidates, entry);
+      if (!accept || accept(node)) {
+        insertSorted(results, entry);
+      }
+    }
+
+    while (candidates.length > 0) {
+      const closest = candidates.shift();
+      const furthestResult = results[results.length - 1];
+      if (results.length >= ef && closest.similarity < furthestResult.similarity) {
+        break;
+      }
+
+      for (const neighbor of closest.node.neighbors[layer] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const similarity = dotProduct(queryVector, neighbor.vector);
+        if (results.length < ef || similarity > results[results.length - 1].similarity) {
+          const entry = { node: neighbor, similarity };
+          insertSorted(candidates, entry);
+          if (!accept || accept(neighbor)) {
+            insertSorted(results, entry);
+            if (results.length > ef) {
+              results.pop();
+            }
+          }
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Pick neighbours that are close to the node but not redundant with each other
+   * @param {Array<Object>} candidates - { node, similarity } entries, highest first
+   * @param {number} count - Maximum neighbours
+   * @returns {Array<Object>} Selected entries
+   */
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+      // Skip a candidate that is closer to an already selected neighbour than to the node
+      const redundant = selected.some(chosen =>
+        dotProduct(candidate.node.vector, chosen.node.vector) > candidate.similarity
+      );
+      if (redundant) {
+        skipped.push(candidate);
+      } else {
+        selected.push(candidate);
+      }
+    }
+
+    // Fill up with the closest skipped candidates so sparse regions stay connected
+    for (const candidate of skipped) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+
+  /**
+   * Trim a node's neighbour list on one layer to its closest neighbours
+   * (cheaper than re-running selectNeighbors, which matters as this runs on most inserts)
+   * @param {Object} node - Node to trim
+   * @param {number} layer - Layer
+   * @param {number} maxNeighbors - Neighbours to keep
+   */
+  pruneNeighbors(node, layer, maxNeighbors) {
+    node.neighbors[layer] = node.neighbors[layer]
+      .map(neighbor => ({ node: neighbor, similarity: dotProduct(node.vector, neighbor.vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, maxNeighbors)
+      .map(candidate => candidate.node);
+  }
+}
+
+module.exports = {
+  HnswIndex,
+  normalizeVector,
+};
@@ -12,7 +12,7 @@
  */
 
 const { logger } = require("firebase-functions");
-const { OpenAIEmbeddings } = require("@langchain/openai");
+const { getEmbeddings } = require("../integrations/llmProvider");
 
 // Load environment variables
 require("dotenv").config();
@@ -21,11 +21,8 @@ require("dotenv").config();
 let localEmbeddingCache = new Map();
 let currentTranscriptId = null;
 
-// Initialize OpenAI embeddings
-const embeddings = new OpenAIEmbeddings({
-  model: "text-embedding-3-small",
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Embeddings from the configured LLM provider
+const embeddings = getEmbeddings({ stage: "rag_context" });
 
 /**
  * Store embeddings locally for the current transcript being processed
@@ -3,9 +3,9 @@
  * 
  * This service handles:
  * 1. Storing task embeddings directly in MongoDB documents
- * 2. Generating embeddings using OpenAI for task similarity search
+ * 2. Generating embeddings with the configured LLM provider for task similarity search
  * 3. Real-time embedding updates when tasks change
- * 4. Efficient similarity search using MongoDB vector operations
+ * 4. Similarity search through a pluggable vector search backend (taskVectorSearch.js)
  * 
  * REPLACES: File-based FAISS vector database approach
  * BENEFITS: 
@@ -16,19 +16,20 @@
  */
 
 const { logger } = require("firebase-functions");
-const OpenAI = require("openai");
 const crypto = require("crypto");
+const { getEmbeddings, getEmbeddingModelName } = require("../integrations/llmProvider");
+const {
+  searchTaskEmbeddings, noteTaskEmbeddingUpdated, noteTaskEmbeddingRemoved, calculateCosineSimilarity
+} = require("./taskVectorSearch");
 
 // Load environment variables
 require("dotenv").config();
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Embeddings from the configured LLM provider
+const embeddings = getEmbeddings({ stage: "task_embeddings" });
 
 /**
- * Generate embedding for task text using OpenAI
+ * Generate embedding for task text with the configured embedding model
  * @param {string} text - Task title + description
  * @param {Object} context - Additional context (assignee, type, etc.)
  * @returns {Promise<Array<number>>} Embedding vector (1536 dimensions)
@@ -42,23 +43,16 @@ async function generateTaskEmbedding(text, context = {}) {
     // Create enhanced text with context for better embeddings
     const enhancedText = createEnhancedTextForEmbedding(text, context);
     
-    const response = await openai.embeddings.create({
-      model: "text-embedding-3-small",
-      input: enhancedText,
-      encoding_format: "float",
-    });
-    
-    const embedding = response.data[0].embedding;
+    const embedding = await embeddings.embedQuery(enhancedText);
     
     if (!Array.isArray(embedding) || embedding.length === 0) {
-      throw new Error("Invalid embedding received from OpenAI");
+      throw new Error("Invalid embedding received from the embedding provider");
     }
     
     logger.info("Generated task embedding", {
       textLength: text.length,
       enhancedTextLength: enhancedText.length,
       embeddingDimension: embedding.length,
-      tokensUsed: response.usage?.total_tokens || 0,
       context: {
         assignee: context.assignee,
         type: context.type,
@@ -123,10 +117,11 @@ function createTextHash(text) {
  */
 async function addOrUpdateTaskEmbedding(ticketId, taskData) {
   try {
-    const { initializeMongoDB, getDatabase } = require("./mongoService");
+    const {
+      initializeMongoDB, getDatabase, TASKS_COLLECTION, TASK_COLLATION, TASK_PROJECTION
+    } = require("./mongoService");
     await initializeMongoDB();
     const db = getDatabase();
-    const collection = db.collection('sptasks');
     
     // Create text for embedding
     const text = `${taskData.title || ''} ${taskData.description || ''}`.trim();
@@ -149,97 +144,36 @@ async function addOrUpdateTaskEmbedding(ticketId, taskData) {
     
     // Create embedding metadata
     const embeddingMetadata = {
-      model: "text-embedding-3-small",
+      model: getEmbeddingModelName(),
       generatedAt: new Date().toISOString(),
       textHash: textHash,
       lastUpdated: new Date().toISOString(),
       dimensions: embedding.length
     };
     
-    // Find the document containing this task and update the embedding
-    const documents = await collection.find({}).toArray();
-    let updated = false;
-    
-    for (const doc of documents) {
-      for (const [participantName, participantData] of Object.entries(doc)) {
-        if (participantName === "_id" || participantName === "timestamp") continue;
-        
-        // Check Coding tasks
-        if (participantData.Coding && Array.isArray(participantData.Coding)) {
-          for (let i = 0; i < participantData.Coding.length; i++) {
-            const task = participantData.Coding[i];
-            if (task && task.ticketId === ticketId) {
-              // Update this specific task with embedding
-              const updatePath = `${participantName}.Coding.${i}.embedding`;
-              const metadataPath = `${participantName}.Coding.${i}.embeddingMetadata`;
-              
-              await collection.updateOne(
-                { _id: doc._id },
-                {
-                  $set: {
-                    [updatePath]: embedding,
-                    [metadataPath]: embeddingMetadata
-                  }
-                }
-              );
-              
-              logger.info("Updated task embedding in MongoDB", {
-                ticketId,
-                participantName,
-                type: "Coding",
-                embeddingDimension: embedding.length,
-                textHash: textHash.substring(0, 8)
-              });
-              
-              updated = true;
-              break;
-            }
-          }
-        }
-        
-        // Check Non-Coding tasks
-        if (participantData["Non-Coding"] && Array.isArray(participantData["Non-Coding"])) {
-          for (let i = 0; i < participantData["Non-Coding"].length; i++) {
-            const task = participantData["Non-Coding"][i];
-            if (task && task.ticketId === ticketId) {
-              // Update this specific task with embedding
-              const updatePath = `${participantName}.Non-Coding.${i}.embedding`;
-              const metadataPath = `${participantName}.Non-Coding.${i}.embeddingMetadata`;
-              
-              await collection.updateOne(
-                { _id: doc._id },
-                {
-                  $set: {
-                    [updatePath]: embedding,
-                    [metadataPath]: embeddingMetadata
-                  }
-                }
-              );
-              
-              logger.info("Updated task embedding in MongoDB", {
-                ticketId,
-                participantName,
-                type: "Non-Coding",
-                embeddingDimension: embedding.length,
-                textHash: textHash.substring(0, 8)
-              });
-              
-              updated = true;
-              break;
-            }
-          }
-        }
-        
-        if (updated) break;
-      }
-      if (updated) break;
-    }
+    // The task document holds its own embedding
+    const storedTask = await db.collection(TASKS_COLLECTION).findOneAndUpdate(
+      { ticketId },
+      { $set: { embedding, embeddingMetadata } },
+      { collation: TASK_COLLATION, projection: TASK_PROJECTION, returnDocument: "after" }
+    );
     
-    if (!updated) {
+    if (!storedTask) {
       logger.warn("Task not found for embedding update", { ticketId });
       return false;
     }
     
+    // The stored document keeps the fields searches filter on (workType, teamId) that taskData may not carry
+    noteTaskEmbeddingUpdated(storedTask.ticketId, embedding, storedTask);
+    
+    logger.info("Updated task embedding in MongoDB", {
+      ticketId,
+      participantName: taskData.participantName || taskData.assignee,
+      type: taskData.type,
+      embeddingDimension: embedding.length,
+      textHash: textHash.substring(0, 8)
+    });
+    
     return true;
     
   } catch (error) {
@@ -272,100 +206,40 @@ function needsEmbeddingUpdate(currentText, existingMetadata) {
 
 /**
  * Find similar tasks using MongoDB-stored embeddings
+ * The search backend (Atlas $vectorSearch, in-memory HNSW or brute force) is chosen by
+ * TASK_VECTOR_SEARCH - see taskVectorSearch.js.
  * @param {string} queryText - Text to search for
  * @param {Object} context - Query context
  * @param {number} topK - Number of results to return
  * @param {number} threshold - Similarity threshold (0-1)
+ * @param {Object} filter - { teamId, workType, statuses } limits the tasks that can match
  * @returns {Promise<Array>} Array of similar tasks with scores
  */
-async function findSimilarTasksInMongoDB(queryText, context = {}, topK = 5, threshold = 0.7) {
+async function findSimilarTasksInMongoDB(queryText, context = {}, topK = 5, threshold = 0.7, filter = {}) {
   try {
-    const { initializeMongoDB, getDatabase } = require("./mongoService");
-    await initializeMongoDB();
-    const db = getDatabase();
-    const collection = db.collection('sptasks');
+    const startTime = Date.now();
     
     // Generate embedding for query
     const queryEmbedding = await generateTaskEmbedding(queryText, context);
+    const embeddingTimeMs = Date.now() - startTime;
     
-    // Get all tasks with embeddings
-    const documents = await collection.find({}).toArray();
-    const taskCandidates = [];
-    
-    for (const doc of documents) {
-      for (const [participantName, participantData] of Object.entries(doc)) {
-        if (participantName === "_id" || participantName === "timestamp") continue;
-        
-        // Process Coding tasks
-        if (participantData.Coding && Array.isArray(participantData.Coding)) {
-          for (const task of participantData.Coding) {
-            if (task && task.embedding && task.ticketId) {
-              taskCandidates.push({
-                ticketId: task.ticketId,
-                title: task.title,
-                description: task.description,
-                assignee: participantName,
-                type: "Coding",
-                status: task.status,
-                embedding: task.embedding,
-                embeddingMetadata: task.embeddingMetadata
-              });
-            }
-          }
-        }
-        
-        // Process Non-Coding tasks
-        if (participantData["Non-Coding"] && Array.isArray(participantData["Non-Coding"])) {
-          for (const task of participantData["Non-Coding"]) {
-            if (task && task.embedding && task.ticketId) {
-              taskCandidates.push({
-                ticketId: task.ticketId,
-                title: task.title,
-                description: task.description,
-                assignee: participantName,
-                type: "Non-Coding",
-                status: task.status,
-                embedding: task.embedding,
-                embeddingMetadata: task.embeddingMetadata
-              });
-            }
-          }
-        }
-      }
-    }
-    
-    // Calculate similarities
-    const similarTasks = [];
-    
-    for (const candidate of taskCandidates) {
-      const similarity = calculateCosineSimilarity(queryEmbedding, candidate.embedding);
-      
-      if (similarity >= threshold) {
-        similarTasks.push({
-          ticketId: candidate.ticketId,
-          title: candidate.title,
-          description: candidate.description,
-          assignee: candidate.assignee,
-          type: candidate.type,
-          status: candidate.status,
-          similarity: similarity,
-          embeddingMetadata: candidate.embeddingMetadata
-        });
-      }
-    }
-    
-    // Sort by similarity (highest first) and limit results
-    similarTasks.sort((a, b) => b.similarity - a.similarity);
-    const results = similarTasks.slice(0, topK);
+    const { results, backend, candidateCount } = await searchTaskEmbeddings(queryEmbedding, {
+      topK,
+      threshold,
+      filter
+    });
     
     logger.info("MongoDB similarity search completed", {
       queryTextLength: queryText.length,
-      totalCandidates: taskCandidates.length,
-      candidatesWithEmbeddings: taskCandidates.filter(t => t.embedding).length,
-      resultsAboveThreshold: similarTasks.length,
+      backend,
+      filter,
+      candidateCount,
+      resultCount: results.length,
       topK,
       threshold,
-      topSimilarity: results.length > 0 ? results[0].similarity : 0
+      topSimilarity: results.length > 0 ? results[0].similarity : 0,
+      embeddingTimeMs,
+      searchTimeMs: Date.now() - startTime - embeddingTimeMs
     });
     
     return results;
@@ -381,104 +255,40 @@ async function findSimilarTasksInMongoDB(queryText, context = {}, topK = 5, thre
   }
 }
 
-/**
- * Calculate cosine similarity between two vectors
- * @param {Array<number>} vectorA 
- * @param {Array<number>} vectorB 
- * @returns {number} Similarity score (0-1)
- */
-function calculateCosineSimilarity(vectorA, vectorB) {
-  if (!vectorA || !vectorB || vectorA.length !== vectorB.length) {
-    return 0;
-  }
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vectorA.length; i++) {
-    dotProduct += vectorA[i] * vectorB[i];
-    normA += vectorA[i] * vectorA[i];
-    normB += vectorB[i] * vectorB[i];
-  }
-  
-  if (normA === 0 || normB === 0) return 0;
-  
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-}
-
 /**
  * Get embedding statistics from MongoDB
  * @returns {Promise<Object>} Statistics about embeddings
  */
 async function getEmbeddingStatistics() {
   try {
-    const { initializeMongoDB, getDatabase } = require("./mongoService");
+    const { initializeMongoDB, getDatabase, TASKS_COLLECTION } = require("./mongoService");
     await initializeMongoDB();
     const db = getDatabase();
-    const collection = db.collection('sptasks');
+    const collection = db.collection(TASKS_COLLECTION);
     
-    const documents = await collection.find({}).toArray();
+    const totalTasks = await collection.countDocuments({ ticketId: { $type: "string" } });
+    const embeddedTasks = await collection.find(
+      { ticketId: { $type: "string" }, embeddingMetadata: { $exists: true } },
+      { projection: { embeddingMetadata: 1 } }
+    ).toArray();
     
-    let totalTasks = 0;
-    let tasksWithEmbeddings = 0;
+    const tasksWithEmbeddings = embeddedTasks.length;
     let embeddingModels = {};
     let oldestEmbedding = null;
     let newestEmbedding = null;
     
-    for (const doc of documents) {
-      for (const [participantName, participantData] of Object.entries(doc)) {
-        if (participantName === "_id" || participantName === "timestamp") continue;
-        
-        // Process Coding tasks
-        if (participantData.Coding && Array.isArray(participantData.Coding)) {
-          for (const task of participantData.Coding) {
-            if (task && task.ticketId) {
-              totalTasks++;
-              if (task.embedding && task.embeddingMetadata) {
-                tasksWithEmbeddings++;
-                
-                // Track embedding models
-                const model = task.embeddingMetadata.model || "unknown";
-                embeddingModels[model] = (embeddingModels[model] || 0) + 1;
-                
-                // Track embedding dates
-                const embeddingDate = new Date(task.embeddingMetadata.generatedAt);
-                if (!oldestEmbedding || embeddingDate < oldestEmbedding) {
-                  oldestEmbedding = embeddingDate;
-                }
-                if (!newestEmbedding || embeddingDate > newestEmbedding) {
-                  newestEmbedding = embeddingDate;
-                }
-              }
-            }
-          }
-        }
-        
-        // Process Non-Coding tasks
-        if (participantData["Non-Coding"] && Array.isArray(participantData["Non-Coding"])) {
-          for (const task of participantData["Non-Coding"]) {
-            if (task && task.ticketId) {
-              totalTasks++;
-              if (task.embedding && task.embeddingMetadata) {
-                tasksWithEmbeddings++;
-                
-                // Track embedding models
-                const model = task.embeddingMetadata.model || "unknown";
-                embeddingModels[model] = (embeddingModels[model] || 0) + 1;
-                
-                // Track embedding dates
-                const embeddingDate = new Date(task.embeddingMetadata.generatedAt);
-                if (!oldestEmbedding || embeddingDate < oldestEmbedding) {
-                  oldestEmbedding = embeddingDate;
-                }
-                if (!newestEmbedding || embeddingDate > newestEmbedding) {
-                  newestEmbedding = embeddingDate;
-                }
-              }
-            }
-          }
-        }
+    for (const task of embeddedTasks) {
+      // Track embedding models
+      const model = task.embeddingMetadata.model || "unknown";
+      embeddingModels[model] = (embeddingModels[model] || 0) + 1;
+      
+      // Track embedding dates
+      const embeddingDate = new Date(task.embeddingMetadata.generatedAt);
+      if (!oldestEmbedding || embeddingDate < oldestEmbedding) {
+        oldestEmbedding = embeddingDate;
+      }
+      if (!newestEmbedding || embeddingDate > newestEmbedding) {
+        newestEmbedding = embeddingDate;
       }
     }
     
@@ -515,63 +325,18 @@ async function getEmbeddingStatistics() {
  */
 async function removeTaskEmbedding(ticketId) {
   try {
-    const { initializeMongoDB, getDatabase } = require("./mongoService");
+    const { initializeMongoDB, getDatabase, TASKS_COLLECTION, TASK_COLLATION } = require("./mongoService");
     await initializeMongoDB();
     const db = getDatabase();
-    const collection = db.collection('sptasks');
     
     // Find and remove embedding from the task
-    const documents = await collection.find({}).toArray();
-    let removed = false;
-    
-    for (const doc of documents) {
-      for (const [participantName, participantData] of Object.entries(doc)) {
-        if (participantName === "_id" || participantName === "timestamp") continue;
-        
-        // Check Coding tasks
-        if (participantData.Coding && Array.isArray(participantData.Coding)) {
-          for (let i = 0; i < participantData.Coding.length; i++) {
-            const task = participantData.Coding[i];
-            if (task && task.ticketId === ticketId && task.embedding) {
-              await collection.updateOne(
-                { _id: doc._id },
-                {
-                  $unset: {
-                    [`${participantName}.Coding.${i}.embedding`]: "",
-                    [`${participantName}.Coding.${i}.embeddingMetadata`]: ""
-                  }
-                }
-              );
-              removed = true;
-              break;
-            }
-          }
-        }
-        
-        // Check Non-Coding tasks
-        if (participantData["Non-Coding"] && Array.isArray(participantData["Non-Coding"])) {
-          for (let i = 0; i < participantData["Non-Coding"].length; i++) {
-            const task = participantData["Non-Coding"][i];
-            if (task && task.ticketId === ticketId && task.embedding) {
-              await collection.updateOne(
-                { _id: doc._id },
-                {
-                  $unset: {
-                    [`${participantName}.Non-Coding.${i}.embedding`]: "",
-                    [`${participantName}.Non-Coding.${i}.embeddingMetadata`]: ""
-                  }
-                }
-              );
-              removed = true;
-              break;
-            }
-          }
-        }
-        
-        if (removed) break;
-      }
-      if (removed) break;
-    }
+    const result = await db.collection(TASKS_COLLECTION).updateOne(
+      { ticketId, embedding: { $exists: true } },
+      { $unset: { embedding: "", embeddingMetadata: "" } },
+      { collation: TASK_COLLATION }
+    );
+    const removed = result.modifiedCount > 0;
+    noteTaskEmbeddingRemoved(ticketId);
     
     if (removed) {
       logger.info("Removed task embedding from MongoDB", { ticketId });
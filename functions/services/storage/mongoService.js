@@ -3,11 +3,11 @@
  * 
  * This service handles:
  * 1. Connection to MongoDB
- * 2. Storing task data in the 'sptasks' collection
+ * 2. Storing task data in the 'tasks' collection (one document per task)
  * 3. Retrieving task data for analysis
  */
 
-const { MongoClient } = require("mongodb");
+const { MongoClient, ObjectId } = require("mongodb");
 const {logger} = require("firebase-functions");
 
 // Load environment variables
@@ -23,14 +23,28 @@ const DATABASE_NAME = (() => {
   }
   return "standuptickets";
 })();
-const COLLECTION_NAME = "sptasks";
+const TASKS_COLLECTION = "tasks";
+// Pre-normalization layout (one document per run, keyed by participant) - only read by the migration script
+const LEGACY_TASKS_COLLECTION = "sptasks";
 const TRANSCRIPTS_COLLECTION = "transcripts";
 const COUNTERS_COLLECTION = "counters";
 const CRON_TRACKING_COLLECTION = "cron_tracking";
 const PROCESSED_TRANSCRIPTS_COLLECTION = "processed_transcripts";
+const APPROVAL_QUEUE_COLLECTION = "pending_approvals";
+const PARTICIPANTS_COLLECTION = "participants";
+const JIRA_SYNC_CONFLICTS_COLLECTION = "jira_sync_conflicts";
+
+// Case-insensitive matching for ticketId, assignee, status and projectCode (the task indexes use it too)
+const TASK_COLLATION = { locale: "en", strength: 2 };
+// Task queries leave out the embedding vectors unless they need them
+const TASK_PROJECTION = { embedding: 0 };
+const ACTIVE_TASK_STATUSES = ["To-do", "In-progress", "In Progress", "In Review", "Blocked"];
+// Transcript sources kept per task (oldest dropped first)
+const MAX_TASK_TRANSCRIPT_SOURCES = 20;
 
 let client = null;
 let db = null;
+let taskIndexesEnsured = false;
 
 /**
  * Initialize MongoDB connection
@@ -49,7 +63,7 @@ async function initializeMongoDB() {
       
       logger.info("MongoDB connection established", {
         database: DATABASE_NAME,
-        collection: COLLECTION_NAME,
+        collection: TASKS_COLLECTION,
       });
     }
   } catch (error) {
@@ -233,7 +247,7 @@ async function _addNewTasksToMongoEmbeddings(processedTasksData, assignedTicketI
 
 /**
  * Store processed tasks in MongoDB with unique ticket IDs and titles for each task
- * FIXED: Now merges with existing active tasks instead of creating separate documents
+ * Each task becomes its own document in the tasks collection, tagged with a shared runId.
  * @param {Object} tasksData - Structured task data organized by participant
  * @param {Object} metadata - Additional metadata about the processing, including jiraTicketIdMap
  * @param {Object} metadata.jiraTicketIdMap - Map of task keys to Jira ticketIds (format: "participant:Coding:index" -> "JIRA-123")
@@ -243,10 +257,11 @@ async function storeTasks(tasksData, _metadata = {}) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(COLLECTION_NAME);
+    const collection = db.collection(TASKS_COLLECTION);
     
-    // Ensure ticket counter is initialized
-    await initializeTicketCounter();
+    // Ensure the team's ticket counter is initialized
+    const ticketCounter = _metadata.ticketCounter || {};
+    await initializeTicketCounter(1, ticketCounter);
     
     // Import title generation function
     const { generateTaskTitlesInBatch } = require("../integrations/openaiService");
@@ -303,7 +318,7 @@ async function storeTasks(tasksData, _metadata = {}) {
           
           if (!ticketId) {
             // No Jira ticketId available, generate SP-XXX format
-            ticketId = await getNextTicketId();
+            ticketId = await getNextTicketId(ticketCounter);
             logger.info("Using SP-XXX ticketId for Coding task (no Jira ID)", {
               participant: participantName,
               taskIndex: codingIndex,
@@ -359,7 +374,7 @@ async function storeTasks(tasksData, _metadata = {}) {
           
           if (!ticketId) {
             // No Jira ticketId available, generate SP-XXX format
-            ticketId = await getNextTicketId();
+            ticketId = await getNextTicketId(ticketCounter);
             logger.info("Using SP-XXX ticketId for Non-Coding task (no Jira ID)", {
               participant: participantName,
               taskIndex: nonCodingIndex,
@@ -399,20 +414,27 @@ async function storeTasks(tasksData, _metadata = {}) {
       }
     }
     
-    // Create document structure according to requirements
-    const document = {
-      timestamp: new Date(),
-      ...processedTasksData, // This will include participant data with ticket IDs
-    };
+    // One document per task; runId groups the tasks stored by this run
+    const runId = new ObjectId();
+    const timestamp = new Date();
+    const teamId = _metadata.teamId || "default";
+    const taskDocuments = Object.entries(processedTasksData).flatMap(([participantName, participantTasks]) =>
+      ["Coding", "Non-Coding"].flatMap(type => participantTasks[type].map(task =>
+        buildTaskDocument(task, { assignee: participantName, type, teamId, runId, createdAt: timestamp })
+      ))
+    );
     
-    const result = await collection.insertOne(document);
+    await ensureTaskIndexes();
+    if (taskDocuments.length > 0) {
+      await collection.insertMany(taskDocuments);
+    }
     
     logger.info("Tasks stored successfully in MongoDB with ticket IDs", {
-      documentId: result.insertedId,
+      runId,
       participantCount: Object.keys(tasksData).length,
       totalTasksWithIds,
       assignedTicketIds,
-      timestamp: document.timestamp,
+      timestamp,
     });
     
     // Add new tasks to modern MongoDB Atlas Vector Search embeddings
@@ -420,13 +442,14 @@ async function storeTasks(tasksData, _metadata = {}) {
     
     return {
       success: true,
-      documentId: result.insertedId,
-      timestamp: document.timestamp,
+      runId,
+      // Callers report the stored run under documentId
+      documentId: runId,
+      timestamp,
       participantCount: Object.keys(tasksData).length,
       totalTasksWithIds,
       assignedTicketIds,
     };
-    
   } catch (error) {
     logger.error("Error storing tasks in MongoDB", {
       error: error.message,
@@ -467,6 +490,7 @@ async function storeTranscript(transcriptData, metadata = {}) {
       entry_count: transcriptData.length,
       meeting_id: metadata.meetingId || null,
       transcript_id: metadata.transcriptId || null,
+      team_id: metadata.teamId || "default",
     };
     
     const result = await collection.insertOne(document);
@@ -595,31 +619,33 @@ async function getLatestTranscript() {
 
 /**
  * Retrieve tasks from MongoDB
- * @param {Object} query - MongoDB query object (optional)
+ * @param {Object} query - MongoDB query on task documents (optional)
  * @param {Object} options - Query options like limit, sort (optional)
- * @returns {Promise<Array>} Array of task documents
+ * @returns {Promise<Array>} Task records (see toTaskRecord), newest first
  */
 async function getTasks(query = {}, options = {}) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(COLLECTION_NAME);
+    const collection = db.collection(TASKS_COLLECTION);
     
     // Default options
     const queryOptions = {
-      sort: { timestamp: -1 }, // Most recent first
-      limit: 50, // Limit to 50 documents by default
+      sort: { createdAt: -1 }, // Most recent first
+      limit: 50, // Limit to 50 tasks by default
+      collation: TASK_COLLATION,
+      projection: TASK_PROJECTION,
       ...options
     };
     
-    const tasks = await collection.find(query, queryOptions).toArray();
+    const documents = await collection.find(query, queryOptions).toArray();
     
     logger.info("Tasks retrieved from MongoDB", {
-      documentCount: tasks.length,
+      taskCount: documents.length,
       query: JSON.stringify(query),
     });
     
-    return tasks;
+    return documents.map(toTaskRecord);
     
   } catch (error) {
     logger.error("Error retrieving tasks from MongoDB", {
@@ -632,14 +658,14 @@ async function getTasks(query = {}, options = {}) {
 }
 
 /**
- * Get tasks for a specific date range
+ * Get tasks created in a date range
  * @param {Date} startDate - Start date for the range
  * @param {Date} endDate - End date for the range
- * @returns {Promise<Array>} Array of task documents within the date range
+ * @returns {Promise<Array>} Task records created within the date range
  */
 async function getTasksByDateRange(startDate, endDate) {
   const query = {
-    timestamp: {
+    createdAt: {
       $gte: startDate,
       $lte: endDate
     }
@@ -649,104 +675,82 @@ async function getTasksByDateRange(startDate, endDate) {
 }
 
 /**
- * Get the most recent task document
- * @returns {Promise<Object|null>} Most recent task document or null if none found
+ * Get the tasks stored by the most recent run
+ * @returns {Promise<Array>} Task records of the latest run (empty if none)
  */
 async function getLatestTasks() {
-  const tasks = await getTasks({}, { limit: 1 });
-  return tasks.length > 0 ? tasks[0] : null;
+  const [latestTask] = await getTasks({ runId: { $ne: null } }, { limit: 1 });
+  return latestTask ? await getTasks({ runId: latestTask.runId }, { limit: 0 }) : [];
 }
 
 /**
  * Get tasks for a specific participant across all meetings
  * @param {string} participantName - Name of the participant
- * @param {number} limit - Maximum number of documents to return
- * @returns {Promise<Array>} Array of documents containing tasks for the participant
+ * @param {number} limit - Maximum number of tasks to return
+ * @returns {Promise<Array>} Task records assigned to the participant
  */
 async function getTasksByParticipant(participantName, limit = 10) {
-  const query = {};
-  query[participantName] = { $exists: true };
-  
-  return await getTasks(query, { limit });
+  return await getTasks({ assignee: participantName }, { limit });
+}
+
+/**
+ * Build the MongoDB filter selecting one team's tasks
+ * Tasks written before multi-team support have no teamId and belong to the default team.
+ * @param {string} teamId - Team ID (falsy = no filtering)
+ * @returns {Object} MongoDB query
+ */
+function buildTeamQuery(teamId) {
+  if (!teamId) {
+    return {};
+  }
+  if (teamId === "default") {
+    return { $or: [{ teamId: "default" }, { teamId: { $exists: false } }] };
+  }
+  return { teamId };
 }
 
 /**
  * Get all active tasks (to-do and in-progress) from the database in a simplified format
+ * Tasks whose Jira issue was deleted are left out.
+ * @param {Object} options - Options: teamId restricts the result to one team's tasks, assignee to one participant
  * @returns {Promise<Array>} Array of active tasks with participant, description, status, type, etc.
  */
-async function getActiveTasks() {
+async function getActiveTasks(options = {}) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(COLLECTION_NAME);
-    
-    // Get all documents, sorted by most recent first
-    const documents = await collection.find({}, { sort: { timestamp: -1 } }).toArray();
+    const collection = db.collection(TASKS_COLLECTION);
     
-    const activeTasks = [];
-    
-    // Extract active tasks from all documents
-    for (const doc of documents) {
-      const docId = doc._id;
-      const timestamp = doc.timestamp;
-      
-      // Process each participant in the document
-      for (const [participantName, participantData] of Object.entries(doc)) {
-        if (participantName === "_id" || participantName === "timestamp") continue;
-        
-        // Process coding tasks
-        if (participantData.Coding && Array.isArray(participantData.Coding)) {
-          for (let i = 0; i < participantData.Coding.length; i++) {
-            const task = participantData.Coding[i];
-            const taskObj = typeof task === "string" ? { description: task, status: "To-do" } : task;
-            
-            if (taskObj.status === "To-do" || taskObj.status === "In-progress" || taskObj.status === "In Progress") {
-              activeTasks.push({
-                participantName,
-                ticketId: taskObj.ticketId || null, // Include ticket ID if available
-                title: taskObj.title || null, // Include title if available
-                description: taskObj.description,
-                status: taskObj.status,
-                type: "Coding",
-                estimatedTime: taskObj.estimatedTime || 0,
-                documentId: docId,
-                timestamp,
-                taskIndex: i,
-                taskPath: `${participantName}.Coding.${i}`
-              });
-            }
-          }
-        }
-        
-        // Process non-coding tasks
-        if (participantData["Non-Coding"] && Array.isArray(participantData["Non-Coding"])) {
-          for (let i = 0; i < participantData["Non-Coding"].length; i++) {
-            const task = participantData["Non-Coding"][i];
-            const taskObj = typeof task === "string" ? { description: task, status: "To-do" } : task;
-            
-            if (taskObj.status === "To-do" || taskObj.status === "In-progress" || taskObj.status === "In Progress") {
-              activeTasks.push({
-                participantName,
-                ticketId: taskObj.ticketId || null, // Include ticket ID if available
-                title: taskObj.title || null, // Include title if available
-                description: taskObj.description,
-                status: taskObj.status,
-                type: "Non-Coding",
-                estimatedTime: taskObj.estimatedTime || 0,
-                documentId: docId,
-                timestamp,
-                taskIndex: i,
-                taskPath: `${participantName}.Non-Coding.${i}`
-              });
-            }
-          }
-        }
-      }
+    const query = {
+      ...buildTeamQuery(options.teamId),
+      status: { $in: ACTIVE_TASK_STATUSES },
+      jiraDeletedAt: { $exists: false },
+    };
+    if (options.assignee) {
+      query.assignee = options.assignee;
     }
     
+    const documents = await collection.find(query, {
+      sort: { createdAt: -1 },
+      collation: TASK_COLLATION,
+      projection: TASK_PROJECTION,
+    }).toArray();
+    
+    const activeTasks = documents.map(doc => ({
+      participantName: doc.assignee,
+      ticketId: doc.ticketId || null, // Include ticket ID if available
+      title: doc.title || null, // Include title if available
+      description: doc.description,
+      status: doc.status,
+      type: doc.type,
+      estimatedTime: doc.estimatedTime || 0,
+      documentId: doc._id,
+      timestamp: doc.createdAt
+    }));
+    
     logger.info("Active tasks retrieved from MongoDB", {
       totalActiveTasks: activeTasks.length,
-      documentsProcessed: documents.length,
+      teamId: options.teamId || "all",
     });
     
     return activeTasks;
@@ -766,382 +770,246 @@ async function getActiveTasks() {
  * @returns {Promise<Array>} Array of active tasks for the participant
  */
 async function getActiveTasksByParticipant(participantName) {
-  const allActiveTasks = await getActiveTasks();
-  return allActiveTasks.filter(task => task.participantName === participantName);
+  return await getActiveTasks({ assignee: participantName });
 }
 
 /**
- * Update an existing task by its ticketId across all documents
- * @param {string} ticketId - Ticket ID to find and update (e.g., "SP-123")
- * @param {Object} updateData - Data to update (description, status, etc.)
- * @returns {Promise<Object>} Update result
+ * Build a document for the tasks collection
+ * @param {Object} task - Task fields (ticketId, title, description, status, workType, estimatedTime, ...)
+ * @param {Object} placement - { assignee, type, teamId, runId, createdAt }
+ * @returns {Object} Task document
+ */
+function buildTaskDocument(task, { assignee, type, teamId = "default", runId = null, createdAt = new Date() }) {
+  return {
+    ...task,
+    assignee,
+    type,
+    teamId,
+    runId,
+    createdAt,
+    updatedAt: createdAt,
+  };
+}
+
+/**
+ * Convert a task document into the flat task record used by the pipeline and the API
+ * @param {Object} doc - Document from the tasks collection
+ * @returns {Object} Task record with participantName, type, teamId, documentId and timestamp
  */
-async function updateTaskByTicketId(ticketId, updateData) {
+function toTaskRecord(doc) {
+  // Embeddings are large and only useful for similarity search
+  const {
+    _id, assignee, embedding: _embedding, embeddingMetadata: _embeddingMetadata, ...taskFields
+  } = doc;
+  
+  return {
+    ...taskFields,
+    ticketId: doc.ticketId || null,
+    title: doc.title || null,
+    participantName: assignee,
+    teamId: doc.teamId || "default",
+    documentId: _id,
+    timestamp: doc.createdAt
+  };
+}
+
+/**
+ * Ensure the tasks collection indexes exist (idempotent, created once per instance)
+ * They use TASK_COLLATION, so queries must pass the same collation to use them.
+ * @returns {Promise<void>}
+ */
+async function ensureTaskIndexes() {
+  if (taskIndexesEnsured) {
+    return;
+  }
+  
+  await db.collection(TASKS_COLLECTION).createIndexes([
+    {
+      key: { ticketId: 1 },
+      name: "ticketId_unique",
+      unique: true,
+      partialFilterExpression: { ticketId: { $type: "string" } },
+      collation: TASK_COLLATION
+    },
+    { key: { assignee: 1, status: 1 }, name: "assignee_status", collation: TASK_COLLATION },
+    { key: { status: 1, teamId: 1 }, name: "status_teamId", collation: TASK_COLLATION },
+    { key: { projectCode: 1 }, name: "projectCode", collation: TASK_COLLATION },
+    { key: { teamId: 1, createdAt: -1 }, name: "teamId_createdAt", collation: TASK_COLLATION },
+    { key: { runId: 1 }, name: "runId", collation: TASK_COLLATION },
+    { key: { dueDate: 1, status: 1 }, name: "dueDate_status", collation: TASK_COLLATION },
+  ]);
+  taskIndexesEnsured = true;
+}
+
+/**
+ * Find individual tasks with filters
+ * @param {Object} filters - Filters: teamId, assignee, status, type, projectCode, ticketId, from, to
+ * @param {Object} options - Pagination options: limit (default 100), offset (default 0)
+ * @returns {Promise<Object>} Matching tasks plus total count
+ */
+async function findTasks(filters = {}, options = {}) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(COLLECTION_NAME);
-    
-    // Find all documents to search for the ticket
-    const documents = await collection.find({}).toArray();
+    const collection = db.collection(TASKS_COLLECTION);
     
-    for (const doc of documents) {
-      // Search through all participants
-      for (const participantName of Object.keys(doc)) {
-        if (participantName === "_id" || participantName === "timestamp") continue;
-        
-        const participantData = doc[participantName];
-        if (!participantData || typeof participantData !== "object") continue;
-        
-        // Search Coding tasks
-        if (participantData.Coding && Array.isArray(participantData.Coding)) {
-          for (let i = 0; i < participantData.Coding.length; i++) {
-            const task = participantData.Coding[i];
-            if (task && task.ticketId === ticketId) {
-              // Found the task! Update it
-              const updateObj = {};
-              if (updateData.description !== undefined) {
-                updateObj[`${participantName}.Coding.${i}.description`] = updateData.description;
-              }
-              if (updateData.status !== undefined) {
-                updateObj[`${participantName}.Coding.${i}.status`] = updateData.status;
-              }
-              if (updateData.estimatedTime !== undefined) {
-                updateObj[`${participantName}.Coding.${i}.estimatedTime`] = updateData.estimatedTime;
-              }
-              
-              const result = await collection.updateOne(
-                { _id: doc._id },
-                { $set: updateObj }
-              );
-              
-              // Update embedding if content changed
-              if (result.modifiedCount > 0 && (updateData.description || updateData.title || updateData.status)) {
-                try {
-                  const { addOrUpdateTaskEmbedding } = require("./mongoEmbeddingService");
-                  
-                  // Get updated task data for embedding
-                  const updatedTaskData = {
-                    title: updateData.title || task.title,
-                    description: updateData.description || task.description,
-                    assignee: participantName,
-                    participantName: participantName,
-                    type: "Coding",
-                    status: updateData.status || task.status
-                  };
-                  
-                  await addOrUpdateTaskEmbedding(ticketId, updatedTaskData);
-                  console.log(`[DEBUG] Updated embedding for task ${ticketId} after update`);
-                } catch (embeddingError) {
-                  logger.warn("Failed to update embedding after task update", {
-                    ticketId,
-                    error: embeddingError.message
-                  });
-                  // Don't fail the update if embedding fails
-                }
-              }
-              
-              logger.info("Task updated by ticketId", {
-                ticketId,
-                documentId: doc._id,
-                participantName,
-                taskType: "Coding",
-                taskIndex: i,
-                updateData,
-                result: result.modifiedCount > 0 ? "success" : "no_changes"
-              });
-              
-              // Update Jira issue if this is a Jira ticket and MongoDB update was successful
-              let jiraUpdateResult = null;
-              if (result.modifiedCount > 0) {
-                try {
-                  const { isJiraTicket, updateJiraIssue } = require("../integrations/jiraService");
-                  
-                  if (isJiraTicket(ticketId)) {
-                    // Prepare update data for Jira (only include fields being updated)
-                    const jiraUpdateData = {};
-                    if (updateData.status !== undefined) {
-                      jiraUpdateData.status = updateData.status;
-                    }
-                    if (updateData.description !== undefined) {
-                      jiraUpdateData.description = updateData.description;
-                    }
-                    
-                    // Only update Jira if there's something to update
-                    if (Object.keys(jiraUpdateData).length > 0) {
-                      jiraUpdateResult = await updateJiraIssue(ticketId, jiraUpdateData);
-                      
-                      if (!jiraUpdateResult.success) {
-                        logger.warn("Jira update failed but MongoDB update succeeded", {
-                          ticketId,
-                          jiraErrors: jiraUpdateResult.errors,
-                        });
-                      } else {
-                        logger.info("Jira issue updated successfully", {
-                          ticketId,
-                          statusUpdated: jiraUpdateResult.statusUpdated,
-                          descriptionUpdated: jiraUpdateResult.descriptionUpdated,
-                        });
-                      }
-                    }
-                  }
-                } catch (jiraError) {
-                  // Log but don't fail MongoDB update
-                  logger.warn("Error updating Jira issue (non-blocking)", {
-                    ticketId,
-                    error: jiraError.message,
-                  });
-                }
-              }
-              
-              return {
-                success: result.modifiedCount > 0,
-                documentId: doc._id,
-                participantName,
-                taskType: "Coding",
-                taskIndex: i,
-                modifiedCount: result.modifiedCount,
-                jiraUpdate: jiraUpdateResult
-              };
-            }
-          }
-        }
-        
-        // Search Non-Coding tasks
-        if (participantData["Non-Coding"] && Array.isArray(participantData["Non-Coding"])) {
-          for (let i = 0; i < participantData["Non-Coding"].length; i++) {
-            const task = participantData["Non-Coding"][i];
-            if (task && task.ticketId === ticketId) {
-              // Found the task! Update it
-              const updateObj = {};
-              if (updateData.description !== undefined) {
-                updateObj[`${participantName}.Non-Coding.${i}.description`] = updateData.description;
-              }
-              if (updateData.status !== undefined) {
-                updateObj[`${participantName}.Non-Coding.${i}.status`] = updateData.status;
-              }
-              if (updateData.estimatedTime !== undefined) {
-                updateObj[`${participantName}.Non-Coding.${i}.estimatedTime`] = updateData.estimatedTime;
-              }
-              
-              const result = await collection.updateOne(
-                { _id: doc._id },
-                { $set: updateObj }
-              );
-              
-              // Update embedding if content changed
-              if (result.modifiedCount > 0 && (updateData.description || updateData.title || updateData.status)) {
-                try {
-                  const { addOrUpdateTaskEmbedding } = require("./mongoEmbeddingService");
-                  
-                  // Get updated task data for embedding
-                  const updatedTaskData = {
-                    title: updateData.title || task.title,
-                    description: updateData.description || task.description,
-                    assignee: participantName,
-                    participantName: participantName,
-                    type: "Non-Coding",
-                    status: updateData.status || task.status
-                  };
-                  
-                  await addOrUpdateTaskEmbedding(ticketId, updatedTaskData);
-                  console.log(`[DEBUG] Updated embedding for task ${ticketId} after update`);
-                } catch (embeddingError) {
-                  logger.warn("Failed to update embedding after task update", {
-                    ticketId,
-                    error: embeddingError.message
-                  });
-                  // Don't fail the update if embedding fails
-                }
-              }
-              
-              logger.info("Task updated by ticketId", {
-                ticketId,
-                documentId: doc._id,
-                participantName,
-                taskType: "Non-Coding",
-                taskIndex: i,
-                updateData,
-                result: result.modifiedCount > 0 ? "success" : "no_changes"
-              });
-              
-              // Update Jira issue if this is a Jira ticket and MongoDB update was successful
-              let jiraUpdateResult = null;
-              if (result.modifiedCount > 0) {
-                try {
-                  const { isJiraTicket, updateJiraIssue } = require("../integrations/jiraService");
-                  
-                  if (isJiraTicket(ticketId)) {
-                    // Prepare update data for Jira (only include fields being updated)
-                    const jiraUpdateData = {};
-                    if (updateData.status !== undefined) {
-                      jiraUpdateData.status = updateData.status;
-                    }
-                    if (updateData.description !== undefined) {
-                      jiraUpdateData.description = updateData.description;
-                    }
-                    
-                    // Only update Jira if there's something to update
-                    if (Object.keys(jiraUpdateData).length > 0) {
-                      jiraUpdateResult = await updateJiraIssue(ticketId, jiraUpdateData);
-                      
-                      if (!jiraUpdateResult.success) {
-                        logger.warn("Jira update failed but MongoDB update succeeded", {
-                          ticketId,
-                          jiraErrors: jiraUpdateResult.errors,
-                        });
-                      } else {
-                        logger.info("Jira issue updated successfully", {
-                          ticketId,
-                          statusUpdated: jiraUpdateResult.statusUpdated,
-                          descriptionUpdated: jiraUpdateResult.descriptionUpdated,
-                        });
-                      }
-                    }
-                  }
-                } catch (jiraError) {
-                  // Log but don't fail MongoDB update
-                  logger.warn("Error updating Jira issue (non-blocking)", {
-                    ticketId,
-                    error: jiraError.message,
-                  });
-                }
-              }
-              
-              return {
-                success: result.modifiedCount > 0,
-                documentId: doc._id,
-                participantName,
-                taskType: "Non-Coding",
-                taskIndex: i,
-                modifiedCount: result.modifiedCount,
-                jiraUpdate: jiraUpdateResult
-              };
-            }
-          }
-        }
-      }
+    // String filters match case-insensitively through TASK_COLLATION
+    const query = buildTeamQuery(filters.teamId);
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
     }
+    if (filters.assignee) query.assignee = filters.assignee.trim();
+    if (filters.status) query.status = { $in: filters.status.split(",").map(status => status.trim()) };
+    if (filters.type) query.type = filters.type.trim();
+    if (filters.projectCode) query.projectCode = filters.projectCode.trim();
+    if (filters.ticketId) query.ticketId = filters.ticketId.trim();
+    
+    const limit = options.limit || 100;
+    const offset = options.offset || 0;
+    
+    const [total, documents] = await Promise.all([
+      collection.countDocuments(query, { collation: TASK_COLLATION }),
+      collection.find(query, {
+        sort: { createdAt: -1 },
+        skip: offset,
+        limit,
+        collation: TASK_COLLATION,
+        projection: TASK_PROJECTION,
+      }).toArray()
+    ]);
+    
+    logger.info("Tasks queried from MongoDB", {
+      filters,
+      totalMatches: total,
+      limit,
+      offset
+    });
     
-    // Task not found
-    logger.warn("Task not found for update", { ticketId, updateData });
     return {
-      success: false,
-      error: "Task not found",
-      ticketId
+      total,
+      limit,
+      offset,
+      tasks: documents.map(toTaskRecord)
     };
     
   } catch (error) {
-    logger.error("Error updating task by ticketId", {
-      ticketId,
-      updateData,
+    logger.error("Error querying tasks from MongoDB", {
       error: error.message,
       stack: error.stack,
+      filters
     });
+    throw new Error(`MongoDB task query failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single task by its ticketId
+ * @param {string} ticketId - Ticket ID (e.g., "TDS-123" or "SP-45")
+ * @returns {Promise<Object|null>} Task record or null if not found
+ */
+async function getTaskByTicketId(ticketId) {
+  try {
+    await initializeMongoDB();
     
-    return {
-      success: false,
-      error: error.message,
-      ticketId
-    };
+    const doc = await db.collection(TASKS_COLLECTION).findOne(
+      { ticketId },
+      { collation: TASK_COLLATION, projection: TASK_PROJECTION }
+    );
+    return doc ? toTaskRecord(doc) : null;
+    
+  } catch (error) {
+    logger.error("Error getting task by ticketId", {
+      ticketId,
+      error: error.message
+    });
+    throw new Error(`MongoDB task lookup failed: ${error.message}`);
   }
 }
 
 /**
- * Update a specific task in the database
- * @param {string} documentId - MongoDB document ID
- * @param {string} taskPath - Path to the task (e.g., "Azmain.Coding.0")
- * @param {Object} updateData - Data to update (description, status, estimatedTime)
+ * Update an existing task by its ticketId
+ * @param {string} ticketId - Ticket ID to find and update (e.g., "SP-123")
+ * @param {Object} updateData - Data to update (description, status, etc.)
+ * @param {Object} options - { updateJira: false } skips pushing the change to Jira (for changes that came from Jira)
  * @returns {Promise<Object>} Update result
  */
-async function updateTask(documentId, taskPath, updateData) {
+async function updateTaskByTicketId(ticketId, updateData, options = {}) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(COLLECTION_NAME);
-    
-    // Get the document to extract ticketId for Jira updates
-    const doc = await collection.findOne({ _id: documentId });
-    let ticketId = null;
+    const collection = db.collection(TASKS_COLLECTION);
     
-    if (doc) {
-      // Extract ticketId from taskPath (e.g., "Azmain.Coding.0")
-      const pathParts = taskPath.split(".");
-      if (pathParts.length >= 3) {
-        const participantName = pathParts[0];
-        const taskType = pathParts[1];
-        const taskIndex = parseInt(pathParts[2], 10);
-        
-        if (doc[participantName] && doc[participantName][taskType] && 
-            Array.isArray(doc[participantName][taskType]) && 
-            doc[participantName][taskType][taskIndex]) {
-          ticketId = doc[participantName][taskType][taskIndex].ticketId;
-        }
-      }
-      
-      // Fallback to updateData.ticketId if available
-      if (!ticketId && updateData.ticketId) {
-        ticketId = updateData.ticketId;
-      }
+    const task = await collection.findOne({ ticketId }, { collation: TASK_COLLATION, projection: TASK_PROJECTION });
+    if (!task) {
+      logger.warn("Task not found for update", { ticketId, updateData });
+      return {
+        success: false,
+        error: "Task not found",
+        ticketId
+      };
     }
     
-    // Prepare update object
     const updateObj = {};
-    
-    if (updateData.description !== undefined) {
-      updateObj[`${taskPath}.description`] = updateData.description;
-    }
-    if (updateData.status !== undefined) {
-      updateObj[`${taskPath}.status`] = updateData.status;
-    }
-    if (updateData.estimatedTime !== undefined) {
-      updateObj[`${taskPath}.estimatedTime`] = updateData.estimatedTime;
+    for (const field of ["description", "status", "estimatedTime", "title"]) {
+      if (updateData[field] !== undefined && updateData[field] !== task[field]) {
+        updateObj[field] = updateData[field];
+      }
     }
     
-    const result = await collection.updateOne(
-      { _id: documentId },
-      { $set: updateObj }
-    );
-    
-    logger.info("Task updated in MongoDB", {
-      documentId,
-      taskPath,
-      updateData,
-      matchedCount: result.matchedCount,
-      modifiedCount: result.modifiedCount,
-    });
+    let modifiedCount = 0;
+    if (Object.keys(updateObj).length > 0) {
+      const result = await collection.updateOne(
+        { _id: task._id },
+        { $set: { ...updateObj, updatedAt: new Date() } }
+      );
+      modifiedCount = result.modifiedCount;
+    }
     
-    // Update embedding if task was successfully updated and has ticket ID
-    const ticketIdForEmbedding = ticketId || updateData.ticketId;
-    if (result.modifiedCount > 0 && ticketIdForEmbedding) {
+    // Update embedding if content changed
+    if (modifiedCount > 0 && (updateData.description || updateData.title || updateData.status)) {
       try {
-        const { updateTaskEmbedding } = require("./mongoEmbeddingService");
+        const { addOrUpdateTaskEmbedding } = require("./mongoEmbeddingService");
         
-        await updateTaskEmbedding(ticketIdForEmbedding, {
-          ticketId: ticketIdForEmbedding,
-          title: updateData.title || updateData.description?.substring(0, 50) || "",
-          description: updateData.description || "",
-          participantName: updateData.participantName || "Unknown",
-          type: updateData.type || "Non-Coding",
-          status: updateData.status || "To-do",
-          isFuturePlan: Boolean(updateData.isFuturePlan),
-          estimatedTime: updateData.estimatedTime || 0
-        });
+        // Get updated task data for embedding
+        const updatedTaskData = {
+          title: updateData.title || task.title,
+          description: updateData.description || task.description,
+          assignee: task.assignee,
+          participantName: task.assignee,
+          type: task.type,
+          workType: task.workType,
+          teamId: task.teamId,
+          status: updateData.status || task.status
+        };
         
-        console.log(`[DEBUG] Updated embedding for task ${ticketIdForEmbedding}`);
+        await addOrUpdateTaskEmbedding(task.ticketId, updatedTaskData);
       } catch (embeddingError) {
-        console.log(`[DEBUG] Error updating embedding for ${ticketIdForEmbedding}: ${embeddingError.message}`);
-        // Don't fail the main update if embedding update fails
+        logger.warn("Failed to update embedding after task update", {
+          ticketId,
+          error: embeddingError.message
+        });
+        // Don't fail the update if embedding fails
       }
     }
     
+    logger.info("Task updated by ticketId", {
+      ticketId,
+      documentId: task._id,
+      participantName: task.assignee,
+      taskType: task.type,
+      updateData,
+      result: modifiedCount > 0 ? "success" : "no_changes"
+    });
+    
     // Update Jira issue if this is a Jira ticket and MongoDB update was successful
     let jiraUpdateResult = null;
-    if (result.modifiedCount > 0 && ticketId) {
+    if (modifiedCount > 0 && options.updateJira !== false) {
       try {
         const { isJiraTicket, updateJiraIssue } = require("../integrations/jiraService");
         
-        if (isJiraTicket(ticketId)) {
+        if (isJiraTicket(task.ticketId)) {
           // Prepare update data for Jira (only include fields being updated)
           const jiraUpdateData = {};
           if (updateData.status !== undefined) {
@@ -1153,7 +1021,7 @@ async function updateTask(documentId, taskPath, updateData) {
           
           // Only update Jira if there's something to update
           if (Object.keys(jiraUpdateData).length > 0) {
-            jiraUpdateResult = await updateJiraIssue(ticketId, jiraUpdateData);
+            jiraUpdateResult = await updateJiraIssue(task.ticketId, jiraUpdateData);
             
             if (!jiraUpdateResult.success) {
               logger.warn("Jira update failed but MongoDB update succeeded", {
@@ -1179,697 +1047,1956 @@ async function updateTask(documentId, taskPath, updateData) {
     }
     
     return {
-      success: result.modifiedCount > 0,
-      matchedCount: result.matchedCount,
-      modifiedCount: result.modifiedCount,
+      success: modifiedCount > 0,
+      documentId: task._id,
+      participantName: task.assignee,
+      taskType: task.type,
+      modifiedCount,
       jiraUpdate: jiraUpdateResult
     };
     
   } catch (error) {
-    logger.error("Error updating task in MongoDB", {
-      documentId,
-      taskPath,
+    logger.error("Error updating task by ticketId", {
+      ticketId,
       updateData,
       error: error.message,
+      stack: error.stack,
     });
-    throw new Error(`MongoDB task update failed: ${error.message}`);
+    
+    return {
+      success: false,
+      error: error.message,
+      ticketId
+    };
   }
 }
 
 /**
- * Test MongoDB connection
- * @returns {Promise<boolean>} True if connection successful
+ * Apply changes pulled from Jira to a task (no write-back to Jira, unlike updateTaskByTicketId)
+ * @param {string} ticketId - Jira issue key
+ * @param {Object} updates - Fields to set: title, status, priority, dueDate, participantName (reassigns the task)
+ * @param {Object} jiraSnapshot - Jira values this sync saw, stored as task.jiraSync for conflict detection
+ * @returns {Promise<Object>} Result with found/modified flags and where the task ended up
  */
-async function testMongoConnection() {
+async function applyJiraSyncToTask(ticketId, updates, jiraSnapshot) {
   try {
     await initializeMongoDB();
     
-    // Test with a simple ping
-    await db.admin().ping();
+    const collection = db.collection(TASKS_COLLECTION);
+    const task = await collection.findOne({ ticketId }, { collation: TASK_COLLATION, projection: TASK_PROJECTION });
+    if (!task) {
+      return { found: false, modified: false, ticketId };
+    }
     
-    logger.info("MongoDB connection test successful");
-    return true;
+    const setFields = { jiraSync: { ...jiraSnapshot, syncedAt: new Date() } };
+    for (const field of ["title", "status", "priority", "dueDate"]) {
+      if (updates[field] !== undefined) {
+        setFields[field] = updates[field];
+      }
+    }
+    if (updates.participantName) {
+      setFields.assignee = updates.participantName;
+    }
+    if (Object.keys(updates).length > 0) {
+      setFields.updatedAt = new Date();
+    }
     
-  } catch (error) {
-    logger.error("MongoDB connection test failed", {
-      error: error.message,
+    const result = await collection.updateOne({ _id: task._id }, { $set: setFields });
+    const participantName = updates.participantName || task.assignee;
+    
+    logger.info("Task synced from Jira", {
+      ticketId,
+      documentId: task._id,
+      participantName: task.assignee,
+      newParticipantName: participantName,
+      fields: Object.keys(updates),
+      modified: result.modifiedCount > 0
     });
-    return false;
-  }
-}
-
-/**
- * Get collection statistics
- * @returns {Promise<Object>} Collection statistics including document count
- */
-async function getCollectionStats() {
-  try {
-    await initializeMongoDB();
     
-    const collection = db.collection(COLLECTION_NAME);
-    const documentCount = await collection.countDocuments();
+    // Keep the RAG embedding in step with title/status/assignee changes
+    if (result.modifiedCount > 0 && Object.keys(updates).length > 0) {
+      try {
+        const { addOrUpdateTaskEmbedding } = require("./mongoEmbeddingService");
+        await addOrUpdateTaskEmbedding(task.ticketId, {
+          title: setFields.title || task.title,
+          description: task.description,
+          assignee: participantName,
+          participantName,
+          type: task.type,
+          status: setFields.status || task.status
+        });
+      } catch (embeddingError) {
+        logger.warn("Failed to update embedding after Jira sync", {
+          ticketId,
+          error: embeddingError.message
+        });
+      }
+    }
     
     return {
-      documentCount,
-      collectionName: COLLECTION_NAME,
+      found: true,
+      modified: result.modifiedCount > 0,
+      ticketId,
+      documentId: task._id,
+      participantName,
+      type: task.type
     };
     
   } catch (error) {
-    logger.error("Error getting collection stats", {
-      error: error.message,
+    logger.error("Error applying Jira sync to task", {
+      ticketId,
+      error: error.message
     });
-    throw error;
+    throw new Error(`Jira sync update failed: ${error.message}`);
   }
 }
 
 /**
- * Get the next ticket ID (SP-{number}) with atomic increment
- * @returns {Promise<string>} Next ticket ID in format SP-{number}
+ * Store a task for an issue imported from Jira (created there, or by the pipeline before it stored the task)
+ * @param {Object} params - { participantName, type, task, teamId }
+ * @returns {Promise<Object>} { documentId, participantName, type }
  */
-async function getNextTicketId() {
+async function insertJiraCreatedTask({ participantName, type = "Coding", task, teamId = "default" }) {
   try {
     await initializeMongoDB();
+    await ensureTaskIndexes();
     
-    const countersCollection = db.collection(COUNTERS_COLLECTION);
-    
-    // Use atomic findOneAndUpdate to ensure unique IDs even in concurrent environments
-    const result = await countersCollection.findOneAndUpdate(
-      { _id: "ticket_counter" },
-      { $inc: { count: 1 } },
-      { 
-        upsert: true, // Create the document if it doesn't exist
-        returnDocument: "after" // Return the updated document
-      }
+    const result = await db.collection(TASKS_COLLECTION).insertOne(
+      buildTaskDocument(task, { assignee: participantName, type, teamId })
     );
     
-    const ticketNumber = result.count;
-    const ticketId = `SP-${ticketNumber}`;
-    
-    logger.info("Generated new ticket ID", {
-      ticketId,
-      ticketNumber,
+    logger.info("Stored task for Jira-created issue", {
+      ticketId: task.ticketId,
+      documentId: result.insertedId,
+      participantName,
+      type,
+      teamId
     });
     
-    return ticketId;
+    return { documentId: result.insertedId, participantName, type };
     
   } catch (error) {
-    logger.error("Error generating ticket ID", {
-      error: error.message,
-      stack: error.stack,
+    logger.error("Error storing Jira-created task", {
+      ticketId: task?.ticketId,
+      error: error.message
     });
-    throw new Error(`Ticket ID generation failed: ${error.message}`);
+    const wrapped = new Error(`Jira-created task insert failed: ${error.message}`);
+    if (error.code === 11000) {
+      // A retried webhook delivery or the pipeline storing its own task raced this one
+      wrapped.statusCode = 409;
+    }
+    throw wrapped;
   }
 }
 
 /**
- * Initialize the ticket counter to start from 1 (since database was cleared)
- * This function should only be called once during setup
- * @param {number} startingNumber - The number to start counting from (default: 1)
- * @returns {Promise<boolean>} True if successfully initialized or already exists
+ * Store the task for an issue the pipeline created in Jira
+ * Upserts by ticketId: the Jira webhook may have imported the issue first, in which case its Jira-synced
+ * fields are kept and only the fields Jira doesn't know (estimate, project code, prompt versions, run) are
+ * filled in.
+ * @param {Object} params - { participantName, type, task (pipeline task with ticketId set), teamId, runId }
+ * @returns {Promise<Object>} { documentId, inserted, participantName, type }
  */
-async function initializeTicketCounter(startingNumber = 1) {
+async function storePipelineTask({ participantName, type = "Coding", task, teamId = "default", runId = null }) {
   try {
     await initializeMongoDB();
-    
-    const countersCollection = db.collection(COUNTERS_COLLECTION);
-    
-    // Check if counter already exists
-    const existingCounter = await countersCollection.findOne({ _id: "ticket_counter" });
-    
-    if (existingCounter) {
-      logger.info("Ticket counter already exists", {
-        currentCount: existingCounter.count,
-      });
-      return true;
-    }
-    
-    // Initialize the counter
-    await countersCollection.insertOne({
-      _id: "ticket_counter",
-      count: startingNumber - 1, // Set to startingNumber - 1 so next increment gives startingNumber
-      createdAt: new Date(),
-      description: "Auto-incrementing counter for SP ticket IDs"
-    });
-    
-    logger.info("Ticket counter initialized", {
-      startingNumber: startingNumber,
-      nextTicketId: `SP-${startingNumber}`,
+    await ensureTaskIndexes();
+
+    const pipelineFields = {
+      estimatedTime: task.estimatedTime || 0,
+      storyPoints: task.storyPoints || null,
+      projectCode: task.projectCode || null,
+      isFuturePlan: Boolean(task.isFuturePlan),
+      epic: task.epic || null,
+      promptVersions: task.promptVersions || {},
+      runId,
+      source: "pipeline",
+    };
+    const { runId: _runId, ...insertFields } = buildTaskDocument({
+      ticketId: task.ticketId,
+      title: task.title || task.description?.substring(0, 50) || "Untitled Task",
+      description: task.description || "",
+      status: task.status || "To-do",
+      workType: task.workType || "Task",
+      priority: task.priority || null,
+      dueDate: task.dueDate || null,
+    }, { assignee: participantName, type, teamId, runId });
+
+    const upsert = () => db.collection(TASKS_COLLECTION).updateOne(
+      { ticketId: task.ticketId },
+      { $setOnInsert: insertFields, $set: pipelineFields },
+      { upsert: true, collation: TASK_COLLATION }
+    );
+    let result;
+    try {
+      result = await upsert();
+    } catch (error) {
+      // The webhook inserted the task between the upsert's lookup and insert - update it instead
+      if (error.code !== 11000) {
+        throw error;
+      }
+      result = await upsert();
+    }
+
+    const inserted = Boolean(result.upsertedId);
+    logger.info("Stored task for pipeline-created issue", {
+      ticketId: task.ticketId,
+      documentId: result.upsertedId,
+      inserted,
+      participantName,
+      type,
+      teamId
     });
-    
-    return true;
-    
+
+    return { documentId: result.upsertedId || null, inserted, participantName, type };
+
   } catch (error) {
-    logger.error("Error initializing ticket counter", {
-      error: error.message,
-      startingNumber,
+    logger.error("Error storing pipeline-created task", {
+      ticketId: task?.ticketId,
+      error: error.message
     });
-    throw new Error(`Ticket counter initialization failed: ${error.message}`);
+    throw new Error(`Pipeline task store failed: ${error.message}`);
   }
 }
 
 /**
- * Get current ticket counter value without incrementing
- * @returns {Promise<number>} Current counter value
+ * Record the prompt versions behind the latest pipeline update of a task
+ * @param {string} ticketId - Ticket ID (e.g., "TDS-123")
+ * @param {Object} promptVersions - Prompt name → version
+ * @returns {Promise<boolean>} True if a task was found
  */
-async function getCurrentTicketCount() {
+async function recordTaskUpdatePromptVersions(ticketId, promptVersions) {
   try {
     await initializeMongoDB();
     
-    const countersCollection = db.collection(COUNTERS_COLLECTION);
-    
-    const counter = await countersCollection.findOne({ _id: "ticket_counter" });
-    
-    if (!counter) {
-      // Counter doesn't exist, initialize it
-      await initializeTicketCounter();
-      return 0; // Will be 1 after first increment
-    }
+    const result = await db.collection(TASKS_COLLECTION).updateOne(
+      { ticketId },
+      { $set: { lastUpdatePromptVersions: promptVersions, lastPipelineUpdateAt: new Date() } },
+      { collation: TASK_COLLATION }
+    );
     
-    return counter.count;
+    return result.matchedCount > 0;
     
   } catch (error) {
-    logger.error("Error getting current ticket count", {
-      error: error.message,
+    logger.error("Error recording task update prompt versions", {
+      ticketId,
+      error: error.message
     });
-    throw new Error(`Getting ticket count failed: ${error.message}`);
+    throw new Error(`Task prompt version update failed: ${error.message}`);
   }
 }
 
 /**
- * Reset ticket counter (for testing purposes only)
- * @param {number} newCount - New counter value
- * @returns {Promise<boolean>} True if successfully reset
+ * Record a transcript source (the entries a creation, update or status change came from) on a task
+ * Only existing tasks are updated; the creation source of a new issue is also kept on the transcript
+ * ledger. A task gets at most one creation source.
+ * @param {string} ticketId - Ticket ID (e.g., "TDS-123")
+ * @param {Object} source - { kind, transcriptId, meetingSubject, meetingDate, ranges }
+ * @returns {Promise<boolean>} True if the source was recorded
  */
-async function resetTicketCounter(newCount) {
+async function recordTaskTranscriptSource(ticketId, source) {
   try {
     await initializeMongoDB();
     
-    const countersCollection = db.collection(COUNTERS_COLLECTION);
+    const filter = { ticketId };
+    if (source.kind === "created") {
+      filter["transcriptSources.kind"] = { $ne: "created" };
+    }
     
-    await countersCollection.updateOne(
-      { _id: "ticket_counter" },
-      { 
-        $set: { 
-          count: newCount,
-          lastReset: new Date()
+    const result = await db.collection(TASKS_COLLECTION).updateOne(
+      filter,
+      {
+        $push: {
+          transcriptSources: { $each: [{ ...source, recordedAt: new Date() }], $slice: -MAX_TASK_TRANSCRIPT_SOURCES }
         }
       },
-      { upsert: true }
+      { collation: TASK_COLLATION }
     );
     
-    logger.warn("Ticket counter reset", {
-      newCount,
-      nextTicketId: `SP-${newCount + 1}`,
-    });
-    
-    return true;
+    return result.matchedCount > 0;
     
   } catch (error) {
-    logger.error("Error resetting ticket counter", {
-      error: error.message,
-      newCount,
+    logger.error("Error recording task transcript source", {
+      ticketId,
+      kind: source?.kind,
+      error: error.message
     });
-    throw new Error(`Ticket counter reset failed: ${error.message}`);
+    throw new Error(`Task transcript source update failed: ${error.message}`);
   }
 }
 
 /**
- * Get the last successful cron run timestamp
- * @param {string} cronJobName - Name of the cron job (e.g., "github_actions_transcript_processor")
- * @returns {Promise<Date|null>} Last run timestamp or null if never run
+ * Record time spent on a task (from a time spent statement in a meeting) and add it to the task's timeSpent
+ * Entries are keyed (see getTimeSpentKey in timeSpentService), so reprocessing a transcript doesn't count
+ * the same statement twice.
+ * @param {string} ticketId - Ticket ID (e.g., "TDS-123")
+ * @param {Object} entry - { key, hours, started, speaker, accountId, evidence, transcriptId, worklogId, sourceRanges }
+ * @returns {Promise<boolean>} True if the entry was recorded (false if unknown task or already recorded)
  */
-async function getLastCronRunTimestamp(cronJobName = "github_actions_transcript_processor") {
+async function recordTaskTimeSpent(ticketId, entry) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(CRON_TRACKING_COLLECTION);
-    
-    const cronRecord = await collection.findOne({ _id: cronJobName });
-    
-    if (!cronRecord || !cronRecord.lastSuccessfulRun) {
-      logger.info("No previous cron run timestamp found", {
-        cronJobName,
-        reason: !cronRecord ? "No record exists" : "No successful run recorded"
-      });
-      return null;
-    }
-    
-    logger.info("Retrieved last cron run timestamp", {
-      cronJobName,
-      lastRun: cronRecord.lastSuccessfulRun.toISOString(),
-      totalRuns: cronRecord.totalRuns || 0,
-      lastStatus: cronRecord.lastStatus || "unknown"
-    });
+    const result = await db.collection(TASKS_COLLECTION).updateOne(
+      { ticketId, "timeSpentEntries.key": { $ne: entry.key } },
+      {
+        $push: { timeSpentEntries: { ...entry, recordedAt: new Date() } },
+        $inc: { timeSpent: entry.hours }
+      },
+      { collation: TASK_COLLATION }
+    );
     
-    return cronRecord.lastSuccessfulRun;
+    return result.modifiedCount > 0;
     
   } catch (error) {
-    logger.error("Error retrieving last cron run timestamp", {
-      cronJobName,
-      error: error.message,
-      stack: error.stack
+    logger.error("Error recording task time spent", {
+      ticketId,
+      key: entry?.key,
+      error: error.message
     });
-    throw new Error(`Failed to get last cron run timestamp: ${error.message}`);
+    throw new Error(`Task time spent update failed: ${error.message}`);
   }
 }
 
 /**
- * Update the cron run timestamp and status
- * @param {string} cronJobName - Name of the cron job
- * @param {Date} timestamp - Timestamp of the run
- * @param {string} status - Status of the run ("success", "failed", "started")
- * @param {Object} metadata - Additional metadata about the run
- * @returns {Promise<boolean>} True if successfully updated
+ * Get the tasks time was logged on (for the estimate vs actual report)
+ * @param {Object} filters - { teamId, assignee }
+ * @returns {Promise<Array>} Task records with estimatedTime, timeSpent and timeSpentEntries
  */
-async function updateCronRunTimestamp(
-  cronJobName = "github_actions_transcript_processor", 
-  timestamp = new Date(), 
-  status = "success", 
-  metadata = {}
-) {
+async function findTasksWithTimeSpent(filters = {}) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(CRON_TRACKING_COLLECTION);
-    
-    const updateData = {
-      lastRun: timestamp,
-      lastStatus: status,
-      lastUpdated: new Date(),
-      ...metadata
-    };
-    
-    // Only update lastSuccessfulRun if status is success
-    if (status === "success") {
-      updateData.lastSuccessfulRun = timestamp;
-    }
-    
-    const result = await collection.updateOne(
-      { _id: cronJobName },
-      { 
-        $set: updateData,
-        $inc: { totalRuns: 1 }
-      },
-      { upsert: true }
-    );
+    const query = { ...buildTeamQuery(filters.teamId), timeSpent: { $gt: 0 } };
+    if (filters.assignee) query.assignee = filters.assignee.trim();
     
-    logger.info("Updated cron run timestamp", {
-      cronJobName,
-      timestamp: timestamp.toISOString(),
-      status,
-      upserted: result.upsertedCount > 0,
-      modified: result.modifiedCount > 0,
-      metadata
-    });
+    const documents = await db.collection(TASKS_COLLECTION).find(query, {
+      sort: { createdAt: -1 },
+      collation: TASK_COLLATION,
+      projection: TASK_PROJECTION,
+    }).toArray();
     
-    return result.modifiedCount > 0 || result.upsertedCount > 0;
+    return documents.map(toTaskRecord);
     
   } catch (error) {
-    logger.error("Error updating cron run timestamp", {
-      cronJobName,
-      timestamp: timestamp.toISOString(),
-      status,
+    logger.error("Error querying tasks with time spent", {
       error: error.message,
-      stack: error.stack
+      filters
     });
-    throw new Error(`Failed to update cron run timestamp: ${error.message}`);
+    throw new Error(`MongoDB time spent query failed: ${error.message}`);
   }
 }
 
 /**
- * Get cron job statistics and history
- * @param {string} cronJobName - Name of the cron job
- * @returns {Promise<Object>} Cron job statistics
+ * Record a relationship of a task to another ticket ("TDS-201 is blocked by TDS-198")
+ * Links are keyed (see getIssueLinkKey in issueLinkService), so each relationship is stored once.
+ * @param {string} ticketId - Ticket ID of the task (e.g., "TDS-201")
+ * @param {Object} link - { key, linkType, targetTaskId, confidence, evidence, speaker, source, transcriptId,
+ *   jiraLinkType, sourceRanges }
+ * @returns {Promise<boolean>} True if the link was recorded (false if unknown task or already recorded)
  */
-async function getCronJobStats(cronJobName = "github_actions_transcript_processor") {
+async function recordTaskIssueLink(ticketId, link) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(CRON_TRACKING_COLLECTION);
-    
-    const cronRecord = await collection.findOne({ _id: cronJobName });
-    
-    if (!cronRecord) {
-      return {
-        exists: false,
-        cronJobName,
-        totalRuns: 0,
-        lastRun: null,
-        lastSuccessfulRun: null,
-        lastStatus: null
-      };
-    }
+    const result = await db.collection(TASKS_COLLECTION).updateOne(
+      { ticketId, "issueLinks.key": { $ne: link.key } },
+      { $push: { issueLinks: { ...link, recordedAt: new Date() } } },
+      { collation: TASK_COLLATION }
+    );
     
-    return {
-      exists: true,
-      cronJobName,
-      totalRuns: cronRecord.totalRuns || 0,
-      lastRun: cronRecord.lastRun,
-      lastSuccessfulRun: cronRecord.lastSuccessfulRun,
-      lastStatus: cronRecord.lastStatus,
-      lastUpdated: cronRecord.lastUpdated,
-      metadata: cronRecord.metadata || {}
-    };
+    return result.modifiedCount > 0;
     
   } catch (error) {
-    logger.error("Error getting cron job stats", {
-      cronJobName,
+    logger.error("Error recording task issue link", {
+      ticketId,
+      key: link?.key,
       error: error.message
     });
-    throw new Error(`Failed to get cron job stats: ${error.message}`);
+    throw new Error(`Task issue link update failed: ${error.message}`);
   }
 }
 
 /**
- * Calculate the time window for processing based on last successful run
- * @param {string} cronJobName - Name of the cron job
- * @param {number} fallbackMinutes - Fallback window in minutes if no last run (default: 90)
- * @param {number} calendarExtensionHours - Hours to extend calendar lookup backwards (default: 3)
- * @returns {Promise<Object>} Time window with startTime, endTime, and metadata
+ * Record where a task sits in the Jira hierarchy: the epic it was attached to, the sub-tasks it was split
+ * into and the story points and estimate rolled up from them. The epic's task lists it in childTicketIds.
+ * @param {string} ticketId - Ticket ID of the parent task (e.g., "TDS-123")
+ * @param {Object} hierarchy - { epicTicketId, subTasks: [{ ticketId, title, estimatedTime, storyPoints }],
+ *   rollup: { estimatedTime, storyPoints } }
+ * @returns {Promise<boolean>} True if the task was found
  */
-async function calculateDynamicTimeWindow(
-  cronJobName = "github_actions_transcript_processor", 
-  fallbackMinutes = 120, 
-  calendarExtensionHours = 4 
-) {
+async function recordTaskHierarchy(ticketId, hierarchy) {
   try {
-    const now = new Date();
-    const lastRun = await getLastCronRunTimestamp(cronJobName);
-    
-    let processingStartTime, windowType, windowDescription;
+    await initializeMongoDB();
     
-    if (lastRun) {
-      // Use last successful run as start time for transcript processing
-      processingStartTime = lastRun;
-      windowType = "dynamic_since_last_run";
-      windowDescription = `Since last successful run at ${lastRun.toISOString()}`;
-    } else {
-      // Fallback to fixed time window for transcript processing
-      processingStartTime = new Date(now.getTime() - (fallbackMinutes * 60 * 1000));
-      windowType = "fallback_fixed_window";
-      windowDescription = `Fallback ${fallbackMinutes}-minute window (no previous run found)`;
+    const now = new Date();
+    const subTasks = hierarchy.subTasks || [];
+    const update = { updatedAt: now };
+    if (hierarchy.epicTicketId) {
+      update.epicTicketId = hierarchy.epicTicketId;
+    }
+    if (subTasks.length > 0) {
+      update.subTasks = subTasks;
+      update.rollup = { ...hierarchy.rollup, subTaskCount: subTasks.length, rolledUpAt: now };
     }
     
-    // Calculate extended calendar lookup window (extends backwards to catch delayed transcripts)
-    const calendarStartTime = new Date(processingStartTime.getTime() - (calendarExtensionHours * 60 * 60 * 1000));
-    
-    const timeWindow = {
-      // Processing window (for transcript filtering)
-      startTime: processingStartTime.toISOString(),
-      endTime: now.toISOString(),
-      // Extended calendar window (for meeting lookup)
-      calendarStartTime: calendarStartTime.toISOString(),
-      calendarEndTime: now.toISOString(),
-      // Metadata
-      windowType,
-      windowDescription,
-      durationMinutes: Math.round((now - new Date(processingStartTime)) / (1000 * 60)),
-      calendarExtensionHours,
-      fallbackMinutes,
-      lastRunFound: !!lastRun,
-      now,
-      startTimeObj: new Date(processingStartTime),
-      calendarStartTimeObj: new Date(calendarStartTime)
-    };
+    const result = await db.collection(TASKS_COLLECTION).updateOne(
+      { ticketId },
+      { $set: update },
+      { collation: TASK_COLLATION }
+    );
     
-    logger.info("Calculated dynamic time window with calendar extension", {
-      cronJobName,
-      processingWindow: `${timeWindow.startTime} to ${timeWindow.endTime}`,
-      calendarWindow: `${timeWindow.calendarStartTime} to ${timeWindow.calendarEndTime}`,
-      windowType: timeWindow.windowType,
-      durationMinutes: timeWindow.durationMinutes,
-      calendarExtensionHours: timeWindow.calendarExtensionHours,
-      lastRunFound: timeWindow.lastRunFound
-    });
+    if (hierarchy.epicTicketId) {
+      await db.collection(TASKS_COLLECTION).updateOne(
+        { ticketId: hierarchy.epicTicketId },
+        { $addToSet: { childTicketIds: ticketId }, $set: { updatedAt: now } },
+        { collation: TASK_COLLATION }
+      );
+    }
     
-    return timeWindow;
+    return result.matchedCount > 0;
     
   } catch (error) {
-    logger.error("Error calculating dynamic time window", {
-      cronJobName,
-      fallbackMinutes,
-      calendarExtensionHours,
+    logger.error("Error recording task hierarchy", {
+      ticketId,
+      epicTicketId: hierarchy?.epicTicketId,
       error: error.message
     });
-    throw new Error(`Failed to calculate dynamic time window: ${error.message}`);
+    throw new Error(`Task hierarchy update failed: ${error.message}`);
   }
 }
 
 /**
- * Check if a transcript has already been processed
- * @param {string} transcriptId - Microsoft Graph transcript ID
- * @returns {Promise<boolean>} True if transcript was already processed
+ * Record the due date resolved from a deadline said in a standup ("by Thursday")
+ * @param {string} ticketId - Ticket ID of the task (e.g., "TDS-123")
+ * @param {Object} dueDateInfo - { dueDate (YYYY-MM-DD), deadline (phrase as said), meetingDate, transcriptId }
+ * @returns {Promise<boolean>} True if the task was found
  */
-async function isTranscriptAlreadyProcessed(transcriptId) {
+async function recordTaskDueDate(ticketId, dueDateInfo) {
+  try {
+    await initializeMongoDB();
+    
+    const result = await db.collection(TASKS_COLLECTION).updateOne(
+      { ticketId },
+      {
+        $set: {
+          dueDate: dueDateInfo.dueDate,
+          deadline: {
+            expression: dueDateInfo.deadline || null,
+            meetingDate: dueDateInfo.meetingDate || null,
+            transcriptId: dueDateInfo.transcriptId || null
+          },
+          updatedAt: new Date()
+        }
+      },
+      { collation: TASK_COLLATION }
+    );
+    
+    return result.matchedCount > 0;
+    
+  } catch (error) {
+    logger.error("Error recording task due date", {
+      ticketId,
+      dueDate: dueDateInfo?.dueDate,
+      error: error.message
+    });
+    throw new Error(`Task due date update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get the open tasks whose due date is before a date
+ * @param {string} beforeDate - Date in YYYY-MM-DD format (the team's local today)
+ * @param {Object} filters - { teamId }
+ * @returns {Promise<Array>} Task records, earliest due date first
+ */
+async function getTasksDueBefore(beforeDate, filters = {}) {
+  try {
+    await initializeMongoDB();
+    
+    const documents = await db.collection(TASKS_COLLECTION).find({
+      ...buildTeamQuery(filters.teamId),
+      status: { $in: ACTIVE_TASK_STATUSES },
+      jiraDeletedAt: { $exists: false },
+      dueDate: { $lt: beforeDate },
+    }, {
+      sort: { dueDate: 1 },
+      collation: TASK_COLLATION,
+      projection: TASK_PROJECTION,
+    }).toArray();
+    
+    return documents.map(toTaskRecord);
+    
+  } catch (error) {
+    logger.error("Error querying overdue tasks", {
+      beforeDate,
+      error: error.message,
+      filters
+    });
+    throw new Error(`MongoDB overdue task query failed: ${error.message}`);
+  }
+}
+
+/**
+ * Mark the task of a deleted Jira issue (kept for history, hidden from active tasks and similarity search)
+ * @param {string} ticketId - Jira issue key
+ * @returns {Promise<boolean>} True if a task was marked
+ */
+async function markTaskDeletedInJira(ticketId) {
+  try {
+    await initializeMongoDB();
+    
+    const now = new Date();
+    const result = await db.collection(TASKS_COLLECTION).updateOne(
+      { ticketId },
+      { $set: { jiraDeletedAt: now, updatedAt: now } },
+      { collation: TASK_COLLATION }
+    );
+    if (result.matchedCount === 0) {
+      return false;
+    }
+    
+    const { removeTaskEmbedding } = require("./mongoEmbeddingService");
+    await removeTaskEmbedding(ticketId);
+    
+    logger.info("Task marked as deleted in Jira", { ticketId });
+    return true;
+    
+  } catch (error) {
+    logger.error("Error marking task as deleted in Jira", {
+      ticketId,
+      error: error.message
+    });
+    throw new Error(`Jira deletion update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Record conflicts found while syncing from Jira
+ * @param {Array<Object>} conflicts - Conflict records ({ ticketId, field, mongoValue, jiraValue, ... })
+ * @returns {Promise<number>} Number of records stored
+ */
+async function recordJiraSyncConflicts(conflicts) {
+  if (!conflicts || conflicts.length === 0) {
+    return 0;
+  }
+  
+  try {
+    await initializeMongoDB();
+    
+    const now = new Date();
+    const result = await db.collection(JIRA_SYNC_CONFLICTS_COLLECTION).insertMany(
+      conflicts.map(conflict => ({ ...conflict, detectedAt: now }))
+    );
+    return result.insertedCount;
+    
+  } catch (error) {
+    logger.error("Error recording Jira sync conflicts", {
+      count: conflicts.length,
+      error: error.message
+    });
+    throw new Error(`Jira sync conflict insert failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get recorded Jira sync conflicts, newest first
+ * @param {Object} query - MongoDB query object (e.g. { ticketId: "TDS-12" })
+ * @param {Object} options - Query options like limit (optional)
+ * @returns {Promise<Array>} Conflict records
+ */
+async function getJiraSyncConflicts(query = {}, options = {}) {
+  try {
+    await initializeMongoDB();
+    
+    return await db.collection(JIRA_SYNC_CONFLICTS_COLLECTION)
+      .find(query, { sort: { detectedAt: -1 }, limit: 100, ...options })
+      .toArray();
+    
+  } catch (error) {
+    logger.error("Error retrieving Jira sync conflicts", {
+      error: error.message
+    });
+    throw new Error(`Jira sync conflict retrieval failed: ${error.message}`);
+  }
+}
+
+/**
+ * Update a specific task in the database
+ * Tasks with a ticketId go through updateTaskByTicketId so Jira and the embedding stay in step.
+ * @param {string|ObjectId} taskId - Task document ID (documentId on task records)
+ * @param {Object} updateData - Data to update (description, status, estimatedTime, title)
+ * @returns {Promise<Object>} Update result
+ */
+async function updateTask(taskId, updateData) {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(TASKS_COLLECTION);
+    const _id = typeof taskId === "string" ? new ObjectId(taskId) : taskId;
+    
+    const task = await collection.findOne({ _id }, { projection: { ticketId: 1 } });
+    if (!task) {
+      return { success: false, matchedCount: 0, modifiedCount: 0, jiraUpdate: null };
+    }
+    if (task.ticketId) {
+      return await updateTaskByTicketId(task.ticketId, updateData);
+    }
+    
+    // Prepare update object
+    const updateObj = {};
+    for (const field of ["description", "status", "estimatedTime", "title"]) {
+      if (updateData[field] !== undefined) {
+        updateObj[field] = updateData[field];
+      }
+    }
+    
+    const result = await collection.updateOne(
+      { _id },
+      { $set: { ...updateObj, updatedAt: new Date() } }
+    );
+    
+    logger.info("Task updated in MongoDB", {
+      taskId,
+      updateData,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+    });
+    
+    return {
+      success: result.modifiedCount > 0,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+      jiraUpdate: null
+    };
+    
+  } catch (error) {
+    logger.error("Error updating task in MongoDB", {
+      taskId,
+      updateData,
+      error: error.message,
+    });
+    throw new Error(`MongoDB task update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Test MongoDB connection
+ * @returns {Promise<boolean>} True if connection successful
+ */
+async function testMongoConnection() {
+  try {
+    await initializeMongoDB();
+    
+    // Test with a simple ping
+    await db.admin().ping();
+    
+    logger.info("MongoDB connection test successful");
+    return true;
+    
+  } catch (error) {
+    logger.error("MongoDB connection test failed", {
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Get collection statistics
+ * @returns {Promise<Object>} Collection statistics including document count
+ */
+async function getCollectionStats() {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(TASKS_COLLECTION);
+    const documentCount = await collection.countDocuments();
+    
+    return {
+      documentCount,
+      collectionName: TASKS_COLLECTION,
+    };
+    
+  } catch (error) {
+    logger.error("Error getting collection stats", {
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the next ticket ID (SP-{number}) with atomic increment
+ * @param {Object} counter - Team ticket counter ({ counterId, prefix }), defaults to the shared SP counter
+ * @returns {Promise<string>} Next ticket ID in format SP-{number}
+ */
+async function getNextTicketId(counter = {}) {
+  const counterId = counter.counterId || "ticket_counter";
+  const prefix = counter.prefix || "SP";
+  
+  try {
+    await initializeMongoDB();
+    
+    const countersCollection = db.collection(COUNTERS_COLLECTION);
+    
+    // Use atomic findOneAndUpdate to ensure unique IDs even in concurrent environments
+    const result = await countersCollection.findOneAndUpdate(
+      { _id: counterId },
+      { $inc: { count: 1 } },
+      { 
+        upsert: true, // Create the document if it doesn't exist
+        returnDocument: "after" // Return the updated document
+      }
+    );
+    
+    const ticketNumber = result.count;
+    const ticketId = `${prefix}-${ticketNumber}`;
+    
+    logger.info("Generated new ticket ID", {
+      ticketId,
+      ticketNumber,
+      counterId,
+    });
+    
+    return ticketId;
+    
+  } catch (error) {
+    logger.error("Error generating ticket ID", {
+      error: error.message,
+      stack: error.stack,
+    });
+    throw new Error(`Ticket ID generation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Initialize the ticket counter to start from 1 (since database was cleared)
+ * This function should only be called once during setup
+ * @param {number} startingNumber - The number to start counting from (default: 1)
+ * @param {Object} counter - Team ticket counter ({ counterId, prefix }), defaults to the shared SP counter
+ * @returns {Promise<boolean>} True if successfully initialized or already exists
+ */
+async function initializeTicketCounter(startingNumber = 1, counter = {}) {
+  const counterId = counter.counterId || "ticket_counter";
+  
+  try {
+    await initializeMongoDB();
+    
+    const countersCollection = db.collection(COUNTERS_COLLECTION);
+    
+    // Check if counter already exists
+    const existingCounter = await countersCollection.findOne({ _id: counterId });
+    
+    if (existingCounter) {
+      logger.info("Ticket counter already exists", {
+        currentCount: existingCounter.count,
+      });
+      return true;
+    }
+    
+    // Initialize the counter
+    await countersCollection.insertOne({
+      _id: counterId,
+      count: startingNumber - 1, // Set to startingNumber - 1 so next increment gives startingNumber
+      createdAt: new Date(),
+      description: "Auto-incrementing counter for SP ticket IDs"
+    });
+    
+    logger.info("Ticket counter initialized", {
+      counterId,
+      startingNumber: startingNumber,
+      nextTicketId: `${counter.prefix || "SP"}-${startingNumber}`,
+    });
+    
+    return true;
+    
+  } catch (error) {
+    logger.error("Error initializing ticket counter", {
+      error: error.message,
+      startingNumber,
+    });
+    throw new Error(`Ticket counter initialization failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get current ticket counter value without incrementing
+ * @returns {Promise<number>} Current counter value
+ */
+async function getCurrentTicketCount() {
+  try {
+    await initializeMongoDB();
+    
+    const countersCollection = db.collection(COUNTERS_COLLECTION);
+    
+    const counter = await countersCollection.findOne({ _id: "ticket_counter" });
+    
+    if (!counter) {
+      // Counter doesn't exist, initialize it
+      await initializeTicketCounter();
+      return 0; // Will be 1 after first increment
+    }
+    
+    return counter.count;
+    
+  } catch (error) {
+    logger.error("Error getting current ticket count", {
+      error: error.message,
+    });
+    throw new Error(`Getting ticket count failed: ${error.message}`);
+  }
+}
+
+/**
+ * Reset ticket counter (for testing purposes only)
+ * @param {number} newCount - New counter value
+ * @returns {Promise<boolean>} True if successfully reset
+ */
+async function resetTicketCounter(newCount) {
+  try {
+    await initializeMongoDB();
+    
+    const countersCollection = db.collection(COUNTERS_COLLECTION);
+    
+    await countersCollection.updateOne(
+      { _id: "ticket_counter" },
+      { 
+        $set: { 
+          count: newCount,
+          lastReset: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    
+    logger.warn("Ticket counter reset", {
+      newCount,
+      nextTicketId: `SP-${newCount + 1}`,
+    });
+    
+    return true;
+    
+  } catch (error) {
+    logger.error("Error resetting ticket counter", {
+      error: error.message,
+      newCount,
+    });
+    throw new Error(`Ticket counter reset failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get the last successful cron run timestamp
+ * @param {string} cronJobName - Name of the cron job (e.g., "github_actions_transcript_processor")
+ * @returns {Promise<Date|null>} Last run timestamp or null if never run
+ */
+async function getLastCronRunTimestamp(cronJobName = "github_actions_transcript_processor") {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(CRON_TRACKING_COLLECTION);
+    
+    const cronRecord = await collection.findOne({ _id: cronJobName });
+    
+    if (!cronRecord || !cronRecord.lastSuccessfulRun) {
+      logger.info("No previous cron run timestamp found", {
+        cronJobName,
+        reason: !cronRecord ? "No record exists" : "No successful run recorded"
+      });
+      return null;
+    }
+    
+    logger.info("Retrieved last cron run timestamp", {
+      cronJobName,
+      lastRun: cronRecord.lastSuccessfulRun.toISOString(),
+      totalRuns: cronRecord.totalRuns || 0,
+      lastStatus: cronRecord.lastStatus || "unknown"
+    });
+    
+    return cronRecord.lastSuccessfulRun;
+    
+  } catch (error) {
+    logger.error("Error retrieving last cron run timestamp", {
+      cronJobName,
+      error: error.message,
+      stack: error.stack
+    });
+    throw new Error(`Failed to get last cron run timestamp: ${error.message}`);
+  }
+}
+
+/**
+ * Update the cron run timestamp and status
+ * @param {string} cronJobName - Name of the cron job
+ * @param {Date} timestamp - Timestamp of the run
+ * @param {string} status - Status of the run ("success", "failed", "started")
+ * @param {Object} metadata - Additional metadata about the run
+ * @returns {Promise<boolean>} True if successfully updated
+ */
+async function updateCronRunTimestamp(
+  cronJobName = "github_actions_transcript_processor", 
+  timestamp = new Date(), 
+  status = "success", 
+  metadata = {}
+) {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(CRON_TRACKING_COLLECTION);
+    
+    const updateData = {
+      lastRun: timestamp,
+      lastStatus: status,
+      lastUpdated: new Date(),
+      ...metadata
+    };
+    
+    // Only update lastSuccessfulRun if status is success
+    if (status === "success") {
+      updateData.lastSuccessfulRun = timestamp;
+    }
+    
+    const result = await collection.updateOne(
+      { _id: cronJobName },
+      { 
+        $set: updateData,
+        $inc: { totalRuns: 1 }
+      },
+      { upsert: true }
+    );
+    
+    logger.info("Updated cron run timestamp", {
+      cronJobName,
+      timestamp: timestamp.toISOString(),
+      status,
+      upserted: result.upsertedCount > 0,
+      modified: result.modifiedCount > 0,
+      metadata
+    });
+    
+    return result.modifiedCount > 0 || result.upsertedCount > 0;
+    
+  } catch (error) {
+    logger.error("Error updating cron run timestamp", {
+      cronJobName,
+      timestamp: timestamp.toISOString(),
+      status,
+      error: error.message,
+      stack: error.stack
+    });
+    throw new Error(`Failed to update cron run timestamp: ${error.message}`);
+  }
+}
+
+/**
+ * Get cron job statistics and history
+ * @param {string} cronJobName - Name of the cron job
+ * @returns {Promise<Object>} Cron job statistics
+ */
+async function getCronJobStats(cronJobName = "github_actions_transcript_processor") {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(CRON_TRACKING_COLLECTION);
+    
+    const cronRecord = await collection.findOne({ _id: cronJobName });
+    
+    if (!cronRecord) {
+      return {
+        exists: false,
+        cronJobName,
+        totalRuns: 0,
+        lastRun: null,
+        lastSuccessfulRun: null,
+        lastStatus: null
+      };
+    }
+    
+    return {
+      exists: true,
+      cronJobName,
+      totalRuns: cronRecord.totalRuns || 0,
+      lastRun: cronRecord.lastRun,
+      lastSuccessfulRun: cronRecord.lastSuccessfulRun,
+      lastStatus: cronRecord.lastStatus,
+      lastUpdated: cronRecord.lastUpdated,
+      metadata: cronRecord.metadata || {}
+    };
+    
+  } catch (error) {
+    logger.error("Error getting cron job stats", {
+      cronJobName,
+      error: error.message
+    });
+    throw new Error(`Failed to get cron job stats: ${error.message}`);
+  }
+}
+
+/**
+ * Calculate the time window for processing based on last successful run
+ * @param {string} cronJobName - Name of the cron job
+ * @param {number} fallbackMinutes - Fallback window in minutes if no last run (default: 90)
+ * @param {number} calendarExtensionHours - Hours to extend calendar lookup backwards (default: 3)
+ * @returns {Promise<Object>} Time window with startTime, endTime, and metadata
+ */
+async function calculateDynamicTimeWindow(
+  cronJobName = "github_actions_transcript_processor", 
+  fallbackMinutes = 120, 
+  calendarExtensionHours = 4 
+) {
+  try {
+    const now = new Date();
+    const lastRun = await getLastCronRunTimestamp(cronJobName);
+    
+    let processingStartTime, windowType, windowDescription;
+    
+    if (lastRun) {
+      // Use last successful run as start time for transcript processing
+      processingStartTime = lastRun;
+      windowType = "dynamic_since_last_run";
+      windowDescription = `Since last successful run at ${lastRun.toISOString()}`;
+    } else {
+      // Fallback to fixed time window for transcript processing
+      processingStartTime = new Date(now.getTime() - (fallbackMinutes * 60 * 1000));
+      windowType = "fallback_fixed_window";
+      windowDescription = `Fallback ${fallbackMinutes}-minute window (no previous run found)`;
+    }
+    
+    // Calculate extended calendar lookup window (extends backwards to catch delayed transcripts)
+    const calendarStartTime = new Date(processingStartTime.getTime() - (calendarExtensionHours * 60 * 60 * 1000));
+    
+    const timeWindow = {
+      // Processing window (for transcript filtering)
+      startTime: processingStartTime.toISOString(),
+      endTime: now.toISOString(),
+      // Extended calendar window (for meeting lookup)
+      calendarStartTime: calendarStartTime.toISOString(),
+      calendarEndTime: now.toISOString(),
+      // Metadata
+      windowType,
+      windowDescription,
+      durationMinutes: Math.round((now - new Date(processingStartTime)) / (1000 * 60)),
+      calendarExtensionHours,
+      fallbackMinutes,
+      lastRunFound: !!lastRun,
+      now,
+      startTimeObj: new Date(processingStartTime),
+      calendarStartTimeObj: new Date(calendarStartTime)
+    };
+    
+    logger.info("Calculated dynamic time window with calendar extension", {
+      cronJobName,
+      processingWindow: `${timeWindow.startTime} to ${timeWindow.endTime}`,
+      calendarWindow: `${timeWindow.calendarStartTime} to ${timeWindow.calendarEndTime}`,
+      windowType: timeWindow.windowType,
+      durationMinutes: timeWindow.durationMinutes,
+      calendarExtensionHours: timeWindow.calendarExtensionHours,
+      lastRunFound: timeWindow.lastRunFound
+    });
+    
+    return timeWindow;
+    
+  } catch (error) {
+    logger.error("Error calculating dynamic time window", {
+      cronJobName,
+      fallbackMinutes,
+      calendarExtensionHours,
+      error: error.message
+    });
+    throw new Error(`Failed to calculate dynamic time window: ${error.message}`);
+  }
+}
+
+/**
+ * Check if a transcript has already been processed
+ * @param {string} transcriptId - Microsoft Graph transcript ID
+ * @returns {Promise<boolean>} True if transcript was already processed
+ */
+async function isTranscriptAlreadyProcessed(transcriptId) {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(PROCESSED_TRANSCRIPTS_COLLECTION);
+    const existing = await collection.findOne({ transcriptId });
+    
+    const isProcessed = !!existing;
+    
+    if (isProcessed) {
+      logger.info("Transcript already processed", {
+        transcriptId,
+        processedAt: existing.processedAt,
+        meetingId: existing.meetingId
+      });
+    }
+    
+    return isProcessed;
+    
+  } catch (error) {
+    logger.error("Error checking if transcript was processed", {
+      transcriptId,
+      error: error.message
+    });
+    // Return false on error to allow processing (fail-safe)
+    return false;
+  }
+}
+
+/**
+ * Mark a transcript as processed to prevent duplicate processing
+ * Marking an already processed transcript updates its record, e.g. to add the LLM usage of the
+ * pipeline run after the scheduled fetch marked it on download.
+ * @param {string} transcriptId - Microsoft Graph transcript ID
+ * @param {string} meetingId - Meeting ID
+ * @param {string} meetingSubject - Meeting subject for reference
+ * @param {Date} processedAt - When the transcript was processed
+ * @param {Object} details - Optional { llmUsage, promptVersions, teamId } from the pipeline run
+ * @returns {Promise<boolean>} True if successfully marked
+ */
+async function markTranscriptAsProcessed(
+  transcriptId, meetingId, meetingSubject, processedAt = new Date(), details = {}
+) {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(PROCESSED_TRANSCRIPTS_COLLECTION);
+    
+    const fields = {
+      meetingId,
+      meetingSubject,
+      processedAt
+    };
+    if (details.llmUsage) {
+      fields.llmUsage = details.llmUsage;
+    }
+    if (details.promptVersions) {
+      fields.promptVersions = details.promptVersions;
+    }
+    if (details.teamId) {
+      fields.teamId = details.teamId;
+    }
+    
+    const result = await collection.updateOne(
+      { transcriptId },
+      { $set: fields, $setOnInsert: { transcriptId, createdAt: new Date() } },
+      { upsert: true }
+    );
+    
+    logger.info("Transcript marked as processed", {
+      transcriptId,
+      meetingId,
+      meetingSubject,
+      processedAt: processedAt.toISOString(),
+      documentId: result.upsertedId,
+      llmCostUsd: details.llmUsage ? details.llmUsage.costUsd : undefined
+    });
+    
+    return result.acknowledged;
+    
+  } catch (error) {
+    logger.error("Error marking transcript as processed", {
+      transcriptId,
+      meetingId,
+      error: error.message
+    });
+    // Don't throw error - processing should continue even if marking fails
+    return false;
+  }
+}
+
+/**
+ * Get processed transcripts that have LLM usage recorded, for cost reporting
+ * @param {number} days - Number of days to look back (default: 30)
+ * @returns {Promise<Array>} Records with transcriptId, meetingId, meetingSubject, teamId, processedAt, llmUsage
+ */
+async function getProcessedTranscriptUsage(days = 30) {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(PROCESSED_TRANSCRIPTS_COLLECTION);
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+    
+    return await collection.find(
+      { processedAt: { $gte: cutoffDate }, llmUsage: { $exists: true } },
+      {
+        sort: { processedAt: 1 },
+        projection: { _id: 0, transcriptId: 1, meetingId: 1, meetingSubject: 1, teamId: 1, processedAt: 1, llmUsage: 1 }
+      }
+    ).toArray();
+    
+  } catch (error) {
+    logger.error("Error getting processed transcript LLM usage", {
+      error: error.message,
+      days
+    });
+    throw new Error(`Failed to get processed transcript LLM usage: ${error.message}`);
+  }
+}
+
+/**
+ * Get statistics about processed transcripts
+ * @param {number} days - Number of days to look back (default: 7)
+ * @returns {Promise<Object>} Statistics about processed transcripts
+ */
+async function getProcessedTranscriptStats(days = 7) {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(PROCESSED_TRANSCRIPTS_COLLECTION);
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+    
+    const totalProcessed = await collection.countDocuments();
+    const recentProcessed = await collection.countDocuments({
+      processedAt: { $gte: cutoffDate }
+    });
+    
+    const recentTranscripts = await collection.find(
+      { processedAt: { $gte: cutoffDate } },
+      { sort: { processedAt: -1 }, limit: 10 }
+    ).toArray();
+    
+    return {
+      totalProcessed,
+      recentProcessed,
+      daysPeriod: days,
+      recentTranscripts: recentTranscripts.map(t => ({
+        transcriptId: t.transcriptId,
+        meetingSubject: t.meetingSubject,
+        processedAt: t.processedAt
+      }))
+    };
+    
+  } catch (error) {
+    logger.error("Error getting processed transcript stats", {
+      error: error.message
+    });
+    return {
+      totalProcessed: 0,
+      recentProcessed: 0,
+      daysPeriod: days,
+      recentTranscripts: [],
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Clean up old processed transcript records (optional maintenance)
+ * @param {number} daysToKeep - Number of days of records to keep (default: 90)
+ * @returns {Promise<number>} Number of records deleted
+ */
+async function cleanupOldProcessedTranscripts(daysToKeep = 90) {
   try {
     await initializeMongoDB();
     
     const collection = db.collection(PROCESSED_TRANSCRIPTS_COLLECTION);
-    const existing = await collection.findOne({ transcriptId });
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
     
-    const isProcessed = !!existing;
+    const result = await collection.deleteMany({
+      processedAt: { $lt: cutoffDate }
+    });
     
-    if (isProcessed) {
-      logger.info("Transcript already processed", {
+    logger.info("Cleaned up old processed transcript records", {
+      deletedCount: result.deletedCount,
+      daysToKeep,
+      cutoffDate: cutoffDate.toISOString()
+    });
+    
+    return result.deletedCount;
+    
+  } catch (error) {
+    logger.error("Error cleaning up old processed transcripts", {
+      error: error.message,
+      daysToKeep
+    });
+    return 0;
+  }
+}
+
+/**
+ * Close MongoDB connection
+ * @returns {Promise<void>}
+ */
+async function closeMongoDB() {
+  try {
+    if (client) {
+      await client.close();
+      client = null;
+      db = null;
+      logger.info("MongoDB connection closed");
+    }
+  } catch (error) {
+    logger.error("Error closing MongoDB connection", {
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Update transcript document with meeting notes and attendees
+ * @param {string} transcriptId - MongoDB document ID of the transcript
+ * @param {string} meetingNotes - Generated meeting notes
+ * @param {string} attendees - Comma-separated list of attendee initials
+ * @returns {Promise<Object>} Update result
+ */
+async function updateTranscriptWithNotesAndAttendees(transcriptId, meetingNotes, attendees) {
+  try {
+    // console.log("[DEBUG] updateTranscriptWithNotesAndAttendees called with:", {
+    //   transcriptId,
+    //   meetingNotesLength: meetingNotes?.length || 0,
+    //   attendees,
+    //   hasNotes: !!meetingNotes,
+    //   hasAttendees: !!attendees
+    // });
+    
+    await initializeMongoDB();
+    
+    const collection = db.collection(TRANSCRIPTS_COLLECTION);
+    
+    // Convert string ID to ObjectId
+    const { ObjectId } = require("mongodb");
+    const objectId = new ObjectId(transcriptId);
+    
+    // Update the document with meeting notes and attendees
+    const updateResult = await collection.updateOne(
+      { _id: objectId },
+      {
+        $set: {
+          meeting_notes: meetingNotes,
+          attendees: attendees,
+          notes_generated_at: new Date()
+        }
+      }
+    );
+    
+    if (updateResult.matchedCount === 0) {
+      throw new Error(`No transcript found with ID: ${transcriptId}`);
+    }
+    
+    if (updateResult.modifiedCount === 0) {
+      logger.warn("Transcript update matched but no changes made", {
         transcriptId,
-        processedAt: existing.processedAt,
-        meetingId: existing.meetingId
+        matchedCount: updateResult.matchedCount
       });
     }
     
-    return isProcessed;
+    logger.info("Transcript updated with meeting notes and attendees", {
+      transcriptId,
+      notesLength: meetingNotes.length,
+      attendees,
+      matchedCount: updateResult.matchedCount,
+      modifiedCount: updateResult.modifiedCount
+    });
+    
+    return {
+      success: true,
+      transcriptId,
+      matchedCount: updateResult.matchedCount,
+      modifiedCount: updateResult.modifiedCount,
+      updatedAt: new Date().toISOString()
+    };
+    
+  } catch (error) {
+    logger.error("Error updating transcript with notes and attendees", {
+      transcriptId,
+      error: error.message,
+      stack: error.stack
+    });
+    throw new Error(`Failed to update transcript: ${error.message}`);
+  }
+}
+
+/**
+ * Get the stored transcript for a Graph / upload transcript ID
+ * @param {string} transcriptId - Transcript ID recorded at processing time (transcript_id field)
+ * @returns {Promise<Object|null>} Most recent transcript document with parsed transcript_data, or null
+ */
+async function getTranscriptByTranscriptId(transcriptId) {
+  const transcripts = await getTranscripts({ transcript_id: transcriptId }, { limit: 1 });
+  return transcripts.length > 0 ? transcripts[0] : null;
+}
+
+/**
+ * Record tasks created from a transcript on its transcript document (the task ledger)
+ * The ledger lets the transcript be reprocessed later without creating duplicate tickets.
+ * An empty entries array still initialises the ledger so the transcript counts as tracked.
+ * @param {string} transcriptDocumentId - MongoDB ID of the transcript document
+ * @param {Array<Object>} entries - Ledger entries ({ ticketId, participant, type, title, description, sourceRanges })
+ * @returns {Promise<Object>} Update result
+ */
+async function appendTranscriptTaskLedger(transcriptDocumentId, entries = []) {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(TRANSCRIPTS_COLLECTION);
+    const { ObjectId } = require("mongodb");
+    const objectId = new ObjectId(transcriptDocumentId);
+    
+    if (entries.length === 0) {
+      await collection.updateOne(
+        { _id: objectId, created_tasks: { $exists: false } },
+        { $set: { created_tasks: [] } }
+      );
+      return { success: true, recordedCount: 0 };
+    }
+    
+    const updateResult = await collection.updateOne(
+      { _id: objectId },
+      { $push: { created_tasks: { $each: entries } } }
+    );
+    
+    if (updateResult.matchedCount === 0) {
+      throw new Error(`No transcript found with ID: ${transcriptDocumentId}`);
+    }
+    
+    logger.info("Transcript task ledger updated", {
+      transcriptDocumentId,
+      recordedCount: entries.length
+    });
+    
+    return { success: true, recordedCount: entries.length };
+    
+  } catch (error) {
+    logger.error("Error updating transcript task ledger", {
+      transcriptDocumentId,
+      error: error.message
+    });
+    throw new Error(`Transcript task ledger update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Replace the task ledger of a transcript after a reprocessing run
+ * @param {string} transcriptDocumentId - MongoDB ID of the transcript document
+ * @param {Array<Object>} ledger - Full reconciled ledger
+ * @returns {Promise<Object>} Update result
+ */
+async function replaceTranscriptTaskLedger(transcriptDocumentId, ledger) {
+  try {
+    await initializeMongoDB();
+    
+    const { ObjectId } = require("mongodb");
+    const updateResult = await db.collection(TRANSCRIPTS_COLLECTION).updateOne(
+      { _id: new ObjectId(transcriptDocumentId) },
+      {
+        $set: { created_tasks: ledger, last_reprocessed_at: new Date() },
+        $inc: { reprocess_count: 1 }
+      }
+    );
+    
+    if (updateResult.matchedCount === 0) {
+      throw new Error(`No transcript found with ID: ${transcriptDocumentId}`);
+    }
+    
+    return { success: true, ledgerSize: ledger.length };
+    
+  } catch (error) {
+    logger.error("Error replacing transcript task ledger", {
+      transcriptDocumentId,
+      error: error.message
+    });
+    throw new Error(`Transcript task ledger update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Claim a transcript for reprocessing so two runs can't reconcile it at the same time
+ * A lock older than staleAfterMs is treated as abandoned (e.g. a crashed function) and can be taken over.
+ * @param {string} transcriptDocumentId - MongoDB ID of the transcript document
+ * @param {number} staleAfterMs - Age after which an existing lock is ignored (default 15 minutes)
+ * @returns {Promise<boolean>} True if the lock was acquired
+ */
+async function acquireTranscriptReprocessLock(transcriptDocumentId, staleAfterMs = 15 * 60 * 1000) {
+  try {
+    await initializeMongoDB();
+    
+    const { ObjectId } = require("mongodb");
+    const now = new Date();
+    const result = await db.collection(TRANSCRIPTS_COLLECTION).findOneAndUpdate(
+      {
+        _id: new ObjectId(transcriptDocumentId),
+        $or: [
+          { reprocess_locked_at: null },
+          { reprocess_locked_at: { $lt: new Date(now.getTime() - staleAfterMs) } }
+        ]
+      },
+      { $set: { reprocess_locked_at: now } }
+    );
+    
+    return Boolean(result);
+    
+  } catch (error) {
+    logger.error("Error acquiring transcript reprocess lock", {
+      transcriptDocumentId,
+      error: error.message
+    });
+    throw new Error(`Transcript reprocess lock failed: ${error.message}`);
+  }
+}
+
+/**
+ * Release the reprocessing lock of a transcript
+ * @param {string} transcriptDocumentId - MongoDB ID of the transcript document
+ * @returns {Promise<void>}
+ */
+async function releaseTranscriptReprocessLock(transcriptDocumentId) {
+  try {
+    await initializeMongoDB();
+    
+    const { ObjectId } = require("mongodb");
+    await db.collection(TRANSCRIPTS_COLLECTION).updateOne(
+      { _id: new ObjectId(transcriptDocumentId) },
+      { $set: { reprocess_locked_at: null } }
+    );
+    
+  } catch (error) {
+    // A stuck lock expires on its own, so don't fail the caller
+    logger.warn("Error releasing transcript reprocess lock", {
+      transcriptDocumentId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Add newly extracted tasks to the approval queue (one document per task)
+ * @param {Object} tasksData - Tasks organized by participant ({ name: { Coding: [], "Non-Coding": [] } })
+ * @param {Object} metadata - Source info (transcriptDocumentId, meetingId, transcriptId, meetingSubject,
+ *   targetDate, teamId)
+ * @returns {Promise<Object>} Insert result with the queued item IDs
+ */
+async function addTasksToApprovalQueue(tasksData, metadata = {}) {
+  try {
+    await initializeMongoDB();
+    
+    const collection = db.collection(APPROVAL_QUEUE_COLLECTION);
+    const now = new Date();
+    const documents = [];
+    
+    for (const [participantName, participantTasks] of Object.entries(tasksData)) {
+      for (const taskType of ["Coding", "Non-Coding"]) {
+        for (const task of participantTasks[taskType] || []) {
+          documents.push({
+            status: "pending",
+            participant: participantName,
+            type: taskType,
+            task: {
+              title: task.title || null,
+              description: task.description,
+              status: task.status || "To-do",
+              workType: task.workType || "Task",
+              estimatedTime: task.estimatedTime || 0,
+              priority: task.priority || null,
+              storyPoints: task.storyPoints || null,
+              projectCode: task.projectCode || null,
+              isFuturePlan: Boolean(task.isFuturePlan),
+              epic: task.epic || null,
+              subTasks: task.subTasks || [],
+              dueDate: task.dueDate || null
+            },
+            promptVersions: task.promptVersions || {},
+            source: {
+              transcriptDocumentId: metadata.transcriptDocumentId || null,
+              transcriptId: metadata.transcriptId || null,
+              meetingId: metadata.meetingId || null,
+              meetingSubject: metadata.meetingSubject || null,
+              targetDate: metadata.targetDate || null,
+              sourceRanges: task.sourceRanges || []
+            },
+            teamId: metadata.teamId || "default",
+            jiraIssueKey: null,
+            createdAt: now,
+            updatedAt: now
+          });
+        }
+      }
+    }
+    
+    if (documents.length === 0) {
+      return { success: true, insertedCount: 0, approvalIds: [] };
+    }
+    
+    const result = await collection.insertMany(documents);
+    const approvalIds = Object.values(result.insertedIds).map(id => id.toString());
+    
+    logger.info("Tasks added to approval queue", {
+      insertedCount: result.insertedCount,
+      participants: Object.keys(tasksData).length,
+      meetingId: metadata.meetingId
+    });
+    
+    return {
+      success: true,
+      insertedCount: result.insertedCount,
+      approvalIds
+    };
     
   } catch (error) {
-    logger.error("Error checking if transcript was processed", {
-      transcriptId,
-      error: error.message
+    logger.error("Error adding tasks to approval queue", {
+      error: error.message,
+      stack: error.stack
     });
-    // Return false on error to allow processing (fail-safe)
-    return false;
+    throw new Error(`Approval queue insert failed: ${error.message}`);
   }
 }
 
 /**
- * Mark a transcript as processed to prevent duplicate processing
- * @param {string} transcriptId - Microsoft Graph transcript ID
- * @param {string} meetingId - Meeting ID
- * @param {string} meetingSubject - Meeting subject for reference
- * @param {Date} processedAt - When the transcript was processed
- * @returns {Promise<boolean>} True if successfully marked
+ * Get items from the approval queue
+ * @param {Object} query - MongoDB query object (e.g. { status: "pending" })
+ * @param {Object} options - Query options like limit, sort (optional)
+ * @returns {Promise<Array>} Array of approval queue items
  */
-async function markTranscriptAsProcessed(transcriptId, meetingId, meetingSubject, processedAt = new Date()) {
+async function getApprovalQueueItems(query = {}, options = {}) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(PROCESSED_TRANSCRIPTS_COLLECTION);
-    
-    const document = {
-      transcriptId,
-      meetingId,
-      meetingSubject,
-      processedAt,
-      createdAt: new Date()
+    const collection = db.collection(APPROVAL_QUEUE_COLLECTION);
+    const defaultOptions = {
+      sort: { createdAt: -1 },
+      limit: 100,
     };
     
-    const result = await collection.insertOne(document);
+    return await collection.find(query, { ...defaultOptions, ...options }).toArray();
     
-    logger.info("Transcript marked as processed", {
-      transcriptId,
-      meetingId,
-      meetingSubject,
-      processedAt: processedAt.toISOString(),
-      documentId: result.insertedId
+  } catch (error) {
+    logger.error("Error retrieving approval queue items", {
+      error: error.message,
+      query
     });
+    throw new Error(`Approval queue retrieval failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single approval queue item
+ * @param {string} approvalId - Approval queue item ID
+ * @returns {Promise<Object|null>} Approval queue item or null if not found
+ */
+async function getApprovalQueueItem(approvalId) {
+  try {
+    await initializeMongoDB();
+    
+    const { ObjectId } = require("mongodb");
+    if (!ObjectId.isValid(approvalId)) {
+      return null;
+    }
     
-    return result.insertedId ? true : false;
+    return await db.collection(APPROVAL_QUEUE_COLLECTION).findOne({ _id: new ObjectId(approvalId) });
     
   } catch (error) {
-    logger.error("Error marking transcript as processed", {
-      transcriptId,
-      meetingId,
+    logger.error("Error retrieving approval queue item", {
+      approvalId,
       error: error.message
     });
-    // Don't throw error - processing should continue even if marking fails
-    return false;
+    throw new Error(`Approval queue retrieval failed: ${error.message}`);
   }
 }
 
 /**
- * Get statistics about processed transcripts
- * @param {number} days - Number of days to look back (default: 7)
- * @returns {Promise<Object>} Statistics about processed transcripts
+ * Update an approval queue item, guarded by its current status
+ * @param {string} approvalId - Approval queue item ID
+ * @param {Object} updateData - Fields to set (dot paths allowed, e.g. "task.title")
+ * @param {Array<string>} allowedStatuses - Only update if the item is currently in one of these statuses
+ * @returns {Promise<Object|null>} Updated item, or null if not found / not in an allowed status
  */
-async function getProcessedTranscriptStats(days = 7) {
+async function updateApprovalQueueItem(approvalId, updateData, allowedStatuses = ["pending"]) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(PROCESSED_TRANSCRIPTS_COLLECTION);
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
+    const { ObjectId } = require("mongodb");
+    if (!ObjectId.isValid(approvalId)) {
+      return null;
+    }
     
-    const totalProcessed = await collection.countDocuments();
-    const recentProcessed = await collection.countDocuments({
-      processedAt: { $gte: cutoffDate }
-    });
+    // Status guard makes approve/reject/edit safe against concurrent reviewers
+    const result = await db.collection(APPROVAL_QUEUE_COLLECTION).findOneAndUpdate(
+      { _id: new ObjectId(approvalId), status: { $in: allowedStatuses } },
+      { $set: { ...updateData, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
     
-    const recentTranscripts = await collection.find(
-      { processedAt: { $gte: cutoffDate } },
-      { sort: { processedAt: -1 }, limit: 10 }
-    ).toArray();
+    if (result) {
+      logger.info("Approval queue item updated", {
+        approvalId,
+        status: result.status,
+        fields: Object.keys(updateData)
+      });
+    }
     
-    return {
-      totalProcessed,
-      recentProcessed,
-      daysPeriod: days,
-      recentTranscripts: recentTranscripts.map(t => ({
-        transcriptId: t.transcriptId,
-        meetingSubject: t.meetingSubject,
-        processedAt: t.processedAt
-      }))
-    };
+    return result;
     
   } catch (error) {
-    logger.error("Error getting processed transcript stats", {
+    logger.error("Error updating approval queue item", {
+      approvalId,
       error: error.message
     });
-    return {
-      totalProcessed: 0,
-      recentProcessed: 0,
-      daysPeriod: days,
-      recentTranscripts: [],
+    throw new Error(`Approval queue update failed: ${error.message}`);
+  }
+}
+
+/**
+ * Claim an approval queue item for approval (status "processing") so two reviewers can't approve it at once
+ * Pending and failed items can be claimed. A "processing" claim older than staleAfterMs is treated as abandoned
+ * (e.g. a function that timed out mid-approval) and can be taken over, like the transcript reprocess lock.
+ * @param {string} approvalId - Approval queue item ID
+ * @param {Object} updateData - Fields to set with the claim (reviewedBy, reviewedAt)
+ * @param {number} staleAfterMs - Age after which a "processing" claim is ignored (default 15 minutes)
+ * @returns {Promise<Object|null>} Claimed item, or null if not found / not claimable
+ */
+async function claimApprovalQueueItem(approvalId, updateData, staleAfterMs = 15 * 60 * 1000) {
+  try {
+    await initializeMongoDB();
+
+    const { ObjectId } = require("mongodb");
+    if (!ObjectId.isValid(approvalId)) {
+      return null;
+    }
+
+    const now = new Date();
+    const result = await db.collection(APPROVAL_QUEUE_COLLECTION).findOneAndUpdate(
+      {
+        _id: new ObjectId(approvalId),
+        $or: [
+          { status: { $in: ["pending", "failed"] } },
+          { status: "processing", updatedAt: { $lt: new Date(now.getTime() - staleAfterMs) } }
+        ]
+      },
+      { $set: { ...updateData, status: "processing", updatedAt: now } },
+      { returnDocument: "after" }
+    );
+
+    if (result) {
+      logger.info("Approval queue item claimed", { approvalId, reviewedBy: result.reviewedBy });
+    }
+
+    return result;
+
+  } catch (error) {
+    logger.error("Error claiming approval queue item", {
+      approvalId,
       error: error.message
-    };
+    });
+    throw new Error(`Approval queue claim failed: ${error.message}`);
   }
 }
 
 /**
- * Clean up old processed transcript records (optional maintenance)
- * @param {number} daysToKeep - Number of days of records to keep (default: 90)
- * @returns {Promise<number>} Number of records deleted
+ * Build the lower-cased lookup keys (canonical name + aliases) stored on a participant
+ * A unique index on these keys stops two participants from claiming the same name or alias.
+ * @param {string} name - Canonical name
+ * @param {Array<string>} aliases - Alternative names
+ * @returns {Array<string>} Unique lower-cased keys
  */
-async function cleanupOldProcessedTranscripts(daysToKeep = 90) {
+function buildParticipantLookupKeys(name, aliases = []) {
+  return [...new Set([name, ...aliases].filter(Boolean).map(key => key.toLowerCase().trim()))];
+}
+
+/**
+ * Ensure the participants collection indexes exist (idempotent)
+ * @returns {Promise<void>}
+ */
+async function ensureParticipantIndexes() {
+  await db.collection(PARTICIPANTS_COLLECTION).createIndex({ lookupKeys: 1 }, { unique: true });
+}
+
+/**
+ * Get participants from the participant directory
+ * @param {Object} query - MongoDB query object (e.g. { active: true })
+ * @returns {Promise<Array>} Participants sorted by name
+ */
+async function getParticipants(query = {}) {
   try {
     await initializeMongoDB();
     
-    const collection = db.collection(PROCESSED_TRANSCRIPTS_COLLECTION);
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+    return await db.collection(PARTICIPANTS_COLLECTION).find(query, { sort: { name: 1 } }).toArray();
     
-    const result = await collection.deleteMany({
-      processedAt: { $lt: cutoffDate }
+  } catch (error) {
+    logger.error("Error retrieving participants", {
+      error: error.message,
+      query
     });
+    throw new Error(`Participant retrieval failed: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single participant
+ * @param {string} participantId - Participant ID
+ * @returns {Promise<Object|null>} Participant or null if not found
+ */
+async function getParticipant(participantId) {
+  try {
+    await initializeMongoDB();
     
-    logger.info("Cleaned up old processed transcript records", {
-      deletedCount: result.deletedCount,
-      daysToKeep,
-      cutoffDate: cutoffDate.toISOString()
-    });
+    const { ObjectId } = require("mongodb");
+    if (!ObjectId.isValid(participantId)) {
+      return null;
+    }
     
-    return result.deletedCount;
+    return await db.collection(PARTICIPANTS_COLLECTION).findOne({ _id: new ObjectId(participantId) });
     
   } catch (error) {
-    logger.error("Error cleaning up old processed transcripts", {
-      error: error.message,
-      daysToKeep
+    logger.error("Error retrieving participant", {
+      participantId,
+      error: error.message
     });
-    return 0;
+    throw new Error(`Participant retrieval failed: ${error.message}`);
   }
 }
 
 /**
- * Close MongoDB connection
- * @returns {Promise<void>}
+ * Insert a participant into the directory
+ * @param {Object} participant - { name, aliases, email, jiraAccountId, teamsAadId, active }
+ * @returns {Promise<Object>} Inserted participant
  */
-async function closeMongoDB() {
+async function insertParticipant(participant) {
   try {
-    if (client) {
-      await client.close();
-      client = null;
-      db = null;
-      logger.info("MongoDB connection closed");
-    }
+    await initializeMongoDB();
+    await ensureParticipantIndexes();
+    
+    const now = new Date();
+    const document = {
+      name: participant.name,
+      aliases: participant.aliases || [],
+      email: participant.email || null,
+      jiraAccountId: participant.jiraAccountId || null,
+      teamsAadId: participant.teamsAadId || null,
+      active: participant.active !== false,
+      lookupKeys: buildParticipantLookupKeys(participant.name, participant.aliases),
+      createdAt: now,
+      updatedAt: now,
+    };
+    
+    const result = await db.collection(PARTICIPANTS_COLLECTION).insertOne(document);
+    
+    logger.info("Participant added to directory", {
+      participantId: result.insertedId.toString(),
+      name: document.name,
+      aliasCount: document.aliases.length
+    });
+    
+    return { _id: result.insertedId, ...document };
+    
   } catch (error) {
-    logger.error("Error closing MongoDB connection", {
-      error: error.message,
+    logger.error("Error inserting participant", {
+      name: participant.name,
+      error: error.message
     });
+    throw mongoWriteError("Participant insert failed", error);
   }
 }
 
 /**
- * Update transcript document with meeting notes and attendees
- * @param {string} transcriptId - MongoDB document ID of the transcript
- * @param {string} meetingNotes - Generated meeting notes
- * @param {string} attendees - Comma-separated list of attendee initials
- * @returns {Promise<Object>} Update result
+ * Update a participant in the directory
+ * @param {string} participantId - Participant ID
+ * @param {Object} updateData - Fields to set (name, aliases, email, jiraAccountId, teamsAadId, active)
+ * @returns {Promise<Object|null>} Updated participant, or null if not found
  */
-async function updateTranscriptWithNotesAndAttendees(transcriptId, meetingNotes, attendees) {
+async function updateParticipant(participantId, updateData) {
   try {
-    // console.log("[DEBUG] updateTranscriptWithNotesAndAttendees called with:", {
-    //   transcriptId,
-    //   meetingNotesLength: meetingNotes?.length || 0,
-    //   attendees,
-    //   hasNotes: !!meetingNotes,
-    //   hasAttendees: !!attendees
-    // });
-    
     await initializeMongoDB();
+    await ensureParticipantIndexes();
     
-    const collection = db.collection(TRANSCRIPTS_COLLECTION);
-    
-    // Convert string ID to ObjectId
     const { ObjectId } = require("mongodb");
-    const objectId = new ObjectId(transcriptId);
+    if (!ObjectId.isValid(participantId)) {
+      return null;
+    }
     
-    // Update the document with meeting notes and attendees
-    const updateResult = await collection.updateOne(
-      { _id: objectId },
-      {
-        $set: {
-          meeting_notes: meetingNotes,
-          attendees: attendees,
-          notes_generated_at: new Date()
-        }
+    const collection = db.collection(PARTICIPANTS_COLLECTION);
+    const updateFields = { ...updateData, updatedAt: new Date() };
+    
+    // Lookup keys depend on both name and aliases, so fill in whichever wasn't sent
+    if (updateData.name !== undefined || updateData.aliases !== undefined) {
+      const existing = await collection.findOne({ _id: new ObjectId(participantId) });
+      if (!existing) {
+        return null;
       }
+      updateFields.lookupKeys = buildParticipantLookupKeys(
+        updateData.name !== undefined ? updateData.name : existing.name,
+        updateData.aliases !== undefined ? updateData.aliases : existing.aliases
+      );
+    }
+    
+    const result = await collection.findOneAndUpdate(
+      { _id: new ObjectId(participantId) },
+      { $set: updateFields },
+      { returnDocument: "after" }
     );
     
-    if (updateResult.matchedCount === 0) {
-      throw new Error(`No transcript found with ID: ${transcriptId}`);
+    if (result) {
+      logger.info("Participant updated", {
+        participantId,
+        fields: Object.keys(updateData)
+      });
     }
     
-    if (updateResult.modifiedCount === 0) {
-      logger.warn("Transcript update matched but no changes made", {
-        transcriptId,
-        matchedCount: updateResult.matchedCount
-      });
+    return result;
+    
+  } catch (error) {
+    logger.error("Error updating participant", {
+      participantId,
+      error: error.message
+    });
+    throw mongoWriteError("Participant update failed", error);
+  }
+}
+
+/**
+ * Delete a participant from the directory
+ * @param {string} participantId - Participant ID
+ * @returns {Promise<boolean>} True if a participant was deleted
+ */
+async function deleteParticipant(participantId) {
+  try {
+    await initializeMongoDB();
+    
+    const { ObjectId } = require("mongodb");
+    if (!ObjectId.isValid(participantId)) {
+      return false;
     }
     
-    logger.info("Transcript updated with meeting notes and attendees", {
-      transcriptId,
-      notesLength: meetingNotes.length,
-      attendees,
-      matchedCount: updateResult.matchedCount,
-      modifiedCount: updateResult.modifiedCount
+    const result = await db.collection(PARTICIPANTS_COLLECTION).deleteOne({ _id: new ObjectId(participantId) });
+    
+    logger.info("Participant deleted", {
+      participantId,
+      deleted: result.deletedCount > 0
     });
     
-    return {
-      success: true,
-      transcriptId,
-      matchedCount: updateResult.matchedCount,
-      modifiedCount: updateResult.modifiedCount,
-      updatedAt: new Date().toISOString()
-    };
+    return result.deletedCount > 0;
     
   } catch (error) {
-    logger.error("Error updating transcript with notes and attendees", {
-      transcriptId,
-      error: error.message,
-      stack: error.stack
+    logger.error("Error deleting participant", {
+      participantId,
+      error: error.message
     });
-    throw new Error(`Failed to update transcript: ${error.message}`);
+    throw new Error(`Participant delete failed: ${error.message}`);
+  }
+}
+
+/**
+ * Wrap a MongoDB write error, marking duplicate name/alias conflicts with statusCode 409
+ * @param {string} message - Error message prefix
+ * @param {Error} error - Original error
+ * @returns {Error} Error to throw
+ */
+function mongoWriteError(message, error) {
+  const wrapped = new Error(`${message}: ${error.message}`);
+  if (error.code === 11000) {
+    wrapped.message = `${message}: name or alias already belongs to another participant`;
+    wrapped.statusCode = 409;
   }
+  return wrapped;
 }
 
 module.exports = {
+  TASKS_COLLECTION,
+  LEGACY_TASKS_COLLECTION,
+  TASK_COLLATION,
+  TASK_PROJECTION,
+  ACTIVE_TASK_STATUSES,
   initializeMongoDB,
   getDatabase,
   storeTasks,
@@ -1883,6 +3010,12 @@ module.exports = {
   getTasksByParticipant,
   getActiveTasks,
   getActiveTasksByParticipant,
+  buildTeamQuery,
+  findTasks,
+  getTaskByTicketId,
+  buildTaskDocument,
+  toTaskRecord,
+  ensureTaskIndexes,
   updateTask,
   updateTaskByTicketId,
   testMongoConnection,
@@ -1899,8 +3032,42 @@ module.exports = {
   // Processed transcript tracking functions
   isTranscriptAlreadyProcessed,
   markTranscriptAsProcessed,
+  getProcessedTranscriptUsage,
   getProcessedTranscriptStats,
   cleanupOldProcessedTranscripts,
   closeMongoDB,
   updateTranscriptWithNotesAndAttendees,
+  // Transcript task ledger functions (reprocessing)
+  getTranscriptByTranscriptId,
+  appendTranscriptTaskLedger,
+  replaceTranscriptTaskLedger,
+  acquireTranscriptReprocessLock,
+  releaseTranscriptReprocessLock,
+  // Approval queue functions
+  addTasksToApprovalQueue,
+  getApprovalQueueItems,
+  getApprovalQueueItem,
+  updateApprovalQueueItem,
+  claimApprovalQueueItem,
+  // Jira sync functions
+  applyJiraSyncToTask,
+  insertJiraCreatedTask,
+  storePipelineTask,
+  markTaskDeletedInJira,
+  recordTaskUpdatePromptVersions,
+  recordTaskTranscriptSource,
+  recordTaskTimeSpent,
+  findTasksWithTimeSpent,
+  recordTaskIssueLink,
+  recordTaskHierarchy,
+  recordTaskDueDate,
+  getTasksDueBefore,
+  recordJiraSyncConflicts,
+  getJiraSyncConflicts,
+  // Participant directory functions
+  getParticipants,
+  getParticipant,
+  insertParticipant,
+  updateParticipant,
+  deleteParticipant,
 };
@@ -0,0 +1,425 @@
+/**
+ * Task Vector Search
+ *
+ * Finds the stored tasks whose embeddings are most similar to a query embedding. The backend is
+ * chosen with the TASK_VECTOR_SEARCH environment variable:
+ * - "atlas"      - MongoDB Atlas $vectorSearch on a vector index over tasks.embedding
+ * - "hnsw"       - HNSW index over all task embeddings, kept in memory and refreshed from MongoDB
+ * - "bruteforce" - load every task embedding and compare in JS (default)
+ *
+ * If the atlas or hnsw backend fails (no Atlas cluster, missing index, ...) the search falls back
+ * to bruteforce, so similarity lookups keep working while an index is being set up.
+ *
+ * A search can be narrowed with a filter { teamId, workType, statuses }. Every backend applies it
+ * before taking the top K, so a selective filter still finds matches ranked below other tasks. For
+ * the atlas backend the vector index needs teamId, workType and status as filter fields.
+ */
+
+const { logger } = require("firebase-functions");
+const { HnswIndex } = require("./hnswIndex");
+
+// Load environment variables
+require("dotenv").config();
+
+const VECTOR_SEARCH_BACKENDS = ["atlas", "hnsw", "bruteforce"];
+const DEFAULT_ATLAS_INDEX_NAME = "task_embedding_index";
+
+// New embeddings are pulled into the HNSW index this often; a full rebuild drops removed tasks
+const HNSW_REFRESH_MS = 60 * 1000;
+const HNSW_REBUILD_MS = 30 * 60 * 1000;
+
+// Tasks that can be matched (tasks of deleted Jira issues are not)
+const CANDIDATE_FILTER = {
+  embedding: { $exists: true },
+  ticketId: { $type: "string" },
+  jiraDeletedAt: { $exists: false },
+};
+const RESULT_FIELDS = [
+  "ticketId", "title", "description", "assignee", "type", "workType", "status", "teamId", "embeddingMetadata",
+];
+
+let hnswState = { index: null, builtAt: 0, refreshedAt: 0, syncedThrough: null };
+let hnswBuildPromise = null;
+
+/**
+ * Get the configured vector search backend
+ * @returns {string} One of VECTOR_SEARCH_BACKENDS
+ */
+function getVectorSearchBackendName() {
+  const backend = (process.env.TASK_VECTOR_SEARCH || "bruteforce").toLowerCase().trim();
+  if (!VECTOR_SEARCH_BACKENDS.includes(backend)) {
+    logger.warn("Unknown TASK_VECTOR_SEARCH backend - using bruteforce", { backend });
+    return "bruteforce";
+  }
+  return backend;
+}
+
+/**
+ * Pick the fields returned with search results from a task document
+ * @param {Object} task - Task document
+ * @returns {Object} Task fields
+ */
+function pickResultFields(task) {
+  const result = {};
+  for (const field of RESULT_FIELDS) {
+    result[field] = task[field];
+  }
+  return result;
+}
+
+/**
+ * Build a similarity result from a task document
+ * @param {Object} task - Task document
+ * @param {number} similarity - Cosine similarity
+ * @returns {Object} Similar task
+ */
+function toSimilarTask(task, similarity) {
+  return { ...pickResultFields(task), similarity };
+}
+
+/**
+ * Build the MongoDB query selecting the tasks a search filter allows
+ * @param {Object} filter - { teamId, workType, statuses }
+ * @returns {Object} MongoDB query
+ */
+function buildSearchFilterQuery(filter = {}) {
+  const { buildTeamQuery } = require("./mongoService");
+  const query = { ...buildTeamQuery(filter.teamId) };
+  if (filter.workType) {
+    query.workType = filter.workType;
+  }
+  if (filter.statuses) {
+    query.status = { $in: filter.statuses };
+  }
+  return query;
+}
+
+/**
+ * Check a task against a search filter (tasks without a teamId belong to the default team)
+ * @param {Object} task - Task fields
+ * @param {Object} filter - { teamId, workType, statuses }
+ * @returns {boolean} True if the filter allows the task
+ */
+function matchesSearchFilter(task, filter = {}) {
+  return (!filter.teamId || (task.teamId || "default") === filter.teamId) &&
+    (!filter.workType || task.workType === filter.workType) &&
+    (!filter.statuses || filter.statuses.includes(task.status));
+}
+
+/**
+ * Build the $vectorSearch pre-filter for a search filter
+ * @param {Object} filter - { teamId, workType, statuses }
+ * @returns {Object|null} Atlas filter, or null when nothing is filtered
+ */
+function buildAtlasFilter(filter = {}) {
+  const conditions = [];
+  if (filter.teamId) {
+    // Tasks without a teamId belong to the default team
+    conditions.push({ teamId: filter.teamId === "default" ? { $in: ["default", null] } : { $eq: filter.teamId } });
+  }
+  if (filter.workType) {
+    conditions.push({ workType: { $eq: filter.workType } });
+  }
+  if (filter.statuses) {
+    conditions.push({ status: { $in: filter.statuses } });
+  }
+  if (conditions.length === 0) {
+    return null;
+  }
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+/**
+ * Load the tasks that can be matched, with their embeddings
+ * @param {Object} extraFilter - Additional MongoDB filter
+ * @returns {Promise<Array<Object>>} Task documents
+ */
+async function loadEmbeddedTasks(extraFilter = {}) {
+  const { initializeMongoDB, getDatabase, TASKS_COLLECTION } = require("./mongoService");
+  await initializeMongoDB();
+  const db = getDatabase();
+
+  const projection = { embedding: 1 };
+  for (const field of RESULT_FIELDS) {
+    projection[field] = 1;
+  }
+
+  return db.collection(TASKS_COLLECTION)
+    .find({ ...CANDIDATE_FILTER, ...extraFilter }, { projection })
+    .toArray();
+}
+
+/**
+ * Calculate cosine similarity between two vectors
+ * @param {Array<number>} vectorA - First vector
+ * @param {Array<number>} vectorB - Second vector
+ * @returns {number} Similarity score (0-1)
+ */
+function calculateCosineSimilarity(vectorA, vectorB) {
+  if (!vectorA || !vectorB || vectorA.length !== vectorB.length) {
+    return 0;
+  }
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < vectorA.length; i++) {
+    dotProduct += vectorA[i] * vectorB[i];
+    normA += vectorA[i] * vectorA[i];
+    normB += vectorB[i] * vectorB[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Rank tasks by cosine similarity to a query embedding
+ * @param {Array<number>} queryEmbedding - Query embedding
+ * @param {Array<Object>} tasks - Task documents with embeddings
+ * @param {Object} options - { topK, threshold }
+ * @returns {Array<Object>} Similar tasks above the threshold, highest first
+ */
+function rankTasksBySimilarity(queryEmbedding, tasks, { topK = 5, threshold = 0.7 } = {}) {
+  const similarTasks = [];
+
+  for (const task of tasks) {
+    const similarity = calculateCosineSimilarity(queryEmbedding, task.embedding);
+    if (similarity >= threshold) {
+      similarTasks.push(toSimilarTask(task, similarity));
+    }
+  }
+
+  similarTasks.sort((a, b) => b.similarity - a.similarity);
+  return similarTasks.slice(0, topK);
+}
+
+/**
+ * Brute-force search over every task embedding
+ * @param {Array<number>} queryEmbedding - Query embedding
+ * @param {Object} options - { topK, threshold, filter }
+ * @returns {Promise<Object>} { results, candidateCount }
+ */
+async function searchBruteForce(queryEmbedding, options) {
+  const tasks = await loadEmbeddedTasks(buildSearchFilterQuery(options.filter));
+  return {
+    results: rankTasksBySimilarity(queryEmbedding, tasks, options),
+    candidateCount: tasks.length,
+  };
+}
+
+/**
+ * Search with an Atlas $vectorSearch index
+ * The index (TASK_VECTOR_INDEX, default "task_embedding_index") must be a vectorSearch index on
+ * "embedding" with cosine similarity, and teamId, workType and status as filter fields.
+ * @param {Array<number>} queryEmbedding - Query embedding
+ * @param {Object} options - { topK, threshold, filter }
+ * @returns {Promise<Object>} { results, candidateCount }
+ */
+async function searchAtlas(queryEmbedding, { topK = 5, threshold = 0.7, filter = {} } = {}) {
+  const { initializeMongoDB, getDatabase, TASKS_COLLECTION } = require("./mongoService");
+  await initializeMongoDB();
+  const db = getDatabase();
+
+  const numCandidates = Math.min(Math.max(topK * 20, 100), 10000);
+  const projection = { similarity: { $meta: "vectorSearchScore" } };
+  for (const field of RESULT_FIELDS) {
+    projection[field] = 1;
+  }
+
+  const vectorSearch = {
+    index: process.env.TASK_VECTOR_INDEX || DEFAULT_ATLAS_INDEX_NAME,
+    path: "embedding",
+    queryVector: queryEmbedding,
+    numCandidates,
+    // Leave room for the tasks the $match below drops
+    limit: topK * 2,
+  };
+  const atlasFilter = buildAtlasFilter(filter);
+  if (atlasFilter) {
+    vectorSearch.filter = atlasFilter;
+  }
+
+  const matches = await db.collection(TASKS_COLLECTION).aggregate([
+    { $vectorSearch: vectorSearch },
+    { $project: projection },
+    { $match: { ticketId: { $type: "string" }, jiraDeletedAt: { $exists: false } } },
+    { $limit: topK },
+  ]).toArray();
+
+  // Atlas reports cosine scores as (1 + cosine) / 2
+  const results = matches
+    .map(match => toSimilarTask(match, 2 * match.similarity - 1))
+    .filter(task => task.similarity >= threshold);
+
+  return { results, candidateCount: numCandidates };
+}
+
+/**
+ * Build an HNSW index over task documents
+ * @param {Array<Object>} tasks - Task documents with embeddings
+ * @param {Object} options - HnswIndex options
+ * @returns {HnswIndex} Index keyed by upper-cased ticketId
+ */
+function buildTaskHnswIndex(tasks, options = {}) {
+  const index = new HnswIndex(options);
+  for (const task of tasks) {
+    const { embedding, ...data } = task;
+    index.add(String(task.ticketId).toUpperCase(), embedding, data);
+  }
+  return index;
+}
+
+/**
+ * Latest embeddingMetadata.lastUpdated among tasks
+ * @param {Array<Object>} tasks - Task documents
+ * @param {string|null} since - Value to start from
+ * @returns {string|null} ISO timestamp
+ */
+function latestEmbeddingUpdate(tasks, since = null) {
+  return tasks.reduce((latest, task) => {
+    const lastUpdated = task.embeddingMetadata?.lastUpdated;
+    return lastUpdated && (!latest || lastUpdated > latest) ? lastUpdated : latest;
+  }, since);
+}
+
+/**
+ * Get the in-memory HNSW index, building or refreshing it from MongoDB when due
+ * @returns {Promise<HnswIndex>} Index
+ */
+async function getTaskHnswIndex() {
+  const now = Date.now();
+  const needsRebuild = !hnswState.index || now - hnswState.builtAt >= HNSW_REBUILD_MS;
+  const needsRefresh = now - hnswState.refreshedAt >= HNSW_REFRESH_MS;
+  if (!needsRebuild && !needsRefresh) {
+    return hnswState.index;
+  }
+
+  // Concurrent searches share one build
+  if (!hnswBuildPromise) {
+    hnswBuildPromise = (async () => {
+      try {
+        if (needsRebuild) {
+          const startTime = Date.now();
+          const tasks = await loadEmbeddedTasks();
+          const index = buildTaskHnswIndex(tasks);
+          const builtAt = Date.now();
+          hnswState = { index, builtAt, refreshedAt: builtAt, syncedThrough: latestEmbeddingUpdate(tasks) };
+          logger.info("Built task HNSW index", { tasks: index.size, buildTimeMs: builtAt - startTime });
+        } else {
+          // Pick up embeddings written by other instances since the last refresh
+          const filter = hnswState.syncedThrough ?
+            { "embeddingMetadata.lastUpdated": { $gt: hnswState.syncedThrough } } :
+            {};
+          const tasks = await loadEmbeddedTasks(filter);
+          for (const task of tasks) {
+            const { embedding, ...data } = task;
+            hnswState.index.add(String(task.ticketId).toUpperCase(), embedding, data);
+          }
+          hnswState.refreshedAt = Date.now();
+          hnswState.syncedThrough = latestEmbeddingUpdate(tasks, hnswState.syncedThrough);
+        }
+      } finally {
+        hnswBuildPromise = null;
+      }
+    })();
+  }
+
+  await hnswBuildPromise;
+  return hnswState.index;
+}
+
+/**
+ * Search the in-memory HNSW index
+ * @param {Array<number>} queryEmbedding - Query embedding
+ * @param {Object} options - { topK, threshold, filter }
+ * @returns {Promise<Object>} { results, candidateCount }
+ */
+async function searchHnsw(queryEmbedding, { topK = 5, threshold = 0.7, filter = {} } = {}) {
+  const index = await getTaskHnswIndex();
+  const results = index.search(queryEmbedding, topK, { threshold, filter: task => matchesSearchFilter(task, filter) })
+    .map(match => toSimilarTask(match.data, match.similarity));
+  return { results, candidateCount: index.size };
+}
+
+const BACKEND_SEARCHES = {
+  atlas: searchAtlas,
+  hnsw: searchHnsw,
+  bruteforce: searchBruteForce,
+};
+
+/**
+ * Find the tasks most similar to a query embedding with the configured backend
+ * @param {Array<number>} queryEmbedding - Query embedding
+ * @param {Object} options - { topK, threshold, filter, backend } - filter is { teamId, workType, statuses },
+ *   backend overrides TASK_VECTOR_SEARCH
+ * @returns {Promise<Object>} { results, backend, candidateCount }
+ */
+async function searchTaskEmbeddings(queryEmbedding, options = {}) {
+  const backend = options.backend || getVectorSearchBackendName();
+  const searchOptions = {
+    topK: options.topK ?? 5,
+    threshold: options.threshold ?? 0.7,
+    filter: options.filter || {},
+  };
+
+  if (backend !== "bruteforce") {
+    try {
+      const { results, candidateCount } = await BACKEND_SEARCHES[backend](queryEmbedding, searchOptions);
+      return { results, backend, candidateCount };
+    } catch (error) {
+      logger.warn("Vector search backend failed - falling back to bruteforce", {
+        backend,
+        error: error.message,
+      });
+    }
+  }
+
+  const { results, candidateCount } = await searchBruteForce(queryEmbedding, searchOptions);
+  return { results, backend: "bruteforce", candidateCount };
+}
+
+/**
+ * Keep a loaded HNSW index in step with an embedding written by this instance
+ * @param {string} ticketId - Task ticket ID
+ * @param {Array<number>} embedding - New embedding
+ * @param {Object} task - Stored task document (only the fields returned with search results are kept)
+ */
+function noteTaskEmbeddingUpdated(ticketId, embedding, task) {
+  if (hnswState.index) {
+    hnswState.index.add(String(ticketId).toUpperCase(), embedding, pickResultFields({ ...task, ticketId }));
+  }
+}
+
+/**
+ * Drop a removed embedding from a loaded HNSW index
+ * @param {string} ticketId - Task ticket ID
+ */
+function noteTaskEmbeddingRemoved(ticketId) {
+  if (hnswState.index) {
+    hnswState.index.remove(String(ticketId).toUpperCase());
+  }
+}
+
+/**
+ * Discard the in-memory HNSW index so the next search rebuilds it
+ */
+function resetTaskHnswIndex() {
+  hnswState = { index: null, builtAt: 0, refreshedAt: 0, syncedThrough: null };
+}
+
+module.exports = {
+  VECTOR_SEARCH_BACKENDS,
+  DEFAULT_ATLAS_INDEX_NAME,
+  getVectorSearchBackendName,
+  calculateCosineSimilarity,
+  searchTaskEmbeddings,
+  rankTasksBySimilarity,
+  matchesSearchFilter,
+  buildTaskHnswIndex,
+  noteTaskEmbeddingUpdated,
+  noteTaskEmbeddingRemoved,
+  resetTaskHnswIndex,
+};
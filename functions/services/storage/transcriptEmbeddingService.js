@@ -11,7 +11,7 @@
 
 const { MongoClient } = require("mongodb");
 const crypto = require("crypto");
-const { OpenAIEmbeddings } = require("@langchain/openai");
+const { getEmbeddings, getEmbeddingModelName } = require("../integrations/llmProvider");
 const { RecursiveCharacterTextSplitter } = require("@langchain/textsplitters");
 const { MongoDBAtlasVectorSearch } = require("@langchain/mongodb");
 const { logger } = require("firebase-functions");
@@ -24,10 +24,7 @@ const MONGODB_URI = process.env.MONGODB_URI;
 const DATABASE_NAME = "standuptickets";
 const EMBEDDINGS_COLLECTION = "transcript_embeddings";
 
-const embeddings = new OpenAIEmbeddings({
-  model: "text-embedding-3-small",
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const embeddings = getEmbeddings({ stage: "transcript_embeddings" });
 
 const textSplitter = new RecursiveCharacterTextSplitter({
   chunkSize: 1000,
@@ -154,7 +151,7 @@ async function processTranscriptToVectorStore(transcriptId, transcriptContent, m
     return {
       success: true,
       chunksStored: documents.length,
-      model: "text-embedding-3-small",
+      model: getEmbeddingModelName(),
       locallyStored: true
     };
     
@@ -164,6 +161,45 @@ async function processTranscriptToVectorStore(transcriptId, transcriptContent, m
   }
 }
 
+/**
+ * Format transcript entries as "Speaker: text" lines for embedding
+ * @param {Array} transcript - Array of transcript entries
+ * @returns {string} Formatted transcript content
+ */
+function formatTranscriptForEmbedding(transcript) {
+  return transcript
+    .map(entry => {
+      // Extract speaker name from the text field using <v ParticipantName> format
+      let speaker = "Unknown";
+      let text = entry.text || "";
+      
+      // Look for <v ParticipantName> pattern in the text
+      const speakerMatch = text.match(/<v\s*([^>]+)>/);
+      if (speakerMatch) {
+        speaker = speakerMatch[1].trim();
+        // Remove the <v ParticipantName> tag from the text
+        text = text.replace(/<v[^>]*>/, "").replace(/<\/v>/, "").trim();
+      } else {
+        // Fallback: clean up speaker field if no <v> tag found
+        speaker = entry.speaker
+          .replace(/<[^>]*>/g, "") // Remove HTML tags
+          .replace(/^v\s+/, "") // Remove "v " prefix if present
+          .trim();
+        
+        // Clean up text (remove all HTML tags)
+        text = text.replace(/<[^>]*>/g, "").trim();
+      }
+      
+      // Only return meaningful entries
+      if (text.length > 0) {
+        return `${speaker}: ${text}`;
+      }
+      return "";
+    })
+    .filter(line => line.trim().length > 0) // Remove empty lines
+    .join("\n");
+}
+
 /**
  * Generate transcript embeddings after storing transcript
  * This function should be called right after storeTranscript in mongoService
@@ -182,37 +218,7 @@ async function generateTranscriptEmbeddings(transcriptId, transcript, metadata =
     }
     
     // Format transcript content
-    const transcriptContent = transcript
-      .map(entry => {
-        // Extract speaker name from the text field using <v ParticipantName> format
-        let speaker = "Unknown";
-        let text = entry.text || "";
-        
-        // Look for <v ParticipantName> pattern in the text
-        const speakerMatch = text.match(/<v\s*([^>]+)>/);
-        if (speakerMatch) {
-          speaker = speakerMatch[1].trim();
-          // Remove the <v ParticipantName> tag from the text
-          text = text.replace(/<v[^>]*>/, "").replace(/<\/v>/, "").trim();
-        } else {
-          // Fallback: clean up speaker field if no <v> tag found
-          speaker = entry.speaker
-            .replace(/<[^>]*>/g, "") // Remove HTML tags
-            .replace(/^v\s+/, "") // Remove "v " prefix if present
-            .trim();
-          
-          // Clean up text (remove all HTML tags)
-          text = text.replace(/<[^>]*>/g, "").trim();
-        }
-        
-        // Only return meaningful entries
-        if (text.length > 0) {
-          return `${speaker}: ${text}`;
-        }
-        return "";
-      })
-      .filter(line => line.trim().length > 0) // Remove empty lines
-      .join("\n");
+    const transcriptContent = formatTranscriptForEmbedding(transcript);
     
     if (!transcriptContent || transcriptContent.trim().length === 0) {
         logger.warn("No transcript content found", { transcriptId });
@@ -248,6 +254,54 @@ async function generateTranscriptEmbeddings(transcriptId, transcript, metadata =
   }
 }
 
+/**
+ * Prepare scoped RAG context for a transcript without writing to the vector database
+ * Used by dry-run processing so Stage 2/3 see the same meeting context as a real run
+ */
+async function storeTranscriptEmbeddingsLocally(transcriptId, transcript, metadata = {}) {
+  try {
+    const { storeLocalEmbeddings } = require("./localEmbeddingCache");
+    const transcriptContent = formatTranscriptForEmbedding(transcript);
+    
+    if (!transcriptContent || transcriptContent.trim().length === 0) {
+      logger.warn("No transcript content found for local embeddings", { transcriptId });
+      return {
+        success: false,
+        error: "No transcript content found"
+      };
+    }
+    
+    const chunks = await textSplitter.splitText(transcriptContent);
+    const documents = chunks.map((chunk, index) => ({
+      pageContent: chunk,
+      metadata: {
+        transcriptId: transcriptId,
+        meetingId: metadata.meetingId || "unknown",
+        date: metadata.date || new Date().toISOString().split("T")[0],
+        chunkIndex: index,
+        chunkTotal: chunks.length,
+        contentHash: generateContentHash(transcriptContent),
+        createdAt: new Date().toISOString()
+      }
+    }));
+    
+    await storeLocalEmbeddings(transcriptId, documents);
+    
+    return {
+      success: true,
+      chunksStored: documents.length,
+      locallyStored: true
+    };
+    
+  } catch (error) {
+    logger.error("Error storing transcript embeddings locally:", {
+      error: error.message,
+      transcriptId
+    });
+    throw error;
+  }
+}
+
 /**
  * Search for relevant transcript content using vector similarity
  * Used for RAG functionality in TaskCreator and TaskUpdater
@@ -405,6 +459,8 @@ async function testTranscriptEmbeddingService() {
 
 module.exports = {
   generateTranscriptEmbeddings,
+  storeTranscriptEmbeddingsLocally,
+  formatTranscriptForEmbedding,
   searchTranscriptEmbeddings,
   getRAGContextForTask,
   processTranscriptToVectorStore,
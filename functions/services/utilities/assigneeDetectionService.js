@@ -11,8 +11,8 @@
 const { logger } = require("firebase-functions");
 const { AssigneeDetectionSchema } = require("../../schemas/taskSchemas");
 
-// Load participant mapping
-const { PARTICIPANT_TO_JIRA_MAPPING } = require("../../config/participantMapping");
+// Participant names resolve through the participant directory (static mapping as fallback)
+const { getAllParticipants, normalizeAssigneeName } = require("../../config/participantMapping");
 
 /**
  * Detect assignee from task description and context
@@ -207,7 +207,7 @@ async function detectDatabaseParticipant(taskDescription, availableParticipants)
  * @returns {Object} Detection result
  */
 function detectParticipantFromMapping(taskDescription) {
-  const participants = Object.keys(PARTICIPANT_TO_JIRA_MAPPING);
+  const participants = getAllParticipants();
   
   // Check for exact name matches in description
   for (const participant of participants) {
@@ -243,35 +243,6 @@ function detectParticipantFromMapping(taskDescription) {
   return { assignee: null, confidence: 0, method: "EXPLICIT_MENTION" };
 }
 
-/**
- * Normalize assignee name to handle common variations
- * @param {string} name - Name to normalize
- * @returns {string} Normalized name
- */
-function normalizeAssigneeName(name) {
-  if (!name || typeof name !== 'string') {
-    return name;
-  }
-
-  const lowerName = name.toLowerCase().trim();
-  
-  // Handle Fayaz/Faiyaz variations - normalize to "Faiyaz Rahman"
-  const fayazVariations = [
-    "fayaz",
-    "faiyaz", 
-    "fayaz rahman",
-    "faiyaz rahman",
-    "faiyazrahman1685"
-  ];
-  
-  if (fayazVariations.includes(lowerName)) {
-    return "Faiyaz Rahman";
-  }
-  
-  // Return original name if no normalization needed
-  return name;
-}
-
 /**
  * Find best matching participant from a list with enhanced fuzzy matching
  * @param {string} mentionedName - Name mentioned in text
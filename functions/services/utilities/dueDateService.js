@@ -0,0 +1,349 @@
+/**
+ * Due Date Service
+ *
+ * Detects deadlines in what was said about a task ("by Thursday", "end of sprint", "within two weeks",
+ * "by October 20th") and resolves them to a calendar date. Relative deadlines are counted from the local
+ * date of the meeting in the team's timezone, so "tomorrow" said in a late-evening standup still means the
+ * day after the meeting for the team. The resolved date is stored as the task's dueDate, sent to Jira's due
+ * date field and used by the daily overdue check (see findOverdueTasks).
+ */
+
+const { logger } = require("firebase-functions");
+const {
+  DAY_NAMES,
+  getTeamCalendar,
+  getZonedTimeComponents,
+  getDayOfWeek,
+  shiftDateString,
+} = require("../../config/teamCalendar");
+
+const MONTH_NAMES = ["january", "february", "march", "april", "may", "june", "july", "august", "september",
+  "october", "november", "december"];
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  couple: 2, few: 3
+};
+
+const BY = "\\b(?:by|before|due(?:\\s+(?:on|by))?|until|till|no\\s+later\\s+than|deadline(?:\\s+is)?(?:\\s+on)?)\\s+";
+const WEEKDAY = `(${DAY_NAMES.join("|")})`;
+const MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|" +
+  "sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const DAY_OF_MONTH = "(\\d{1,2})(?:st|nd|rd|th)?";
+const AMOUNT = `(?:a\\s+)?(\\d+|${Object.keys(WORD_NUMBERS).join("|")})(?:\\s+of)?`;
+const END_OF_DAY = "(?:eod|(?:the\\s+)?end\\s+of\\s+(?:the\\s+)?day)";
+// "by Thursday", but also "EOD Thursday" and "by end of day tomorrow"
+const BY_OR_END_OF_DAY = `(?:${BY}|\\b(?:${BY})?${END_OF_DAY}\\s+(?:on\\s+)?)`;
+
+// Deadline phrasings, each with how it resolves against the meeting date. Earlier entries win on ties.
+const DEADLINE_PATTERNS = [
+  // "by 2026-10-23"
+  {
+    pattern: new RegExp(`${BY}(\\d{4}-\\d{2}-\\d{2})\\b`, "i"),
+    resolve: match => match[1]
+  },
+  // "end of day", "EOD", "by tonight", "due today" (not "EOD tomorrow" or "EOD Thursday")
+  {
+    pattern: new RegExp(`\\b(?:by\\s+)?${END_OF_DAY}\\b(?!\\s+(?:on\\s+)?(?:tomorrow|${DAY_NAMES.join("|")}))|` +
+      `${BY}(?:today|tonight)\\b`, "i"),
+    resolve: (match, meetingDate) => meetingDate
+  },
+  // "by the day after tomorrow"
+  {
+    pattern: new RegExp(`${BY}(?:the\\s+)?day\\s+after\\s+tomorrow\\b`, "i"),
+    resolve: (match, meetingDate) => shiftDateString(meetingDate, 2)
+  },
+  // "by tomorrow", "due tomorrow morning", "EOD tomorrow"
+  {
+    pattern: new RegExp(`${BY_OR_END_OF_DAY}tomorrow\\b`, "i"),
+    resolve: (match, meetingDate) => shiftDateString(meetingDate, 1)
+  },
+  // "end of (this|next) week", "EOW"
+  {
+    pattern: /\b(?:(?:by\s+)?(?:the\s+)?end\s+of\s+(?:the\s+|this\s+)?(next\s+)?week|eow)\b/i,
+    resolve: (match, meetingDate, calendar) => shiftDateString(getEndOfWeek(meetingDate, calendar), match[1] ? 7 : 0)
+  },
+  // "end of (this|next) sprint"
+  {
+    pattern: /\b(?:by\s+)?(?:the\s+)?end\s+of\s+(?:the\s+|this\s+|our\s+)?(next\s+)?sprint\b/i,
+    resolve: (match, meetingDate, calendar) => getEndOfSprint(meetingDate, calendar, match[1] ? 1 : 0)
+  },
+  // "end of (this|next) month", "EOM"
+  {
+    pattern: /\b(?:(?:by\s+)?(?:the\s+)?end\s+of\s+(?:the\s+|this\s+)?(next\s+)?month|eom)\b/i,
+    resolve: (match, meetingDate) => getEndOfMonth(meetingDate, match[1] ? 1 : 0)
+  },
+  // "by Thursday", "by this Thursday", "by next Thursday", "due Thursday", "EOD Thursday"
+  {
+    pattern: new RegExp(`${BY_OR_END_OF_DAY}(?:(this|next)\\s+)?${WEEKDAY}\\b`, "i"),
+    resolve: (match, meetingDate) => getWeekdayAfter(meetingDate, match[2], (match[1] || "").toLowerCase() === "next")
+  },
+  // "in two days", "within a week", "in the next couple of weeks"
+  {
+    pattern: new RegExp(`\\b(?:in|within)\\s+(?:the\\s+next\\s+)?${AMOUNT}\\s+(days?|weeks?)\\b`, "i"),
+    resolve: (match, meetingDate) => {
+      const amount = WORD_NUMBERS[match[1].toLowerCase()] ?? parseInt(match[1], 10);
+      return shiftDateString(meetingDate, /^week/i.test(match[2]) ? amount * 7 : amount);
+    }
+  },
+  // "by October 20th", "due Oct 20"
+  {
+    pattern: new RegExp(`${BY}${MONTH}\\s+${DAY_OF_MONTH}\\b`, "i"),
+    resolve: (match, meetingDate) => getNextMonthDay(meetingDate, getMonthIndex(match[1]), parseInt(match[2], 10))
+  },
+  // "by the 20th of October", "by 20 Oct"
+  {
+    pattern: new RegExp(`${BY}(?:the\\s+)?${DAY_OF_MONTH}\\s+(?:of\\s+)?${MONTH}\\b`, "i"),
+    resolve: (match, meetingDate) => getNextMonthDay(meetingDate, getMonthIndex(match[2]), parseInt(match[1], 10))
+  },
+  // "by the 20th" (this month, or next month once the 20th has passed)
+  {
+    pattern: new RegExp(`${BY}the\\s+${DAY_OF_MONTH}\\b(?!\\s+(?:of\\s+)?${MONTH})`, "i"),
+    resolve: (match, meetingDate) => getNextDayOfMonth(meetingDate, parseInt(match[1], 10))
+  }
+];
+
+/**
+ * Get the month index of a month name or abbreviation
+ * @param {string} name - Month name ("October", "oct", "Sept")
+ * @returns {number} Month index (0 = January)
+ */
+function getMonthIndex(name) {
+  return MONTH_NAMES.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+/**
+ * Build a YYYY-MM-DD date, or null if the day does not exist in that month
+ * @param {number} year - Year
+ * @param {number} monthIndex - Month index (0 = January)
+ * @param {number} day - Day of the month
+ * @returns {string|null} Date in YYYY-MM-DD format
+ */
+function buildDateString(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  if (date.getUTCMonth() !== monthIndex || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the next date with the given weekday, strictly after the meeting date
+ * "next Thursday" skips the Thursday of the meeting's own week (weeks start on Monday).
+ * @param {string} meetingDate - Meeting date in YYYY-MM-DD format
+ * @param {string} weekday - Day name ("Thursday", case-insensitive)
+ * @param {boolean} nextWeek - Whether "next" was said before the weekday
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getWeekdayAfter(meetingDate, weekday, nextWeek = false) {
+  const target = DAY_NAMES.findIndex(day => day.toLowerCase() === weekday.toLowerCase());
+  const meetingDay = getDayOfWeek(meetingDate);
+  const daysAhead = ((target - meetingDay + 7) % 7) || 7;
+  const date = shiftDateString(meetingDate, daysAhead);
+
+  // Monday-based index: 0 = Monday ... 6 = Sunday
+  const mondayIndex = day => (day + 6) % 7;
+  const sameWeek = mondayIndex(meetingDay) + daysAhead <= 6;
+  return nextWeek && sameWeek ? shiftDateString(date, 7) : date;
+}
+
+/**
+ * Find the end of the meeting's working week: the last meeting day of the team's week (Friday by default)
+ * A meeting held after that day (e.g. a Saturday session) counts towards the following week.
+ * @param {string} meetingDate - Meeting date in YYYY-MM-DD format
+ * @param {Object} calendar - Team calendar (meetingDays)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getEndOfWeek(meetingDate, calendar) {
+  const mondayIndexes = (calendar.meetingDays.length > 0 ? calendar.meetingDays : ["Friday"])
+    .map(day => (DAY_NAMES.indexOf(day) + 6) % 7);
+  const lastDay = Math.max(...mondayIndexes);
+  const meetingIndex = (getDayOfWeek(meetingDate) + 6) % 7;
+  const daysAhead = lastDay - meetingIndex;
+  return shiftDateString(meetingDate, daysAhead >= 0 ? daysAhead : daysAhead + 7);
+}
+
+/**
+ * Find the last day of the sprint the meeting falls in
+ * @param {string} meetingDate - Meeting date in YYYY-MM-DD format
+ * @param {Object} calendar - Team calendar (sprintStartDate, sprintLengthDays)
+ * @param {number} sprintsAhead - 0 for the current sprint, 1 for the next one
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if the team's sprints are unknown
+ */
+function getEndOfSprint(meetingDate, calendar, sprintsAhead = 0) {
+  if (!calendar.sprintStartDate) {
+    return null;
+  }
+  const length = calendar.sprintLengthDays;
+  const daysSinceStart = Math.round((new Date(`${meetingDate}T00:00:00Z`) -
+    new Date(`${calendar.sprintStartDate}T00:00:00Z`)) / 86400000);
+  const sprintIndex = Math.floor(daysSinceStart / length) + sprintsAhead;
+  return shiftDateString(calendar.sprintStartDate, (sprintIndex + 1) * length - 1);
+}
+
+/**
+ * Find the last day of the meeting's month
+ * @param {string} meetingDate - Meeting date in YYYY-MM-DD format
+ * @param {number} monthsAhead - 0 for this month, 1 for next month
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getEndOfMonth(meetingDate, monthsAhead = 0) {
+  const [year, month] = meetingDate.split("-").map(Number);
+  // Day 0 of the following month is the last day of this one
+  return new Date(Date.UTC(year, month + monthsAhead, 0)).toISOString().slice(0, 10);
+}
+
+/**
+ * Find the next occurrence of a month and day on or after the meeting date
+ * @param {string} meetingDate - Meeting date in YYYY-MM-DD format
+ * @param {number} monthIndex - Month index (0 = January)
+ * @param {number} day - Day of the month
+ * @returns {string|null} Date in YYYY-MM-DD format (next year once the date has passed), or null if invalid
+ */
+function getNextMonthDay(meetingDate, monthIndex, day) {
+  const year = Number(meetingDate.slice(0, 4));
+  const thisYear = buildDateString(year, monthIndex, day);
+  if (thisYear && thisYear >= meetingDate) {
+    return thisYear;
+  }
+  return buildDateString(year + 1, monthIndex, day);
+}
+
+/**
+ * Find the next occurrence of a day of the month on or after the meeting date
+ * @param {string} meetingDate - Meeting date in YYYY-MM-DD format
+ * @param {number} day - Day of the month
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if the day is not a valid day of a month
+ */
+function getNextDayOfMonth(meetingDate, day) {
+  const [year, month] = meetingDate.split("-").map(Number);
+  for (let monthsAhead = 0; monthsAhead < 12; monthsAhead++) {
+    const candidate = buildDateString(year, month - 1 + monthsAhead, day);
+    if (candidate && candidate >= meetingDate) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first deadline phrase in text
+ * @param {string} text - What was said about a task (evidence, urgency)
+ * @returns {Object|null} { expression, index } for the earliest deadline phrase, or null if there is none
+ */
+function findDeadlineMatch(text) {
+  let best = null;
+  for (const [patternIndex, { pattern }] of DEADLINE_PATTERNS.entries()) {
+    const match = pattern.exec(text || "");
+    if (match && (!best || match.index < best.index)) {
+      best = { expression: match[0].trim(), index: match.index, patternIndex, match };
+    }
+  }
+  return best;
+}
+
+/**
+ * Find the deadline phrase in text ("by Thursday", "end of sprint")
+ * @param {string} text - What was said about a task
+ * @returns {string|null} The phrase as said, or null if there is none
+ */
+function findDeadlineExpression(text) {
+  const found = findDeadlineMatch(text);
+  return found ? found.expression : null;
+}
+
+/**
+ * Resolve a deadline phrase to a date
+ * @param {string} expression - Deadline phrase (see findDeadlineExpression)
+ * @param {string} meetingDate - Local date of the meeting in YYYY-MM-DD format
+ * @param {Object} calendar - Team calendar (defaults to the default team)
+ * @returns {string|null} Due date in YYYY-MM-DD format, or null if the phrase can't be resolved
+ *   (e.g. "end of sprint" for a team without sprint dates)
+ */
+function resolveDueDate(expression, meetingDate, calendar = getTeamCalendar()) {
+  const found = findDeadlineMatch(expression);
+  if (!found || !/^\d{4}-\d{2}-\d{2}$/.test(meetingDate || "")) {
+    return null;
+  }
+  const dueDate = DEADLINE_PATTERNS[found.patternIndex].resolve(found.match, meetingDate, calendar);
+  return dueDate && /^\d{4}-\d{2}-\d{2}$/.test(dueDate) ? dueDate : null;
+}
+
+/**
+ * Get the local date of a meeting in the team's timezone
+ * @param {Object} transcriptMetadata - { meetingStartTime, targetDate } (either may be missing)
+ * @param {Object} calendar - Team calendar (defaults to the default team)
+ * @param {Date} now - Fallback moment when the meeting time is unknown
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getMeetingLocalDate(transcriptMetadata = {}, calendar = getTeamCalendar(), now = new Date()) {
+  for (const value of [transcriptMetadata.meetingStartTime, transcriptMetadata.targetDate]) {
+    if (!value) continue;
+    // Plain dates are already local meeting days
+    if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return value;
+    }
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) {
+      return getZonedTimeComponents(date, calendar.timezone).dateString;
+    }
+  }
+  return getZonedTimeComponents(now, calendar.timezone).dateString;
+}
+
+/**
+ * Resolve the due dates of new pipeline tasks from the deadlines said about them
+ * Tasks carry the deadline phrase found by the Task Creator as task.deadline; a dueDate already on the
+ * task (e.g. edited in the approval queue) is kept.
+ * @param {Object} tasks - Pipeline tasks by participant and type ({ [participant]: { Coding, Non-Coding } })
+ * @param {string} meetingDate - Local date of the meeting in YYYY-MM-DD format
+ * @param {Object} calendar - Team calendar
+ * @returns {Object} Same structure, with dueDate set on each task (null when no deadline was said)
+ */
+function applyDueDates(tasks, meetingDate, calendar = getTeamCalendar()) {
+  const resolved = {};
+  for (const [participant, participantTasks] of Object.entries(tasks || {})) {
+    resolved[participant] = { ...participantTasks };
+    for (const taskType of ["Coding", "Non-Coding"]) {
+      if (!Array.isArray(participantTasks[taskType])) continue;
+      resolved[participant][taskType] = participantTasks[taskType].map(task => {
+        const dueDate = task.dueDate || (task.deadline ? resolveDueDate(task.deadline, meetingDate, calendar) : null);
+        if (task.deadline && !dueDate) {
+          logger.warn("Could not resolve task deadline", {
+            title: task.title,
+            deadline: task.deadline,
+            meetingDate,
+            teamId: calendar.teamId
+          });
+        }
+        return { ...task, dueDate: dueDate || null };
+      });
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Pick the open tasks whose due date has passed
+ * @param {Array<Object>} tasks - Task records (dueDate, status)
+ * @param {string} today - The team's local date in YYYY-MM-DD format
+ * @param {Array<string>} openStatuses - Statuses that count as open
+ * @returns {Array<Object>} Overdue tasks with daysOverdue, most overdue first
+ */
+function findOverdueTasks(tasks, today, openStatuses) {
+  return (tasks || [])
+    .filter(task => task.dueDate && task.dueDate < today && (!openStatuses || openStatuses.includes(task.status)))
+    .map(task => ({
+      ...task,
+      daysOverdue: Math.round((new Date(`${today}T00:00:00Z`) - new Date(`${task.dueDate}T00:00:00Z`)) / 86400000)
+    }))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+}
+
+module.exports = {
+  findDeadlineExpression,
+  resolveDueDate,
+  getMeetingLocalDate,
+  applyDueDates,
+  findOverdueTasks,
+};
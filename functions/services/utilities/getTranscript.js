@@ -37,8 +37,8 @@ function parseVttToJson(vttContent) {
       const parts = line.split(" ");
       currentEntry = {
         speaker: parts[0].replace("<v", "").replace(">", ""),
-        startTime: parts[1],
-        endTime: parts[3],
+        startTime: parts[0],
+        endTime: parts[2],
         text: "",
       };
     } else if (currentEntry) {
@@ -0,0 +1,210 @@
+/**
+ * Issue Link Service
+ *
+ * Detects relationships between tickets from transcript text ("TDS-201 depends on TDS-198", "this is a
+ * follow-up of TDS-150", "TDS-230 is a duplicate of TDS-212"). A relationship reads
+ * "<taskId> <linkType> <targetTaskId>", with linkType one of ISSUE_LINK_TYPES. Relationships said about a
+ * task that doesn't exist yet ("this depends on TDS-198" in a new task's evidence) have a null taskId
+ * until the task is created. Detected relationships are created as Jira issue links and stored on the task.
+ */
+
+const { logger } = require("firebase-functions");
+const { IssueLinkSchema } = require("../../schemas/taskSchemas");
+const { normalizeTaskId } = require("./statusChangeDetectionService");
+const { getEntryRange } = require("./transcriptSourceService");
+
+const TICKET = "((?:sp|[a-z]{2,})[-\\s]?\\d+)";
+const TICKET_PREFIX = "\\s+(?:the\\s+)?(?:ticket\\s+|story\\s+|issue\\s+)?";
+
+// Phrase before the target ticket, and the relationship it means for the subject ("X depends on Y")
+const ISSUE_LINK_PATTERNS = [
+  // "TDS-201 depends on TDS-198", "blocked by TDS-198", "we're waiting on TDS-198"
+  {
+    pattern: new RegExp("\\b(?:depends?\\s+on|dependent\\s+on|relies\\s+on|blocked\\s+(?:by|on)|" +
+      `waiting\\s+(?:on|for))${TICKET_PREFIX}${TICKET}\\b`, "gi"),
+    linkType: "is blocked by",
+    confidence: 0.85
+  },
+  // "TDS-198 blocks TDS-201", "this is blocking TDS-201"
+  {
+    pattern: new RegExp(`\\b(?:blocks|blocking)${TICKET_PREFIX}${TICKET}\\b`, "gi"),
+    linkType: "blocks",
+    confidence: 0.85
+  },
+  // "TDS-230 is a duplicate of TDS-212", "this duplicates TDS-212", "same thing as TDS-212"
+  {
+    pattern: new RegExp(`\\b(?:duplicate\\s+of|duplicates|same\\s+(?:thing|work|issue)\\s+as)${TICKET_PREFIX}` +
+      `${TICKET}\\b`, "gi"),
+    linkType: "duplicates",
+    confidence: 0.8
+  },
+  // "a follow-up to TDS-150", "this follows up on TDS-150", "a continuation of TDS-150"
+  {
+    pattern: new RegExp("\\b(?:follow[-\\s]?up\\s+(?:to|of|on|for|from)|follows\\s+up\\s+on|continuation\\s+of)" +
+      `${TICKET_PREFIX}${TICKET}\\b`, "gi"),
+    linkType: "follow-up of",
+    confidence: 0.8
+  },
+  // "TDS-240 is related to TDS-150", "ties into TDS-150"
+  {
+    pattern: new RegExp("\\b(?:relates\\s+to|related\\s+to|connected\\s+to|linked\\s+to|tied\\s+to|ties\\s+into)" +
+      `${TICKET_PREFIX}${TICKET}\\b`, "gi"),
+    linkType: "relates to",
+    confidence: 0.7
+  }
+];
+
+// Phrases right before a match that negate it ("isn't blocked by", "no longer depends on")
+const NEGATED_PREFIX = /(?:\bnot|n't|\bno\s+longer|\bnever)\s+(?:\w+\s+)?$/i;
+
+// Sentences starting with these refer to the ticket mentioned in the sentence before
+const PRONOUN_START = /^\s*(?:and\s+|so\s+|but\s+)?(?:this|that|it)\b/i;
+
+/**
+ * Find the ticket IDs mentioned in text
+ * @param {string} text - Text to search
+ * @returns {Array<Object>} { taskId, index, end } per mention, in order
+ */
+function findTicketMentions(text) {
+  const mentions = [];
+  const ticketPattern = new RegExp(`\\b${TICKET}\\b`, "gi");
+  let match;
+  while ((match = ticketPattern.exec(text)) !== null) {
+    const rawTicket = match[1];
+    // Lowercase words followed by a number ("on 3") are not tickets
+    if (!/-/.test(rawTicket) && rawTicket !== rawTicket.toUpperCase() && !/^sp/i.test(rawTicket)) continue;
+    const taskId = normalizeTaskId(rawTicket);
+    if (taskId) {
+      mentions.push({ taskId, index: match.index, end: match.index + match[0].length });
+    }
+  }
+  return mentions;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text said by one speaker
+ * @returns {Array<string>} Sentences, trimmed
+ */
+function splitSentences(text) {
+  return (text.match(/[^.!?]+[.!?]*/g) || []).map(sentence => sentence.trim()).filter(Boolean);
+}
+
+/**
+ * Build the key that identifies a relationship, so it is linked and stored only once
+ * @param {Object} link - { taskId, linkType, targetTaskId }
+ * @returns {string} Key ("TDS-201/is blocked by/TDS-198")
+ */
+function getIssueLinkKey(link) {
+  return `${link.taskId}/${link.linkType}/${link.targetTaskId}`;
+}
+
+/**
+ * Detect relationships between tickets in transcript text
+ * The subject is the last ticket mentioned before the phrase in the same sentence, or - for sentences
+ * starting with "this", "that" or "it" - the last ticket of the sentence before. Otherwise it is null.
+ * @param {string} transcriptText - Text said by one speaker
+ * @param {string} speaker - Who said this text
+ * @returns {Array<Object>} { taskId, linkType, targetTaskId, confidence, evidence, speaker } per relationship
+ */
+function detectIssueLinks(transcriptText, speaker) {
+  const byKey = new Map();
+  const sentences = splitSentences(transcriptText || "");
+
+  sentences.forEach((sentence, sentenceIndex) => {
+    const mentions = findTicketMentions(sentence);
+    const previousMentions = sentenceIndex > 0 ? findTicketMentions(sentences[sentenceIndex - 1]) : [];
+
+    for (const { pattern, linkType, confidence } of ISSUE_LINK_PATTERNS) {
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(sentence)) !== null) {
+        if (NEGATED_PREFIX.test(sentence.slice(0, match.index))) continue;
+
+        const target = findTicketMentions(match[0]).pop();
+        if (!target) continue;
+
+        let subject = mentions.filter(mention => mention.end <= match.index).pop();
+        if (!subject && PRONOUN_START.test(sentence)) {
+          subject = previousMentions[previousMentions.length - 1];
+        }
+        if (subject && subject.taskId === target.taskId) continue;
+
+        const link = {
+          taskId: subject ? subject.taskId : null,
+          linkType,
+          targetTaskId: target.taskId,
+          confidence,
+          evidence: sentence,
+          speaker: speaker || "Unknown"
+        };
+        const key = getIssueLinkKey(link);
+        if (byKey.has(key)) continue;
+
+        const validation = IssueLinkSchema.safeParse(link);
+        if (validation.success) {
+          byKey.set(key, validation.data);
+        } else {
+          logger.warn("Invalid issue link", { link, error: validation.error.message });
+        }
+      }
+    }
+  });
+
+  return [...byKey.values()];
+}
+
+/**
+ * Detect relationships between existing tickets from complete transcript entries
+ * Relationships without a subject ticket are left to the new tasks they describe (see detectIssueLinksForTask).
+ * @param {Array} transcriptEntries - Array of transcript entries
+ * @returns {Array<Object>} Relationships with entryIndex and sourceRanges
+ */
+function detectIssueLinksFromTranscript(transcriptEntries) {
+  const byKey = new Map();
+
+  for (const [entryIndex, entry] of transcriptEntries.entries()) {
+    if (!entry.text) continue;
+
+    const speakerMatch = entry.text.match(/<v\s*([^>]+)>/);
+    const speaker = speakerMatch ? speakerMatch[1].trim() : (entry.speaker || "Unknown");
+    const cleanText = entry.text.replace(/<[^>]*>/g, "").trim();
+    if (cleanText.length === 0) continue;
+
+    const sourceRanges = [getEntryRange(transcriptEntries, entryIndex)];
+    for (const link of detectIssueLinks(cleanText, speaker)) {
+      const key = getIssueLinkKey(link);
+      if (link.taskId && !byKey.has(key)) {
+        byKey.set(key, { ...link, entryIndex, sourceRanges });
+      }
+    }
+  }
+
+  const links = [...byKey.values()];
+  if (links.length > 0) {
+    logger.info("Detected issue links", {
+      count: links.length,
+      links: links.map(link => `${getIssueLinkKey(link)} (${link.speaker})`)
+    });
+  }
+
+  return links;
+}
+
+/**
+ * Detect the relationships a new task's evidence states about the task itself ("this depends on TDS-198")
+ * @param {Object} task - Task from the Task Finder (evidence, assignee)
+ * @returns {Array<Object>} Relationships with a null taskId and source "spoken"
+ */
+function detectIssueLinksForTask(task) {
+  return detectIssueLinks(task.evidence || "", task.assignee)
+    .filter(link => link.taskId === null)
+    .map(link => ({ ...link, source: "spoken" }));
+}
+
+module.exports = {
+  detectIssueLinks,
+  detectIssueLinksFromTranscript,
+  detectIssueLinksForTask,
+  getIssueLinkKey,
+};
@@ -1,147 +1,75 @@
 /**
  * Meeting URL Service - Handles day-based meeting URL selection
  * 
- * This service determines which meeting URL to use based on the day of the week:
- * - Tuesday/Thursday/Saturday: Use DAILY_STANDUP_URL_MWF
- * - Wednesday/Friday: Use DAILY_STANDUP_URL_TT
- * - Sunday/Monday: No meetings
+ * This service determines which meeting URL to use for the meeting day being processed,
+ * using the team calendar (config/teamCalendar.js):
+ * - Monday/Wednesday/Friday meetings: DAILY_STANDUP_URL_MWF
+ * - Tuesday/Thursday meetings: DAILY_STANDUP_URL_TT
+ * - Non-meeting days and holidays: No meetings
  */
 
 const {logger} = require("firebase-functions");
+const {
+  getTeamCalendar, getZonedTimeComponents, resolveTargetMeetingDate, DAY_NAMES
+} = require("../../config/teamCalendar");
 
 // Load environment variables
 require("dotenv").config();
 
 /**
  * Get Bangladesh time components properly
+ * Kept for existing callers - new code should use the team calendar's timezone via getZonedTimeComponents.
  * @param {Date} currentDate - Current date (optional, defaults to now)
  * @returns {Object} Bangladesh time components
  */
 function getBangladeshTimeComponents(currentDate = new Date()) {
-  const formatter = new Intl.DateTimeFormat("en-CA", {
-    timeZone: "Asia/Dhaka",
-    year: "numeric",
-    month: "2-digit", 
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hour12: false
-  });
-
-  const parts = formatter.formatToParts(currentDate);
-  const year = parseInt(parts.find(p => p.type === "year").value);
-  const month = parseInt(parts.find(p => p.type === "month").value);
-  const day = parseInt(parts.find(p => p.type === "day").value);
-  const hour = parseInt(parts.find(p => p.type === "hour").value);
-  const minute = parseInt(parts.find(p => p.type === "minute").value);
-  const second = parseInt(parts.find(p => p.type === "second").value);
-
-  // Create a proper date object for day calculations (using 1-indexed month)
-  const bangladeshDate = new Date(year, month - 1, day);
-  
-  return {
-    year,
-    month,
-    day,
-    hour,
-    minute,
-    second,
-    dayOfWeek: bangladeshDate.getDay(),
-    dateString: `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`
-  };
+  return getZonedTimeComponents(currentDate, "Asia/Dhaka");
 }
 
 /**
- * Get the appropriate meeting URL based on the current day
- * When running at 2 AM Bangladesh time, use the previous day's meeting URL
+ * Get the appropriate meeting URL based on the team calendar
+ * Runs before the calendar's cutoff hour use the previous day's meeting URL
  * @param {Date} currentDate - Current date (optional, defaults to now)
+ * @param {Object} calendar - Team calendar (optional, defaults to the default team)
  * @returns {string|null} Meeting URL or null if no meeting on that day
  */
-function getMeetingUrlForDay(currentDate = new Date()) {
+function getMeetingUrlForDay(currentDate = new Date(), calendar = getTeamCalendar()) {
   try {
-    // Get Bangladesh time components
-    const bangladeshTime = getBangladeshTimeComponents(currentDate);
-    
-    // If it's early morning (midnight to 6 AM), use previous day's meeting
-    let targetYear = bangladeshTime.year;
-    let targetMonth = bangladeshTime.month;
-    let targetDay = bangladeshTime.day;
-    let targetDayOfWeek = bangladeshTime.dayOfWeek;
-    let targetDateString = bangladeshTime.dateString;
-    
-    if (bangladeshTime.hour >= 0 && bangladeshTime.hour < 6) {
-      // Early morning - use previous day
-      // Fix: Use dateString directly to avoid timezone issues
-      const targetDate = new Date(bangladeshTime.dateString);
-      targetDate.setDate(targetDate.getDate() - 1);
-      
-      targetYear = targetDate.getFullYear();
-      targetMonth = targetDate.getMonth() + 1;
-      targetDay = targetDate.getDate();
-      targetDayOfWeek = targetDate.getDay();
-      targetDateString = targetDate.toISOString().slice(0, 10);
-      
-      logger.info("Using previous day for meeting URL selection", {
-        currentHour: bangladeshTime.hour,
-        originalDate: bangladeshTime.dateString,
-        targetDate: targetDateString,
-      });
-    }
-    
-    const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
-    const dayName = dayNames[targetDayOfWeek];
+    const target = resolveTargetMeetingDate(currentDate, calendar);
     
     logger.info("Determining meeting URL for day", {
-      targetDate: targetDateString,
-      dayOfWeek: targetDayOfWeek,
-      dayName,
-      bangladeshTime: `${bangladeshTime.dateString}T${String(bangladeshTime.hour).padStart(2, "0")}:${String(bangladeshTime.minute).padStart(2, "0")}:${String(bangladeshTime.second).padStart(2, "0")}+06:00`,
+      teamId: target.teamId,
+      timezone: target.timezone,
+      targetDate: target.dateString,
+      dayName: target.dayName,
+      usedPreviousDay: target.usedPreviousDay,
+      localTime: `${target.local.dateString} ${String(target.local.hour).padStart(2, "0")}:` +
+        `${String(target.local.minute).padStart(2, "0")}`,
     });
     
-    // Check if it's a meeting day
-    if (targetDayOfWeek === 0 || targetDayOfWeek === 1) {
-      // Sunday (0) or Monday (1) - no meetings
-      logger.info("No meeting on this day", { dayName });
+    if (!target.shouldFetch) {
+      logger.info("No meeting on this day", {
+        dayName: target.dayName,
+        reason: target.skipReason,
+      });
       return null;
     }
     
-    // Determine which URL to use based on the CURRENT day (not target day)
-    // If today is Tuesday/Thursday/Saturday → Use MWF URL
-    // If today is Wednesday/Friday → Use TT URL
-    let meetingUrl = null;
-    let meetingType = null;
-    
-    if (bangladeshTime.dayOfWeek === 2 || bangladeshTime.dayOfWeek === 4 || bangladeshTime.dayOfWeek === 6) {
-      // Today is Tuesday (2), Thursday (4), Saturday (6) - Use MWF URL
-      meetingUrl = process.env.DAILY_STANDUP_URL_MWF;
-      meetingType = "Using MWF URL";
-    } else if (bangladeshTime.dayOfWeek === 3 || bangladeshTime.dayOfWeek === 5) {
-      // Today is Wednesday (3), Friday (5) - Use TT URL
-      meetingUrl = process.env.DAILY_STANDUP_URL_TT;
-      meetingType = "Using TT URL";
-    }
+    const envVar = calendar.meetingUrlEnvVars[target.dayName];
+    const meetingUrl = envVar ? process.env[envVar] : null;
     
     if (!meetingUrl) {
       logger.error("Meeting URL environment variable not set", {
-        dayName,
-        meetingType,
-        requiredEnvVar: meetingType === "MWF" ? "DAILY_STANDUP_URL_MWF" : "DAILY_STANDUP_URL_TT",
+        dayName: target.dayName,
+        requiredEnvVar: envVar || `(no meetingUrlEnvVars entry for ${target.dayName})`,
       });
       return null;
     }
     
-    const currentDayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
-    const currentDayName = currentDayNames[bangladeshTime.dayOfWeek];
-    
     logger.info("Meeting URL selected", {
-      currentDay: currentDayName,
-      targetDay: dayName,
-      todayIs: bangladeshTime.dayOfWeek === 2 || bangladeshTime.dayOfWeek === 4 || bangladeshTime.dayOfWeek === 6 ? "Tuesday/Thursday/Saturday" : "Wednesday/Friday",
-      meetingType,
-      hasUrl: !!meetingUrl,
+      targetDay: target.dayName,
+      envVar,
       urlPrefix: meetingUrl.substring(0, 50) + "...",
-      logic: bangladeshTime.dayOfWeek === 2 || bangladeshTime.dayOfWeek === 4 || bangladeshTime.dayOfWeek === 6 ? "Today is Tue/Thu/Sat → Use MWF URL" : "Today is Wed/Fri → Use TT URL"
     });
     
     return meetingUrl;
@@ -156,45 +84,30 @@ function getMeetingUrlForDay(currentDate = new Date()) {
 }
 
 /**
- * Check if a given day should have a meeting
+ * Check if a given day should have a meeting (meeting day and not a holiday)
  * @param {Date} date - Date to check
+ * @param {Object} calendar - Team calendar (optional, defaults to the default team)
  * @returns {boolean} True if there should be a meeting on this day
  */
-function shouldHaveMeetingOnDay(date) {
-  const bangladeshTime = getBangladeshTimeComponents(date);
-  let targetDayOfWeek = bangladeshTime.dayOfWeek;
-  
-  // If early morning, check previous day
-  if (bangladeshTime.hour >= 0 && bangladeshTime.hour < 6) {
-    const targetDate = new Date(bangladeshTime.dateString);
-    targetDate.setDate(targetDate.getDate() - 1);
-    targetDayOfWeek = targetDate.getDay();
-  }
-  
-  // Tuesday (2), Wednesday (3), Thursday (4), Friday (5), Saturday (6) have meetings
-  // Sunday (0), Monday (1) do not
-  return targetDayOfWeek >= 2 && targetDayOfWeek <= 6;
+function shouldHaveMeetingOnDay(date, calendar = getTeamCalendar()) {
+  return resolveTargetMeetingDate(date, calendar).shouldFetch;
 }
 
 /**
- * Get the meeting type for a given day (which URL to use)
+ * Get the meeting type for a given day (which URL env var to use)
  * @param {Date} date - Date to check
+ * @param {Object} calendar - Team calendar (optional, defaults to the default team)
  * @returns {string|null} Description of which URL to use, or null if no meeting
  */
-function getMeetingTypeForDay(date) {
-  const bangladeshTime = getBangladeshTimeComponents(date);
+function getMeetingTypeForDay(date, calendar = getTeamCalendar()) {
+  const target = resolveTargetMeetingDate(date, calendar);
+  const envVar = calendar.meetingUrlEnvVars[target.dayName];
   
-  // Use CURRENT day to determine URL type (not target day)
-  // The target day logic is only for fetching the previous day's transcript
-  if (bangladeshTime.dayOfWeek === 2 || bangladeshTime.dayOfWeek === 4 || bangladeshTime.dayOfWeek === 6) {
-    // Today is Tuesday/Thursday/Saturday - Use MWF URL
-    return "Use MWF URL";
-  } else if (bangladeshTime.dayOfWeek === 3 || bangladeshTime.dayOfWeek === 5) {
-    // Today is Wednesday/Friday - Use TT URL
-    return "Use TT URL";
+  if (!target.shouldFetch || !envVar) {
+    return null;
   }
   
-  return null;
+  return `Use ${envVar}`;
 }
 
 /**
@@ -202,7 +115,7 @@ function getMeetingTypeForDay(date) {
  * @returns {Object} Validation result with success flag and missing variables
  */
 function validateMeetingUrlEnvironment() {
-  const requiredVars = ["DAILY_STANDUP_URL_MWF", "DAILY_STANDUP_URL_TT"];
+  const requiredVars = [...new Set(Object.values(getTeamCalendar().meetingUrlEnvVars))];
   const missingVars = [];
   
   for (const envVar of requiredVars) {
@@ -220,8 +133,7 @@ function validateMeetingUrlEnvironment() {
     });
   } else {
     logger.info("Meeting URL environment variables validated", {
-      mwfUrlSet: !!process.env.DAILY_STANDUP_URL_MWF,
-      ttUrlSet: !!process.env.DAILY_STANDUP_URL_TT,
+      requiredVars,
     });
   }
   
@@ -249,9 +161,8 @@ function getMeetingUrlWithFallback(currentDate = new Date()) {
   // If new system fails and it's a weekday, try legacy URL
   const shouldHaveMeeting = shouldHaveMeetingOnDay(currentDate);
   if (shouldHaveMeeting && process.env.DAILY_STANDUP_URL) {
-    const bangladeshTime = getBangladeshTimeComponents(currentDate);
     logger.warn("Using legacy DAILY_STANDUP_URL as fallback", {
-      date: bangladeshTime.dateString,
+      date: resolveTargetMeetingDate(currentDate).dateString,
       hasLegacyUrl: !!process.env.DAILY_STANDUP_URL,
     });
     return process.env.DAILY_STANDUP_URL;
@@ -276,13 +187,12 @@ async function testMeetingUrlService() {
     const testDate = new Date(today);
     testDate.setDate(today.getDate() + i);
     
-    const bangladeshTime = getBangladeshTimeComponents(testDate);
-    const dayNames = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+    const target = resolveTargetMeetingDate(testDate);
     
     testResults.dayTests.push({
-      date: bangladeshTime.dateString,
-      dayName: dayNames[bangladeshTime.dayOfWeek],
-      dayOfWeek: bangladeshTime.dayOfWeek,
+      date: target.dateString,
+      dayName: DAY_NAMES[target.dayOfWeek],
+      dayOfWeek: target.dayOfWeek,
       shouldHaveMeeting: shouldHaveMeetingOnDay(testDate),
       meetingType: getMeetingTypeForDay(testDate),
       meetingUrl: getMeetingUrlForDay(testDate) ? "URL_SET" : "NO_URL",
@@ -0,0 +1,266 @@
+/**
+ * Prompt Registry
+ *
+ * Versioned prompt templates for the pipeline stages, kept as text files so prompt edits can be
+ * reviewed and diffed like code:
+ *
+ *   prompts/registry.json                 every prompt, its versions (with a note) and the active version
+ *   prompts/<prompt>/<version>/<part>.txt one file per part (system, user, rag_system, ...)
+ *
+ * Parts use named variables written as {{variableName}}. Rendering fails when a variable is not passed,
+ * and values are inserted as-is (a value containing {{...}} is not expanded again).
+ *
+ * The version rendered for a prompt is, in order:
+ * 1. The one set by withPromptVersions() around the call (A/B runs)
+ * 2. PROMPT_VERSIONS - JSON object of prompt name to version, e.g. {"task_finder": "v2"}
+ * 3. The prompt's active version in registry.json
+ *
+ * runWithPromptTracking() records every prompt version rendered while it runs, so the versions can be
+ * stored with the tasks and transcripts they produced.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
+const { logger } = require("firebase-functions");
+
+const PROMPTS_DIR = path.join(__dirname, "..", "..", "prompts");
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const promptContext = new AsyncLocalStorage();
+
+let registryCache = null;
+const templateCache = new Map();
+
+/**
+ * Load prompts/registry.json (cached)
+ * @returns {Object} Registry: prompt name → { description, active, versions: { version: note } }
+ */
+function loadPromptRegistry() {
+  if (!registryCache) {
+    const registryFile = path.join(PROMPTS_DIR, "registry.json");
+    try {
+      registryCache = JSON.parse(fs.readFileSync(registryFile, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read prompt registry ${registryFile}: ${error.message}`);
+    }
+  }
+  return registryCache;
+}
+
+/**
+ * Get a prompt's registry entry
+ * @param {string} name - Prompt name
+ * @returns {Object} Registry entry
+ */
+function getPromptEntry(name) {
+  const entry = loadPromptRegistry()[name];
+  if (!entry) {
+    throw new Error(`Unknown prompt "${name}"`);
+  }
+  return entry;
+}
+
+/**
+ * Check that a version is registered for a prompt
+ * @param {string} name - Prompt name
+ * @param {string} version - Version
+ */
+function assertPromptVersion(name, version) {
+  const entry = getPromptEntry(name);
+  if (!Object.prototype.hasOwnProperty.call(entry.versions || {}, version)) {
+    const known = Object.keys(entry.versions || {}).join(", ");
+    throw new Error(`Unknown version "${version}" of prompt "${name}" (known: ${known})`);
+  }
+}
+
+/**
+ * Read the PROMPT_VERSIONS environment variable
+ * @returns {Object} Prompt name → version
+ */
+function getEnvPromptVersions() {
+  if (!process.env.PROMPT_VERSIONS) return {};
+  try {
+    return JSON.parse(process.env.PROMPT_VERSIONS);
+  } catch (error) {
+    logger.warn("Ignoring invalid PROMPT_VERSIONS", { error: error.message });
+    return {};
+  }
+}
+
+/**
+ * Work out which version of a prompt to render
+ * @param {string} name - Prompt name
+ * @returns {string} Version
+ */
+function resolvePromptVersion(name) {
+  const context = promptContext.getStore();
+  const version = (context && context.overrides[name]) || getEnvPromptVersions()[name] || getPromptEntry(name).active;
+  assertPromptVersion(name, version);
+  return version;
+}
+
+/**
+ * Read one part of a prompt version (cached)
+ * @param {string} name - Prompt name
+ * @param {string} version - Version
+ * @param {string} part - Part name (file name without .txt)
+ * @returns {string} Template text
+ */
+function loadPromptTemplate(name, version, part) {
+  const key = `${name}/${version}/${part}`;
+  if (!templateCache.has(key)) {
+    const templateFile = path.join(PROMPTS_DIR, name, version, `${part}.txt`);
+    if (!fs.existsSync(templateFile)) {
+      throw new Error(`Prompt "${name}" ${version} has no "${part}" part (${templateFile})`);
+    }
+    // Files end with a newline that is not part of the template
+    templateCache.set(key, fs.readFileSync(templateFile, "utf8").replace(/\n$/, ""));
+  }
+  return templateCache.get(key);
+}
+
+/**
+ * List the variables a template uses
+ * @param {string} template - Template text
+ * @returns {Array<string>} Variable names, in order of first use
+ */
+function getTemplateVariables(template) {
+  return [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Render one part of a prompt with the version in effect and record the version used
+ * @param {string} name - Prompt name ("task_finder", "task_creator", "task_updater", "meeting_notes")
+ * @param {string} part - Part name ("system", "user", ...)
+ * @param {Object} variables - Values for the template's {{variables}}
+ * @returns {string} Rendered text
+ */
+function renderPrompt(name, part, variables = {}) {
+  const version = resolvePromptVersion(name);
+  const template = loadPromptTemplate(name, version, part);
+
+  const missing = getTemplateVariables(template).filter(variable => !(variable in variables));
+  if (missing.length > 0) {
+    throw new Error(`Prompt "${name}" ${version} (${part}) is missing variable(s): ${missing.join(", ")}`);
+  }
+
+  const context = promptContext.getStore();
+  if (context) {
+    context.trackers.forEach(tracker => {
+      tracker[name] = version;
+    });
+  }
+
+  return template.replace(VARIABLE_PATTERN, (placeholder, variable) => String(variables[variable]));
+}
+
+/**
+ * Run a function with some prompts pinned to given versions (for A/B runs)
+ * @param {Object} versions - Prompt name → version
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} The function's result
+ */
+async function withPromptVersions(versions, fn) {
+  Object.entries(versions || {}).forEach(([name, version]) => assertPromptVersion(name, version));
+
+  const parent = promptContext.getStore();
+  return promptContext.run({
+    overrides: { ...(parent ? parent.overrides : {}), ...versions },
+    trackers: parent ? parent.trackers : [],
+  }, fn);
+}
+
+/**
+ * Run a function and record the version of every prompt it renders
+ * Runs can nest; renders count towards every enclosing run.
+ * @param {Function} fn - Function to run
+ * @returns {Promise<Object>} { result, promptVersions } - prompt name → version
+ */
+async function runWithPromptTracking(fn) {
+  const parent = promptContext.getStore();
+  const promptVersions = {};
+  const result = await promptContext.run({
+    overrides: parent ? parent.overrides : {},
+    trackers: [...(parent ? parent.trackers : []), promptVersions],
+  }, fn);
+  return { result, promptVersions: { ...promptVersions } };
+}
+
+/**
+ * Get the prompt versions rendered so far by the innermost runWithPromptTracking()
+ * @returns {Object} Prompt name → version ({} outside a tracked run)
+ */
+function getTrackedPromptVersions() {
+  const context = promptContext.getStore();
+  return context && context.trackers.length > 0 ? { ...context.trackers[context.trackers.length - 1] } : {};
+}
+
+/**
+ * Keep only some prompts from a prompt-versions map
+ * @param {Object} promptVersions - Prompt name → version
+ * @param {Array<string>} names - Prompt names to keep
+ * @returns {Object} Prompt name → version
+ */
+function pickPromptVersions(promptVersions, names) {
+  return Object.fromEntries(Object.entries(promptVersions || {}).filter(([name]) => names.includes(name)));
+}
+
+/**
+ * List the registered prompts
+ * @returns {Array<Object>} { name, description, active, versions: [{ version, note, parts }] }
+ */
+function listPrompts() {
+  return Object.entries(loadPromptRegistry()).map(([name, entry]) => ({
+    name,
+    description: entry.description || "",
+    active: entry.active,
+    versions: Object.entries(entry.versions || {}).map(([version, note]) => {
+      const versionDir = path.join(PROMPTS_DIR, name, version);
+      const files = fs.existsSync(versionDir) ? fs.readdirSync(versionDir) : [];
+      const parts = files.filter(file => file.endsWith(".txt")).map(file => file.replace(/\.txt$/, "")).sort();
+      return { version, note, parts };
+    }),
+  }));
+}
+
+/**
+ * Check the registry against the template files
+ * @returns {Array<string>} Problems found (empty when the registry is valid)
+ */
+function validatePromptRegistry() {
+  const problems = [];
+
+  for (const prompt of listPrompts()) {
+    if (!prompt.versions.some(entry => entry.version === prompt.active)) {
+      problems.push(`${prompt.name}: active version "${prompt.active}" is not registered`);
+    }
+
+    const activeParts = (prompt.versions.find(entry => entry.version === prompt.active) || { parts: [] }).parts;
+    for (const entry of prompt.versions) {
+      if (entry.parts.length === 0) {
+        problems.push(`${prompt.name} ${entry.version}: no template files`);
+        continue;
+      }
+      // Every version is rendered by the same code, so it needs the same parts
+      activeParts.filter(part => !entry.parts.includes(part))
+        .forEach(part => problems.push(`${prompt.name} ${entry.version}: missing part "${part}"`));
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  PROMPTS_DIR,
+  renderPrompt,
+  resolvePromptVersion,
+  withPromptVersions,
+  runWithPromptTracking,
+  getTrackedPromptVersions,
+  pickPromptVersions,
+  getTemplateVariables,
+  loadPromptTemplate,
+  listPrompts,
+  validatePromptRegistry,
+};
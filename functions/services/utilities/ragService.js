@@ -9,12 +9,13 @@
  * Based on the proven architecture from transcript-chat system
  */
 
-const { ChatOpenAI } = require('@langchain/openai');
-const { ChatPromptTemplate, SystemMessagePromptTemplate, HumanMessagePromptTemplate } = require('@langchain/core/prompts');
+const { getChatModel } = require("../integrations/llmProvider");
+const { SystemMessage, HumanMessage } = require('@langchain/core/messages');
 const { RunnableSequence } = require('@langchain/core/runnables');
 const { StringOutputParser } = require('@langchain/core/output_parsers');
 const { getRAGContextForTask } = require('../storage/transcriptEmbeddingService');
 const { getLocalRAGContext } = require('../storage/localEmbeddingCache');
+const { renderPrompt } = require("./promptRegistry");
 const { logger } = require("firebase-functions");
 
 // Load environment variables
@@ -25,12 +26,7 @@ require("dotenv").config();
  */
 class TaskRAG {
   constructor() {
-    this.llm = new ChatOpenAI({
-      modelName: 'gpt-5-nano',
-      max_output_tokens: 1000,
-      reasoning: { effort: 'medium' },
-      verbosity: "medium",
-    });
+    this.llm = getChatModel({ maxOutputTokens: 1000, stage: "rag" });
 
     // Create output parser for string responses
     this.outputParser = new StringOutputParser();
@@ -40,98 +36,19 @@ class TaskRAG {
    * Create RAG chain for task creation
    */
   createTaskCreationChain() {
-    const chatPrompt = ChatPromptTemplate.fromMessages([
-      SystemMessagePromptTemplate.fromTemplate(`
-You are a Task Creator assistant for a Scrum team. Your role is to create concise, professional task titles and rich descriptions using relevant information from meeting transcripts.
-
-**CORE PURPOSE**: Transform basic task descriptions into comprehensive, actionable task definitions using available context from meeting discussions.
-
-**CRITICAL TITLE REQUIREMENTS**:
-- Create a SHORT, CLEAR title (3-5 words maximum)
-- Title should be the MAIN ACTION or DELIVERABLE (e.g., "Email notification system", "Mobile expense tracker", "Blue navigation menu")
-- NEVER include: "NEW_TASK", "Create a task", "Background", "Context", "Update", "Purpose:", prefixes, or incomplete sentences
-- Title should sound like something you'd see in a professional project management tool
-- Examples of GOOD titles: "Email notification system", "User authentication fix", "Dashboard UI update"
-- Examples of BAD titles: "NEW_TASK - Email notification", "Create a new task to", "BackgroundContext: During", "Purpose: Implement an email notification"
-
-**DESCRIPTION REQUIREMENTS**:
-1. **SCRUM-ALIGNED FORMATTING**:
-   - Use the following structured format for all task descriptions
-   - Follow Scrum best practices for user story definition
-   - Include clear acceptance criteria and sprint information
-
-2. **REQUIRED STRUCTURE**:
-   Use this exact format for the description:
-
-   **User Story:**
-   As a [user/persona], I want to [goal/action] so that [benefit/value].
-
-   **Acceptance Criteria:**
-   - [List 2–3 specific testable outcomes based on transcript context]
-   - [E.g., "Error message appears below input field", "Logs captured in system"]
-
-   **Sprint Info:**
-   - Priority: [High/Medium/Low] (extract from transcript context or leave blank if not mentioned)
-   - Estimation: [use estimatedTime from task info or leave blank]
-
-   **EXAMPLE FORMAT**:
-   **User Story:**
-   As a project manager, I want to receive email notifications for task updates so that I can stay informed about project progress without constantly checking the system.
-
-   **Acceptance Criteria:**
-   - Email notifications are sent within 5 minutes of task status changes
-   - Users can customize notification preferences in their profile settings
-   - Unsubscribe functionality is available in all notification emails
-
-   **Sprint Info:**
-   - Priority: High
-   - Estimation: 8 hours
-
-3. **CONTEXT INTEGRATION**:
-   - Extract user persona from transcript context (developer, user, admin, etc.)
-   - Derive goal/action from the task description and evidence
-   - Identify benefit/value from the conversation context
-   - Create specific, testable acceptance criteria based on technical details mentioned
-   - Extract priority if mentioned in discussions
-   - Use provided estimatedTime for estimation field
-
-**OUTPUT FORMAT**:
-Return your response as a valid JSON object with these exact fields:
-- title: A SHORT, professional title (3-5 words maximum, NO prefixes or artifacts)
-- description: Rich, detailed description following the EXACT Scrum format above (User Story + Acceptance Criteria + Sprint Info)
-- confidence: "high", "medium", or "low"
-- sources_used: Array of brief descriptions of sources used
-- reasoning: Brief explanation of how context was integrated
-
-IMPORTANT: Return ONLY the JSON object, no additional text or explanations.
-
-**CONTEXT FROM MEETING TRANSCRIPTS**:
-{context}
-`),
-      HumanMessagePromptTemplate.fromTemplate(`
-**TASK TO ENHANCE**:
-- Basic Description: {taskDescription}
-- Assignee: {assignee}
-- Type: {taskType}
-- Evidence from transcript: {evidence}
-- Additional Context: {additionalContext}
-- Estimated Time: {estimatedTime} hours
-
-Please create a rich, detailed task using the Scrum-aligned format and transcript context provided above.
-`)
-    ]);
-
+    // Prompts are rendered when the chain runs, so A/B runs pick up the pinned version
     return RunnableSequence.from([
-      {
-        context: (input) => input.context,
-        taskDescription: (input) => input.taskDescription,
-        assignee: (input) => input.assignee,
-        taskType: (input) => input.taskType,
-        evidence: (input) => input.evidence,
-        additionalContext: (input) => input.additionalContext,
-        estimatedTime: (input) => input.estimatedTime || 0,
-      },
-      chatPrompt,
+      (input) => [
+        new SystemMessage(renderPrompt("task_creator", "rag_system", { context: input.context })),
+        new HumanMessage(renderPrompt("task_creator", "rag_user", {
+          taskDescription: input.taskDescription,
+          assignee: input.assignee,
+          taskType: input.taskType,
+          evidence: input.evidence,
+          additionalContext: input.additionalContext,
+          estimatedTime: input.estimatedTime || 0,
+        })),
+      ],
       this.llm,
       this.outputParser,
     ]);
@@ -141,68 +58,17 @@ Please create a rich, detailed task using the Scrum-aligned format and transcrip
    * Create RAG chain for task updates
    */
   createTaskUpdateChain() {
-    const chatPrompt = ChatPromptTemplate.fromMessages([
-      SystemMessagePromptTemplate.fromTemplate(`
-You are a Task Updater assistant for a Scrum team. Your role is to update existing tasks with new information from meeting discussions.
-
-**CORE PURPOSE**: Enhance existing task descriptions with new information, progress updates, or clarifications from recent meeting discussions.
-
-**TASK UPDATE GUIDELINES**:
-
-1. **UPDATE INTEGRATION**:
-   - PRESERVE the existing task description completely
-   - APPEND new information to the existing description (do not replace or rewrite)
-   - Add new details as an update section with date prefix
-   - Include progress updates, new requirements, or clarifications as additions
-
-2. **CONTEXT UTILIZATION**:
-   - Use transcript context to provide rich, detailed updates
-   - Include WHO mentioned the update and WHEN
-   - Preserve technical details and specific information
-   - Add any new requirements, constraints, or timeline changes
-
-3. **UPDATE TYPES**:
-   - Progress updates: What work has been done or is in progress
-   - Requirement changes: New requirements or scope modifications
-   - Technical details: Additional technical information or constraints
-   - Status clarifications: Clarifications about current status or blockers
-
-4. **OUTPUT FORMAT**:
-Return your response as a valid JSON object with these exact fields:
-- updatedDescription: The COMPLETE description with the original description preserved and new information APPENDED (format: "[ORIGINAL_DESCRIPTION]\n\n(DD/MM/YYYY): [NEW_UPDATE_CONTENT]" - NO "BackgroundContext" or artifacts)
-- updateSummary: Brief summary of what was added/changed
-- updateType: "progress", "requirements", "technical", or "clarification"
-- confidence: "high", "medium", or "low" 
-- sources_used: Array of brief descriptions of sources used
-- reasoning: Brief explanation of update integration
-
-IMPORTANT: Return ONLY the JSON object, no additional text or explanations.
-
-**CONTEXT FROM MEETING TRANSCRIPTS**:
-{context}
-`),
-      HumanMessagePromptTemplate.fromTemplate(`
-**TASK TO UPDATE**:
-- Ticket ID: {ticketId}
-- Current Description: {currentDescription}
-- Update Information: {updateInfo}
-- Evidence from transcript: {evidence}
-- Additional Context: {additionalContext}
-
-Please PRESERVE the existing task description completely and APPEND the new information as an update section. Do not rewrite or replace the original description - only add to it.
-`)
-    ]);
-
     return RunnableSequence.from([
-      {
-        context: (input) => input.context,
-        ticketId: (input) => input.ticketId,
-        currentDescription: (input) => input.currentDescription,
-        updateInfo: (input) => input.updateInfo,
-        evidence: (input) => input.evidence,
-        additionalContext: (input) => input.additionalContext,
-      },
-      chatPrompt,
+      (input) => [
+        new SystemMessage(renderPrompt("task_updater", "rag_system", { context: input.context })),
+        new HumanMessage(renderPrompt("task_updater", "rag_user", {
+          ticketId: input.ticketId,
+          currentDescription: input.currentDescription,
+          updateInfo: input.updateInfo,
+          evidence: input.evidence,
+          additionalContext: input.additionalContext,
+        })),
+      ],
       this.llm,
       this.outputParser,
     ]);
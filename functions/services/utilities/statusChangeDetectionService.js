@@ -2,11 +2,13 @@
  * Status Change Detection Service
  * 
  * This service handles detection of task status changes from transcript text,
- * specifically looking for patterns like "SP-XX is complete", "finished SP-25", etc.
+ * specifically looking for patterns like "SP-XX is complete", "finished SP-25", "TDS-204 is blocked on design",
+ * "SP-30 is up for review" or "we dropped SP-31".
  */
 
 const { logger } = require("firebase-functions");
-const { StatusChangeSchema } = require("../../schemas/taskSchemas");
+const { StatusChangeSchema, TASK_STATUSES } = require("../../schemas/taskSchemas");
+const { getEntryRange } = require("./transcriptSourceService");
 
 /**
  * Detect status changes from transcript text
@@ -83,6 +85,89 @@ function detectStatusChanges(transcriptText, speaker) {
       }
     ];
 
+    // Patterns for won't do (dropped, cancelled or descoped work)
+    const wontDoPatterns = [
+      // "SP-XX was cancelled/dropped" or "TDS-204 is not needed anymore"
+      {
+        pattern: new RegExp(/\b((?:sp|[A-Z]{2,})[-\s]?\d+)\s+(?:is|was|has\s+been|got)\s+/.source +
+          /(?:now\s+)?(?:cancell?ed|dropped|descoped|abandoned|won['’]?t\s+do|not\s+needed)\b/.source, "gi"),
+        status: "Won't Do",
+        confidence: 0.9
+      },
+      // "we won't do SP-XX" or "we're not doing TDS-204"
+      {
+        pattern: /\b(?:won['’]?t\s+do|(?:not|aren['’]?t)\s+doing)\s+((?:sp|[A-Z]{2,})[-\s]?\d+)\b/gi,
+        status: "Won't Do",
+        confidence: 0.85
+      },
+      // "dropping SP-XX" or "we descoped TDS-204"
+      {
+        pattern: /\b(?:dropp(?:ed|ing)|cancell?(?:ed|ing)|descop(?:ed|ing))\s+((?:sp|[A-Z]{2,})[-\s]?\d+)\b/gi,
+        status: "Won't Do",
+        confidence: 0.85
+      },
+      // "SP-XX - won't do" or "TDS-204 cancelled"
+      {
+        pattern: /\b((?:sp|[A-Z]{2,})[-\s]?\d+)(?:\s*[-:]\s*|\s+)(?:won['’]?t\s+do|cancell?ed|dropped)\b/gi,
+        status: "Won't Do",
+        confidence: 0.8
+      }
+    ];
+
+    // Patterns for blocked
+    const blockedPatterns = [
+      // "SP-XX is blocked" or "TDS-204 is blocked on design" / "TDS-204 is still on hold"
+      {
+        pattern: new RegExp(/\b((?:sp|[A-Z]{2,})[-\s]?\d+)\s+(?:is|was|has\s+been|got|gets)\s+/.source +
+          /(?:still\s+|now\s+|currently\s+)?(?:blocked|on\s+hold|stuck)\b/.source, "gi"),
+        status: "Blocked",
+        confidence: 0.9
+      },
+      // "SP-XX - blocked" or "TDS-204 blocked by the API change"
+      {
+        pattern: /\b((?:sp|[A-Z]{2,})[-\s]?\d+)(?:\s*[-:]\s*|\s+)(?:blocked|on\s+hold)\b/gi,
+        status: "Blocked",
+        confidence: 0.8
+      },
+      // "SP-XX is waiting on design"
+      {
+        pattern: new RegExp(/\b((?:sp|[A-Z]{2,})[-\s]?\d+)\s+(?:is\s+)?(?:still\s+)?waiting\s+(?:on|for)\b/.source +
+          /(?!\s+(?:a\s+|the\s+)?(?:code\s+)?review)/.source, "gi"),
+        status: "Blocked",
+        confidence: 0.8
+      }
+    ];
+
+    // Patterns for in review
+    const inReviewPatterns = [
+      // "SP-XX is in review" or "TDS-204 is up for review"
+      {
+        pattern: new RegExp(/\b((?:sp|[A-Z]{2,})[-\s]?\d+)\s+(?:is|was|has\s+been)\s+(?:now\s+|currently\s+)?/.source +
+          /(?:in\s+(?:code\s+)?review|under\s+review|(?:up|ready)\s+for\s+review)\b/.source, "gi"),
+        status: "In Review",
+        confidence: 0.9
+      },
+      // "sent SP-XX for review" or "put TDS-204 up for review"
+      {
+        pattern: /\b(?:sent|submitted|put)\s+((?:sp|[A-Z]{2,})[-\s]?\d+)\s+(?:up\s+)?for\s+(?:code\s+)?review\b/gi,
+        status: "In Review",
+        confidence: 0.9
+      },
+      // "opened a PR for SP-XX" or "raised the pull request for TDS-204"
+      {
+        pattern: new RegExp(/\b(?:opened|raised|put\s+up|submitted)\s+(?:a\s+|the\s+)?/.source +
+          /(?:pr|pull\s+request|merge\s+request)\s+for\s+((?:sp|[A-Z]{2,})[-\s]?\d+)\b/.source, "gi"),
+        status: "In Review",
+        confidence: 0.85
+      },
+      // "SP-XX - in review" or "TDS-204 ready for review"
+      {
+        pattern: /\b((?:sp|[A-Z]{2,})[-\s]?\d+)(?:\s*[-:]\s*|\s+)(?:in\s+review|ready\s+for\s+review)\b/gi,
+        status: "In Review",
+        confidence: 0.8
+      }
+    ];
+
     // Process completion patterns
     for (const patternInfo of completionPatterns) {
       let match;
@@ -120,25 +205,32 @@ function detectStatusChanges(transcriptText, speaker) {
       }
     }
 
-    // Process in-progress patterns  
-    for (const patternInfo of inProgressPatterns) {
-      let match;
-      patternInfo.pattern.lastIndex = 0; // Reset regex
-      
-      while ((match = patternInfo.pattern.exec(transcriptText)) !== null) {
-        const taskId = normalizeTaskId(match[1]);
-        if (taskId) {
-          // Check if we already detected completion for this task (completion takes precedence)
-          const hasCompletion = statusChanges.some(sc => sc.taskId === taskId && sc.newStatus === "Completed");
-          
-          if (!hasCompletion) {
+    // Process the other patterns in precedence order - completion first, then won't do, blocked,
+    // in review and in progress (a task keeps the first status detected for it)
+    const otherPatternGroups = [
+      { patterns: wontDoPatterns, patternType: "wont-do" },
+      { patterns: blockedPatterns, patternType: "blocked" },
+      { patterns: inReviewPatterns, patternType: "in-review" },
+      { patterns: inProgressPatterns, patternType: "in-progress" }
+    ];
+
+    for (const { patterns, patternType } of otherPatternGroups) {
+      const detectedTaskIds = new Set(statusChanges.map(sc => sc.taskId));
+
+      for (const patternInfo of patterns) {
+        let match;
+        patternInfo.pattern.lastIndex = 0; // Reset regex
+        
+        while ((match = patternInfo.pattern.exec(transcriptText)) !== null) {
+          const taskId = normalizeTaskId(match[1]);
+          if (taskId && !detectedTaskIds.has(taskId)) {
             statusChanges.push({
               taskId,
               newStatus: patternInfo.status,
               confidence: patternInfo.confidence,
               evidence: match[0],
               speaker: speaker || "Unknown",
-              patternType: "in-progress"
+              patternType
             });
           }
         }
@@ -186,7 +278,7 @@ function detectStatusChanges(transcriptText, speaker) {
 function detectStatusChangesFromTranscript(transcriptEntries) {
   const allStatusChanges = [];
 
-  for (const entry of transcriptEntries) {
+  for (const [entryIndex, entry] of transcriptEntries.entries()) {
     if (!entry.text) continue;
 
     // Extract speaker name
@@ -201,7 +293,9 @@ function detectStatusChangesFromTranscript(transcriptEntries) {
     
     if (cleanText.length > 0) {
       const statusChanges = detectStatusChanges(cleanText, speaker);
-      allStatusChanges.push(...statusChanges);
+      // Keep the entry the change was said in, for the task's transcript sources
+      const sourceRanges = [getEntryRange(transcriptEntries, entryIndex)];
+      allStatusChanges.push(...statusChanges.map(change => ({ ...change, sourceRanges })));
     }
   }
 
@@ -283,6 +377,21 @@ function detectExplicitStatus(text) {
     "ongoing", "underway", "currently", "developing"
   ];
   
+  // Won't do indicators
+  const wontDoWords = [
+    "won't do", "wont do", "cancelled", "canceled", "dropped", "descoped", "not needed"
+  ];
+  
+  // Blocked indicators
+  const blockedWords = [
+    "blocked", "on hold", "stuck", "waiting on"
+  ];
+  
+  // In review indicators
+  const inReviewWords = [
+    "in review", "up for review", "ready for review", "under review", "code review", "pull request"
+  ];
+  
   // To-do indicators (less common but possible)
   const todoWords = [
     "pending", "todo", "to-do", "planned", "scheduled", "will start"
@@ -301,7 +410,24 @@ function detectExplicitStatus(text) {
     }
   }
 
-  // Check for in-progress (if not completed)
+  // Check for won't do, blocked and in review (if not completed), in that order
+  const otherStatusWords = [
+    { status: "Won't Do", words: wontDoWords },
+    { status: "Blocked", words: blockedWords },
+    { status: "In Review", words: inReviewWords }
+  ];
+  for (const { status: wordStatus, words } of otherStatusWords) {
+    if (status) break;
+    for (const word of words) {
+      if (lowerText.includes(word)) {
+        status = wordStatus;
+        confidence = Math.max(confidence, 0.75);
+        evidence.push(word);
+      }
+    }
+  }
+
+  // Check for in-progress (if nothing else found)
   if (!status) {
     for (const word of inProgressWords) {
       if (lowerText.includes(word)) {
@@ -373,11 +499,7 @@ function filterStatusChangesByConfidence(statusChanges, threshold = 0.7) {
 function getStatusChangeSummary(statusChanges) {
   const summary = {
     total: statusChanges.length,
-    byStatus: {
-      "Completed": 0,
-      "In-progress": 0,
-      "To-do": 0
-    },
+    byStatus: Object.fromEntries(TASK_STATUSES.map(status => [status, 0])),
     byConfidence: {
       high: 0, // >= 0.8
       medium: 0, // 0.6 - 0.79
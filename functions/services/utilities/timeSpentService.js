@@ -0,0 +1,265 @@
+/**
+ * Time Spent Service
+ *
+ * Detects actual time spent on tickets from transcript text ("I spent three hours on TDS-210 yesterday",
+ * "TDS-210 took me 90 minutes", "worked on TDS-210 for an hour and a half"). This is a separate signal from
+ * estimates ("TDS-210 will take 3 hours"), which the Task Finder already extracts as estimatedTime.
+ * Detected entries are logged as Jira worklogs and stored on the task so estimates can be compared with
+ * the actual time spent.
+ */
+
+const crypto = require("crypto");
+const { logger } = require("firebase-functions");
+const { TimeSpentSchema } = require("../../schemas/taskSchemas");
+const { normalizeTaskId } = require("./statusChangeDetectionService");
+const { getEntryRange } = require("./transcriptSourceService");
+
+const TICKET = "((?:sp|[a-z]{2,})[-\\s]?\\d+)";
+const DURATION = "((?:(?:about|around|roughly|almost|nearly|over|like)\\s+)?" +
+  "(?:[a-z0-9.]+\\s*(?:and\\s+a\\s+half\\s+)?|a\\s+(?:couple\\s+of|few)\\s+|half\\s+an?\\s+)" +
+  "(?:hours?|hrs?|h|minutes?|mins?|m)\\b(?:\\s+and\\s+a\\s+half)?" +
+  "(?:,?\\s*(?:and\\s+)?\\d+\\s*(?:minutes?|mins?|m)\\b)?)";
+const DAY = "(?:\\s+(?:yesterday|today|this\\s+morning|this\\s+afternoon|last\\s+night))?";
+
+// Past-tense phrasings only - "will take", "might need" and "should spend" are estimates
+const TIME_SPENT_PATTERNS = [
+  // "I spent three hours on TDS-210", "put in 2h on TDS-210", "logged 45 minutes yesterday against TDS-210"
+  {
+    pattern: new RegExp(`\\b(?:spent|put\\s+in|logged|worked)\\s+${DURATION}${DAY}\\s+` +
+      `(?:on|into|in|for|against|working\\s+on)\\s+(?:the\\s+)?(?:ticket\\s+)?${TICKET}\\b`, "gi"),
+    durationGroup: 1,
+    ticketGroup: 2,
+    confidence: 0.9
+  },
+  // "TDS-210 took me three hours", "TDS-210 ended up taking about 2 hours"
+  {
+    pattern: new RegExp(`\\b${TICKET}\\s+(?:took|ended\\s+up\\s+taking)\\s+(?:me\\s+|us\\s+)?${DURATION}`, "gi"),
+    durationGroup: 2,
+    ticketGroup: 1,
+    confidence: 0.85
+  },
+  // "worked on TDS-210 for two hours", "I've been working on TDS-210 for 90 minutes"
+  {
+    pattern: new RegExp(`\\b(?:worked|been\\s+working)\\s+on\\s+(?:the\\s+)?(?:ticket\\s+)?${TICKET}${DAY}` +
+      `\\s+for\\s+${DURATION}`, "gi"),
+    durationGroup: 2,
+    ticketGroup: 1,
+    confidence: 0.8
+  }
+];
+
+// Phrases right before a match that turn it into a plan or an estimate
+const FUTURE_PREFIX = /(?:\bwill|'ll|\bgoing\s+to|\bgonna|\bplan(?:ning)?\s+to|\bneed\s+to|\bwant\s+to|\bshould)\s*$/i;
+
+const WORD_NUMBERS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, couple: 2, few: 3
+};
+
+// Longest time a single statement can log (longer ones are almost always misheard or about several days)
+const MAX_HOURS_PER_ENTRY = 24;
+
+/**
+ * Parse a spoken duration into hours
+ * Handles digits and number words, "and a half", "half an hour", "a couple of hours" and "1h 30m".
+ * @param {string} phrase - Duration phrase (e.g. "an hour and a half")
+ * @returns {number} Hours, 0 if the phrase is not a duration
+ */
+function parseSpokenDuration(phrase) {
+  const text = (phrase || "").toLowerCase().replace(/-/g, " ").replace(/\bhalf\s+an?\s+hour\b/g, "0.5 hours");
+  const componentPattern = new RegExp(`\\b(\\d+(?:\\.\\d+)?|${Object.keys(WORD_NUMBERS).join("|")})(?:\\s+of)?\\s*` +
+    "(and\\s+a\\s+half\\s+)?(hours?|hrs?|h|minutes?|mins?|m)\\b(\\s+and\\s+a\\s+half)?", "g");
+
+  let hours = 0;
+  let match;
+  while ((match = componentPattern.exec(text)) !== null) {
+    const amount = (WORD_NUMBERS[match[1]] ?? parseFloat(match[1])) + (match[2] || match[4] ? 0.5 : 0);
+    hours += match[3].startsWith("h") ? amount : amount / 60;
+  }
+
+  return Math.round(hours * 100) / 100;
+}
+
+/**
+ * Get the sentence around a match, used as the quoted evidence
+ * @param {string} text - Entry text
+ * @param {number} start - Match start
+ * @param {number} end - Match end
+ * @returns {string} Sentence containing the match
+ */
+function getSentence(text, start, end) {
+  const before = text.slice(0, start).search(/[^.!?]*$/);
+  const afterMatch = text.slice(end).match(/^[^.!?]*[.!?]?/);
+  return text.slice(before, end + (afterMatch ? afterMatch[0].length : 0)).trim();
+}
+
+/**
+ * Work out which day the time was spent, relative to the meeting
+ * @param {string} sentence - Sentence the time was said in
+ * @returns {number} Day offset (-1 for "yesterday", 0 otherwise)
+ */
+function detectDayOffset(sentence) {
+  return /\b(?:yesterday|last\s+night)\b/i.test(sentence) ? -1 : 0;
+}
+
+/**
+ * Detect time spent on tickets in transcript text
+ * @param {string} transcriptText - Text said by one speaker
+ * @param {string} speaker - Who said this text
+ * @returns {Array<Object>} { taskId, hours, dayOffset, confidence, evidence, speaker } per ticket
+ */
+function detectTimeSpent(transcriptText, speaker) {
+  const byTicket = new Map();
+
+  for (const { pattern, durationGroup, ticketGroup, confidence } of TIME_SPENT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(transcriptText)) !== null) {
+      if (FUTURE_PREFIX.test(transcriptText.slice(Math.max(0, match.index - 20), match.index))) continue;
+
+      const rawTicket = match[ticketGroup];
+      // Lowercase words followed by a number ("on 3") are not tickets
+      if (!/-/.test(rawTicket) && rawTicket !== rawTicket.toUpperCase() && !/^sp/i.test(rawTicket)) continue;
+
+      const taskId = normalizeTaskId(rawTicket);
+      const hours = parseSpokenDuration(match[durationGroup]);
+      if (!taskId || hours <= 0 || hours > MAX_HOURS_PER_ENTRY || byTicket.has(taskId)) continue;
+
+      const evidence = getSentence(transcriptText, match.index, match.index + match[0].length);
+      const entry = {
+        taskId,
+        hours,
+        dayOffset: detectDayOffset(evidence),
+        confidence,
+        evidence,
+        speaker: speaker || "Unknown"
+      };
+
+      const validation = TimeSpentSchema.safeParse(entry);
+      if (validation.success) {
+        byTicket.set(taskId, validation.data);
+      } else {
+        logger.warn("Invalid time spent entry", { entry, error: validation.error.message });
+      }
+    }
+  }
+
+  return [...byTicket.values()];
+}
+
+/**
+ * Detect time spent from complete transcript entries
+ * @param {Array} transcriptEntries - Array of transcript entries
+ * @returns {Array<Object>} Time spent entries with entryIndex and sourceRanges
+ */
+function detectTimeSpentFromTranscript(transcriptEntries) {
+  const entries = [];
+
+  for (const [entryIndex, entry] of transcriptEntries.entries()) {
+    if (!entry.text) continue;
+
+    const speakerMatch = entry.text.match(/<v\s*([^>]+)>/);
+    const speaker = speakerMatch ? speakerMatch[1].trim() : (entry.speaker || "Unknown");
+    const cleanText = entry.text.replace(/<[^>]*>/g, "").trim();
+    if (cleanText.length === 0) continue;
+
+    const sourceRanges = [getEntryRange(transcriptEntries, entryIndex)];
+    entries.push(...detectTimeSpent(cleanText, speaker).map(timeSpent => ({ ...timeSpent, entryIndex, sourceRanges })));
+  }
+
+  if (entries.length > 0) {
+    logger.info("Detected time spent", {
+      count: entries.length,
+      entries: entries.map(entry => `${entry.taskId}: ${entry.hours}h (${entry.speaker})`)
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Build the key that identifies a time spent entry, so reprocessing a transcript logs it only once
+ * @param {Object} entry - Time spent entry (taskId, entryIndex, speaker, evidence)
+ * @param {Object} transcriptMetadata - { transcriptId }
+ * @returns {string} Key ("tr-123/14/TDS-210", or an evidence hash without a transcript ID)
+ */
+function getTimeSpentKey(entry, transcriptMetadata = {}) {
+  if (transcriptMetadata.transcriptId) {
+    return `${transcriptMetadata.transcriptId}/${entry.entryIndex}/${entry.taskId}`;
+  }
+  const hash = crypto.createHash("sha256").update(`${entry.speaker}:${entry.taskId}:${entry.evidence}`);
+  return `evidence-${hash.digest("hex").slice(0, 16)}`;
+}
+
+/**
+ * Get when the time was spent: the meeting's date, moved back a day for "yesterday"
+ * @param {Object} entry - Time spent entry (dayOffset)
+ * @param {Object} transcriptMetadata - { meetingStartTime, targetDate }
+ * @returns {Date} Start of the work (meeting time on that day; now when the meeting date is unknown)
+ */
+function getTimeSpentStarted(entry, transcriptMetadata = {}) {
+  const meetingDate = new Date(transcriptMetadata.meetingStartTime || transcriptMetadata.targetDate || Date.now());
+  const started = isNaN(meetingDate.getTime()) ? new Date() : meetingDate;
+  started.setUTCDate(started.getUTCDate() + (entry.dayOffset || 0));
+  return started;
+}
+
+/**
+ * Summarize estimated vs actual time for tasks with time spent
+ * @param {Array<Object>} tasks - Task records with estimatedTime and timeSpentEntries
+ * @param {Object} options - { from, to } only count entries started in this range
+ * @returns {Object} { tasks, byAssignee, totals } with hours and variance (actual - estimate)
+ */
+function summarizeTimeSpent(tasks, options = {}) {
+  const from = options.from ? new Date(options.from) : null;
+  const to = options.to ? new Date(options.to) : null;
+  const round = hours => Math.round(hours * 100) / 100;
+
+  const rows = tasks.map(task => {
+    const entries = (task.timeSpentEntries || []).filter(entry => {
+      const started = new Date(entry.started);
+      return (!from || started >= from) && (!to || started <= to);
+    });
+    const timeSpent = round(entries.reduce((total, entry) => total + (entry.hours || 0), 0));
+    const estimatedTime = task.estimatedTime || 0;
+    return {
+      ticketId: task.ticketId,
+      title: task.title || null,
+      assignee: task.participantName || task.assignee || null,
+      status: task.status,
+      estimatedTime,
+      timeSpent,
+      variance: round(timeSpent - estimatedTime),
+      entries: entries.length
+    };
+  }).filter(row => row.entries > 0);
+
+  const byAssignee = {};
+  for (const row of rows) {
+    const assignee = row.assignee || "Unassigned";
+    byAssignee[assignee] = byAssignee[assignee] || { assignee, tasks: 0, estimatedTime: 0, timeSpent: 0 };
+    byAssignee[assignee].tasks++;
+    byAssignee[assignee].estimatedTime = round(byAssignee[assignee].estimatedTime + row.estimatedTime);
+    byAssignee[assignee].timeSpent = round(byAssignee[assignee].timeSpent + row.timeSpent);
+  }
+
+  const estimatedTime = round(rows.reduce((total, row) => total + row.estimatedTime, 0));
+  const timeSpent = round(rows.reduce((total, row) => total + row.timeSpent, 0));
+  return {
+    tasks: rows,
+    byAssignee: Object.values(byAssignee).map(group => ({
+      ...group,
+      variance: round(group.timeSpent - group.estimatedTime)
+    })),
+    totals: { tasks: rows.length, estimatedTime, timeSpent, variance: round(timeSpent - estimatedTime) }
+  };
+}
+
+module.exports = {
+  parseSpokenDuration,
+  detectTimeSpent,
+  detectTimeSpentFromTranscript,
+  getTimeSpentKey,
+  getTimeSpentStarted,
+  summarizeTimeSpent
+};
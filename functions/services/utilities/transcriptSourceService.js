@@ -0,0 +1,430 @@
+/**
+ * Transcript Source Service - where a task came from
+ *
+ * Finds the transcript entries a task, update or status change was derived from (its evidence) and
+ * formats them for Jira and Teams:
+ * - Ranges are contiguous entry spans: { firstEntry, lastEntry, startTime, endTime, speaker }
+ * - A source is a set of ranges plus the meeting they belong to:
+ *   { kind: "created" | "updated" | "status", transcriptId, meetingSubject, meetingDate, ranges }
+ * - Jira descriptions get a "Source" section with one line per source; Teams lines get the times
+ * - Status changes and updates also get a Jira comment quoting the evidence, marked per transcript so
+ *   reprocessing the same transcript doesn't post it twice
+ *
+ * Deep links point at GET /transcript-sources/:transcriptId on the transcriptApi and are signed, so a
+ * reviewer can open them from Jira without an API token. They are only built when both
+ * TRANSCRIPT_LINK_BASE_URL (the deployed transcriptApi URL) and TRANSCRIPT_LINK_SECRET are set. The
+ * signature covers an expiry (TRANSCRIPT_LINK_MAX_AGE_DAYS after the link is built), so a leaked link
+ * stops working.
+ */
+
+const crypto = require("crypto");
+const { getEntryTimes, getEntrySpeaker } = require("../pipeline/transcriptChunker");
+
+// Evidence fragments shorter than this are too generic to place in the transcript
+const MIN_FRAGMENT_CHARS = 12;
+// A fragment may run over this many consecutive entries
+const MAX_ENTRIES_PER_FRAGMENT = 3;
+// Share of a fragment's words an entry span must contain when the quote is not verbatim
+const MIN_WORD_COVERAGE = 0.6;
+// Entries shown around the linked range by the deep-link route
+const LINK_CONTEXT_ENTRIES = 2;
+// Deep links expire this many days after they are built (TRANSCRIPT_LINK_MAX_AGE_DAYS overrides)
+const DEFAULT_LINK_MAX_AGE_DAYS = 90;
+
+const SOURCE_HEADING = "h4. Source";
+const SOURCE_LABELS = { created: "Created", updated: "Updated", status: "Status change" };
+const EVIDENCE_MARKER_PREFIX = "standup-evidence";
+
+/**
+ * Normalize text for evidence matching
+ * @param {string} text - Entry text or evidence
+ * @returns {string} Lowercase words separated by single spaces
+ */
+function normalizeText(text) {
+  return (text || "").replace(/<[^>]*>/g, " ").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * Split evidence into the quotes it is made of
+ * The Task Finder joins quotes with " / " or elides with "..."
+ * @param {string} evidence - Evidence from the pipeline
+ * @returns {Array<string>} Normalized fragments long enough to match
+ */
+function splitEvidence(evidence) {
+  return (evidence || "")
+    .split(/\s+\/\s+|\.{3}|…|\n/)
+    .map(normalizeText)
+    .filter(fragment => fragment.length >= MIN_FRAGMENT_CHARS);
+}
+
+/**
+ * Find the entry span a single fragment came from
+ * A verbatim match on the fewest entries wins; otherwise the span covering most of its words.
+ * @param {string} fragment - Normalized fragment
+ * @param {Array<string>} texts - Normalized entry texts
+ * @param {number} first - First entry to search
+ * @param {number} last - Last entry to search (inclusive)
+ * @returns {Object|null} { firstEntry, lastEntry } or null when not found
+ */
+function findFragment(fragment, texts, first, last) {
+  for (let span = 1; span <= MAX_ENTRIES_PER_FRAGMENT; span++) {
+    for (let start = first; start + span - 1 <= last; start++) {
+      if (texts.slice(start, start + span).join(" ").includes(fragment)) {
+        return { firstEntry: start, lastEntry: start + span - 1 };
+      }
+    }
+  }
+
+  const fragmentWords = [...new Set(fragment.split(" ").filter(word => word.length > 2))];
+  if (fragmentWords.length === 0) return null;
+
+  let best = null;
+  let bestCoverage = MIN_WORD_COVERAGE - Number.EPSILON;
+  for (let span = 1; span <= MAX_ENTRIES_PER_FRAGMENT; span++) {
+    for (let start = first; start + span - 1 <= last; start++) {
+      const spanWords = new Set(texts.slice(start, start + span).join(" ").split(" "));
+      const coverage = fragmentWords.filter(word => spanWords.has(word)).length / fragmentWords.length;
+      if (coverage > bestCoverage) {
+        bestCoverage = coverage;
+        best = { firstEntry: start, lastEntry: start + span - 1 };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Add times and speakers to an entry span
+ * @param {Array} transcript - Transcript entries
+ * @param {Object} span - { firstEntry, lastEntry }
+ * @returns {Object} Range: { firstEntry, lastEntry, startTime, endTime, speaker }
+ */
+function describeRange(transcript, { firstEntry, lastEntry }) {
+  const entries = transcript.slice(firstEntry, lastEntry + 1);
+  const speakers = [...new Set(entries.map(getEntrySpeaker).filter(Boolean))];
+
+  return {
+    firstEntry,
+    lastEntry,
+    startTime: getEntryTimes(transcript[firstEntry]).startTime,
+    endTime: getEntryTimes(transcript[lastEntry]).endTime,
+    speaker: speakers.join(", ") || null,
+  };
+}
+
+/**
+ * Find the transcript entry ranges a piece of evidence was quoted from
+ * @param {string} evidence - Evidence from the pipeline
+ * @param {Array} transcript - Transcript entries
+ * @param {Object} options - { firstEntry, lastEntry } limits the search (e.g. to a Task Finder window)
+ * @returns {Array<Object>} Ranges in transcript order, adjacent ones merged
+ */
+function locateEvidence(evidence, transcript, options = {}) {
+  if (!Array.isArray(transcript) || transcript.length === 0) return [];
+
+  const first = Math.max(0, options.firstEntry || 0);
+  const last = Math.min(transcript.length - 1,
+    Number.isInteger(options.lastEntry) ? options.lastEntry : transcript.length - 1);
+  const texts = transcript.map(entry => normalizeText(entry.text));
+
+  const spans = splitEvidence(evidence)
+    .map(fragment => findFragment(fragment, texts, first, last))
+    .filter(Boolean)
+    .sort((a, b) => a.firstEntry - b.firstEntry);
+
+  const merged = [];
+  for (const span of spans) {
+    const previous = merged[merged.length - 1];
+    if (previous && span.firstEntry <= previous.lastEntry + 1) {
+      previous.lastEntry = Math.max(previous.lastEntry, span.lastEntry);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+
+  return merged.map(span => describeRange(transcript, span));
+}
+
+/**
+ * Find the transcript ranges of a pipeline task or task update
+ * The Task Finder window it came from is searched first, then the whole transcript.
+ * @param {Object} task - Task with evidence (and sourceWindow when the transcript was chunked)
+ * @param {Array} transcript - Transcript entries
+ * @returns {Array<Object>} Ranges, empty when the evidence cannot be placed
+ */
+function locateTaskSources(task, transcript) {
+  const window = task.sourceWindow;
+  if (window && Number.isInteger(window.firstEntry) && Number.isInteger(window.lastEntry)) {
+    const ranges = locateEvidence(task.evidence, transcript, window);
+    if (ranges.length > 0) return ranges;
+  }
+  return locateEvidence(task.evidence, transcript);
+}
+
+/**
+ * Get the range of a single transcript entry
+ * @param {Array} transcript - Transcript entries
+ * @param {number} index - Entry index
+ * @returns {Object} Range
+ */
+function getEntryRange(transcript, index) {
+  return describeRange(transcript, { firstEntry: index, lastEntry: index });
+}
+
+/**
+ * Build a source record from transcript metadata
+ * @param {string} kind - "created", "updated" or "status"
+ * @param {Object} transcriptMetadata - { transcriptId, meetingSubject, targetDate, meetingStartTime }
+ * @param {Array<Object>} ranges - Transcript ranges
+ * @returns {Object|null} Source, or null when there are no ranges
+ */
+function buildTaskSource(kind, transcriptMetadata = {}, ranges = []) {
+  if (!Array.isArray(ranges) || ranges.length === 0) return null;
+
+  return {
+    kind,
+    transcriptId: transcriptMetadata.transcriptId || null,
+    meetingSubject: transcriptMetadata.meetingSubject || null,
+    meetingDate: transcriptMetadata.targetDate || transcriptMetadata.meetingStartTime || null,
+    ranges,
+  };
+}
+
+/**
+ * Shorten a VTT timestamp for display ("00:01:02.000" → "01:02", "01:02:03.000" → "1:02:03")
+ * @param {string} timestamp - VTT timestamp
+ * @returns {string} Display time, or "?" when missing
+ */
+function formatTranscriptTime(timestamp) {
+  const match = (timestamp || "").match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  if (!match) return "?";
+  if (match[3] === undefined) return `${match[1]}:${match[2]}`;
+
+  const hours = parseInt(match[1], 10);
+  return hours > 0 ? `${hours}:${match[2]}:${match[3]}` : `${match[2]}:${match[3]}`;
+}
+
+/**
+ * Format the times of a range ("01:02-01:45", or "01:02" for a single moment)
+ * @param {Object} range - Transcript range
+ * @returns {string} Display times
+ */
+function formatRangeTimes(range) {
+  const start = formatTranscriptTime(range.startTime);
+  const end = formatTranscriptTime(range.endTime);
+  return end === start || end === "?" ? start : `${start}-${end}`;
+}
+
+/**
+ * Get how long deep links stay valid
+ * @returns {number} Days (TRANSCRIPT_LINK_MAX_AGE_DAYS, or the default when unset or not a positive number)
+ */
+function getTranscriptLinkMaxAgeDays() {
+  const days = Number(process.env.TRANSCRIPT_LINK_MAX_AGE_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_LINK_MAX_AGE_DAYS;
+}
+
+/**
+ * Sign a deep link so it can be opened without an API token
+ * @param {string} transcriptId - Transcript ID
+ * @param {number} from - First entry
+ * @param {number} to - Last entry
+ * @param {number} expiresAt - Expiry in seconds since the epoch
+ * @param {string} secret - TRANSCRIPT_LINK_SECRET
+ * @returns {string} Hex signature
+ */
+function signTranscriptLink(transcriptId, from, to, expiresAt, secret) {
+  return crypto.createHmac("sha256", secret).update(`${transcriptId}:${from}:${to}:${expiresAt}`).digest("hex");
+}
+
+/**
+ * Check the signature and expiry of a deep link
+ * Fails closed when TRANSCRIPT_LINK_SECRET is not configured.
+ * @param {string} transcriptId - Transcript ID
+ * @param {number} from - First entry
+ * @param {number} to - Last entry
+ * @param {number} expiresAt - exp query parameter (seconds since the epoch)
+ * @param {string} signature - sig query parameter
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the link was signed by this service and has not expired
+ */
+function verifyTranscriptLink(transcriptId, from, to, expiresAt, signature, now = Date.now()) {
+  const secret = process.env.TRANSCRIPT_LINK_SECRET;
+  if (!secret || typeof signature !== "string" || !/^[0-9a-f]{64}$/.test(signature)) return false;
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 <= now) return false;
+
+  const expected = Buffer.from(signTranscriptLink(transcriptId, from, to, expiresAt, secret), "hex");
+  return crypto.timingSafeEqual(expected, Buffer.from(signature, "hex"));
+}
+
+/**
+ * Build a deep link to a range of a stored transcript
+ * @param {string} transcriptId - Transcript ID (transcript_id of the stored transcript)
+ * @param {Object} range - Transcript range
+ * @param {number} now - Current time in milliseconds (the link expires getTranscriptLinkMaxAgeDays() later)
+ * @returns {string|null} URL, or null when links are not configured or the transcript has no ID
+ */
+function buildTranscriptLink(transcriptId, range, now = Date.now()) {
+  const baseUrl = process.env.TRANSCRIPT_LINK_BASE_URL;
+  const secret = process.env.TRANSCRIPT_LINK_SECRET;
+  if (!baseUrl || !secret || !transcriptId) return null;
+
+  const { firstEntry: from, lastEntry: to } = range;
+  const expiresAt = Math.floor(now / 1000 + getTranscriptLinkMaxAgeDays() * 24 * 60 * 60);
+  const signature = signTranscriptLink(transcriptId, from, to, expiresAt, secret);
+  return `${baseUrl.replace(/\/+$/, "")}/transcript-sources/${encodeURIComponent(transcriptId)}` +
+    `?from=${from}&to=${to}&exp=${expiresAt}&sig=${signature}`;
+}
+
+/**
+ * Get the entries of a linked range with a little context around it
+ * @param {Array} transcript - Transcript entries
+ * @param {number} from - First entry
+ * @param {number} to - Last entry
+ * @returns {Array<Object>} { index, speaker, startTime, endTime, text, inRange }
+ */
+function getLinkedEntries(transcript, from, to) {
+  const first = Math.max(0, from - LINK_CONTEXT_ENTRIES);
+  const last = Math.min(transcript.length - 1, to + LINK_CONTEXT_ENTRIES);
+
+  return transcript.slice(first, last + 1).map((entry, offset) => ({
+    index: first + offset,
+    speaker: getEntrySpeaker(entry) || null,
+    ...getEntryTimes(entry),
+    text: (entry.text || "").replace(/<[^>]*>/g, "").trim(),
+    inRange: first + offset >= from && first + offset <= to,
+  }));
+}
+
+/**
+ * Format a meeting date as YYYY-MM-DD
+ * @param {string|Date} meetingDate - Meeting date
+ * @returns {string|null} Date, or null when missing or invalid
+ */
+function formatMeetingDate(meetingDate) {
+  const date = meetingDate ? new Date(meetingDate) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Format a source as one Jira wiki-markup line
+ * @param {Object} source - Source record
+ * @returns {string} "* Created - Daily Standup (2026-10-19): [01:02-01:45 Jane Doe|url]"
+ */
+function formatJiraSourceLine(source) {
+  const date = formatMeetingDate(source.meetingDate);
+  const meeting = `${source.meetingSubject || "Meeting"}${date ? ` (${date})` : ""}`;
+  const ranges = source.ranges.map(range => {
+    const text = `${formatRangeTimes(range)}${range.speaker ? ` ${range.speaker}` : ""}`;
+    const link = buildTranscriptLink(source.transcriptId, range);
+    return link ? `[${text}|${link}]` : text;
+  });
+
+  return `* ${SOURCE_LABELS[source.kind] || "Source"} - ${meeting}: ${ranges.join(", ")}`;
+}
+
+/**
+ * Add a source to the "Source" section at the end of a Jira description
+ * Lines already in the section are kept, so the section collects every meeting that touched the task.
+ * @param {string} description - Jira description
+ * @param {Object|null} source - Source record
+ * @returns {string} Description with the source section (unchanged without a source)
+ */
+function appendJiraSourceSection(description, source) {
+  if (!source || !Array.isArray(source.ranges) || source.ranges.length === 0) return description;
+
+  const text = description || "";
+  const headingIndex = text.lastIndexOf(`\n${SOURCE_HEADING}\n`);
+  const body = (headingIndex >= 0 ? text.slice(0, headingIndex) : text).trimEnd();
+  const lines = headingIndex >= 0 ?
+    text.slice(headingIndex + SOURCE_HEADING.length + 2).split("\n").filter(line => line.startsWith("* ")) :
+    [];
+
+  const line = formatJiraSourceLine(source);
+  if (!lines.includes(line)) {
+    lines.push(line);
+  }
+
+  return `${body}\n\n${SOURCE_HEADING}\n${lines.join("\n")}`;
+}
+
+/**
+ * Build the marker that identifies an evidence comment
+ * Keyed by transcript and kind; without a transcript ID the evidence itself is the key.
+ * @param {string} kind - "updated" or "status"
+ * @param {string|null} transcriptId - Transcript ID
+ * @param {string} evidence - Quoted evidence
+ * @returns {string} Marker text ("standup-evidence status/tr-123")
+ */
+function buildEvidenceMarker(kind, transcriptId, evidence) {
+  const key = transcriptId ||
+    `evidence-${crypto.createHash("sha256").update(evidence).digest("hex").slice(0, 16)}`;
+  return `${EVIDENCE_MARKER_PREFIX} ${kind}/${key}`;
+}
+
+/**
+ * Build the Jira comment that records why a task was changed: who said what, in which meeting, on which date
+ * @param {Object} change - { kind: "status" | "updated", speaker, evidence, newStatus, sourceRanges }
+ * @param {Object} transcriptMetadata - { transcriptId, meetingSubject, targetDate, meetingStartTime }
+ * @returns {Object|null} { body, marker } in Jira wiki markup, or null when there is no evidence to quote
+ */
+function buildJiraEvidenceComment(change, transcriptMetadata = {}) {
+  const evidence = (change.evidence || "").trim();
+  if (!evidence) return null;
+
+  const transcriptId = transcriptMetadata.transcriptId || null;
+  const ranges = Array.isArray(change.sourceRanges) ? change.sourceRanges : [];
+  const date = formatMeetingDate(transcriptMetadata.targetDate || transcriptMetadata.meetingStartTime);
+  const meeting = `${transcriptMetadata.meetingSubject || "the standup"}${date ? ` on ${date}` : ""}`;
+  const speaker = change.speaker || ranges.map(range => range.speaker).find(Boolean) || "Someone";
+  const times = ranges.map(range => {
+    const link = buildTranscriptLink(transcriptId, range);
+    return link ? `[${formatRangeTimes(range)}|${link}]` : formatRangeTimes(range);
+  });
+
+  const heading = change.kind === "status" ?
+    `Status changed to *${change.newStatus}* after ${meeting}.` :
+    `Description updated after ${meeting}.`;
+  const marker = buildEvidenceMarker(change.kind, transcriptId, evidence);
+
+  return {
+    body: [
+      heading,
+      `*${speaker}* said${times.length > 0 ? ` (${times.join(", ")})` : ""}:`,
+      `{quote}${evidence}{quote}`,
+      `{color:#97a0af}${marker}{color}`,
+    ].join("\n"),
+    marker,
+  };
+}
+
+/**
+ * Format ranges for a Teams summary line ("🕒 01:02-01:45, 05:10")
+ * @param {Array<Object>} ranges - Transcript ranges
+ * @param {string} transcriptId - Transcript ID, links the times when deep links are configured
+ * @returns {string} Source times, or "" when there are no ranges
+ */
+function formatTeamsSourceTimes(ranges, transcriptId = null) {
+  if (!Array.isArray(ranges) || ranges.length === 0) return "";
+
+  const times = ranges.map(range => {
+    const link = buildTranscriptLink(transcriptId, range);
+    return link ? `[${formatRangeTimes(range)}](${link})` : formatRangeTimes(range);
+  });
+  return `🕒 ${times.join(", ")}`;
+}
+
+module.exports = {
+  locateEvidence,
+  locateTaskSources,
+  getEntryRange,
+  buildTaskSource,
+  formatTranscriptTime,
+  formatRangeTimes,
+  buildTranscriptLink,
+  verifyTranscriptLink,
+  getLinkedEntries,
+  appendJiraSourceSection,
+  buildJiraEvidenceComment,
+  formatTeamsSourceTimes,
+};
@@ -8,64 +8,31 @@ async function checkAllTasks() {
     const client = new MongoClient(process.env.MONGODB_URI);
     await client.connect();
     const db = client.db("standuptickets");
-    const collection = db.collection("sptasks");
+    const collection = db.collection("tasks");
     
-    const documents = await collection.find({}, { sort: { timestamp: -1 } }).toArray();
-    console.log(`Total documents: ${documents.length}\n`);
+    const tasks = await collection.find({}, { sort: { createdAt: -1 }, projection: { embedding: 0 } }).toArray();
+    console.log(`Total tasks: ${tasks.length}\n`);
     
     const allTasks = [];
     const mentionedIds = ["SP-3", "SP-4", "SP-10", "SP-12", "SP-13", "SP-15"];
     
-    // Extract all tasks from all documents
-    for (const doc of documents) {
-      console.log(`Document ${doc._id} (${new Date(doc.timestamp).toLocaleDateString()}):`);
-      
-      for (const [participantName, participantData] of Object.entries(doc)) {
-        if (participantName === "_id" || participantName === "timestamp") continue;
+    // One document per task
+    for (const task of tasks) {
+      if (task.ticketId) {
+        const taskInfo = {
+          ticketId: task.ticketId,
+          description: task.description || "No description",
+          status: task.status || "Unknown",
+          participant: task.assignee,
+          type: task.type,
+          documentId: task._id
+        };
+        allTasks.push(taskInfo);
         
-        // Process coding tasks
-        if (participantData.Coding && Array.isArray(participantData.Coding)) {
-          participantData.Coding.forEach((task, i) => {
-            if (task && task.ticketId) {
-              const taskInfo = {
-                ticketId: task.ticketId,
-                description: task.description || "No description",
-                status: task.status || "Unknown",
-                participant: participantName,
-                type: "Coding",
-                documentId: doc._id
-              };
-              allTasks.push(taskInfo);
-              
-              if (mentionedIds.includes(task.ticketId)) {
-                console.log(`  ✓ FOUND: ${task.ticketId} - ${taskInfo.description.substring(0, 60)}... (${task.status})`);
-              }
-            }
-          });
-        }
-        
-        // Process non-coding tasks  
-        if (participantData["Non-Coding"] && Array.isArray(participantData["Non-Coding"])) {
-          participantData["Non-Coding"].forEach((task, i) => {
-            if (task && task.ticketId) {
-              const taskInfo = {
-                ticketId: task.ticketId,
-                description: task.description || "No description", 
-                status: task.status || "Unknown",
-                participant: participantName,
-                type: "Non-Coding",
-                documentId: doc._id
-              };
-              allTasks.push(taskInfo);
-              
-              if (mentionedIds.includes(task.ticketId)) {
-                console.log(`  ✓ FOUND: ${task.ticketId} - ${taskInfo.description.substring(0, 60)}... (${task.status})`);
-              }
-            }
-          });
+        if (mentionedIds.includes(task.ticketId)) {
+          console.log(`  ✓ FOUND: ${task.ticketId} - ${taskInfo.description.substring(0, 60)}... (${task.status})`);
         }
       }
-      console.log("");
     }
     
     console.log("=== SUMMARY ===");
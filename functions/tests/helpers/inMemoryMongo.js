@@ -0,0 +1,583 @@
+/**
+ * In-Memory MongoDB
+ *
+ * Stands in for the MongoDB driver so the storage code (mongoService and the services built on it)
+ * can be exercised offline. installInMemoryMongo() swaps the driver's MongoClient for one backed by
+ * plain arrays; call it before mongoService is required. Covers the query operators, update operators,
+ * cursors and unique indexes the services use. Aggregation pipelines (Atlas $vectorSearch) are not
+ * supported - aggregate() rejects, so callers take their fallback path.
+ *
+ * Usage:
+ *   const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+ *   const mongo = installInMemoryMongo();
+ *   mongo.collection("tasks").documents   // stored documents
+ *   mongo.writes                          // { collection, operation } of every write
+ */
+
+const mongodb = require("mongodb");
+const { ObjectId } = mongodb;
+
+/**
+ * Copy a document so callers can't change stored data through it
+ * @param {*} value - Value to copy
+ * @returns {*} Copy (ObjectIds are immutable and kept as is)
+ */
+function copyValue(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof ObjectId) return value;
+  if (Array.isArray(value)) return value.map(copyValue);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * Normalize a value for comparisons
+ * @param {*} value - Stored or queried value
+ * @param {boolean} caseInsensitive - Compare strings case-insensitively (collation strength 2)
+ * @returns {*} Comparable value
+ */
+function comparable(value, caseInsensitive) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof ObjectId) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "string") return caseInsensitive ? value.toLowerCase() : value;
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Check two values for equality the way a MongoDB query does
+ * @param {*} left - Stored value
+ * @param {*} right - Queried value
+ * @param {boolean} caseInsensitive - Collation strength 2
+ * @returns {boolean} True if equal
+ */
+function valuesEqual(left, right, caseInsensitive) {
+  return comparable(left, caseInsensitive) === comparable(right, caseInsensitive);
+}
+
+/**
+ * Order two values (for $lt/$gt and sorting)
+ * @param {*} left - First value
+ * @param {*} right - Second value
+ * @param {boolean} caseInsensitive - Collation strength 2
+ * @returns {number|null} Negative, zero or positive; null if the types can't be compared
+ */
+function compareValues(left, right, caseInsensitive) {
+  const a = comparable(left, caseInsensitive);
+  const b = comparable(right, caseInsensitive);
+  if (a === null || b === null || typeof a !== typeof b) return null;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Get the values at a dotted path, descending into arrays
+ * @param {*} value - Document or sub-document
+ * @param {Array<string>} parts - Path segments
+ * @returns {Array} Values found (undefined when the path is missing)
+ */
+function resolvePath(value, parts) {
+  if (parts.length === 0) return [value];
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(parts[0])) return resolvePath(value[Number(parts[0])], parts.slice(1));
+    return value.length > 0 ? value.flatMap(item => resolvePath(item, parts)) : [undefined];
+  }
+  if (value === null || typeof value !== "object") return [undefined];
+  return resolvePath(value[parts[0]], parts.slice(1));
+}
+
+/**
+ * Get the single value at a dotted path (no array traversal)
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path
+ * @returns {*} Value or undefined
+ */
+function getPath(doc, path) {
+  return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+/**
+ * Set the value at a dotted path, creating sub-documents on the way
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path
+ * @param {*} value - Value to set
+ */
+function setPath(doc, path, value) {
+  const parts = path.split(".");
+  let target = doc;
+  for (const key of parts.slice(0, -1)) {
+    if (target[key] === null || typeof target[key] !== "object") {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Remove the value at a dotted path
+ * @param {Object} doc - Document
+ * @param {string} path - Dotted path
+ */
+function unsetPath(doc, path) {
+  const parts = path.split(".");
+  const parent = getPath(doc, parts.slice(0, -1).join(".")) ?? (parts.length === 1 ? doc : undefined);
+  if (parent && typeof parent === "object") {
+    delete parent[parts[parts.length - 1]];
+  }
+}
+
+/**
+ * Check whether a value is an operator expression ({ $in: [...] })
+ * @param {*} condition - Query condition
+ * @returns {boolean} True for operator expressions
+ */
+function isOperatorExpression(condition) {
+  return condition !== null && typeof condition === "object" && !Array.isArray(condition) &&
+    !(condition instanceof Date) && !(condition instanceof ObjectId) && !(condition instanceof RegExp) &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith("$"));
+}
+
+/**
+ * Check whether the values at a path satisfy a query condition
+ * @param {Array} values - Values at the path (see resolvePath)
+ * @param {*} condition - Value or operator expression
+ * @param {boolean} caseInsensitive - Collation strength 2
+ * @returns {boolean} True if satisfied
+ */
+function matchesCondition(values, condition, caseInsensitive) {
+  // A stored array matches on the array itself or on any of its elements
+  const candidates = values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+  const equalsAny = expected => candidates.some(value => valuesEqual(value, expected, caseInsensitive));
+  const ordered = test => candidates.some(value => {
+    const order = compareValues(value, test.value, caseInsensitive);
+    return order !== null && test.accept(order);
+  });
+
+  if (condition instanceof RegExp) {
+    return candidates.some(value => typeof value === "string" && condition.test(value));
+  }
+  if (!isOperatorExpression(condition)) {
+    return equalsAny(condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+    case "$eq": return equalsAny(operand);
+    case "$ne": return !equalsAny(operand);
+    case "$in": return operand.some(equalsAny);
+    case "$nin": return !operand.some(equalsAny);
+    case "$exists": return candidates.some(value => value !== undefined) === Boolean(operand);
+    case "$gt": return ordered({ value: operand, accept: order => order > 0 });
+    case "$gte": return ordered({ value: operand, accept: order => order >= 0 });
+    case "$lt": return ordered({ value: operand, accept: order => order < 0 });
+    case "$lte": return ordered({ value: operand, accept: order => order <= 0 });
+    case "$type": return candidates.some(value => value !== undefined && value !== null &&
+      (operand === "date" ? value instanceof Date : operand === "array" ? Array.isArray(value) : typeof value === operand));
+    case "$regex": {
+      const pattern = new RegExp(operand, condition.$options || "");
+      return candidates.some(value => typeof value === "string" && pattern.test(value));
+    }
+    case "$options": return true;
+    case "$not": return !matchesCondition(values, operand, caseInsensitive);
+    default: throw new Error(`In-memory MongoDB does not support the ${operator} query operator`);
+    }
+  });
+}
+
+/**
+ * Check whether a document matches a query
+ * @param {Object} doc - Stored document
+ * @param {Object} query - MongoDB query
+ * @param {boolean} caseInsensitive - Collation strength 2
+ * @returns {boolean} True if the document matches
+ */
+function matchesQuery(doc, query = {}, caseInsensitive = false) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some(part => matchesQuery(doc, part, caseInsensitive));
+    if (key === "$and") return condition.every(part => matchesQuery(doc, part, caseInsensitive));
+    if (key === "$nor") return !condition.some(part => matchesQuery(doc, part, caseInsensitive));
+    return matchesCondition(resolvePath(doc, key.split(".")), condition, caseInsensitive);
+  });
+}
+
+/**
+ * Whether query options ask for case-insensitive matching
+ * @param {Object} options - Query options
+ * @returns {boolean} True for collation strength 1 or 2
+ */
+function isCaseInsensitive(options = {}) {
+  return Boolean(options.collation && options.collation.strength <= 2);
+}
+
+/**
+ * Apply an update document to a stored document
+ * @param {Object} doc - Stored document (changed in place)
+ * @param {Object} update - Update with $set, $setOnInsert, $unset, $inc, $push, $addToSet, $pull
+ * @param {boolean} isInsert - Whether the document is being inserted by an upsert
+ */
+function applyUpdate(doc, update, isInsert) {
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+      case "$set":
+        setPath(doc, path, copyValue(value));
+        break;
+      case "$setOnInsert":
+        if (isInsert) setPath(doc, path, copyValue(value));
+        break;
+      case "$unset":
+        unsetPath(doc, path);
+        break;
+      case "$inc":
+        setPath(doc, path, (getPath(doc, path) || 0) + value);
+        break;
+      case "$push": {
+        const items = value && value.$each ? value.$each : [value];
+        let list = [...(getPath(doc, path) || []), ...items.map(copyValue)];
+        if (value && value.$slice !== undefined) {
+          list = value.$slice < 0 ? list.slice(value.$slice) : list.slice(0, value.$slice);
+        }
+        setPath(doc, path, list);
+        break;
+      }
+      case "$addToSet": {
+        const list = [...(getPath(doc, path) || [])];
+        for (const item of value && value.$each ? value.$each : [value]) {
+          if (!list.some(existing => valuesEqual(existing, item, false))) list.push(copyValue(item));
+        }
+        setPath(doc, path, list);
+        break;
+      }
+      case "$pull": {
+        // { $pull: { links: { key: "x" } } } removes matching sub-documents, { $pull: { ids: "x" } } values
+        const isSubQuery = value && typeof value === "object" && !isOperatorExpression(value) &&
+          !(value instanceof Date) && !(value instanceof ObjectId);
+        setPath(doc, path, (getPath(doc, path) || []).filter(item => !(isSubQuery ?
+          matchesQuery(item, value) : matchesCondition([item], value, false))));
+        break;
+      }
+      default:
+        throw new Error(`In-memory MongoDB does not support the ${operator} update operator`);
+      }
+    }
+  }
+}
+
+/**
+ * Apply a projection to a document
+ * @param {Object} doc - Document
+ * @param {Object} projection - { field: 0 } to leave fields out or { field: 1 } to keep only them
+ * @returns {Object} Projected copy
+ */
+function project(doc, projection) {
+  const copy = copyValue(doc);
+  if (!projection || Object.keys(projection).length === 0) return copy;
+  const fields = Object.entries(projection);
+  if (fields.every(([, include]) => !include)) {
+    fields.forEach(([path]) => unsetPath(copy, path));
+    return copy;
+  }
+  const projected = projection._id === 0 ? {} : { _id: copy._id };
+  fields.filter(([, include]) => include).forEach(([path]) => {
+    const value = getPath(copy, path);
+    if (value !== undefined) setPath(projected, path, value);
+  });
+  return projected;
+}
+
+/**
+ * Sort documents by a MongoDB sort specification
+ * @param {Array<Object>} documents - Documents
+ * @param {Object} sort - { field: 1 | -1 }
+ * @param {boolean} caseInsensitive - Collation strength 2
+ * @returns {Array<Object>} Sorted copy of the list
+ */
+function sortDocuments(documents, sort, caseInsensitive) {
+  if (!sort) return [...documents];
+  return [...documents].sort((a, b) => {
+    for (const [path, direction] of Object.entries(sort)) {
+      const left = getPath(a, path);
+      const right = getPath(b, path);
+      if (left === undefined || left === null || right === undefined || right === null) {
+        const missing = (left === undefined || left === null) - (right === undefined || right === null);
+        if (missing !== 0) return -missing * direction;
+        continue;
+      }
+      const order = compareValues(left, right, caseInsensitive) || 0;
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Cursor over query results (find)
+ */
+class InMemoryCursor {
+  /**
+   * @param {Function} load - Returns the matching documents
+   * @param {Object} options - sort, skip, limit, projection, collation
+   */
+  constructor(load, options = {}) {
+    this.load = load;
+    this.options = { ...options };
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    const { sort, skip = 0, limit = 0, projection } = this.options;
+    const sorted = sortDocuments(this.load(), sort, isCaseInsensitive(this.options)).slice(skip);
+    return (limit > 0 ? sorted.slice(0, limit) : sorted).map(doc => project(doc, projection));
+  }
+}
+
+/**
+ * In-memory collection with the driver's method names and result shapes
+ */
+class InMemoryCollection {
+  /**
+   * @param {string} name - Collection name
+   * @param {InMemoryDatabase} database - Owning database (records writes)
+   */
+  constructor(name, database) {
+    this.collectionName = name;
+    this.database = database;
+    this.documents = [];
+    this.indexes = [];
+  }
+
+  recordWrite(operation) {
+    this.database.writes.push({ collection: this.collectionName, operation });
+  }
+
+  findMatching(query, options) {
+    return this.documents.filter(doc => matchesQuery(doc, query, isCaseInsensitive(options)));
+  }
+
+  checkUniqueIndexes(candidate, ignoredDoc = null) {
+    for (const index of this.indexes.filter(spec => spec.unique)) {
+      const paths = Object.keys(index.key);
+      if (index.partialFilterExpression && !matchesQuery(candidate, index.partialFilterExpression)) continue;
+      const caseInsensitive = isCaseInsensitive(index);
+      const duplicate = this.documents.find(doc => doc !== ignoredDoc &&
+        (!index.partialFilterExpression || matchesQuery(doc, index.partialFilterExpression)) &&
+        paths.every(path => valuesEqual(getPath(doc, path), getPath(candidate, path), caseInsensitive)));
+      if (duplicate) {
+        const error = new Error(`E11000 duplicate key error collection: ${this.collectionName} index: ${index.name}`);
+        error.code = 11000;
+        throw error;
+      }
+    }
+  }
+
+  insertDocument(doc) {
+    const stored = copyValue(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.checkUniqueIndexes(stored);
+    this.documents.push(stored);
+    return stored._id;
+  }
+
+  async insertOne(doc) {
+    this.recordWrite("insertOne");
+    const insertedId = this.insertDocument(doc);
+    return { acknowledged: true, insertedId };
+  }
+
+  async insertMany(docs) {
+    this.recordWrite("insertMany");
+    const insertedIds = {};
+    docs.forEach((doc, index) => {
+      insertedIds[index] = this.insertDocument(doc);
+    });
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(query = {}, options = {}) {
+    return new InMemoryCursor(() => this.findMatching(query, options), options);
+  }
+
+  async findOne(query = {}, options = {}) {
+    const [doc] = await this.find(query, { ...options, limit: 1 }).toArray();
+    return doc || null;
+  }
+
+  async countDocuments(query = {}, options = {}) {
+    return this.findMatching(query, options).length;
+  }
+
+  async distinct(path, query = {}, options = {}) {
+    const values = this.findMatching(query, options).flatMap(doc => resolvePath(doc, path.split(".")).flat());
+    return values.filter((value, index) => value !== undefined &&
+      values.findIndex(other => valuesEqual(other, value, false)) === index);
+  }
+
+  upsertDocument(filter, update) {
+    const doc = {};
+    for (const [path, condition] of Object.entries(filter)) {
+      if (!path.startsWith("$") && !isOperatorExpression(condition)) setPath(doc, path, copyValue(condition));
+    }
+    applyUpdate(doc, update, true);
+    return this.insertDocument(doc);
+  }
+
+  updateDocument(doc, update) {
+    const before = JSON.stringify(doc);
+    const updated = copyValue(doc);
+    applyUpdate(updated, update, false);
+    this.checkUniqueIndexes(updated, doc);
+    if (JSON.stringify(updated) === before) return false;
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, updated);
+    return true;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    this.recordWrite("updateOne");
+    const [doc] = this.findMatching(filter, options);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+      const upsertedId = this.upsertDocument(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+    }
+    const modified = this.updateDocument(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedCount: 0 };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    this.recordWrite("updateMany");
+    const docs = this.findMatching(filter, options);
+    const modifiedCount = docs.filter(doc => this.updateDocument(doc, update)).length;
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0 };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    this.recordWrite("findOneAndUpdate");
+    const [doc] = sortDocuments(this.findMatching(filter, options), options.sort, isCaseInsensitive(options));
+    if (!doc) {
+      if (!options.upsert) return null;
+      const upsertedId = this.upsertDocument(filter, update);
+      return options.returnDocument === "after" ? this.findOne({ _id: upsertedId }) : null;
+    }
+    const before = copyValue(doc);
+    this.updateDocument(doc, update);
+    return project(options.returnDocument === "after" ? doc : before, options.projection);
+  }
+
+  async deleteOne(filter = {}, options = {}) {
+    this.recordWrite("deleteOne");
+    const [doc] = this.findMatching(filter, options);
+    if (doc) this.documents.splice(this.documents.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}, options = {}) {
+    this.recordWrite("deleteMany");
+    const docs = this.findMatching(filter, options);
+    this.documents = this.documents.filter(doc => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  async createIndex(key, options = {}) {
+    const name = options.name || Object.entries(key).map(([path, direction]) => `${path}_${direction}`).join("_");
+    return (await this.createIndexes([{ key, ...options, name }]))[0];
+  }
+
+  async createIndexes(specs) {
+    for (const spec of specs) {
+      this.indexes = this.indexes.filter(index => index.name !== spec.name).concat(spec);
+    }
+    return specs.map(spec => spec.name);
+  }
+
+  async indexExists(name) {
+    return this.indexes.some(index => index.name === name);
+  }
+
+  aggregate() {
+    const cursor = {
+      map: () => cursor,
+      toArray: async () => {
+        throw new Error("In-memory MongoDB does not support aggregation pipelines");
+      },
+    };
+    return cursor;
+  }
+}
+
+/**
+ * In-memory database: collections are created on first use
+ */
+class InMemoryDatabase {
+  constructor() {
+    this.collections = new Map();
+    this.writes = [];
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new InMemoryCollection(name, this));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Drop every collection and the recorded writes
+   */
+  reset() {
+    this.collections.clear();
+    this.writes = [];
+  }
+}
+
+/**
+ * Replace the driver's MongoClient with one backed by a shared in-memory database
+ * Must run before mongoService is required (it reads MongoClient and MONGODB_URI when loaded).
+ * @returns {InMemoryDatabase} The database every client connects to
+ */
+function installInMemoryMongo() {
+  const database = new InMemoryDatabase();
+
+  class InMemoryMongoClient {
+    async connect() {
+      return this;
+    }
+
+    db() {
+      return database;
+    }
+
+    async close() {}
+  }
+
+  Object.defineProperty(mongodb, "MongoClient", { value: InMemoryMongoClient, configurable: true });
+  process.env.MONGODB_URI = "mongodb://in-memory.test";
+  return database;
+}
+
+module.exports = {
+  installInMemoryMongo,
+  matchesQuery,
+};
@@ -0,0 +1,219 @@
+/**
+ * Approval Queue Test
+ *
+ * Walks queued tasks through the approval queue: queue → edit → reject → approve, a second approval of
+ * the same item, a Jira failure that leaves the item retryable, an approval that breaks off after the
+ * claim, and stale claims. Also checks that GET /approvals query filters reject operator injection and that
+ * PATCH /approvals/:id edits are type-checked.
+ * Runs offline - MongoDB is in memory and Jira/Teams HTTP calls are stubbed.
+ *
+ * Usage: node tests/testApprovalQueue.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+// Must be set before the services read them
+process.env.LLM_PROVIDER = "fake";
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+process.env.JIRA_PROJECT_KEY = "TDS";
+process.env.TEAMS_WEBHOOK_URL = "https://teams.example.test/webhook";
+delete process.env.TEAMS_CONFIG;
+delete process.env.JIRA_FIELD_MAPPING;
+delete process.env.JIRA_FIELD_DISCOVERY;
+const mongo = installInMemoryMongo();
+
+const {
+  addTasksToApprovalQueue,
+  getApprovalQueueItem,
+  getApprovalQueueItems,
+  claimApprovalQueueItem,
+} = require("../services/storage/mongoService");
+const { editQueuedTask, rejectQueuedTasks, approveQueuedTasks } = require("../services/core/approvalService");
+const { ApprovalQuerySchema, ApprovalTaskEditSchema } = require("../schemas/taskSchemas");
+
+/**
+ * Stub Jira issue creation and the Teams webhook
+ * @param {Object} options - { failJira } makes every Jira issue creation fail
+ * @returns {Object} { issues, teamsCards } bodies posted, in order
+ */
+function stubJiraAndTeams(options = {}) {
+  const posted = { issues: [], teamsCards: [] };
+  axios.get = async url => (url.includes("/transitions") ?
+    { data: { transitions: [] } } :
+    { data: { fields: { status: { name: "To Do" } } } });
+  axios.post = async (url, body) => {
+    if (url.startsWith(process.env.TEAMS_WEBHOOK_URL)) {
+      posted.teamsCards.push(body);
+      return { status: 200, statusText: "OK" };
+    }
+    if (options.failJira) {
+      const error = new Error("Request failed with status code 400");
+      error.response = { status: 400, data: { errors: { summary: "Summary is required" } } };
+      throw error;
+    }
+    posted.issues.push(body);
+    return { data: { key: `TDS-${500 + posted.issues.length}`, id: String(10500 + posted.issues.length) } };
+  };
+  return posted;
+}
+
+/**
+ * Run the approval queue checks
+ */
+async function testApprovalQueue() {
+  console.log("🧪 Testing the approval queue");
+
+  const transcript = await mongo.collection("transcripts").insertOne({ transcript_id: "standup-2026-10-19" });
+  const queued = await addTasksToApprovalQueue({
+    "Jane Doe": {
+      "Coding": [
+        { title: "Billing export", description: "Export invoices as CSV", estimatedTime: 4, dueDate: "2026-10-22",
+          promptVersions: { task_finder: "v1", task_creator: "v2" } },
+        { title: "Invoice PDF", description: "Render invoices as PDF" },
+      ],
+      "Non-Coding": [{ title: "Rollout notes", description: "Notes for support" }],
+    },
+  }, {
+    transcriptDocumentId: transcript.insertedId.toString(),
+    transcriptId: "standup-2026-10-19",
+    meetingSubject: "Daily Standup",
+  });
+  assert.strictEqual(queued.insertedCount, 3);
+  const [billingId, pdfId, notesId] = queued.approvalIds;
+  assert.deepStrictEqual((await getApprovalQueueItems({ status: "pending" })).map(item => item.task.title).sort(),
+    ["Billing export", "Invoice PDF", "Rollout notes"]);
+  console.log("   ✓ New tasks are queued as pending");
+
+  const edited = await editQueuedTask(billingId, { title: "Billing CSV export", priority: "High", type: "Coding" });
+  assert.deepStrictEqual([edited.success, edited.item.task.title, edited.item.task.priority],
+    [true, "Billing CSV export", "High"]);
+  assert.strictEqual((await editQueuedTask(billingId, { ticketId: "TDS-1" })).error, "No editable fields provided");
+
+  const rejected = await rejectQueuedTasks([notesId], { reviewedBy: "lead", reason: "Not a task" });
+  assert.deepStrictEqual(rejected.rejected.map(item => item.title), ["Rollout notes"]);
+  assert.strictEqual((await getApprovalQueueItem(notesId)).rejectionReason, "Not a task");
+  assert.strictEqual((await editQueuedTask(notesId, { title: "Too late" })).error, "Task is already rejected");
+  console.log("   ✓ Pending tasks can be edited or rejected");
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  try {
+    let posted = stubJiraAndTeams();
+    const approval = await approveQueuedTasks([billingId, notesId], { reviewedBy: "lead" });
+    assert.deepStrictEqual(approval.approved.map(item => [item.jiraIssueKey, item.title]),
+      [["TDS-501", "Billing CSV export"]]);
+    assert.deepStrictEqual(approval.skipped, [{ approvalId: notesId, reason: "Not found or already reviewed" }]);
+    assert.strictEqual(posted.issues[0].fields.summary, "Billing CSV export", "the edited task is created");
+    assert.strictEqual(posted.teamsCards.length, 1, "one Teams summary for the approved tasks");
+
+    const billing = await getApprovalQueueItem(billingId);
+    assert.deepStrictEqual([billing.status, billing.jiraIssueKey, billing.reviewedBy], ["approved", "TDS-501", "lead"]);
+    const [ledgerEntry] = (await mongo.collection("transcripts").findOne({ _id: transcript.insertedId })).created_tasks;
+    assert.deepStrictEqual([ledgerEntry.ticketId, ledgerEntry.title, ledgerEntry.dueDate],
+      ["TDS-501", "Billing CSV export", "2026-10-22"], "the approved ticket is on the transcript ledger");
+    const storedTask = await mongo.collection("tasks").findOne({ ticketId: "TDS-501" });
+    assert.deepStrictEqual([storedTask.assignee, storedTask.type, storedTask.estimatedTime, storedTask.runId],
+      ["Jane Doe", "Coding", 4, transcript.insertedId.toString()], "the approved task is stored");
+    assert.deepStrictEqual(storedTask.promptVersions, { task_finder: "v1", task_creator: "v2" },
+      "with the prompt versions it was found with");
+    console.log("   ✓ Approving creates the Jira issue, stores and records it and sends the Teams summary");
+
+    const again = await approveQueuedTasks([billingId], { reviewedBy: "second reviewer" });
+    assert.deepStrictEqual([again.approved, again.skipped.length, posted.issues.length], [[], 1, 1]);
+    assert.strictEqual((await getApprovalQueueItem(billingId)).reviewedBy, "lead");
+    console.log("   ✓ An approved task is never created twice");
+
+    posted = stubJiraAndTeams({ failJira: true });
+    const failedRun = await approveQueuedTasks([pdfId], { reviewedBy: "lead" });
+    assert.strictEqual(failedRun.success, false);
+    assert.strictEqual(failedRun.failed.length, 1);
+    assert.strictEqual((await getApprovalQueueItem(pdfId)).status, "failed");
+
+    posted = stubJiraAndTeams();
+    const retry = await approveQueuedTasks([pdfId], { reviewedBy: "lead" });
+    assert.deepStrictEqual(retry.approved.map(item => item.jiraIssueKey), ["TDS-501"]);
+    assert.deepStrictEqual([(await getApprovalQueueItem(pdfId)).status, (await getApprovalQueueItem(pdfId)).error],
+      ["approved", null]);
+    console.log("   ✓ A failed Jira creation is marked failed and can be approved again");
+
+    const [breakId] = (await addTasksToApprovalQueue({ "Sam Lee": { "Coding": [{ title: "Webhook retries" }] } }))
+      .approvalIds;
+    const queue = mongo.collection("pending_approvals");
+    const originalUpdate = queue.findOneAndUpdate;
+    queue.findOneAndUpdate = async function(filter, update, options) {
+      if (update.$set.status === "approved") {
+        throw new Error("Write conflict");
+      }
+      return originalUpdate.call(this, filter, update, options);
+    };
+    posted = stubJiraAndTeams();
+    const broken = await approveQueuedTasks([breakId], { reviewedBy: "lead" });
+    queue.findOneAndUpdate = originalUpdate;
+    assert.match(broken.failed[0].error, /Write conflict/);
+    const brokenItem = await getApprovalQueueItem(breakId);
+    assert.deepStrictEqual([brokenItem.status, brokenItem.jiraIssueKey], ["failed", "TDS-501"],
+      "not left in processing, and the created issue is remembered");
+
+    const recovered = await approveQueuedTasks([breakId], { reviewedBy: "lead" });
+    assert.deepStrictEqual(recovered.approved.map(item => item.jiraIssueKey), ["TDS-501"]);
+    assert.strictEqual(posted.issues.length, 1, "the retry reuses the issue instead of creating another");
+    console.log("   ✓ An approval that breaks off after the claim is released as failed");
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+
+  const [claimedId] = (await addTasksToApprovalQueue({ "Sam Lee": { "Coding": [{ title: "Rate limits" }] } }))
+    .approvalIds;
+  assert.ok(await claimApprovalQueueItem(claimedId, { reviewedBy: "lead" }));
+  assert.strictEqual(await claimApprovalQueueItem(claimedId, { reviewedBy: "other" }), null, "claim in progress");
+  assert.strictEqual(await rejectQueuedTasks([claimedId]).then(result => result.rejected.length), 0);
+  await mongo.collection("pending_approvals").updateOne({ _id: (await getApprovalQueueItem(claimedId))._id },
+    { $set: { updatedAt: new Date(Date.now() - 20 * 60 * 1000) } });
+  assert.strictEqual((await claimApprovalQueueItem(claimedId, { reviewedBy: "other" })).reviewedBy, "other",
+    "a claim older than 15 minutes can be taken over");
+  console.log("   ✓ Stale processing claims can be taken over");
+
+  assert.deepStrictEqual(ApprovalQuerySchema.parse({ status: "failed", team: "payments", limit: "20" }),
+    { status: "failed", team: "payments", limit: "20" });
+  for (const query of [{ status: { $ne: "x" } }, { participant: ["Jane", "Sam"] }, { team: { $gt: "" } }]) {
+    assert.strictEqual(ApprovalQuerySchema.safeParse(query).success, false, JSON.stringify(query));
+  }
+  console.log("   ✓ Approval filters reject arrays and MongoDB operators");
+
+  const edit = { title: "Billing CSV export", estimatedTime: 6, priority: null, epic: "TDS-120", dueDate: "2026-10-23",
+    subTasks: [{ proposedTicketId: null, title: "CSV writer", estimatedTime: 4, storyPoints: 2 }], type: "Coding" };
+  assert.deepStrictEqual(ApprovalTaskEditSchema.parse(edit), edit);
+  const invalidEdits = [
+    [{ estimatedTime: "abc" }, "estimatedTime"],
+    [{ status: {} }, "status"],
+    [{ subTasks: "CSV writer" }, "subTasks"],
+    [{ subTasks: [{ estimatedTime: 4 }] }, "subTasks.0.title"],
+    [{ participant: { $ne: "" } }, "participant"],
+    [{ type: "Bug" }, "type"],
+    [{ dueDate: "next Friday" }, "dueDate"],
+    [{ ticketId: "TDS-1" }, ""],
+    [{}, ""],
+  ];
+  for (const [invalidEdit, path] of invalidEdits) {
+    const validation = ApprovalTaskEditSchema.safeParse(invalidEdit);
+    assert.strictEqual(validation.success, false, JSON.stringify(invalidEdit));
+    assert.strictEqual(validation.error.errors[0].path.join("."), path, JSON.stringify(invalidEdit));
+  }
+  console.log("   ✓ Task edits are type-checked before they reach the queue");
+
+  console.log("✅ Approval queue tests passed");
+}
+
+if (require.main === module) {
+  testApprovalQueue().catch(error => {
+    console.error("❌ Approval queue test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testApprovalQueue };
@@ -0,0 +1,148 @@
+/**
+ * Dry-Run Pipeline Test
+ *
+ * Replays the time-extraction golden transcript through the 3-stage pipeline in dry-run mode and
+ * checks the change plan: the new task to create with its predicted Jira key, the description update
+ * and status change for the existing ticket, and that nothing was written to Jira, MongoDB or Teams.
+ * Runs offline - the fake LLM provider answers the prompts, MongoDB is in memory (seeded with the
+ * golden existing-task snapshot) and Jira/Teams HTTP calls are stubbed.
+ *
+ * Usage: node tests/testDryRun.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+const fs = require("fs");
+const path = require("path");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+// Must be set before the services read them
+process.env.LLM_PROVIDER = "fake";
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+process.env.JIRA_PROJECT_KEY = "SP";
+process.env.TEAMS_WEBHOOK_URL = "https://teams.example.test/webhook";
+delete process.env.REQUIRE_TASK_APPROVAL;
+delete process.env.TEAMS_CONFIG;
+const mongo = installInMemoryMongo();
+
+const { processTranscriptToTasksWithPipeline } = require("../services/core/taskProcessor");
+const { setFakeResponses } = require("../services/integrations/fakeLlmProvider");
+
+const GOLDEN_DIR = path.join(__dirname, "golden");
+const FAKE_RESPONSES = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "fakeLlmResponses.json"), "utf8"));
+
+// Task Finder output for the time-extraction transcript: one new task and progress on SP-25
+const TASK_FINDER_RESPONSE = [
+  "TASK: Build the email notification system",
+  "  ASSIGNEE: John",
+  "  TYPE: Coding",
+  "  WORK_TYPE: Task",
+  "  CATEGORY: NEW_TASK",
+  "  TICKET_ID: NONE",
+  "  EVIDENCE: I need to create a new task for the email notification system",
+  "  ESTIMATED_TIME: 5 hours",
+  "",
+  "TASK: Finish the CSV export for reports",
+  "  ASSIGNEE: Jane",
+  "  TYPE: Coding",
+  "  CATEGORY: UPDATE_TASK",
+  "  TICKET_ID: SP-25",
+  "  EVIDENCE: I've been working on SP-25 for the past 3 hours and should need another 2 hours",
+  "",
+  "MEETING ATTENDEES: John, Jane, Mike, Sarah, Tom",
+].join("\n");
+
+/**
+ * Run the dry-run checks
+ */
+async function runDryRunTest() {
+  console.log("🧪 Testing the pipeline dry run");
+
+  const transcript = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, "time-extraction", "transcript.json"), "utf8"));
+  const existingTasks = JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, "existingTasks.json"), "utf8"));
+  await mongo.collection("tasks").insertMany(existingTasks.map(({ participantName, ...task }) => ({
+    ...task, assignee: participantName, teamId: "default", createdAt: new Date("2026-10-12T08:00:00Z"),
+  })));
+  mongo.writes = [];
+
+  setFakeResponses({
+    rules: [
+      { contains: ["Scrum Task Finder"], response: TASK_FINDER_RESPONSE },
+      ...FAKE_RESPONSES.rules.filter(rule => !rule.contains.includes("Scrum Task Finder")),
+    ],
+  });
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  const originalPut = axios.put;
+  const jiraReads = [];
+  const writes = [];
+  try {
+    axios.get = async (url, config) => {
+      jiraReads.push({ url, jql: config?.params?.jql });
+      return { data: { issues: [{ key: "SP-45" }] } };
+    };
+    axios.post = async url => {
+      writes.push(`POST ${url}`);
+      return { data: {} };
+    };
+    axios.put = async url => {
+      writes.push(`PUT ${url}`);
+      return { data: {} };
+    };
+
+    const result = await processTranscriptToTasksWithPipeline(transcript, {
+      transcriptId: "golden-time-extraction",
+      meetingSubject: "Daily Standup",
+      meetingStartTime: "2026-10-19T04:00:00Z",
+    }, {}, { dryRun: true });
+
+    assert.strictEqual(result.dryRun, true);
+    assert.strictEqual(result.processing.existingTasksCount, existingTasks.length, "existing tasks come from MongoDB");
+    const plan = result.changePlan;
+
+    assert.deepStrictEqual(plan.tasksToCreate.map(task => [task.proposedTicketId, task.participant, task.type]),
+      [["SP-46", "John", "Coding"]]);
+    assert.match(plan.tasksToCreate[0].title, /email notification/i);
+    assert.strictEqual(plan.tasksToCreate[0].estimatedTime, 5);
+    assert.deepStrictEqual(plan.ticketAllocation,
+      { system: "jira", projectKey: "SP", predicted: true, latestIssueKey: "SP-45", ticketIds: ["SP-46"] });
+    console.log("   ✓ New tasks are listed with their predicted Jira keys");
+
+    assert.deepStrictEqual(plan.taskUpdates.map(update => [update.ticketId, update.wouldApply]), [["SP-25", true]]);
+    assert.ok(plan.taskUpdates[0].proposedDescription.length > 0);
+    assert.strictEqual(plan.taskUpdates[0].currentDescription, existingTasks[1].description);
+    assert.deepStrictEqual(plan.statusTransitions.map(transition =>
+      [transition.ticketId, transition.fromStatus, transition.toStatus, transition.taskFound]),
+    [["SP-25", "In-progress", "In-progress", true]]);
+    console.log("   ✓ Updates and status changes of existing tickets are planned");
+
+    assert.deepStrictEqual(writes, [], "no Jira issue, comment or Teams message");
+    assert.deepStrictEqual(jiraReads.map(read => read.jql), ["project = SP ORDER BY created DESC"],
+      "Jira is only read to predict the next keys");
+    assert.deepStrictEqual(mongo.writes, [], "nothing is written to MongoDB");
+    assert.ok(plan.skippedWrites.includes("createJiraIssuesForCodingTasks"));
+    assert.ok(plan.skippedWrites.includes("sendStandupSummaryToTeams"));
+    console.log("   ✓ Nothing is written to Jira, MongoDB or Teams");
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+    axios.put = originalPut;
+    setFakeResponses(null);
+  }
+
+  console.log("✅ Dry run tests passed");
+}
+
+if (require.main === module) {
+  runDryRunTest()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Dry run test failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runDryRunTest };
@@ -0,0 +1,221 @@
+/**
+ * Due Dates Test
+ *
+ * Checks that deadlines said about tasks ("by Thursday", "end of sprint") are resolved against the meeting's
+ * local date in the team's timezone, sent to Jira's due date field, synced back from Jira, and that open
+ * tasks the pipeline stores past their due date are flagged in the team's Teams channel by the daily overdue
+ * check. Runs offline - Jira and Teams are stubbed and MongoDB is in memory, no API keys or Jira needed.
+ *
+ * Usage: node tests/testDueDates.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+process.env.LLM_PROVIDER = "fake";
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+process.env.JIRA_PROJECT_KEY = "TDS";
+process.env.TEAMS_WEBHOOK_URL = "https://teams.example.test/webhook";
+delete process.env.JIRA_FIELD_MAPPING;
+delete process.env.JIRA_FIELD_DISCOVERY;
+for (const name of ["TEAM_TIMEZONE", "TEAM_MEETING_DAYS", "TEAM_HOLIDAYS", "TEAM_OVERDUE_CHECK_HOUR",
+  "TEAM_SPRINT_START", "TEAM_SPRINT_LENGTH_DAYS"]) {
+  delete process.env[name];
+}
+const mongo = installInMemoryMongo();
+
+const {
+  findDeadlineExpression,
+  resolveDueDate,
+  getMeetingLocalDate,
+  applyDueDates,
+  findOverdueTasks,
+} = require("../services/utilities/dueDateService");
+const { getTeamCalendar } = require("../config/teamCalendar");
+const { createJiraIssuesForCodingTasks, normalizeJiraIssue } = require("../services/integrations/jiraService");
+const { buildPipelineChangePlan, storeCreatedTaskSafely } = require("../services/core/taskProcessor");
+const { recordTaskDueDate, getTasksDueBefore } = require("../services/storage/mongoService");
+const { formatOverdueTasks } = require("../services/integrations/teamsService");
+const { isOverdueCheckDue, notifyOverdueTasks } = require("../services/core/overdueTaskService");
+
+// Monday; the default calendar is Monday-Friday in Asia/Dhaka
+const MEETING_DATE = "2026-10-19";
+
+/**
+ * Resolve the deadline said in a sentence
+ * @param {string} text - What was said about a task
+ * @param {Object} calendar - Team calendar
+ * @returns {string|null} Due date in YYYY-MM-DD format
+ */
+function dueDateFor(text, calendar) {
+  return resolveDueDate(findDeadlineExpression(text) || "", MEETING_DATE, calendar);
+}
+
+/**
+ * Run the due date checks
+ */
+async function testDueDates() {
+  console.log("🧪 Testing due dates");
+
+  const calendar = getTeamCalendar();
+  assert.strictEqual(findDeadlineExpression("I'll have the export done by Thursday, hopefully."), "by Thursday");
+  assert.strictEqual(findDeadlineExpression("I worked on the export today."), null, "not a deadline");
+  assert.strictEqual(dueDateFor("by Thursday", calendar), "2026-10-22");
+  assert.strictEqual(dueDateFor("by Monday", calendar), "2026-10-26", "a weekday is after the meeting day");
+  assert.strictEqual(dueDateFor("by next Thursday", calendar), "2026-10-29");
+  assert.strictEqual(dueDateFor("EOD tomorrow", calendar), "2026-10-20");
+  assert.strictEqual(dueDateFor("needs to land by end of day", calendar), MEETING_DATE);
+  assert.strictEqual(dueDateFor("by the end of the week", calendar), "2026-10-23");
+  assert.strictEqual(dueDateFor("within two weeks", calendar), "2026-11-02");
+  assert.strictEqual(dueDateFor("by the end of the month", calendar), "2026-10-31");
+  assert.strictEqual(dueDateFor("by October 30th", calendar), "2026-10-30");
+  assert.strictEqual(dueDateFor("by Oct 10", calendar), "2027-10-10", "passed dates are next year's");
+  assert.strictEqual(dueDateFor("by the 5th", calendar), "2026-11-05");
+  assert.strictEqual(dueDateFor("end of sprint", calendar), null, "no sprint dates, no due date");
+  console.log("   ✓ Deadlines are resolved against the meeting date");
+
+  process.env.TEAM_SPRINT_START = "2026-10-05";
+  const sprintCalendar = getTeamCalendar();
+  assert.deepStrictEqual([sprintCalendar.sprintStartDate, sprintCalendar.sprintLengthDays], ["2026-10-05", 14]);
+  assert.strictEqual(dueDateFor("by the end of the sprint", sprintCalendar), "2026-11-01");
+  assert.strictEqual(dueDateFor("end of next sprint", sprintCalendar), "2026-11-15");
+  process.env.TEAM_SPRINT_LENGTH_DAYS = "two";
+  assert.throws(() => getTeamCalendar(), /Invalid sprint length for team default/);
+  delete process.env.TEAM_SPRINT_LENGTH_DAYS;
+  delete process.env.TEAM_SPRINT_START;
+
+  // 20:30 UTC on Monday is already Tuesday in Dhaka (+06:00)
+  assert.strictEqual(getMeetingLocalDate({ meetingStartTime: "2026-10-19T20:30:00Z" }, calendar), "2026-10-20");
+  assert.strictEqual(getMeetingLocalDate({ meetingStartTime: "2026-10-19T20:30:00Z" },
+    { ...calendar, timezone: "America/New_York" }), MEETING_DATE);
+  assert.strictEqual(getMeetingLocalDate({ targetDate: "2026-10-16" }, calendar), "2026-10-16");
+  console.log("   ✓ Sprints and the meeting day follow the team calendar");
+
+  const tasks = applyDueDates({
+    "Jane Doe": {
+      "Coding": [
+        { title: "Billing export", deadline: "by Thursday" },
+        { title: "Invoice PDF", deadline: "by Thursday", dueDate: "2026-10-28" },
+      ],
+      "Non-Coding": [{ title: "Rollout notes", deadline: null }],
+    },
+  }, MEETING_DATE, calendar);
+  assert.deepStrictEqual(tasks["Jane Doe"].Coding.map(task => task.dueDate), ["2026-10-22", "2026-10-28"],
+    "due dates edited before approval are kept");
+  assert.strictEqual(tasks["Jane Doe"]["Non-Coding"][0].dueDate, null);
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  try {
+    const posted = [];
+    axios.get = async url => (url.includes("/transitions") ?
+      { data: { transitions: [] } } :
+      { data: { fields: { status: { name: "To Do" } }, issues: [{ key: "TDS-399" }] } });
+    axios.post = async (url, body) => {
+      posted.push(body);
+      return { data: { key: `TDS-${400 + posted.length}`, id: String(10400 + posted.length) } };
+    };
+
+    const plan = await buildPipelineChangePlan({ tasks }, []);
+    assert.deepStrictEqual(plan.tasksToCreate.map(task => [task.title, task.deadline, task.dueDate]), [
+      ["Billing export", "by Thursday", "2026-10-22"],
+      ["Invoice PDF", "by Thursday", "2026-10-28"],
+      ["Rollout notes", null, null],
+    ]);
+    assert.strictEqual(plan.summary.tasksWithDueDate, 2);
+    assert.ok(plan.skippedWrites.includes("recordTaskDueDate"));
+
+    await createJiraIssuesForCodingTasks({ "Jane Doe": { "Coding": [tasks["Jane Doe"].Coding[0]], "Non-Coding": [] } });
+    assert.strictEqual(posted[0].fields.duedate, "2026-10-22");
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+
+  assert.strictEqual(normalizeJiraIssue({ key: "TDS-401", fields: { duedate: "2026-10-23" } }).dueDate, "2026-10-23");
+  assert.strictEqual(normalizeJiraIssue({ key: "TDS-401", fields: {} }).dueDate, null);
+  console.log("   ✓ Due dates reach Jira's due date field and sync back");
+
+  // Step 4 stores the new tasks, then Step 4.6 records the deadlines they were given
+  const newTasks = [
+    ["TDS-401", "Coding", tasks["Jane Doe"].Coding[0]],
+    ["TDS-402", "Coding", tasks["Jane Doe"].Coding[1]],
+    ["TDS-403", "Non-Coding", tasks["Jane Doe"]["Non-Coding"][0]],
+  ];
+  for (const [ticketId, type, task] of newTasks) {
+    assert.strictEqual(await storeCreatedTaskSafely("Jane Doe", type, { ...task, ticketId },
+      { teamId: "default", runId: "transcript-1" }), true);
+  }
+  for (const [ticketId, , task] of newTasks.filter(([, , task]) => task.dueDate)) {
+    assert.strictEqual(await recordTaskDueDate(ticketId, { dueDate: task.dueDate, deadline: task.deadline,
+      meetingDate: MEETING_DATE, transcriptId: "transcript-1" }), true);
+  }
+  const [billingTask] = await mongo.collection("tasks").find({ ticketId: "TDS-401" }).toArray();
+  assert.deepStrictEqual([billingTask.dueDate, billingTask.deadline],
+    ["2026-10-22", { expression: "by Thursday", meetingDate: MEETING_DATE, transcriptId: "transcript-1" }]);
+  const dueBefore = await getTasksDueBefore("2026-10-27", { teamId: "default" });
+  assert.deepStrictEqual(dueBefore.map(task => [task.ticketId, task.participantName, task.dueDate]),
+    [["TDS-401", "Jane Doe", "2026-10-22"]], "tasks without a due date or not yet due are left out");
+  assert.deepStrictEqual(await getTasksDueBefore("2026-10-27", { teamId: "payments" }), []);
+  console.log("   ✓ Due dates are stored on the tasks the pipeline creates");
+
+  const openTasks = [
+    { ticketId: "TDS-301", title: "Billing export", participantName: "Jane Doe", status: "In Progress",
+      dueDate: "2026-10-14" },
+    { ticketId: "TDS-302", title: "Invoice PDF", participantName: "Jane Doe", status: "To-do", dueDate: "2026-10-19" },
+    { ticketId: "TDS-303", title: "Rollout notes", participantName: "Sam Lee", status: "To-do", dueDate: "2026-10-20" },
+  ];
+  const overdue = findOverdueTasks(openTasks, "2026-10-20");
+  assert.deepStrictEqual(overdue.map(task => [task.ticketId, task.daysOverdue]), [["TDS-301", 6], ["TDS-302", 1]],
+    "tasks due today are not overdue yet");
+  assert.deepStrictEqual(findOverdueTasks([{ dueDate: "2026-10-01", status: "Completed" }], "2026-10-20",
+    ["To-do"]), [], "closed tasks are not overdue");
+  const message = formatOverdueTasks(overdue);
+  assert.ok(message.includes("**Jane Doe:**"));
+  assert.ok(message.includes("TDS-301: Billing export - due 2026-10-14, 6 days overdue (In Progress)"));
+  assert.ok(message.includes("TDS-302: Invoice PDF - due 2026-10-19, 1 day overdue (To-do)"));
+
+  // 09:00 in Dhaka is 03:00 UTC
+  assert.strictEqual(isOverdueCheckDue(calendar, new Date("2026-10-20T03:00:00Z")), true);
+  assert.strictEqual(isOverdueCheckDue(calendar, new Date("2026-10-20T04:00:00Z")), false, "other hours");
+  assert.strictEqual(isOverdueCheckDue(calendar, new Date("2026-10-24T03:00:00Z")), false, "Saturday");
+  assert.strictEqual(isOverdueCheckDue({ ...calendar, holidays: ["2026-10-20"] }, new Date("2026-10-20T03:00:00Z")),
+    false, "holidays");
+
+  try {
+    const cards = [];
+    axios.post = async (url, body) => {
+      cards.push({ url, body });
+      return { status: 200, statusText: "OK" };
+    };
+
+    // 09:00 on Tuesday 2026-10-27 in Dhaka, TDS-401 was due on Thursday
+    const team = { teamId: "default", teamsWebhookUrl: "https://teams.example.test/standup" };
+    const report = await notifyOverdueTasks(team, new Date("2026-10-27T03:00:00Z"));
+    assert.deepStrictEqual([report.today, report.overdueTasks.map(task => [task.ticketId, task.daysOverdue]),
+      report.teams.success], ["2026-10-27", [["TDS-401", 5]], true]);
+    assert.strictEqual(cards[0].url, "https://teams.example.test/standup", "the team's own channel");
+    assert.strictEqual(cards[0].body.sections[0].activityTitle, "⏰ Overdue Tasks (1)");
+
+    await mongo.collection("tasks").updateOne({ ticketId: "TDS-401" }, { $set: { status: "Completed" } });
+    const quiet = await notifyOverdueTasks(team, new Date("2026-10-27T03:00:00Z"));
+    assert.deepStrictEqual([quiet.overdueTasks, quiet.teams, cards.length], [[], null, 1], "nothing overdue, no card");
+  } finally {
+    axios.post = originalPost;
+  }
+  console.log("   ✓ Overdue open tasks are posted to the team's Teams channel");
+
+  console.log("✅ Due date tests passed");
+}
+
+if (require.main === module) {
+  testDueDates().catch(error => {
+    console.error("❌ Due date test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testDueDates };
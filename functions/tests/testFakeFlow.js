@@ -297,7 +297,9 @@ async function runCompleteFlowTest() {
 
     // Step 4: Check required environment variables
     console.log("\n🔧 Step 4: Checking environment configuration...");
-    const requiredEnvVars = ["OPENAI_API_KEY", "MONGODB_URI"];
+    // OPENAI_API_KEY is only needed for the OpenAI provider (LLM_PROVIDER=fake runs without it)
+    const { provider } = require("../config/llmConfig").getLLMConfig();
+    const requiredEnvVars = provider === "openai" ? ["OPENAI_API_KEY", "MONGODB_URI"] : ["MONGODB_URI"];
     const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
     
     if (missingVars.length > 0) {
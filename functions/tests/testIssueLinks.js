@@ -0,0 +1,228 @@
+/**
+ * Issue Links Test
+ *
+ * Checks that relationships between tickets ("TDS-201 depends on TDS-198", "a follow-up to TDS-150") are
+ * detected from what was said and from the Task Creator's similarity decision, mapped to Jira link types and
+ * created as Jira issue links once, and that a similar task of another team is never linked. Runs offline - the
+ * fake LLM provider answers the decision prompt and embeds, Jira HTTP calls are stubbed and MongoDB is in memory.
+ *
+ * Usage: node tests/testIssueLinks.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+process.env.LLM_PROVIDER = "fake";
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+delete process.env.JIRA_LINK_TYPE_MAPPING;
+delete process.env.TASK_VECTOR_SEARCH;
+const mongo = installInMemoryMongo();
+
+const {
+  detectIssueLinks,
+  detectIssueLinksFromTranscript,
+  detectIssueLinksForTask,
+  getIssueLinkKey,
+} = require("../services/utilities/issueLinkService");
+const { getJiraLinkTypeMapping, resolveJiraIssueLink } = require("../config/jiraLinkTypeMapping");
+const { parseCreationDecision, findTaskIssueLinks } = require("../services/pipeline/taskCreatorService");
+const { linkJiraIssues } = require("../services/integrations/jiraService");
+const { setFakeResponses } = require("../services/integrations/fakeLlmProvider");
+const mongoEmbeddingService = require("../services/storage/mongoEmbeddingService");
+
+/**
+ * Detect the relationships in a sentence
+ * @param {string} text - Transcript text
+ * @returns {Array<Array>} [taskId, linkType, targetTaskId] per relationship
+ */
+function detectedLinks(text) {
+  return detectIssueLinks(text, "Jane Doe").map(link => [link.taskId, link.linkType, link.targetTaskId]);
+}
+
+/**
+ * Stub the Jira issue link endpoints with an in-memory link list
+ * @param {Array<Object>} links - Links already on the issue ({ type, inwardIssue | outwardIssue })
+ * @returns {Array<Object>} Links posted ({ url, body })
+ */
+function stubJiraIssueLinks(links) {
+  const posted = [];
+  axios.get = async () => ({ data: { fields: { issuelinks: links } } });
+  axios.post = async (url, body) => {
+    posted.push({ url, body });
+    links.push({ id: String(links.length + 1), type: body.type, outwardIssue: body.outwardIssue });
+    return { headers: { location: `https://jira.example.test/rest/api/2/issueLink/${links.length}` } };
+  };
+  return posted;
+}
+
+/**
+ * Run the issue link checks
+ */
+async function testIssueLinks() {
+  console.log("🧪 Testing issue links");
+
+  assert.deepStrictEqual(detectedLinks("TDS-201 depends on TDS-198."), [["TDS-201", "is blocked by", "TDS-198"]]);
+  assert.deepStrictEqual(detectedLinks("TDS-198 is blocking the ticket TDS-201."), [["TDS-198", "blocks", "TDS-201"]]);
+  assert.deepStrictEqual(detectedLinks("TDS-230 is a duplicate of TDS-212."), [["TDS-230", "duplicates", "TDS-212"]]);
+  assert.deepStrictEqual(detectedLinks("TDS-240 is a follow-up to TDS-150."), [["TDS-240", "follow-up of", "TDS-150"]]);
+  assert.deepStrictEqual(detectedLinks("I picked up TDS-201. It's blocked by TDS-198 though."),
+    [["TDS-201", "is blocked by", "TDS-198"]], "\"it\" is the ticket of the sentence before");
+  assert.deepStrictEqual(detectedLinks("This depends on TDS-198."), [[null, "is blocked by", "TDS-198"]]);
+  assert.deepStrictEqual(detectedLinks("TDS-201 isn't blocked by TDS-198 anymore."), [], "negated");
+  assert.deepStrictEqual(detectedLinks("TDS-198 depends on TDS-198."), [], "not linked to itself");
+  assert.deepStrictEqual(detectedLinks("I was waiting for 3 hours on the deploy."), [], "no ticket, no link");
+
+  const fromTranscript = detectIssueLinksFromTranscript([
+    { text: "<v Sam Lee>This depends on TDS-198.</v>", startTime: "00:00:01.000", endTime: "00:00:03.000" },
+    { text: "<v Jane Doe>TDS-201 depends on TDS-198.</v>", startTime: "00:00:04.000", endTime: "00:00:06.000" },
+    { text: "<v Jane Doe>Yes, TDS-201 depends on TDS-198.</v>", startTime: "00:00:07.000", endTime: "00:00:08.000" },
+  ]);
+  assert.strictEqual(fromTranscript.length, 1, "subjectless and repeated relationships are left out");
+  const [said] = fromTranscript;
+  assert.deepStrictEqual([said.speaker, said.entryIndex, said.sourceRanges[0].firstEntry], ["Jane Doe", 1, 1]);
+  assert.strictEqual(getIssueLinkKey(said), "TDS-201/is blocked by/TDS-198");
+
+  const spoken = detectIssueLinksForTask({
+    assignee: "Jane Doe",
+    evidence: "I'll add the export, it depends on TDS-198.",
+  });
+  assert.deepStrictEqual(spoken.map(link => [link.taskId, link.linkType, link.targetTaskId, link.source]),
+    [[null, "is blocked by", "TDS-198", "spoken"]]);
+  console.log("   ✓ Relationships are detected from what was said");
+
+  assert.deepStrictEqual(parseCreationDecision([
+    "DECISION: CREATE_NEW",
+    "CONFIDENCE: 0.8",
+    "RELATIONSHIP: FOLLOW_UP_OF",
+    "RELATED_TASK: tds-150",
+    "REASONING: Builds on the CSV export",
+  ].join("\n")), {
+    shouldCreate: true,
+    confidence: 0.8,
+    reasoning: "Builds on the CSV export",
+    linkType: "follow-up of",
+    relatedTaskId: "TDS-150",
+  });
+  const unrelated = parseCreationDecision("DECISION: CREATE_NEW\nRELATIONSHIP: NONE\nRELATED_TASK: NONE");
+  assert.deepStrictEqual([unrelated.linkType, unrelated.relatedTaskId], [null, null]);
+
+  const originalSearch = mongoEmbeddingService.findSimilarTasksInMongoDB;
+  try {
+    mongoEmbeddingService.findSimilarTasksInMongoDB = async () => [
+      { ticketId: "TDS-150", title: "CSV export", description: "Export reports as CSV", similarity: 0.86 },
+    ];
+    setFakeResponses({ rules: [{ contains: ["RELATED_TASK"], response: [
+      "DECISION: CREATE_NEW",
+      "CONFIDENCE: 0.75",
+      "RELATIONSHIP: FOLLOW_UP_OF",
+      "RELATED_TASK: TDS-150",
+      "REASONING: Adds Excel to the CSV export",
+    ].join("\n") }] });
+
+    const links = await findTaskIssueLinks({ description: "Export reports as Excel", assignee: "Jane Doe",
+      type: "Coding", evidence: "After the CSV export I'll do Excel, it depends on TDS-198." });
+    assert.deepStrictEqual(links.map(link => [link.linkType, link.targetTaskId, link.source]), [
+      ["is blocked by", "TDS-198", "spoken"],
+      ["follow-up of", "TDS-150", "similarity"],
+    ]);
+
+    mongoEmbeddingService.findSimilarTasksInMongoDB = async () => {
+      throw new Error("MongoDB unavailable");
+    };
+    const spokenOnly = await findTaskIssueLinks({ description: "Export reports", evidence: "This blocks TDS-260." });
+    assert.deepStrictEqual(spokenOnly.map(link => link.targetTaskId), ["TDS-260"], "similarity failures are not fatal");
+  } finally {
+    mongoEmbeddingService.findSimilarTasksInMongoDB = originalSearch;
+    setFakeResponses(null);
+  }
+  console.log("   ✓ The similarity decision names the relationship to the closest existing task");
+
+  // The same task exists in two teams; the decision names whichever one it was shown
+  const csvExport = { title: "CSV export", description: "Export reports as CSV", assignee: "Jane Doe", type: "Coding",
+    status: "To-do" };
+  for (const task of [{ ...csvExport, ticketId: "TDS-150", teamId: "payments" },
+    { ...csvExport, ticketId: "GRW-150", teamId: "growth" }]) {
+    await mongo.collection("tasks").insertOne(task);
+    await mongoEmbeddingService.addOrUpdateTaskEmbedding(task.ticketId, task);
+  }
+  const csvExportAgain = { description: "CSV export - export reports as CSV", assignee: "Jane Doe", type: "Coding" };
+  try {
+    setFakeResponses({ rules: [{ contains: ["RELATED_TASK"], response: [
+      "DECISION: CREATE_NEW",
+      "CONFIDENCE: 0.8",
+      "RELATIONSHIP: RELATES_TO",
+      "RELATED_TASK: GRW-150",
+      "REASONING: Same export",
+    ].join("\n") }] });
+    const paymentsLinks = await findTaskIssueLinks(csvExportAgain, { team: { teamId: "payments" } });
+    assert.deepStrictEqual(paymentsLinks, [], "another team's task is not linked");
+    const growthLinks = await findTaskIssueLinks(csvExportAgain, { teamId: "growth" });
+    assert.deepStrictEqual(growthLinks.map(link => [link.linkType, link.targetTaskId]), [["relates to", "GRW-150"]]);
+  } finally {
+    setFakeResponses(null);
+  }
+  console.log("   ✓ Only tasks of the run's team are considered for similarity links");
+
+  const mapping = getJiraLinkTypeMapping({
+    teamId: "payments",
+    jiraLinkTypeMapping: { "follow-up of": { name: "Follow-up" } },
+  });
+  assert.deepStrictEqual(mapping["follow-up of"], { name: "Follow-up", direction: "outward" });
+  assert.deepStrictEqual(resolveJiraIssueLink({ taskId: "TDS-201", linkType: "is blocked by", targetTaskId: "TDS-198" },
+    mapping), { name: "Blocks", fromKey: "TDS-198", toKey: "TDS-201" });
+  process.env.JIRA_LINK_TYPE_MAPPING = JSON.stringify({ "depends on": { name: "Blocks" } });
+  assert.throws(() => getJiraLinkTypeMapping(), /unknown relationship "depends on"/);
+  process.env.JIRA_LINK_TYPE_MAPPING = JSON.stringify({ blocks: { direction: "sideways" } });
+  assert.throws(() => getJiraLinkTypeMapping(), /direction must be "outward" or "inward"/);
+  delete process.env.JIRA_LINK_TYPE_MAPPING;
+  console.log("   ✓ Relationships map to Jira link types, configurable by env and per team");
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  try {
+    const posted = stubJiraIssueLinks([{ id: "1", type: { name: "Relates" }, outwardIssue: { key: "TDS-150" } }]);
+    const link = { taskId: "TDS-201", linkType: "is blocked by", targetTaskId: "TDS-198" };
+
+    const first = await linkJiraIssues(link);
+    assert.deepStrictEqual([first.success, first.created, first.linkId, first.linkTypeName],
+      [true, true, "2", "Blocks"]);
+    assert.strictEqual(posted[0].url, "https://jira.example.test/rest/api/2/issueLink");
+    assert.deepStrictEqual(posted[0].body, {
+      type: { name: "Blocks" },
+      inwardIssue: { key: "TDS-198" },
+      outwardIssue: { key: "TDS-201" },
+    }, "the blocking issue goes in inwardIssue");
+
+    const again = await linkJiraIssues(link);
+    assert.deepStrictEqual([again.created, again.skipped], [false, true]);
+    assert.strictEqual(posted.length, 1, "issues already linked are not linked twice");
+
+    await linkJiraIssues({ taskId: "TDS-201", linkType: "duplicates", targetTaskId: "TDS-198" });
+    assert.strictEqual(posted.length, 2, "other link types between the same issues are still created");
+
+    axios.post = async () => {
+      throw new Error("Request failed with status code 404");
+    };
+    const failed = await linkJiraIssues({ taskId: "TDS-201", linkType: "relates to", targetTaskId: "TDS-999" });
+    assert.deepStrictEqual([failed.success, failed.error], [false, "Request failed with status code 404"],
+      "failures are returned, not thrown");
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+  console.log("   ✓ Jira issue links are created once per pair of issues and link type");
+
+  console.log("✅ Issue link tests passed");
+}
+
+if (require.main === module) {
+  testIssueLinks().catch(error => {
+    console.error("❌ Issue link test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testIssueLinks };
@@ -0,0 +1,142 @@
+/**
+ * Jira Evidence Comments Test
+ *
+ * Checks the Jira comments posted when a status change or task update is applied: who said what, in which
+ * meeting and on which date, quoting the evidence, and that the same transcript never comments twice.
+ * Runs offline - Jira HTTP calls are stubbed, no API keys, Jira or MongoDB needed.
+ *
+ * Usage: node tests/testJiraComments.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+delete process.env.TRANSCRIPT_LINK_BASE_URL;
+delete process.env.TRANSCRIPT_LINK_SECRET;
+
+const { buildJiraEvidenceComment } = require("../services/utilities/transcriptSourceService");
+const { addJiraEvidenceComment, getJiraIssueComments } = require("../services/integrations/jiraService");
+
+const METADATA = { transcriptId: "tr-1019", meetingSubject: "Daily Standup", targetDate: "2026-10-19T09:30:00Z" };
+const STATUS_CHANGE = {
+  kind: "status",
+  taskId: "TDS-204",
+  newStatus: "Blocked",
+  speaker: "Jane Doe",
+  evidence: "TDS-204 is blocked on design until the mockups land",
+  sourceRanges: [
+    { firstEntry: 4, lastEntry: 5, startTime: "00:01:02.000", endTime: "00:01:45.000", speaker: "Jane Doe" },
+  ],
+};
+
+/**
+ * Stub the Jira comment endpoints with an in-memory comment list
+ * @param {Array<Object>} comments - Comments already on the issue
+ * @returns {Array<Object>} Comments posted ({ url, body })
+ */
+function stubJiraComments(comments) {
+  const posted = [];
+  axios.get = async url => {
+    const startAt = Number(new URL(url).searchParams.get("startAt"));
+    // Two comments per page to exercise pagination
+    return { data: { startAt, total: comments.length, comments: comments.slice(startAt, startAt + 2) } };
+  };
+  axios.post = async (url, body) => {
+    posted.push({ url, body });
+    comments.push({ id: String(comments.length + 1), body: body.body });
+    return { data: { id: String(comments.length) } };
+  };
+  return posted;
+}
+
+/**
+ * Run the Jira evidence comment checks
+ */
+async function testJiraComments() {
+  console.log("🧪 Testing Jira evidence comments");
+
+  const statusComment = buildJiraEvidenceComment(STATUS_CHANGE, METADATA);
+  assert.strictEqual(statusComment.body, [
+    "Status changed to *Blocked* after Daily Standup on 2026-10-19.",
+    "*Jane Doe* said (01:02-01:45):",
+    "{quote}TDS-204 is blocked on design until the mockups land{quote}",
+    "{color:#97a0af}standup-evidence status/tr-1019{color}",
+  ].join("\n"));
+  assert.strictEqual(statusComment.marker, "standup-evidence status/tr-1019");
+
+  const updateComment = buildJiraEvidenceComment({ kind: "updated", evidence: "I'll add retries to the webhook",
+    sourceRanges: [{ firstEntry: 9, lastEntry: 9, startTime: "00:03:10.000", endTime: "00:03:10.000",
+      speaker: "Sam Lee" }] }, { transcriptId: "tr-1019" });
+  assert.ok(updateComment.body.startsWith("Description updated after the standup.\n*Sam Lee* said (03:10):"),
+    "the speaker falls back to the range");
+  assert.strictEqual(updateComment.marker, "standup-evidence updated/tr-1019");
+
+  assert.strictEqual(buildJiraEvidenceComment({ kind: "status", newStatus: "Completed", evidence: " " }, METADATA),
+    null, "nothing to quote");
+  const withoutTranscript = buildJiraEvidenceComment(STATUS_CHANGE, {});
+  assert.match(withoutTranscript.marker, /^standup-evidence status\/evidence-[0-9a-f]{16}$/);
+  assert.notStrictEqual(withoutTranscript.marker,
+    buildJiraEvidenceComment({ ...STATUS_CHANGE, evidence: "Still blocked" }, {}).marker);
+
+  process.env.TRANSCRIPT_LINK_BASE_URL = "https://api.example.test/";
+  process.env.TRANSCRIPT_LINK_SECRET = "link-secret";
+  const linked = buildJiraEvidenceComment(STATUS_CHANGE, METADATA).body;
+  assert.match(linked,
+    /said \(\[01:02-01:45\|https:\/\/api\.example\.test\/transcript-sources\/tr-1019\?from=4&to=5&exp=\d+&sig=/,
+    "times link to the transcript");
+  delete process.env.TRANSCRIPT_LINK_BASE_URL;
+  delete process.env.TRANSCRIPT_LINK_SECRET;
+  console.log("   ✓ Comments quote who said what, in which meeting and when");
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  try {
+    const comments = [
+      { id: "1", body: "Looks good" },
+      { id: "2", body: "Any update?" },
+      { id: "3", body: "Pinged design" },
+    ];
+    const posted = stubJiraComments(comments);
+
+    const first = await addJiraEvidenceComment("TDS-204", STATUS_CHANGE, METADATA);
+    assert.deepStrictEqual([first.success, first.added, first.skipped], [true, true, false]);
+    assert.strictEqual(posted[0].url, "https://jira.example.test/rest/api/2/issue/TDS-204/comment");
+    assert.strictEqual(posted[0].body.body, statusComment.body);
+
+    const again = await addJiraEvidenceComment("TDS-204", STATUS_CHANGE, METADATA);
+    assert.deepStrictEqual([again.added, again.skipped, again.commentId], [false, true, "4"]);
+    assert.strictEqual(posted.length, 1, "reprocessing the transcript doesn't comment twice");
+    assert.strictEqual((await getJiraIssueComments("TDS-204")).length, 4, "all comment pages are read");
+
+    await addJiraEvidenceComment("TDS-204", { ...STATUS_CHANGE, newStatus: "In-progress" },
+      { ...METADATA, transcriptId: "tr-1020" });
+    await addJiraEvidenceComment("TDS-204", { ...STATUS_CHANGE, kind: "updated" }, METADATA);
+    assert.strictEqual(posted.length, 3, "later transcripts and other kinds still comment");
+    assert.strictEqual(await addJiraEvidenceComment("TDS-204", { kind: "updated" }, METADATA), null);
+
+    axios.post = async () => {
+      throw new Error("Request failed with status code 403");
+    };
+    const failed = await addJiraEvidenceComment("TDS-204", STATUS_CHANGE, { transcriptId: "tr-1021" });
+    assert.deepStrictEqual([failed.success, failed.error], [false, "Request failed with status code 403"],
+      "failures are returned, not thrown");
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+  console.log("   ✓ Comments are posted once per issue, transcript and kind");
+
+  console.log("✅ Jira evidence comment tests passed");
+}
+
+if (require.main === module) {
+  testJiraComments().catch(error => {
+    console.error("❌ Jira evidence comment test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testJiraComments };
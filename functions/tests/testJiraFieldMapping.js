@@ -0,0 +1,178 @@
+/**
+ * Jira Field Mapping Test
+ *
+ * Checks the configurable task attribute → Jira field mapping: env and team overrides, discovery from the
+ * createmeta API, per-task validation errors, and retrying issue creation without fields Jira rejects.
+ * Runs offline - Jira HTTP calls are stubbed, no API keys, Jira or MongoDB needed.
+ *
+ * Usage: node tests/testJiraFieldMapping.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+
+delete process.env.JIRA_FIELD_MAPPING;
+delete process.env.JIRA_FIELD_DISCOVERY;
+delete process.env.TEAMS_CONFIG;
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+
+const { getJiraFieldMapping, discoverFieldMapping, DEFAULT_JIRA_FIELD_MAPPING } = require("../config/jiraFieldMapping");
+const {
+  buildMappedJiraFields,
+  resolveJiraFieldMapping,
+  createJiraIssue,
+} = require("../services/integrations/jiraService");
+
+// Create screen of a team-managed project with its own story points field
+const PAY_FIELDS = [
+  { fieldId: "summary", name: "Summary", required: true },
+  { fieldId: "issuetype", name: "Issue Type", required: true },
+  { fieldId: "priority", name: "Priority", required: false, allowedValues: [{ name: "High" }, { name: "Medium" }] },
+  { fieldId: "customfield_10016", name: "Story point estimate", required: false, schema: { type: "number" } },
+  { fieldId: "customfield_10020", name: "Sprint", required: false,
+    schema: { custom: "com.pyxis.greenhopper.jira:gh-sprint" } },
+  { fieldId: "components", name: "Components", required: true, allowedValues: [{ name: "API" }, { name: "Web" }] },
+  { fieldId: "parent", name: "Parent", required: false },
+  { fieldId: "duedate", name: "Due date", required: false },
+];
+
+/**
+ * Stub the Jira createmeta, issue creation and transition endpoints
+ * @param {Function} onCreate - Called with each issue creation body, returns the response or throws
+ * @returns {Object} Counters ({ createmeta })
+ */
+function stubJira(onCreate) {
+  const calls = { createmeta: 0 };
+  axios.get = async url => {
+    if (url.endsWith("/createmeta/PAY/issuetypes")) {
+      calls.createmeta++;
+      return { data: { issueTypes: [{ id: "10001", name: "Task" }] } };
+    }
+    if (url.endsWith("/createmeta/PAY/issuetypes/10001")) {
+      return { data: { fields: PAY_FIELDS } };
+    }
+    if (url.includes("/transitions")) {
+      return { data: { transitions: [] } };
+    }
+    return { data: { fields: { status: { name: "To Do" } } } };
+  };
+  axios.post = async (url, body) => onCreate(body);
+  return calls;
+}
+
+/**
+ * Run the Jira field mapping checks
+ */
+async function testJiraFieldMapping() {
+  console.log("🧪 Testing the Jira field mapping");
+
+  assert.deepStrictEqual(getJiraFieldMapping(), DEFAULT_JIRA_FIELD_MAPPING);
+  process.env.JIRA_FIELD_MAPPING = JSON.stringify({ sprint: { field: "customfield_10020" } });
+  const team = { teamId: "payments", jiraFieldMapping: { storyPoints: { field: "customfield_10016" } } };
+  const mapping = getJiraFieldMapping(team);
+  assert.deepStrictEqual(mapping.sprint, { field: "customfield_10020", format: "id" });
+  assert.strictEqual(mapping.storyPoints.field, "customfield_10016");
+  process.env.JIRA_FIELD_MAPPING = JSON.stringify({ storyPoint: { field: "customfield_1" } });
+  assert.throws(() => getJiraFieldMapping(), /unknown task attribute "storyPoint"/);
+  process.env.JIRA_FIELD_MAPPING = JSON.stringify({ sprint: { format: "sprint" } });
+  assert.throws(() => getJiraFieldMapping(), /format must be one of/);
+  delete process.env.JIRA_FIELD_MAPPING;
+  console.log("   ✓ The mapping is configurable per attribute, by env and per team");
+
+  const { fields, validationErrors } = buildMappedJiraFields({
+    priority: "High",
+    storyPoints: 3,
+    sprint: "42",
+    components: ["api", "Mobile"],
+    epic: "pay-7",
+    fixVersion: "2026.10",
+    dueDate: "2026-10-32",
+  }, getJiraFieldMapping(null, discoverFieldMapping(PAY_FIELDS)), PAY_FIELDS);
+  assert.deepStrictEqual(fields, {
+    priority: { name: "High" },
+    customfield_10016: 3,
+    customfield_10020: 42,
+    components: [{ name: "API" }],
+    parent: { key: "PAY-7" },
+  });
+  assert.deepStrictEqual(validationErrors.map(error => [error.attribute, error.message]), [
+    ["components", "not allowed in Jira: Mobile"],
+    ["dueDate", "expected a YYYY-MM-DD date, got \"2026-10-32\""],
+  ]);
+  const fixVersionError = buildMappedJiraFields({ fixVersion: "1.0" }, { fixVersion: { field: "fixVersions",
+    format: "names" } }, PAY_FIELDS).validationErrors[0];
+  assert.strictEqual(fixVersionError.message, "field is not on the project's create screen");
+  assert.deepStrictEqual(buildMappedJiraFields({ sprint: "next" }, getJiraFieldMapping(null,
+    { sprint: { field: "customfield_10020" } })).validationErrors.map(error => error.message),
+  ["expected a numeric id, got \"next\""]);
+  assert.deepStrictEqual(buildMappedJiraFields({}, { components: { field: "components", format: "names",
+    default: ["Web"] } }).fields, { components: [{ name: "Web" }] }, "defaults fill missing attributes");
+  console.log("   ✓ Values are formatted and validated per attribute");
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  try {
+    let created = [];
+    const calls = stubJira(body => {
+      created.push(JSON.parse(JSON.stringify(body.fields)));
+      return { data: { key: `PAY-${created.length}`, id: String(created.length) } };
+    });
+    const payOptions = { teamId: "payments", projectKey: "PAY", jiraFieldDiscovery: true };
+    const discovered = await resolveJiraFieldMapping("PAY", "Task", payOptions);
+    assert.deepStrictEqual(discovered.discovered.storyPoints, { field: "customfield_10016", format: "number" });
+    assert.deepStrictEqual(discovered.discovered.fixVersion, { field: null }, "fields missing from the screen are off");
+
+    const result = await createJiraIssue({
+      title: "Add retries", description: "Retry failed webhooks.", type: "Coding", isFuturePlan: true,
+      priority: "high", storyPoints: 5, components: ["Web"], dueDate: "2026-10-30",
+    }, payOptions);
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.validationErrors, []);
+    assert.strictEqual(created[0].customfield_10016, 5);
+    assert.strictEqual(created[0].customfield_10166, undefined, "the default site's story points field is not sent");
+    assert.deepStrictEqual([created[0].duedate, created[0].components], ["2026-10-30", [{ name: "Web" }]]);
+    assert.strictEqual(calls.createmeta, 1, "createmeta is cached");
+
+    const missing = await createJiraIssue({ title: "No component", description: "x", type: "Coding",
+      isFuturePlan: true }, payOptions);
+    assert.strictEqual(missing.success, false);
+    assert.deepStrictEqual(missing.validationErrors.map(error => error.field), ["components"]);
+    assert.strictEqual(created.length, 1, "issues missing required fields are not sent");
+    assert.strictEqual(calls.createmeta, 1);
+
+    created = [];
+    stubJira(body => {
+      if (body.fields.customfield_10166 !== undefined) {
+        const error = new Error("Request failed with status code 400");
+        error.response = { status: 400, data: { errors: { customfield_10166: "Field cannot be set." } } };
+        throw error;
+      }
+      created.push(body.fields);
+      return { data: { key: "OPS-1", id: "1" } };
+    });
+    const retried = await createJiraIssue({ title: "Rotate keys", description: "x", type: "Coding",
+      isFuturePlan: true, storyPoints: 2 }, { projectKey: "OPS" });
+    assert.strictEqual(retried.success, true);
+    assert.deepStrictEqual(retried.validationErrors,
+      [{ attribute: "storyPoints", field: "customfield_10166", message: "Field cannot be set." }]);
+    assert.strictEqual(created.length, 1);
+    assert.deepStrictEqual(created[0].priority, { name: "Medium" });
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+  console.log("   ✓ Issues use discovered fields, report missing required fields and retry without rejected ones");
+
+  console.log("✅ Jira field mapping tests passed");
+}
+
+if (require.main === module) {
+  testJiraFieldMapping().catch(error => {
+    console.error("❌ Jira field mapping test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testJiraFieldMapping };
@@ -0,0 +1,201 @@
+/**
+ * Jira Sync Test
+ *
+ * Checks pulling Jira changes back into the tasks collection: the per-field reconciliation
+ * (unchanged / apply / local_ahead / both_changed), syncing one issue into a task the pipeline
+ * stored (dry run, reassignment, stale events, conflicts, unmapped assignees) and each Jira webhook
+ * branch, including a pipeline issue whose created event arrives before or after the pipeline
+ * stores its task.
+ * Runs offline - MongoDB is in memory and the fake LLM provider embeds the tasks.
+ *
+ * Usage: node tests/testJiraSync.js
+ */
+
+const assert = require("assert");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+// Must be set before the services read them
+process.env.LLM_PROVIDER = "fake";
+process.env.JIRA_PROJECT_KEY = "TDS";
+delete process.env.TEAMS_CONFIG;
+delete process.env.JIRA_STATUS_MAPPING;
+const mongo = installInMemoryMongo();
+
+const { reconcileField, syncJiraIssue, handleJiraWebhookEvent } = require("../services/core/jiraSyncService");
+const { normalizeJiraIssue } = require("../services/integrations/jiraService");
+const { storePipelineTask } = require("../services/storage/mongoService");
+const { PARTICIPANT_TO_JIRA_MAPPING } = require("../config/participantMapping");
+
+const AZMAIN = PARTICIPANT_TO_JIRA_MAPPING["Azmain Morshed"];
+const DOUG = PARTICIPANT_TO_JIRA_MAPPING["Doug Whitewolff"];
+
+/**
+ * Build a Jira issue as the REST API and the webhook send it
+ * @param {string} key - Issue key
+ * @param {Object} fields - Overrides: summary, status, statusCategory, assignee, priority, duedate, labels,
+ *   description, updated
+ * @returns {Object} Raw Jira issue
+ */
+function jiraIssue(key, fields = {}) {
+  const { status = "To Do", statusCategory = "new", assignee = AZMAIN, ...rest } = fields;
+  return {
+    key,
+    fields: {
+      summary: "Billing export",
+      description: "Export invoices as CSV",
+      status: { name: status, statusCategory: { key: statusCategory } },
+      assignee: assignee ? { accountId: assignee, displayName: assignee } : null,
+      priority: { name: "Medium" },
+      duedate: null,
+      issuetype: { name: "Task" },
+      labels: ["coding"],
+      updated: "2026-10-19T08:00:00.000+0000",
+      ...rest,
+    },
+  };
+}
+
+/**
+ * Store a task the way the pipeline does after creating its Jira issue
+ * @param {string} ticketId - Jira issue key
+ * @param {Object} task - Task field overrides
+ * @returns {Promise<Object>} storePipelineTask result
+ */
+function storeTaskFromPipeline(ticketId, task = {}) {
+  return storePipelineTask({
+    participantName: "Azmain Morshed",
+    type: "Coding",
+    task: { ticketId, title: "Billing export", description: "Export invoices as CSV", priority: "Medium",
+      estimatedTime: 5, projectCode: "BILL", ...task },
+    runId: "transcript-1",
+  });
+}
+
+/**
+ * Find the stored task documents of a ticket
+ * @param {string} ticketId - Jira issue key
+ * @returns {Promise<Array<Object>>} Task documents
+ */
+function storedTasks(ticketId) {
+  return mongo.collection("tasks").find({ ticketId }).toArray();
+}
+
+/**
+ * Run the Jira sync checks
+ */
+async function testJiraSync() {
+  console.log("🧪 Testing the Jira sync");
+
+  assert.strictEqual(reconcileField("Done", "Done", { status: "To-do" }, "status"), "unchanged");
+  assert.strictEqual(reconcileField("Done", "To-do", {}, "status"), "apply", "never synced: Jira wins");
+  assert.strictEqual(reconcileField("Done", "To-do", { status: "To-do" }, "status"), "apply");
+  assert.strictEqual(reconcileField("To-do", "Blocked", { status: "To-do" }, "status"), "local_ahead");
+  assert.strictEqual(reconcileField("Done", "Blocked", { status: "To-do" }, "status"), "both_changed");
+  assert.strictEqual(reconcileField(null, "2026-10-30", { dueDate: null }, "dueDate"), "local_ahead");
+  console.log("   ✓ Fields are reconciled against the last synced snapshot");
+
+  assert.deepStrictEqual(await syncJiraIssue(normalizeJiraIssue(jiraIssue("TDS-39"))),
+    { issueKey: "TDS-39", action: "not_tracked", updates: {}, conflicts: [] });
+
+  await storeTaskFromPipeline("TDS-40");
+  const reassigned = jiraIssue("TDS-40", { status: "In Progress", statusCategory: "indeterminate", assignee: DOUG });
+  const preview = await syncJiraIssue(normalizeJiraIssue(reassigned), { dryRun: true });
+  assert.deepStrictEqual([preview.action, preview.updates],
+    ["would_update", { status: "In-progress", participantName: "Doug Whitewolff" }]);
+  assert.strictEqual((await storedTasks("TDS-40"))[0].status, "To-do", "a dry run writes nothing");
+
+  const synced = await syncJiraIssue(normalizeJiraIssue(reassigned));
+  assert.deepStrictEqual([synced.action, synced.conflicts], ["updated", []]);
+  let [task] = await storedTasks("TDS-40");
+  assert.deepStrictEqual([task.status, task.assignee, task.jiraSync.status, task.jiraSync.jiraStatus],
+    ["In-progress", "Doug Whitewolff", "In-progress", "In Progress"]);
+  assert.deepStrictEqual([task.estimatedTime, task.projectCode], [5, "BILL"], "pipeline fields are kept");
+  console.log("   ✓ Jira changes are applied to the task the pipeline stored");
+
+  const older = jiraIssue("TDS-40",
+    { status: "Done", statusCategory: "done", updated: "2026-10-19T07:00:00.000+0000" });
+  assert.strictEqual((await syncJiraIssue(normalizeJiraIssue(older))).action, "stale");
+
+  await mongo.collection("tasks").updateOne({ ticketId: "TDS-40" }, { $set: { status: "Blocked", priority: "High" } });
+  const conflicting = jiraIssue("TDS-40",
+    { status: "Done", statusCategory: "done", assignee: DOUG, updated: "2026-10-19T09:00:00.000+0000" });
+  const conflictResult = await syncJiraIssue(normalizeJiraIssue(conflicting));
+  assert.deepStrictEqual(conflictResult.updates, { status: "Completed" });
+  assert.deepStrictEqual(conflictResult.conflicts.map(conflict => [conflict.field, conflict.type, conflict.resolution]),
+    [["status", "both_changed", "applied_jira"], ["priority", "local_ahead", "kept_mongo"]]);
+  [task] = await storedTasks("TDS-40");
+  assert.deepStrictEqual([task.status, task.priority], ["Completed", "High"]);
+  assert.strictEqual(await mongo.collection("jira_sync_conflicts").countDocuments({ ticketId: "TDS-40" }), 2);
+
+  const unmapped = jiraIssue("TDS-40", { status: "Done", statusCategory: "done", assignee: "557058:stranger",
+    updated: "2026-10-19T10:00:00.000+0000" });
+  const unmappedResult = await syncJiraIssue(normalizeJiraIssue(unmapped));
+  assert.deepStrictEqual(unmappedResult.conflicts.map(conflict => [conflict.field, conflict.type]),
+    [["priority", "local_ahead"], ["assignee", "unmapped_assignee"]]);
+  assert.strictEqual((await storedTasks("TDS-40"))[0].assignee, "Doug Whitewolff");
+  console.log("   ✓ Stale events are ignored and conflicts are logged");
+
+  await assert.rejects(handleJiraWebhookEvent({ webhookEvent: "jira:issue_updated" }), { statusCode: 400 });
+  const foreign = await handleJiraWebhookEvent({ webhookEvent: "jira:issue_created", issue: jiraIssue("XYZ-1") });
+  assert.deepStrictEqual([foreign.action, foreign.reason], ["ignored", "Project not in the team registry"]);
+  const worklog = await handleJiraWebhookEvent({ webhookEvent: "jira:worklog_updated", issue: jiraIssue("TDS-40") });
+  assert.strictEqual(worklog.reason, "Unsupported event");
+
+  const manual = await handleJiraWebhookEvent({
+    webhookEvent: "jira:issue_created",
+    issue: jiraIssue("TDS-41", { summary: "Rotate API keys", labels: [], assignee: null }),
+  });
+  assert.deepStrictEqual([manual.action, manual.participantName, manual.type], ["imported", "Unassigned", "Coding"]);
+  const [manualTask] = await storedTasks("TDS-41");
+  assert.deepStrictEqual([manualTask.source, manualTask.title, Array.isArray(manualTask.embedding)],
+    ["jira", "Rotate API keys", true], "stored and embedded for the similarity search");
+  console.log("   ✓ Issues created in Jira are imported");
+
+  const early = await handleJiraWebhookEvent({
+    webhookEvent: "jira:issue_created",
+    issue: jiraIssue("TDS-42", { summary: "Invoice PDF", labels: ["non-coding"] }),
+  });
+  assert.deepStrictEqual([early.action, early.participantName, early.type],
+    ["imported", "Azmain Morshed", "Non-Coding"], "a pipeline issue arriving before its task is stored is imported");
+  const late = await storeTaskFromPipeline("TDS-42", { title: "Invoice PDF", estimatedTime: 3, storyPoints: 2 });
+  assert.strictEqual(late.inserted, false);
+  const [earlyTask, ...duplicates] = await storedTasks("TDS-42");
+  assert.deepStrictEqual(duplicates, []);
+  assert.deepStrictEqual(
+    [earlyTask.type, earlyTask.source, earlyTask.estimatedTime, earlyTask.storyPoints, earlyTask.jiraSync.status],
+    ["Non-Coding", "pipeline", 3, 2, "To-do"], "the pipeline adds its fields and keeps the Jira snapshot");
+
+  assert.strictEqual((await storeTaskFromPipeline("TDS-43")).inserted, true);
+  const afterStore = await handleJiraWebhookEvent({ webhookEvent: "jira:issue_created", issue: jiraIssue("TDS-43") });
+  assert.deepStrictEqual([afterStore.action, afterStore.descriptionUpdated], ["unchanged", false],
+    "a task the pipeline already stored is synced, not imported again");
+  assert.strictEqual((await storedTasks("TDS-43")).length, 1);
+  console.log("   ✓ Pipeline issues are stored once, whichever write comes first");
+
+  const edited = await handleJiraWebhookEvent({
+    webhookEvent: "jira:issue_updated",
+    issue: jiraIssue("TDS-43", { description: "Export invoices as CSV and XLSX", priority: { name: "High" },
+      updated: "2026-10-19T11:00:00.000+0000" }),
+  });
+  assert.deepStrictEqual([edited.action, edited.updates, edited.descriptionUpdated],
+    ["updated", { priority: "High" }, true]);
+  assert.strictEqual((await storedTasks("TDS-43"))[0].description, "Export invoices as CSV and XLSX");
+
+  assert.strictEqual((await handleJiraWebhookEvent({ webhookEvent: "jira:issue_deleted", issue: jiraIssue("TDS-43") }))
+    .action, "deleted");
+  assert.ok((await storedTasks("TDS-43"))[0].jiraDeletedAt, "kept for history");
+  assert.strictEqual((await handleJiraWebhookEvent({ webhookEvent: "jira:issue_deleted", issue: jiraIssue("TDS-99") }))
+    .action, "not_tracked");
+  console.log("   ✓ Updated and deleted issues reach their tasks");
+
+  console.log("✅ Jira sync tests passed");
+}
+
+if (require.main === module) {
+  testJiraSync().catch(error => {
+    console.error("❌ Jira sync test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testJiraSync };
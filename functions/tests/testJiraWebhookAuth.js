@@ -0,0 +1,132 @@
+/**
+ * Jira Webhook Authentication Test
+ *
+ * Checks the POST /webhooks/jira guard: X-Hub-Signature HMACs of the raw body, the ?secret= and
+ * x-webhook-secret fallbacks, requests without a raw body, and that every request is rejected while
+ * JIRA_WEBHOOK_SECRET is unset.
+ * Runs offline with stub Express requests and responses.
+ *
+ * Usage: node tests/testJiraWebhookAuth.js
+ */
+
+const assert = require("assert");
+const crypto = require("crypto");
+
+const { requireJiraWebhookSecret, signatureMatches } = require("../middleware/jiraWebhookAuth");
+
+const SECRET = "webhook-test-secret";
+const BODY = JSON.stringify({ webhookEvent: "jira:issue_updated", issue: { key: "TDS-40" } });
+
+/**
+ * Sign a body the way Jira does
+ * @param {string} body - Raw body
+ * @param {string} secret - Shared secret
+ * @returns {string} X-Hub-Signature header value
+ */
+function sign(body, secret = SECRET) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+/**
+ * Run the middleware on a stub request
+ * @param {Object} request - { headers, query, rawBody } (rawBody defaults to BODY; pass undefined for none)
+ * @returns {Object} { nextCalled, status, body }
+ */
+function runMiddleware(request = {}) {
+  const { headers = {}, query = {} } = request;
+  const outcome = { nextCalled: false, status: null, body: null };
+  const req = {
+    path: "/webhooks/jira",
+    query,
+    rawBody: "rawBody" in request ? request.rawBody : Buffer.from(BODY),
+    get: name => headers[name.toLowerCase()],
+  };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  requireJiraWebhookSecret(req, res, () => {
+    outcome.nextCalled = true;
+  });
+  return outcome;
+}
+
+/**
+ * Run the Jira webhook authentication checks
+ */
+async function testJiraWebhookAuth() {
+  console.log("🧪 Testing Jira webhook authentication");
+
+  assert.strictEqual(signatureMatches(sign(BODY), Buffer.from(BODY), SECRET), true);
+  assert.strictEqual(signatureMatches(sign(BODY), BODY, SECRET), true, "string bodies are signed the same");
+  assert.strictEqual(signatureMatches(sign(BODY, "other-secret"), BODY, SECRET), false);
+  assert.strictEqual(signatureMatches(sign(`${BODY} `), BODY, SECRET), false, "any change to the body fails");
+  assert.strictEqual(signatureMatches(sign(BODY).replace("sha256", "sha1"), BODY, SECRET), false);
+  assert.strictEqual(signatureMatches("sha256=", BODY, SECRET), false);
+  assert.strictEqual(signatureMatches("garbage", BODY, SECRET), false);
+  assert.strictEqual(signatureMatches(sign(BODY), undefined, SECRET), false, "no raw body, nothing to verify");
+  console.log("   ✓ Signatures are HMAC-SHA256 of the raw body");
+
+  const originalSecret = process.env.JIRA_WEBHOOK_SECRET;
+  try {
+    delete process.env.JIRA_WEBHOOK_SECRET;
+    for (const request of [{}, { headers: { "x-hub-signature": sign(BODY) } }, { query: { secret: SECRET } }]) {
+      const outcome = runMiddleware(request);
+      assert.deepStrictEqual([outcome.nextCalled, outcome.status, outcome.body.error],
+        [false, 503, "Jira webhook is not configured"]);
+    }
+    console.log("   ✓ Every request is rejected while JIRA_WEBHOOK_SECRET is unset");
+
+    process.env.JIRA_WEBHOOK_SECRET = SECRET;
+    const accepted = [
+      { headers: { "x-hub-signature": sign(BODY) } },
+      { query: { secret: SECRET } },
+      { headers: { "x-webhook-secret": SECRET } },
+    ];
+    for (const request of accepted) {
+      const outcome = runMiddleware(request);
+      assert.deepStrictEqual([outcome.nextCalled, outcome.status], [true, null], JSON.stringify(request));
+    }
+    console.log("   ✓ A valid signature, ?secret= or x-webhook-secret is accepted");
+
+    const rejected = [
+      {},
+      { headers: { "x-hub-signature": sign(BODY, "other-secret") } },
+      { headers: { "x-hub-signature": sign(BODY) }, rawBody: undefined },
+      { headers: { "x-hub-signature": sign(BODY, "other-secret") }, query: { secret: SECRET } },
+      { query: { secret: "wrong" } },
+      { query: { secret: "" } },
+      { query: { secret: [SECRET, SECRET] } },
+      { headers: { "x-webhook-secret": `${SECRET}x` } },
+    ];
+    for (const request of rejected) {
+      const outcome = runMiddleware(request);
+      assert.deepStrictEqual([outcome.nextCalled, outcome.status, outcome.body],
+        [false, 401, { error: "Unauthorized" }], JSON.stringify(request));
+    }
+    console.log("   ✓ Wrong secrets, bad signatures and signed requests without a raw body are rejected");
+  } finally {
+    if (originalSecret === undefined) {
+      delete process.env.JIRA_WEBHOOK_SECRET;
+    } else {
+      process.env.JIRA_WEBHOOK_SECRET = originalSecret;
+    }
+  }
+
+  console.log("✅ Jira webhook authentication tests passed");
+}
+
+if (require.main === module) {
+  testJiraWebhookAuth().catch(error => {
+    console.error("❌ Jira webhook authentication test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testJiraWebhookAuth };
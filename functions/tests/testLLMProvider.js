@@ -0,0 +1,108 @@
+/**
+ * LLM Provider Test
+ *
+ * Runs the Task Finder, the RAG task creation chain and meeting notes against the fake LLM
+ * provider with the scripted responses in tests/fixtures/fakeLlmResponses.json.
+ * Runs offline - no API keys, OpenAI or MongoDB needed.
+ *
+ * Usage: node tests/testLLMProvider.js
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+// Must be set before the pipeline services build their models
+process.env.LLM_PROVIDER = "fake";
+process.env.LLM_FAKE_RESPONSES = path.join(__dirname, "fixtures", "fakeLlmResponses.json");
+
+const { getLLMConfig } = require("../config/llmConfig");
+const { getChatModel, getEmbeddings } = require("../services/integrations/llmProvider");
+const { computePromptFingerprint, setFakeResponses } = require("../services/integrations/fakeLlmProvider");
+const { findTasksFromTranscript } = require("../services/pipeline/taskFinderService");
+const { generateMeetingNotes } = require("../services/pipeline/meetingNotesService");
+const { taskRAG } = require("../services/utilities/ragService");
+const { calculateCosineSimilarity } = require("../services/storage/taskVectorSearch");
+
+const TRANSCRIPT = [
+  { speaker: "Jane Doe", text: "<v Jane Doe>I'll add retries to the Jira webhook today.</v>" },
+  { speaker: "Bob Smith", text: "<v Bob Smith>I can review the onboarding doc.</v>" },
+];
+
+/**
+ * Run the LLM provider checks
+ */
+async function testLLMProvider() {
+  console.log("🧪 Testing the fake LLM provider");
+
+  const messages = [{ role: "system", content: "Be brief." }, { role: "user", content: "Hello   there" }];
+  const fingerprint = computePromptFingerprint(messages);
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.strictEqual(computePromptFingerprint([messages[0], { role: "user", content: "Hello there" }]), fingerprint);
+  assert.notStrictEqual(computePromptFingerprint([{ role: "user", content: "Hello there" }]), fingerprint);
+  console.log("   ✓ Prompt fingerprints are stable and ignore whitespace");
+
+  setFakeResponses({ responses: { [fingerprint]: "By fingerprint" }, default: "By default" });
+  const chatModel = getChatModel();
+  assert.strictEqual((await chatModel.invoke(messages)).content, "By fingerprint");
+  assert.strictEqual((await chatModel.invoke([{ role: "user", content: "Other" }])).content, "By default");
+
+  setFakeResponses({ responses: {} });
+  await assert.rejects(chatModel.invoke(messages), new RegExp(fingerprint));
+  setFakeResponses(null);
+  console.log("   ✓ Responses are picked by fingerprint, then default; unscripted prompts fail");
+
+  const finderResult = await findTasksFromTranscript(TRANSCRIPT);
+  assert.strictEqual(finderResult.tasksToBeCreated.length, 2);
+  assert.strictEqual(finderResult.tasksToBeCreated[0].assignee, "Jane Doe");
+  assert.strictEqual(finderResult.tasksToBeCreated[0].type, "Coding");
+  assert.strictEqual(finderResult.tasksToBeCreated[0].estimatedTime, 3);
+  assert.strictEqual(finderResult.attendees, "JD, BS");
+  console.log("   ✓ Task Finder runs on scripted responses");
+
+  const creationResponse = await taskRAG.createTaskCreationChain().invoke({
+    context: "No relevant context found.",
+    taskDescription: "Add retry handling to the Jira webhook",
+    assignee: "Jane Doe",
+    taskType: "Coding",
+    evidence: "",
+    additionalContext: "",
+    estimatedTime: 3,
+  });
+  assert.strictEqual(JSON.parse(creationResponse).title, "Jira webhook retries");
+  console.log("   ✓ RAG chains run on the fake chat model");
+
+  const notesResult = await generateMeetingNotes(TRANSCRIPT, finderResult.tasksToBeCreated, [], "JD, BS");
+  assert.strictEqual(notesResult.success, true);
+  assert.ok(notesResult.meetingNotes.startsWith("## Meeting Notes"));
+  console.log("   ✓ Meeting notes run on the fake chat model");
+
+  const embeddings = getEmbeddings();
+  const [webhook, webhookAgain, onboarding] = await embeddings.embedDocuments([
+    "Add retries to the Jira webhook",
+    "Jira webhook retries",
+    "Review the onboarding document",
+  ]);
+  assert.strictEqual(webhook.length, getLLMConfig().embeddingDimensions);
+  assert.deepStrictEqual(await embeddings.embedQuery("Add retries to the Jira webhook"), webhook);
+  assert.ok(calculateCosineSimilarity(webhook, webhookAgain) > calculateCosineSimilarity(webhook, onboarding));
+  console.log("   ✓ Fake embeddings are deterministic and similar for shared words");
+
+  process.env.LLM_PROVIDER = "unknown";
+  assert.throws(() => getLLMConfig(), /Unknown LLM_PROVIDER/);
+  process.env.LLM_PROVIDER = "local";
+  delete process.env.LLM_BASE_URL;
+  assert.throws(() => getChatModel(), /LLM_BASE_URL/);
+  process.env.LLM_PROVIDER = "fake";
+  console.log("   ✓ Provider configuration is validated");
+
+  console.log("✅ LLM provider tests passed");
+}
+
+if (require.main === module) {
+  testLLMProvider().catch(error => {
+    console.error("❌ LLM provider test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testLLMProvider };
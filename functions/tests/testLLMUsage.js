@@ -0,0 +1,133 @@
+/**
+ * LLM Usage Test
+ *
+ * Checks that chat and embedding calls are recorded per stage with tokens, latency and cost,
+ * that usage totals nest, and that the cost report groups runs per day, meeting and stage.
+ * Runs offline on the fake LLM provider - no API keys, OpenAI or MongoDB needed.
+ *
+ * Usage: node tests/testLLMUsage.js
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+// Must be set before the pipeline services build their models
+process.env.LLM_PROVIDER = "fake";
+process.env.LLM_FAKE_RESPONSES = path.join(__dirname, "fixtures", "fakeLlmResponses.json");
+delete process.env.LLM_CHAT_MODEL;
+delete process.env.LLM_PRICING;
+
+const { getModelPricing } = require("../config/llmConfig");
+const { getChatModel, getEmbeddings } = require("../services/integrations/llmProvider");
+const {
+  runWithLLMUsageTracking, withLLMStage, calculateLLMCost, buildLLMCostReport,
+} = require("../services/integrations/llmUsageService");
+const { findTasksFromTranscript } = require("../services/pipeline/taskFinderService");
+const { taskRAG } = require("../services/utilities/ragService");
+
+const TRANSCRIPT = [
+  { speaker: "Jane Doe", text: "<v Jane Doe>I'll add retries to the Jira webhook today.</v>" },
+  { speaker: "Bob Smith", text: "<v Bob Smith>I can review the onboarding doc.</v>" },
+];
+
+/**
+ * Run the LLM usage checks
+ */
+async function testLLMUsage() {
+  console.log("🧪 Testing LLM usage tracking");
+
+  assert.deepStrictEqual(getModelPricing("gpt-5-nano"), { input: 0.05, output: 0.4 });
+  assert.deepStrictEqual(getModelPricing("gpt-4o-mini-2024-07-18"), getModelPricing("gpt-4o-mini"));
+  assert.strictEqual(getModelPricing("llama3"), null);
+  process.env.LLM_PRICING = JSON.stringify({ llama3: { input: 0, output: 0 } });
+  assert.deepStrictEqual(getModelPricing("llama3"), { input: 0, output: 0 });
+  delete process.env.LLM_PRICING;
+  assert.strictEqual(calculateLLMCost("gpt-5-nano", 1000000, 1000000), 0.45);
+  assert.strictEqual(calculateLLMCost("llama3", 100, 100), null);
+  console.log("   ✓ Models are priced by name, dated snapshots and LLM_PRICING overrides included");
+
+  const { result: finderResult, usage } = await runWithLLMUsageTracking(async () => {
+    const found = await findTasksFromTranscript(TRANSCRIPT);
+    await withLLMStage("task_creator", () => taskRAG.createTaskCreationChain().invoke({
+      context: "No relevant context found.",
+      taskDescription: "Add retry handling to the Jira webhook",
+      assignee: "Jane Doe",
+      taskType: "Coding",
+      evidence: "",
+      additionalContext: "",
+      estimatedTime: 3,
+    }));
+    await getEmbeddings({ stage: "task_embeddings" }).embedDocuments(["Jira webhook retries", "Onboarding doc"]);
+    return found;
+  });
+
+  assert.strictEqual(finderResult.tasksToBeCreated.length, 2);
+  assert.deepStrictEqual(Object.keys(usage.byStage).sort(), ["task_creator", "task_embeddings", "task_finder"]);
+  assert.strictEqual(usage.calls, 3);
+  assert.strictEqual(usage.byStage.task_finder.calls, 1);
+  assert.ok(usage.byStage.task_finder.promptTokens > 100);
+  assert.ok(usage.byStage.task_finder.completionTokens > 0);
+  assert.strictEqual(usage.byStage.task_embeddings.completionTokens, 0);
+  assert.strictEqual(usage.estimatedCalls, 3);
+  assert.strictEqual(usage.totalTokens, usage.promptTokens + usage.completionTokens);
+  assert.ok(usage.costUsd > 0);
+  assert.deepStrictEqual(usage.byModel.map(entry => entry.model).sort(), ["gpt-5-nano", "text-embedding-3-small"]);
+  assert.deepStrictEqual(usage.unpricedModels, []);
+  console.log("   ✓ Chat and embedding calls are recorded per stage with estimated tokens and cost");
+
+  const { usage: outerUsage } = await runWithLLMUsageTracking(async () => {
+    await getChatModel({ stage: "meeting_notes" }).invoke("Write the meeting notes generator output");
+    const { usage: innerUsage } = await runWithLLMUsageTracking(() =>
+      getChatModel({ stage: "meeting_notes" }).invoke("Write the meeting notes generator output")
+    );
+    assert.strictEqual(innerUsage.calls, 1);
+  });
+  assert.strictEqual(outerUsage.calls, 2);
+  assert.strictEqual(outerUsage.byStage.meeting_notes.calls, 2);
+  console.log("   ✓ Nested runs count calls towards every enclosing run");
+
+  const chatModel = getChatModel({ stage: "task_finder" });
+  const failure = await runWithLLMUsageTracking(() => chatModel.invoke("Unscripted prompt"))
+    .then(() => null, error => error);
+  // The fixture has no default response, so unscripted prompts fail
+  assert.ok(failure, "unscripted prompt should fail");
+  assert.strictEqual(failure.llmUsage.failedCalls, 1);
+  console.log("   ✓ Failed calls are recorded and attached to the error");
+
+  /**
+   * Build a processed-transcript record
+   * @param {string} id - Transcript and meeting number
+   * @param {string} meetingSubject - Meeting subject
+   * @param {string} processedAt - ISO timestamp
+   * @param {Object} llmUsage - Usage summary
+   * @returns {Object} Record
+   */
+  const record = (id, meetingSubject, processedAt, llmUsage) =>
+    ({ transcriptId: `t${id}`, meetingId: meetingSubject, meetingSubject, processedAt: new Date(processedAt), llmUsage });
+
+  const report = buildLLMCostReport([
+    record(1, "Daily Standup", "2026-10-01T09:30:00Z", usage),
+    record(2, "Daily Standup", "2026-10-02T09:30:00Z", usage),
+    record(3, "Planning", "2026-10-02T14:00:00Z", outerUsage),
+    record(4, "No usage", "2026-10-02T15:00:00Z", undefined),
+  ]);
+  assert.strictEqual(report.totals.transcripts, 3);
+  assert.strictEqual(report.totals.calls, usage.calls * 2 + outerUsage.calls);
+  assert.deepStrictEqual(report.byDay.map(day => [day.day, day.transcripts]), [["2026-10-01", 1], ["2026-10-02", 2]]);
+  assert.deepStrictEqual(report.byMeeting.map(meeting => meeting.meetingSubject), ["Daily Standup", "Planning"]);
+  assert.strictEqual(report.byMeeting[0].transcripts, 2);
+  assert.strictEqual(report.byStage.find(stage => stage.stage === "task_finder").calls, 2);
+  assert.ok(Math.abs(report.totals.costUsd - (usage.costUsd * 2 + outerUsage.costUsd)) < 1e-6);
+  console.log("   ✓ The cost report totals per day, meeting and stage");
+
+  console.log("✅ LLM usage tests passed");
+}
+
+if (require.main === module) {
+  testLLMUsage().catch(error => {
+    console.error("❌ LLM usage test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testLLMUsage };
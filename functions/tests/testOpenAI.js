@@ -8,9 +8,10 @@
  * - node tests/testOpenAI.js (uses most recent transcript)
  * - node tests/testOpenAI.js filename.json (uses specific file)
  * - TRANSCRIPT_FILE=filename.json node tests/testOpenAI.js (via env var)
+ * - LLM_PROVIDER=fake LLM_FAKE_RESPONSES=tests/fixtures/fakeLlmResponses.json node tests/testOpenAI.js (offline)
  */
 
-const { processTranscriptForTasks, testOpenAIConnection } = require("../services/openaiService");
+const { processTranscriptForTasks, testOpenAIConnection } = require("../services/integrations/openaiService");
 const fs = require("fs");
 const path = require("path");
 require("dotenv").config();
@@ -22,7 +23,9 @@ async function testOpenAIProcessing() {
   
   // Check environment variables
   console.log("\n1. Checking environment variables...");
-  const requiredEnvVars = ["OPENAI_API_KEY"];
+  // Only the OpenAI provider needs a key here (see config/llmConfig.js for the others)
+  const { provider } = require("../config/llmConfig").getLLMConfig();
+  const requiredEnvVars = provider === "openai" ? ["OPENAI_API_KEY"] : [];
   
   const missingVars = [];
   for (const envVar of requiredEnvVars) {
@@ -0,0 +1,69 @@
+/**
+ * Participant Directory Test
+ *
+ * Checks that transcript names and aliases resolve through the participant directory,
+ * and that the static participant mapping is used until the directory is loaded.
+ * Runs offline - the directory is filled in memory instead of from MongoDB.
+ *
+ * Usage: node tests/testParticipantDirectory.js
+ */
+
+const assert = require("assert");
+const { setParticipantDirectory } = require("../services/core/participantDirectoryService");
+const {
+  normalizeAssigneeName, getJiraAssigneeForParticipant, getAllParticipants, PARTICIPANT_TO_JIRA_MAPPING
+} = require("../config/participantMapping");
+const { buildParticipantsFromMappings } = require("../scripts/migrateParticipantsToMongo");
+
+/**
+ * Run the participant directory checks
+ */
+function testParticipantDirectory() {
+  console.log("🧪 Testing participant directory resolution");
+
+  // Before the directory is loaded: static mapping fallback
+  assert.strictEqual(normalizeAssigneeName("Fayaz"), "Faiyaz Rahman");
+  assert.strictEqual(getJiraAssigneeForParticipant("Doug"), PARTICIPANT_TO_JIRA_MAPPING["Doug Whitewolff"]);
+  console.log("   ✓ Static mapping is used until the directory is loaded");
+
+  setParticipantDirectory([
+    { name: "Faiyaz Rahman", aliases: ["Fayaz", "faiyazrahman1685"], jiraAccountId: "712020:faiyaz", active: true },
+    { name: "Priya Sen", aliases: ["Pri"], jiraAccountId: "712020:priya", active: true },
+    { name: "Old Member", aliases: ["Oldie"], jiraAccountId: "712020:old", active: false },
+  ]);
+
+  assert.strictEqual(normalizeAssigneeName("  fayaz "), "Faiyaz Rahman");
+  assert.strictEqual(normalizeAssigneeName("FaiyazRahman1685"), "Faiyaz Rahman");
+  assert.strictEqual(normalizeAssigneeName("Pri"), "Priya Sen");
+  assert.strictEqual(normalizeAssigneeName("Someone New"), "Someone New");
+  console.log("   ✓ Aliases resolve to canonical names");
+
+  assert.strictEqual(getJiraAssigneeForParticipant("Pri"), "712020:priya");
+  assert.strictEqual(getJiraAssigneeForParticipant("Fayaz"), "712020:faiyaz");
+  // Inactive participants are ignored, so the static / team map decides
+  assert.strictEqual(getJiraAssigneeForParticipant("Oldie", {}, null), null);
+  console.log("   ✓ Jira accountIds come from the directory");
+
+  assert.deepStrictEqual(getAllParticipants(), ["Faiyaz Rahman", "Priya Sen"]);
+  console.log("   ✓ Participant list comes from the directory");
+
+  const migrated = buildParticipantsFromMappings([{ "Jane Doe": "1:jane", "Jane": "1:jane", "Bob": "2:bob" }]);
+  assert.deepStrictEqual(migrated, [
+    { name: "Jane Doe", aliases: ["Jane"], jiraAccountId: "1:jane" },
+    { name: "Bob", aliases: [], jiraAccountId: "2:bob" },
+  ]);
+  console.log("   ✓ Migration groups names sharing an accountId");
+
+  console.log("✅ Participant directory tests passed");
+}
+
+if (require.main === module) {
+  try {
+    testParticipantDirectory();
+  } catch (error) {
+    console.error("❌ Participant directory test failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { testParticipantDirectory };
@@ -0,0 +1,119 @@
+/**
+ * Pipeline Evaluation Test
+ *
+ * Checks the golden-transcript scoring (matching, precision/recall, field accuracy, cancelled
+ * tasks, baseline comparison) and runs the webhook-retries golden case end to end on the fake
+ * LLM provider. Runs offline - no API keys, OpenAI or MongoDB needed.
+ *
+ * Usage: node tests/testPipelineEval.js
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+// Must be set before the pipeline services build their models
+process.env.LLM_PROVIDER = "fake";
+process.env.LLM_FAKE_RESPONSES = path.join(__dirname, "fixtures", "fakeLlmResponses.json");
+
+const {
+  loadEvalCases,
+  scoreEvalCase,
+  summarizeEvalScores,
+  calculatePrecisionRecall,
+  runPipelineEvaluation,
+  compareEvalReports,
+} = require("../services/core/pipelineEvalService");
+
+/**
+ * Build a predicted task
+ * @param {string} text - Title and description
+ * @param {Object} fields - Other fields
+ * @returns {Object} Prediction
+ */
+function predictedTask(text, fields = {}) {
+  return { label: text, text, assignee: "Jane Doe", type: "Coding", workType: "Task", ...fields };
+}
+
+/**
+ * Run the pipeline evaluation checks
+ */
+async function testPipelineEval() {
+  console.log("🧪 Testing the golden-transcript evaluation");
+
+  assert.deepStrictEqual(calculatePrecisionRecall(2, 1, 1), {
+    truePositives: 2, falsePositives: 1, falseNegatives: 1, precision: 0.6667, recall: 0.6667, f1: 0.6667,
+  });
+  assert.strictEqual(calculatePrecisionRecall(0, 0, 0).f1, 1);
+  assert.strictEqual(calculatePrecisionRecall(0, 2, 0).precision, 0);
+  console.log("   ✓ Precision, recall and F1 are computed from match counts");
+
+  const search = predictedTask("Implement the search API");
+  const dashboard = predictedTask("Dashboard tweaks", { assignee: "Bob", estimatedTime: 2 });
+  const darkMode = predictedTask("Add a Dark Mode toggle", { isFuturePlan: true });
+  const { scores, details } = scoreEvalCase({
+    tasks: [
+      { keywords: ["search"], assignee: "jane doe", type: "Coding" },
+      { keywords: ["dashboard"], assignee: "Sarah", estimatedTime: 1.5 },
+      { keywords: ["email"] },
+    ],
+    updates: [{ ticketId: "SP-25" }],
+    statusChanges: [{ ticketId: "sp 12", newStatus: "completed" }],
+    cancelledTasks: [{ keywords: ["dark mode"] }, { keywords: ["newsletter"] }],
+  }, {
+    tasks: [search, dashboard, predictedTask("Write release notes")],
+    futurePlans: [darkMode],
+    updates: [{ label: "SP-25", ticketId: "SP25", text: "" }],
+    statusChanges: [{ label: "SP-12 → Completed", ticketId: "SP-12", newStatus: "Completed" }],
+    newTasks: [search, dashboard, darkMode],
+  });
+
+  const { truePositives, falsePositives, falseNegatives } = scores.tasks;
+  assert.deepStrictEqual([truePositives, falsePositives, falseNegatives], [2, 1, 1]);
+  assert.deepStrictEqual(details.tasks, { missed: ["email"], unexpected: ["Write release notes"] });
+  assert.strictEqual(scores.futurePlans, undefined, "categories missing from expected.json are not scored");
+  assert.strictEqual(scores.updates.f1, 1);
+  assert.strictEqual(scores.statusChanges.f1, 1);
+  assert.deepStrictEqual([scores.cancelledTasks.truePositives, scores.cancelledTasks.falseNegatives], [1, 1]);
+  assert.deepStrictEqual(details.cancelledTasks.leaked, ["dark mode"]);
+  assert.deepStrictEqual(scores.assignees, { correct: 1, total: 2, accuracy: 0.5 });
+  assert.deepStrictEqual(scores.fields, { correct: 1, total: 2, accuracy: 0.5 });
+  assert.deepStrictEqual(details.fieldMismatches.map(mismatch => mismatch.field), ["assignee", "estimatedTime"]);
+  console.log("   ✓ Cases are scored per category with assignee and field accuracy");
+
+  const overall = summarizeEvalScores([{ scores }, { scores }]);
+  assert.deepStrictEqual([overall.tasks.truePositives, overall.tasks.falseNegatives], [4, 2]);
+  assert.strictEqual(overall.assignees.total, 4);
+  console.log("   ✓ Case scores are summed into overall scores");
+
+  const cases = loadEvalCases();
+  assert.ok(cases.length >= 4);
+  assert.ok(cases.every(evalCase => evalCase.transcript.length > 0 && evalCase.existingTasks.length > 0));
+  assert.throws(() => loadEvalCases(undefined, { only: "no-such-case" }), /not found/);
+  console.log("   ✓ Golden cases load with the shared existing-task snapshot");
+
+  const report = await runPipelineEvaluation({ only: "webhook-retries" });
+  assert.strictEqual(report.provider, "fake");
+  assert.deepStrictEqual(report.failedCases, []);
+  assert.strictEqual(report.overall.tasks.f1, 1);
+  assert.strictEqual(report.overall.assignees.accuracy, 1);
+  assert.strictEqual(report.overall.fields.accuracy, 1, JSON.stringify(report.cases[0].details.fieldMismatches));
+  console.log("   ✓ The webhook-retries case scores 100% on the scripted responses");
+
+  const worse = JSON.parse(JSON.stringify(report));
+  worse.overall.tasks = calculatePrecisionRecall(1, 0, 1);
+  const comparison = compareEvalReports(report, worse);
+  assert.deepStrictEqual(comparison.regressions.map(entry => entry.metric), ["recall", "f1"]);
+  assert.strictEqual(compareEvalReports(worse, report).regressions.length, 0);
+  console.log("   ✓ Score drops against a baseline report are flagged");
+
+  console.log("✅ Pipeline evaluation tests passed");
+}
+
+if (require.main === module) {
+  testPipelineEval().catch(error => {
+    console.error("❌ Pipeline evaluation test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testPipelineEval };
@@ -0,0 +1,171 @@
+/**
+ * Prompt Registry Test
+ *
+ * Checks the prompt registry (template files, rendering, version selection) and that the prompt
+ * versions used by a pipeline run are recorded on the tasks it stores and in A/B evaluation reports.
+ * Runs offline on the fake LLM provider - MongoDB is in memory and Jira/Teams HTTP calls are stubbed.
+ *
+ * Usage: node tests/testPromptRegistry.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+const path = require("path");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+// Must be set before the pipeline services build their models
+process.env.LLM_PROVIDER = "fake";
+process.env.LLM_FAKE_RESPONSES = path.join(__dirname, "fixtures", "fakeLlmResponses.json");
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+process.env.JIRA_PROJECT_KEY = "TDS";
+process.env.TEAMS_WEBHOOK_URL = "https://teams.example.test/webhook";
+delete process.env.TEAMS_CONFIG;
+delete process.env.REQUIRE_TASK_APPROVAL;
+delete process.env.PROMPT_VERSIONS;
+const mongo = installInMemoryMongo();
+
+const {
+  renderPrompt,
+  resolvePromptVersion,
+  withPromptVersions,
+  runWithPromptTracking,
+  pickPromptVersions,
+  listPrompts,
+  validatePromptRegistry,
+} = require("../services/utilities/promptRegistry");
+const { createTaskFindingPrompt } = require("../services/pipeline/taskFinderService");
+const { taskRAG } = require("../services/utilities/ragService");
+const { runPipelineEvaluation, diffEvalPredictions } = require("../services/core/pipelineEvalService");
+const { parseVariant } = require("../scripts/comparePromptVersions");
+const { processUploadedTranscript } = require("../services/core/taskProcessor");
+
+const VTT = `WEBVTT
+
+00:00:01.000 --> 00:00:06.500
+<v Jane Doe>I'll add retries to the Jira webhook today, so failed deliveries get replayed.</v>
+
+00:00:07.000 --> 00:00:15.000
+<v Bob Smith>Next I will write the release notes for the sprint before Friday.</v>
+`;
+
+/**
+ * Run a transcript through the pipeline with Jira issue creation and the Teams webhook stubbed
+ * @returns {Promise<Array<Object>>} Issue creation bodies posted to Jira
+ */
+async function runPipelineWithStubbedJira() {
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  const issues = [];
+  try {
+    axios.get = async url => (url.includes("/transitions") ?
+      { data: { transitions: [] } } :
+      { data: { issues: [], fields: { status: { name: "To Do" } } } });
+    axios.post = async (url, body) => {
+      if (url.startsWith(process.env.TEAMS_WEBHOOK_URL)) {
+        return { status: 200, statusText: "OK" };
+      }
+      issues.push(body);
+      return { data: { key: `TDS-${700 + issues.length}`, id: String(10700 + issues.length) } };
+    };
+    await processUploadedTranscript(VTT, { transcriptId: "prompt-versions-run" });
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+  return issues;
+}
+
+/**
+ * Run the prompt registry checks
+ */
+async function testPromptRegistry() {
+  console.log("🧪 Testing the prompt registry");
+
+  assert.deepStrictEqual(validatePromptRegistry(), []);
+  assert.deepStrictEqual(listPrompts().map(prompt => prompt.name),
+    ["task_finder", "task_creator", "task_decomposer", "task_updater", "meeting_notes"]);
+  console.log("   ✓ Every registered version has its template files");
+
+  const rendered = renderPrompt("task_finder", "participants", { participants: "Jane, $& Bob {{transcript}}" });
+  assert.ok(rendered.includes("Jane, $& Bob {{transcript}}"), "values are inserted as-is");
+  assert.throws(() => renderPrompt("task_finder", "user", { transcript: "x" }), /missing variable\(s\): participantsSection/);
+  assert.throws(() => renderPrompt("task_finder", "no_such_part", {}), /has no "no_such_part" part/);
+  assert.throws(() => renderPrompt("no_such_prompt", "system", {}), /Unknown prompt/);
+  console.log("   ✓ Templates render named variables and reject missing ones");
+
+  assert.strictEqual(resolvePromptVersion("task_finder"), "v1");
+  await assert.rejects(withPromptVersions({ task_finder: "v99" }, async () => null), /Unknown version "v99"/);
+  process.env.PROMPT_VERSIONS = JSON.stringify({ task_creator: "v99" });
+  assert.throws(() => resolvePromptVersion("task_creator"), /Unknown version "v99"/);
+  process.env.PROMPT_VERSIONS = "not json";
+  assert.strictEqual(resolvePromptVersion("task_creator"), "v2", "invalid PROMPT_VERSIONS is ignored");
+  delete process.env.PROMPT_VERSIONS;
+  console.log("   ✓ Versions come from overrides, PROMPT_VERSIONS or the registry");
+
+  const { result: prompt, promptVersions } = await runWithPromptTracking(async () =>
+    withPromptVersions({ task_finder: "v1" }, async () =>
+      createTaskFindingPrompt("Jane Doe: I will fix the login bug.", {}, ["Jane Doe"])
+    )
+  );
+  assert.ok(prompt.includes("Jane Doe: I will fix the login bug.") && prompt.includes("PARTICIPANTS IN THIS MEETING"));
+  assert.deepStrictEqual(promptVersions, { task_finder: "v1" });
+  assert.deepStrictEqual(pickPromptVersions({ task_finder: "v1", meeting_notes: "v1" }, ["task_finder"]),
+    { task_finder: "v1" });
+
+  const { result: created, promptVersions: chainVersions } = await runWithPromptTracking(() =>
+    taskRAG.createTaskCreationChain().invoke({
+      context: "No relevant context found.",
+      taskDescription: "Add retries to the Jira webhook",
+      assignee: "Jane Doe",
+      taskType: "Coding",
+      evidence: "",
+      additionalContext: "",
+      estimatedTime: 0,
+    })
+  );
+  assert.strictEqual(JSON.parse(created).title, "Jira webhook retries");
+  assert.deepStrictEqual(chainVersions, { task_creator: "v2" });
+  console.log("   ✓ Rendered versions are tracked, including inside pinned runs and LangChain chains");
+
+  const report = await runPipelineEvaluation({ only: "webhook-retries", promptVersions: parseVariant("task_finder=v1") });
+  assert.deepStrictEqual(report.failedCases, []);
+  // Offline there is no RAG context, so Stage 2 falls back without rendering its prompts
+  assert.strictEqual(report.promptVersions.task_finder, "v1");
+  assert.ok(report.llmUsage.calls > 0);
+  assert.ok(report.cases[0].predictions.tasks.length > 0);
+  assert.deepStrictEqual(diffEvalPredictions(report, report), []);
+
+  const changed = JSON.parse(JSON.stringify(report));
+  changed.cases[0].predictions.tasks = ["Something else"];
+  const [difference] = diffEvalPredictions(report, changed);
+  assert.deepStrictEqual([difference.category, difference.onlyInB], ["tasks", ["Something else"]]);
+  console.log("   ✓ Evaluation runs record the prompt versions and diff predictions between variants");
+
+  const issues = await runPipelineWithStubbedJira();
+  assert.ok(issues.length > 0, "the pipeline created issues");
+  const storedTasks = await mongo.collection("tasks").find({}).toArray();
+  assert.strictEqual(storedTasks.length, issues.length);
+  for (const task of storedTasks) {
+    assert.strictEqual(task.source, "pipeline");
+    assert.strictEqual(task.promptVersions.task_finder, "v1", `${task.ticketId} records the Task Finder version`);
+  }
+  console.log("   ✓ Tasks stored by a pipeline run record the prompt versions that created them");
+
+  assert.deepStrictEqual(parseVariant("active"), {});
+  assert.deepStrictEqual(parseVariant("task_finder=v2, task_creator=v3"), { task_finder: "v2", task_creator: "v3" });
+  assert.throws(() => parseVariant("task_finder"), /expected prompt=version/);
+  console.log("   ✓ A/B variants are parsed from prompt=version pins");
+
+  console.log("✅ Prompt registry tests passed");
+}
+
+if (require.main === module) {
+  testPromptRegistry().catch(error => {
+    console.error("❌ Prompt registry test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testPromptRegistry };
@@ -0,0 +1,213 @@
+/**
+ * Transcript Reprocessing Test
+ *
+ * Reconciles a replayed transcript against its task ledger: the 0.8 similarity threshold, greedy
+ * matching (each ledger task is used at most once, most similar pair first), the matched / new /
+ * removed results of a dry run and a real run, the reprocess lock (held and stale), and that
+ * replaying the transcript again after a real run creates nothing new.
+ * Runs offline - embeddings and the pipeline replay are stubbed, MongoDB is in memory and Jira calls
+ * are recorded instead of sent.
+ *
+ * Usage: node tests/testReprocess.js
+ */
+
+const assert = require("assert");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+// Must be set before the services read them
+process.env.LLM_PROVIDER = "fake";
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+process.env.JIRA_PROJECT_KEY = "TDS";
+delete process.env.REQUIRE_TASK_APPROVAL;
+delete process.env.TEAMS_CONFIG;
+const mongo = installInMemoryMongo();
+
+// Similarity between task titles; a title is always identical to itself
+const SIMILARITY = {
+  "Billing export|Billing export CSV": 0.9,
+  "Invoice PDF rendering|Invoice PDF": 0.8,
+  "Email alerts|Old cleanup": 0.79,
+};
+
+// reprocessService destructures its dependencies on load, so the stubs go in before it is required
+const embeddingService = require("../services/storage/mongoEmbeddingService");
+embeddingService.generateTaskEmbedding = async text => text.split("\n")[0];
+embeddingService.calculateCosineSimilarity = (a, b) =>
+  (a === b ? 1 : SIMILARITY[`${a}|${b}`] || SIMILARITY[`${b}|${a}`] || 0);
+
+const taskProcessor = require("../services/core/taskProcessor");
+const pipelineCalls = [];
+let changePlan = null;
+taskProcessor.processTranscriptToTasksWithPipeline = async (transcript, metadata, context, options) => {
+  pipelineCalls.push({ metadata, options });
+  return { dryRun: true, changePlan };
+};
+
+const jiraService = require("../services/integrations/jiraService");
+const jiraCalls = { created: [], updated: [] };
+jiraService.createJiraIssuesForCodingTasks = async tasksData => {
+  const [[participant, tasksByType]] = Object.entries(tasksData);
+  const [[, [task]]] = Object.entries(tasksByType);
+  const issueKey = `TDS-${13 + jiraCalls.created.length}`;
+  jiraCalls.created.push({ issueKey, participant, title: task.title });
+  return { createdIssues: [{ issueKey }], failedIssues: [] };
+};
+jiraService.updateJiraIssue = async (ticketId, updates) => {
+  jiraCalls.updated.push({ ticketId, ...updates });
+  return { descriptionUpdated: Boolean(updates.description), statusUpdated: Boolean(updates.status) };
+};
+
+const { reprocessTranscript, reconcileTasks, DEFAULT_MATCH_THRESHOLD } = require("../services/core/reprocessService");
+
+const LEDGER = [
+  { ticketId: "TDS-10", participant: "Jane Doe", type: "Coding", title: "Billing export",
+    description: "Export invoices as CSV" },
+  { ticketId: "TDS-11", participant: "Jane Doe", type: "Coding", title: "Invoice PDF",
+    description: "Render invoices as PDF" },
+  { ticketId: "TDS-12", participant: "Sam Lee", type: "Non-Coding", title: "Old cleanup",
+    description: "Remove the old export job" },
+];
+
+const PLAN = {
+  tasksToCreate: [
+    { proposedTicketId: "TDS-13", participant: "Jane Doe", type: "Coding", title: "Billing export",
+      description: "Export  invoices as csv" },
+    { proposedTicketId: "TDS-14", participant: "Jane Doe", type: "Coding", title: "Invoice PDF rendering",
+      description: "Render invoices as PDF with the company logo" },
+    { proposedTicketId: "TDS-15", participant: "Jane Doe", type: "Coding", title: "Billing export CSV",
+      description: "Add a CSV download button" },
+    { proposedTicketId: "TDS-16", participant: "Sam Lee", type: "Coding", title: "Email alerts",
+      description: "Send an email when an export fails" },
+  ],
+  taskUpdates: [
+    { ticketId: "TDS-10", proposedDescription: "Export invoices as CSV", wouldApply: true },
+    { ticketId: "SP-99", proposedDescription: "Unrelated progress", wouldApply: true },
+  ],
+  statusTransitions: [],
+};
+
+/**
+ * Summarise a reprocess result as ticket IDs / titles per bucket
+ * @param {Object} result - reprocessTranscript result
+ * @returns {Object} { updated, unchanged, created, removed }
+ */
+function summarise(result) {
+  return {
+    updated: result.updated.map(update => [update.ticketId, update.similarity]),
+    unchanged: result.unchanged.map(match => [match.ticketId, match.similarity]),
+    created: result.created.map(task => [task.title, task.ticketId]),
+    removed: result.removed.map(task => task.ticketId),
+  };
+}
+
+/**
+ * Run the reprocessing checks
+ */
+async function testReprocess() {
+  console.log("🧪 Testing transcript reprocessing");
+
+  assert.strictEqual(DEFAULT_MATCH_THRESHOLD, 0.8);
+  const tasks = titles => titles.map(title => ({ title, description: title }));
+  const boundary = await reconcileTasks(tasks(["Invoice PDF rendering", "Email alerts"]),
+    tasks(["Invoice PDF", "Old cleanup"]));
+  assert.deepStrictEqual(boundary.matched.map(match => [match.proposed.title, match.previous.title, match.similarity]),
+    [["Invoice PDF rendering", "Invoice PDF", 0.8]], "0.8 matches, 0.79 does not");
+  assert.deepStrictEqual([boundary.toCreate.map(task => task.title), boundary.removed.map(task => task.title)],
+    [["Email alerts"], ["Old cleanup"]]);
+  assert.strictEqual((await reconcileTasks(tasks(["Invoice PDF rendering"]), tasks(["Invoice PDF"]), 0.85))
+    .matched.length, 0, "a custom threshold is honoured");
+  console.log("   ✓ Tasks match at a similarity of 0.8 or more");
+
+  const greedy = await reconcileTasks(tasks(["Billing export CSV", "Billing export"]),
+    tasks(["Billing export", "Billing export CSV"]));
+  assert.deepStrictEqual(greedy.matched.map(match => [match.proposed.title, match.previous.title]),
+    [["Billing export CSV", "Billing export CSV"], ["Billing export", "Billing export"]]);
+  const contested = await reconcileTasks(tasks(["Billing export CSV", "Billing export"]), tasks(["Billing export"]));
+  assert.deepStrictEqual([contested.matched.map(match => match.proposed.title), contested.toCreate.map(t => t.title)],
+    [["Billing export"], ["Billing export CSV"]], "the most similar pair wins and each ledger task is used once");
+  console.log("   ✓ Matching is greedy and one-to-one");
+
+  const transcripts = mongo.collection("transcripts");
+  const { insertedId } = await transcripts.insertOne({
+    transcript_id: "standup-2026-10-12",
+    transcript_data: JSON.stringify([{ speaker: "Jane Doe", text: "Billing export is done" }]),
+    date: "2026-10-12",
+    created_tasks: LEDGER,
+  });
+  await transcripts.insertOne({ transcript_id: "standup-2026-01-05", transcript_data: "[]", date: "2026-01-05" });
+  changePlan = PLAN;
+
+  const dryRun = await reprocessTranscript("standup-2026-10-12", { dryRun: true });
+  assert.deepStrictEqual(pipelineCalls.map(call => call.options), [{ dryRun: true }], "the pipeline replays dry");
+  assert.deepStrictEqual(summarise(dryRun), {
+    updated: [["TDS-11", 0.8]],
+    unchanged: [["TDS-10", 1]],
+    created: [["Billing export CSV", null], ["Email alerts", null]],
+    removed: ["TDS-12"],
+  });
+  assert.deepStrictEqual(dryRun.otherTaskUpdates.map(update => update.ticketId), ["SP-99"],
+    "updates of the transcript's own tickets are left to the reconciliation");
+  assert.deepStrictEqual(jiraCalls, { created: [], updated: [] });
+  const afterDryRun = await transcripts.findOne({ _id: insertedId });
+  assert.deepStrictEqual([afterDryRun.created_tasks, afterDryRun.reprocess_locked_at], [LEDGER, undefined],
+    "a dry run neither changes the ledger nor takes the lock");
+  console.log("   ✓ A dry run reports matched, new and removed tasks without writing");
+
+  await assert.rejects(reprocessTranscript("standup-2026-01-05"), { statusCode: 409, message: /no task ledger/ });
+  await assert.rejects(reprocessTranscript("standup-2026-99-99"), { statusCode: 404 });
+
+  await transcripts.updateOne({ _id: insertedId }, { $set: { reprocess_locked_at: new Date() } });
+  await assert.rejects(reprocessTranscript("standup-2026-10-12"),
+    { statusCode: 409, message: "Transcript is already being reprocessed" });
+  await transcripts.updateOne({ _id: insertedId },
+    { $set: { reprocess_locked_at: new Date(Date.now() - 20 * 60 * 1000) } });
+  console.log("   ✓ Transcripts without a ledger or with a held lock are refused");
+
+  const run = await reprocessTranscript("standup-2026-10-12");
+  assert.deepStrictEqual(summarise(run).created, [["Billing export CSV", "TDS-13"], ["Email alerts", "TDS-14"]],
+    "a stale lock is taken over");
+  assert.deepStrictEqual([run.updated[0].applied, run.success], [true, true]);
+  assert.deepStrictEqual(jiraCalls.updated, [
+    { ticketId: "TDS-11", description: "Render invoices as PDF with the company logo" },
+  ]);
+  assert.deepStrictEqual(jiraCalls.created.map(call => [call.issueKey, call.participant, call.title]),
+    [["TDS-13", "Jane Doe", "Billing export CSV"], ["TDS-14", "Sam Lee", "Email alerts"]]);
+
+  const reconciled = await transcripts.findOne({ _id: insertedId });
+  const ledger = reconciled.created_tasks.map(entry => [entry.ticketId, entry.title, Boolean(entry.missingSince)]);
+  assert.deepStrictEqual(ledger, [
+    ["TDS-10", "Billing export", false],
+    ["TDS-11", "Invoice PDF rendering", false],
+    ["TDS-12", "Old cleanup", true],
+    ["TDS-13", "Billing export CSV", false],
+    ["TDS-14", "Email alerts", false],
+  ], "removed tasks stay flagged in the ledger and new tickets are added");
+  assert.deepStrictEqual([reconciled.reprocess_locked_at, reconciled.reprocess_count], [null, 1], "lock released");
+  assert.deepStrictEqual((await mongo.collection("tasks").find({}).toArray())
+    .map(task => [task.ticketId, task.assignee, task.runId]),
+  [["TDS-13", "Jane Doe", insertedId.toString()], ["TDS-14", "Sam Lee", insertedId.toString()]],
+  "the created tasks are stored");
+  console.log("   ✓ A real run updates, creates and records the reconciled ledger");
+
+  const replay = await reprocessTranscript("standup-2026-10-12", { dryRun: true });
+  assert.deepStrictEqual(summarise(replay), {
+    updated: [],
+    unchanged: [["TDS-10", 1], ["TDS-11", 1], ["TDS-13", 1], ["TDS-14", 1]],
+    created: [],
+    removed: ["TDS-12"],
+  }, "replaying the same transcript creates nothing new");
+  console.log("   ✓ Replaying after a real run finds every ticket it created");
+
+  console.log("✅ Reprocessing tests passed");
+}
+
+if (require.main === module) {
+  testReprocess().catch(error => {
+    console.error("❌ Reprocessing test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testReprocess };
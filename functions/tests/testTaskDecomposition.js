@@ -0,0 +1,244 @@
+/**
+ * Task Decomposition Test
+ *
+ * Checks that large new tasks ("rebuild the billing export") are split into sub-tasks by the Task Creator,
+ * attached to the most similar existing epic, have their story points and estimates rolled up, are
+ * created in Jira as a parent with sub-tasks and have that hierarchy stored on the task the pipeline stores.
+ * Runs offline - the fake LLM provider answers the decomposition prompt, the similarity search and Jira HTTP
+ * calls are stubbed and MongoDB is in memory, no API keys or Jira needed.
+ *
+ * Usage: node tests/testTaskDecomposition.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+process.env.LLM_PROVIDER = "fake";
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+process.env.JIRA_PROJECT_KEY = "TDS";
+delete process.env.TASK_DECOMPOSITION;
+delete process.env.JIRA_SUBTASK_ISSUE_TYPE;
+delete process.env.JIRA_FIELD_MAPPING;
+delete process.env.JIRA_FIELD_DISCOVERY;
+const mongo = installInMemoryMongo();
+
+const { getTaskDecompositionConfig, DEFAULT_TASK_DECOMPOSITION } = require("../config/taskDecomposition");
+const {
+  isLargeTask,
+  parseDecomposition,
+  rollUpEstimates,
+  decomposeTask,
+} = require("../services/pipeline/taskDecompositionService");
+const { createJiraSubTasks } = require("../services/integrations/jiraService");
+const { buildPipelineChangePlan, storeCreatedTaskSafely } = require("../services/core/taskProcessor");
+const {
+  storePipelineTask, recordTaskHierarchy, ACTIVE_TASK_STATUSES
+} = require("../services/storage/mongoService");
+const { setFakeResponses } = require("../services/integrations/fakeLlmProvider");
+const mongoEmbeddingService = require("../services/storage/mongoEmbeddingService");
+
+const BILLING_EXPORT = {
+  description: "Rebuild the billing export so invoices can be exported per customer",
+  assignee: "Jane Doe",
+  type: "Coding",
+  estimatedTime: 24,
+  storyPoints: 8,
+  evidence: "I'll rebuild the billing export this sprint - new data model, the API and the CSV writer.",
+};
+
+const DECOMPOSITION_RESPONSE = [
+  "DECOMPOSE: YES",
+  "SUBTASK: Billing export data model | 6 | 3 | Tables for per-customer invoice exports",
+  "SUBTASK: Billing export API | 8 | 3 | Endpoint that starts and lists exports",
+  "SUBTASK: CSV writer | 4 | 2 | Writes invoices as CSV",
+  "REASONING: Three separate deliverables",
+].join("\n");
+
+/**
+ * Stub the Jira issue creation and transition endpoints
+ * @returns {Array<Object>} Issue creation bodies posted, in order
+ */
+function stubJiraIssues() {
+  const posted = [];
+  axios.get = async url => (url.includes("/transitions") ?
+    { data: { transitions: [] } } :
+    { data: { fields: { status: { name: "To Do" } } } });
+  axios.post = async (url, body) => {
+    posted.push(body);
+    return { data: { key: `TDS-${300 + posted.length}`, id: String(10300 + posted.length) } };
+  };
+  return posted;
+}
+
+/**
+ * Run the task decomposition checks
+ */
+async function testTaskDecomposition() {
+  console.log("🧪 Testing task decomposition");
+
+  assert.deepStrictEqual(getTaskDecompositionConfig(), DEFAULT_TASK_DECOMPOSITION);
+  assert.strictEqual(getTaskDecompositionConfig().enabled, false, "off unless configured");
+  process.env.TASK_DECOMPOSITION = JSON.stringify({ enabled: true, minEstimatedHours: 24 });
+  const team = { teamId: "payments", taskDecomposition: { minStoryPoints: 13 } };
+  assert.deepStrictEqual(getTaskDecompositionConfig(team),
+    { ...DEFAULT_TASK_DECOMPOSITION, enabled: true, minEstimatedHours: 24, minStoryPoints: 13 });
+  process.env.TASK_DECOMPOSITION = JSON.stringify({ maxSubtasks: 3 });
+  assert.throws(() => getTaskDecompositionConfig(), /unknown setting "maxSubtasks"/);
+  process.env.TASK_DECOMPOSITION = JSON.stringify({ epicThreshold: 80 });
+  assert.throws(() => getTaskDecompositionConfig(), /"epicThreshold" must be a number between 0 and 1/);
+  delete process.env.TASK_DECOMPOSITION;
+  console.log("   ✓ Decomposition is configurable by env and per team");
+
+  const settings = { ...DEFAULT_TASK_DECOMPOSITION, enabled: true };
+  assert.strictEqual(isLargeTask(BILLING_EXPORT, settings), true);
+  assert.strictEqual(isLargeTask({ estimatedTime: 4, storyPoints: 8 }, settings), true, "story points alone");
+  assert.strictEqual(isLargeTask({ estimatedTime: 4, storyPoints: 3 }, settings), false);
+
+  const parsed = parseDecomposition(DECOMPOSITION_RESPONSE, 2);
+  assert.deepStrictEqual(parsed.subTasks.map(subTask => subTask.title),
+    ["Billing export data model", "Billing export API"], "at most maxSubTasks are kept");
+  assert.deepStrictEqual(parsed.subTasks[0], {
+    title: "Billing export data model",
+    description: "Tables for per-customer invoice exports",
+    estimatedTime: 6,
+    storyPoints: 3,
+  });
+  assert.strictEqual(parseDecomposition("DECOMPOSE: NO\nREASONING: One deliverable", 6).decompose, false);
+  assert.strictEqual(parseDecomposition("DECOMPOSE: YES\nSUBTASK: Only part | 4 | 2 | x", 6).decompose, false,
+    "a single sub-task is the task itself");
+
+  assert.deepStrictEqual(rollUpEstimates(BILLING_EXPORT, parseDecomposition(DECOMPOSITION_RESPONSE, 6).subTasks),
+    { estimatedTime: 18, storyPoints: 8 });
+  assert.deepStrictEqual(rollUpEstimates(BILLING_EXPORT, [{ estimatedTime: 0, storyPoints: null }]),
+    { estimatedTime: 24, storyPoints: 8 }, "sub-tasks without values keep the parent's own");
+  console.log("   ✓ Large tasks are split and their estimates rolled up");
+
+  const originalSearch = mongoEmbeddingService.findSimilarTasksInMongoDB;
+  try {
+    const searchFilters = [];
+    mongoEmbeddingService.findSimilarTasksInMongoDB = async (queryText, queryContext, topK, threshold, filter) => {
+      searchFilters.push(filter);
+      return [{ ticketId: "tds-120", title: "Billing revamp", workType: "Epic", similarity: 0.84 }];
+    };
+    setFakeResponses({ rules: [{ contains: ["SUBTASK:"], response: DECOMPOSITION_RESPONSE }] });
+
+    const context = { team: { teamId: "payments", taskDecomposition: { enabled: true } } };
+    const decomposition = await decomposeTask(BILLING_EXPORT, context);
+    assert.deepStrictEqual([decomposition.epic, decomposition.epicSimilarity], ["TDS-120", 0.84]);
+    assert.deepStrictEqual(searchFilters, [{ teamId: "payments", workType: "Epic", statuses: ACTIVE_TASK_STATUSES }],
+      "only the team's open epics are searched");
+    assert.strictEqual(decomposition.subTasks.length, 3);
+    assert.deepStrictEqual([decomposition.estimatedTime, decomposition.storyPoints], [18, 8]);
+
+    const small = await decomposeTask({ ...BILLING_EXPORT, estimatedTime: 2, storyPoints: 1 }, context);
+    const disabled = await decomposeTask(BILLING_EXPORT, {});
+    assert.deepStrictEqual([small.subTasks, small.epic, disabled.subTasks, disabled.estimatedTime],
+      [[], null, [], 24]);
+    assert.strictEqual(searchFilters.length, 1, "small tasks and disabled teams are not searched");
+
+    mongoEmbeddingService.findSimilarTasksInMongoDB = async () => {
+      throw new Error("MongoDB unavailable");
+    };
+    const failed = await decomposeTask(BILLING_EXPORT, context);
+    assert.deepStrictEqual([failed.subTasks, failed.estimatedTime], [[], 24], "failures keep a single task");
+  } finally {
+    mongoEmbeddingService.findSimilarTasksInMongoDB = originalSearch;
+    setFakeResponses(null);
+  }
+  console.log("   ✓ The Task Creator attaches large tasks to the team's closest open epic");
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  let createdSubTasks;
+  try {
+    const posted = stubJiraIssues();
+    const parent = { issueKey: "TDS-300", participant: "Jane Doe", assignee: "557058:jane", type: "Coding",
+      isFuturePlan: false, priority: "High", projectCode: null };
+    const subTasks = await createJiraSubTasks(parent, parseDecomposition(DECOMPOSITION_RESPONSE, 6).subTasks);
+    assert.deepStrictEqual(subTasks.map(subTask => [subTask.success, subTask.issueKey, subTask.parentKey]), [
+      [true, "TDS-301", "TDS-300"],
+      [true, "TDS-302", "TDS-300"],
+      [true, "TDS-303", "TDS-300"],
+    ]);
+    createdSubTasks = subTasks;
+    assert.deepStrictEqual(posted[0].fields.issuetype, { name: "Sub-task" });
+    assert.deepStrictEqual(posted[0].fields.parent, { key: "TDS-300" });
+    assert.deepStrictEqual(posted[0].fields.assignee, { accountId: "557058:jane" });
+    assert.deepStrictEqual(posted[0].fields.timetracking, { originalEstimate: "6h" });
+
+    await createJiraSubTasks(parent, [{ title: "Rollout", estimatedTime: 2 }], { subTaskIssueType: "Subtask" });
+    assert.deepStrictEqual(posted[3].fields.issuetype, { name: "Subtask" }, "team-managed projects");
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+  console.log("   ✓ Sub-tasks are created in Jira under their parent");
+
+  // Step 4 stores the parent task, then Step 4.5 records its hierarchy
+  await storePipelineTask({ participantName: "Jane Doe", type: "Coding", runId: "transcript-0",
+    task: { ticketId: "TDS-120", title: "Billing revamp", description: "Billing epic" } });
+  const rebuild = { ticketId: "TDS-300", title: "Rebuild billing export", description: BILLING_EXPORT.description,
+    estimatedTime: 18, storyPoints: 8, epic: "TDS-120" };
+  assert.strictEqual(await storeCreatedTaskSafely("Jane Doe", "Coding", rebuild,
+    { teamId: "default", runId: "transcript-1" }), true);
+  const recorded = await recordTaskHierarchy("TDS-300", {
+    epicTicketId: rebuild.epic,
+    subTasks: createdSubTasks.map(subTask => ({
+      ticketId: subTask.issueKey,
+      title: subTask.title,
+      estimatedTime: subTask.estimatedTimeHours || 0,
+      storyPoints: subTask.storyPoints || null,
+    })),
+    rollup: { estimatedTime: rebuild.estimatedTime, storyPoints: rebuild.storyPoints },
+  });
+  assert.strictEqual(recorded, true, "the parent task was stored before its hierarchy");
+  const [parentTask] = await mongo.collection("tasks").find({ ticketId: "TDS-300" }).toArray();
+  assert.strictEqual(parentTask.epicTicketId, "TDS-120");
+  assert.deepStrictEqual(parentTask.subTasks, [
+    { ticketId: "TDS-301", title: "Billing export data model", estimatedTime: 6, storyPoints: 3 },
+    { ticketId: "TDS-302", title: "Billing export API", estimatedTime: 8, storyPoints: 3 },
+    { ticketId: "TDS-303", title: "CSV writer", estimatedTime: 4, storyPoints: 2 },
+  ]);
+  assert.deepStrictEqual([parentTask.rollup.estimatedTime, parentTask.rollup.storyPoints,
+    parentTask.rollup.subTaskCount], [18, 8, 3]);
+  const [epicTask] = await mongo.collection("tasks").find({ ticketId: "TDS-120" }).toArray();
+  assert.deepStrictEqual(epicTask.childTicketIds, ["TDS-300"]);
+  assert.strictEqual(await recordTaskHierarchy("TDS-999", { epicTicketId: null, subTasks: [] }), false);
+  console.log("   ✓ The epic, sub-tasks and rollup are stored on the task");
+
+  try {
+    axios.get = async () => ({ data: { issues: [{ key: "TDS-299" }] } });
+    const plan = await buildPipelineChangePlan({
+      tasks: {
+        "Jane Doe": {
+          "Coding": [{ title: "Rebuild billing export", description: BILLING_EXPORT.description, estimatedTime: 18,
+            storyPoints: 8, epic: "TDS-120", subTasks: parseDecomposition(DECOMPOSITION_RESPONSE, 6).subTasks }],
+          "Non-Coding": [{ title: "Write rollout notes", description: "Notes for support" }],
+        },
+      },
+    }, []);
+    const [billing, notes] = plan.tasksToCreate;
+    assert.deepStrictEqual([billing.proposedTicketId, billing.epic, ...billing.subTasks.map(t => t.proposedTicketId)],
+      ["TDS-300", "TDS-120", "TDS-301", "TDS-302", "TDS-303"]);
+    assert.strictEqual(notes.proposedTicketId, "TDS-304", "sub-tasks take the keys after their parent");
+    assert.strictEqual(plan.summary.subTasksToCreate, 3);
+    assert.ok(plan.skippedWrites.includes("recordTaskHierarchy"));
+  } finally {
+    axios.get = originalGet;
+  }
+  console.log("   ✓ Dry runs list the sub-tasks with their predicted keys");
+
+  console.log("✅ Task decomposition tests passed");
+}
+
+if (require.main === module) {
+  testTaskDecomposition().catch(error => {
+    console.error("❌ Task decomposition test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTaskDecomposition };
@@ -0,0 +1,99 @@
+/**
+ * Task Query Test
+ *
+ * Checks the GET /tasks filters and pagination: the query schema rejecting repeated and bracketed
+ * parameters, comma-separated statuses, case-insensitive filters, the default team including tasks
+ * stored before teams existed, the created-at range, and limit/offset with the total match count.
+ * Runs offline - MongoDB is in memory.
+ *
+ * Usage: node tests/testTaskQuery.js
+ */
+
+const assert = require("assert");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+const mongo = installInMemoryMongo();
+
+const { findTasks } = require("../services/storage/mongoService");
+const { TaskQuerySchema } = require("../schemas/taskSchemas");
+
+const TASKS = [
+  { ticketId: "TDS-1", assignee: "Jane Doe", status: "To-do", type: "Coding", projectCode: "BILL", day: 1 },
+  { ticketId: "TDS-2", assignee: "Jane Doe", status: "In-progress", type: "Coding", projectCode: "BILL", day: 2 },
+  { ticketId: "TDS-3", assignee: "Sam Lee", status: "Completed", type: "Non-Coding", day: 3 },
+  { ticketId: "TDS-4", assignee: "Sam Lee", status: "In-progress", type: "Coding", teamId: "default", day: 4 },
+  { ticketId: "PAY-1", assignee: "Jane Doe", status: "To-do", type: "Coding", teamId: "payments", day: 5 },
+];
+
+/**
+ * Ticket IDs of a findTasks result, newest first
+ * @param {Object} result - findTasks result
+ * @returns {Array<string>} Ticket IDs
+ */
+function ticketIds(result) {
+  return result.tasks.map(task => task.ticketId);
+}
+
+/**
+ * Run the task query checks
+ */
+async function testTaskQuery() {
+  console.log("🧪 Testing task filters and pagination");
+
+  assert.deepStrictEqual(TaskQuerySchema.parse({ status: "To-do,Blocked", limit: "10", offset: "20" }),
+    { status: "To-do,Blocked", limit: "10", offset: "20" });
+  for (const query of [
+    { status: ["To-do", "Blocked"] },
+    { assignee: { x: "1" } },
+    { team: { $ne: "payments" } },
+    { offset: ["0", "10"] },
+  ]) {
+    assert.strictEqual(TaskQuerySchema.safeParse(query).success, false, JSON.stringify(query));
+  }
+  console.log("   ✓ Repeated and bracketed query parameters are rejected");
+
+  await mongo.collection("tasks").insertMany(TASKS.map(({ day, ...task }) => ({
+    ...task,
+    title: `Task ${task.ticketId}`,
+    createdAt: new Date(`2026-10-0${day}T09:00:00Z`),
+    embedding: [0.1, 0.2],
+  })));
+
+  const all = await findTasks();
+  assert.deepStrictEqual([all.total, all.limit, all.offset], [5, 100, 0]);
+  assert.deepStrictEqual(ticketIds(all), ["PAY-1", "TDS-4", "TDS-3", "TDS-2", "TDS-1"], "newest first");
+  assert.strictEqual(all.tasks[0].participantName, "Jane Doe");
+  assert.strictEqual(all.tasks[0].embedding, undefined, "embeddings are not returned");
+
+  assert.deepStrictEqual(ticketIds(await findTasks({ status: " to-do , IN-PROGRESS " })),
+    ["PAY-1", "TDS-4", "TDS-2", "TDS-1"], "comma-separated statuses, trimmed and case-insensitive");
+  assert.deepStrictEqual(ticketIds(await findTasks({ assignee: "sam lee", type: "coding" })), ["TDS-4"]);
+  assert.deepStrictEqual(ticketIds(await findTasks({ projectCode: "bill" })), ["TDS-2", "TDS-1"]);
+  console.log("   ✓ Status lists and case-insensitive filters");
+
+  assert.deepStrictEqual(ticketIds(await findTasks({ teamId: "default" })), ["TDS-4", "TDS-3", "TDS-2", "TDS-1"],
+    "the default team includes tasks without a teamId");
+  assert.deepStrictEqual(ticketIds(await findTasks({ teamId: "payments" })), ["PAY-1"]);
+  assert.deepStrictEqual(ticketIds(await findTasks({
+    from: new Date("2026-10-02T00:00:00Z"),
+    to: new Date("2026-10-04T00:00:00Z"),
+  })), ["TDS-3", "TDS-2"]);
+  console.log("   ✓ Team and created-at range filters");
+
+  const page = await findTasks({ assignee: "Jane Doe" }, { limit: 2, offset: 1 });
+  assert.deepStrictEqual([page.total, page.limit, page.offset, ticketIds(page)], [3, 2, 1, ["TDS-2", "TDS-1"]]);
+  const pastEnd = await findTasks({}, { limit: 2, offset: 10 });
+  assert.deepStrictEqual([pastEnd.total, pastEnd.tasks], [5, []]);
+  console.log("   ✓ Limit and offset page through the matches and report the total");
+
+  console.log("✅ Task query tests passed");
+}
+
+if (require.main === module) {
+  testTaskQuery().catch(error => {
+    console.error("❌ Task query test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTaskQuery };
@@ -0,0 +1,165 @@
+/**
+ * Task Statuses Test
+ *
+ * Checks the richer task states (Blocked, In Review, Won't Do): detection from transcript text, the Zod
+ * schemas, the configurable mapping to Jira workflow statuses/transitions and the reverse mapping used by
+ * the Jira sync. Runs offline - Jira HTTP calls are stubbed, no API keys, Jira or MongoDB needed.
+ *
+ * Usage: node tests/testTaskStatuses.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+
+delete process.env.JIRA_STATUS_MAPPING;
+delete process.env.TEAMS_CONFIG;
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+
+const { TASK_STATUSES, StatusChangeSchema, TaskUpdateRequestSchema, sanitizeTask } =
+  require("../schemas/taskSchemas");
+const {
+  detectStatusChanges,
+  detectExplicitStatus,
+  getStatusChangeSummary,
+} = require("../services/utilities/statusChangeDetectionService");
+const { getJiraStatusMapping, findTransitionForStatus } = require("../config/jiraStatusMapping");
+const { transitionIssueToStatus, mapJiraStatusToTaskStatus } = require("../services/integrations/jiraService");
+
+const TRANSITIONS = [
+  { id: "11", name: "To Do", to: { name: "To Do" } },
+  { id: "21", name: "Start Progress", to: { name: "In Progress" } },
+  { id: "31", name: "Flag", to: { name: "Blocked" } },
+  { id: "41", name: "Submit for Review", to: { name: "Code Review" } },
+  { id: "51", name: "Done", to: { name: "Done" }, fields: { resolution: { required: false } } },
+  { id: "61", name: "Won't Do", to: { name: "Closed" }, fields: { resolution: { required: true } } },
+];
+
+/**
+ * Stub the Jira issue and transitions endpoints
+ * @param {string} currentStatus - Status the issue is in
+ * @returns {Array<Object>} Transition requests sent to Jira ({ url, body })
+ */
+function stubJira(currentStatus) {
+  const posted = [];
+  axios.get = async url => (url.includes("/transitions") ?
+    { data: { transitions: TRANSITIONS } } :
+    { data: { fields: { status: { name: currentStatus } } } });
+  axios.post = async (url, body) => {
+    posted.push({ url, body });
+    return { status: 204 };
+  };
+  return posted;
+}
+
+/**
+ * Detect the statuses said about each ticket in a sentence
+ * @param {string} text - Transcript text
+ * @returns {Object} Ticket ID -> detected status
+ */
+function detectedStatuses(text) {
+  return Object.fromEntries(detectStatusChanges(text, "Jane Doe").map(change => [change.taskId, change.newStatus]));
+}
+
+/**
+ * Run the task status checks
+ */
+async function testTaskStatuses() {
+  console.log("🧪 Testing task statuses");
+
+  assert.deepStrictEqual(TASK_STATUSES, ["To-do", "In-progress", "In Review", "Blocked", "Completed", "Won't Do"]);
+  for (const status of ["Blocked", "In Review", "Won't Do"]) {
+    StatusChangeSchema.parse({ taskId: "TDS-204", newStatus: status, confidence: 0.9, evidence: "", speaker: "Jane" });
+    assert.strictEqual(TaskUpdateRequestSchema.parse({ status }).status, status);
+    assert.strictEqual(sanitizeTask({ description: "x", status }, "Jane").status, status);
+  }
+  assert.throws(() => TaskUpdateRequestSchema.parse({ status: "Paused" }));
+  console.log("   ✓ Schemas accept the new states");
+
+  assert.deepStrictEqual(detectedStatuses("TDS-204 is blocked on design until the mockups land."), { "TDS-204": "Blocked" });
+  assert.deepStrictEqual(detectedStatuses("TDS-7 is still on hold, and TDS-8 is waiting on the vendor."),
+    { "TDS-7": "Blocked", "TDS-8": "Blocked" });
+  assert.deepStrictEqual(detectedStatuses("TDS-9 is up for review and I opened a PR for TDS-10."),
+    { "TDS-9": "In Review", "TDS-10": "In Review" });
+  assert.deepStrictEqual(detectedStatuses("TDS-11 is waiting for review."), {}, "waiting for review is not blocked");
+  assert.deepStrictEqual(detectedStatuses("We won't do TDS-12, and TDS-13 was dropped."),
+    { "TDS-12": "Won't Do", "TDS-13": "Won't Do" });
+  assert.deepStrictEqual(detectedStatuses("I started TDS-14 but TDS-14 is blocked by the API change."),
+    { "TDS-14": "Blocked" }, "blocked wins over in progress");
+  assert.deepStrictEqual(detectedStatuses("TDS-15 is unblocked now and TDS-15 is in progress."),
+    { "TDS-15": "In-progress" });
+  assert.deepStrictEqual(detectedStatuses("TDS-16 is done."), { "TDS-16": "Completed" });
+  assert.strictEqual(detectExplicitStatus("this one is blocked on legal").status, "Blocked");
+  assert.strictEqual(detectExplicitStatus("it's ready for review").status, "In Review");
+
+  const summary = getStatusChangeSummary(detectStatusChanges("TDS-1 is blocked. TDS-2 was cancelled.", "Jane"));
+  assert.deepStrictEqual([summary.byStatus.Blocked, summary.byStatus["Won't Do"], summary.byStatus.Completed], [1, 1, 0]);
+  console.log("   ✓ Blocked, In Review and Won't Do are detected from the transcript");
+
+  const mapping = getJiraStatusMapping();
+  assert.strictEqual(findTransitionForStatus("Blocked", TRANSITIONS, mapping).id, "31", "matched by target status");
+  assert.strictEqual(findTransitionForStatus("In Review", TRANSITIONS, mapping).id, "41");
+  assert.strictEqual(findTransitionForStatus("Won't Do", TRANSITIONS, mapping).id, "61", "matched by transition name");
+  assert.strictEqual(findTransitionForStatus("Blocked", TRANSITIONS.slice(0, 2), mapping), null);
+
+  process.env.JIRA_STATUS_MAPPING = JSON.stringify({ Blocked: { statuses: ["Impeded"] } });
+  assert.deepStrictEqual(getJiraStatusMapping().Blocked.statuses, ["Impeded"]);
+  assert.deepStrictEqual(getJiraStatusMapping().Blocked.transitions, mapping.Blocked.transitions, "other fields kept");
+  const teamMapping = getJiraStatusMapping({ teamId: "payments", jiraStatusMapping: { "In Review": { statuses: ["QA"] } } });
+  assert.deepStrictEqual([teamMapping.Blocked.statuses, teamMapping["In Review"].statuses], [["Impeded"], ["QA"]]);
+  process.env.JIRA_STATUS_MAPPING = JSON.stringify({ Paused: { statuses: ["Paused"] } });
+  assert.throws(() => getJiraStatusMapping(), /unknown task status "Paused"/);
+  process.env.JIRA_STATUS_MAPPING = "not json";
+  assert.throws(() => getJiraStatusMapping(), /not valid JSON/);
+  delete process.env.JIRA_STATUS_MAPPING;
+  console.log("   ✓ The Jira mapping is configurable per status, by env and per team");
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  try {
+    let posted = stubJira("In Progress");
+    assert.strictEqual(await transitionIssueToStatus("TDS-204", "Blocked"), true);
+    assert.deepStrictEqual(posted.map(request => request.body), [{ transition: { id: "31" } }]);
+
+    posted = stubJira("In Progress");
+    assert.strictEqual(await transitionIssueToStatus("TDS-204", "Won't Do"), true);
+    assert.deepStrictEqual(posted[0].body, { transition: { id: "61" }, fields: { resolution: { name: "Won't Do" } } });
+
+    posted = stubJira("Blocked");
+    assert.strictEqual(await transitionIssueToStatus("TDS-204", "Blocked"), true, "already in the mapped status");
+    assert.strictEqual(posted.length, 0);
+
+    posted = stubJira("To Do");
+    const statusMapping = getJiraStatusMapping({ teamId: "t", jiraStatusMapping: { Blocked: { statuses: ["Impeded"],
+      transitions: ["Impede"] } } });
+    assert.strictEqual(await transitionIssueToStatus("TDS-204", "Blocked", { statusMapping }), false,
+      "no guessing when the workflow has no mapped transition");
+    assert.strictEqual(posted.length, 0);
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+  console.log("   ✓ Issues are transitioned through the mapped Jira workflow");
+
+  assert.strictEqual(mapJiraStatusToTaskStatus("Blocked", "indeterminate"), "Blocked");
+  assert.strictEqual(mapJiraStatusToTaskStatus("Code Review", "indeterminate"), "In Review");
+  assert.strictEqual(mapJiraStatusToTaskStatus("QA", "indeterminate"), "In-progress", "unmapped names use the category");
+  assert.strictEqual(mapJiraStatusToTaskStatus("Closed", "done", { resolutionName: "Won't Do" }), "Won't Do");
+  assert.strictEqual(mapJiraStatusToTaskStatus("Closed", "done", { resolutionName: "Fixed" }), "Completed");
+  assert.strictEqual(mapJiraStatusToTaskStatus("Won't Do", "done", { resolutionName: "Done" }), "Won't Do");
+  assert.strictEqual(mapJiraStatusToTaskStatus("Blocked", "indeterminate", { resolutionName: "Won't Do" }), "Blocked",
+    "resolutions only count on done issues");
+  console.log("   ✓ Jira statuses map back to task statuses");
+
+  console.log("✅ Task status tests passed");
+}
+
+if (require.main === module) {
+  testTaskStatuses().catch(error => {
+    console.error("❌ Task status test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTaskStatuses };
@@ -0,0 +1,124 @@
+/**
+ * Team Calendar Test
+ *
+ * Checks which meeting day a run processes: the cutoff hour in the team's timezone, weekends and
+ * holidays (including the Monday after a holiday), daylight saving time changes, the UTC bounds of
+ * a local day, env overrides of the default calendar and the cron expression of the daily fetch.
+ * Runs offline with fixed dates.
+ *
+ * Usage: node tests/testTeamCalendar.js
+ */
+
+const assert = require("assert");
+
+const CALENDAR_ENV_VARS = [
+  "TEAM_TIMEZONE", "TEAM_MEETING_DAYS", "TEAM_HOLIDAYS", "TEAM_CUTOFF_HOUR", "TEAM_FETCH_HOUR",
+  "TEAM_OVERDUE_CHECK_HOUR", "TEAM_SPRINT_START", "TEAM_SPRINT_LENGTH_DAYS",
+];
+CALENDAR_ENV_VARS.forEach(name => delete process.env[name]);
+
+const {
+  getTeamCalendar, resolveTargetMeetingDate, getLocalDayRange, getTimezoneOffset, getFetchSchedule,
+} = require("../config/teamCalendar");
+
+/**
+ * Resolve a run moment and keep the fields the checks look at
+ * @param {string} isoMoment - Moment of the run (UTC)
+ * @param {Object} calendar - Team calendar
+ * @returns {Array} [dateString, dayName, usedPreviousDay, shouldFetch, skipReason]
+ */
+function target(isoMoment, calendar) {
+  const result = resolveTargetMeetingDate(new Date(isoMoment), calendar);
+  return [result.dateString, result.dayName, result.usedPreviousDay, result.shouldFetch, result.skipReason];
+}
+
+/**
+ * Run the team calendar checks
+ */
+async function testTeamCalendar() {
+  console.log("🧪 Testing the team calendar");
+
+  const dhaka = getTeamCalendar();
+  assert.deepStrictEqual([dhaka.timezone, dhaka.cutoffHour, dhaka.fetchHour], ["Asia/Dhaka", 6, 2]);
+
+  // 02:00 Tuesday in Dhaka is still Monday evening in UTC
+  assert.deepStrictEqual(target("2026-10-19T20:00:00Z", dhaka), ["2026-10-19", "Monday", true, true, null]);
+  // 10:00 Monday in Dhaka, after the cutoff
+  assert.deepStrictEqual(target("2026-10-19T04:00:00Z", dhaka), ["2026-10-19", "Monday", false, true, null]);
+  // 02:00 Monday processes Sunday
+  assert.deepStrictEqual(target("2026-10-18T20:00:00Z", dhaka),
+    ["2026-10-18", "Sunday", true, false, "No standup on Sunday"]);
+  console.log("   ✓ Runs before the cutoff process the previous local day");
+
+  const withHolidays = { ...dhaka, holidays: [{ date: "2026-10-16", name: "Durga Puja" }, "2026-10-26"] };
+  assert.deepStrictEqual(target("2026-10-16T20:00:00Z", withHolidays),
+    ["2026-10-16", "Friday", true, false, "2026-10-16 is a holiday (Durga Puja)"]);
+  assert.deepStrictEqual(target("2026-10-19T20:00:00Z", withHolidays), ["2026-10-19", "Monday", true, true, null],
+    "the Monday after a holiday is fetched");
+  assert.deepStrictEqual(target("2026-10-26T20:00:00Z", withHolidays),
+    ["2026-10-26", "Monday", true, false, "2026-10-26 is a holiday"]);
+  console.log("   ✓ Holidays and weekends are skipped");
+
+  // New York leaves daylight saving time on 2026-11-01: 10:30 UTC is 06:30 before and 05:30 after
+  const newYork = { ...dhaka, teamId: "new-york", timezone: "America/New_York" };
+  assert.deepStrictEqual(target("2026-10-27T10:30:00Z", newYork), ["2026-10-27", "Tuesday", false, true, null]);
+  assert.deepStrictEqual(target("2026-11-03T10:30:00Z", newYork), ["2026-11-02", "Monday", true, true, null]);
+  assert.deepStrictEqual([getTimezoneOffset("2026-10-30", "America/New_York"),
+    getTimezoneOffset("2026-11-02", "America/New_York"), getTimezoneOffset("2026-11-02", "Asia/Dhaka")],
+  ["-04:00", "-05:00", "+06:00"]);
+  console.log("   ✓ The cutoff follows daylight saving time changes");
+
+  const isoRange = (dateString, calendar) => {
+    const { start, end } = getLocalDayRange(dateString, calendar);
+    return [start.toISOString(), end.toISOString()];
+  };
+  assert.deepStrictEqual(isoRange("2026-10-19", dhaka), ["2026-10-18T18:00:00.000Z", "2026-10-19T17:59:59.999Z"]);
+  assert.deepStrictEqual(isoRange("2026-11-01", newYork), ["2026-11-01T04:00:00.000Z", "2026-11-02T04:59:59.999Z"],
+    "the day daylight saving time ends is 25 hours long");
+  assert.deepStrictEqual(isoRange("2026-03-08", newYork), ["2026-03-08T05:00:00.000Z", "2026-03-09T03:59:59.999Z"],
+    "the day daylight saving time starts is 23 hours long");
+  console.log("   ✓ Local days map to their UTC bounds, including daylight saving days");
+
+  process.env.TEAM_TIMEZONE = "Europe/Berlin";
+  process.env.TEAM_MEETING_DAYS = "Monday, Wednesday, Friday";
+  process.env.TEAM_HOLIDAYS = "2026-12-24,2026-12-31";
+  process.env.TEAM_FETCH_HOUR = "7";
+  try {
+    const overridden = getTeamCalendar();
+    assert.deepStrictEqual([overridden.timezone, overridden.meetingDays, overridden.holidays, overridden.fetchHour],
+      ["Europe/Berlin", ["Monday", "Wednesday", "Friday"], ["2026-12-24", "2026-12-31"], 7]);
+    assert.strictEqual(getFetchSchedule(overridden), "0 7 * * 1,3,5");
+
+    process.env.TEAM_FETCH_HOUR = "24";
+    assert.throws(() => getTeamCalendar(), /TEAM_FETCH_HOUR must be an hour between 0 and 23/);
+    process.env.TEAM_FETCH_HOUR = "7";
+    process.env.TEAM_TIMEZONE = "Mars/Olympus";
+    assert.throws(() => getTeamCalendar(), /Invalid timezone for team default: Mars\/Olympus/);
+    process.env.TEAM_TIMEZONE = "Europe/Berlin";
+    process.env.TEAM_MEETING_DAYS = "Mon";
+    assert.throws(() => getTeamCalendar(), /Invalid meeting day for team default: Mon/);
+  } finally {
+    CALENDAR_ENV_VARS.forEach(name => delete process.env[name]);
+  }
+  console.log("   ✓ Env vars override the default calendar and are validated");
+
+  assert.strictEqual(getFetchSchedule(), "0 2 * * 2-6", "Tuesday to Saturday at 02:00 for Monday-Friday standups");
+  assert.strictEqual(getFetchSchedule({ ...dhaka, fetchHour: 7 }), "0 7 * * 1-5", "after the cutoff: same day");
+  assert.strictEqual(getFetchSchedule({ ...dhaka, meetingDays: ["Monday", "Wednesday", "Friday"] }), "0 2 * * 2,4,6");
+  assert.strictEqual(getFetchSchedule({ ...dhaka, meetingDays: ["Thursday", "Friday", "Saturday"] }), "0 2 * * 0,5,6",
+    "a Saturday standup is fetched on Sunday");
+  assert.strictEqual(getFetchSchedule({ ...dhaka, meetingDays: ["Sunday", "Monday", "Tuesday", "Wednesday"] }),
+    "0 2 * * 1-4");
+  console.log("   ✓ The daily fetch cron follows the meeting days");
+
+  console.log("✅ Team calendar tests passed");
+}
+
+if (require.main === module) {
+  testTeamCalendar().catch(error => {
+    console.error("❌ Team calendar test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTeamCalendar };
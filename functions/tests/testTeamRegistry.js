@@ -0,0 +1,152 @@
+/**
+ * Team Registry Test
+ *
+ * Checks how TEAMS_CONFIG becomes the team registry: the default team built from the single-team env
+ * vars, defaults merged into each extra team (participant mapping, ticket counter, calendar),
+ * validation errors, looking teams up by ID and by Jira issue key, and assigning Jira issues with
+ * each team's own participant mapping and default assignee.
+ * Runs offline.
+ *
+ * Usage: node tests/testTeamRegistry.js
+ */
+
+const assert = require("assert");
+
+// Must be set before the registry reads them
+process.env.JIRA_PROJECT_KEY = "tds";
+process.env.TARGET_USER_ID = "default-graph-user";
+process.env.TEAMS_WEBHOOK_URL = "https://teams.example.test/default";
+delete process.env.TEAMS_CONFIG;
+
+const {
+  listTeams, getTeam, getFetchableTeams, getJiraProjectKeys, getTeamForIssueKey,
+} = require("../config/teamRegistry");
+const { getTeamCalendar } = require("../config/teamCalendar");
+const {
+  PARTICIPANT_TO_JIRA_MAPPING, DEFAULT_ASSIGNEE, getJiraAssigneeForParticipant,
+} = require("../config/participantMapping");
+const { getJiraOptionsForTeam } = require("../services/integrations/jiraService");
+
+const TEAMS_CONFIG = [
+  {
+    teamId: "payments",
+    name: "Payments",
+    targetUserId: "payments-graph-user",
+    jiraProjectKey: "pay",
+    teamsWebhookUrl: "https://teams.example.test/payments",
+    participantMapping: { "Jane Doe": "712020:jane", "Azmain Morshed": "712020:azmain-payments" },
+    defaultAssignee: "712020:payments-lead",
+    ticketCounter: { prefix: "PAYSP" },
+    calendar: { timezone: "Europe/London", holidays: ["2026-12-25"] },
+  },
+  { teamId: "growth", jiraProjectKey: "GRO" },
+];
+
+/**
+ * Run a check with TEAMS_CONFIG set to a value
+ * @param {string|Array|undefined} config - TEAMS_CONFIG (arrays are JSON-encoded, undefined unsets it)
+ * @param {Function} check - Check to run
+ */
+function withTeamsConfig(config, check) {
+  if (config === undefined) {
+    delete process.env.TEAMS_CONFIG;
+  } else {
+    process.env.TEAMS_CONFIG = typeof config === "string" ? config : JSON.stringify(config);
+  }
+  try {
+    check();
+  } finally {
+    delete process.env.TEAMS_CONFIG;
+  }
+}
+
+/**
+ * Run the team registry checks
+ */
+async function testTeamRegistry() {
+  console.log("🧪 Testing the team registry");
+
+  withTeamsConfig(undefined, () => {
+    const [defaultTeam, ...others] = listTeams();
+    assert.deepStrictEqual(others, []);
+    assert.deepStrictEqual(
+      [defaultTeam.teamId, defaultTeam.jiraProjectKey, defaultTeam.targetUserId, defaultTeam.teamsWebhookUrl],
+      ["default", "TDS", "default-graph-user", "https://teams.example.test/default"]);
+    assert.strictEqual(defaultTeam.participantMapping, PARTICIPANT_TO_JIRA_MAPPING);
+    assert.deepStrictEqual(defaultTeam.ticketCounter, { counterId: "ticket_counter", prefix: "SP" });
+    assert.strictEqual(getTeam().teamId, "default");
+  });
+  console.log("   ✓ Without TEAMS_CONFIG only the default team from the env vars is registered");
+
+  withTeamsConfig(TEAMS_CONFIG, () => {
+    assert.deepStrictEqual(listTeams().map(team => team.teamId), ["default", "payments", "growth"]);
+
+    const payments = getTeam("payments");
+    assert.deepStrictEqual([payments.name, payments.jiraProjectKey, payments.participantMapping],
+      ["Payments", "PAY", { "Jane Doe": "712020:jane", "Azmain Morshed": "712020:azmain-payments" }]);
+    assert.deepStrictEqual(payments.ticketCounter, { counterId: "ticket_counter_payments", prefix: "PAYSP" });
+
+    const growth = getTeam("growth");
+    assert.deepStrictEqual(
+      [growth.name, growth.teamsWebhookUrl, growth.participantMapping, growth.defaultAssignee, growth.calendar],
+      ["growth", null, {}, null, {}], "missing fields get the registry defaults");
+    assert.deepStrictEqual(growth.ticketCounter, { counterId: "ticket_counter_growth", prefix: "SP" });
+    console.log("   ✓ Extra teams are merged with the registry defaults");
+
+    assert.deepStrictEqual(getFetchableTeams().map(team => team.teamId), ["default", "payments"]);
+    assert.deepStrictEqual(getJiraProjectKeys(), ["TDS", "PAY", "GRO"]);
+    assert.strictEqual(getTeamForIssueKey("PAY-12").teamId, "payments");
+    assert.strictEqual(getTeamForIssueKey("pay-12").teamId, "payments", "issue keys are matched case-insensitively");
+    assert.strictEqual(getTeamForIssueKey("TDS-7").teamId, "default");
+    assert.strictEqual(getTeamForIssueKey("GROW-1"), null, "the project key must match exactly");
+    assert.strictEqual(getTeamForIssueKey(null), null);
+    assert.throws(() => getTeam("marketing"), /Unknown team: marketing/);
+    console.log("   ✓ Teams are found by ID and by Jira issue key");
+
+    const paymentsCalendar = getTeamCalendar("payments");
+    assert.deepStrictEqual([paymentsCalendar.teamId, paymentsCalendar.timezone, paymentsCalendar.holidays,
+      paymentsCalendar.cutoffHour], ["payments", "Europe/London", ["2026-12-25"], getTeamCalendar().cutoffHour]);
+    assert.strictEqual(getTeamCalendar("growth").timezone, getTeamCalendar().timezone);
+    console.log("   ✓ Team calendars override the default calendar");
+
+    const paymentsOptions = getJiraOptionsForTeam(payments);
+    assert.deepStrictEqual([paymentsOptions.teamId, paymentsOptions.projectKey], ["payments", "PAY"]);
+    const assignee = (name, options) =>
+      getJiraAssigneeForParticipant(name, options.participantMapping, options.defaultAssignee);
+    assert.strictEqual(assignee("jane doe", paymentsOptions), "712020:jane");
+    assert.strictEqual(assignee("Azmain Morshed", paymentsOptions), "712020:azmain-payments",
+      "the team's mapping wins over the default team's");
+    assert.strictEqual(assignee("Doug Whitewolff", paymentsOptions), "712020:payments-lead",
+      "unmapped participants get the team's default assignee");
+    assert.strictEqual(assignee("Jane Doe", getJiraOptionsForTeam(growth)), null);
+    const defaultOptions = getJiraOptionsForTeam(getTeam());
+    assert.strictEqual(assignee("Azmain Morshed", defaultOptions), PARTICIPANT_TO_JIRA_MAPPING["Azmain Morshed"]);
+    assert.strictEqual(assignee("Jane Doe", defaultOptions), DEFAULT_ASSIGNEE);
+    console.log("   ✓ Jira issues are assigned with each team's participant mapping");
+  });
+
+  const invalidConfigs = [
+    ["{not json", /TEAMS_CONFIG is not valid JSON/],
+    [{ teamId: "payments" }, /TEAMS_CONFIG must be a JSON array of team objects/],
+    [[{ teamId: "pay ments", jiraProjectKey: "PAY" }], /Invalid teamId "pay ments"/],
+    [[{ teamId: "payments" }], /Team payments needs a valid jiraProjectKey/],
+    [[{ teamId: "payments", jiraProjectKey: "PAY", participantMapping: null }],
+      /Team payments participantMapping must be an object/],
+    [[{ teamId: "default", jiraProjectKey: "PAY" }], /Duplicate teamId in team registry: default/],
+  ];
+  for (const [config, expectedError] of invalidConfigs) {
+    withTeamsConfig(config, () => assert.throws(() => listTeams(), expectedError));
+  }
+  console.log("   ✓ Invalid TEAMS_CONFIG values are rejected");
+
+  console.log("✅ Team registry tests passed");
+}
+
+if (require.main === module) {
+  testTeamRegistry().catch(error => {
+    console.error("❌ Team registry test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTeamRegistry };
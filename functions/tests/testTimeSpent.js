@@ -0,0 +1,162 @@
+/**
+ * Time Spent Test
+ *
+ * Checks that time spent statements ("I spent three hours on TDS-210 yesterday") are told apart from
+ * estimates, parsed into hours, logged once as Jira worklogs on behalf of the speaker and summarized
+ * against the task's estimate. Runs offline - Jira HTTP calls are stubbed, no API keys, Jira or MongoDB needed.
+ *
+ * Usage: node tests/testTimeSpent.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+
+const {
+  parseSpokenDuration,
+  detectTimeSpent,
+  detectTimeSpentFromTranscript,
+  getTimeSpentKey,
+  getTimeSpentStarted,
+  summarizeTimeSpent,
+} = require("../services/utilities/timeSpentService");
+const { addJiraTimeSpentWorklog } = require("../services/integrations/jiraService");
+
+const METADATA = { transcriptId: "tr-1019", meetingSubject: "Daily Standup", meetingStartTime: "2026-10-19T09:30:00Z" };
+
+/**
+ * Detect the hours said about each ticket in a sentence
+ * @param {string} text - Transcript text
+ * @returns {Object} Ticket ID -> hours
+ */
+function detectedHours(text) {
+  return Object.fromEntries(detectTimeSpent(text, "Jane Doe").map(entry => [entry.taskId, entry.hours]));
+}
+
+/**
+ * Stub the Jira worklog endpoints with an in-memory worklog list
+ * @param {Array<Object>} worklogs - Worklogs already on the issue
+ * @returns {Array<Object>} Worklogs posted ({ url, body })
+ */
+function stubJiraWorklogs(worklogs) {
+  const posted = [];
+  axios.get = async () => ({ data: { startAt: 0, total: worklogs.length, worklogs } });
+  axios.post = async (url, body) => {
+    posted.push({ url, body });
+    worklogs.push({ id: String(worklogs.length + 1), comment: body.comment });
+    return { data: { id: String(worklogs.length) } };
+  };
+  return posted;
+}
+
+/**
+ * Run the time spent checks
+ */
+async function testTimeSpent() {
+  console.log("🧪 Testing time spent detection and worklogs");
+
+  assert.strictEqual(parseSpokenDuration("three hours"), 3);
+  assert.strictEqual(parseSpokenDuration("an hour and a half"), 1.5);
+  assert.strictEqual(parseSpokenDuration("two and a half hours"), 2.5);
+  assert.strictEqual(parseSpokenDuration("half an hour"), 0.5);
+  assert.strictEqual(parseSpokenDuration("a couple of hours"), 2);
+  assert.strictEqual(parseSpokenDuration("1h 30m"), 1.5);
+  assert.strictEqual(parseSpokenDuration("2 hours and 15 minutes"), 2.25);
+  assert.strictEqual(parseSpokenDuration("the afternoon"), 0);
+  console.log("   ✓ Spoken durations are parsed into hours");
+
+  assert.deepStrictEqual(detectedHours("I spent three hours on TDS-210 yesterday."), { "TDS-210": 3 });
+  assert.deepStrictEqual(detectedHours("TDS-211 took me 90 minutes and I worked on TDS-212 for an hour and a half."),
+    { "TDS-211": 1.5, "TDS-212": 1.5 });
+  assert.deepStrictEqual(detectedHours("Logged 45 minutes against TDS-213."), { "TDS-213": 0.75 });
+  assert.deepStrictEqual(detectedHours("TDS-214 will take 3 hours and I'll spend two hours on TDS-215."), {},
+    "estimates are not time spent");
+  assert.deepStrictEqual(detectedHours("I'm going to put in 2 hours on TDS-216."), {});
+  assert.deepStrictEqual(detectedHours("I spent 3 hours on it 2 days ago."), {}, "no ticket, no worklog");
+  assert.deepStrictEqual(detectedHours("I spent 30 hours on TDS-217."), {}, "more than a day is not logged");
+
+  const [yesterday] = detectTimeSpent("Yesterday I spent three hours on TDS-210. Today more of the same.", "Jane Doe");
+  assert.deepStrictEqual([yesterday.dayOffset, yesterday.evidence],
+    [-1, "Yesterday I spent three hours on TDS-210."]);
+
+  const [fromTranscript] = detectTimeSpentFromTranscript([
+    { text: "<v Sam Lee>Morning everyone.</v>", startTime: "00:00:01.000", endTime: "00:00:02.000" },
+    { text: "<v Jane Doe>I spent two hours on TDS-210.</v>", startTime: "00:00:03.000", endTime: "00:00:06.000" },
+  ]);
+  assert.deepStrictEqual([fromTranscript.speaker, fromTranscript.entryIndex, fromTranscript.sourceRanges[0].firstEntry],
+    ["Jane Doe", 1, 1]);
+  console.log("   ✓ Time spent is told apart from estimates and placed in the transcript");
+
+  assert.strictEqual(getTimeSpentKey(fromTranscript, METADATA), "tr-1019/1/TDS-210");
+  assert.match(getTimeSpentKey(fromTranscript, {}), /^evidence-[0-9a-f]{16}$/);
+  assert.strictEqual(getTimeSpentStarted(yesterday, METADATA).toISOString(), "2026-10-18T09:30:00.000Z");
+  assert.strictEqual(getTimeSpentStarted(fromTranscript, METADATA).toISOString(), "2026-10-19T09:30:00.000Z");
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  try {
+    const worklogs = [{ id: "1", comment: "Pairing with Sam" }];
+    const posted = stubJiraWorklogs(worklogs);
+    const jiraOptions = { participantMapping: { "Jane Doe": "557058:jane" } };
+
+    const spoken = { ...yesterday, entryIndex: 4 };
+    const first = await addJiraTimeSpentWorklog("TDS-210", spoken, METADATA, jiraOptions);
+    assert.deepStrictEqual([first.success, first.added, first.accountId], [true, true, "557058:jane"]);
+    assert.strictEqual(posted[0].url,
+      "https://jira.example.test/rest/api/2/issue/TDS-210/worklog?adjustEstimate=auto&notifyUsers=false");
+    assert.deepStrictEqual(posted[0].body, {
+      timeSpentSeconds: 10800,
+      started: "2026-10-18T09:30:00.000+0000",
+      comment: "[~accountid:557058:jane] in Daily Standup: \"Yesterday I spent three hours on TDS-210.\"\n" +
+        "{color:#97a0af}standup-worklog tr-1019/4/TDS-210{color}",
+    });
+
+    const again = await addJiraTimeSpentWorklog("TDS-210", spoken, METADATA, jiraOptions);
+    assert.deepStrictEqual([again.added, again.skipped], [false, true]);
+    assert.strictEqual(posted.length, 1, "reprocessing the transcript doesn't log the time twice");
+
+    const unmapped = await addJiraTimeSpentWorklog("TDS-210", { ...fromTranscript, speaker: "Guest" }, METADATA, {
+      participantMapping: {},
+    });
+    assert.strictEqual(unmapped.accountId, null, "unmapped speakers are named, not given the default assignee");
+    assert.ok(posted[1].body.comment.startsWith("Guest in Daily Standup:"));
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+  console.log("   ✓ Worklogs are logged once, for the speaker's Jira account");
+
+  const report = summarizeTimeSpent([
+    {
+      ticketId: "TDS-210", title: "Webhook retries", participantName: "Jane Doe", status: "In-progress",
+      estimatedTime: 4, timeSpentEntries: [
+        { hours: 3, started: "2026-10-18T09:30:00Z" },
+        { hours: 2.5, started: "2026-10-19T09:30:00Z" },
+      ],
+    },
+    {
+      ticketId: "TDS-211", participantName: "Jane Doe", status: "Completed", estimatedTime: 2,
+      timeSpentEntries: [{ hours: 1, started: "2026-10-10T09:30:00Z" }],
+    },
+  ], { from: "2026-10-15T00:00:00Z" });
+  assert.deepStrictEqual(report.tasks.map(task => [task.ticketId, task.timeSpent, task.variance]),
+    [["TDS-210", 5.5, 1.5]], "entries before from are left out");
+  assert.deepStrictEqual(report.byAssignee,
+    [{ assignee: "Jane Doe", tasks: 1, estimatedTime: 4, timeSpent: 5.5, variance: 1.5 }]);
+  assert.deepStrictEqual(report.totals, { tasks: 1, estimatedTime: 4, timeSpent: 5.5, variance: 1.5 });
+  console.log("   ✓ Actual time is reported against the estimate");
+
+  console.log("✅ Time spent tests passed");
+}
+
+if (require.main === module) {
+  testTimeSpent().catch(error => {
+    console.error("❌ Time spent test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTimeSpent };
@@ -0,0 +1,202 @@
+/**
+ * Transcript Chunking Test
+ *
+ * Checks that long transcripts are split into overlapping, speaker-aware windows, that tasks found
+ * in several windows are merged, and that the Task Finder runs window by window on the fake LLM
+ * provider. Runs offline - no API keys, OpenAI or MongoDB needed.
+ *
+ * Usage: node tests/testTranscriptChunking.js
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+// Must be set before the pipeline services build their models
+process.env.LLM_PROVIDER = "fake";
+process.env.LLM_FAKE_RESPONSES = path.join(__dirname, "fixtures", "fakeLlmResponses.json");
+
+const {
+  chunkTranscript,
+  mapWithConcurrency,
+  mergeChunkResults,
+  getEntryTimes,
+} = require("../services/pipeline/transcriptChunker");
+const { findTasksFromTranscript } = require("../services/pipeline/taskFinderService");
+const { setFakeResponses } = require("../services/integrations/fakeLlmProvider");
+
+const SPEAKERS = ["Jane Doe", "Bob Smith", "Alice Wong"];
+
+/**
+ * Format seconds as a VTT timestamp
+ * @param {number} seconds - Seconds from the start of the meeting
+ * @returns {string} hh:mm:ss.000
+ */
+function toTimestamp(seconds) {
+  const pad = value => String(value).padStart(2, "0");
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}.000`;
+}
+
+/**
+ * Build a long transcript where each speaker talks for a few entries in a row
+ * @param {number} entryCount - Number of entries
+ * @returns {Array<Object>} Transcript entries
+ */
+function buildTranscript(entryCount) {
+  return Array.from({ length: entryCount }, (_, index) => ({
+    speaker: toTimestamp(index * 10),
+    text: `<v ${SPEAKERS[Math.floor(index / 3) % SPEAKERS.length]}>Status item ${index}: ` +
+      "the sprint work is moving along and there is nothing blocking progress right now.</v>",
+    startTime: toTimestamp(index * 10),
+    endTime: toTimestamp(index * 10 + 8),
+  }));
+}
+
+/**
+ * Build a task as parsed from a Task Finder response
+ * @param {Object} fields - Task fields
+ * @returns {Object} Found task
+ */
+function foundTask(fields) {
+  return { assignee: "Jane Doe", category: "NEW_TASK", ticketId: "NONE", evidence: "", estimatedTime: 0, ...fields };
+}
+
+/**
+ * Run the transcript chunking checks
+ */
+async function testTranscriptChunking() {
+  console.log("🧪 Testing transcript chunking");
+
+  const transcript = buildTranscript(60);
+  assert.strictEqual(chunkTranscript(transcript.slice(0, 5), { maxChars: 12000 }).length, 1);
+  assert.strictEqual(chunkTranscript(transcript, { maxChars: 0 }).length, 1, "0 turns chunking off");
+
+  const windows = chunkTranscript(transcript, { maxChars: 1500, overlapChars: 300 });
+  assert.ok(windows.length > 3);
+  assert.strictEqual(windows[0].firstEntry, 0);
+  assert.strictEqual(windows[windows.length - 1].lastEntry, transcript.length - 1);
+  windows.forEach((window, index) => {
+    assert.strictEqual(window.index, index);
+    assert.ok(window.chars <= 1500, `window ${index} is ${window.chars} characters`);
+    assert.deepStrictEqual(window.entries, transcript.slice(window.firstEntry, window.lastEntry + 1));
+    assert.strictEqual(window.startTime, transcript[window.firstEntry].startTime);
+    assert.strictEqual(window.endTime, transcript[window.lastEntry].endTime);
+    if (index > 0) {
+      assert.ok(window.firstEntry <= windows[index - 1].lastEntry, "windows overlap");
+      assert.ok(window.firstEntry > windows[index - 1].firstEntry, "windows move forward");
+      assert.strictEqual(window.firstEntry % 3, 0, "windows start at a speaker's turn");
+    }
+  });
+  console.log("   ✓ Long transcripts split into overlapping windows at speaker turns");
+
+  assert.deepStrictEqual(getEntryTimes({ speaker: "00:01:02.000", startTime: "-->", text: "" }),
+    { startTime: "00:01:02.000", endTime: "00:01:02.000" });
+  assert.deepStrictEqual(getEntryTimes({ speaker: "Jane Doe", text: "" }), { startTime: null, endTime: null });
+  console.log("   ✓ Entry times come from startTime/endTime or the VTT timestamp");
+
+  const first = { index: 0, startTime: "00:00:00.000", endTime: "00:05:00.000", firstEntry: 0, lastEntry: 30 };
+  const second = { index: 1, startTime: "00:04:00.000", endTime: "00:09:00.000", firstEntry: 24, lastEntry: 54 };
+  const { foundTasks, attendees, duplicatesMerged } = mergeChunkResults([
+    {
+      window: first,
+      attendees: "JD, BS",
+      foundTasks: [
+        foundTask({ description: "Add retry handling to the Jira webhook", evidence: "I'll add retries to the Jira webhook" }),
+        foundTask({ description: "Update the ticket", category: "UPDATE_TASK", ticketId: "TDS-12", evidence: "TDS 12" }),
+        foundTask({ description: "Write the release notes for the sprint", assignee: "Bob Smith" }),
+      ],
+    },
+    {
+      window: second,
+      attendees: "BS, AW",
+      foundTasks: [
+        foundTask({
+          description: "Add retry handling to the Jira webhook so failed deliveries are replayed",
+          evidence: "I'll add retries to the Jira webhook today",
+          estimatedTime: 3,
+        }),
+        foundTask({ description: "More on the ticket", category: "UPDATE_TASK", ticketId: "tds12" }),
+        foundTask({ description: "Write the release notes for the sprint", assignee: "Alice Wong" }),
+        foundTask({ description: "Write release notes for this sprint", assignee: "Bob Smith", priority: "High" }),
+      ],
+    },
+  ]);
+
+  assert.strictEqual(duplicatesMerged, 3);
+  assert.deepStrictEqual(foundTasks.map(task => task.assignee), ["Jane Doe", "Jane Doe", "Bob Smith", "Alice Wong"]);
+  const [webhook, update, releaseNotes] = foundTasks;
+  assert.strictEqual(webhook.description, "Add retry handling to the Jira webhook so failed deliveries are replayed");
+  assert.strictEqual(webhook.evidence, "I'll add retries to the Jira webhook today");
+  assert.strictEqual(webhook.estimatedTime, 3);
+  assert.deepStrictEqual(webhook.chunkIndexes, [0, 1]);
+  assert.deepStrictEqual(webhook.sourceWindow,
+    { startTime: "00:00:00.000", endTime: "00:09:00.000", firstEntry: 0, lastEntry: 54 });
+  assert.strictEqual(update.evidence, "TDS 12");
+  assert.strictEqual(releaseNotes.priority, "High");
+  assert.strictEqual(attendees, "JD, BS, AW");
+  console.log("   ✓ Tasks found in several windows are merged; other assignees stay separate");
+
+  let running = 0;
+  let maxRunning = 0;
+  const doubled = await mapWithConcurrency([1, 2, 3, 4, 5], 2, async value => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    running--;
+    return value * 2;
+  });
+  assert.deepStrictEqual(doubled, [2, 4, 6, 8, 10]);
+  assert.strictEqual(maxRunning, 2);
+  console.log("   ✓ Windows run in parallel up to the concurrency limit");
+
+  // One window mentions the webhook task, the other the onboarding task; both see the overlap task
+  const meeting = buildTranscript(24);
+  meeting[2].text = "<v Jane Doe>I'll add retries to the Jira webhook today, about 3 hours.</v>";
+  meeting[12].text = "<v Alice Wong>New task for Alice: set up the staging database before the demo.</v>";
+  meeting[21].text = "<v Bob Smith>I can review the onboarding doc before the new hires start next week.</v>";
+  const taskBlock = (task, assignee, evidence) =>
+    `TASK: ${task}\n  ASSIGNEE: ${assignee}\n  TYPE: Coding\n  CATEGORY: NEW_TASK\n  TICKET_ID: NONE\n  EVIDENCE: ${evidence}`;
+  const staging = taskBlock("Set up the staging database before the demo", "Alice Wong",
+    "New task for Alice: set up the staging database before the demo");
+  setFakeResponses({
+    rules: [
+      {
+        contains: ["part 1 of 2"],
+        response: `${taskBlock("Add retry handling to the Jira webhook", "Jane Doe",
+          "I'll add retries to the Jira webhook today")}\n\n${staging}\n\nMEETING ATTENDEES: JD, BS, AW`,
+      },
+      {
+        contains: ["part 2 of 2"],
+        response: `${staging}\n\n${taskBlock("Review the onboarding document for new hires", "Bob Smith",
+          "I can review the onboarding doc before the new hires start next week")}\n\nMEETING ATTENDEES: AW, BS`,
+      },
+    ],
+  });
+
+  process.env.TASK_FINDER_CHUNK_CHARS = "2000";
+  process.env.TASK_FINDER_CHUNK_OVERLAP = "600";
+  try {
+    const result = await findTasksFromTranscript(meeting);
+    assert.strictEqual(result.metadata.windows, 2);
+    assert.strictEqual(result.metadata.duplicatesMerged, 1);
+    assert.deepStrictEqual(result.tasksToBeCreated.map(task => task.assignee), ["Jane Doe", "Alice Wong", "Bob Smith"]);
+    assert.strictEqual(result.tasksToBeCreated[0].sourceWindow.startTime, "00:00:00.000");
+    assert.strictEqual(result.tasksToBeCreated[2].sourceWindow.endTime, meeting[23].endTime);
+    assert.strictEqual(result.attendees, "JD, BS, AW");
+  } finally {
+    delete process.env.TASK_FINDER_CHUNK_CHARS;
+    delete process.env.TASK_FINDER_CHUNK_OVERLAP;
+    setFakeResponses(null);
+  }
+  console.log("   ✓ The Task Finder processes each window and merges the results");
+
+  console.log("✅ Transcript chunking tests passed");
+}
+
+if (require.main === module) {
+  testTranscriptChunking().catch(error => {
+    console.error("❌ Transcript chunking test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTranscriptChunking };
@@ -0,0 +1,195 @@
+/**
+ * Transcript Sources Test
+ *
+ * Checks that VTT entries keep their start/end times, that task evidence is traced back to the
+ * transcript entries it was quoted from, and that those ranges end up in the Jira "Source" section,
+ * the Teams summary and signed deep links. Runs offline on the fake LLM provider - no API keys,
+ * OpenAI, Jira or MongoDB needed.
+ *
+ * Usage: node tests/testTranscriptSources.js
+ */
+
+const assert = require("assert");
+const path = require("path");
+
+// Must be set before the pipeline services build their models
+process.env.LLM_PROVIDER = "fake";
+process.env.LLM_FAKE_RESPONSES = path.join(__dirname, "fixtures", "fakeLlmResponses.json");
+delete process.env.TRANSCRIPT_LINK_BASE_URL;
+delete process.env.TRANSCRIPT_LINK_SECRET;
+
+const {
+  locateEvidence,
+  locateTaskSources,
+  buildTaskSource,
+  formatTranscriptTime,
+  buildTranscriptLink,
+  verifyTranscriptLink,
+  getLinkedEntries,
+  appendJiraSourceSection,
+  formatTeamsSourceTimes,
+} = require("../services/utilities/transcriptSourceService");
+const { parseVttToJson } = require("../services/integrations/allMeetingsService");
+const { detectStatusChangesFromTranscript } = require("../services/utilities/statusChangeDetectionService");
+const { processTranscriptForTasksWithPipeline } = require("../services/integrations/openaiService");
+const { setFakeResponses } = require("../services/integrations/fakeLlmProvider");
+
+const VTT = `WEBVTT
+
+00:00:01.000 --> 00:00:06.500
+<v Jane Doe>Morning everyone, quick standup today.</v>
+
+00:00:07.000 --> 00:00:15.000
+<v Jane Doe>I'll add retries to the Jira webhook today,</v>
+
+00:00:15.200 --> 00:00:21.000
+<v Jane Doe>so failed deliveries get replayed automatically.</v>
+
+00:01:02.000 --> 00:01:09.000
+<v Bob Smith>TDS-12 is complete, the login bug is fixed.</v>
+
+00:01:10.000 --> 00:01:30.000
+<v Bob Smith>Next I will write the release notes for the sprint before Friday.</v>
+`;
+
+/**
+ * Run the transcript source checks
+ */
+async function testTranscriptSources() {
+  console.log("🧪 Testing transcript sources");
+
+  const transcript = parseVttToJson(VTT);
+  assert.strictEqual(transcript.length, 5);
+  assert.deepStrictEqual(transcript[1], {
+    speaker: "00:00:07.000",
+    startTime: "00:00:07.000",
+    endTime: "00:00:15.000",
+    text: "<v Jane Doe>I'll add retries to the Jira webhook today,</v>",
+  });
+  console.log("   ✓ VTT entries keep their start and end times");
+
+  const [spanning] = locateEvidence("I'll add retries to the Jira webhook today, so failed deliveries get replayed",
+    transcript);
+  assert.deepStrictEqual(spanning, {
+    firstEntry: 1, lastEntry: 2, startTime: "00:00:07.000", endTime: "00:00:21.000", speaker: "Jane Doe",
+  });
+  const paraphrased = locateEvidence("Bob will write release notes for the sprint", transcript);
+  assert.deepStrictEqual(paraphrased.map(range => [range.firstEntry, range.lastEntry]), [[4, 4]]);
+  const quotes = locateEvidence("add retries to the Jira webhook / the login bug is fixed", transcript);
+  assert.deepStrictEqual(quotes.map(range => [range.firstEntry, range.lastEntry]), [[1, 1], [3, 3]]);
+  assert.deepStrictEqual(locateEvidence("nothing like this was said at all", transcript), []);
+  assert.deepStrictEqual(locateEvidence("ok", transcript), [], "short evidence is too generic to place");
+
+  const windowed = locateTaskSources({
+    evidence: "the login bug is fixed",
+    sourceWindow: { firstEntry: 0, lastEntry: 2 },
+  }, transcript);
+  assert.deepStrictEqual(windowed.map(range => range.firstEntry), [3], "falls back to the whole transcript");
+  console.log("   ✓ Evidence is traced to the entries it was quoted from");
+
+  const [statusChange] = detectStatusChangesFromTranscript(transcript);
+  assert.strictEqual(statusChange.taskId, "TDS-12");
+  assert.deepStrictEqual(statusChange.sourceRanges, [{
+    firstEntry: 3, lastEntry: 3, startTime: "00:01:02.000", endTime: "00:01:09.000", speaker: "Bob Smith",
+  }]);
+  console.log("   ✓ Status changes keep the entry they were said in");
+
+  assert.strictEqual(formatTranscriptTime("00:01:02.000"), "01:02");
+  assert.strictEqual(formatTranscriptTime("01:02:03.500"), "1:02:03");
+  assert.strictEqual(formatTranscriptTime(null), "?");
+  assert.strictEqual(buildTaskSource("created", {}, []), null);
+
+  const created = buildTaskSource("created",
+    { transcriptId: "tr-1", meetingSubject: "Daily Standup", targetDate: "2026-10-19T04:00:00.000Z" }, [spanning]);
+  const description = appendJiraSourceSection("Add retries to the webhook.", created);
+  assert.strictEqual(description,
+    "Add retries to the webhook.\n\nh4. Source\n* Created - Daily Standup (2026-10-19): 00:07-00:21 Jane Doe");
+  assert.strictEqual(appendJiraSourceSection(description, created), description, "a source is listed once");
+
+  const updated = buildTaskSource("updated",
+    { transcriptId: "tr-2", meetingStartTime: "2026-10-20T04:00:00.000Z" }, paraphrased);
+  const updatedDescription = appendJiraSourceSection("Add retries to the webhook, now with backoff.\n\n" +
+    description.slice(description.indexOf("h4. Source")), updated);
+  assert.ok(updatedDescription.startsWith("Add retries to the webhook, now with backoff.\n\nh4. Source\n"));
+  assert.deepStrictEqual(updatedDescription.split("h4. Source\n")[1].split("\n"), [
+    "* Created - Daily Standup (2026-10-19): 00:07-00:21 Jane Doe",
+    "* Updated - Meeting (2026-10-20): 01:10-01:30 Bob Smith",
+  ]);
+  assert.strictEqual(appendJiraSourceSection("Unchanged", null), "Unchanged");
+  assert.strictEqual(formatTeamsSourceTimes(quotes), "🕒 00:07-00:15, 01:02-01:09");
+  assert.strictEqual(formatTeamsSourceTimes([]), "");
+  console.log("   ✓ Sources are formatted for the Jira description and the Teams summary");
+
+  assert.strictEqual(buildTranscriptLink("tr-1", spanning), null, "links need TRANSCRIPT_LINK_BASE_URL");
+  process.env.TRANSCRIPT_LINK_BASE_URL = "https://example.test/api/";
+  process.env.TRANSCRIPT_LINK_SECRET = "test-secret";
+  try {
+    const builtAt = Date.parse("2026-10-19T09:00:00Z");
+    const link = new URL(buildTranscriptLink("tr 1", spanning, builtAt));
+    assert.strictEqual(link.pathname, "/api/transcript-sources/tr%201");
+    const [from, to, sig] = ["from", "to", "sig"].map(name => link.searchParams.get(name));
+    const exp = Number(link.searchParams.get("exp"));
+    assert.deepStrictEqual([from, to], ["1", "2"]);
+    assert.strictEqual(exp, Date.parse("2027-01-17T09:00:00Z") / 1000, "links expire after 90 days by default");
+    const now = builtAt + 60 * 1000;
+    assert.ok(verifyTranscriptLink("tr 1", 1, 2, exp, sig, now));
+    assert.ok(!verifyTranscriptLink("tr 1", 0, 2, exp, sig, now), "the range is signed");
+    assert.ok(!verifyTranscriptLink("tr 2", 1, 2, exp, sig, now), "the transcript is signed");
+    assert.ok(!verifyTranscriptLink("tr 1", 1, 2, exp + 86400, sig, now), "the expiry is signed");
+    assert.ok(!verifyTranscriptLink("tr 1", 1, 2, NaN, sig, now), "links without an expiry are rejected");
+    assert.ok(!verifyTranscriptLink("tr 1", 1, 2, exp, sig, exp * 1000), "expired links are rejected");
+    assert.ok(!verifyTranscriptLink("tr 1", 1, 2, exp, "not-a-signature", now));
+
+    process.env.TRANSCRIPT_LINK_MAX_AGE_DAYS = "7";
+    const weekLink = new URL(buildTranscriptLink("tr 1", spanning, builtAt));
+    assert.strictEqual(Number(weekLink.searchParams.get("exp")), builtAt / 1000 + 7 * 24 * 60 * 60);
+    process.env.TRANSCRIPT_LINK_MAX_AGE_DAYS = "forever";
+    assert.strictEqual(Number(new URL(buildTranscriptLink("tr 1", spanning, builtAt)).searchParams.get("exp")), exp,
+      "an invalid max age falls back to the default");
+    assert.ok(appendJiraSourceSection("", created).includes("[00:07-00:21 Jane Doe|https://example.test/api/"));
+    assert.ok(formatTeamsSourceTimes([spanning], "tr-1").startsWith("🕒 [00:07-00:21](https://"));
+  } finally {
+    delete process.env.TRANSCRIPT_LINK_BASE_URL;
+    delete process.env.TRANSCRIPT_LINK_SECRET;
+    delete process.env.TRANSCRIPT_LINK_MAX_AGE_DAYS;
+  }
+  assert.ok(!verifyTranscriptLink("tr 1", 1, 2, Math.floor(Date.now() / 1000) + 60, "a".repeat(64)),
+    "links are rejected without a secret");
+
+  const linked = getLinkedEntries(transcript, 3, 3);
+  assert.deepStrictEqual(linked.map(entry => [entry.index, entry.inRange]),
+    [[1, false], [2, false], [3, true], [4, false]]);
+  assert.strictEqual(linked[2].text, "TDS-12 is complete, the login bug is fixed.");
+  assert.strictEqual(linked[2].speaker, "Bob Smith");
+  console.log("   ✓ Deep links are signed, expire and show the range with its context");
+
+  setFakeResponses({
+    rules: [{
+      contains: ["TASK"],
+      response: "TASK: Add retry handling to the Jira webhook\n  ASSIGNEE: Jane Doe\n  TYPE: Coding\n" +
+        "  CATEGORY: NEW_TASK\n  TICKET_ID: NONE\n" +
+        "  EVIDENCE: I'll add retries to the Jira webhook today / failed deliveries get replayed automatically\n\n" +
+        "MEETING ATTENDEES: JD, BS",
+    }],
+  });
+  try {
+    const result = await processTranscriptForTasksWithPipeline(transcript, []);
+    const [task] = result.tasks["Jane Doe"].Coding;
+    assert.deepStrictEqual(task.sourceRanges.map(range => [range.firstEntry, range.lastEntry]), [[1, 2]]);
+    assert.deepStrictEqual(result.statusChanges[0].sourceRanges.map(range => range.firstEntry), [3]);
+  } finally {
+    setFakeResponses(null);
+  }
+  console.log("   ✓ The pipeline records the source ranges of new tasks and status changes");
+
+  console.log("✅ Transcript source tests passed");
+}
+
+if (require.main === module) {
+  testTranscriptSources().catch(error => {
+    console.error("❌ Transcript source test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTranscriptSources };
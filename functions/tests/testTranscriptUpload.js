@@ -0,0 +1,128 @@
+/**
+ * Transcript Upload Test
+ *
+ * Checks POST /transcripts uploads: a WebVTT upload is parsed and run through the pipeline, a Graph
+ * transcript ID is marked processed so a second upload is rejected with 409, uploads without an ID get a
+ * synthetic one, a teamId processes the upload for that team, and metadata that is not a plain string (an
+ * operator object like { "$gt": "" }) or an unknown team is rejected with 400 before anything is stored.
+ * Runs offline - the fake LLM provider answers the prompts, MongoDB is in memory and Jira/Teams HTTP calls
+ * are stubbed. Tasks go to the approval queue, so no Jira issues are created.
+ *
+ * Usage: node tests/testTranscriptUpload.js
+ */
+
+const assert = require("assert");
+const axios = require("axios");
+const path = require("path");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+// Must be set before the services read them
+process.env.LLM_PROVIDER = "fake";
+process.env.LLM_FAKE_RESPONSES = path.join(__dirname, "fixtures", "fakeLlmResponses.json");
+process.env.JIRA_URL = "https://jira.example.test";
+process.env.JIRA_EMAIL = "bot@example.test";
+process.env.JIRA_API_TOKEN = "test-token";
+process.env.JIRA_PROJECT_KEY = "TDS";
+process.env.TEAMS_WEBHOOK_URL = "https://teams.example.test/webhook";
+process.env.TEAMS_CONFIG = JSON.stringify([{ teamId: "payments", name: "Payments", jiraProjectKey: "PAY" }]);
+delete process.env.REQUIRE_TASK_APPROVAL;
+const mongo = installInMemoryMongo();
+
+const { processUploadedTranscript } = require("../services/core/taskProcessor");
+
+const VTT = `WEBVTT
+
+00:00:01.000 --> 00:00:06.500
+<v Jane Doe>Morning everyone, quick standup today.</v>
+
+00:00:07.000 --> 00:00:15.000
+<v Jane Doe>I'll add retries to the Jira webhook today,</v>
+
+00:00:15.200 --> 00:00:21.000
+<v Jane Doe>so failed deliveries get replayed automatically.</v>
+
+00:01:10.000 --> 00:01:30.000
+<v Bob Smith>Next I will write the release notes for the sprint before Friday.</v>
+`;
+
+/**
+ * Upload the VTT transcript with tasks sent to the approval queue
+ * @param {Object} metadata - Upload metadata
+ * @returns {Promise<Object>} processUploadedTranscript result
+ */
+function upload(metadata) {
+  return processUploadedTranscript(VTT, metadata, { requireApproval: true });
+}
+
+/**
+ * Run the transcript upload checks
+ */
+async function testTranscriptUpload() {
+  console.log("🧪 Testing transcript uploads");
+
+  const originalGet = axios.get;
+  const originalPost = axios.post;
+  try {
+    axios.get = async () => ({ data: { issues: [], fields: { status: { name: "To Do" } } } });
+    axios.post = async () => ({ status: 200, statusText: "OK", data: {} });
+
+    const invalidMetadata = [
+      [{ transcriptId: { $gt: "" } }, /transcriptId: Must be a string/],
+      [{ transcriptId: "graph-transcript-1", meetingId: ["a", "b"] }, /meetingId: Must be a string/],
+      [{ meetingStartTime: 1760832000000 }, /meetingStartTime: Must be a string/],
+      [{ transcriptId: "   " }, /transcriptId: Cannot be empty/],
+      [{ teamId: "billing" }, /Unknown team: billing/],
+    ];
+    for (const [metadata, expectedError] of invalidMetadata) {
+      await assert.rejects(upload(metadata), error => error.statusCode === 400 && expectedError.test(error.message),
+        JSON.stringify(metadata));
+    }
+    assert.deepStrictEqual(mongo.writes, [], "nothing is stored for rejected uploads");
+    console.log("   ✓ Metadata that is not a plain string and unknown teams are rejected");
+
+    const result = await upload({ transcriptId: "graph-transcript-1", meetingSubject: "Daily Standup",
+      meetingStartTime: "2026-10-19T04:00:00Z" });
+    assert.deepStrictEqual(result.upload,
+      { inputFormat: "vtt", entryCount: 4, transcriptId: "graph-transcript-1", teamId: "default" });
+    const stored = await mongo.collection("transcripts").findOne({ transcript_id: "graph-transcript-1" });
+    assert.strictEqual(stored.entry_count, 4);
+    const processed = await mongo.collection("processed_transcripts").findOne({ transcriptId: "graph-transcript-1" });
+    assert.strictEqual(processed.meetingSubject, "Daily Standup");
+    console.log("   ✓ A VTT upload is parsed, stored and marked processed");
+
+    await assert.rejects(upload({ transcriptId: "graph-transcript-1" }),
+      { statusCode: 409, message: "Transcript graph-transcript-1 was already processed" });
+    const dryRun = await processUploadedTranscript(VTT, { transcriptId: "graph-transcript-1" }, { dryRun: true });
+    assert.strictEqual(dryRun.dryRun, true, "dry runs of a processed transcript are allowed");
+    console.log("   ✓ A second upload of the same transcript is rejected");
+
+    const anonymous = await upload({});
+    assert.match(anonymous.upload.transcriptId, /^upload-\d+$/);
+    const anonymousRecord = await mongo.collection("processed_transcripts")
+      .findOne({ transcriptId: anonymous.upload.transcriptId });
+    assert.ok(anonymousRecord.llmUsage, "the synthetic ID's record keeps the run's LLM usage");
+    console.log("   ✓ Uploads without an ID are tracked under a synthetic ID");
+
+    const teamUpload = await upload({ transcriptId: "graph-transcript-2", teamId: "payments" });
+    assert.strictEqual(teamUpload.upload.teamId, "payments");
+    const teamTranscript = await mongo.collection("transcripts").findOne({ transcript_id: "graph-transcript-2" });
+    assert.strictEqual(teamTranscript.team_id, "payments");
+    const teamRecord = await mongo.collection("processed_transcripts").findOne({ transcriptId: "graph-transcript-2" });
+    assert.strictEqual(teamRecord.teamId, "payments");
+    console.log("   ✓ A teamId processes the upload for that team");
+  } finally {
+    axios.get = originalGet;
+    axios.post = originalPost;
+  }
+
+  console.log("✅ Transcript upload tests passed");
+}
+
+if (require.main === module) {
+  testTranscriptUpload().catch(error => {
+    console.error("❌ Transcript upload test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testTranscriptUpload };
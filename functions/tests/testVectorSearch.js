@@ -0,0 +1,166 @@
+/**
+ * Vector Search Test
+ *
+ * Checks the in-memory HNSW index against the exact bruteforce ranking on synthetic embeddings,
+ * including updates and removals, and that every backend applies the team / work type / status filter
+ * before taking the top results. Runs offline - MongoDB is in memory and the fake LLM provider embeds.
+ *
+ * Usage: node tests/testVectorSearch.js
+ */
+
+const assert = require("assert");
+const { installInMemoryMongo } = require("./helpers/inMemoryMongo");
+
+// Must be set before the services read them
+process.env.LLM_PROVIDER = "fake";
+const mongo = installInMemoryMongo();
+
+const {
+  rankTasksBySimilarity, buildTaskHnswIndex, resetTaskHnswIndex
+} = require("../services/storage/taskVectorSearch");
+const { addOrUpdateTaskEmbedding, findSimilarTasksInMongoDB } = require("../services/storage/mongoEmbeddingService");
+const { ACTIVE_TASK_STATUSES } = require("../services/storage/mongoService");
+const {
+  createRandom, generateSyntheticTasks, generateSyntheticQueries, measureRecall
+} = require("../scripts/benchmarkVectorSearch");
+
+// The best plain match for the query is a task; the open payments epic ranks below it
+const FILTER_TASKS = [
+  { ticketId: "TDS-1", title: "Billing export CSV writer", workType: "Task", teamId: "payments", status: "To-do" },
+  { ticketId: "TDS-2", title: "Billing export revamp", workType: "Epic", teamId: "payments", status: "To-do" },
+  { ticketId: "TDS-3", title: "Billing export CSV", workType: "Epic", teamId: "payments", status: "Done" },
+  { ticketId: "TDS-4", title: "Billing export CSV", workType: "Epic", teamId: "growth", status: "To-do" },
+  { ticketId: "TDS-5", title: "Billing export CSV", workType: "Epic", status: "To-do" },
+];
+const FILTER_QUERY = "Billing export CSV writer";
+const EPIC_FILTER = { teamId: "payments", workType: "Epic", statuses: ACTIVE_TASK_STATUSES };
+
+/**
+ * Search the filter tasks with one backend
+ * @param {string} backend - TASK_VECTOR_SEARCH backend
+ * @param {Object} filter - Search filter
+ * @returns {Promise<Array<string>>} Ticket IDs found, best first
+ */
+async function searchFilterTasks(backend, filter) {
+  process.env.TASK_VECTOR_SEARCH = backend;
+  const results = await findSimilarTasksInMongoDB(FILTER_QUERY, {}, 1, 0, filter);
+  return results.map(task => task.ticketId);
+}
+
+/**
+ * Check the HNSW index against the exact ranking on synthetic embeddings
+ */
+function testHnswRecall() {
+  const tasks = generateSyntheticTasks({ taskCount: 400, dimensions: 64, clusterCount: 20 });
+  const queries = generateSyntheticQueries(tasks, { queryCount: 40 });
+  const searchOptions = { topK: 5, threshold: 0 };
+
+  const exactResults = queries.map(query => rankTasksBySimilarity(query, tasks, searchOptions));
+  assert.ok(exactResults.every(results => results.length === 5));
+  assert.ok(exactResults[0][0].similarity >= exactResults[0][4].similarity);
+  assert.strictEqual(exactResults[0][0].embedding, undefined);
+  console.log("   ✓ Bruteforce returns the top results without embeddings");
+
+  const index = buildTaskHnswIndex(tasks, { random: createRandom(1) });
+  assert.strictEqual(index.size, 400);
+  const hnswResults = queries.map(query =>
+    index.search(query, 5, searchOptions).map(match => ({ ticketId: match.data.ticketId }))
+  );
+  const recall = measureRecall(exactResults, hnswResults);
+  assert.ok(recall >= 0.95, `HNSW recall ${recall} is below 0.95`);
+  console.log(`   ✓ HNSW recall@5 is ${(recall * 100).toFixed(1)}%`);
+
+  const strictResults = rankTasksBySimilarity(queries[0], tasks, { topK: 5, threshold: 0.99 });
+  assert.ok(index.search(queries[0], 5, { threshold: 0.99 }).length === strictResults.length);
+  console.log("   ✓ The threshold is applied");
+
+  const topTicketId = exactResults[0][0].ticketId;
+  index.remove(topTicketId);
+  assert.ok(!index.search(queries[0], 5).some(match => match.data.ticketId === topTicketId));
+  assert.strictEqual(index.size, 399);
+
+  index.add(topTicketId, queries[0], { ticketId: topTicketId, title: "Moved" });
+  const [bestMatch] = index.search(queries[0], 1);
+  assert.strictEqual(bestMatch.data.title, "Moved");
+  assert.ok(Math.abs(bestMatch.similarity - 1) < 1e-5);
+  console.log("   ✓ Removed tasks are not returned and updated embeddings are found");
+
+  assert.strictEqual(index.add("BAD-1", [1, 2, 3], {}), false);
+  assert.deepStrictEqual(index.search([1, 2, 3], 5), []);
+  console.log("   ✓ Embeddings with the wrong dimensions are rejected");
+}
+
+/**
+ * Check that every backend filters before taking the top results
+ */
+async function testSearchFilters() {
+  const tasks = mongo.collection("tasks");
+  for (const { teamId, ...task } of FILTER_TASKS) {
+    await tasks.insertOne(teamId ? { ...task, teamId } : task);
+    assert.strictEqual(await addOrUpdateTaskEmbedding(task.ticketId, task), true);
+  }
+
+  assert.deepStrictEqual(await searchFilterTasks("bruteforce", {}), ["TDS-1"]);
+  assert.deepStrictEqual(await searchFilterTasks("bruteforce", EPIC_FILTER), ["TDS-2"]);
+  assert.deepStrictEqual(await searchFilterTasks("bruteforce", { teamId: "default", workType: "Epic" }), ["TDS-5"],
+    "tasks without a teamId belong to the default team");
+  assert.deepStrictEqual(await searchFilterTasks("bruteforce", { teamId: "growth" }), ["TDS-4"],
+    "other teams' tasks are never matched");
+
+  resetTaskHnswIndex();
+  assert.deepStrictEqual(await searchFilterTasks("hnsw", {}), ["TDS-1"]);
+  assert.deepStrictEqual(await searchFilterTasks("hnsw", EPIC_FILTER), ["TDS-2"]);
+  assert.deepStrictEqual(await searchFilterTasks("hnsw", { teamId: "default", workType: "Epic" }), ["TDS-5"]);
+  assert.deepStrictEqual(await searchFilterTasks("hnsw", { teamId: "growth" }), ["TDS-4"]);
+
+  // Re-embedding from fields without the work type keeps the stored one in the index
+  assert.strictEqual(await addOrUpdateTaskEmbedding("TDS-2", { title: "Billing export revamp", status: "To-do" }),
+    true);
+  assert.deepStrictEqual(await searchFilterTasks("hnsw", EPIC_FILTER), ["TDS-2"]);
+
+  const originalAggregate = tasks.aggregate;
+  const atlasFilters = [];
+  tasks.aggregate = pipeline => {
+    atlasFilters.push(pipeline[0].$vectorSearch.filter);
+    return { toArray: async () => [] };
+  };
+  try {
+    for (const filter of [EPIC_FILTER, { teamId: "growth" }, { teamId: "default" }]) {
+      assert.deepStrictEqual(await searchFilterTasks("atlas", filter), []);
+    }
+  } finally {
+    tasks.aggregate = originalAggregate;
+    delete process.env.TASK_VECTOR_SEARCH;
+  }
+  assert.deepStrictEqual(atlasFilters, [
+    { $and: [
+      { teamId: { $eq: "payments" } },
+      { workType: { $eq: "Epic" } },
+      { status: { $in: ACTIVE_TASK_STATUSES } },
+    ] },
+    { teamId: { $eq: "growth" } },
+    { teamId: { $in: ["default", null] } },
+  ]);
+  console.log("   ✓ Team, work type and status filters apply before the top results in every backend");
+}
+
+/**
+ * Run the vector search checks
+ */
+async function testVectorSearch() {
+  console.log("🧪 Testing task vector search");
+
+  testHnswRecall();
+  await testSearchFilters();
+
+  console.log("✅ Vector search tests passed");
+}
+
+if (require.main === module) {
+  testVectorSearch().catch(error => {
+    console.error("❌ Vector search test failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { testVectorSearch };